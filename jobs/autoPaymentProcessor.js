@@ -3,7 +3,9 @@ const {
   processBirthdayPayments,
   processSubscriptionPayments,
   processGeneralPayments,
+  processRotatingPayments,
 } = require('../services/autoPaymentProcessor');
+const { getNextSubscriptionDeadline } = require('../utils/recurrenceHelpers');
 
 /**
  * Scheduled job to process birthday payments
@@ -106,13 +108,13 @@ async function processSubscriptionPaymentsJob() {
     console.log('🔄 Starting subscription payments processing job...');
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
-    const currentDay = today.getDate();
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
 
     // Get all active subscription groups with auto-pay enabled
     const groupsResult = await pool.query(
-      `SELECT DISTINCT g.id, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month
+      `SELECT DISTINCT g.id, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month,
+              g.subscription_rrule, g.subscription_start_date
        FROM groups g
        JOIN group_members gm ON g.id = gm.group_id
        JOIN user_payment_preferences upp ON gm.user_id = upp.user_id AND upp.group_id = g.id
@@ -130,21 +132,14 @@ async function processSubscriptionPaymentsJob() {
 
     for (const group of groupsResult.rows) {
       try {
-        // Calculate deadline date for current period
-        const deadlineDay = group.subscription_deadline_day;
-        const deadlineMonth = group.subscription_frequency === 'annual' 
-          ? group.subscription_deadline_month 
-          : currentMonth;
-
-        const lastDayOfMonth = new Date(currentYear, deadlineMonth, 0).getDate();
-        const actualDeadlineDay = Math.min(deadlineDay, lastDayOfMonth);
-        const deadlineDate = new Date(currentYear, deadlineMonth - 1, actualDeadlineDay);
-        deadlineDate.setHours(0, 0, 0, 0);
+        // Next deadline of the group's recurrence (handles month ends and leap years)
+        const nextDeadline = getNextSubscriptionDeadline(group, today);
+        if (!nextDeadline) {
+          continue;
+        }
 
         // Check if deadline is today or tomorrow (based on payment_timing)
-        const deadlineDayOfYear = Math.floor((deadlineDate - new Date(currentYear, 0, 1)) / (1000 * 60 * 60 * 24));
-        const todayDayOfYear = Math.floor((today - new Date(currentYear, 0, 1)) / (1000 * 60 * 60 * 24));
-        const tomorrowDayOfYear = todayDayOfYear + 1;
+        const deadlineTime = nextDeadline.deadline.getTime();
 
         // Check if any member has payment_timing that matches today or tomorrow
         const shouldProcess = await pool.query(
@@ -154,12 +149,12 @@ async function processSubscriptionPaymentsJob() {
              AND upp.auto_pay_enabled = TRUE
              AND (
                -- Deadline today and payment_timing is 'same_day'
-               ($2 = $3 AND upp.payment_timing = 'same_day')
+               ($2 AND upp.payment_timing = 'same_day')
                OR
                -- Deadline tomorrow and payment_timing is '1_day_before'
-               ($2 = $4 AND upp.payment_timing = '1_day_before')
+               ($3 AND upp.payment_timing = '1_day_before')
              )`,
-          [group.id, deadlineDayOfYear, todayDayOfYear, tomorrowDayOfYear]
+          [group.id, deadlineTime === today.getTime(), deadlineTime === tomorrow.getTime()]
         );
 
         if (parseInt(shouldProcess.rows[0].count) === 0) {
@@ -280,6 +275,68 @@ async function processGeneralPaymentsJob() {
   }
 }
 
+/**
+ * Scheduled job to process rotating group cycle payments
+ * Should run daily at 9 AM local time, after the rotation cycle job has opened today's cycles
+ * Checks for open cycles due today (or tomorrow based on payment_timing)
+ */
+async function processRotatingPaymentsJob() {
+  try {
+    console.log('🔄 Starting rotating group payments processing job...');
+
+    // Get all active rotating groups whose open cycle is due today or tomorrow
+    const groupsResult = await pool.query(
+      `SELECT DISTINCT g.id
+       FROM groups g
+       JOIN rotation_cycles c ON c.group_id = g.id AND c.status = 'open'
+       JOIN group_members gm ON g.id = gm.group_id
+       JOIN user_payment_preferences upp ON gm.user_id = upp.user_id AND upp.group_id = g.id
+       WHERE g.group_type = 'rotating'
+         AND g.status = 'active'
+         AND gm.status = 'active'
+         AND upp.auto_pay_enabled = TRUE
+         AND (
+           (c.due_date = CURRENT_DATE AND upp.payment_timing = 'same_day')
+           OR
+           (c.due_date = CURRENT_DATE + INTERVAL '1 day' AND upp.payment_timing = '1_day_before')
+         )`,
+      []
+    );
+
+    console.log(`Found ${groupsResult.rows.length} rotating groups with auto-pay due`);
+
+    let totalProcessed = 0;
+    let totalSkipped = 0;
+
+    for (const group of groupsResult.rows) {
+      try {
+        const result = await processRotatingPayments(group.id);
+        if (result.processed > 0) {
+          totalProcessed += result.processed;
+        }
+        if (result.skipped) {
+          totalSkipped++;
+        }
+      } catch (error) {
+        console.error(`Error processing rotating payments for group ${group.id}:`, error);
+      }
+    }
+
+    console.log(`✅ Rotating group payments job completed: ${totalProcessed} payments processed, ${totalSkipped} skipped`);
+    return {
+      success: true,
+      processed: totalProcessed,
+      skipped: totalSkipped,
+    };
+  } catch (error) {
+    console.error('❌ Error in rotating group payments job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Main job function that runs all payment processing jobs
  * Should be called by a scheduled job (cron, etc.) daily at 9 AM local time
@@ -291,18 +348,22 @@ async function processAllAutoPayments() {
     const birthdayResult = await processBirthdayPaymentsJob();
     const subscriptionResult = await processSubscriptionPaymentsJob();
     const generalResult = await processGeneralPaymentsJob();
+    const rotatingResult = await processRotatingPaymentsJob();
 
     const totalProcessed = (birthdayResult.processed || 0) + 
                           (subscriptionResult.processed || 0) + 
-                          (generalResult.processed || 0);
+                          (generalResult.processed || 0) +
+                          (rotatingResult.processed || 0);
     const totalSkipped = (birthdayResult.skipped || 0) + 
                         (subscriptionResult.skipped || 0) + 
-                        (generalResult.skipped || 0);
+                        (generalResult.skipped || 0) +
+                        (rotatingResult.skipped || 0);
 
     console.log(`✅ All automatic payment processing completed:
       - Birthday payments: ${birthdayResult.processed || 0} processed, ${birthdayResult.skipped || 0} skipped
       - Subscription payments: ${subscriptionResult.processed || 0} processed, ${subscriptionResult.skipped || 0} skipped
       - General payments: ${generalResult.processed || 0} processed, ${generalResult.skipped || 0} skipped
+      - Rotating payments: ${rotatingResult.processed || 0} processed, ${rotatingResult.skipped || 0} skipped
       - Total: ${totalProcessed} processed, ${totalSkipped} skipped`);
 
     return {
@@ -310,6 +371,7 @@ async function processAllAutoPayments() {
       birthday: birthdayResult,
       subscription: subscriptionResult,
       general: generalResult,
+      rotating: rotatingResult,
       total: {
         processed: totalProcessed,
         skipped: totalSkipped,
@@ -341,5 +403,6 @@ module.exports = {
   processBirthdayPaymentsJob,
   processSubscriptionPaymentsJob,
   processGeneralPaymentsJob,
+  processRotatingPaymentsJob,
   processAllAutoPayments,
 };
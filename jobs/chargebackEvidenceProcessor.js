@@ -0,0 +1,48 @@
+const chargebackService = require('../services/chargebackService');
+
+/**
+ * Chargeback Evidence Job
+ * Reminds platform admins of open chargebacks whose evidence is due within 48 hours and hasn't
+ * been submitted to the provider yet. Should run at least every few hours.
+ */
+
+/**
+ * Send evidence deadline reminders
+ * @returns {Promise<Object>} - { success, reminded }
+ */
+async function processChargebackEvidence() {
+  try {
+    console.log('🔄 Starting chargeback evidence job...');
+
+    const reminded = await chargebackService.sendEvidenceReminders();
+
+    console.log(`✅ Chargeback evidence job completed: ${reminded} reminders sent`);
+    return {
+      success: true,
+      reminded,
+    };
+  } catch (error) {
+    console.error('❌ Error in chargeback evidence job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  processChargebackEvidence()
+    .then((result) => {
+      console.log('Chargeback evidence processing completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Chargeback evidence processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processChargebackEvidence,
+};
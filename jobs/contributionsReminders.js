@@ -1,23 +1,11 @@
 const pool = require('../config/database');
 const { createNotification } = require('../utils/notifications');
 const { sendBirthdayEmail } = require('../utils/email');
-
-// Helper function to throttle email sends (Resend allows 2 requests per second)
-// This ensures we don't exceed the rate limit
-let lastEmailSendTime = 0;
-const MIN_EMAIL_INTERVAL_MS = 600; // 600ms = ~1.67 requests/second (slightly under 2/sec to be safe)
-
-async function throttleEmailSend() {
-  const now = Date.now();
-  const timeSinceLastEmail = now - lastEmailSendTime;
-  
-  if (timeSinceLastEmail < MIN_EMAIL_INTERVAL_MS) {
-    const waitTime = MIN_EMAIL_INTERVAL_MS - timeSinceLastEmail;
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-  }
-  
-  lastEmailSendTime = Date.now();
-}
+const { throttleEmailSend } = require('../utils/emailHelpers');
+const {
+  getNextSubscriptionDeadline,
+  getPreviousSubscriptionDeadline,
+} = require('../utils/recurrenceHelpers');
 
 /**
  * Check for upcoming deadlines (birthdays, subscriptions, general groups) and send reminder notifications
@@ -144,22 +132,12 @@ async function checkContributionsReminders() {
     );
 
     for (const user of usersResult.rows) {
-      // Helper function to get deadline date, handling months with fewer days
-      function getLastDayOfMonth(year, month) {
-        return new Date(year, month + 1, 0).getDate();
-      }
-      
-      function getDeadlineDate(year, month, deadlineDay) {
-        const lastDay = getLastDayOfMonth(year, month);
-        const actualDay = Math.min(deadlineDay, lastDay);
-        return new Date(year, month, actualDay);
-      }
-      
       // Get all groups the user is in (exclude closed groups - they don't accept contributions)
       const groupsResult = await pool.query(
         `SELECT g.id, g.name, g.contribution_amount, g.currency, g.group_type,
                 g.subscription_frequency, g.subscription_platform, 
                 g.subscription_deadline_day, g.subscription_deadline_month, g.deadline,
+                g.subscription_rrule, g.subscription_start_date,
                 g.admin_id
          FROM groups g
          JOIN group_members gm ON g.id = gm.group_id
@@ -244,35 +222,14 @@ async function checkContributionsReminders() {
           }
         }
         } else if (group.group_type === 'subscription') {
-        // Calculate next subscription deadline
-        let nextDeadline;
-        if (group.subscription_frequency === 'monthly') {
-          if (currentDay <= group.subscription_deadline_day) {
-            nextDeadline = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-          } else {
-            nextDeadline = getDeadlineDate(currentYear, currentMonth, group.subscription_deadline_day);
-          }
-        } else {
-          // Annual
-          if (currentMonth < group.subscription_deadline_month || 
-              (currentMonth === group.subscription_deadline_month && currentDay <= group.subscription_deadline_day)) {
-            nextDeadline = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-          } else {
-            nextDeadline = getDeadlineDate(currentYear + 1, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-          }
-        }
-        
-        nextDeadline.setHours(0, 0, 0, 0);
-        const daysUntilDeadline = Math.ceil((nextDeadline - today) / (1000 * 60 * 60 * 24));
+        // Calculate next subscription deadline (monthly, annual or custom recurrence)
+        const next = getNextSubscriptionDeadline(group, today);
+        const nextDeadline = next ? next.deadline : null;
+        const daysUntilDeadline = next ? Math.ceil((nextDeadline - today) / (1000 * 60 * 60 * 24)) : null;
         
         if (daysUntilDeadline === 7 || daysUntilDeadline === 1 || daysUntilDeadline === 0) {
-          // Check if user has paid for current period
-          let periodStart;
-          if (group.subscription_frequency === 'monthly') {
-            periodStart = new Date(currentYear, currentMonth - 1, 1);
-          } else {
-            periodStart = new Date(currentYear, 0, 1);
-          }
+          // Check if user has paid for the period of this deadline
+          const periodStart = next.periodStart;
           
           const contributionCheck = await pool.query(
             `SELECT id FROM subscription_contributions 
@@ -502,17 +459,6 @@ async function checkOverdueContributions() {
     const currentMonth = today.getMonth() + 1;
     const currentDay = today.getDate();
     
-    // Helper function to get deadline date, handling months with fewer days
-    function getLastDayOfMonth(year, month) {
-      return new Date(year, month + 1, 0).getDate();
-    }
-    
-    function getDeadlineDate(year, month, deadlineDay) {
-      const lastDay = getLastDayOfMonth(year, month);
-      const actualDay = Math.min(deadlineDay, lastDay);
-      return new Date(year, month, actualDay);
-    }
-    
     // Get all active users
     const usersResult = await pool.query(
       `SELECT id, name, email, expo_push_token,
@@ -531,6 +477,7 @@ async function checkOverdueContributions() {
         `SELECT g.id, g.name, g.contribution_amount, g.currency, g.group_type,
                 g.subscription_frequency, g.subscription_platform,
                 g.subscription_deadline_day, g.subscription_deadline_month, g.deadline,
+                g.subscription_rrule, g.subscription_start_date,
                 g.admin_id
          FROM groups g
          JOIN group_members gm ON g.id = gm.group_id
@@ -621,39 +568,16 @@ async function checkOverdueContributions() {
             }
           }
         } else if (group.group_type === 'subscription') {
-          // Calculate subscription deadline
-          let deadlineDate;
-          if (group.subscription_frequency === 'monthly') {
-            // For monthly, check current month's deadline first
-            deadlineDate = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-            // If current month's deadline hasn't passed yet, check previous month
-            if (deadlineDate > today) {
-              const prevMonth = currentMonth === 1 ? 12 : currentMonth - 1;
-              const prevYear = currentMonth === 1 ? currentYear - 1 : currentYear;
-              deadlineDate = getDeadlineDate(prevYear, prevMonth - 1, group.subscription_deadline_day);
-            }
-          } else {
-            // Annual - check if deadline has passed this year
-            deadlineDate = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-            // If deadline hasn't passed yet this year, check last year's deadline
-            if (deadlineDate > today) {
-              deadlineDate = getDeadlineDate(currentYear - 1, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-            }
-          }
-          
-          deadlineDate.setHours(0, 0, 0, 0);
+          // Most recent deadline that has passed (monthly, annual or custom recurrence)
+          const previous = getPreviousSubscriptionDeadline(group, today);
+          const deadlineDate = previous ? previous.deadline : null;
           
           // Only consider overdue if deadline has passed and user was a member when deadline occurred
-          if (deadlineDate < today && userJoinDate <= deadlineDate) {
+          if (deadlineDate && userJoinDate <= deadlineDate) {
             const daysOverdue = Math.floor((today - deadlineDate) / (1000 * 60 * 60 * 24));
             
             // Check if user has paid for the period that includes this deadline
-            let periodStart;
-            if (group.subscription_frequency === 'monthly') {
-              periodStart = new Date(deadlineDate.getFullYear(), deadlineDate.getMonth(), 1);
-            } else {
-              periodStart = new Date(deadlineDate.getFullYear(), 0, 1);
-            }
+            const periodStart = previous.periodStart;
             
             const contributionCheck = await pool.query(
               `SELECT id, status FROM subscription_contributions 
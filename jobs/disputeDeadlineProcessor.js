@@ -0,0 +1,50 @@
+const disputeService = require('../services/disputeService');
+
+/**
+ * Dispute Deadline Job
+ * Escalates disputes the payment recipient/admin didn't answer in time, and closes contested
+ * disputes the member didn't escalate (the contribution stays not_received).
+ * Should run at least daily; hourly keeps deadlines close to what members were told.
+ */
+
+/**
+ * Apply passed dispute deadlines
+ * @returns {Promise<Object>} - { success, escalated, closed }
+ */
+async function processDisputeDeadlines() {
+  try {
+    console.log('🔄 Starting dispute deadline job...');
+
+    const { escalated, closed } = await disputeService.processDeadlines();
+
+    console.log(`✅ Dispute deadline job completed: ${escalated} escalated, ${closed} closed`);
+    return {
+      success: true,
+      escalated,
+      closed,
+    };
+  } catch (error) {
+    console.error('❌ Error in dispute deadline job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  processDisputeDeadlines()
+    .then((result) => {
+      console.log('Dispute deadline processing completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Dispute deadline processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processDisputeDeadlines,
+};
@@ -0,0 +1,73 @@
+const pool = require('../config/database');
+const { assessLateFees } = require('../utils/lateFeeHelpers');
+const { processLateFeeCharges } = require('../services/autoPaymentProcessor');
+
+/**
+ * Late Fee Job
+ * Charges late fees for contributions still unpaid after their group's grace period, then
+ * collects them through auto-pay in groups that turned auto-charging on.
+ * Should run daily (e.g., after the overdue reminders).
+ */
+
+/**
+ * Assess (and auto-charge) late fees in every active group with late fees on
+ * @returns {Promise<Object>} - { success, groups, assessed, charged }
+ */
+async function processLateFees() {
+  try {
+    console.log('🔄 Starting late fee job...');
+
+    const groupsResult = await pool.query(
+      `SELECT * FROM groups
+       WHERE status = 'active' AND late_fee_type IS NOT NULL`
+    );
+
+    let assessed = 0;
+    let charged = 0;
+
+    for (const group of groupsResult.rows) {
+      try {
+        const created = await assessLateFees(group);
+        assessed += created.length;
+
+        if (group.late_fee_auto_charge) {
+          const chargeResult = await processLateFeeCharges(group.id);
+          charged += chargeResult.processed || 0;
+        }
+      } catch (error) {
+        console.error(`Error processing late fees for group ${group.id}:`, error);
+      }
+    }
+
+    console.log(`✅ Late fee job completed: ${assessed} late fees added, ${charged} charged through auto-pay in ${groupsResult.rows.length} groups`);
+    return {
+      success: true,
+      groups: groupsResult.rows.length,
+      assessed,
+      charged,
+    };
+  } catch (error) {
+    console.error('❌ Error in late fee job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  processLateFees()
+    .then((result) => {
+      console.log('Late fee processing completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Late fee processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processLateFees,
+};
@@ -25,7 +25,7 @@ async function retryFailedPayments() {
     // Get all payment attempts with status 'retry' that haven't been retried yet
     const retryAttempts = await pool.query(
       `SELECT apa.*, u.email, u.name, u.stripe_customer_id, u.paystack_customer_code,
-              upp.payment_method_id, upp.provider, g.name as group_name, g.currency
+              upp.payment_method_id, upp.provider, g.name as group_name, g.currency, g.group_type
        FROM automatic_payment_attempts apa
        JOIN users u ON apa.user_id = u.id
        JOIN user_payment_preferences upp ON apa.user_id = upp.user_id AND apa.group_id = upp.group_id
@@ -74,12 +74,10 @@ async function retryFailedPayments() {
 
         // Calculate fees
         const provider = attempt.provider || paymentService.selectProvider(attempt.currency, null);
-        const fees = paymentService.calculateFees(attempt.amount, attempt.currency, provider, 1);
+        const fees = await paymentService.calculateFees(attempt.amount, attempt.currency, provider, { groupType: attempt.group_type });
 
         // Get customer ID
-        const customerId = provider === 'stripe' 
-          ? attempt.stripe_customer_id 
-          : attempt.paystack_customer_code;
+        const customerId = paymentService.getCustomerId(attempt, provider);
 
         if (!customerId || !attempt.payment_method_id) {
           console.log(`Skipping retry for attempt ${attempt.id}: No payment method or customer ID`);
@@ -102,6 +100,7 @@ async function retryFailedPayments() {
             platformFee: fees.platformFee,
             processorFee: fees.processorFee,
             grossAmount: fees.grossAmount,
+            feeScheduleId: fees.feeScheduleId,
             attemptId: attempt.id,
             retryCount: attempt.retry_count + 1,
             isRetry: true,
@@ -0,0 +1,74 @@
+const payoutScheduleService = require('../services/payoutScheduleService');
+
+/**
+ * Payout Schedule Job
+ * Requests withdrawals for users' payout schedules (daily, weekly, balance threshold, birthday pot).
+ * The withdrawals it creates are paid by jobs/withdrawalProcessor.js once their hold has passed.
+ * Should run periodically (e.g., every hour).
+ */
+
+/**
+ * Request the payouts that are due
+ * @returns {Promise<Object>} - { success, requested, skipped, failed }
+ */
+async function processPayoutSchedules() {
+  try {
+    console.log('🔄 Starting payout schedule job...');
+
+    const dueSchedules = await payoutScheduleService.getDueSchedules();
+
+    console.log(`Found ${dueSchedules.length} payout schedules to check`);
+
+    let requestedCount = 0;
+    let skippedCount = 0;
+    let failureCount = 0;
+
+    for (const schedule of dueSchedules) {
+      try {
+        const result = await payoutScheduleService.runSchedule(schedule);
+        if (result.requested) {
+          requestedCount++;
+        } else if (result.skipped) {
+          skippedCount++;
+        } else {
+          console.log(`Payout schedule ${schedule.id} not requested: ${result.error}`);
+          failureCount++;
+        }
+      } catch (error) {
+        console.error(`Error running payout schedule ${schedule.id}:`, error);
+        failureCount++;
+      }
+    }
+
+    console.log(`✅ Payout schedule job completed: ${requestedCount} requested, ${skippedCount} skipped, ${failureCount} failed`);
+    return {
+      success: true,
+      requested: requestedCount,
+      skipped: skippedCount,
+      failed: failureCount,
+    };
+  } catch (error) {
+    console.error('❌ Error in payout schedule job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  processPayoutSchedules()
+    .then((result) => {
+      console.log('Payout schedules completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Payout schedules failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processPayoutSchedules,
+};
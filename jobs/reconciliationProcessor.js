@@ -0,0 +1,537 @@
+const pool = require('../config/database');
+const paymentService = require('../services/paymentService');
+
+/**
+ * Provider Reconciliation Job
+ * Compares what Stripe/Paystack recorded (incoming payments and outgoing payouts)
+ * against our automatic_payment_attempts, transactions and withdrawals, and flags
+ * every difference into reconciliation_items for admin review.
+ * Should run nightly (e.g., shortly after midnight) - each run covers the previous 24 hours.
+ */
+
+const RECONCILIATION_WINDOW_HOURS = 24;
+// Our timestamps and the provider's are taken at slightly different moments, so each side is
+// compared over a window padded by this much (records inside the padding are still settling)
+const WINDOW_PADDING_MINUTES = 60;
+
+/**
+ * Map our statuses onto the provider's normalized statuses ('succeeded', 'pending', 'failed')
+ */
+const ATTEMPT_STATUS_MAP = {
+  success: 'succeeded',
+  pending: 'pending',
+  retry: 'failed',
+  failed: 'failed',
+};
+
+const WITHDRAWAL_STATUS_MAP = {
+  completed: 'succeeded',
+  pending: 'pending',
+  processing: 'pending',
+  failed: 'failed',
+};
+
+/**
+ * Compare two amounts to the cent
+ * @param {number|string} a - Amount
+ * @param {number|string} b - Amount
+ * @returns {boolean} - True if the amounts match
+ */
+function amountsMatch(a, b) {
+  return Math.round(parseFloat(a) * 100) === Math.round(parseFloat(b) * 100);
+}
+
+/**
+ * Group rows by a column
+ * @param {Array} rows - Rows to group
+ * @param {string} column - Column to group by
+ * @returns {Map} - column value => rows
+ */
+function groupBy(rows, column) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[column])) {
+      groups.set(row[column], []);
+    }
+    groups.get(row[column]).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Record a reconciliation item
+ * An issue already flagged by an earlier (overlapping) run is refreshed instead of duplicated;
+ * its review status is left untouched.
+ * @param {string} runId - Reconciliation run ID
+ * @param {Object} item - Item data
+ * @returns {Promise<boolean>} - True if this is a new item
+ */
+async function flagItem(runId, {
+  provider,
+  recordType,
+  issueType,
+  providerTransactionId,
+  internalType,
+  internalId,
+  userId,
+  currency,
+  providerAmount,
+  internalAmount,
+  providerStatus,
+  internalStatus,
+  details,
+}) {
+  const itemKey = [provider, recordType, issueType, providerTransactionId || internalId].join(':');
+
+  const result = await pool.query(
+    `INSERT INTO reconciliation_items
+     (run_id, last_seen_run_id, item_key, provider, record_type, issue_type, provider_transaction_id,
+      internal_type, internal_id, user_id, currency, provider_amount, internal_amount,
+      provider_status, internal_status, details)
+     VALUES ($1, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     ON CONFLICT (item_key) DO UPDATE
+     SET last_seen_run_id = EXCLUDED.last_seen_run_id,
+         last_seen_at = CURRENT_TIMESTAMP,
+         provider_amount = EXCLUDED.provider_amount,
+         internal_amount = EXCLUDED.internal_amount,
+         provider_status = EXCLUDED.provider_status,
+         internal_status = EXCLUDED.internal_status,
+         details = EXCLUDED.details
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      runId,
+      itemKey,
+      provider,
+      recordType,
+      issueType,
+      providerTransactionId || null,
+      internalType || null,
+      internalId || null,
+      userId || null,
+      currency || null,
+      providerAmount ?? null,
+      internalAmount ?? null,
+      providerStatus || null,
+      internalStatus || null,
+      JSON.stringify(details || {}),
+    ]
+  );
+
+  return result.rows[0].inserted;
+}
+
+/**
+ * Reconcile incoming payments for one provider
+ * @param {string} runId - Reconciliation run ID
+ * @param {string} provider - 'stripe' or 'paystack'
+ * @param {Array} providerPayments - Output of paymentService.listProviderPayments
+ * @param {Object} window - { internalSince, internalUntil, settledBefore }
+ * @returns {Promise<Object>} - { matched, flagged }
+ */
+async function reconcilePayments(runId, provider, providerPayments, { internalSince, internalUntil, settledBefore }) {
+  const providerIds = providerPayments.map(payment => payment.providerTransactionId);
+
+  const attemptsResult = await pool.query(
+    `SELECT apa.id, apa.user_id, apa.amount, apa.currency, apa.status, apa.provider_transaction_id,
+            apa.attempted_at, g.group_type
+     FROM automatic_payment_attempts apa
+     LEFT JOIN groups g ON apa.group_id = g.id
+     WHERE apa.payment_provider = $1 AND apa.provider_transaction_id = ANY($2)`,
+    [provider, providerIds]
+  );
+  const creditsResult = await pool.query(
+    `SELECT id, user_id, amount, gross_amount, currency, status, payment_method_id
+     FROM transactions
+     WHERE type = 'credit' AND payment_provider = $1 AND payment_method_id = ANY($2)`,
+    [provider, providerIds]
+  );
+
+  const attemptsById = groupBy(attemptsResult.rows, 'provider_transaction_id');
+  const creditsById = groupBy(creditsResult.rows, 'payment_method_id');
+
+  let matched = 0;
+  let flagged = 0;
+
+  for (const payment of providerPayments) {
+    const attempts = attemptsById.get(payment.providerTransactionId) || [];
+    const credits = creditsById.get(payment.providerTransactionId) || [];
+    const base = {
+      provider,
+      recordType: 'payment',
+      providerTransactionId: payment.providerTransactionId,
+      currency: payment.currency,
+      providerAmount: payment.amount,
+      providerStatus: payment.status,
+    };
+    const issues = [];
+
+    if (attempts.length === 0 && credits.length === 0) {
+      // Failed/abandoned provider payments we never recorded did not move money
+      if (payment.status === 'succeeded') {
+        issues.push({ ...base, issueType: 'missing_internal' });
+      }
+    } else {
+      const attempt = attempts[0];
+      const credit = credits[0];
+      const internal = credit
+        ? { internalType: 'transaction', internalId: credit.id, userId: credit.user_id }
+        : { internalType: 'automatic_payment_attempt', internalId: attempt.id, userId: attempt.user_id };
+
+      if (attempts.length > 1 || credits.length > 1) {
+        issues.push({
+          ...base,
+          ...internal,
+          issueType: 'duplicate',
+          details: {
+            attemptIds: attempts.map(row => row.id),
+            transactionIds: credits.map(row => row.id),
+          },
+        });
+      }
+
+      // We charge the gross amount (contribution + fees); attempts only store the contribution,
+      // so re-price it with the fee schedule that was in effect when it was attempted
+      const expectedAmount = credit
+        ? (credit.gross_amount ?? credit.amount)
+        : (await paymentService.calculateFees(parseFloat(attempt.amount), attempt.currency, provider, {
+          groupType: attempt.group_type,
+          at: attempt.attempted_at,
+        })).grossAmount;
+
+      if (!amountsMatch(payment.amount, expectedAmount)) {
+        issues.push({
+          ...base,
+          ...internal,
+          issueType: 'amount_mismatch',
+          internalAmount: Math.round(parseFloat(expectedAmount) * 100) / 100,
+        });
+      }
+
+      const internalStatus = credit && credit.status === 'completed'
+        ? 'succeeded'
+        : ATTEMPT_STATUS_MAP[attempt?.status] || 'pending';
+      const stillSettling = payment.createdAt >= settledBefore;
+
+      if (internalStatus !== payment.status && !stillSettling) {
+        issues.push({
+          ...base,
+          ...internal,
+          issueType: 'status_mismatch',
+          internalStatus,
+          details: payment.status === 'succeeded' && !credit
+            ? { reason: 'Provider captured the payment but the wallet was never credited' }
+            : {},
+        });
+      }
+    }
+
+    if (issues.length === 0) {
+      matched++;
+    }
+    for (const issue of issues) {
+      if (await flagItem(runId, issue)) {
+        flagged++;
+      }
+    }
+  }
+
+  // Payments we consider successful that the provider has no record of
+  const seenIds = new Set(providerIds);
+  const internalPayments = await pool.query(
+    `SELECT id, user_id, amount, currency, status, provider_transaction_id, 'automatic_payment_attempt' AS internal_type
+     FROM automatic_payment_attempts
+     WHERE payment_provider = $1 AND status = 'success' AND provider_transaction_id IS NOT NULL
+       AND COALESCE(completed_at, attempted_at) >= $2 AND COALESCE(completed_at, attempted_at) < $3
+     UNION ALL
+     SELECT id, user_id, COALESCE(gross_amount, amount) AS amount, currency, status,
+            payment_method_id AS provider_transaction_id, 'transaction' AS internal_type
+     FROM transactions
+     WHERE type = 'credit' AND payment_provider = $1 AND payment_method_id IS NOT NULL
+       AND created_at >= $2 AND created_at < $3`,
+    [provider, internalSince, internalUntil]
+  );
+
+  for (const record of internalPayments.rows) {
+    if (seenIds.has(record.provider_transaction_id)) {
+      continue;
+    }
+    // One missing provider payment usually has both an attempt and a credit - flag it once
+    seenIds.add(record.provider_transaction_id);
+
+    const isNew = await flagItem(runId, {
+      provider,
+      recordType: 'payment',
+      issueType: 'missing_provider',
+      providerTransactionId: record.provider_transaction_id,
+      internalType: record.internal_type,
+      internalId: record.id,
+      userId: record.user_id,
+      currency: record.currency,
+      internalAmount: record.amount,
+      internalStatus: record.internal_type === 'transaction' ? record.status : ATTEMPT_STATUS_MAP[record.status],
+    });
+    if (isNew) {
+      flagged++;
+    }
+  }
+
+  return { matched, flagged };
+}
+
+/**
+ * Reconcile outgoing payouts (withdrawals) for one provider
+ * @param {string} runId - Reconciliation run ID
+ * @param {string} provider - 'stripe' or 'paystack'
+ * @param {Array} providerPayouts - Output of paymentService.listProviderPayouts
+ * @param {Object} window - { internalSince, internalUntil, settledBefore }
+ * @returns {Promise<Object>} - { matched, flagged }
+ */
+async function reconcilePayouts(runId, provider, providerPayouts, { internalSince, internalUntil, settledBefore }) {
+  const providerIds = providerPayouts.map(payout => payout.providerTransactionId);
+
+  const withdrawalsResult = await pool.query(
+    `SELECT id, user_id, amount, net_amount, currency, status, provider_transaction_id
+     FROM withdrawals
+     WHERE payment_provider = $1 AND provider_transaction_id = ANY($2)`,
+    [provider, providerIds]
+  );
+  const withdrawalsById = groupBy(withdrawalsResult.rows, 'provider_transaction_id');
+
+  let matched = 0;
+  let flagged = 0;
+
+  for (const payout of providerPayouts) {
+    const withdrawals = withdrawalsById.get(payout.providerTransactionId) || [];
+    const base = {
+      provider,
+      recordType: 'payout',
+      providerTransactionId: payout.providerTransactionId,
+      currency: payout.currency,
+      providerAmount: payout.amount,
+      providerStatus: payout.status,
+    };
+    const issues = [];
+
+    if (withdrawals.length === 0) {
+      issues.push({ ...base, issueType: 'missing_internal' });
+    } else {
+      const withdrawal = withdrawals[0];
+      const internal = { internalType: 'withdrawal', internalId: withdrawal.id, userId: withdrawal.user_id };
+
+      if (withdrawals.length > 1) {
+        issues.push({
+          ...base,
+          ...internal,
+          issueType: 'duplicate',
+          details: { withdrawalIds: withdrawals.map(row => row.id) },
+        });
+      }
+
+      // Payouts are sent for the net amount (after withdrawal fees)
+      const expectedAmount = withdrawal.net_amount ?? withdrawal.amount;
+      if (!amountsMatch(payout.amount, expectedAmount)) {
+        issues.push({
+          ...base,
+          ...internal,
+          issueType: 'amount_mismatch',
+          internalAmount: expectedAmount,
+        });
+      }
+
+      const internalStatus = WITHDRAWAL_STATUS_MAP[withdrawal.status] || 'pending';
+      const stillSettling = payout.createdAt >= settledBefore;
+
+      if (internalStatus !== payout.status && !stillSettling) {
+        issues.push({
+          ...base,
+          ...internal,
+          issueType: 'status_mismatch',
+          internalStatus,
+        });
+      }
+    }
+
+    if (issues.length === 0) {
+      matched++;
+    }
+    for (const issue of issues) {
+      if (await flagItem(runId, issue)) {
+        flagged++;
+      }
+    }
+  }
+
+  // Withdrawals we marked completed that the provider has no payout for
+  const seenIds = new Set(providerIds);
+  const completedWithdrawals = await pool.query(
+    `SELECT id, user_id, net_amount, amount, currency, status, provider_transaction_id
+     FROM withdrawals
+     WHERE payment_provider = $1 AND status = 'completed' AND provider_transaction_id IS NOT NULL
+       AND processed_at >= $2 AND processed_at < $3`,
+    [provider, internalSince, internalUntil]
+  );
+
+  for (const withdrawal of completedWithdrawals.rows) {
+    if (seenIds.has(withdrawal.provider_transaction_id)) {
+      continue;
+    }
+
+    const isNew = await flagItem(runId, {
+      provider,
+      recordType: 'payout',
+      issueType: 'missing_provider',
+      providerTransactionId: withdrawal.provider_transaction_id,
+      internalType: 'withdrawal',
+      internalId: withdrawal.id,
+      userId: withdrawal.user_id,
+      currency: withdrawal.currency,
+      internalAmount: withdrawal.net_amount ?? withdrawal.amount,
+      internalStatus: WITHDRAWAL_STATUS_MAP[withdrawal.status],
+    });
+    if (isNew) {
+      flagged++;
+    }
+  }
+
+  return { matched, flagged };
+}
+
+/**
+ * Reconcile one provider for a period and record the run
+ * @param {string} provider - 'stripe' or 'paystack'
+ * @param {Object} options - Options
+ * @param {Date} options.since - Start of period
+ * @param {Date} options.until - End of period
+ * @param {string} options.triggeredBy - Admin user ID (manual runs)
+ * @returns {Promise<Object>} - Run summary
+ */
+async function reconcileProvider(provider, { since, until, triggeredBy }) {
+  const runResult = await pool.query(
+    `INSERT INTO reconciliation_runs (provider, period_start, period_end, triggered_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [provider, since, until, triggeredBy || null]
+  );
+  const runId = runResult.rows[0].id;
+
+  try {
+    const padding = WINDOW_PADDING_MINUTES * 60 * 1000;
+    // Consecutive runs tile the internal windows; the provider window is wider on both sides
+    // so records created either side of a boundary still find their counterpart
+    const window = {
+      internalSince: new Date(since.getTime() - padding),
+      internalUntil: new Date(until.getTime() - padding),
+      settledBefore: new Date(Math.min(until.getTime(), Date.now() - padding)),
+    };
+    const providerRange = {
+      since: new Date(since.getTime() - 2 * padding),
+      until,
+    };
+
+    const providerPayments = await paymentService.listProviderPayments(providerRange, provider);
+    const providerPayouts = await paymentService.listProviderPayouts(providerRange, provider);
+
+    const payments = await reconcilePayments(runId, provider, providerPayments, window);
+    const payouts = await reconcilePayouts(runId, provider, providerPayouts, window);
+
+    const summary = {
+      runId,
+      provider,
+      providerPayments: providerPayments.length,
+      providerPayouts: providerPayouts.length,
+      matched: payments.matched + payouts.matched,
+      flagged: payments.flagged + payouts.flagged,
+    };
+
+    await pool.query(
+      `UPDATE reconciliation_runs
+       SET status = 'completed', provider_payments_count = $1, provider_payouts_count = $2,
+           matched_count = $3, flagged_count = $4, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [summary.providerPayments, summary.providerPayouts, summary.matched, summary.flagged, runId]
+    );
+
+    return summary;
+  } catch (error) {
+    await pool.query(
+      `UPDATE reconciliation_runs
+       SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [error.message, runId]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Reconcile provider records against ours
+ * @param {Object} options - Options
+ * @param {Date} options.since - Start of period (default: 24 hours before `until`)
+ * @param {Date} options.until - End of period (default: now)
+ * @param {Array<string>} options.providers - Providers to reconcile (default: all configured)
+ * @param {string} options.triggeredBy - Admin user ID (manual runs)
+ * @returns {Promise<Object>} - Reconciliation result
+ */
+async function reconcileProviderRecords({ since, until, providers, triggeredBy } = {}) {
+  try {
+    console.log('🔄 Starting provider reconciliation...');
+
+    const periodEnd = until || new Date();
+    const periodStart = since || new Date(periodEnd.getTime() - RECONCILIATION_WINDOW_HOURS * 60 * 60 * 1000);
+    const providersToRun = providers || paymentService.getConfiguredProviders();
+
+    if (providersToRun.length === 0) {
+      console.log('No payment providers configured, nothing to reconcile');
+    }
+
+    const runs = [];
+    let failedCount = 0;
+
+    // One provider failing (e.g. API outage) should not stop the others
+    for (const provider of providersToRun) {
+      try {
+        const summary = await reconcileProvider(provider, { since: periodStart, until: periodEnd, triggeredBy });
+        console.log(`${provider}: ${summary.matched} matched, ${summary.flagged} new issues flagged`);
+        runs.push(summary);
+      } catch (error) {
+        console.error(`Error reconciling ${provider}:`, error);
+        failedCount++;
+        runs.push({ provider, error: error.message });
+      }
+    }
+
+    const flaggedCount = runs.reduce((total, run) => total + (run.flagged || 0), 0);
+
+    console.log(`✅ Provider reconciliation completed: ${runs.length - failedCount} providers reconciled, ${flaggedCount} new issues flagged`);
+    return {
+      success: failedCount === 0,
+      periodStart,
+      periodEnd,
+      flagged: flaggedCount,
+      runs,
+    };
+  } catch (error) {
+    console.error('❌ Error in provider reconciliation:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  reconcileProviderRecords()
+    .then((result) => {
+      console.log('Provider reconciliation completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Provider reconciliation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  reconcileProviderRecords,
+};
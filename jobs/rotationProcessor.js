@@ -0,0 +1,211 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification } = require('../utils/notifications');
+const { formatAmount } = require('../utils/currency');
+const {
+  ensureRotationSlots,
+  openNextCycle,
+  closeCycle,
+} = require('../utils/rotationHelpers');
+
+/**
+ * Rotation Cycle Job
+ * Starts rotating groups on their start date, closes cycles once their due date has passed
+ * and opens the next cycle with the next member in the payout order as recipient.
+ * Should run daily (e.g., shortly after midnight, before the automatic payment job).
+ */
+
+/**
+ * Advance one rotating group to the cycle that covers today
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - { closed: [{ cycle, result }], opened: [cycle], finished }
+ */
+async function advanceGroupRotation(groupId) {
+  return withTransaction(async (client) => {
+    const groupResult = await client.query(
+      `SELECT * FROM groups WHERE id = $1 AND group_type = 'rotating' FOR UPDATE`,
+      [groupId]
+    );
+    const group = groupResult.rows[0];
+    const closed = [];
+    const opened = [];
+
+    await ensureRotationSlots(groupId, client);
+
+    const openCycleResult = await client.query(
+      `SELECT * FROM rotation_cycles WHERE group_id = $1 AND status = 'open' ORDER BY cycle_number DESC LIMIT 1`,
+      [groupId]
+    );
+    let openCycle = openCycleResult.rows[0] || null;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Catch up cycle by cycle if the job missed some days
+    while (true) {
+      if (openCycle) {
+        const dueDate = new Date(openCycle.due_date);
+        dueDate.setHours(0, 0, 0, 0);
+        if (dueDate >= today) {
+          break;
+        }
+
+        const result = await closeCycle(openCycle, client);
+        closed.push({ cycle: openCycle, result });
+      } else if ((parseInt(group.current_cycle) || 0) > 0 && closed.length === 0) {
+        // Rotation already finished on an earlier run
+        break;
+      }
+
+      const nextCycle = await openNextCycle(group, client);
+      if (!nextCycle) {
+        return { closed, opened, finished: true };
+      }
+
+      group.current_cycle = nextCycle.cycle_number;
+      opened.push(nextCycle);
+      openCycle = nextCycle;
+    }
+
+    return { closed, opened, finished: false };
+  });
+}
+
+/**
+ * Notify members about a newly opened cycle
+ * @param {Object} group - Group row
+ * @param {Object} cycle - Cycle row
+ */
+async function notifyCycleOpened(group, cycle) {
+  const recipientResult = await pool.query('SELECT name FROM users WHERE id = $1', [cycle.recipient_id]);
+  const recipientName = recipientResult.rows[0]?.name || 'A member';
+  const dueDate = new Date(cycle.due_date).toISOString().split('T')[0];
+  const amount = formatAmount(parseFloat(group.contribution_amount), group.currency);
+
+  await createNotification(
+    cycle.recipient_id,
+    'rotation_cycle_recipient',
+    'Your Payout Cycle Has Started',
+    `It's your turn to receive the pot in ${group.name} (cycle ${cycle.cycle_number}). Members pay in by ${dueDate}.`,
+    group.id,
+    null
+  );
+
+  const membersResult = await pool.query(
+    `SELECT user_id FROM group_members WHERE group_id = $1 AND status = 'active' AND user_id != $2`,
+    [group.id, cycle.recipient_id]
+  );
+
+  for (const member of membersResult.rows) {
+    try {
+      await createNotification(
+        member.user_id,
+        'rotation_cycle_opened',
+        'New Rotation Cycle',
+        `Cycle ${cycle.cycle_number} of ${group.name} has started. Pay ${amount} to ${recipientName} by ${dueDate}.`,
+        group.id,
+        cycle.recipient_id
+      );
+    } catch (error) {
+      console.error(`Error notifying member ${member.user_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Advance every active rotating group whose rotation has started
+ * @returns {Promise<Object>} - Job result
+ */
+async function processRotationCycles() {
+  try {
+    console.log('🔄 Starting rotation cycle job...');
+
+    const groupsResult = await pool.query(
+      `SELECT id, name, currency, contribution_amount, admin_id
+       FROM groups
+       WHERE group_type = 'rotating'
+         AND status = 'active'
+         AND rotation_start_date IS NOT NULL
+         AND rotation_start_date <= CURRENT_DATE`,
+      []
+    );
+
+    console.log(`Found ${groupsResult.rows.length} rotating groups to check`);
+
+    let cyclesOpened = 0;
+    let cyclesClosed = 0;
+    let rotationsFinished = 0;
+
+    for (const group of groupsResult.rows) {
+      try {
+        const { closed, opened, finished } = await advanceGroupRotation(group.id);
+        cyclesClosed += closed.length;
+        cyclesOpened += opened.length;
+
+        for (const { cycle, result } of closed) {
+          if (result.status === 'incomplete') {
+            await createNotification(
+              group.admin_id,
+              'rotation_cycle_incomplete',
+              'Rotation Cycle Closed With Missing Payments',
+              `Cycle ${cycle.cycle_number} of ${group.name} closed with ${result.confirmed} of ${result.expected} contributions confirmed.`,
+              group.id,
+              cycle.recipient_id
+            );
+          }
+        }
+
+        // Only announce the cycle that is open now, not ones skipped while catching up
+        if (opened.length > 0) {
+          await notifyCycleOpened(group, opened[opened.length - 1]);
+        }
+
+        if (finished && closed.length > 0) {
+          rotationsFinished++;
+          await createNotification(
+            group.admin_id,
+            'rotation_finished',
+            'Rotation Complete',
+            `Every member of ${group.name} has received the pot.`,
+            group.id,
+            null
+          );
+        }
+      } catch (error) {
+        console.error(`Error advancing rotation for group ${group.id}:`, error);
+      }
+    }
+
+    console.log(`✅ Rotation cycle job completed: ${cyclesOpened} cycles opened, ${cyclesClosed} closed, ${rotationsFinished} rotations finished`);
+    return {
+      success: true,
+      opened: cyclesOpened,
+      closed: cyclesClosed,
+      finished: rotationsFinished,
+    };
+  } catch (error) {
+    console.error('❌ Error in rotation cycle job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  processRotationCycles()
+    .then((result) => {
+      console.log('Rotation cycle processing completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Rotation cycle processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  advanceGroupRotation,
+  processRotationCycles,
+};
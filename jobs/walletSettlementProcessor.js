@@ -0,0 +1,74 @@
+const pool = require('../config/database');
+const { settleWalletCredit } = require('../utils/walletHelpers');
+
+/**
+ * Wallet Settlement Job
+ * Moves wallet credits from the pending to the available balance once the provider's settlement
+ * delay has passed (STRIPE_SETTLEMENT_DELAY_HOURS / PAYSTACK_SETTLEMENT_DELAY_HOURS).
+ * Should run periodically (e.g., every hour).
+ */
+
+/**
+ * Settle wallet credits that are due
+ * @returns {Promise<Object>} - { success, settled, failed }
+ */
+async function settleWalletCredits() {
+  try {
+    console.log('🔄 Starting wallet settlement job...');
+
+    const dueCredits = await pool.query(
+      `SELECT id FROM transactions
+       WHERE type = 'credit' AND settles_at IS NOT NULL AND settled_at IS NULL
+         AND settles_at <= CURRENT_TIMESTAMP
+       ORDER BY settles_at ASC
+       LIMIT 500` // Settle up to 500 credits per run
+    );
+
+    console.log(`Found ${dueCredits.rows.length} wallet credits ready to settle`);
+
+    let settledCount = 0;
+    let failureCount = 0;
+
+    for (const credit of dueCredits.rows) {
+      try {
+        const result = await settleWalletCredit(credit.id);
+        if (result.settled) {
+          settledCount++;
+        }
+      } catch (error) {
+        console.error(`Error settling wallet credit ${credit.id}:`, error);
+        failureCount++;
+      }
+    }
+
+    console.log(`✅ Wallet settlement job completed: ${settledCount} settled, ${failureCount} failed`);
+    return {
+      success: true,
+      settled: settledCount,
+      failed: failureCount,
+    };
+  } catch (error) {
+    console.error('❌ Error in wallet settlement job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Run if called directly (for testing)
+if (require.main === module) {
+  settleWalletCredits()
+    .then((result) => {
+      console.log('Wallet settlement completed:', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Wallet settlement failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  settleWalletCredits,
+};
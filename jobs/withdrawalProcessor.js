@@ -6,15 +6,23 @@ const {
 } = require('../utils/email');
 const { logPaymentAction } = require('../utils/paymentHelpers');
 const { createNotification } = require('../utils/notifications');
+const { settleWithdrawalPayout, returnWithdrawalToWallet } = require('../utils/walletHelpers');
+const { withTransaction } = require('../utils/dbTransaction');
 
 /**
  * Withdrawal Processing Job
- * Processes pending withdrawals after 24-hour hold period
+ * Processes pending withdrawals once their hold period (scheduled_at) has passed
+ * Withdrawals waiting for admin approval (pending_approval) are left alone
+ * Due withdrawals are grouped by provider and currency into payout batches (payout_batches) of up to
+ * PAYOUT_BATCH_SIZE items. Each item is paid or failed on its own, so one bad bank account doesn't
+ * hold up the rest of the batch; failed items go back to the user's wallet.
  * Should run periodically (e.g., every hour) to process eligible withdrawals
  */
 
+const PAYOUT_BATCH_SIZE = parseInt(process.env.PAYOUT_BATCH_SIZE || '100', 10); // Paystack accepts up to 100 transfers per bulk request
+
 /**
- * Process pending withdrawals that have passed the 24-hour hold period
+ * Process pending withdrawals that have passed their hold period
  * @returns {Promise<Object>} - Processing result
  */
 async function processPendingWithdrawals() {
@@ -30,310 +38,59 @@ async function processPendingWithdrawals() {
        WHERE w.status = 'pending'
          AND w.scheduled_at <= $1
        ORDER BY w.scheduled_at ASC
-       LIMIT 100`, // Process up to 100 withdrawals per run
+       LIMIT 500`, // Process up to 500 withdrawals per run
       [now]
     );
 
     console.log(`Found ${pendingWithdrawals.rows.length} withdrawals ready for processing`);
 
-    let processedCount = 0;
-    let successCount = 0;
-    let failureCount = 0;
+    if (pendingWithdrawals.rows.length === 0) {
+      console.log('✅ Withdrawal processing completed: nothing to pay out');
+      return { success: true, batches: 0, processed: 0, succeeded: 0, failed: 0 };
+    }
+
+    // Claim the withdrawals by moving them to processing (skips any another run or a cancellation got to first)
+    const claimResult = await pool.query(
+      `UPDATE withdrawals SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::uuid[]) AND status = 'pending'
+       RETURNING id`,
+      [pendingWithdrawals.rows.map(withdrawal => withdrawal.id)]
+    );
+    const claimedIds = new Set(claimResult.rows.map(row => row.id));
 
+    // Group by provider and currency
+    const groups = new Map();
     for (const withdrawal of pendingWithdrawals.rows) {
-      try {
-        // Update status to processing
-        await pool.query(
-          'UPDATE withdrawals SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['processing', withdrawal.id]
-        );
+      if (!claimedIds.has(withdrawal.id)) {
+        console.log(`Withdrawal ${withdrawal.id} is no longer pending, skipping`);
+        continue;
+      }
 
-        // Get user wallet to verify balance (in case of refunds or other adjustments)
-        const walletResult = await pool.query(
-          'SELECT balance FROM wallets WHERE user_id = $1',
-          [withdrawal.user_id]
-        );
+      const currency = withdrawal.currency;
+      const provider = withdrawal.payment_provider || paymentService.selectProvider(currency, null);
+      const key = `${provider}:${currency}`;
+      if (!groups.has(key)) {
+        groups.set(key, { provider, currency, withdrawals: [] });
+      }
+      groups.get(key).withdrawals.push(withdrawal);
+    }
 
-        // Get currency from withdrawal record (must be set)
-        const currency = withdrawal.currency;
-        if (!currency) {
-          throw new Error('Withdrawal has no currency specified');
-        }
-        const provider = withdrawal.payment_provider || paymentService.selectProvider(currency, null);
-
-        // Get currency-specific bank account details
-        // If bank_account_id exists in withdrawal, use that; otherwise get default for currency
-        let bankAccountResult;
-        if (withdrawal.bank_account_id) {
-          bankAccountResult = await pool.query(
-            `SELECT account_number, bank_name, account_name, iban, swift_bic,
-                    routing_number, sort_code, branch_code, branch_address, bank_code
-             FROM wallet_bank_accounts 
-             WHERE id = $1 AND user_id = $2 AND currency = $3`,
-            [withdrawal.bank_account_id, withdrawal.user_id, currency]
-          );
-        } else {
-          // Fallback: Get default account for currency (for old withdrawals)
-          bankAccountResult = await pool.query(
-            `SELECT account_number, bank_name, account_name, iban, swift_bic,
-                    routing_number, sort_code, branch_code, branch_address, bank_code
-             FROM wallet_bank_accounts 
-             WHERE user_id = $1 AND currency = $2
-             ORDER BY is_default DESC, created_at DESC
-             LIMIT 1`,
-            [withdrawal.user_id, currency]
-          );
-        }
-
-        if (bankAccountResult.rows.length === 0) {
-          throw new Error(`No bank account found for ${currency}. User needs to add bank account for this currency.`);
-        }
-
-        const bankAccount = bankAccountResult.rows[0];
-
-        // Prepare bank account object based on provider
-        let bankAccountForPayout;
-        if (provider === 'paystack') {
-          // For Paystack, we need bank code (required for Nigerian banks)
-          if (!bankAccount.bank_code) {
-            throw new Error(`Bank code required for ${currency} withdrawals via Paystack. Please update your bank account details.`);
-          }
-          bankAccountForPayout = {
-            accountNumber: bankAccount.account_number,
-            bankCode: bankAccount.bank_code,
-            accountName: bankAccount.account_name,
-            country: currency === 'NGN' ? 'NG' : null,
-            recipientCode: null, // Will be created if needed
-          };
-        } else {
-          // For Stripe, use routing number and other international fields
-          bankAccountForPayout = {
-            accountNumber: bankAccount.account_number,
-            routingNumber: bankAccount.routing_number, // Required for US banks
-            accountName: bankAccount.account_name,
-            country: currency === 'USD' ? 'US' : (currency === 'GBP' ? 'GB' : null),
-            iban: bankAccount.iban, // For EU/UK banks
-            swiftBic: bankAccount.swift_bic,
-            sortCode: bankAccount.sort_code, // For UK banks
-            branchCode: bankAccount.branch_code,
-          };
-        }
-
-        // Create payout
-        const payoutResult = await paymentService.createPayout({
-          amount: withdrawal.net_amount, // Net amount after fees
-          currency,
-          bankAccount: bankAccountForPayout,
-          description: `Withdrawal #${withdrawal.id}`,
-        }, provider);
-
-        processedCount++;
-
-        if (payoutResult.success) {
-          // Update withdrawal status
-          await pool.query(
-            `UPDATE withdrawals
-             SET status = 'completed', provider_transaction_id = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
-            [payoutResult.transferId || payoutResult.payoutId, withdrawal.id]
-          );
-
-          // Update transaction status
-          await pool.query(
-            `UPDATE transactions
-             SET status = 'completed'
-             WHERE reference = $1 AND type = 'withdrawal'`,
-            [withdrawal.id]
-          );
-
-          successCount++;
-
-          // Send email notification
-          try {
-            if (withdrawal.email) {
-              const netAmount = typeof withdrawal.net_amount === 'string' ? parseFloat(withdrawal.net_amount) : Number(withdrawal.net_amount);
-              const requestedAmount = typeof withdrawal.amount === 'string' ? parseFloat(withdrawal.amount) : Number(withdrawal.amount);
-              const fee = typeof withdrawal.fee === 'string' ? parseFloat(withdrawal.fee) : Number(withdrawal.fee || 0);
-              const currencySymbol = paymentService.formatCurrency(netAmount, currency).replace(/[\d.,]+/g, '');
-              await sendWithdrawalCompletedEmail(
-                withdrawal.email,
-                withdrawal.name,
-                netAmount,
-                currency,
-                currencySymbol,
-                payoutResult.transferId || payoutResult.payoutId,
-                requestedAmount,
-                fee
-              );
-            }
-          } catch (emailError) {
-            console.error('Error sending withdrawal completed email:', emailError);
-          }
-
-          // Create notification
-          try {
-            await createNotification(
-              withdrawal.user_id,
-              'withdrawal_completed',
-              'Withdrawal Completed',
-              `Your withdrawal of ${currency} ${withdrawal.net_amount} has been processed successfully.`,
-              null,
-              null
-            );
-          } catch (notificationError) {
-            console.error('Error creating withdrawal notification:', notificationError);
-          }
-
-          // Log action
-          await logPaymentAction({
-            userId: withdrawal.user_id,
-            action: 'withdrawal_completed',
-            amount: withdrawal.net_amount,
-            currency,
-            status: 'completed',
-            paymentProvider: provider,
-            metadata: {
-              withdrawalId: withdrawal.id,
-              transactionId: payoutResult.transferId || payoutResult.payoutId,
-              fee: withdrawal.fee,
-            },
-          });
-
-          console.log(`Withdrawal ${withdrawal.id} processed successfully: ${payoutResult.transferId || payoutResult.payoutId}`);
-        } else {
-          // Update withdrawal status to failed
-          await pool.query(
-            `UPDATE withdrawals
-             SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
-            [payoutResult.error || 'Payout processing failed', withdrawal.id]
-          );
-
-          // Refund amount back to currency-specific wallet balance
-          await pool.query(
-            `INSERT INTO wallet_balances (user_id, currency, balance)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (user_id, currency)
-             DO UPDATE SET 
-               balance = wallet_balances.balance + $3,
-               updated_at = CURRENT_TIMESTAMP`,
-            [withdrawal.user_id, currency, withdrawal.amount]
-          );
-
-          // Update transaction status
-          await pool.query(
-            `UPDATE transactions
-             SET status = 'failed'
-             WHERE reference = $1 AND type = 'withdrawal'`,
-            [withdrawal.id]
-          );
-
-          failureCount++;
-
-          // Send email notification
-          try {
-            if (withdrawal.email) {
-              const amount = typeof withdrawal.amount === 'string' ? parseFloat(withdrawal.amount) : Number(withdrawal.amount);
-              const currencySymbol = paymentService.formatCurrency(amount, currency).replace(/[\d.,]+/g, '');
-              await sendWithdrawalFailedEmail(
-                withdrawal.email,
-                withdrawal.name,
-                amount,
-                currency,
-                currencySymbol,
-                null // Don't pass error message to email - use generic message
-              );
-            }
-          } catch (emailError) {
-            console.error('Error sending withdrawal failed email:', emailError);
-          }
-
-          // Create notification
-          try {
-            await createNotification(
-              withdrawal.user_id,
-              'withdrawal_failed',
-              'Withdrawal Failed',
-              `Unfortunately, an error occurred while processing your withdrawal. Your funds have been returned to your wallet. Please try again.`,
-              null,
-              null
-            );
-          } catch (notificationError) {
-            console.error('Error creating withdrawal notification:', notificationError);
-          }
-
-          // Log action
-          await logPaymentAction({
-            userId: withdrawal.user_id,
-            action: 'withdrawal_failed',
-            amount: withdrawal.amount,
-            currency,
-            status: 'failed',
-            paymentProvider: provider,
-            errorMessage: payoutResult.error || 'Payout processing failed',
-            metadata: {
-              withdrawalId: withdrawal.id,
-              fee: withdrawal.fee,
-            },
-          });
-
-          console.log(`Withdrawal ${withdrawal.id} failed: ${payoutResult.error}`);
-        }
-      } catch (error) {
-        console.error(`Error processing withdrawal ${withdrawal.id}:`, error);
-
-        // Update withdrawal status to failed
-        try {
-          await pool.query(
-            `UPDATE withdrawals
-             SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
-            [error.message, withdrawal.id]
-          );
-
-          // Refund amount back to currency-specific wallet balance
-          const withdrawalCurrency = withdrawal.currency || 'NGN';
-          await pool.query(
-            `INSERT INTO wallet_balances (user_id, currency, balance)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (user_id, currency)
-             DO UPDATE SET 
-               balance = wallet_balances.balance + $3,
-               updated_at = CURRENT_TIMESTAMP`,
-            [withdrawal.user_id, withdrawalCurrency, withdrawal.amount]
-          );
-
-          failureCount++;
-
-          // Send email notification
-          try {
-            if (withdrawal.email) {
-              const amount = typeof withdrawal.amount === 'string' ? parseFloat(withdrawal.amount) : Number(withdrawal.amount);
-              const currencySymbol = paymentService.formatCurrency(amount, withdrawal.currency).replace(/[\d.,]+/g, '');
-              await sendWithdrawalFailedEmail(
-                withdrawal.email,
-                withdrawal.name,
-                amount,
-                withdrawal.currency,
-                currencySymbol,
-                null // Don't pass error message to email - use generic message
-              );
-            }
-          } catch (emailError) {
-            console.error('Error sending withdrawal failed email:', emailError);
-          }
-        } catch (updateError) {
-          console.error('Error updating failed withdrawal:', updateError);
-        }
+    const totals = { batches: 0, processed: 0, succeeded: 0, failed: 0 };
+
+    for (const { provider, currency, withdrawals } of groups.values()) {
+      for (let start = 0; start < withdrawals.length; start += PAYOUT_BATCH_SIZE) {
+        const batchResult = await processPayoutBatch(provider, currency, withdrawals.slice(start, start + PAYOUT_BATCH_SIZE));
+        totals.batches++;
+        totals.processed += batchResult.processed;
+        totals.succeeded += batchResult.succeeded;
+        totals.failed += batchResult.failed;
       }
     }
 
-    console.log(`✅ Withdrawal processing completed: ${processedCount} processed, ${successCount} succeeded, ${failureCount} failed`);
+    console.log(`✅ Withdrawal processing completed: ${totals.batches} batches, ${totals.processed} processed, ${totals.succeeded} succeeded, ${totals.failed} failed`);
     return {
       success: true,
-      processed: processedCount,
-      succeeded: successCount,
-      failed: failureCount,
+      ...totals,
     };
   } catch (error) {
     console.error('❌ Error in withdrawal processing:', error);
@@ -344,6 +101,403 @@ async function processPendingWithdrawals() {
   }
 }
 
+/**
+ * Pay one batch of claimed withdrawals (same provider and currency)
+ * @param {string} provider - Payment provider
+ * @param {string} currency - Currency code
+ * @param {Array} withdrawals - Withdrawals in processing status (joined with the user's email and name)
+ * @returns {Promise<Object>} - { batchId, processed, succeeded, failed }
+ */
+async function processPayoutBatch(provider, currency, withdrawals) {
+  const references = new Map(withdrawals.map(withdrawal => [withdrawal.id, `withdrawal_${withdrawal.id}`]));
+
+  let batchId;
+  try {
+    batchId = await withTransaction(async (client) => {
+      const totalAmount = withdrawals.reduce((sum, withdrawal) => sum + parseFloat(withdrawal.net_amount), 0);
+      const batchResult = await client.query(
+        `INSERT INTO payout_batches (payment_provider, currency, item_count, total_amount)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [provider, currency, withdrawals.length, Math.round(totalAmount * 100) / 100]
+      );
+      const id = batchResult.rows[0].id;
+
+      for (const withdrawal of withdrawals) {
+        await client.query(
+          `INSERT INTO payout_batch_items (batch_id, withdrawal_id, reference, amount)
+           VALUES ($1, $2, $3, $4)`,
+          [id, withdrawal.id, references.get(withdrawal.id), withdrawal.net_amount]
+        );
+      }
+      await client.query(
+        'UPDATE withdrawals SET payout_batch_id = $1 WHERE id = ANY($2::uuid[])',
+        [id, withdrawals.map(withdrawal => withdrawal.id)]
+      );
+
+      return id;
+    });
+  } catch (error) {
+    // Nothing was sent - hand the withdrawals back to the next run
+    console.error(`Error creating ${provider} ${currency} payout batch:`, error);
+    await pool.query(
+      `UPDATE withdrawals SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::uuid[]) AND status = 'processing' AND payout_batch_id IS NULL`,
+      [withdrawals.map(withdrawal => withdrawal.id)]
+    );
+    return { batchId: null, processed: 0, succeeded: 0, failed: 0 };
+  }
+
+  console.log(`Payout batch ${batchId}: ${withdrawals.length} ${currency} withdrawals via ${provider}`);
+
+  let succeeded = 0;
+  let failed = 0;
+
+  // Items that can't be sent (no usable bank account) fail before the batch goes out
+  const payouts = [];
+  for (const withdrawal of withdrawals) {
+    try {
+      const bankAccount = await getPayoutBankAccount(withdrawal);
+      payouts.push({
+        withdrawal,
+        payout: {
+          reference: references.get(withdrawal.id),
+          amount: withdrawal.net_amount, // Net amount after fees
+          currency,
+          // Prepare bank account object for the provider (throws if required details are missing)
+          bankAccount: paymentService.buildPayoutBankAccount(bankAccount, currency, provider),
+          description: `Withdrawal #${withdrawal.id}`,
+        },
+      });
+    } catch (error) {
+      if (await failWithdrawal(withdrawal, provider, error.message, batchId)) {
+        failed++;
+      }
+    }
+  }
+
+  let results = [];
+  if (payouts.length > 0) {
+    try {
+      results = await paymentService.createBulkPayout(payouts.map(item => item.payout), provider);
+    } catch (error) {
+      console.error(`Error sending payout batch ${batchId}:`, error);
+      results = payouts.map(item => ({ reference: item.payout.reference, success: false, error: error.message }));
+    }
+  }
+
+  const errors = new Set();
+  for (const [index, { withdrawal }] of payouts.entries()) {
+    const payoutResult = results[index] || { success: false, error: 'No payout result returned' };
+
+    if (payoutResult.success) {
+      await completeWithdrawal(withdrawal, provider, payoutResult.transferId || payoutResult.payoutId, batchId);
+      succeeded++;
+    } else {
+      errors.add(payoutResult.error || 'Payout processing failed');
+      if (await failWithdrawal(withdrawal, provider, payoutResult.error || 'Payout processing failed', batchId)) {
+        failed++;
+      }
+    }
+  }
+
+  // Batch status from the items (an item paid but not recorded stays pending and keeps the batch processing)
+  await pool.query(
+    `UPDATE payout_batches pb
+     SET succeeded_count = counts.succeeded,
+         failed_count = counts.failed,
+         status = CASE
+           WHEN counts.pending > 0 THEN 'processing'
+           WHEN counts.failed = 0 THEN 'completed'
+           WHEN counts.succeeded = 0 THEN 'failed'
+           ELSE 'partially_failed'
+         END,
+         error_message = CASE WHEN counts.succeeded = 0 THEN $2 ELSE NULL END,
+         completed_at = CASE WHEN counts.pending = 0 THEN CURRENT_TIMESTAMP ELSE NULL END
+     FROM (
+       SELECT COUNT(*) FILTER (WHERE status = 'succeeded') AS succeeded,
+              COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+              COUNT(*) FILTER (WHERE status = 'pending') AS pending
+       FROM payout_batch_items
+       WHERE batch_id = $1
+     ) counts
+     WHERE pb.id = $1`,
+    [batchId, errors.size === 1 ? [...errors][0] : null]
+  );
+
+  console.log(`Payout batch ${batchId} done: ${succeeded} succeeded, ${failed} failed`);
+  return {
+    batchId,
+    processed: succeeded + failed,
+    succeeded,
+    failed,
+  };
+}
+
+/**
+ * Bank account a withdrawal is paid to
+ * @param {Object} withdrawal - Withdrawal row
+ * @returns {Promise<Object>} - wallet_bank_accounts row (throws if there is none)
+ */
+async function getPayoutBankAccount(withdrawal) {
+  const currency = withdrawal.currency;
+
+  // Get currency-specific bank account details
+  // If bank_account_id exists in withdrawal, use that; otherwise get default for currency
+  let bankAccountResult;
+  if (withdrawal.bank_account_id) {
+    bankAccountResult = await pool.query(
+      `SELECT account_number, bank_name, account_name, iban, swift_bic,
+              routing_number, sort_code, branch_code, branch_address, bank_code
+       FROM wallet_bank_accounts 
+       WHERE id = $1 AND user_id = $2 AND currency = $3`,
+      [withdrawal.bank_account_id, withdrawal.user_id, currency]
+    );
+  } else {
+    // Fallback: Get default account for currency (for old withdrawals)
+    bankAccountResult = await pool.query(
+      `SELECT account_number, bank_name, account_name, iban, swift_bic,
+              routing_number, sort_code, branch_code, branch_address, bank_code
+       FROM wallet_bank_accounts 
+       WHERE user_id = $1 AND currency = $2
+       ORDER BY is_default DESC, created_at DESC
+       LIMIT 1`,
+      [withdrawal.user_id, currency]
+    );
+  }
+
+  if (bankAccountResult.rows.length === 0) {
+    throw new Error(`No bank account found for ${currency}. User needs to add bank account for this currency.`);
+  }
+
+  return bankAccountResult.rows[0];
+}
+
+/**
+ * Record a paid withdrawal and tell the user
+ * @param {Object} withdrawal - Withdrawal row (joined with the user's email and name)
+ * @param {string} provider - Payment provider
+ * @param {string} providerTransactionId - Provider payout or transfer reference
+ * @param {string} batchId - Payout batch ID
+ */
+async function completeWithdrawal(withdrawal, provider, providerTransactionId, batchId) {
+  const currency = withdrawal.currency;
+
+  try {
+    await withTransaction(async (client) => {
+      // Update withdrawal status
+      await client.query(
+        `UPDATE withdrawals
+         SET status = 'completed', provider_transaction_id = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [providerTransactionId, withdrawal.id]
+      );
+
+      // Settle the held withdrawal (ledger: net to bank, fee to provider)
+      await settleWithdrawalPayout({
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        fee: withdrawal.fee,
+        currency,
+        paymentProvider: provider,
+        providerTransactionId,
+      }, client);
+
+      // Update transaction status
+      await client.query(
+        `UPDATE transactions
+         SET status = 'completed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [withdrawal.id]
+      );
+
+      await client.query(
+        `UPDATE payout_batch_items
+         SET status = 'succeeded', provider_transaction_id = $1, processed_at = CURRENT_TIMESTAMP
+         WHERE withdrawal_id = $2`,
+        [providerTransactionId, withdrawal.id]
+      );
+    });
+  } catch (error) {
+    // The money has left - leave the withdrawal in processing for an admin rather than returning it to the wallet
+    console.error(`Withdrawal ${withdrawal.id} was paid (${providerTransactionId}) but could not be recorded:`, error);
+    await pool.query(
+      `UPDATE payout_batch_items
+       SET provider_transaction_id = $1, error_message = $2
+       WHERE withdrawal_id = $3`,
+      [providerTransactionId, `Paid, but recording the payout failed: ${error.message}`, withdrawal.id]
+    ).catch(updateError => console.error('Error updating payout batch item:', updateError));
+    return;
+  }
+
+  // Send email notification
+  try {
+    if (withdrawal.email) {
+      const netAmount = typeof withdrawal.net_amount === 'string' ? parseFloat(withdrawal.net_amount) : Number(withdrawal.net_amount);
+      const requestedAmount = typeof withdrawal.amount === 'string' ? parseFloat(withdrawal.amount) : Number(withdrawal.amount);
+      const fee = typeof withdrawal.fee === 'string' ? parseFloat(withdrawal.fee) : Number(withdrawal.fee || 0);
+      const currencySymbol = paymentService.formatCurrency(netAmount, currency).replace(/[\d.,]+/g, '');
+      await sendWithdrawalCompletedEmail(
+        withdrawal.email,
+        withdrawal.name,
+        netAmount,
+        currency,
+        currencySymbol,
+        providerTransactionId,
+        requestedAmount,
+        fee
+      );
+    }
+  } catch (emailError) {
+    console.error('Error sending withdrawal completed email:', emailError);
+  }
+
+  // Create notification
+  try {
+    await createNotification(
+      withdrawal.user_id,
+      'withdrawal_completed',
+      'Withdrawal Completed',
+      `Your withdrawal of ${currency} ${withdrawal.net_amount} has been processed successfully.`,
+      null,
+      null
+    );
+  } catch (notificationError) {
+    console.error('Error creating withdrawal notification:', notificationError);
+  }
+
+  // Log action
+  await logPaymentAction({
+    userId: withdrawal.user_id,
+    action: 'withdrawal_completed',
+    amount: withdrawal.net_amount,
+    currency,
+    status: 'completed',
+    paymentProvider: provider,
+    metadata: {
+      withdrawalId: withdrawal.id,
+      transactionId: providerTransactionId,
+      fee: withdrawal.fee,
+      batchId,
+    },
+  });
+
+  console.log(`Withdrawal ${withdrawal.id} processed successfully: ${providerTransactionId}`);
+}
+
+/**
+ * Fail a withdrawal this run claimed, return the funds to the wallet and tell the user
+ * @param {Object} withdrawal - Withdrawal row (joined with the user's email and name)
+ * @param {string} provider - Payment provider
+ * @param {string} errorMessage - Why the payout failed
+ * @param {string} batchId - Payout batch ID
+ * @returns {Promise<boolean>} - False if the withdrawal was no longer processing (or couldn't be updated)
+ */
+async function failWithdrawal(withdrawal, provider, errorMessage, batchId) {
+  const currency = withdrawal.currency;
+
+  try {
+    const released = await withTransaction(async (client) => {
+      // Only fail withdrawals this run claimed and didn't settle
+      const failResult = await client.query(
+        `UPDATE withdrawals
+         SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'processing'`,
+        [errorMessage, withdrawal.id]
+      );
+
+      if (failResult.rowCount === 0) {
+        return false;
+      }
+
+      // Refund amount back to currency-specific wallet balance
+      await returnWithdrawalToWallet({
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        currency,
+        reason: errorMessage,
+      }, client);
+
+      // Update transaction status
+      await client.query(
+        `UPDATE transactions
+         SET status = 'failed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [withdrawal.id]
+      );
+
+      await client.query(
+        `UPDATE payout_batch_items
+         SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP
+         WHERE withdrawal_id = $2`,
+        [errorMessage, withdrawal.id]
+      );
+
+      return true;
+    });
+
+    if (!released) {
+      return false;
+    }
+  } catch (updateError) {
+    console.error('Error updating failed withdrawal:', updateError);
+    return false;
+  }
+
+  // Send email notification
+  try {
+    if (withdrawal.email) {
+      const amount = typeof withdrawal.amount === 'string' ? parseFloat(withdrawal.amount) : Number(withdrawal.amount);
+      const currencySymbol = paymentService.formatCurrency(amount, currency).replace(/[\d.,]+/g, '');
+      await sendWithdrawalFailedEmail(
+        withdrawal.email,
+        withdrawal.name,
+        amount,
+        currency,
+        currencySymbol,
+        null // Don't pass error message to email - use generic message
+      );
+    }
+  } catch (emailError) {
+    console.error('Error sending withdrawal failed email:', emailError);
+  }
+
+  // Create notification
+  try {
+    await createNotification(
+      withdrawal.user_id,
+      'withdrawal_failed',
+      'Withdrawal Failed',
+      `Unfortunately, an error occurred while processing your withdrawal. Your funds have been returned to your wallet. Please try again.`,
+      null,
+      null
+    );
+  } catch (notificationError) {
+    console.error('Error creating withdrawal notification:', notificationError);
+  }
+
+  // Log action
+  await logPaymentAction({
+    userId: withdrawal.user_id,
+    action: 'withdrawal_failed',
+    amount: withdrawal.amount,
+    currency,
+    status: 'failed',
+    paymentProvider: provider,
+    errorMessage,
+    metadata: {
+      withdrawalId: withdrawal.id,
+      fee: withdrawal.fee,
+      batchId,
+    },
+  });
+
+  console.log(`Withdrawal ${withdrawal.id} failed: ${errorMessage}`);
+  return true;
+}
+
 // Run if called directly (for testing)
 if (require.main === module) {
   processPendingWithdrawals()
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const KEY_TTL_HOURS = 24;
+const STALE_IN_PROGRESS_MINUTES = 5; // A request that never responded frees its key after this
+const MAX_KEY_LENGTH = 255;
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Serialize a value with object keys sorted, so the same body always produces the same fingerprint
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a request (method, path and body)
+ * @param {Object} req - Express request
+ * @returns {string} - SHA-256 hex digest
+ */
+function fingerprintRequest(req) {
+  const path = `${req.baseUrl}${req.path}`;
+  // File uploads arrive as a raw Buffer or text body and are hashed as-is
+  const body = Buffer.isBuffer(req.body) || typeof req.body === 'string' ? req.body : stableStringify(req.body || {});
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${path}\n`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Resolve the user a request belongs to from its bearer token
+ * Runs before route-level authenticate, which still rejects invalid tokens afterwards
+ * @param {Object} req - Express request
+ * @returns {string|null} - User ID or null if the token is missing/invalid
+ */
+function getRequestUserId(req) {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return null;
+    }
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.userId || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Middleware to honor the Idempotency-Key header on payment and wallet endpoints
+ * - First request: runs normally; its response is stored against the key
+ * - Replay with the same request: returns the stored response (Idempotent-Replayed: true)
+ * - Reuse with a different request: rejected with 422
+ * - Replay while the first request is still running: rejected with 409
+ * Server errors (5xx), rate-limited responses and the middleware's own 409/422 rejections are not stored,
+ * so the client can retry with the same key.
+ * Requests without the header (or without a valid token) pass through untouched.
+ * Attach it per route on routers that share a mount path; a request only goes through it once either way.
+ */
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.headers[IDEMPOTENCY_HEADER];
+
+  if (!idempotencyKey || !MUTATING_METHODS.includes(req.method) || req.idempotencyHandled) {
+    return next();
+  }
+  req.idempotencyHandled = true;
+
+  if (idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      code: 'IDEMPOTENCY_KEY_INVALID',
+    });
+  }
+
+  const userId = getRequestUserId(req);
+  if (!userId) {
+    // Let authenticate reject the request
+    return next();
+  }
+
+  try {
+    const requestHash = fingerprintRequest(req);
+    const path = `${req.baseUrl}${req.path}`;
+
+    // Expired keys (and requests that never produced a response) can be reused
+    await pool.query(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = $1 AND idempotency_key = $2
+         AND (expires_at < CURRENT_TIMESTAMP
+              OR (status = 'in_progress' AND created_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval))`,
+      [userId, idempotencyKey, STALE_IN_PROGRESS_MINUTES]
+    );
+
+    const insertResult = await pool.query(
+      `INSERT INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' hours')::interval)
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [userId, idempotencyKey, req.method, path, requestHash, KEY_TTL_HOURS]
+    );
+
+    if (insertResult.rows.length === 0) {
+      const existingResult = await pool.query(
+        `SELECT request_hash, status, response_status, response_body
+         FROM idempotency_keys
+         WHERE user_id = $1 AND idempotency_key = $2`,
+        [userId, idempotencyKey]
+      );
+      const existing = existingResult.rows[0];
+
+      if (!existing) {
+        // Released between our insert and select - ask the client to retry
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is being processed. Please retry shortly.',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        });
+      }
+
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'This Idempotency-Key was already used for a different request. Use a new key for a new request.',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is being processed. Please retry shortly.',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    const recordId = insertResult.rows[0].id;
+    let settled = false;
+
+    const releaseKey = async () => {
+      try {
+        await pool.query('DELETE FROM idempotency_keys WHERE id = $1', [recordId]);
+      } catch (error) {
+        console.error('Error releasing idempotency key:', error);
+      }
+    };
+
+    // Store the response before sending it, so a retry that arrives right after sees the result
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (settled) {
+        return originalJson(body);
+      }
+      settled = true;
+
+      const statusCode = res.statusCode;
+      const isOwnRejection = typeof body?.code === 'string' && body.code.startsWith('IDEMPOTENCY_KEY_');
+      const storeResponse = statusCode >= 500 || statusCode === 429 || isOwnRejection
+        ? releaseKey()
+        : pool.query(
+          `UPDATE idempotency_keys
+           SET status = 'completed', response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+          [statusCode, JSON.stringify(body === undefined ? null : body), recordId]
+        ).catch((error) => {
+          console.error('Error storing idempotent response:', error);
+        });
+
+      storeResponse.finally(() => originalJson(body));
+      return res;
+    };
+
+    // Responses not sent through res.json leave nothing to replay
+    // (an aborted connection keeps the key - the handler may still finish and store its result)
+    res.on('finish', () => {
+      if (!settled) {
+        settled = true;
+        releaseKey();
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ error: 'Server error processing Idempotency-Key' });
+  }
+};
+
+module.exports = { idempotency };
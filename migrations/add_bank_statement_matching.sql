@@ -0,0 +1,81 @@
+-- Migration: Payment references and bank statement matching
+-- Manual contributions get a unique payment reference members put in their transfer narration.
+-- Recipients import their bank statements (CSV, MT940 or CAMT.053) and credits are matched to
+-- pending contributions by reference, or by amount and date. Matches are proposed, not applied:
+-- the recipient confirms them, and lines nothing matched wait in a review queue.
+
+-- 1. Payment references (prefix encodes the contribution type: GFB, GFS, GFG, GFR)
+ALTER TABLE birthday_contributions ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(20);
+ALTER TABLE subscription_contributions ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(20);
+ALTER TABLE general_contributions ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(20);
+ALTER TABLE rotating_contributions ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(20);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_birthday_contributions_payment_reference ON birthday_contributions(payment_reference);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscription_contributions_payment_reference ON subscription_contributions(payment_reference);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_general_contributions_payment_reference ON general_contributions(payment_reference);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rotating_contributions_payment_reference ON rotating_contributions(payment_reference);
+
+-- Contributions already awaiting confirmation get a reference derived from their ID
+UPDATE birthday_contributions SET payment_reference = 'GFB' || UPPER(SUBSTR(MD5(id::text), 1, 8))
+WHERE status = 'paid' AND payment_reference IS NULL;
+UPDATE subscription_contributions SET payment_reference = 'GFS' || UPPER(SUBSTR(MD5(id::text), 1, 8))
+WHERE status = 'paid' AND payment_reference IS NULL;
+UPDATE general_contributions SET payment_reference = 'GFG' || UPPER(SUBSTR(MD5(id::text), 1, 8))
+WHERE status = 'paid' AND payment_reference IS NULL;
+UPDATE rotating_contributions SET payment_reference = 'GFR' || UPPER(SUBSTR(MD5(id::text), 1, 8))
+WHERE status = 'paid' AND payment_reference IS NULL;
+
+COMMENT ON COLUMN birthday_contributions.payment_reference IS 'Reference the contributor puts in their bank transfer, used to match bank statement lines';
+
+-- 2. Imported bank statements
+CREATE TABLE IF NOT EXISTS bank_statement_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  bank_account_id UUID REFERENCES wallet_bank_accounts(id) ON DELETE CASCADE NOT NULL,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'mt940', 'camt053')),
+  file_name VARCHAR(255),
+  file_hash VARCHAR(64) NOT NULL, -- SHA-256 of the file, so the same statement isn't imported twice
+  currency VARCHAR(3) NOT NULL,
+  period_start DATE,
+  period_end DATE,
+  credit_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0, -- Credits already imported from an earlier (overlapping) statement
+  skipped_count INTEGER NOT NULL DEFAULT 0, -- Debits and lines in another currency
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(bank_account_id, file_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_imports_user_id ON bank_statement_imports(user_id);
+
+-- 3. Credit lines of imported statements and what they matched
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  import_id UUID REFERENCES bank_statement_imports(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  bank_account_id UUID REFERENCES wallet_bank_accounts(id) ON DELETE CASCADE NOT NULL,
+  line_number INTEGER NOT NULL,
+  booking_date DATE NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  description TEXT,
+  bank_reference VARCHAR(255),
+  counterparty VARCHAR(255),
+  fingerprint VARCHAR(64) NOT NULL, -- Identifies the line across overlapping statements
+  status VARCHAR(20) NOT NULL DEFAULT 'unmatched' CHECK (status IN ('proposed', 'unmatched', 'confirmed', 'ignored')),
+  match_method VARCHAR(20) CHECK (match_method IN ('reference', 'amount_date', 'manual')),
+  contribution_type VARCHAR(20) CHECK (contribution_type IN ('birthday', 'subscription', 'general', 'rotating')),
+  contribution_id UUID, -- Proposed or confirmed contribution (a suggestion only while unmatched)
+  match_note TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(bank_account_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_import_id ON bank_statement_lines(import_id);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_user_status ON bank_statement_lines(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_contribution ON bank_statement_lines(contribution_type, contribution_id);
+
+COMMENT ON TABLE bank_statement_lines IS 'Bank statement credits matched (or waiting to be matched) to manual contributions';
+COMMENT ON COLUMN bank_statement_lines.status IS 'proposed (match awaiting confirmation), unmatched (review queue), confirmed (contribution confirmed), ignored (not a contribution)';
@@ -0,0 +1,59 @@
+-- Migration: Card chargebacks
+-- When a contributor disputes a card payment with their bank, the recipient's wallet no longer
+-- matches money we hold. A chargeback holds the disputed amount on the recipient's wallet and marks
+-- the contribution disputed until the provider closes the dispute: a win releases the hold, a loss
+-- keeps the money out of the wallet for good.
+
+-- 1. Chargebacks (one per provider dispute)
+CREATE TABLE IF NOT EXISTS chargebacks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_provider VARCHAR(20) NOT NULL,
+  provider_dispute_id VARCHAR(255) UNIQUE NOT NULL,
+  provider_transaction_id VARCHAR(255), -- Disputed payment (Stripe PaymentIntent)
+  provider_charge_id VARCHAR(255),
+  provider_status VARCHAR(40) NOT NULL, -- Dispute status as reported by the provider
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- Recipient's wallet credit for the payment
+  contribution_type VARCHAR(20), -- 'birthday', 'subscription', 'general', 'rotating', 'guest' or 'late_fee'
+  contribution_id UUID,
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
+  recipient_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL, -- Disputed amount (what the cardholder paid, fees included)
+  hold_amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Part of the amount that was credited to the recipient
+  wallet_amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Taken from the recipient's wallet
+  shortfall_amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Not covered by the wallet; owed by the recipient if lost
+  currency VARCHAR(3) NOT NULL,
+  reason VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'won', 'lost')),
+  evidence_due_by TIMESTAMP,
+  has_evidence BOOLEAN NOT NULL DEFAULT FALSE,
+  evidence_reminder_sent_at TIMESTAMP,
+  hold_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chargebacks_status ON chargebacks(status);
+CREATE INDEX IF NOT EXISTS idx_chargebacks_evidence_due_by ON chargebacks(evidence_due_by) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_chargebacks_recipient_id ON chargebacks(recipient_id);
+
+COMMENT ON TABLE chargebacks IS 'Card payment disputes raised with the provider, and the hold they place on the recipient''s wallet';
+COMMENT ON COLUMN chargebacks.status IS 'open (funds held), won (hold released), lost (held funds returned to the cardholder)';
+
+-- 2. Chargeback status changes are recorded in the contribution audit trail
+ALTER TABLE contribution_events DROP CONSTRAINT IF EXISTS contribution_events_source_check;
+ALTER TABLE contribution_events ADD CONSTRAINT contribution_events_source_check
+  CHECK (source IN ('member', 'review', 'auto_debit', 'dispute', 'refund', 'chargeback'));
+
+-- 3. Funds held for open chargebacks
+--   'chargebacks_pending' - recipient funds held while a chargeback is open (credit-normal)
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+  CHECK (account_type IN (
+    'user_wallet', 'withdrawals_pending', 'platform_fees', 'provider_clearing', 'provider_fees', 'opening_balance',
+    'refund_receivable', 'chargebacks_pending'
+  ));
+
+-- 4. Status values added by chargebacks
+COMMENT ON COLUMN birthday_contributions.status IS 'Payment status: not_paid (not paid yet), paid (awaiting confirmation), confirmed (payment confirmed), not_received (paid but not received), refunded (auto-debit fully refunded), disputed (chargeback open), charged_back (chargeback lost)';
+COMMENT ON COLUMN automatic_payment_attempts.status IS 'pending, success, failed, retry, partially_refunded, refunded, charged_back';
@@ -0,0 +1,42 @@
+-- Migration: Disputes on contributions marked "not received"
+-- A member who paid can dispute a rejection. The recipient/admin responds by a deadline;
+-- unanswered or contested disputes go to platform admins, whose decision confirms the
+-- contribution or keeps it rejected.
+
+-- 1. Disputes
+CREATE TABLE IF NOT EXISTS contribution_disputes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  contribution_type VARCHAR(20) NOT NULL CHECK (contribution_type IN ('birthday', 'subscription', 'general', 'rotating')),
+  contribution_id UUID NOT NULL,
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  opened_by UUID REFERENCES users(id) ON DELETE SET NULL, -- The contributor
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'contested', 'escalated', 'resolved_confirmed', 'resolved_rejected', 'withdrawn')),
+  member_statement TEXT NOT NULL,
+  response TEXT, -- Recipient/admin response
+  responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP,
+  deadline_at TIMESTAMP NOT NULL, -- open: recipient/admin must respond by then; contested: member must escalate by then
+  escalated_at TIMESTAMP,
+  escalation_reason VARCHAR(30), -- 'member_request' or 'no_response'
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL, -- Platform admin (NULL when closed automatically)
+  resolved_at TIMESTAMP,
+  resolution_notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one active dispute per contribution
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contribution_disputes_active
+  ON contribution_disputes(contribution_type, contribution_id)
+  WHERE status IN ('open', 'contested', 'escalated');
+CREATE INDEX IF NOT EXISTS idx_contribution_disputes_status_deadline ON contribution_disputes(status, deadline_at);
+CREATE INDEX IF NOT EXISTS idx_contribution_disputes_group_id ON contribution_disputes(group_id);
+
+COMMENT ON TABLE contribution_disputes IS 'Member disputes of contributions marked not_received';
+COMMENT ON COLUMN contribution_disputes.status IS 'open (awaiting response), contested (response disagrees), escalated (platform admins decide), resolved_confirmed, resolved_rejected, withdrawn';
+
+-- 2. Dispute outcomes are recorded in the contribution audit trail
+ALTER TABLE contribution_events DROP CONSTRAINT IF EXISTS contribution_events_source_check;
+ALTER TABLE contribution_events ADD CONSTRAINT contribution_events_source_check
+  CHECK (source IN ('member', 'review', 'auto_debit', 'dispute'));
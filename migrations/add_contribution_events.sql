@@ -0,0 +1,33 @@
+-- Migration: Unified contribution status flow
+-- Birthday, subscription, general and rotating contributions share one status flow
+-- (not_paid -> paid -> confirmed / not_received). Every change is recorded here,
+-- whichever table the contribution lives in.
+
+-- 1. Audit trail of contribution status changes
+CREATE TABLE IF NOT EXISTS contribution_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  contribution_type VARCHAR(20) NOT NULL CHECK (contribution_type IN ('birthday', 'subscription', 'general', 'rotating')),
+  contribution_id UUID NOT NULL, -- Row in the table of contribution_type (no foreign key, it spans four tables)
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for automatic changes (auto-debit)
+  from_status VARCHAR(20), -- NULL when the contribution was created by this change
+  to_status VARCHAR(20) NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('member', 'review', 'auto_debit')),
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contribution_events_contribution ON contribution_events(contribution_type, contribution_id);
+CREATE INDEX IF NOT EXISTS idx_contribution_events_group_id ON contribution_events(group_id);
+
+COMMENT ON TABLE contribution_events IS 'Status changes of contributions of every group type (who, from, to, how)';
+COMMENT ON COLUMN contribution_events.source IS 'member (contributor marked it paid), review (recipient or admin confirmed/rejected), auto_debit (provider payment)';
+
+-- 2. Link the contributor's debit transaction as well as the recipient's credit transaction
+-- (older rows are matched by description instead)
+ALTER TABLE birthday_contributions ADD COLUMN IF NOT EXISTS debit_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+ALTER TABLE subscription_contributions ADD COLUMN IF NOT EXISTS debit_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+ALTER TABLE general_contributions ADD COLUMN IF NOT EXISTS debit_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+ALTER TABLE rotating_contributions ADD COLUMN IF NOT EXISTS debit_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN birthday_contributions.debit_transaction_id IS 'Contributor side (debit) transaction - transaction_id is the recipient side (credit)';
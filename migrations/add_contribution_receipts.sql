@@ -0,0 +1,22 @@
+-- Migration: Proof-of-payment receipts on manual contributions
+-- Members attach receipt images or PDFs to a contribution they marked as paid, so the
+-- recipient or admin can check them before confirming or rejecting it.
+
+CREATE TABLE IF NOT EXISTS contribution_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  contribution_type VARCHAR(20) NOT NULL CHECK (contribution_type IN ('birthday', 'subscription', 'general', 'rotating')),
+  contribution_id UUID NOT NULL, -- Row in the table of contribution_type
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  storage_driver VARCHAR(20) NOT NULL, -- Driver the file was written with ('local', ...)
+  storage_key VARCHAR(500) NOT NULL,
+  file_name VARCHAR(255),
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contribution_receipts_contribution ON contribution_receipts(contribution_type, contribution_id);
+
+COMMENT ON TABLE contribution_receipts IS 'Receipt files members attach to manual contributions (stored through services/storage)';
+COMMENT ON COLUMN contribution_receipts.content_type IS 'image/jpeg, image/png, image/webp or application/pdf (checked against the file contents)';
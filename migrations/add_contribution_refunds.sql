@@ -0,0 +1,59 @@
+-- Migration: Contribution refunds
+-- Admins and group admins can refund an auto-debited contribution, fully or partially. The refund
+-- is taken back from the recipient's wallet before the provider is asked to return the money, and
+-- put back if the provider refuses. A fully refunded contribution moves to the refunded status.
+
+-- 1. Refunds
+CREATE TABLE IF NOT EXISTS contribution_refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  contribution_type VARCHAR(20) NOT NULL CHECK (contribution_type IN ('birthday', 'subscription', 'general', 'rotating')),
+  contribution_id UUID NOT NULL, -- Row in the table of contribution_type
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  contributor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Gets the money back
+  recipient_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Wallet the refund is taken from
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  wallet_amount DECIMAL(10, 2) NOT NULL, -- Taken from the recipient's wallet
+  shortfall_amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Not covered by the wallet; owed by the recipient
+  currency VARCHAR(3) NOT NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  payment_provider VARCHAR(20) NOT NULL,
+  provider_transaction_id VARCHAR(255) NOT NULL, -- Payment being refunded
+  provider_refund_id VARCHAR(255),
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- Recipient's wallet debit
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_as VARCHAR(20) NOT NULL CHECK (requested_as IN ('group_admin', 'platform_admin')),
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contribution_refunds_contribution ON contribution_refunds(contribution_type, contribution_id);
+CREATE INDEX IF NOT EXISTS idx_contribution_refunds_status ON contribution_refunds(status);
+
+COMMENT ON TABLE contribution_refunds IS 'Refunds of auto-debited contributions back to the contributor';
+COMMENT ON COLUMN contribution_refunds.status IS 'pending (wallet debited, waiting on the provider), completed, failed (wallet debit returned)';
+
+-- 2. How much of each contribution has been refunded (pending refunds included)
+ALTER TABLE birthday_contributions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE subscription_contributions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE general_contributions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE rotating_contributions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- 3. Full refunds are recorded in the contribution audit trail
+ALTER TABLE contribution_events DROP CONSTRAINT IF EXISTS contribution_events_source_check;
+ALTER TABLE contribution_events ADD CONSTRAINT contribution_events_source_check
+  CHECK (source IN ('member', 'review', 'auto_debit', 'dispute', 'refund'));
+
+-- 4. Refunds the recipient's wallet couldn't cover are owed by the recipient
+--   'refund_receivable' - refunded to a contributor but not yet recovered from the recipient (debit-normal)
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+  CHECK (account_type IN (
+    'user_wallet', 'withdrawals_pending', 'platform_fees', 'provider_clearing', 'provider_fees', 'opening_balance',
+    'refund_receivable'
+  ));
+
+-- 5. Status values added by refunds
+COMMENT ON COLUMN birthday_contributions.status IS 'Payment status: not_paid (not paid yet), paid (awaiting confirmation), confirmed (payment confirmed), not_received (paid but not received), refunded (auto-debit fully refunded)';
+COMMENT ON COLUMN automatic_payment_attempts.status IS 'pending, success, failed, retry, partially_refunded, refunded';
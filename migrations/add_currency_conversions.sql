@@ -0,0 +1,41 @@
+-- Migration: Currency conversion inside the wallet
+-- A member asks for a quote to move part of their available balance in one currency into another.
+-- The quote fixes the rate and fee until it expires; accepting it debits the from-currency wallet row,
+-- credits the to-currency row and gives each side a transactions row ('conversion_out' / 'conversion_in')
+-- referencing the conversion.
+
+-- 1. Quotes and completed conversions
+CREATE TABLE IF NOT EXISTS currency_conversions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  from_currency VARCHAR(3) NOT NULL,
+  to_currency VARCHAR(3) NOT NULL,
+  from_amount DECIMAL(10, 2) NOT NULL CHECK (from_amount > 0), -- Debited from the from-currency balance, fee included
+  fee DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (fee >= 0), -- In from_currency
+  to_amount DECIMAL(10, 2) NOT NULL CHECK (to_amount > 0), -- Credited to the to-currency balance
+  rate DECIMAL(20, 8) NOT NULL CHECK (rate > 0), -- Units of to_currency per unit of from_currency
+  rate_source VARCHAR(50) NOT NULL,
+  rate_as_of TIMESTAMP,
+  status VARCHAR(20) NOT NULL DEFAULT 'quoted' CHECK (status IN ('quoted', 'completed', 'expired')),
+  expires_at TIMESTAMP NOT NULL,
+  from_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  to_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  CHECK (from_currency <> to_currency)
+);
+
+CREATE INDEX IF NOT EXISTS idx_currency_conversions_user ON currency_conversions(user_id, created_at);
+
+COMMENT ON TABLE currency_conversions IS 'Wallet currency conversion quotes and the conversions made from them';
+COMMENT ON COLUMN currency_conversions.status IS 'quoted (rate held until expires_at), completed (balances moved), expired (accepted too late)';
+
+-- 2. Currency position of the platform
+--   'fx_clearing' - per currency: credited with what members convert out of it, debited with what they
+--   convert into it (credit-normal)
+ALTER TABLE ledger_accounts DROP CONSTRAINT IF EXISTS ledger_accounts_account_type_check;
+ALTER TABLE ledger_accounts ADD CONSTRAINT ledger_accounts_account_type_check
+  CHECK (account_type IN (
+    'user_wallet', 'withdrawals_pending', 'platform_fees', 'provider_clearing', 'provider_fees', 'opening_balance',
+    'refund_receivable', 'chargebacks_pending', 'fx_clearing'
+  ));
@@ -0,0 +1,149 @@
+-- Migration: Add Double-Entry Ledger
+-- Every movement of money is recorded as a journal entry made of balanced debit and credit postings.
+-- wallet_balances stays as the fast read model; the ledger is the source of truth it is checked against.
+
+-- 1. Ledger accounts
+-- account_type:
+--   'user_wallet'         - what we owe a user in a currency (credit-normal)
+--   'withdrawals_pending' - user funds held for a requested withdrawal (credit-normal)
+--   'platform_fees'       - platform fee revenue (credit-normal)
+--   'provider_clearing'   - money collected at / paid out through a provider (debit-normal)
+--   'provider_fees'       - portion of clearing kept by the provider as processing/payout fees (credit-normal)
+--   'opening_balance'     - balances that existed before the ledger was introduced (debit-normal)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(120) UNIQUE NOT NULL, -- e.g. user_wallet:<user_id>:NGN, provider_clearing:paystack:NGN
+  account_type VARCHAR(30) NOT NULL CHECK (account_type IN (
+    'user_wallet', 'withdrawals_pending', 'platform_fees', 'provider_clearing', 'provider_fees', 'opening_balance'
+  )),
+  normal_balance VARCHAR(6) NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+  user_id UUID REFERENCES users(id) ON DELETE RESTRICT,
+  provider VARCHAR(20),
+  currency VARCHAR(3) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_type_currency ON ledger_accounts(account_type, currency);
+
+-- 2. Journal entries (one per business event)
+CREATE TABLE IF NOT EXISTS ledger_journal_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  entry_type VARCHAR(40) NOT NULL, -- 'contribution', 'withdrawal_hold', 'withdrawal_payout', 'withdrawal_reversal', 'refund', 'opening_balance'
+  currency VARCHAR(3) NOT NULL,
+  description TEXT,
+  reference_type VARCHAR(40), -- 'contribution', 'withdrawal', 'wallet_balance', ...
+  reference_id VARCHAR(255), -- ID of the record that caused the entry
+  idempotency_key VARCHAR(255) UNIQUE NOT NULL, -- Prevents the same event being posted twice
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entries_reference ON ledger_journal_entries(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entries_entry_type ON ledger_journal_entries(entry_type);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entries_created_at ON ledger_journal_entries(created_at);
+
+-- 3. Postings (debit/credit lines belonging to a journal entry)
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  journal_entry_id UUID REFERENCES ledger_journal_entries(id) ON DELETE RESTRICT NOT NULL,
+  account_id UUID REFERENCES ledger_accounts(id) ON DELETE RESTRICT NOT NULL,
+  direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount DECIMAL(14, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL,
+  memo VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal_entry_id ON ledger_postings(journal_entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+-- 4. Link transactions to the journal entry that produced them
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS journal_entry_id UUID REFERENCES ledger_journal_entries(id);
+
+-- 5. Derived account balances (positive = balance on the account's normal side)
+CREATE OR REPLACE VIEW ledger_account_balances AS
+SELECT
+  a.id AS account_id,
+  a.code,
+  a.account_type,
+  a.user_id,
+  a.provider,
+  a.currency,
+  COALESCE(SUM(
+    CASE WHEN p.direction = a.normal_balance THEN p.amount ELSE -p.amount END
+  ), 0) AS balance
+FROM ledger_accounts a
+LEFT JOIN ledger_postings p ON p.account_id = a.id
+GROUP BY a.id;
+
+-- 6. Opening balances for existing wallets and in-flight withdrawals
+INSERT INTO ledger_accounts (code, account_type, normal_balance, user_id, currency, name)
+SELECT 'user_wallet:' || wb.user_id || ':' || wb.currency, 'user_wallet', 'credit', wb.user_id, wb.currency,
+       'User wallet (' || wb.currency || ')'
+FROM wallet_balances wb
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO ledger_accounts (code, account_type, normal_balance, user_id, currency, name)
+SELECT DISTINCT 'withdrawals_pending:' || w.user_id || ':' || w.currency, 'withdrawals_pending', 'credit', w.user_id, w.currency,
+       'Pending withdrawals (' || w.currency || ')'
+FROM withdrawals w
+WHERE w.status IN ('pending', 'processing') AND w.currency IS NOT NULL
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO ledger_accounts (code, account_type, normal_balance, currency, name)
+SELECT 'opening_balance:' || c.currency, 'opening_balance', 'debit', c.currency, 'Opening balances (' || c.currency || ')'
+FROM (
+  SELECT currency FROM wallet_balances
+  UNION
+  SELECT currency FROM withdrawals WHERE status IN ('pending', 'processing') AND currency IS NOT NULL
+) c
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO ledger_journal_entries (entry_type, currency, description, reference_type, reference_id, idempotency_key)
+SELECT 'opening_balance', wb.currency, 'Opening wallet balance carried over from wallet_balances',
+       'wallet_balance', wb.id::text, 'opening_balance:wallet_balance:' || wb.id
+FROM wallet_balances wb
+WHERE wb.balance <> 0
+ON CONFLICT (idempotency_key) DO NOTHING;
+
+INSERT INTO ledger_journal_entries (entry_type, currency, description, reference_type, reference_id, idempotency_key)
+SELECT 'opening_balance', w.currency, 'Opening balance for withdrawal in progress',
+       'withdrawal', w.id::text, 'opening_balance:withdrawal:' || w.id
+FROM withdrawals w
+WHERE w.status IN ('pending', 'processing') AND w.currency IS NOT NULL AND w.amount > 0
+ON CONFLICT (idempotency_key) DO NOTHING;
+
+INSERT INTO ledger_postings (journal_entry_id, account_id, direction, amount, currency)
+SELECT je.id, ua.id, CASE WHEN wb.balance > 0 THEN 'credit' ELSE 'debit' END, ABS(wb.balance), wb.currency
+FROM wallet_balances wb
+JOIN ledger_journal_entries je ON je.idempotency_key = 'opening_balance:wallet_balance:' || wb.id
+JOIN ledger_accounts ua ON ua.code = 'user_wallet:' || wb.user_id || ':' || wb.currency
+WHERE NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.journal_entry_id = je.id)
+UNION ALL
+SELECT je.id, oa.id, CASE WHEN wb.balance > 0 THEN 'debit' ELSE 'credit' END, ABS(wb.balance), wb.currency
+FROM wallet_balances wb
+JOIN ledger_journal_entries je ON je.idempotency_key = 'opening_balance:wallet_balance:' || wb.id
+JOIN ledger_accounts oa ON oa.code = 'opening_balance:' || wb.currency
+WHERE NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.journal_entry_id = je.id);
+
+INSERT INTO ledger_postings (journal_entry_id, account_id, direction, amount, currency)
+SELECT je.id, pa.id, 'credit', w.amount, w.currency
+FROM withdrawals w
+JOIN ledger_journal_entries je ON je.idempotency_key = 'opening_balance:withdrawal:' || w.id
+JOIN ledger_accounts pa ON pa.code = 'withdrawals_pending:' || w.user_id || ':' || w.currency
+WHERE NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.journal_entry_id = je.id)
+UNION ALL
+SELECT je.id, oa.id, 'debit', w.amount, w.currency
+FROM withdrawals w
+JOIN ledger_journal_entries je ON je.idempotency_key = 'opening_balance:withdrawal:' || w.id
+JOIN ledger_accounts oa ON oa.code = 'opening_balance:' || w.currency
+WHERE NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.journal_entry_id = je.id);
+
+-- Add comments
+COMMENT ON TABLE ledger_accounts IS 'Chart of accounts for the double-entry ledger (user wallets, pending withdrawals, platform fees, provider clearing and fees)';
+COMMENT ON TABLE ledger_journal_entries IS 'One row per money-moving event. Its postings always sum to zero (debits = credits).';
+COMMENT ON TABLE ledger_postings IS 'Debit/credit lines of a journal entry. Never updated or deleted - corrections are posted as new entries.';
+COMMENT ON COLUMN ledger_journal_entries.idempotency_key IS 'Unique key for the business event (e.g. withdrawal_payout:<withdrawal_id>) so retries and duplicate webhooks post once';
+COMMENT ON VIEW ledger_account_balances IS 'Account balances derived from postings, expressed on each account''s normal side';
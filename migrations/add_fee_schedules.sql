@@ -0,0 +1,63 @@
+-- Migration: Configurable fee schedule
+-- Contribution, withdrawal, wallet transfer and currency conversion fees used to be hardcoded in
+-- PaymentService, the provider adapters and ConversionService (CONVERSION_FEE_PERCENT).
+-- They now come from fee_schedules rows (managed at /api/admin/fees), resolved by
+-- services/feeScheduleService.js. Rows are never edited once in effect: a change is a new row with
+-- a later effective_from, so every transaction can point at the exact fee version it was charged under.
+
+CREATE TABLE IF NOT EXISTS fee_schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  version SERIAL UNIQUE, -- Human-readable fee version
+  fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('contribution', 'withdrawal', 'transfer', 'conversion')),
+  -- Scope: NULL matches everything; the most specific matching row wins
+  payment_provider VARCHAR(20), -- Contribution and withdrawal fees only
+  currency VARCHAR(3), -- Conversions: the currency converted from
+  group_type VARCHAR(20), -- Contribution fees only
+  -- Contribution: fee the provider charges to collect the payment. Withdrawal: payout fee.
+  -- NULL = the provider's standard rate (see getProcessorFeeRate / getPayoutFee in services/paymentProviders)
+  -- Transfers and conversions have no provider, so only platform_fee_percent applies to them
+  processor_fee_percent DECIMAL(5, 2) CHECK (processor_fee_percent >= 0),
+  processor_fee_fixed DECIMAL(12, 2) CHECK (processor_fee_fixed >= 0),
+  platform_fee_percent DECIMAL(5, 2) DEFAULT 0 NOT NULL CHECK (platform_fee_percent >= 0),
+  is_promotion BOOLEAN DEFAULT FALSE NOT NULL, -- While it runs, a matching promotion wins over every regular row
+  effective_from TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  effective_until TIMESTAMP, -- NULL = open-ended
+  note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (effective_until IS NULL OR effective_until > effective_from),
+  CHECK (fee_type <> 'withdrawal' OR (group_type IS NULL AND platform_fee_percent = 0)), -- Withdrawal fees are pass-through
+  CHECK (fee_type NOT IN ('transfer', 'conversion')
+         OR (payment_provider IS NULL AND group_type IS NULL AND processor_fee_percent IS NULL AND processor_fee_fixed IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_lookup ON fee_schedules(fee_type, effective_from, effective_until);
+
+COMMENT ON TABLE fee_schedules IS 'Versioned contribution, withdrawal, transfer and conversion fees with per-provider, per-currency and per-group-type overrides and promotional periods';
+
+-- Defaults matching the previous hardcoded behaviour: provider rates plus a 1% platform fee on
+-- contributions, free transfers and a 1.5% conversion fee
+INSERT INTO fee_schedules (fee_type, platform_fee_percent, effective_from, note)
+SELECT 'contribution', 1, TIMESTAMP '2000-01-01', 'Default: provider processing fee + 1% platform fee'
+WHERE NOT EXISTS (SELECT 1 FROM fee_schedules WHERE fee_type = 'contribution');
+
+INSERT INTO fee_schedules (fee_type, platform_fee_percent, effective_from, note)
+SELECT 'withdrawal', 0, TIMESTAMP '2000-01-01', 'Default: provider payout fee'
+WHERE NOT EXISTS (SELECT 1 FROM fee_schedules WHERE fee_type = 'withdrawal');
+
+INSERT INTO fee_schedules (fee_type, platform_fee_percent, effective_from, note)
+SELECT 'transfer', 0, TIMESTAMP '2000-01-01', 'Default: free wallet transfers'
+WHERE NOT EXISTS (SELECT 1 FROM fee_schedules WHERE fee_type = 'transfer');
+
+INSERT INTO fee_schedules (fee_type, platform_fee_percent, effective_from, note)
+SELECT 'conversion', 1.5, TIMESTAMP '2000-01-01', 'Default: 1.5% conversion fee'
+WHERE NOT EXISTS (SELECT 1 FROM fee_schedules WHERE fee_type = 'conversion');
+
+-- Fee version each charge was priced with
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee_schedule_id UUID REFERENCES fee_schedules(id) ON DELETE SET NULL;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS fee_schedule_id UUID REFERENCES fee_schedules(id) ON DELETE SET NULL;
+ALTER TABLE currency_conversions ADD COLUMN IF NOT EXISTS fee_schedule_id UUID REFERENCES fee_schedules(id) ON DELETE SET NULL;
+ALTER TABLE wallet_transfers ADD COLUMN IF NOT EXISTS fee_schedule_id UUID REFERENCES fee_schedules(id) ON DELETE SET NULL;
+
+-- Transfer fees are paid by the sender on top of the amount sent
+ALTER TABLE wallet_transfers ADD COLUMN IF NOT EXISTS fee DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (fee >= 0);
@@ -0,0 +1,38 @@
+-- Migration: Add fundraising targets to general groups
+-- A general group can have a target amount (plus optional stretch goals above it),
+-- a minimum contribution, and a setting for who can see who gave what.
+
+-- 1. Target settings on the group
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS target_amount DECIMAL(12, 2) CHECK (target_amount IS NULL OR target_amount > 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS min_contribution_amount DECIMAL(10, 2) CHECK (min_contribution_amount IS NULL OR min_contribution_amount > 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS goal_reached_at TIMESTAMP; -- Set once when confirmed contributions first reach the target
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS contributor_visibility VARCHAR(20) DEFAULT 'public'
+  CHECK (contributor_visibility IN ('public', 'anonymous', 'admins_only'));
+
+COMMENT ON COLUMN groups.target_amount IS 'Fundraising target - only for general groups (NULL = no target)';
+COMMENT ON COLUMN groups.min_contribution_amount IS 'Smallest amount a member can give - only for general groups (NULL = any amount)';
+COMMENT ON COLUMN groups.goal_reached_at IS 'When confirmed contributions reached the target (cleared if the target is raised above the amount raised)';
+COMMENT ON COLUMN groups.contributor_visibility IS 'Who sees contributor names: public (all members), anonymous (amounts only, admins see names), admins_only (only admins see contributors)';
+
+-- 2. Stretch goals (amounts above the target)
+CREATE TABLE IF NOT EXISTS fundraising_stretch_goals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  label VARCHAR(255),
+  reached_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(group_id, amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fundraising_stretch_goals_group_id ON fundraising_stretch_goals(group_id);
+
+-- 3. Members can hide their name from other members on a single contribution
+ALTER TABLE general_contributions ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN general_contributions.is_anonymous IS 'Hide the contributor name from other members (admins still see it)';
+
+-- 4. Email preference for goal reached emails (ON by default)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_pref_fundraising_goal BOOLEAN DEFAULT TRUE;
+
+COMMENT ON COLUMN users.email_pref_fundraising_goal IS 'Email when a fundraising target or stretch goal is reached (default: true)';
@@ -0,0 +1,24 @@
+-- Migration: Add Idempotency Keys
+-- Stores the fingerprint and response of requests sent with an Idempotency-Key header,
+-- so a retried payment/wallet request returns the original result instead of running twice
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  request_hash VARCHAR(64) NOT NULL, -- SHA-256 of method, path and body
+  status VARCHAR(20) DEFAULT 'in_progress' NOT NULL CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  UNIQUE(user_id, idempotency_key) -- Keys are scoped per user
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+COMMENT ON TABLE idempotency_keys IS 'Requests made with an Idempotency-Key header and their stored responses (replayed on retry)';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'Fingerprint of the original request - reusing the key with a different request is rejected';
@@ -0,0 +1,63 @@
+-- Migration: Late fees per group
+-- A group can charge members a late fee (flat or a percentage of the contribution) once a
+-- contribution is overdue past a grace period. Each fee is its own line item that admins
+-- can waive, and every change to it is kept in late_fee_events.
+
+-- 1. Late fee rule on the group (late_fee_type NULL = no late fees)
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS late_fee_type VARCHAR(20) CHECK (late_fee_type IS NULL OR late_fee_type IN ('flat', 'percentage'));
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS late_fee_value DECIMAL(10, 2) CHECK (late_fee_value IS NULL OR late_fee_value > 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS late_fee_grace_days INTEGER DEFAULT 0 CHECK (late_fee_grace_days >= 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS late_fee_cap DECIMAL(10, 2) CHECK (late_fee_cap IS NULL OR late_fee_cap > 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS late_fee_auto_charge BOOLEAN DEFAULT FALSE;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS late_fee_effective_from DATE;
+
+COMMENT ON COLUMN groups.late_fee_type IS 'flat (late_fee_value is an amount) or percentage (late_fee_value is a percent of the contribution); NULL = no late fees';
+COMMENT ON COLUMN groups.late_fee_grace_days IS 'Days after the due date before a late fee is charged';
+COMMENT ON COLUMN groups.late_fee_cap IS 'Highest late fee per contribution (NULL = no cap)';
+COMMENT ON COLUMN groups.late_fee_auto_charge IS 'Charge late fees to the saved payment method of members with auto-pay enabled';
+COMMENT ON COLUMN groups.late_fee_effective_from IS 'Contributions due before this date never get a late fee (set when late fees are turned on)';
+
+-- 2. Late fees (one per member per missed due date)
+CREATE TABLE IF NOT EXISTS late_fees (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL, -- Member who paid late
+  recipient_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Who the late contribution (and the fee) is owed to
+  contribution_type VARCHAR(20) NOT NULL CHECK (contribution_type IN ('birthday', 'subscription', 'general', 'rotating')),
+  contribution_id UUID, -- The late contribution, if the member has started one
+  due_key VARCHAR(100) NOT NULL, -- Identifies the missed due date (e.g. 'subscription:2026-01-01', 'rotating:<cycle id>')
+  due_date DATE NOT NULL,
+  base_amount DECIMAL(10, 2) NOT NULL, -- Contribution amount the fee was calculated from
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL,
+  rule JSONB NOT NULL, -- Group rule when the fee was charged (type, value, grace_days, cap)
+  status VARCHAR(20) NOT NULL DEFAULT 'outstanding' CHECK (status IN ('outstanding', 'paid', 'waived')),
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- Credit to the recipient when paid through auto-pay
+  paid_at TIMESTAMP,
+  waived_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  waived_at TIMESTAMP,
+  waiver_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(group_id, user_id, due_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_late_fees_group_status ON late_fees(group_id, status);
+CREATE INDEX IF NOT EXISTS idx_late_fees_user_id ON late_fees(user_id);
+
+COMMENT ON TABLE late_fees IS 'Late fees charged to members for overdue contributions';
+
+-- 3. Audit trail of late fees
+CREATE TABLE IF NOT EXISTS late_fee_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  late_fee_id UUID REFERENCES late_fees(id) ON DELETE CASCADE NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for the late fee job and auto-pay
+  action VARCHAR(20) NOT NULL CHECK (action IN ('assessed', 'charge_started', 'paid', 'waived')),
+  notes TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_late_fee_events_late_fee_id ON late_fee_events(late_fee_id);
+
+COMMENT ON TABLE late_fee_events IS 'Who charged, collected or waived each late fee, and when';
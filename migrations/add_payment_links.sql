@@ -0,0 +1,56 @@
+-- Migration: Guest payment links
+-- Admins share a link to a group (or, in birthday groups, to one celebrant) that opens a hosted
+-- checkout page. People without the app enter a name and amount and pay with the provider;
+-- the payment is recorded as a guest contribution and credited to the recipient's wallet.
+
+-- 1. Payment links
+CREATE TABLE IF NOT EXISTS payment_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  celebrant_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Birthday groups: the celebrant the link collects for
+  recipient_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL, -- Whose wallet guest payments are credited to
+  token VARCHAR(32) UNIQUE NOT NULL, -- Public part of the link (/pay/:token)
+  title VARCHAR(255),
+  currency VARCHAR(3) NOT NULL,
+  min_amount DECIMAL(10, 2) NOT NULL,
+  max_amount DECIMAL(10, 2) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+  disabled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  disabled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (min_amount > 0 AND max_amount >= min_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_links_group_id ON payment_links(group_id);
+
+COMMENT ON TABLE payment_links IS 'Shareable links that let people without the app contribute through a hosted checkout';
+COMMENT ON COLUMN payment_links.min_amount IS 'Smallest amount a guest can pay through the link (max_amount is the largest)';
+
+-- 2. Guest contributions (one per checkout started from a link)
+CREATE TABLE IF NOT EXISTS guest_contributions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_link_id UUID REFERENCES payment_links(id) ON DELETE CASCADE NOT NULL,
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  recipient_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  guest_name VARCHAR(100) NOT NULL,
+  guest_email VARCHAR(255) NOT NULL,
+  message TEXT,
+  amount DECIMAL(10, 2) NOT NULL, -- What the recipient receives (the guest also pays the fees)
+  gross_amount DECIMAL(10, 2) NOT NULL, -- What the guest is charged
+  currency VARCHAR(3) NOT NULL,
+  payment_provider VARCHAR(20) NOT NULL,
+  checkout_reference VARCHAR(255), -- Stripe Checkout Session ID or Paystack transaction reference
+  provider_transaction_id VARCHAR(255), -- Set by the payment webhook (PaymentIntent ID or Paystack reference)
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_contributions_payment_link_id ON guest_contributions(payment_link_id);
+CREATE INDEX IF NOT EXISTS idx_guest_contributions_group_status ON guest_contributions(group_id, status);
+
+COMMENT ON TABLE guest_contributions IS 'Payments made through payment links by people who are not group members';
+COMMENT ON COLUMN guest_contributions.status IS 'pending (checkout started, not paid yet) or paid (credited to the recipient''s wallet)';
@@ -0,0 +1,56 @@
+-- Migration: Add Payment Reconciliation
+-- Nightly comparison of provider payments/payouts against our attempts, withdrawals and transactions
+
+-- 1. One row per reconciliation run (per provider)
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider VARCHAR(20) NOT NULL, -- 'stripe', 'paystack'
+  period_start TIMESTAMP NOT NULL,
+  period_end TIMESTAMP NOT NULL,
+  status VARCHAR(20) DEFAULT 'running' NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+  provider_payments_count INTEGER DEFAULT 0,
+  provider_payouts_count INTEGER DEFAULT 0,
+  matched_count INTEGER DEFAULT 0,
+  flagged_count INTEGER DEFAULT 0,
+  error_message TEXT,
+  triggered_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL when run by the scheduled job
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at);
+
+-- 2. Mismatches found by a run, reviewed and resolved by admins
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID REFERENCES reconciliation_runs(id) ON DELETE SET NULL, -- Run that first flagged the item
+  last_seen_run_id UUID REFERENCES reconciliation_runs(id) ON DELETE SET NULL,
+  item_key VARCHAR(500) UNIQUE NOT NULL, -- Stable key so overlapping runs don't flag the same issue twice
+  provider VARCHAR(20) NOT NULL,
+  record_type VARCHAR(20) NOT NULL CHECK (record_type IN ('payment', 'payout')),
+  issue_type VARCHAR(30) NOT NULL CHECK (issue_type IN ('missing_internal', 'missing_provider', 'duplicate', 'amount_mismatch', 'status_mismatch')),
+  provider_transaction_id VARCHAR(255),
+  internal_type VARCHAR(50), -- 'automatic_payment_attempt', 'withdrawal', 'transaction'
+  internal_id UUID,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  currency VARCHAR(3),
+  provider_amount DECIMAL(14, 2),
+  internal_amount DECIMAL(14, 2),
+  provider_status VARCHAR(30),
+  internal_status VARCHAR(30),
+  details JSONB DEFAULT '{}'::jsonb,
+  status VARCHAR(20) DEFAULT 'open' NOT NULL CHECK (status IN ('open', 'resolved', 'ignored')),
+  resolution_notes TEXT,
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_status ON reconciliation_items(status);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run_id ON reconciliation_items(run_id);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_provider_transaction_id ON reconciliation_items(provider_transaction_id);
+
+COMMENT ON TABLE reconciliation_runs IS 'Provider reconciliation runs (see jobs/reconciliationProcessor.js)';
+COMMENT ON TABLE reconciliation_items IS 'Differences between provider records and our records, for admin review';
+COMMENT ON COLUMN reconciliation_items.issue_type IS 'missing_internal: provider has it, we do not; missing_provider: we have it, provider does not; duplicate: several of our records share one provider ID; amount_mismatch / status_mismatch: both sides disagree';
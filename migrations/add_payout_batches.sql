@@ -0,0 +1,39 @@
+-- Migration: Batched withdrawal payouts
+-- jobs/withdrawalProcessor.js groups due withdrawals by provider and currency and pays each group
+-- as one batch (Paystack bulk transfer; one payout per item for providers without a bulk API).
+-- Items succeed or fail on their own: failed items are returned to the user's wallet, the rest are paid.
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_provider VARCHAR(20) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  status VARCHAR(20) DEFAULT 'processing' NOT NULL
+    CHECK (status IN ('processing', 'completed', 'partially_failed', 'failed')),
+  item_count INTEGER DEFAULT 0 NOT NULL,
+  succeeded_count INTEGER DEFAULT 0 NOT NULL,
+  failed_count INTEGER DEFAULT 0 NOT NULL,
+  total_amount DECIMAL(14, 2) DEFAULT 0 NOT NULL, -- Sum of the items' net amounts (what is sent to banks)
+  error_message TEXT, -- Set when the whole batch was rejected
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  batch_id UUID REFERENCES payout_batches(id) ON DELETE CASCADE NOT NULL,
+  withdrawal_id UUID REFERENCES withdrawals(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  reference VARCHAR(64) NOT NULL UNIQUE, -- Sent to the provider with the payout
+  amount DECIMAL(12, 2) NOT NULL, -- Net amount paid out
+  status VARCHAR(20) DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+  provider_transaction_id VARCHAR(255),
+  error_message TEXT,
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_created ON payout_batches(created_at);
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch ON payout_batch_items(batch_id);
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS payout_batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE payout_batches IS 'Withdrawals paid out together, grouped by provider and currency';
+COMMENT ON COLUMN payout_batches.status IS 'processing, completed (every item paid), partially_failed (some items failed and were returned to wallets), failed (no item paid)';
@@ -0,0 +1,33 @@
+-- Migration: Automatic scheduled payouts
+-- A user can have one payout schedule per currency. jobs/payoutScheduleProcessor.js turns due schedules
+-- into ordinary withdrawal requests (same validation, limits and holds as POST /api/withdrawals/request),
+-- paid to the bank account chosen on the schedule.
+
+CREATE TABLE IF NOT EXISTS payout_schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  bank_account_id UUID REFERENCES wallet_bank_accounts(id) ON DELETE SET NULL, -- NULL once the account is removed; the schedule is paused on its next run
+  frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'threshold', 'birthday_pot')),
+  day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6), -- Weekly schedules only (0 = Sunday)
+  threshold_amount DECIMAL(12, 2) CHECK (threshold_amount > 0), -- Threshold schedules only: pay out once the available balance reaches this
+  keep_amount DECIMAL(12, 2) DEFAULT 0 NOT NULL CHECK (keep_amount >= 0), -- Left in the wallet on every payout
+  status VARCHAR(20) DEFAULT 'active' NOT NULL CHECK (status IN ('active', 'paused')),
+  next_run_at TIMESTAMP, -- Daily and weekly schedules only
+  last_run_at TIMESTAMP,
+  last_withdrawal_id UUID REFERENCES withdrawals(id) ON DELETE SET NULL,
+  last_error TEXT, -- Why the last payout could not be requested (cleared on the next successful one)
+  last_birthday_payout_on DATE, -- Birthday whose pot was last paid out (one payout per birthday)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, currency),
+  CHECK (frequency <> 'weekly' OR day_of_week IS NOT NULL),
+  CHECK (frequency <> 'threshold' OR threshold_amount IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_schedules_due ON payout_schedules(status, frequency, next_run_at);
+
+COMMENT ON TABLE payout_schedules IS 'Automatic withdrawals to a saved bank account: daily, weekly, above a balance threshold, or after the user''s birthday pot closes';
+
+-- Withdrawals requested by a schedule rather than by hand
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS payout_schedule_id UUID REFERENCES payout_schedules(id) ON DELETE SET NULL;
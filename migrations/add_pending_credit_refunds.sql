@@ -0,0 +1,10 @@
+-- Migration: Refunds of payments that haven't settled
+-- A refund of a contribution whose wallet credit is still pending is taken out of the pending
+-- balance instead of settling the credit early. When the credit settles, only the part that
+-- wasn't refunded becomes available.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pending_refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+COMMENT ON COLUMN transactions.pending_refunded_amount IS 'Part of an unsettled credit refunded straight from the pending balance';
+
+ALTER TABLE contribution_refunds ADD COLUMN IF NOT EXISTS pending_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+COMMENT ON COLUMN contribution_refunds.pending_amount IS 'Part of wallet_amount taken from the pending balance (the credit had not settled yet)';
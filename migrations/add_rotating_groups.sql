@@ -0,0 +1,86 @@
+-- Migration: Add rotating savings (ajo/esusu) groups
+-- Every cycle each member pays the contribution amount and one member receives the pot.
+-- Members receive the pot in the order of their rotation slot.
+
+-- 1. Rotation settings on the group
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS rotation_frequency VARCHAR(20); -- 'weekly', 'biweekly', 'monthly'
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS rotation_start_date DATE; -- First day of cycle 1
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS current_cycle INTEGER DEFAULT 0; -- 0 = rotation not started yet
+
+COMMENT ON COLUMN groups.rotation_frequency IS 'Cycle length for rotating groups: weekly, biweekly or monthly';
+COMMENT ON COLUMN groups.rotation_start_date IS 'Start date of the first cycle - only for rotating groups';
+COMMENT ON COLUMN groups.current_cycle IS 'Number of the open cycle (0 until the rotation starts) - only for rotating groups';
+
+-- 2. Payout order
+-- The position constraint is deferred so two slots can be swapped in one transaction
+CREATE TABLE IF NOT EXISTS rotation_slots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER NOT NULL CHECK (position > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT rotation_slots_group_position_key UNIQUE (group_id, position) DEFERRABLE INITIALLY DEFERRED,
+  CONSTRAINT rotation_slots_group_user_key UNIQUE (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rotation_slots_group_id ON rotation_slots(group_id);
+
+-- 3. Cycles (one row per pot, created when the cycle opens)
+CREATE TABLE IF NOT EXISTS rotation_cycles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  cycle_number INTEGER NOT NULL,
+  recipient_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  period_start DATE NOT NULL,
+  due_date DATE NOT NULL, -- Last day to pay into this cycle
+  status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'completed', 'incomplete')),
+  closed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(group_id, cycle_number),
+  UNIQUE(group_id, recipient_id) -- Each member receives the pot once per rotation
+);
+
+CREATE INDEX IF NOT EXISTS idx_rotation_cycles_group_id ON rotation_cycles(group_id);
+CREATE INDEX IF NOT EXISTS idx_rotation_cycles_status_due_date ON rotation_cycles(status, due_date);
+
+COMMENT ON COLUMN rotation_cycles.status IS 'open (collecting), completed (every member paid), incomplete (closed with missing payments)';
+
+-- 4. Contributions into a cycle (same status flow as subscription contributions)
+CREATE TABLE IF NOT EXISTS rotating_contributions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  cycle_id UUID REFERENCES rotation_cycles(id) ON DELETE CASCADE NOT NULL,
+  contributor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  amount DECIMAL(10, 2) NOT NULL,
+  contribution_date DATE NOT NULL,
+  status VARCHAR(20) DEFAULT 'not_paid', -- 'not_paid', 'paid', 'confirmed', 'not_received'
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  note TEXT,
+  payment_method VARCHAR(20) DEFAULT 'manual', -- 'auto-debit', 'manual'
+  payment_provider VARCHAR(20), -- 'stripe', 'paystack', null for manual
+  provider_transaction_id VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(cycle_id, contributor_id) -- One contribution per member per cycle
+);
+
+CREATE INDEX IF NOT EXISTS idx_rotating_contributions_group_id ON rotating_contributions(group_id);
+CREATE INDEX IF NOT EXISTS idx_rotating_contributions_contributor_id ON rotating_contributions(contributor_id);
+CREATE INDEX IF NOT EXISTS idx_rotating_contributions_status ON rotating_contributions(status);
+
+-- 5. Slot swap requests between two members
+CREATE TABLE IF NOT EXISTS rotation_swap_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+  requester_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  target_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  responded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rotation_swap_requests_group_id ON rotation_swap_requests(group_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rotation_swap_requests_pending
+  ON rotation_swap_requests(group_id, requester_id, target_id) WHERE status = 'pending';
+
+COMMENT ON COLUMN groups.group_type IS 'Group type: birthday (birthday groups), subscription (subscription groups), general (general purpose groups), rotating (rotating savings groups)';
@@ -0,0 +1,11 @@
+-- Migration: Add recurrence rules to subscription groups
+-- Subscription groups with frequency 'custom' follow an RRULE-style rule
+-- (e.g. FREQ=WEEKLY;BYDAY=FR or FREQ=MONTHLY;INTERVAL=3;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1).
+-- Monthly and annual groups keep using subscription_deadline_day/month.
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS subscription_rrule VARCHAR(255);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS subscription_start_date DATE; -- First day the rule applies from (DTSTART)
+
+COMMENT ON COLUMN groups.subscription_frequency IS 'Subscription frequency: monthly, annual or custom (custom follows subscription_rrule) - only for subscription groups';
+COMMENT ON COLUMN groups.subscription_rrule IS 'Recurrence rule for custom subscription deadlines (FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS)';
+COMMENT ON COLUMN groups.subscription_start_date IS 'Start date of the recurrence rule - periods are counted from here (custom subscriptions only)';
@@ -0,0 +1,39 @@
+-- Migration: Available, pending and held wallet balances
+-- A currency balance is split into three buckets:
+--   balance         - available: can be withdrawn or spent
+--   pending_balance - payments received from the provider that haven't settled yet
+--   held_balance    - set aside for requested withdrawals and open chargebacks
+-- The user_wallet ledger account always equals balance + pending_balance (held funds have left it).
+
+-- 1. Bucket columns
+ALTER TABLE wallet_balances ADD COLUMN IF NOT EXISTS pending_balance DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+ALTER TABLE wallet_balances ADD COLUMN IF NOT EXISTS held_balance DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+
+COMMENT ON COLUMN wallet_balances.balance IS 'Available balance (withdrawable)';
+COMMENT ON COLUMN wallet_balances.pending_balance IS 'Received payments waiting for provider settlement';
+COMMENT ON COLUMN wallet_balances.held_balance IS 'Held for withdrawals being paid out and open chargebacks';
+
+-- 2. Settlement of wallet credits (NULL settles_at: credited before settlement tracking, already available)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS settles_at TIMESTAMP;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_unsettled_credits ON transactions(settles_at)
+  WHERE type = 'credit' AND settles_at IS NOT NULL AND settled_at IS NULL;
+
+-- 3. Funds already taken out of balance for withdrawals and chargebacks are held
+UPDATE wallet_balances wb
+SET held_balance = held.amount
+FROM (
+  SELECT user_id, currency, SUM(amount) AS amount
+  FROM (
+    SELECT user_id, currency, amount
+    FROM withdrawals
+    WHERE status IN ('pending', 'processing') AND currency IS NOT NULL
+    UNION ALL
+    SELECT recipient_id, currency, wallet_amount
+    FROM chargebacks
+    WHERE status = 'open' AND recipient_id IS NOT NULL
+  ) AS held_funds
+  GROUP BY user_id, currency
+) AS held
+WHERE held.user_id = wb.user_id AND held.currency = wb.currency AND wb.held_balance = 0;
@@ -0,0 +1,25 @@
+-- Migration: Wallet transfers between users
+-- Members can send part of their available wallet balance to another user in the same currency,
+-- found by email, phone number or as a member of a group they share. Both sides get a transactions
+-- row ('transfer_out' for the sender, 'transfer_in' for the recipient) referencing the transfer.
+
+CREATE TABLE IF NOT EXISTS wallet_transfers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  recipient_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL,
+  note VARCHAR(140),
+  recipient_lookup VARCHAR(20) NOT NULL CHECK (recipient_lookup IN ('email', 'phone', 'group_member')),
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL, -- Shared group the recipient was picked from
+  sender_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  recipient_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  journal_entry_id UUID REFERENCES ledger_journal_entries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transfers_sender ON wallet_transfers(sender_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_wallet_transfers_recipient ON wallet_transfers(recipient_id, created_at);
+
+COMMENT ON TABLE wallet_transfers IS 'Money sent from one user''s available wallet balance to another''s';
+COMMENT ON COLUMN wallet_transfers.recipient_lookup IS 'How the sender picked the recipient: email, phone or group_member';
@@ -0,0 +1,5 @@
+-- Migration: User-initiated withdrawal cancellation
+-- A withdrawal can be cancelled by its owner until the processor claims it for payout.
+-- The held funds go back to the available balance and the withdrawal's transaction is marked cancelled.
+
+COMMENT ON COLUMN withdrawals.status IS 'pending_approval (waiting for an admin), pending (held until scheduled_at), processing, completed, failed, rejected (declined by an admin, funds returned), cancelled (cancelled by the user before payout, funds returned)';
@@ -0,0 +1,55 @@
+-- Migration: Withdrawal velocity limits and risk holds
+-- Withdrawals used to wait a fixed 24 hours. Each request is now assessed against daily and monthly
+-- limits, and the hold is extended when the payout account, password or device changed recently.
+-- Amounts over the approval threshold wait for a platform admin (status 'pending_approval').
+-- Every decision is written to payment_audit_log (action 'withdrawal_risk_decision') with its reason codes.
+
+-- 1. Configurable limits
+-- A row without user_id sets the limits for a currency; a row with user_id overrides them for one user.
+-- NULL columns fall back to the currency row, then to the defaults in services/withdrawalRiskService.js
+CREATE TABLE IF NOT EXISTS withdrawal_limits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  currency VARCHAR(3) NOT NULL,
+  daily_limit DECIMAL(12, 2) CHECK (daily_limit >= 0),
+  monthly_limit DECIMAL(12, 2) CHECK (monthly_limit >= 0),
+  approval_threshold DECIMAL(12, 2) CHECK (approval_threshold >= 0), -- Single withdrawals above this need admin approval
+  note TEXT,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_withdrawal_limits_currency ON withdrawal_limits(currency) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_withdrawal_limits_user_currency ON withdrawal_limits(user_id, currency) WHERE user_id IS NOT NULL;
+
+COMMENT ON TABLE withdrawal_limits IS 'Withdrawal limits per currency (user_id NULL) and per-user overrides';
+
+-- 2. Risk signals
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+-- When the payout destination (account number, IBAN, routing details) last changed
+ALTER TABLE wallet_bank_accounts ADD COLUMN IF NOT EXISTS details_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+UPDATE wallet_bank_accounts SET details_changed_at = created_at WHERE details_changed_at IS NULL OR details_changed_at > created_at;
+
+-- Devices a user has signed in or withdrawn from (X-Device-Id header, or the user agent when the app sends none)
+CREATE TABLE IF NOT EXISTS user_devices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  device_key VARCHAR(64) NOT NULL, -- SHA-256 of the device identifier
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, device_key)
+);
+
+-- 3. Withdrawal risk outcome
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS hold_reasons JSONB; -- Reason codes that extended the hold or required approval
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user_created ON withdrawals(user_id, currency, created_at);
+
+COMMENT ON COLUMN withdrawals.status IS 'pending_approval (waiting for an admin), pending (held until scheduled_at), processing, completed, failed, rejected (declined by an admin, funds returned)';
@@ -47,39 +47,73 @@ const migrations = [
   'add_currency_bank_accounts.sql',
   'add_email_preferences.sql',
   'add_inapp_push_notification_preferences.sql',
-  'add_two_factor_authentication.sql'
+  'add_two_factor_authentication.sql',
+  'add_double_entry_ledger.sql',
+  'add_idempotency_keys.sql',
+  'add_payment_reconciliation.sql',
+  'add_rotating_groups.sql',
+  'add_fundraising_targets.sql',
+  'add_subscription_recurrence.sql',
+  'add_contribution_events.sql',
+  'add_contribution_receipts.sql',
+  'add_contribution_disputes.sql',
+  'add_late_fees.sql',
+  'add_bank_statement_matching.sql',
+  'add_payment_links.sql',
+  'add_contribution_refunds.sql',
+  'add_chargebacks.sql',
+  'add_wallet_balance_buckets.sql',
+  'add_wallet_transfers.sql',
+  'add_currency_conversions.sql',
+  'add_withdrawal_risk_controls.sql',
+  'add_withdrawal_cancellation.sql',
+  'add_payout_schedules.sql',
+  'add_payout_batches.sql',
+  'add_fee_schedules.sql',
+  'add_pending_credit_refunds.sql'
 ];
 
+/**
+ * Apply every migration in order (each one is safe to re-run)
+ * @param {Object} db - Pool or client to run them on (defaults to the app pool)
+ * @param {Object} options - Options
+ * @param {Function} options.log - Progress logger (defaults to console.log)
+ * @returns {Promise<void>}
+ */
+async function applyMigrations(db = pool, { log = console.log } = {}) {
+  for (const migration of migrations) {
+    const migrationPath = path.join(__dirname, migration);
+    
+    if (!fs.existsSync(migrationPath)) {
+      log(`⚠️  Skipping ${migration} (file not found)`);
+      continue;
+    }
+    
+    log(`📄 Running ${migration}...`);
+    const sql = fs.readFileSync(migrationPath, 'utf8');
+    
+    try {
+      await db.query(sql);
+      log(`✅ ${migration} completed successfully\n`);
+    } catch (error) {
+      // If it's a "already exists" error, that's okay for IF NOT EXISTS statements
+      if (error.message.includes('already exists') || 
+          error.message.includes('duplicate') ||
+          error.code === '42P07' || // duplicate_table
+          error.code === '42710') { // duplicate_object
+        log(`ℹ️  ${migration} skipped (already applied)\n`);
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
 async function runAllMigrations() {
   try {
     console.log('🚀 Starting database migrations...\n');
     
-    for (const migration of migrations) {
-      const migrationPath = path.join(__dirname, migration);
-      
-      if (!fs.existsSync(migrationPath)) {
-        console.log(`⚠️  Skipping ${migration} (file not found)`);
-        continue;
-      }
-      
-      console.log(`📄 Running ${migration}...`);
-      const sql = fs.readFileSync(migrationPath, 'utf8');
-      
-      try {
-        await pool.query(sql);
-        console.log(`✅ ${migration} completed successfully\n`);
-      } catch (error) {
-        // If it's a "already exists" error, that's okay for IF NOT EXISTS statements
-        if (error.message.includes('already exists') || 
-            error.message.includes('duplicate') ||
-            error.code === '42P07' || // duplicate_table
-            error.code === '42710') { // duplicate_object
-          console.log(`ℹ️  ${migration} skipped (already applied)\n`);
-        } else {
-          throw error;
-        }
-      }
-    }
+    await applyMigrations();
     
     console.log('✅ All database migrations completed successfully!');
     process.exit(0);
@@ -89,4 +123,11 @@ async function runAllMigrations() {
   }
 }
 
-runAllMigrations();
+if (require.main === module) {
+  runAllMigrations();
+}
+
+module.exports = {
+  migrations,
+  applyMigrations,
+};
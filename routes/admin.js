@@ -6,6 +6,20 @@ const { requireAdmin } = require('../middleware/admin');
 const { adminLimiter } = require('../middleware/rateLimiter');
 const { generateOTP } = require('../utils/helpers');
 const { sendOTPEmail } = require('../utils/email');
+const contributionService = require('../services/contributionService');
+const disputeService = require('../services/disputeService');
+const refundService = require('../services/refundService');
+const chargebackService = require('../services/chargebackService');
+const withdrawalRiskService = require('../services/withdrawalRiskService');
+const feeScheduleService = require('../services/feeScheduleService');
+const paymentService = require('../services/paymentService');
+const {
+  formatReceipt,
+  getReceipts,
+  getReceiptsForContributions,
+  readReceiptFile,
+  getReceiptHeaders,
+} = require('../utils/receiptHelpers');
 
 const router = express.Router();
 
@@ -841,10 +855,12 @@ router.get('/contributions', async (req, res) => {
     const total = parseInt(countResult.rows[0].total);
 
     const result = await pool.query(query, params);
+    const receiptsByContribution = await getReceiptsForContributions(result.rows, '/api/admin/contributions');
 
     res.json({
       contributions: result.rows.map(contribution => ({
         ...contribution,
+        receipts: receiptsByContribution.get(`${contribution.contribution_type}:${contribution.id}`) || [],
         amount: parseFloat(contribution.amount),
         payment_method: contribution.payment_method || 'manual', // 'auto-debit' or 'manual'
         payment_provider: contribution.payment_provider || null, // 'stripe', 'paystack', or null
@@ -879,6 +895,32 @@ router.get('/contributions', async (req, res) => {
   }
 });
 
+// Download a contribution receipt
+router.get('/contributions/:type/:contributionId/receipts/:receiptId', async (req, res) => {
+  try {
+    const { type, contributionId, receiptId } = req.params;
+    if (!contributionService.hasType(type)) {
+      return res.status(404).json({ error: 'Unknown contribution type' });
+    }
+
+    const receipt = (await getReceipts(type, contributionId)).find(row => row.id === receiptId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const data = await readReceiptFile(receipt);
+    if (!data) {
+      return res.status(404).json({ error: 'Receipt file not found' });
+    }
+
+    res.set(getReceiptHeaders(receipt, data));
+    res.send(data);
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({ error: 'Server error downloading receipt' });
+  }
+});
+
 // Get system statistics
 router.get('/stats', async (req, res) => {
   try {
@@ -1360,6 +1402,7 @@ router.post('/contributions/send-monthly-newsletter', async (req, res) => {
     const { createNotification } = require('../utils/notifications');
     const { sendMonthlyNewsletter } = require('../utils/email');
     const { formatAmount } = require('../utils/currency');
+    const { getNextSubscriptionDeadline } = require('../utils/recurrenceHelpers');
     
     const results = {
       sent: 0,
@@ -1410,7 +1453,8 @@ router.post('/contributions/send-monthly-newsletter', async (req, res) => {
         const groupsResult = await pool.query(
           `SELECT g.id, g.name, g.contribution_amount, g.currency, g.group_type,
                   g.subscription_frequency, g.subscription_platform, 
-                  g.subscription_deadline_day, g.subscription_deadline_month, g.deadline
+                  g.subscription_deadline_day, g.subscription_deadline_month,
+                  g.subscription_rrule, g.subscription_start_date, g.deadline
            FROM groups g
            JOIN group_members gm ON g.id = gm.group_id
            WHERE gm.user_id = $1 AND gm.status = 'active' AND g.status = 'active'`,
@@ -1476,6 +1520,20 @@ router.post('/contributions/send-monthly-newsletter', async (req, res) => {
                   deadlineDay: group.subscription_deadline_day
                 });
               }
+            } else if (group.subscription_frequency === 'custom') {
+              // Custom recurrences - include the first deadline of the rule that falls in current month
+              const next = getNextSubscriptionDeadline(group, new Date(currentYear, currentMonth, 1));
+              if (next && next.deadline.getMonth() === currentMonth && next.deadline.getFullYear() === currentYear) {
+                subscriptionGroups.push({
+                  groupId: group.id,
+                  groupName: group.name,
+                  currency: group.currency || 'NGN',
+                  contributionAmount: parseFloat(group.contribution_amount),
+                  subscriptionPlatform: group.subscription_platform,
+                  subscriptionFrequency: group.subscription_frequency,
+                  deadlineDay: next.deadline.getDate()
+                });
+              }
             }
           } else if (group.group_type === 'general' && group.deadline) {
             // Check if general group deadline is in current month
@@ -2570,6 +2628,366 @@ router.put('/reports/:reportId', [
   }
 });
 
+// Get all contribution disputes
+router.get('/disputes', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      contribution_type,
+      group_id,
+      overdue
+    } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let query = `
+      SELECT
+        d.*,
+        g.name as group_name, g.group_type, g.currency,
+        opener.name as opened_by_name, opener.email as opened_by_email,
+        responder.name as responded_by_name,
+        resolver.name as resolved_by_name
+      FROM contribution_disputes d
+      LEFT JOIN groups g ON d.group_id = g.id
+      LEFT JOIN users opener ON d.opened_by = opener.id
+      LEFT JOIN users responder ON d.responded_by = responder.id
+      LEFT JOIN users resolver ON d.resolved_by = resolver.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      query += ` AND d.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (contribution_type) {
+      query += ` AND d.contribution_type = $${paramCount}`;
+      params.push(contribution_type);
+      paramCount++;
+    }
+
+    if (group_id) {
+      query += ` AND d.group_id = $${paramCount}`;
+      params.push(group_id);
+      paramCount++;
+    }
+
+    if (overdue === 'true') {
+      query += ` AND d.status IN ('open', 'contested') AND d.deadline_at <= CURRENT_TIMESTAMP`;
+    }
+
+    // Get total count for pagination
+    const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
+    const countResult = await pool.query(countQuery, params);
+    const total = parseInt(countResult.rows[0]?.total || 0);
+
+    // Escalated disputes first - they are waiting on a platform admin
+    query += ` ORDER BY (d.status = 'escalated') DESC, d.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(parseInt(limit), offset);
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      disputes: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        total_pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Server error fetching disputes' });
+  }
+});
+
+// Get a specific dispute with the contribution, its receipts and status history
+router.get('/disputes/:disputeId', async (req, res) => {
+  try {
+    const loaded = await disputeService.getDispute(req.params.disputeId);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const { dispute, contribution } = loaded;
+    const receipts = (await getReceipts(dispute.contribution_type, dispute.contribution_id))
+      .map(receipt => formatReceipt(receipt, '/api/admin/contributions'));
+
+    const eventsResult = await pool.query(
+      `SELECT e.id, e.from_status, e.to_status, e.source, e.metadata, e.created_at,
+              e.actor_id, actor.name as actor_name
+       FROM contribution_events e
+       LEFT JOIN users actor ON e.actor_id = actor.id
+       WHERE e.contribution_type = $1 AND e.contribution_id = $2
+       ORDER BY e.created_at ASC`,
+      [dispute.contribution_type, dispute.contribution_id]
+    );
+
+    res.json({
+      dispute: disputeService.formatDispute(dispute, contribution, receipts),
+      contribution_events: eventsResult.rows
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Server error fetching dispute' });
+  }
+});
+
+// Resolve a dispute: confirmed (contribution becomes confirmed) or rejected (stays not received)
+router.put('/disputes/:disputeId', [
+  body('outcome').isIn(['confirmed', 'rejected']).withMessage('Outcome must be confirmed or rejected'),
+  body('resolution_notes').optional().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { outcome, resolution_notes } = req.body;
+    const result = await disputeService.resolve({
+      disputeId: req.params.disputeId,
+      adminId: req.user.id,
+      outcome,
+      notes: resolution_notes,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Dispute resolved successfully',
+      dispute: result.dispute
+    });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ error: 'Server error resolving dispute' });
+  }
+});
+
+// Get contribution refunds
+router.get('/refunds', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      contribution_type,
+      group_id
+    } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let query = `
+      SELECT
+        r.*,
+        g.name as group_name,
+        contributor.name as contributor_name,
+        recipient.name as recipient_name,
+        requester.name as requested_by_name
+      FROM contribution_refunds r
+      LEFT JOIN groups g ON r.group_id = g.id
+      LEFT JOIN users contributor ON r.contributor_id = contributor.id
+      LEFT JOIN users recipient ON r.recipient_id = recipient.id
+      LEFT JOIN users requester ON r.requested_by = requester.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      query += ` AND r.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (contribution_type) {
+      query += ` AND r.contribution_type = $${paramCount}`;
+      params.push(contribution_type);
+      paramCount++;
+    }
+
+    if (group_id) {
+      query += ` AND r.group_id = $${paramCount}`;
+      params.push(group_id);
+      paramCount++;
+    }
+
+    const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
+    const countResult = await pool.query(countQuery, params);
+    const total = parseInt(countResult.rows[0]?.total || 0);
+
+    query += ` ORDER BY r.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(parseInt(limit), offset);
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      refunds: result.rows.map(refund => refundService.formatRefund(refund)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        total_pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ error: 'Server error fetching refunds' });
+  }
+});
+
+// Refund an auto-debited contribution, fully or partially
+// cover_shortfall refunds even when the recipient's wallet is short; the difference is owed by the recipient
+router.post('/contributions/:type/:contributionId/refunds', [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason can be at most 500 characters'),
+  body('cover_shortfall').optional().isBoolean().withMessage('cover_shortfall must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await refundService.refundContribution({
+      type: req.params.type,
+      contributionId: req.params.contributionId,
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason: req.body.reason,
+      requestedBy: req.user.id,
+      asPlatformAdmin: true,
+      coverShortfall: req.body.cover_shortfall === true || req.body.cover_shortfall === 'true',
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        error: result.error,
+        balance: result.balance,
+        refund: result.refund ? refundService.formatRefund(result.refund) : undefined,
+      });
+    }
+
+    res.status(201).json({
+      message: 'Contribution refunded successfully',
+      refund: refundService.formatRefund(result.refund)
+    });
+  } catch (error) {
+    console.error('Admin refund contribution error:', error);
+    res.status(500).json({ error: 'Server error refunding contribution' });
+  }
+});
+
+// Get card chargebacks
+router.get('/chargebacks', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      group_id,
+      evidence_due
+    } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let query = `
+      SELECT
+        cb.*,
+        g.name as group_name,
+        recipient.name as recipient_name, recipient.email as recipient_email
+      FROM chargebacks cb
+      LEFT JOIN groups g ON cb.group_id = g.id
+      LEFT JOIN users recipient ON cb.recipient_id = recipient.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      query += ` AND cb.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (group_id) {
+      query += ` AND cb.group_id = $${paramCount}`;
+      params.push(group_id);
+      paramCount++;
+    }
+
+    if (evidence_due === 'true') {
+      query += ` AND cb.status = 'open' AND cb.has_evidence = false AND cb.evidence_due_by IS NOT NULL`;
+    }
+
+    const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
+    const countResult = await pool.query(countQuery, params);
+    const total = parseInt(countResult.rows[0]?.total || 0);
+
+    // Open chargebacks with the nearest evidence deadline first
+    query += ` ORDER BY (cb.status = 'open') DESC, cb.evidence_due_by ASC NULLS LAST, cb.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(parseInt(limit), offset);
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      chargebacks: result.rows.map(chargeback => chargebackService.formatChargeback(chargeback)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        total_pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get chargebacks error:', error);
+    res.status(500).json({ error: 'Server error fetching chargebacks' });
+  }
+});
+
+// Get a specific chargeback with the contribution's status history
+router.get('/chargebacks/:chargebackId', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT cb.*, g.name as group_name, recipient.name as recipient_name, recipient.email as recipient_email
+       FROM chargebacks cb
+       LEFT JOIN groups g ON cb.group_id = g.id
+       LEFT JOIN users recipient ON cb.recipient_id = recipient.id
+       WHERE cb.id = $1`,
+      [req.params.chargebackId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Chargeback not found' });
+    }
+    const chargeback = result.rows[0];
+
+    let contributionEvents = [];
+    if (chargeback.contribution_id && contributionService.hasType(chargeback.contribution_type)) {
+      const eventsResult = await pool.query(
+        `SELECT e.id, e.from_status, e.to_status, e.source, e.metadata, e.created_at,
+                e.actor_id, actor.name as actor_name
+         FROM contribution_events e
+         LEFT JOIN users actor ON e.actor_id = actor.id
+         WHERE e.contribution_type = $1 AND e.contribution_id = $2
+         ORDER BY e.created_at ASC`,
+        [chargeback.contribution_type, chargeback.contribution_id]
+      );
+      contributionEvents = eventsResult.rows;
+    }
+
+    res.json({
+      chargeback: chargebackService.formatChargeback(chargeback),
+      contribution_events: contributionEvents
+    });
+  } catch (error) {
+    console.error('Get chargeback error:', error);
+    res.status(500).json({ error: 'Server error fetching chargeback' });
+  }
+});
+
 // Preview custom email HTML (admin only)
 router.post('/emails/preview', [
   body('subject').trim().notEmpty().withMessage('Subject is required'),
@@ -2952,15 +3370,15 @@ router.post('/withdrawals/process-pending', async (req, res) => {
 // Get all withdrawals (with filters)
 router.get('/withdrawals', async (req, res) => {
   try {
-    const { status, userId, page = 1, limit = 50 } = req.query;
+    const { status, userId, batchId, page = 1, limit = 50 } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
     let query = `
       SELECT 
         w.id, w.amount, w.currency, w.status, w.fee, w.net_amount,
         w.payment_provider, w.provider_transaction_id,
-        w.scheduled_at, w.processed_at, w.error_message,
-        w.created_at, w.updated_at,
+        w.scheduled_at, w.processed_at, w.error_message, w.hold_reasons, w.reviewed_at,
+        w.payout_batch_id, w.created_at, w.updated_at,
         w.bank_account_number, w.bank_name, w.account_name,
         u.id as user_id, u.name as user_name, u.email as user_email,
         COALESCE(wba.account_number, w.bank_account_number) as account_number,
@@ -2984,6 +3402,11 @@ router.get('/withdrawals', async (req, res) => {
       params.push(userId);
     }
 
+    if (batchId) {
+      query += ` AND w.payout_batch_id = $${paramCount++}`;
+      params.push(batchId);
+    }
+
     // Get total count
     let countQuery = `
       SELECT COUNT(*) as total
@@ -3003,6 +3426,11 @@ router.get('/withdrawals', async (req, res) => {
       countParams.push(userId);
     }
 
+    if (batchId) {
+      countQuery += ` AND w.payout_batch_id = $${countParamCount++}`;
+      countParams.push(batchId);
+    }
+
     const countResult = await pool.query(countQuery, countParams);
     const total = parseInt(countResult.rows[0].total);
 
@@ -3034,6 +3462,9 @@ router.get('/withdrawals', async (req, res) => {
         scheduled_at: w.scheduled_at,
         processed_at: w.processed_at,
         error_message: w.error_message,
+        hold_reasons: w.hold_reasons || [],
+        reviewed_at: w.reviewed_at,
+        payout_batch_id: w.payout_batch_id,
         created_at: w.created_at,
         updated_at: w.updated_at,
       })),
@@ -3050,34 +3481,439 @@ router.get('/withdrawals', async (req, res) => {
   }
 });
 
-// Get withdrawal details
-router.get('/withdrawals/:withdrawalId', async (req, res) => {
+// Get payout batches created by the withdrawal processor (with filters)
+router.get('/withdrawals/batches', async (req, res) => {
   try {
-    const { withdrawalId } = req.params;
+    const { status, provider, currency, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    const result = await pool.query(
-      `SELECT w.*, u.name, u.email
-       FROM withdrawals w
-       JOIN users u ON w.user_id = u.id
-       WHERE w.id = $1`,
-      [withdrawalId]
-    );
+    const conditions = [];
+    const params = [];
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Withdrawal not found' });
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (provider) {
+      params.push(provider);
+      conditions.push(`payment_provider = $${params.length}`);
     }
 
+    if (currency) {
+      params.push(String(currency).toUpperCase());
+      conditions.push(`currency = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*) as total FROM payout_batches ${where}`, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await pool.query(
+      `SELECT * FROM payout_batches ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, parseInt(limit), offset]
+    );
+
     res.json({
-      withdrawal: result.rows[0],
+      batches: result.rows.map(batch => ({
+        id: batch.id,
+        payment_provider: batch.payment_provider,
+        currency: batch.currency,
+        status: batch.status,
+        item_count: batch.item_count,
+        succeeded_count: batch.succeeded_count,
+        failed_count: batch.failed_count,
+        total_amount: parseFloat(batch.total_amount),
+        error_message: batch.error_message,
+        created_at: batch.created_at,
+        completed_at: batch.completed_at,
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
     });
   } catch (error) {
-    console.error('Get withdrawal details error:', error);
-    res.status(500).json({ error: 'Server error retrieving withdrawal details', message: error.message });
+    console.error('Get payout batches error:', error);
+    res.status(500).json({ error: 'Server error retrieving payout batches', message: error.message });
   }
 });
 
-// Get all autopay payment attempts (with filters)
-router.get('/autopay/attempts', async (req, res) => {
+// Get a payout batch with the result of each withdrawal in it
+router.get('/withdrawals/batches/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const batchResult = await pool.query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Payout batch not found' });
+    }
+
+    const itemsResult = await pool.query(
+      `SELECT pbi.*, w.amount as withdrawal_amount, w.fee, w.status as withdrawal_status,
+              u.id as user_id, u.name as user_name, u.email as user_email
+       FROM payout_batch_items pbi
+       JOIN withdrawals w ON pbi.withdrawal_id = w.id
+       JOIN users u ON w.user_id = u.id
+       WHERE pbi.batch_id = $1
+       ORDER BY pbi.status = 'succeeded', u.name`, // Failed and unrecorded items first
+      [batchId]
+    );
+
+    const batch = batchResult.rows[0];
+
+    res.json({
+      batch: {
+        id: batch.id,
+        payment_provider: batch.payment_provider,
+        currency: batch.currency,
+        status: batch.status,
+        item_count: batch.item_count,
+        succeeded_count: batch.succeeded_count,
+        failed_count: batch.failed_count,
+        total_amount: parseFloat(batch.total_amount),
+        error_message: batch.error_message,
+        created_at: batch.created_at,
+        completed_at: batch.completed_at,
+      },
+      items: itemsResult.rows.map(item => ({
+        id: item.id,
+        withdrawal_id: item.withdrawal_id,
+        user: {
+          id: item.user_id,
+          name: item.user_name,
+          email: item.user_email,
+        },
+        reference: item.reference,
+        amount: parseFloat(item.amount),
+        withdrawal_amount: parseFloat(item.withdrawal_amount),
+        fee: parseFloat(item.fee || 0),
+        status: item.status,
+        withdrawal_status: item.withdrawal_status,
+        provider_transaction_id: item.provider_transaction_id,
+        error_message: item.error_message,
+        processed_at: item.processed_at,
+      })),
+    });
+  } catch (error) {
+    console.error('Get payout batch error:', error);
+    res.status(500).json({ error: 'Server error retrieving payout batch', message: error.message });
+  }
+});
+
+// Get withdrawal details
+router.get('/withdrawals/:withdrawalId', async (req, res) => {
+  try {
+    const { withdrawalId } = req.params;
+
+    const result = await pool.query(
+      `SELECT w.*, u.name, u.email
+       FROM withdrawals w
+       JOIN users u ON w.user_id = u.id
+       WHERE w.id = $1`,
+      [withdrawalId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Withdrawal not found' });
+    }
+
+    res.json({
+      withdrawal: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Get withdrawal details error:', error);
+    res.status(500).json({ error: 'Server error retrieving withdrawal details', message: error.message });
+  }
+});
+
+// Approve a withdrawal waiting for review (over the approval threshold)
+router.post('/withdrawals/:withdrawalId/approve', [
+  body('note').optional({ nullable: true }).trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await withdrawalRiskService.approveWithdrawal({
+      withdrawalId: req.params.withdrawalId,
+      adminId: req.user.id,
+      note: req.body.note,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Withdrawal approved',
+      withdrawal: result.withdrawal,
+    });
+  } catch (error) {
+    console.error('Approve withdrawal error:', error);
+    res.status(500).json({ error: 'Server error approving withdrawal', message: error.message });
+  }
+});
+
+// Reject a withdrawal waiting for review (held funds go back to the wallet)
+router.post('/withdrawals/:withdrawalId/reject', [
+  body('note').trim().notEmpty().withMessage('A reason is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await withdrawalRiskService.rejectWithdrawal({
+      withdrawalId: req.params.withdrawalId,
+      adminId: req.user.id,
+      note: req.body.note,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Withdrawal rejected and funds returned to the wallet',
+      withdrawal: result.withdrawal,
+    });
+  } catch (error) {
+    console.error('Reject withdrawal error:', error);
+    res.status(500).json({ error: 'Server error rejecting withdrawal', message: error.message });
+  }
+});
+
+// Get configured withdrawal limits (currency-wide rows and per-user overrides)
+router.get('/withdrawal-limits', async (req, res) => {
+  try {
+    const { currency, userId } = req.query;
+    const limits = await withdrawalRiskService.listLimits({
+      currency: currency ? String(currency).toUpperCase() : null,
+      userId,
+    });
+
+    let effective = null;
+    if (currency && userId) {
+      effective = await withdrawalRiskService.getLimits(userId, String(currency).toUpperCase());
+    }
+
+    res.json({ limits, effective });
+  } catch (error) {
+    console.error('Get withdrawal limits error:', error);
+    res.status(500).json({ error: 'Server error retrieving withdrawal limits', message: error.message });
+  }
+});
+
+// Set withdrawal limits for a currency, or for one user in a currency (null values fall back to the defaults)
+router.put('/withdrawal-limits', [
+  body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+  body('user_id').optional({ nullable: true }).isUUID().withMessage('User ID must be a valid user ID'),
+  body('daily_limit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Daily limit must be 0 or more'),
+  body('monthly_limit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Monthly limit must be 0 or more'),
+  body('approval_threshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Approval threshold must be 0 or more'),
+  body('note').optional({ nullable: true }).trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currency, user_id, daily_limit, monthly_limit, approval_threshold, note } = req.body;
+    const toLimit = value => (value === undefined || value === null ? null : parseFloat(value));
+
+    const limit = await withdrawalRiskService.setLimit({
+      currency: currency.toUpperCase(),
+      userId: user_id || null,
+      dailyLimit: toLimit(daily_limit),
+      monthlyLimit: toLimit(monthly_limit),
+      approvalThreshold: toLimit(approval_threshold),
+      note: note || null,
+      adminId: req.user.id,
+    });
+
+    res.json({
+      message: 'Withdrawal limits updated',
+      limit,
+    });
+  } catch (error) {
+    console.error('Set withdrawal limits error:', error);
+    res.status(500).json({ error: 'Server error updating withdrawal limits', message: error.message });
+  }
+});
+
+// Get fee schedule rows (every fee version, newest first)
+router.get('/fees', async (req, res) => {
+  try {
+    const { feeType, currency, provider, groupType, state } = req.query;
+    const schedules = await feeScheduleService.listSchedules({
+      feeType,
+      currency: currency ? String(currency).toUpperCase() : null,
+      provider,
+      groupType,
+      state,
+    });
+
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Get fee schedules error:', error);
+    res.status(500).json({ error: 'Server error retrieving fee schedules', message: error.message });
+  }
+});
+
+// Preview the fees a charge would get now (or at a given time) and which fee version sets them
+router.get('/fees/preview', async (req, res) => {
+  try {
+    const { feeType = 'contribution', provider, groupType, at } = req.query;
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+    const amount = parseFloat(req.query.amount);
+
+    if (!currency || !(amount > 0)) {
+      return res.status(400).json({ error: 'currency and a positive amount are required' });
+    }
+    if (!feeScheduleService.FEE_TYPES.includes(feeType)) {
+      return res.status(400).json({ error: `feeType must be one of ${feeScheduleService.FEE_TYPES.join(', ')}` });
+    }
+    const chargeAt = at ? new Date(at) : new Date();
+    if (isNaN(chargeAt.getTime())) {
+      return res.status(400).json({ error: 'at must be a valid date' });
+    }
+
+    if (feeScheduleService.WALLET_FEE_TYPES.includes(feeType)) {
+      const fees = await feeScheduleService.calculateWalletFee(feeType, amount, currency, chargeAt);
+      return res.json({ feeType, provider: null, currency, groupType: null, fees });
+    }
+
+    const chargeProvider = provider || paymentService.selectProvider(currency, null);
+    const fees = feeType === 'withdrawal'
+      ? await paymentService.calculateWithdrawalFee(amount, currency, chargeProvider, { at: chargeAt })
+      : await paymentService.calculateFees(amount, currency, chargeProvider, { groupType: groupType || null, at: chargeAt });
+
+    res.json({
+      feeType,
+      provider: chargeProvider,
+      currency,
+      groupType: groupType || null,
+      fees,
+    });
+  } catch (error) {
+    console.error('Preview fees error:', error);
+    res.status(500).json({ error: 'Server error previewing fees', message: error.message });
+  }
+});
+
+// Add a fee version (scoped by provider, currency and group type; promotions win while they run)
+router.post('/fees', [
+  body('fee_type').isIn(feeScheduleService.FEE_TYPES).withMessage(`Fee type must be one of ${feeScheduleService.FEE_TYPES.join(', ')}`),
+  body('payment_provider').optional({ nullable: true }).isString().withMessage('Payment provider must be a provider name'),
+  body('currency').optional({ nullable: true }).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+  body('group_type').optional({ nullable: true }).isIn(['birthday', 'subscription', 'general', 'rotating']).withMessage('Group type must be birthday, subscription, general, or rotating'),
+  body('processor_fee_percent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Processor fee percent must be between 0 and 100'),
+  body('processor_fee_fixed').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Processor fixed fee must be 0 or more'),
+  body('platform_fee_percent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Platform fee percent must be between 0 and 100'),
+  body('is_promotion').optional().isBoolean().withMessage('is_promotion must be a boolean'),
+  body('effective_from').optional({ nullable: true }).isISO8601().withMessage('effective_from must be a date'),
+  body('effective_until').optional({ nullable: true }).isISO8601().withMessage('effective_until must be a date'),
+  body('note').optional({ nullable: true }).trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const toFee = value => (value === undefined || value === null ? undefined : parseFloat(value));
+    const isPromotion = req.body.is_promotion === true || req.body.is_promotion === 'true';
+
+    if (isPromotion && !req.body.effective_until) {
+      return res.status(400).json({ error: 'Promotions need an effective_until date' });
+    }
+
+    const result = await feeScheduleService.createSchedule({
+      feeType: req.body.fee_type,
+      provider: req.body.payment_provider || null,
+      currency: req.body.currency ? req.body.currency.toUpperCase() : null,
+      groupType: req.body.group_type || null,
+      processorFeePercent: toFee(req.body.processor_fee_percent),
+      processorFeeFixed: toFee(req.body.processor_fee_fixed),
+      platformFeePercent: toFee(req.body.platform_fee_percent),
+      isPromotion,
+      effectiveFrom: req.body.effective_from || null,
+      effectiveUntil: req.body.effective_until || null,
+      note: req.body.note || null,
+      adminId: req.user.id,
+    });
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.status(201).json({
+      message: 'Fee schedule created',
+      schedule: result.schedule,
+    });
+  } catch (error) {
+    console.error('Create fee schedule error:', error);
+    res.status(500).json({ error: 'Server error creating fee schedule', message: error.message });
+  }
+});
+
+// End a fee version (now, or at a future effective_until)
+router.post('/fees/:feeId/end', [
+  body('effective_until').optional({ nullable: true }).isISO8601().withMessage('effective_until must be a date'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await feeScheduleService.endSchedule(req.params.feeId, req.body.effective_until || null);
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({
+      message: 'Fee schedule ended',
+      schedule: result.schedule,
+    });
+  } catch (error) {
+    console.error('End fee schedule error:', error);
+    res.status(500).json({ error: 'Server error ending fee schedule', message: error.message });
+  }
+});
+
+// Delete a fee version that hasn't come into effect yet
+router.delete('/fees/:feeId', async (req, res) => {
+  try {
+    const result = await feeScheduleService.deleteSchedule(req.params.feeId);
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({ message: 'Fee schedule deleted' });
+  } catch (error) {
+    console.error('Delete fee schedule error:', error);
+    res.status(500).json({ error: 'Server error deleting fee schedule', message: error.message });
+  }
+});
+
+// Get all autopay payment attempts (with filters)
+router.get('/autopay/attempts', async (req, res) => {
   try {
     const { status, userId, groupId, contributionType, page = 1, limit = 50 } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -3384,7 +4220,6 @@ router.get('/autopay/preferences', async (req, res) => {
 router.post('/payments/process-stripe-payment/:paymentIntentId', async (req, res) => {
   try {
     const { paymentIntentId } = req.params;
-    const paymentService = require('../services/paymentService');
     
     if (!paymentService.stripe) {
       return res.status(500).json({ error: 'Stripe not configured' });
@@ -3418,6 +4253,375 @@ router.post('/payments/process-stripe-payment/:paymentIntentId', async (req, res
   }
 });
 
+/**
+ * LEDGER ENDPOINTS
+ */
+
+// Get journal entries with their postings (with filters)
+router.get('/ledger/entries', async (req, res) => {
+  try {
+    const { entryType, currency, referenceType, referenceId, userId, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let where = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (entryType) {
+      where += ` AND je.entry_type = $${paramCount++}`;
+      params.push(entryType);
+    }
+
+    if (currency) {
+      where += ` AND je.currency = $${paramCount++}`;
+      params.push(currency.toUpperCase());
+    }
+
+    if (referenceType) {
+      where += ` AND je.reference_type = $${paramCount++}`;
+      params.push(referenceType);
+    }
+
+    if (referenceId) {
+      where += ` AND je.reference_id = $${paramCount++}`;
+      params.push(referenceId);
+    }
+
+    if (userId) {
+      where += ` AND EXISTS (
+        SELECT 1 FROM ledger_postings lp
+        JOIN ledger_accounts la ON lp.account_id = la.id
+        WHERE lp.journal_entry_id = je.id AND la.user_id = $${paramCount++}
+      )`;
+      params.push(userId);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM ledger_journal_entries je ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const entriesResult = await pool.query(
+      `SELECT je.id, je.entry_type, je.currency, je.description, je.reference_type, je.reference_id,
+              je.idempotency_key, je.metadata, je.created_at
+       FROM ledger_journal_entries je
+       ${where}
+       ORDER BY je.created_at DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount++}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    const entryIds = entriesResult.rows.map(entry => entry.id);
+    const postingsResult = entryIds.length > 0
+      ? await pool.query(
+        `SELECT lp.journal_entry_id, lp.direction, lp.amount, lp.memo,
+                la.code as account_code, la.account_type, la.user_id, la.provider
+         FROM ledger_postings lp
+         JOIN ledger_accounts la ON lp.account_id = la.id
+         WHERE lp.journal_entry_id = ANY($1::uuid[])
+         ORDER BY lp.created_at ASC`,
+        [entryIds]
+      )
+      : { rows: [] };
+
+    res.json({
+      entries: entriesResult.rows.map(entry => ({
+        id: entry.id,
+        entry_type: entry.entry_type,
+        currency: entry.currency,
+        description: entry.description,
+        reference_type: entry.reference_type,
+        reference_id: entry.reference_id,
+        metadata: entry.metadata,
+        created_at: entry.created_at,
+        postings: postingsResult.rows
+          .filter(posting => posting.journal_entry_id === entry.id)
+          .map(posting => ({
+            account_code: posting.account_code,
+            account_type: posting.account_type,
+            user_id: posting.user_id,
+            provider: posting.provider,
+            direction: posting.direction,
+            amount: parseFloat(posting.amount),
+            memo: posting.memo,
+          })),
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get ledger entries error:', error);
+    res.status(500).json({ error: 'Server error retrieving ledger entries', message: error.message });
+  }
+});
+
+// Get account balances derived from the ledger (platform fees, provider clearing, etc.)
+router.get('/ledger/balances', async (req, res) => {
+  try {
+    const { accountType, currency } = req.query;
+
+    const result = await pool.query(
+      `SELECT account_type, provider, currency,
+              COUNT(*) as accounts, COALESCE(SUM(balance), 0) as balance
+       FROM ledger_account_balances
+       WHERE ($1::varchar IS NULL OR account_type = $1::varchar)
+         AND ($2::varchar IS NULL OR currency = $2::varchar)
+       GROUP BY account_type, provider, currency
+       ORDER BY currency, account_type, provider`,
+      [accountType || null, currency ? currency.toUpperCase() : null]
+    );
+
+    res.json({
+      balances: result.rows.map(row => ({
+        account_type: row.account_type,
+        provider: row.provider,
+        currency: row.currency,
+        accounts: parseInt(row.accounts),
+        balance: parseFloat(row.balance),
+      })),
+    });
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(500).json({ error: 'Server error retrieving ledger balances', message: error.message });
+  }
+});
+
+// Check wallet balances and journal entries against the ledger
+router.get('/ledger/integrity', async (req, res) => {
+  try {
+    const { userId, currency } = req.query;
+    const { findWalletLedgerMismatches, findUnbalancedEntries } = require('../utils/ledgerHelpers');
+
+    const walletMismatches = await findWalletLedgerMismatches({
+      userId,
+      currency: currency ? currency.toUpperCase() : undefined,
+    });
+    const unbalancedEntries = await findUnbalancedEntries();
+
+    res.json({
+      healthy: walletMismatches.length === 0 && unbalancedEntries.length === 0,
+      walletMismatches,
+      unbalancedEntries,
+    });
+  } catch (error) {
+    console.error('Ledger integrity check error:', error);
+    res.status(500).json({ error: 'Server error checking ledger integrity', message: error.message });
+  }
+});
+
+/**
+ * RECONCILIATION ENDPOINTS
+ */
+
+// Run provider reconciliation now (the nightly job calls the same function)
+router.post('/reconciliation/run', [
+  body('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  body('until').optional().isISO8601().withMessage('until must be an ISO 8601 date'),
+  body('provider').optional().isIn(['stripe', 'paystack']).withMessage('Invalid provider'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { since, until, provider } = req.body;
+
+    if (since && until && new Date(since) >= new Date(until)) {
+      return res.status(400).json({ error: 'since must be before until' });
+    }
+
+    const { reconcileProviderRecords } = require('../jobs/reconciliationProcessor');
+    const result = await reconcileProviderRecords({
+      since: since ? new Date(since) : undefined,
+      until: until ? new Date(until) : undefined,
+      providers: provider ? [provider] : undefined,
+      triggeredBy: req.user.id,
+    });
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json({
+      message: 'Reconciliation completed',
+      ...result,
+    });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({ error: 'Server error running reconciliation', message: error.message });
+  }
+});
+
+// Get reconciliation runs
+router.get('/reconciliation/runs', async (req, res) => {
+  try {
+    const { provider, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let where = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (provider) {
+      where += ` AND rr.provider = $${paramCount++}`;
+      params.push(provider);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM reconciliation_runs rr ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const runsResult = await pool.query(
+      `SELECT rr.*, u.name as triggered_by_name
+       FROM reconciliation_runs rr
+       LEFT JOIN users u ON rr.triggered_by = u.id
+       ${where}
+       ORDER BY rr.started_at DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount++}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      runs: runsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get reconciliation runs error:', error);
+    res.status(500).json({ error: 'Server error fetching reconciliation runs', message: error.message });
+  }
+});
+
+// Get reconciliation items (with filters) - open items by default
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const {
+      status = 'open', issueType, recordType, provider, runId, userId, page = 1, limit = 50,
+    } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let where = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (status !== 'all') {
+      where += ` AND ri.status = $${paramCount++}`;
+      params.push(status);
+    }
+
+    if (issueType) {
+      where += ` AND ri.issue_type = $${paramCount++}`;
+      params.push(issueType);
+    }
+
+    if (recordType) {
+      where += ` AND ri.record_type = $${paramCount++}`;
+      params.push(recordType);
+    }
+
+    if (provider) {
+      where += ` AND ri.provider = $${paramCount++}`;
+      params.push(provider);
+    }
+
+    if (runId) {
+      where += ` AND (ri.run_id = $${paramCount} OR ri.last_seen_run_id = $${paramCount})`;
+      paramCount++;
+      params.push(runId);
+    }
+
+    if (userId) {
+      where += ` AND ri.user_id = $${paramCount++}`;
+      params.push(userId);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM reconciliation_items ri ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const itemsResult = await pool.query(
+      `SELECT ri.*, u.name as user_name, u.email as user_email, resolver.name as resolved_by_name
+       FROM reconciliation_items ri
+       LEFT JOIN users u ON ri.user_id = u.id
+       LEFT JOIN users resolver ON ri.resolved_by = resolver.id
+       ${where}
+       ORDER BY ri.created_at DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount++}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      items: itemsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get reconciliation items error:', error);
+    res.status(500).json({ error: 'Server error fetching reconciliation items', message: error.message });
+  }
+});
+
+// Resolve (or ignore / reopen) a reconciliation item
+router.put('/reconciliation/:itemId', [
+  body('status').isIn(['open', 'resolved', 'ignored']).withMessage('Invalid status'),
+  body('resolution_notes').optional().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { itemId } = req.params;
+    const { status, resolution_notes } = req.body;
+
+    if (status !== 'open' && !resolution_notes) {
+      return res.status(400).json({ error: 'resolution_notes is required when resolving or ignoring an item' });
+    }
+
+    const result = await pool.query(
+      `UPDATE reconciliation_items
+       SET status = $1,
+           resolution_notes = COALESCE($2, resolution_notes),
+           resolved_by = CASE WHEN $1 = 'open' THEN NULL ELSE $3::uuid END,
+           resolved_at = CASE WHEN $1 = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+       WHERE id = $4
+       RETURNING *`,
+      [status, resolution_notes || null, req.user.id, itemId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reconciliation item not found' });
+    }
+
+    res.json({
+      message: status === 'open' ? 'Reconciliation item reopened' : `Reconciliation item marked ${status}`,
+      item: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Update reconciliation item error:', error);
+    res.status(500).json({ error: 'Server error updating reconciliation item', message: error.message });
+  }
+});
+
 // Step 1: Request OTP for password change (verify current password first)
 router.post('/change-password/request-otp', [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
@@ -6,6 +6,7 @@ const pool = require('../config/database');
 const { generateOTP } = require('../utils/helpers');
 const { sendOTPEmail } = require('../utils/email');
 const { authLimiter, otpLimiter } = require('../middleware/rateLimiter');
+const withdrawalRiskService = require('../services/withdrawalRiskService');
 
 const router = express.Router();
 
@@ -259,6 +260,13 @@ router.post('/login', authLimiter, [
       return res.status(403).json({ error: 'Your account has been deactivated. Please contact support.' });
     }
 
+    // Remember the device (a withdrawal from a new device is held for longer)
+    try {
+      await withdrawalRiskService.recordDevice(user.id, req);
+    } catch (deviceError) {
+      console.error('Error recording login device:', deviceError);
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user.id, email: user.email },
@@ -352,7 +360,10 @@ router.post('/reset-password', authLimiter, [
 
     // Update password
     const passwordHash = await bcrypt.hash(newPassword, 10);
-    await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, userId]
+    );
 
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
@@ -385,7 +396,10 @@ router.post('/change-password', authLimiter, [
 
     // Update password
     const passwordHash = await bcrypt.hash(newPassword, 10);
-    await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, userId]
+    );
 
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
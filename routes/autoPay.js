@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { require2FA } = require('../middleware/require2FA');
 const { otpLimiter, contributionLimiter } = require('../middleware/rateLimiter');
 const paymentService = require('../services/paymentService');
@@ -24,12 +25,14 @@ const {
 
 const router = express.Router();
 
+// Idempotency is attached to each write route: other routers share the /api/groups mount
+
 /**
  * AUTO-PAY ENABLE
  */
 
 // Step 1: Verify password before enabling auto-pay (requires 2FA)
-router.post('/:groupId/auto-pay/enable/verify-password', authenticate, contributionLimiter, [
+router.post('/:groupId/auto-pay/enable/verify-password', idempotency, authenticate, contributionLimiter, [
   body('password').notEmpty().withMessage('Password is required'),
 ], async (req, res) => {
   try {
@@ -89,7 +92,7 @@ router.post('/:groupId/auto-pay/enable/verify-password', authenticate, contribut
 });
 
 // Step 2: Request OTP after password verification
-router.post('/:groupId/auto-pay/enable/request-otp', authenticate, otpLimiter, [
+router.post('/:groupId/auto-pay/enable/request-otp', idempotency, authenticate, otpLimiter, [
   body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
 ], async (req, res) => {
   try {
@@ -164,7 +167,7 @@ router.post('/:groupId/auto-pay/enable/request-otp', authenticate, otpLimiter, [
 });
 
 // Step 3: Enable auto-pay for user in group (requires password + OTP verification + 2FA)
-router.post('/:groupId/auto-pay/enable', authenticate, require2FA, contributionLimiter, [
+router.post('/:groupId/auto-pay/enable', idempotency, authenticate, require2FA, contributionLimiter, [
   body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
   body('payment_method_id').optional().isUUID().withMessage('Payment method ID must be a valid UUID'),
@@ -500,7 +503,7 @@ router.post('/:groupId/auto-pay/enable', authenticate, require2FA, contributionL
  */
 
 // Step 1: Verify password before disabling auto-pay (requires 2FA)
-router.post('/:groupId/auto-pay/disable/verify-password', authenticate, contributionLimiter, [
+router.post('/:groupId/auto-pay/disable/verify-password', idempotency, authenticate, contributionLimiter, [
   body('password').notEmpty().withMessage('Password is required'),
 ], async (req, res) => {
   try {
@@ -549,7 +552,7 @@ router.post('/:groupId/auto-pay/disable/verify-password', authenticate, contribu
 });
 
 // Step 2: Request OTP after password verification for disabling auto-pay
-router.post('/:groupId/auto-pay/disable/request-otp', authenticate, otpLimiter, [
+router.post('/:groupId/auto-pay/disable/request-otp', idempotency, authenticate, otpLimiter, [
   body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
 ], async (req, res) => {
   try {
@@ -624,7 +627,7 @@ router.post('/:groupId/auto-pay/disable/request-otp', authenticate, otpLimiter,
 });
 
 // Step 3: Disable auto-pay for user in group (requires password + OTP verification + 2FA)
-router.post('/:groupId/auto-pay/disable', authenticate, require2FA, contributionLimiter, [
+router.post('/:groupId/auto-pay/disable', idempotency, authenticate, require2FA, contributionLimiter, [
   body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
 ], async (req, res) => {
@@ -914,7 +917,7 @@ router.get('/:groupId/auto-pay/status', authenticate, async (req, res) => {
  */
 
 // Step 1: Verify password before updating preferences
-router.put('/:groupId/auto-pay/preferences/verify-password', authenticate, contributionLimiter, [
+router.put('/:groupId/auto-pay/preferences/verify-password', idempotency, authenticate, contributionLimiter, [
   body('password').notEmpty().withMessage('Password is required'),
 ], async (req, res) => {
   try {
@@ -950,7 +953,7 @@ router.put('/:groupId/auto-pay/preferences/verify-password', authenticate, contr
 });
 
 // Step 2: Request OTP after password verification for updating preferences
-router.put('/:groupId/auto-pay/preferences/request-otp', authenticate, otpLimiter, [
+router.put('/:groupId/auto-pay/preferences/request-otp', idempotency, authenticate, otpLimiter, [
   body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
 ], async (req, res) => {
   try {
@@ -1026,7 +1029,7 @@ router.put('/:groupId/auto-pay/preferences/request-otp', authenticate, otpLimite
 
 // Step 3: Update auto-pay preferences for group (requires password + OTP verification)
 // Can update payment_timing and/or payment_method_id
-router.put('/:groupId/auto-pay/preferences', authenticate, contributionLimiter, [
+router.put('/:groupId/auto-pay/preferences', idempotency, authenticate, contributionLimiter, [
   body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
   body('payment_timing').optional().isIn(['1_day_before', 'same_day']).withMessage('Payment timing must be 1_day_before or same_day'),
@@ -415,7 +415,8 @@ router.post('/', authenticate, require2FA, contributionLimiter, [
           `UPDATE wallet_bank_accounts
            SET account_name = $1, bank_name = $2, iban = $3, swift_bic = $4,
                routing_number = $5, sort_code = $6, branch_code = $7,
-               branch_address = $8, bank_code = $9, is_default = $10, updated_at = CURRENT_TIMESTAMP
+               branch_address = $8, bank_code = $9, is_default = $10, updated_at = CURRENT_TIMESTAMP,
+               details_changed_at = CURRENT_TIMESTAMP
            WHERE id = $11`,
           [
             account_name,
@@ -672,6 +673,12 @@ router.put('/:currency/:accountId', authenticate, require2FA, contributionLimite
         return res.status(400).json({ error: 'No fields to update' });
       }
 
+      // A new payout destination is treated like a new account (withdrawals to it are held longer)
+      const payoutFields = [account_number, iban, swift_bic, routing_number, sort_code, bank_code];
+      if (payoutFields.some(field => field !== undefined)) {
+        updates.push('details_changed_at = CURRENT_TIMESTAMP');
+      }
+
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
       values.push(accountId);
 
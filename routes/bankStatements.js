@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { contributionLimiter } = require('../middleware/rateLimiter');
+const bankStatementService = require('../services/bankStatementService');
+const { STATEMENT_FORMATS, STATEMENT_CONTENT_TYPES, MAX_STATEMENT_SIZE_BYTES } = require('../utils/bankStatementParsers');
+const { sanitizeFileName } = require('../utils/receiptHelpers');
+
+const router = express.Router();
+
+// Idempotency runs per route (after parseStatementBody on imports), so the statement text is part of the key's fingerprint
+
+// Statements are sent as the raw request body (X-File-Name is the file's name)
+const statementBodyParser = express.text({ type: STATEMENT_CONTENT_TYPES, limit: MAX_STATEMENT_SIZE_BYTES });
+const parseStatementBody = (req, res, next) => {
+  statementBodyParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        error: error.type === 'entity.too.large'
+          ? `Statements can be at most ${MAX_STATEMENT_SIZE_BYTES / (1024 * 1024)} MB`
+          : 'Could not read the uploaded file',
+      });
+    }
+    next();
+  });
+};
+
+// Import a bank statement (CSV, MT940 or CAMT.053) of one of the user's bank accounts and match its credits
+router.post('/', authenticate, contributionLimiter, parseStatementBody, idempotency, [
+  query('bankAccountId').isUUID().withMessage('Invalid bank account ID'),
+  query('format').optional().isIn(STATEMENT_FORMATS).withMessage(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+  query('dateOrder').optional().isIn(['dmy', 'mdy']).withMessage('Date order must be dmy or mdy'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the statement file as the request body' });
+    }
+
+    const { bankAccountId, format, dateOrder } = req.query;
+    const result = await bankStatementService.importStatement({
+      userId: req.user.id,
+      bankAccountId,
+      text: req.body,
+      fileName: sanitizeFileName(req.headers['x-file-name']),
+      format,
+      dateOrder,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, import_id: result.importId });
+    }
+
+    const loaded = await bankStatementService.getImport(req.user.id, result.statementImport.id);
+
+    res.status(201).json({
+      message: `Statement imported: ${result.summary.proposed} proposed match(es), ${result.summary.unmatched} for review`,
+      import: loaded.statementImport,
+      summary: result.summary,
+      lines: loaded.lines,
+    });
+  } catch (error) {
+    console.error('Import bank statement error:', error);
+    res.status(500).json({ error: 'Server error importing bank statement' });
+  }
+});
+
+// List the user's statement imports
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const imports = await bankStatementService.listImports(req.user.id, { bankAccountId: req.query.bankAccountId });
+    res.json({ imports });
+  } catch (error) {
+    console.error('Get bank statement imports error:', error);
+    res.status(500).json({ error: 'Server error fetching bank statements' });
+  }
+});
+
+// Get credits no contribution was matched to (review queue)
+router.get('/review-queue', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { lines, total } = await bankStatementService.getReviewQueue(req.user.id, { limit, offset });
+
+    res.json({ lines, total, limit, offset });
+  } catch (error) {
+    console.error('Get bank statement review queue error:', error);
+    res.status(500).json({ error: 'Server error fetching review queue' });
+  }
+});
+
+// Match a statement line to a contribution by hand and confirm the contribution
+router.post('/lines/:lineId/match', idempotency, authenticate, [
+  body('contributionType').isIn(['birthday', 'subscription', 'general', 'rotating']).withMessage('Invalid contribution type'),
+  body('contributionId').isUUID().withMessage('Invalid contribution ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await bankStatementService.matchManually({
+      userId: req.user.id,
+      lineId: req.params.lineId,
+      type: req.body.contributionType,
+      contributionId: req.body.contributionId,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, line: result.line });
+    }
+
+    res.json({ message: 'Statement line matched and contribution confirmed', line: result.line });
+  } catch (error) {
+    console.error('Match bank statement line error:', error);
+    res.status(500).json({ error: 'Server error matching statement line' });
+  }
+});
+
+// Reject a proposed match (the line moves to the review queue)
+router.post('/lines/:lineId/reject', idempotency, authenticate, async (req, res) => {
+  try {
+    const result = await bankStatementService.rejectProposal(req.user.id, req.params.lineId);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Proposed match rejected', line: result.line });
+  } catch (error) {
+    console.error('Reject bank statement match error:', error);
+    res.status(500).json({ error: 'Server error rejecting match' });
+  }
+});
+
+// Ignore a statement line that isn't a contribution
+router.post('/lines/:lineId/ignore', idempotency, authenticate, [
+  body('note').optional().trim(),
+], async (req, res) => {
+  try {
+    const result = await bankStatementService.ignoreLine(req.user.id, req.params.lineId, req.body.note);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Statement line ignored', line: result.line });
+  } catch (error) {
+    console.error('Ignore bank statement line error:', error);
+    res.status(500).json({ error: 'Server error ignoring statement line' });
+  }
+});
+
+// Get a statement import with its lines
+router.get('/:importId', authenticate, async (req, res) => {
+  try {
+    const loaded = await bankStatementService.getImport(req.user.id, req.params.importId, { status: req.query.status });
+    if (!loaded) {
+      return res.status(404).json({ error: 'Bank statement not found' });
+    }
+
+    res.json({ import: loaded.statementImport, lines: loaded.lines });
+  } catch (error) {
+    console.error('Get bank statement import error:', error);
+    res.status(500).json({ error: 'Server error fetching bank statement' });
+  }
+});
+
+// Confirm proposed matches (all of the import's, or the listed lines)
+router.post('/:importId/confirm', idempotency, authenticate, [
+  body('lineIds').optional().isArray({ min: 1 }).withMessage('lineIds must be a non-empty array'),
+  body('lineIds.*').optional().isUUID().withMessage('Invalid line ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await bankStatementService.confirmProposed(req.user.id, req.params.importId, req.body.lineIds);
+    if (!result) {
+      return res.status(404).json({ error: 'Bank statement not found' });
+    }
+
+    res.json({
+      message: `${result.confirmed.length} contribution(s) confirmed`,
+      confirmed: result.confirmed,
+      failed: result.failed,
+    });
+  } catch (error) {
+    console.error('Confirm bank statement matches error:', error);
+    res.status(500).json({ error: 'Server error confirming matches' });
+  }
+});
+
+module.exports = router;
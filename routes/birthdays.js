@@ -1,11 +1,13 @@
 const express = require('express');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { createNotification } = require('../utils/notifications');
-const { formatAmount } = require('../utils/currency');
+const { idempotency } = require('../middleware/idempotency');
+const contributionService = require('../services/contributionService');
 
 const router = express.Router();
 
+router.use(idempotency);
+
 // Get upcoming birthdays
 router.get('/upcoming', authenticate, async (req, res) => {
   try {
@@ -557,7 +559,10 @@ router.post('/contribute', authenticate, require('../middleware/rateLimiter').co
     if (!groupCurrency) {
       return res.status(400).json({ error: 'Group has no currency set. Please contact the admin.' });
     }
-    const actualAmount = amount || contributionAmount;
+    const actualAmount = contributionService.resolveAmount(amount, contributionAmount);
+    if (actualAmount === null) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
 
     // Get user names for transaction description
     const birthdayUserResult = await pool.query(
@@ -578,111 +583,32 @@ router.post('/contribute', authenticate, require('../middleware/rateLimiter').co
     );
     const groupName = groupNameResult.rows[0]?.name || 'Group';
 
-    // Start transaction
-    await pool.query('BEGIN');
-
-    try {
-      // Check if contribution already exists
-      const existingContribution = await pool.query(
-        `SELECT id, transaction_id FROM birthday_contributions 
-         WHERE group_id = $1 AND birthday_user_id = $2 AND contributor_id = $3`,
-        [groupId, birthdayUserId, contributorId]
-      );
-
-      let contributionId;
-
-      if (existingContribution.rows.length > 0) {
-        contributionId = existingContribution.rows[0].id;
-
-        // Update existing contribution - set to 'paid' (awaiting confirmation)
-        await pool.query(
-          `UPDATE birthday_contributions 
-           SET amount = $1, contribution_date = CURRENT_DATE, status = 'paid', note = $2
-           WHERE id = $3`,
-          [actualAmount, note || null, contributionId]
-        );
-      } else {
-        // Create new birthday contribution record (marked as 'paid' - awaiting confirmation)
-        const contributionResult = await pool.query(
-          `INSERT INTO birthday_contributions 
-           (group_id, birthday_user_id, contributor_id, amount, contribution_date, status, note)
-           VALUES ($1, $2, $3, $4, CURRENT_DATE, 'paid', $5)
-           RETURNING id`,
-          [groupId, birthdayUserId, contributorId, actualAmount, note || null]
-        );
-        contributionId = contributionResult.rows[0].id;
-      }
-
-      // Always create transaction records to show in contribution history
-      // Check if transactions already exist for this contribution (to avoid duplicates)
-      const existingDebit = await pool.query(
-        `SELECT id FROM transactions 
-         WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-           AND description LIKE $3
-           AND created_at::date = CURRENT_DATE`,
-        [contributorId, groupId, `%Birthday contribution for ${birthdayUserName}%`]
-      );
-
-      const existingCredit = await pool.query(
-        `SELECT id FROM transactions 
-         WHERE user_id = $1 AND group_id = $2 AND type = 'credit' 
-           AND description LIKE $3
-           AND created_at::date = CURRENT_DATE`,
-        [birthdayUserId, groupId, `%Birthday gift from ${contributorName}%`]
-      );
-
-      if (existingDebit.rows.length === 0) {
-        // Create debit transaction (contributor - sent) with status 'paid' (awaiting confirmation)
-        await pool.query(
-          `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
-           VALUES ($1, $2, 'debit', $3, $4, $5, 'paid')`,
-          [contributorId, groupId, actualAmount, groupCurrency, `Birthday contribution for ${birthdayUserName} (${groupName})`]
-        );
-      }
-
-      let creditTransactionId;
-      if (existingCredit.rows.length === 0) {
-        // Create credit transaction (birthday user - received) with status 'paid' (awaiting confirmation)
-        const creditTransaction = await pool.query(
-          `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
-           VALUES ($1, $2, 'credit', $3, $4, $5, 'paid')
-           RETURNING id`,
-          [birthdayUserId, groupId, actualAmount, groupCurrency, `Birthday gift from ${contributorName} (${groupName})`]
-        );
-        creditTransactionId = creditTransaction.rows[0].id;
-      } else {
-        creditTransactionId = existingCredit.rows[0].id;
-      }
-
-      // Link contribution to credit transaction if not already linked
-      const currentTransactionId = await pool.query(
-        `SELECT transaction_id FROM birthday_contributions WHERE id = $1`,
-        [contributionId]
-      );
-      if (!currentTransactionId.rows[0]?.transaction_id && creditTransactionId) {
-        await pool.query(
-          `UPDATE birthday_contributions SET transaction_id = $1 WHERE id = $2`,
-          [creditTransactionId, contributionId]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Notify birthday user that contribution was marked as paid
-      await createNotification(
-        birthdayUserId,
-        'contribution_paid',
-        'Contribution Received',
-        `${contributorName} marked their contribution of ${formatAmount(actualAmount, groupCurrency)} as paid${note ? `: ${note}` : ''}`,
-        groupId,
-        contributorId
-      );
+    // Marked as 'paid' - awaiting the celebrant's confirmation
+    const result = await contributionService.markPaid({
+      type: 'birthday',
+      groupId,
+      contributorId,
+      contributorName,
+      recipientId: birthdayUserId,
+      amount: actualAmount,
+      currency: groupCurrency,
+      note,
+      match: { birthday_user_id: birthdayUserId },
+      descriptions: {
+        debit: `Birthday contribution for ${birthdayUserName} (${groupName})`,
+        credit: `Birthday gift from ${contributorName} (${groupName})`,
+      },
+    });
 
-      res.json({ message: 'Payment marked as paid successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    res.json({
+      message: 'Payment marked as paid successfully',
+      contribution_id: result.contributionId,
+      payment_reference: result.paymentReference,
+    });
   } catch (error) {
     console.error('Contribute error:', error);
     res.status(500).json({ error: 'Server error marking payment as paid' });
@@ -692,99 +618,12 @@ router.post('/contribute', authenticate, require('../middleware/rateLimiter').co
 // Confirm contribution (celebrant confirms payment received)
 router.post('/contribute/:contributionId/confirm', authenticate, async (req, res) => {
   try {
-    const { contributionId } = req.params;
-    const celebrantId = req.user.id;
-
-    // Get contribution details and verify group is birthday type
-    const contributionResult = await pool.query(
-      `SELECT bc.*, g.name as group_name, g.currency, g.status as group_status, g.group_type, u.name as contributor_name
-       FROM birthday_contributions bc
-       JOIN groups g ON bc.group_id = g.id
-       JOIN users u ON bc.contributor_id = u.id
-       WHERE bc.id = $1 AND bc.birthday_user_id = $2`,
-      [contributionId, celebrantId]
-    );
-
-    if (contributionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Contribution not found or you are not the celebrant' });
-    }
-
-    const contribution = contributionResult.rows[0];
-
-    if (contribution.group_type !== 'birthday') {
-      return res.status(400).json({ error: 'This endpoint is only for birthday groups' });
-    }
-
-    // Check if group is closed (closed groups cannot have contributions confirmed/rejected)
-    if (contribution.group_status === 'closed') {
-      return res.status(400).json({ error: 'This group is closed and no longer accepting contribution confirmations' });
-    }
-
-    if (contribution.status !== 'paid') {
-      return res.status(400).json({ error: 'Contribution is not in paid status' });
+    const result = await contributionService.confirm('birthday', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    await pool.query('BEGIN');
-
-    try {
-      // Update contribution status to confirmed
-      await pool.query(
-        `UPDATE birthday_contributions SET status = 'confirmed' WHERE id = $1`,
-        [contributionId]
-      );
-
-      // Update related transactions to confirmed
-      if (contribution.transaction_id) {
-        // Update credit transaction (received)
-        await pool.query(
-          `UPDATE transactions SET status = 'confirmed' WHERE id = $1`,
-          [contribution.transaction_id]
-        );
-
-        // Find and update debit transaction (sent)
-        await pool.query(
-          `UPDATE transactions 
-           SET status = 'confirmed' 
-           WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-             AND description LIKE $3 AND created_at::date = (
-               SELECT created_at::date FROM transactions WHERE id = $4
-             )`,
-          [
-            contribution.contributor_id,
-            contribution.group_id,
-            `%Birthday contribution for%`,
-            contribution.transaction_id
-          ]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Notify contributor that payment was confirmed
-      const celebrantName = await pool.query(
-        'SELECT name FROM users WHERE id = $1',
-        [celebrantId]
-      );
-      const celebrantNameText = celebrantName.rows[0]?.name || 'The celebrant';
-      
-      // Get currency from group (not from contribution, as contribution may not have currency yet)
-      // Currency is already in contribution object from the JOIN query above
-      const contributionCurrency = contribution.currency || 'NGN'; // Fallback for display only if not in group
-      
-      await createNotification(
-        contribution.contributor_id,
-        'contribution_confirmed',
-        'Payment Confirmed',
-        `${celebrantNameText} confirmed your payment of ${formatAmount(parseFloat(contribution.amount), contributionCurrency)}. Thank you!`,
-        contribution.group_id,
-        celebrantId
-      );
-
-      res.json({ message: 'Contribution confirmed successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Contribution confirmed successfully' });
   } catch (error) {
     console.error('Confirm contribution error:', error);
     res.status(500).json({ error: 'Server error confirming contribution' });
@@ -794,95 +633,12 @@ router.post('/contribute/:contributionId/confirm', authenticate, async (req, res
 // Mark contribution as not received (celebrant marks payment as not received)
 router.post('/contribute/:contributionId/reject', authenticate, async (req, res) => {
   try {
-    const { contributionId } = req.params;
-    const celebrantId = req.user.id;
-
-    // Get contribution details and verify group is birthday type
-    const contributionResult = await pool.query(
-      `SELECT bc.*, g.name as group_name, g.currency, g.status as group_status, g.group_type, u.name as contributor_name
-       FROM birthday_contributions bc
-       JOIN groups g ON bc.group_id = g.id
-       JOIN users u ON bc.contributor_id = u.id
-       WHERE bc.id = $1 AND bc.birthday_user_id = $2`,
-      [contributionId, celebrantId]
-    );
-
-    if (contributionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Contribution not found or you are not the celebrant' });
+    const result = await contributionService.reject('birthday', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const contribution = contributionResult.rows[0];
-
-    if (contribution.group_type !== 'birthday') {
-      return res.status(400).json({ error: 'This endpoint is only for birthday groups' });
-    }
-
-    // Check if group is closed (closed groups cannot have contributions confirmed/rejected)
-    if (contribution.group_status === 'closed') {
-      return res.status(400).json({ error: 'This group is closed and no longer accepting contribution rejections' });
-    }
-
-    if (contribution.status !== 'paid') {
-      return res.status(400).json({ error: 'Contribution is not in paid status' });
-    }
-
-    await pool.query('BEGIN');
-
-    try {
-      // Update contribution status to not_received (stays at not_received, doesn't go back to not_paid)
-      await pool.query(
-        `UPDATE birthday_contributions SET status = 'not_received' WHERE id = $1`,
-        [contributionId]
-      );
-
-      // Update related transactions to not_received
-      if (contribution.transaction_id) {
-        // Update credit transaction (received)
-        await pool.query(
-          `UPDATE transactions SET status = 'not_received' WHERE id = $1`,
-          [contribution.transaction_id]
-        );
-
-        // Find and update debit transaction (sent)
-        await pool.query(
-          `UPDATE transactions 
-           SET status = 'not_received' 
-           WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-             AND description LIKE $3 AND created_at::date = (
-               SELECT created_at::date FROM transactions WHERE id = $4
-             )`,
-          [
-            contribution.contributor_id,
-            contribution.group_id,
-            `%Birthday contribution for%`,
-            contribution.transaction_id
-          ]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Notify contributor that payment was not received
-      const celebrantName = await pool.query(
-        'SELECT name FROM users WHERE id = $1',
-        [celebrantId]
-      );
-      const celebrantNameText = celebrantName.rows[0]?.name || 'The celebrant';
-      
-      await createNotification(
-        contribution.contributor_id,
-        'contribution_not_received',
-        'Payment Not Received',
-        `${celebrantNameText} marked your payment as not received. Please check that you've paid correctly or try again.`,
-        contribution.group_id,
-        celebrantId
-      );
-
-      res.json({ message: 'Contribution marked as not received successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Contribution marked as not received successfully' });
   } catch (error) {
     console.error('Reject contribution error:', error);
     res.status(500).json({ error: 'Server error rejecting contribution' });
@@ -1,10 +1,62 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { contributionLimiter } = require('../middleware/rateLimiter');
+const { withTransaction } = require('../utils/dbTransaction');
+const contributionService = require('../services/contributionService');
+const refundService = require('../services/refundService');
+const {
+  RECEIPT_CONTENT_TYPES,
+  MAX_RECEIPT_SIZE_BYTES,
+  validateReceipt,
+  formatReceipt,
+  saveReceipt,
+  getReceipts,
+  getReceiptCounts,
+  readReceiptFile,
+  getReceiptHeaders,
+} = require('../utils/receiptHelpers');
 
 const router = express.Router();
 
+// Idempotency is attached per route so a receipt upload is fingerprinted after its file is read
+
+// Receipts are sent as the raw request body (Content-Type is the file type, X-File-Name its name)
+const receiptBodyParser = express.raw({ type: Object.keys(RECEIPT_CONTENT_TYPES), limit: MAX_RECEIPT_SIZE_BYTES });
+const parseReceiptBody = (req, res, next) => {
+  receiptBodyParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        error: error.type === 'entity.too.large'
+          ? `Receipts can be at most ${MAX_RECEIPT_SIZE_BYTES / (1024 * 1024)} MB`
+          : 'Could not read the uploaded file',
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Load a contribution the user may see (contributor, recipient or group admin)
+ * @param {Object} req - Express request (params.type, params.contributionId)
+ * @returns {Promise<Object>} - { contribution } or { status, error }
+ */
+async function loadViewableContribution(req) {
+  const { type, contributionId } = req.params;
+  if (!contributionService.hasType(type)) {
+    return { status: 404, error: 'Unknown contribution type' };
+  }
+
+  const contribution = await contributionService.getContribution(type, contributionId);
+  if (!contribution || !(await contributionService.canView(type, contribution, req.user.id))) {
+    return { status: 404, error: 'Contribution not found' };
+  }
+
+  return { contribution };
+}
+
 // Get contribution history
 router.get('/history', authenticate, async (req, res) => {
   try {
@@ -120,6 +172,7 @@ router.get('/received', authenticate, async (req, res) => {
         t.description, 
         COALESCE(bc.note, sc.note, gc.note) as note,
         COALESCE(bc.id, sc.id, gc.id) as contribution_id,
+        CASE WHEN bc.id IS NOT NULL THEN 'birthday' WHEN sc.id IS NOT NULL THEN 'subscription' WHEN gc.id IS NOT NULL THEN 'general' END as contribution_type,
         COALESCE(bc.status, sc.status, gc.status) as contribution_status,
         g.id as group_id, g.name as group_name, g.currency, g.group_type,
         COALESCE(bc.contributor_id, sc.contributor_id, gc.contributor_id) as contributor_id,
@@ -136,6 +189,11 @@ router.get('/received', authenticate, async (req, res) => {
       [userId, parseInt(limit), parseInt(offset)]
     );
 
+    // Receipts attached to contributions awaiting confirmation are the proof to check before rejecting
+    const receiptCounts = await getReceiptCounts(result.rows
+      .filter(row => row.contribution_id)
+      .map(row => ({ contribution_type: row.contribution_type, id: row.contribution_id })));
+
     // Format the response to match the expected structure
     // Extract contributor name from description if not found in join
     const contributions = result.rows.map((row) => {
@@ -181,6 +239,8 @@ router.get('/received', authenticate, async (req, res) => {
         contributor_id: row.contributor_id,
         contributor_name: contributorName || 'Unknown',
         contribution_id: row.contribution_id,
+        contribution_type: row.contribution_type,
+        receipt_count: receiptCounts.get(`${row.contribution_type}:${row.contribution_id}`) || 0,
       };
     }).filter(contribution => {
       // For received history (admin/celebrant): Only show "paid" (awaiting) or "confirmed", filter out "not_paid" and "not_received"
@@ -205,7 +265,7 @@ router.get('/received', authenticate, async (req, res) => {
 });
 
 // Add money to wallet (simulate bank transfer)
-router.post('/add-money', authenticate, contributionLimiter, async (req, res) => {
+router.post('/add-money', idempotency, authenticate, contributionLimiter, async (req, res) => {
   try {
     const { amount, reference } = req.body;
     const userId = req.user.id;
@@ -217,38 +277,35 @@ router.post('/add-money', authenticate, contributionLimiter, async (req, res) =>
     // In a real app, this would verify the bank transfer first
     // For now, we'll just add it to the wallet
 
-    await pool.query('BEGIN');
-
-    try {
-      // Add to wallet
-      await pool.query(
-        'UPDATE wallets SET balance = balance + $1 WHERE user_id = $2',
+    const balance = await withTransaction(async (client) => {
+      // Add to wallet (row lock serializes concurrent top-ups)
+      const walletResult = await client.query(
+        'UPDATE wallets SET balance = balance + $1 WHERE user_id = $2 RETURNING balance',
         [amount, userId]
       );
 
+      if (walletResult.rows.length === 0) {
+        return null;
+      }
+
       // Create transaction record
-      await pool.query(
+      await client.query(
         `INSERT INTO transactions (user_id, type, amount, description, status, reference)
          VALUES ($1, 'credit', $2, 'Bank transfer - Add money', 'completed', $3)`,
         [userId, amount, reference || `REF-${Date.now()}`]
       );
 
-      await pool.query('COMMIT');
-
-      // Get updated balance
-      const walletResult = await pool.query(
-        'SELECT balance FROM wallets WHERE user_id = $1',
-        [userId]
-      );
+      return parseFloat(walletResult.rows[0].balance);
+    });
 
-      res.json({
-        message: 'Money added successfully',
-        balance: parseFloat(walletResult.rows[0].balance),
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (balance === null) {
+      return res.status(404).json({ error: 'Wallet not found' });
     }
+
+    res.json({
+      message: 'Money added successfully',
+      balance,
+    });
   } catch (error) {
     console.error('Add money error:', error);
     res.status(500).json({ error: 'Server error adding money' });
@@ -256,7 +313,7 @@ router.post('/add-money', authenticate, contributionLimiter, async (req, res) =>
 });
 
 // Transfer out (withdraw from wallet)
-router.post('/transfer-out', authenticate, contributionLimiter, async (req, res) => {
+router.post('/transfer-out', idempotency, authenticate, contributionLimiter, async (req, res) => {
   try {
     const { amount, bankAccount, bankName, accountName } = req.body;
     const userId = req.user.id;
@@ -269,32 +326,30 @@ router.post('/transfer-out', authenticate, contributionLimiter, async (req, res)
       return res.status(400).json({ error: 'Bank account details required' });
     }
 
-    // Check wallet balance
-    const walletResult = await pool.query(
-      'SELECT balance FROM wallets WHERE user_id = $1',
-      [userId]
-    );
-
-    if (walletResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Wallet not found' });
-    }
+    const result = await withTransaction(async (client) => {
+      // Check wallet balance under a row lock so parallel transfers can't overdraw it
+      const walletResult = await client.query(
+        'SELECT balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+        [userId]
+      );
 
-    const currentBalance = parseFloat(walletResult.rows[0].balance);
-    if (currentBalance < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
-    }
+      if (walletResult.rows.length === 0) {
+        return { status: 404, error: 'Wallet not found' };
+      }
 
-    await pool.query('BEGIN');
+      const currentBalance = parseFloat(walletResult.rows[0].balance);
+      if (currentBalance < amount) {
+        return { status: 400, error: 'Insufficient balance' };
+      }
 
-    try {
       // Deduct from wallet
-      await pool.query(
-        'UPDATE wallets SET balance = balance - $1 WHERE user_id = $2',
+      const updatedWallet = await client.query(
+        'UPDATE wallets SET balance = balance - $1 WHERE user_id = $2 RETURNING balance',
         [amount, userId]
       );
 
       // Create transaction record (pending until bank transfer completes)
-      await pool.query(
+      await client.query(
         `INSERT INTO transactions (user_id, type, amount, description, status, reference)
          VALUES ($1, 'debit', $2, $3, 'pending', $4)`,
         [
@@ -305,26 +360,195 @@ router.post('/transfer-out', authenticate, contributionLimiter, async (req, res)
         ]
       );
 
-      await pool.query('COMMIT');
-
-      // Get updated balance
-      const updatedWallet = await pool.query(
-        'SELECT balance FROM wallets WHERE user_id = $1',
-        [userId]
-      );
+      return { balance: parseFloat(updatedWallet.rows[0].balance) };
+    });
 
-      res.json({
-        message: 'Transfer request submitted. Processing...',
-        balance: parseFloat(updatedWallet.rows[0].balance),
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    res.json({
+      message: 'Transfer request submitted. Processing...',
+      balance: result.balance,
+    });
   } catch (error) {
     console.error('Transfer out error:', error);
     res.status(500).json({ error: 'Server error processing transfer' });
   }
 });
 
+// Get a contribution with its receipts (what the recipient or admin reviews before confirming or rejecting)
+router.get('/:type/:contributionId', authenticate, async (req, res) => {
+  try {
+    const { contribution, status, error } = await loadViewableContribution(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const receipts = await getReceipts(req.params.type, contribution.id);
+    const isReviewer = await contributionService.canReview(
+      contributionService.getType(req.params.type),
+      contribution,
+      req.user.id
+    );
+
+    res.json({
+      contribution: {
+        id: contribution.id,
+        contribution_type: req.params.type,
+        group_id: contribution.group_id,
+        group_name: contribution.group_name,
+        contributor_id: contribution.contributor_id,
+        contributor_name: contribution.contributor_name,
+        recipient_id: contribution.recipient_id,
+        amount: parseFloat(contribution.amount),
+        currency: contribution.currency,
+        status: contribution.status,
+        note: contribution.note,
+        contribution_date: contribution.contribution_date,
+        payment_method: contribution.payment_method || 'manual',
+        payment_reference: contribution.payment_reference,
+        refunded_amount: parseFloat(contribution.refunded_amount || 0),
+        cycle_number: contribution.cycle_number,
+      },
+      receipts: receipts.map(formatReceipt),
+      can_review: isReviewer && contribution.status === 'paid',
+    });
+  } catch (error) {
+    console.error('Get contribution error:', error);
+    res.status(500).json({ error: 'Server error fetching contribution' });
+  }
+});
+
+// Attach a proof-of-payment receipt (contributor only, while the payment is awaiting review or was not received)
+router.post('/:type/:contributionId/receipts', authenticate, contributionLimiter, parseReceiptBody, idempotency, async (req, res) => {
+  try {
+    const { contribution, status, error } = await loadViewableContribution(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (contribution.contributor_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the contributor can attach receipts' });
+    }
+
+    if (!['paid', 'not_received'].includes(contribution.status)) {
+      return res.status(400).json({ error: 'Receipts can only be attached to contributions marked as paid' });
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const validationError = validateReceipt(req.body, contentType);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await saveReceipt({
+      contributionType: req.params.type,
+      contribution,
+      uploadedBy: req.user.id,
+      data: req.body,
+      contentType,
+      fileName: req.headers['x-file-name'],
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Receipt attached successfully',
+      receipt: formatReceipt(result.receipt),
+    });
+  } catch (error) {
+    console.error('Upload receipt error:', error);
+    res.status(500).json({ error: 'Server error uploading receipt' });
+  }
+});
+
+// Download a receipt
+router.get('/:type/:contributionId/receipts/:receiptId', authenticate, async (req, res) => {
+  try {
+    const { contribution, status, error } = await loadViewableContribution(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const receipt = (await getReceipts(req.params.type, contribution.id))
+      .find(row => row.id === req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const data = await readReceiptFile(receipt);
+    if (!data) {
+      return res.status(404).json({ error: 'Receipt file not found' });
+    }
+
+    res.set(getReceiptHeaders(receipt, data));
+    res.send(data);
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({ error: 'Server error downloading receipt' });
+  }
+});
+
+// Refund an auto-debited contribution, fully or partially (group admin or co-admin)
+// The refund is taken from the recipient's wallet, which has to cover it
+router.post('/:type/:contributionId/refunds', idempotency, authenticate, contributionLimiter, [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason can be at most 500 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { contribution, status, error } = await loadViewableContribution(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await refundService.refundContribution({
+      type: req.params.type,
+      contributionId: contribution.id,
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason: req.body.reason,
+      requestedBy: req.user.id,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        error: result.error,
+        balance: result.balance,
+        refund: result.refund ? refundService.formatRefund(result.refund) : undefined,
+      });
+    }
+
+    res.status(201).json({
+      message: 'Contribution refunded successfully',
+      refund: refundService.formatRefund(result.refund),
+    });
+  } catch (error) {
+    console.error('Refund contribution error:', error);
+    res.status(500).json({ error: 'Server error refunding contribution' });
+  }
+});
+
+// Get the refunds of a contribution
+router.get('/:type/:contributionId/refunds', authenticate, async (req, res) => {
+  try {
+    const { contribution, status, error } = await loadViewableContribution(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const refunds = await refundService.listForContribution(req.params.type, contribution.id);
+    res.json({ refunds: refunds.map(refund => refundService.formatRefund(refund)) });
+  } catch (error) {
+    console.error('Get contribution refunds error:', error);
+    res.status(500).json({ error: 'Server error fetching refunds' });
+  }
+});
+
 module.exports = router;
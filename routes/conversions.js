@@ -0,0 +1,126 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { contributionLimiter } = require('../middleware/rateLimiter');
+const conversionService = require('../services/conversionService');
+
+const router = express.Router();
+
+router.use(idempotency);
+
+/**
+ * WALLET CURRENCY CONVERSION
+ * Quote first, then accept the quote before it expires.
+ */
+
+// Current rate for a currency pair (informational - a quote fixes the rate)
+router.get('/rates', authenticate, [
+  query('from').isLength({ min: 3, max: 3 }).withMessage('From currency must be 3 characters (e.g., NGN, USD)'),
+  query('to').isLength({ min: 3, max: 3 }).withMessage('To currency must be 3 characters (e.g., NGN, USD)'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fromCurrency = req.query.from.toUpperCase();
+    const toCurrency = req.query.to.toUpperCase();
+    const result = await conversionService.getRate(fromCurrency, toCurrency);
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      from: fromCurrency,
+      to: toCurrency,
+      rate: result.rate,
+      source: result.source,
+      asOf: result.asOf,
+      feePercent: result.feePercent,
+    });
+  } catch (error) {
+    console.error('Get exchange rate error:', error);
+    res.status(500).json({ error: 'Server error retrieving exchange rate' });
+  }
+});
+
+// Quote a conversion from one wallet currency to another
+router.post('/quotes', authenticate, contributionLimiter, [
+  body('from_currency').isLength({ min: 3, max: 3 }).withMessage('From currency must be 3 characters (e.g., NGN, USD)'),
+  body('to_currency').isLength({ min: 3, max: 3 }).withMessage('To currency must be 3 characters (e.g., NGN, USD)'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from_currency, to_currency, amount } = req.body;
+    const result = await conversionService.createQuote({
+      userId: req.user.id,
+      fromCurrency: from_currency.toUpperCase(),
+      toCurrency: to_currency.toUpperCase(),
+      amount: parseFloat(amount),
+    });
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.status(201).json({ quote: result.quote });
+  } catch (error) {
+    console.error('Create conversion quote error:', error);
+    res.status(500).json({ error: 'Server error creating conversion quote' });
+  }
+});
+
+// Accept a quote and convert
+router.post('/quotes/:quoteId/accept', authenticate, contributionLimiter, async (req, res) => {
+  try {
+    const result = await conversionService.executeQuote({
+      userId: req.user.id,
+      quoteId: req.params.quoteId,
+    });
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({
+      message: 'Conversion completed successfully',
+      conversion: result.conversion,
+      walletBalances: result.balances,
+    });
+  } catch (error) {
+    console.error('Accept conversion quote error:', error);
+    res.status(500).json({ error: 'Server error completing conversion' });
+  }
+});
+
+// Get completed conversions
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { currency } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { conversions, total } = await conversionService.listConversions(req.user.id, {
+      currency: currency ? String(currency).toUpperCase() : null,
+      limit,
+      offset,
+    });
+
+    res.json({ conversions, total, limit, offset });
+  } catch (error) {
+    console.error('Get conversions error:', error);
+    res.status(500).json({ error: 'Server error retrieving conversions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { contributionLimiter } = require('../middleware/rateLimiter');
+const disputeService = require('../services/disputeService');
+const { formatReceipt, getReceipts } = require('../utils/receiptHelpers');
+
+const router = express.Router();
+
+// Open a dispute on a contribution marked as not received (contributor only)
+router.post('/', authenticate, contributionLimiter, [
+  body('contributionType').isIn(['birthday', 'subscription', 'general', 'rotating']).withMessage('Invalid contribution type'),
+  body('contributionId').isUUID().withMessage('Invalid contribution ID'),
+  body('statement').trim().notEmpty().withMessage('Statement is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { contributionType, contributionId, statement } = req.body;
+    const result = await disputeService.openDispute({
+      type: contributionType,
+      contributionId,
+      userId: req.user.id,
+      statement,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Dispute opened. The payment recipient has been asked to respond.',
+      dispute: result.dispute,
+    });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(500).json({ error: 'Server error opening dispute' });
+  }
+});
+
+// List disputes the user opened or has to respond to
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const disputes = await disputeService.listForUser(req.user.id, { status: req.query.status });
+    res.json({ disputes });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Server error fetching disputes' });
+  }
+});
+
+// Get a dispute with the contribution and its receipts
+router.get('/:disputeId', authenticate, async (req, res) => {
+  try {
+    const loaded = await disputeService.getDispute(req.params.disputeId);
+    if (!loaded || !(await disputeService.canView(loaded.dispute, loaded.contribution, req.user.id))) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const { dispute, contribution } = loaded;
+    const receipts = (await getReceipts(dispute.contribution_type, dispute.contribution_id)).map(receipt => formatReceipt(receipt));
+
+    res.json({ dispute: disputeService.formatDispute(dispute, contribution, receipts) });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Server error fetching dispute' });
+  }
+});
+
+// Respond to a dispute: accept (confirms the payment) or contest (recipient or group admin)
+router.post('/:disputeId/respond', authenticate, [
+  body('decision').isIn(['accept', 'contest']).withMessage('Decision must be accept or contest'),
+  body('response').optional().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, response } = req.body;
+    const result = await disputeService.respond({
+      disputeId: req.params.disputeId,
+      userId: req.user.id,
+      decision,
+      response,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: decision === 'accept' ? 'Dispute accepted and payment confirmed' : 'Dispute contested',
+      dispute: result.dispute,
+    });
+  } catch (error) {
+    console.error('Respond to dispute error:', error);
+    res.status(500).json({ error: 'Server error responding to dispute' });
+  }
+});
+
+// Escalate a contested dispute to GroupFund support (contributor only)
+router.post('/:disputeId/escalate', authenticate, async (req, res) => {
+  try {
+    const result = await disputeService.escalate(req.params.disputeId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Dispute escalated to GroupFund support', dispute: result.dispute });
+  } catch (error) {
+    console.error('Escalate dispute error:', error);
+    res.status(500).json({ error: 'Server error escalating dispute' });
+  }
+});
+
+// Withdraw a dispute (contributor only)
+router.post('/:disputeId/withdraw', authenticate, async (req, res) => {
+  try {
+    const result = await disputeService.withdraw(req.params.disputeId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Dispute withdrawn', dispute: result.dispute });
+  } catch (error) {
+    console.error('Withdraw dispute error:', error);
+    res.status(500).json({ error: 'Server error withdrawing dispute' });
+  }
+});
+
+module.exports = router;
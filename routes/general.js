@@ -2,16 +2,22 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { createNotification } = require('../utils/notifications');
+const { idempotency } = require('../middleware/idempotency');
 const { formatAmount } = require('../utils/currency');
 const { contributionLimiter } = require('../middleware/rateLimiter');
+const { getFundraisingProgress } = require('../utils/fundraisingHelpers');
+const { getLateFeeRule, getLateFeeSummaries } = require('../utils/lateFeeHelpers');
+const { getReceiptCounts } = require('../utils/receiptHelpers');
+const contributionService = require('../services/contributionService');
 
 const router = express.Router();
 
+router.use(idempotency);
+
 // Contribute to general group (Mark as Paid)
 router.post('/contribute', authenticate, contributionLimiter, async (req, res) => {
   try {
-    const { groupId, amount, note } = req.body;
+    const { groupId, amount, note, anonymous } = req.body;
     const contributorId = req.user.id;
 
     // Validate group exists and is a general group
@@ -74,7 +80,20 @@ router.post('/contribute', authenticate, contributionLimiter, async (req, res) =
     if (!groupCurrency) {
       return res.status(400).json({ error: 'Group has no currency set. Please contact the admin.' });
     }
-    const actualAmount = amount || contributionAmount;
+    const actualAmount = contributionService.resolveAmount(amount, contributionAmount);
+    if (actualAmount === null) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    // Members can give any amount at or above the group's minimum
+    const minContribution = group.min_contribution_amount !== null ? parseFloat(group.min_contribution_amount) : null;
+    if (minContribution !== null && actualAmount < minContribution) {
+      return res.status(400).json({
+        error: `The minimum contribution for this group is ${formatAmount(minContribution, groupCurrency)}`,
+        min_contribution_amount: minContribution,
+      });
+    }
+    const isAnonymous = anonymous === true;
 
     // Get user names
     const contributorResult = await pool.query(
@@ -84,116 +103,36 @@ router.post('/contribute', authenticate, contributionLimiter, async (req, res) =
     const contributorName = contributorResult.rows[0]?.name || 'Someone';
     const groupName = group.name || 'Group';
 
-    await pool.query('BEGIN');
-
-    try {
-      // Check if contribution already exists
-      const existingContribution = await pool.query(
-        `SELECT id, transaction_id FROM general_contributions 
-         WHERE group_id = $1 AND contributor_id = $2`,
-        [groupId, contributorId]
-      );
-
-      let contributionId;
-      // If admin is paying, status should be 'confirmed' (they're paying to themselves)
-      // Otherwise, status is 'paid' (awaiting admin confirmation)
-      const contributionStatus = isAdmin ? 'confirmed' : 'paid';
-
-      if (existingContribution.rows.length > 0) {
-        contributionId = existingContribution.rows[0].id;
-        await pool.query(
-          `UPDATE general_contributions 
-           SET amount = $1, contribution_date = CURRENT_DATE, status = $2, note = $3
-           WHERE id = $4`,
-          [actualAmount, contributionStatus, note || null, contributionId]
-        );
-      } else {
-        const contributionResult = await pool.query(
-          `INSERT INTO general_contributions 
-           (group_id, contributor_id, amount, contribution_date, status, note)
-           VALUES ($1, $2, $3, CURRENT_DATE, $4, $5)
-           RETURNING id`,
-          [groupId, contributorId, actualAmount, contributionStatus, note || null]
-        );
-        contributionId = contributionResult.rows[0].id;
-      }
-
-      // Create transaction records
-      const existingDebit = await pool.query(
-        `SELECT id FROM transactions 
-         WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-           AND description LIKE $3
-           AND created_at::date = CURRENT_DATE`,
-        [contributorId, groupId, `%Contribution for ${groupName}%`]
-      );
-
-      const existingCredit = await pool.query(
-        `SELECT id FROM transactions 
-         WHERE user_id = $1 AND group_id = $2 AND type = 'credit' 
-           AND description LIKE $3
-           AND created_at::date = CURRENT_DATE`,
-        [group.admin_id, groupId, `%Contribution from ${contributorName}%`]
-      );
-
-      // Transaction status should match contribution status
-      const transactionStatus = isAdmin ? 'confirmed' : 'paid';
-      
-      if (existingDebit.rows.length === 0) {
-        await pool.query(
-          `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
-           VALUES ($1, $2, 'debit', $3, $4, $5, $6)`,
-          [contributorId, groupId, actualAmount, groupCurrency, `Contribution for ${groupName}`, transactionStatus]
-        );
-      }
-
-      let creditTransactionId;
-      if (existingCredit.rows.length === 0) {
-        const creditTransaction = await pool.query(
-          `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
-           VALUES ($1, $2, 'credit', $3, $4, $5, $6)
-           RETURNING id`,
-          [group.admin_id, groupId, actualAmount, groupCurrency, `Contribution from ${contributorName} (${groupName})`, transactionStatus]
-        );
-        creditTransactionId = creditTransaction.rows[0].id;
-      } else {
-        creditTransactionId = existingCredit.rows[0].id;
-      }
-
-      // Link contribution to credit transaction
-      const currentTransactionId = await pool.query(
-        `SELECT transaction_id FROM general_contributions WHERE id = $1`,
-        [contributionId]
-      );
-      if (!currentTransactionId.rows[0]?.transaction_id && creditTransactionId) {
-        await pool.query(
-          `UPDATE general_contributions SET transaction_id = $1 WHERE id = $2`,
-          [creditTransactionId, contributionId]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Only notify admin if it's not the admin themselves paying
-      if (!isAdmin) {
-        await createNotification(
-          group.admin_id,
-          'general_contribution_paid',
-          'Contribution Received',
-          `${contributorName} marked their contribution of ${formatAmount(actualAmount, groupCurrency)} as paid${note ? `: ${note}` : ''}`,
-          groupId,
-          contributorId
-        );
-      }
+    // If admin is paying, status should be 'confirmed' (they're paying to themselves, and it
+    // counts towards the target straight away). Otherwise, status is 'paid' (awaiting admin confirmation)
+    const result = await contributionService.markPaid({
+      type: 'general',
+      groupId,
+      contributorId,
+      contributorName,
+      recipientId: group.admin_id,
+      amount: actualAmount,
+      currency: groupCurrency,
+      note,
+      status: isAdmin ? 'confirmed' : 'paid',
+      values: { is_anonymous: isAnonymous },
+      descriptions: {
+        debit: `Contribution for ${groupName}`,
+        credit: `Contribution from ${contributorName} (${groupName})`,
+      },
+    });
 
-      res.json({ 
-        message: isAdmin 
-          ? 'Payment marked as confirmed successfully (admin payment)' 
-          : 'Payment marked as paid successfully' 
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    res.json({ 
+      message: isAdmin 
+        ? 'Payment marked as confirmed successfully (admin payment)' 
+        : 'Payment marked as paid successfully',
+      contribution_id: result.contributionId,
+      payment_reference: result.paymentReference,
+    });
   } catch (error) {
     console.error('General contribute error:', error);
     res.status(500).json({ error: 'Server error marking payment as paid' });
@@ -203,100 +142,12 @@ router.post('/contribute', authenticate, contributionLimiter, async (req, res) =
 // Confirm general contribution (admin or co-admin confirms payment received)
 router.post('/contribute/:contributionId/confirm', authenticate, async (req, res) => {
   try {
-    const { contributionId } = req.params;
-    const userId = req.user.id;
-
-    // Get contribution details
-    const contributionResult = await pool.query(
-      `SELECT gc.*, g.name as group_name, g.currency, g.status as group_status, g.id as group_id, u.name as contributor_name
-       FROM general_contributions gc
-       JOIN groups g ON gc.group_id = g.id
-       JOIN users u ON gc.contributor_id = u.id
-       WHERE gc.id = $1`,
-      [contributionId]
-    );
-
-    if (contributionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Contribution not found' });
-    }
-
-    const contribution = contributionResult.rows[0];
-
-    // Check if user is admin or co-admin
-    const { checkGroupAdminPermissions } = require('../utils/helpers');
-    const permissions = await checkGroupAdminPermissions(userId, contribution.group_id, pool);
-    if (!permissions.isAdminOrCoAdmin) {
-      return res.status(403).json({ error: 'Only admins or co-admins can confirm contributions' });
-    }
-
-    if (contribution.group_status === 'closed') {
-      return res.status(400).json({ error: 'This group is closed and no longer accepting contribution confirmations' });
+    const result = await contributionService.confirm('general', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    if (contribution.status !== 'paid') {
-      return res.status(400).json({ error: 'Contribution is not in paid status' });
-    }
-
-    await pool.query('BEGIN');
-
-    try {
-      await pool.query(
-        `UPDATE general_contributions SET status = 'confirmed' WHERE id = $1`,
-        [contributionId]
-      );
-
-      if (contribution.transaction_id) {
-        await pool.query(
-          `UPDATE transactions SET status = 'confirmed' WHERE id = $1`,
-          [contribution.transaction_id]
-        );
-
-        await pool.query(
-          `UPDATE transactions 
-           SET status = 'confirmed' 
-           WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-             AND description LIKE $3 AND created_at::date = (
-               SELECT created_at::date FROM transactions WHERE id = $4
-             )`,
-          [
-            contribution.contributor_id,
-            contribution.group_id,
-            `%Contribution for%`,
-            contribution.transaction_id
-          ]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Notify contributor
-      const adminName = await pool.query(
-        'SELECT name FROM users WHERE id = $1',
-        [userId]
-      );
-      const adminNameText = adminName.rows[0]?.name || 'The admin';
-      
-      // Get currency from group (not from contribution, as contribution may not have currency yet)
-      const groupCurrencyResult = await pool.query(
-        'SELECT currency FROM groups WHERE id = $1',
-        [contribution.group_id]
-      );
-      const contributionCurrency = groupCurrencyResult.rows[0]?.currency || 'NGN'; // Fallback for display only
-      
-      await createNotification(
-        contribution.contributor_id,
-        'general_contribution_confirmed',
-        'Payment Confirmed',
-        `${adminNameText} confirmed your payment of ${formatAmount(parseFloat(contribution.amount), contributionCurrency)}. Thank you!`,
-        contribution.group_id,
-        userId
-      );
-
-      res.json({ message: 'Contribution confirmed successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Contribution confirmed successfully' });
   } catch (error) {
     console.error('Confirm general contribution error:', error);
     res.status(500).json({ error: 'Server error confirming contribution' });
@@ -306,96 +157,12 @@ router.post('/contribute/:contributionId/confirm', authenticate, async (req, res
 // Mark general contribution as not received (admin or co-admin marks payment as not received)
 router.post('/contribute/:contributionId/reject', authenticate, async (req, res) => {
   try {
-    const { contributionId } = req.params;
-    const userId = req.user.id;
-
-    // Get contribution details
-    const contributionResult = await pool.query(
-      `SELECT gc.*, g.name as group_name, g.currency, g.status as group_status, g.id as group_id, g.group_type, u.name as contributor_name
-       FROM general_contributions gc
-       JOIN groups g ON gc.group_id = g.id
-       JOIN users u ON gc.contributor_id = u.id
-       WHERE gc.id = $1`,
-      [contributionId]
-    );
-
-    if (contributionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Contribution not found' });
-    }
-
-    const contribution = contributionResult.rows[0];
-
-    if (contribution.group_type !== 'general') {
-      return res.status(400).json({ error: 'This is not a general group contribution' });
+    const result = await contributionService.reject('general', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Check if user is admin or co-admin
-    const { checkGroupAdminPermissions } = require('../utils/helpers');
-    const permissions = await checkGroupAdminPermissions(userId, contribution.group_id, pool);
-    if (!permissions.isAdminOrCoAdmin) {
-      return res.status(403).json({ error: 'Only admins or co-admins can reject contributions' });
-    }
-
-    if (contribution.group_status === 'closed') {
-      return res.status(400).json({ error: 'This group is closed and no longer accepting contribution rejections' });
-    }
-
-    if (contribution.status !== 'paid') {
-      return res.status(400).json({ error: 'Contribution is not in paid status' });
-    }
-
-    await pool.query('BEGIN');
-
-    try {
-      await pool.query(
-        `UPDATE general_contributions SET status = 'not_received' WHERE id = $1`,
-        [contributionId]
-      );
-
-      if (contribution.transaction_id) {
-        await pool.query(
-          `UPDATE transactions SET status = 'not_received' WHERE id = $1`,
-          [contribution.transaction_id]
-        );
-
-        await pool.query(
-          `UPDATE transactions 
-           SET status = 'not_received' 
-           WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-             AND description LIKE $3 AND created_at::date = (
-               SELECT created_at::date FROM transactions WHERE id = $4
-             )`,
-          [
-            contribution.contributor_id,
-            contribution.group_id,
-            `%Contribution for%`,
-            contribution.transaction_id
-          ]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      const adminName = await pool.query(
-        'SELECT name FROM users WHERE id = $1',
-        [userId]
-      );
-      const adminNameText = adminName.rows[0]?.name || 'The admin';
-      
-      await createNotification(
-        contribution.contributor_id,
-        'general_contribution_not_received',
-        'Payment Not Received',
-        `${adminNameText} marked your payment as not received. Please check that you've paid correctly or try again.`,
-        contribution.group_id,
-        userId
-      );
-
-      res.json({ message: 'Contribution marked as not received successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Contribution marked as not received successfully' });
   } catch (error) {
     console.error('Reject general contribution error:', error);
     res.status(500).json({ error: 'Server error rejecting contribution' });
@@ -534,7 +301,7 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
 
     // Get group details
     const groupResult = await pool.query(
-      `SELECT id, name, admin_id
+      `SELECT id, name, admin_id, target_amount, min_contribution_amount, goal_reached_at, contributor_visibility
        FROM groups WHERE id = $1 AND group_type = 'general'`,
       [groupId]
     );
@@ -554,12 +321,20 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
       [groupId, userId]
     );
 
+    const { checkGroupAdminPermissions } = require('../utils/helpers');
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    const fundraising = await getFundraisingProgress(group, {
+      userId,
+      isAdminOrCoAdmin: permissions.isAdminOrCoAdmin,
+    });
+
     let hasPaid = false;
     let paymentStatus = 'not_paid';
     let contributionDate = null;
     let amount = null;
     let note = null;
     let contributionId = null;
+    let receiptCount = 0;
 
     if (paymentCheck.rows.length > 0) {
       const contribution = paymentCheck.rows[0];
@@ -569,6 +344,9 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
       amount = parseFloat(contribution.amount);
       note = contribution.note;
       contributionId = contribution.id;
+
+      const receiptCounts = await getReceiptCounts([{ contribution_type: 'general', id: contribution.id }]);
+      receiptCount = receiptCounts.get(`general:${contribution.id}`) || 0;
     }
 
     res.json({
@@ -580,7 +358,9 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
       amount: amount,
       note: note,
       contribution_id: contributionId,
-      is_admin: isAdmin
+      receipt_count: receiptCount,
+      is_admin: isAdmin,
+      fundraising
     });
   } catch (error) {
     console.error('Get payment status error:', error);
@@ -683,7 +463,9 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
 
     // Get group details
     const groupResult = await pool.query(
-      `SELECT id, name, contribution_amount, currency, deadline, admin_id
+      `SELECT id, name, contribution_amount, currency, deadline, admin_id,
+              late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap,
+              late_fee_auto_charge, late_fee_effective_from
        FROM groups WHERE id = $1 AND group_type = 'general'`,
       [groupId]
     );
@@ -704,6 +486,11 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       [groupId]
     );
 
+    // Late fees per member (members without any get zeros)
+    const lateFeeSummaries = await getLateFeeSummaries(groupId);
+    const noLateFees = { outstanding_amount: 0, outstanding_count: 0, paid_amount: 0, waived_count: 0 };
+    let lateFeesOutstanding = 0;
+
     const complianceData = [];
     let paidCount = 0;
     let unpaidCount = 0;
@@ -743,6 +530,9 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       else if (isPending) pendingCount++;
       else unpaidCount++;
 
+      const lateFees = lateFeeSummaries.get(member.id) || noLateFees;
+      lateFeesOutstanding += lateFees.outstanding_amount;
+
       complianceData.push({
         member_id: member.id,
         member_name: member.name,
@@ -757,7 +547,8 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
         is_paid: isPaid,
         is_pending: isPending,
         is_unpaid: isUnpaid,
-        is_admin: member.id === group.admin_id
+        is_admin: member.id === group.admin_id,
+        late_fees: lateFees
       });
     }
 
@@ -772,8 +563,10 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
         total_members: complianceData.length,
         paid_count: paidCount,
         pending_count: pendingCount,
-        unpaid_count: unpaidCount
+        unpaid_count: unpaidCount,
+        late_fees_outstanding: lateFeesOutstanding
       },
+      late_fee_rule: getLateFeeRule(group),
       members: complianceData
     });
   } catch (error) {
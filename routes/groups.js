@@ -4,37 +4,66 @@ const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const { createNotification } = require('../utils/notifications');
 const { generateInviteCode, checkGroupAdminPermissions } = require('../utils/helpers');
+const { ROTATION_FREQUENCIES, getRotationSlots } = require('../utils/rotationHelpers');
+const {
+  CONTRIBUTOR_VISIBILITY,
+  MAX_STRETCH_GOALS,
+  validateStretchGoals,
+  saveStretchGoals,
+  getAmountRaised,
+  getFundraisingProgress,
+  checkFundraisingMilestones,
+} = require('../utils/fundraisingHelpers');
+const {
+  LATE_FEE_TYPES,
+  MAX_GRACE_DAYS,
+  validateLateFeeRule,
+  getLateFeeRule,
+  describeLateFeeRule,
+  getLateFees,
+  formatLateFee,
+} = require('../utils/lateFeeHelpers');
+const {
+  SUBSCRIPTION_FREQUENCIES,
+  validateRecurrenceRule,
+  normalizeRecurrenceRule,
+  getCurrentSubscriptionPeriod,
+  getNextSubscriptionDeadline,
+  getPreviousSubscriptionDeadline,
+  describeRecurrence,
+} = require('../utils/recurrenceHelpers');
 
 const router = express.Router();
 
-// Helper function to get the last day of a month
-function getLastDayOfMonth(year, month) {
-  // month is 0-indexed (0 = January, 11 = December)
-  return new Date(year, month + 1, 0).getDate();
-}
-
-// Helper function to get deadline date, handling months with fewer days
-function getDeadlineDate(year, month, deadlineDay) {
-  // month is 0-indexed (0 = January, 11 = December)
-  const lastDay = getLastDayOfMonth(year, month);
-  const actualDay = Math.min(deadlineDay, lastDay);
-  return new Date(year, month, actualDay);
-}
-
 // Create group
 router.post('/create', authenticate, [
   body('name').trim().notEmpty().withMessage('Group name is required'),
   body('contributionAmount').isFloat({ min: 0 }).withMessage('Contribution amount must be a positive number'),
   body('maxMembers').isInt({ min: 2 }).withMessage('Max members must be at least 2'),
   body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
-  body('groupType').optional().isIn(['birthday', 'subscription', 'general']).withMessage('Group type must be birthday, subscription, or general'),
+  body('groupType').optional().isIn(['birthday', 'subscription', 'general', 'rotating']).withMessage('Group type must be birthday, subscription, general, or rotating'),
   // Subscription-specific validations
-  body('subscriptionFrequency').optional().isIn(['monthly', 'annual']).withMessage('Subscription frequency must be monthly or annual'),
+  body('subscriptionFrequency').optional().isIn(SUBSCRIPTION_FREQUENCIES).withMessage('Subscription frequency must be monthly, annual or custom'),
+  body('subscriptionRecurrence').optional().isString().withMessage('Subscription recurrence must be a recurrence rule such as FREQ=WEEKLY;BYDAY=FR'),
+  body('subscriptionStartDate').optional().isISO8601().withMessage('Subscription start date must be a valid date'),
   body('subscriptionPlatform').optional().trim().notEmpty().withMessage('Subscription platform is required for subscription groups'),
   body('subscriptionDeadlineDay').optional().isInt({ min: 1, max: 31 }).withMessage('Subscription deadline day must be between 1 and 31'),
   body('subscriptionDeadlineMonth').optional().isInt({ min: 1, max: 12 }).withMessage('Subscription deadline month must be between 1 and 12'),
   // General group validations
   body('deadline').optional().isISO8601().withMessage('Deadline must be a valid date'),
+  body('targetAmount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Target amount must be a positive number'),
+  body('minContributionAmount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Minimum contribution must be a positive number'),
+  body('stretchGoals').optional().isArray({ max: MAX_STRETCH_GOALS }).withMessage(`Stretch goals must be a list of at most ${MAX_STRETCH_GOALS} goals`),
+  body('contributorVisibility').optional().isIn(CONTRIBUTOR_VISIBILITY).withMessage('Contributor visibility must be public, anonymous, or admins_only'),
+  // Late fee validations (all group types)
+  body('lateFeeType').optional({ nullable: true }).isIn(LATE_FEE_TYPES).withMessage('Late fee type must be flat or percentage'),
+  body('lateFeeValue').optional().isFloat({ gt: 0 }).withMessage('Late fee value must be a positive number'),
+  body('lateFeeGraceDays').optional().isInt({ min: 0, max: MAX_GRACE_DAYS }).withMessage(`Grace period must be between 0 and ${MAX_GRACE_DAYS} days`),
+  body('lateFeeCap').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Late fee cap must be a positive number'),
+  body('lateFeeAutoCharge').optional().isBoolean().withMessage('lateFeeAutoCharge must be a boolean'),
+  // Rotating group validations
+  body('rotationFrequency').optional().isIn(ROTATION_FREQUENCIES).withMessage('Rotation frequency must be weekly, biweekly, or monthly'),
+  body('rotationStartDate').optional().isISO8601().withMessage('Rotation start date must be a valid date'),
   // Notes/description field (optional for all group types)
   body('notes').optional().trim(),
   // Chat enabled toggle (optional, defaults to false)
@@ -58,7 +87,20 @@ router.post('/create', authenticate, [
       subscriptionPlatform,
       subscriptionDeadlineDay,
       subscriptionDeadlineMonth,
+      subscriptionRecurrence,
+      subscriptionStartDate,
       deadline,
+      targetAmount,
+      minContributionAmount,
+      stretchGoals = [],
+      contributorVisibility,
+      lateFeeType,
+      lateFeeValue,
+      lateFeeGraceDays = 0,
+      lateFeeCap,
+      lateFeeAutoCharge = false,
+      rotationFrequency,
+      rotationStartDate,
       notes,
       chatEnabled = false,
       wishlistEnabled = false
@@ -112,7 +154,15 @@ router.post('/create', authenticate, [
       if (!subscriptionPlatform) {
         return res.status(400).json({ error: 'Subscription platform is required for subscription groups' });
       }
-      if (!subscriptionDeadlineDay || subscriptionDeadlineDay < 1 || subscriptionDeadlineDay > 31) {
+      if (subscriptionFrequency === 'custom') {
+        if (!subscriptionRecurrence) {
+          return res.status(400).json({ error: 'Subscription recurrence is required for custom subscriptions (e.g. FREQ=WEEKLY;BYDAY=FR)' });
+        }
+        const recurrenceError = validateRecurrenceRule(subscriptionRecurrence);
+        if (recurrenceError) {
+          return res.status(400).json({ error: `Invalid subscription recurrence: ${recurrenceError}` });
+        }
+      } else if (!subscriptionDeadlineDay || subscriptionDeadlineDay < 1 || subscriptionDeadlineDay > 31) {
         return res.status(400).json({ error: 'Subscription deadline day is required and must be between 1 and 31' });
       }
       if (subscriptionFrequency === 'annual' && (!subscriptionDeadlineMonth || subscriptionDeadlineMonth < 1 || subscriptionDeadlineMonth > 12)) {
@@ -135,11 +185,54 @@ router.post('/create', authenticate, [
       }
     }
 
+    // Validate rotating group fields
+    if (groupType === 'rotating') {
+      if (!rotationFrequency) {
+        return res.status(400).json({ error: 'Rotation frequency is required for rotating groups' });
+      }
+      if (!rotationStartDate) {
+        return res.status(400).json({ error: 'Rotation start date is required for rotating groups' });
+      }
+      const startDate = new Date(rotationStartDate);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (startDate < today) {
+        return res.status(400).json({ error: 'Rotation start date cannot be in the past' });
+      }
+    }
+
     // Validate wishlistEnabled can only be set for general groups
     if (wishlistEnabled === true && groupType !== 'general') {
       return res.status(400).json({ error: 'Wishlist can only be enabled for general groups' });
     }
 
+    // Validate fundraising target fields (general groups only)
+    const hasFundraisingFields = (targetAmount !== undefined && targetAmount !== null) ||
+      (minContributionAmount !== undefined && minContributionAmount !== null) ||
+      stretchGoals.length > 0 ||
+      contributorVisibility !== undefined;
+    if (hasFundraisingFields && groupType !== 'general') {
+      return res.status(400).json({ error: 'Fundraising targets are only available for general groups' });
+    }
+    if (targetAmount && minContributionAmount && parseFloat(minContributionAmount) > parseFloat(targetAmount)) {
+      return res.status(400).json({ error: 'Minimum contribution cannot be more than the target amount' });
+    }
+    const stretchGoalsError = validateStretchGoals(stretchGoals, targetAmount);
+    if (stretchGoalsError) {
+      return res.status(400).json({ error: stretchGoalsError });
+    }
+
+    // Validate late fee rule
+    if (!lateFeeType && (lateFeeValue !== undefined || (lateFeeCap !== undefined && lateFeeCap !== null))) {
+      return res.status(400).json({ error: 'Set a late fee type (flat or percentage) to turn late fees on' });
+    }
+    if (lateFeeType) {
+      const lateFeeError = validateLateFeeRule({ type: lateFeeType, value: lateFeeValue, graceDays: lateFeeGraceDays, cap: lateFeeCap });
+      if (lateFeeError) {
+        return res.status(400).json({ error: lateFeeError });
+      }
+    }
+
     // Generate unique invite code
     let inviteCode;
     let isUnique = false;
@@ -157,11 +250,23 @@ router.post('/create', authenticate, [
     let params = [name, inviteCode, contributionAmount, maxMembers, adminId, currency, groupType, chatEnabled === true];
     let paramCount = 9;
 
-    // Add wishlist_enabled for general groups
+    // Add wishlist_enabled and fundraising settings for general groups
     if (groupType === 'general') {
-      insertFields += ', wishlist_enabled';
-      insertValues += `, $${paramCount++}`;
-      params.push(wishlistEnabled === true);
+      insertFields += ', wishlist_enabled, target_amount, min_contribution_amount, contributor_visibility';
+      insertValues += `, $${paramCount++}, $${paramCount++}, $${paramCount++}, $${paramCount++}`;
+      params.push(
+        wishlistEnabled === true,
+        targetAmount || null,
+        minContributionAmount || null,
+        contributorVisibility || 'public'
+      );
+    }
+
+    // Add late fee rule (contributions due from today on can get late fees)
+    if (lateFeeType) {
+      insertFields += ', late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap, late_fee_auto_charge, late_fee_effective_from';
+      insertValues += `, $${paramCount++}, $${paramCount++}, $${paramCount++}, $${paramCount++}, $${paramCount++}, CURRENT_DATE`;
+      params.push(lateFeeType, lateFeeValue, lateFeeGraceDays, lateFeeCap || null, lateFeeAutoCharge === true);
     }
 
     // Add notes if provided
@@ -172,9 +277,21 @@ router.post('/create', authenticate, [
     }
 
     if (groupType === 'subscription') {
-      insertFields += ', subscription_frequency, subscription_platform, subscription_deadline_day';
-      insertValues += `, $${paramCount++}, $${paramCount++}, $${paramCount++}`;
-      params.push(subscriptionFrequency, subscriptionPlatform, subscriptionDeadlineDay);
+      if (subscriptionFrequency === 'custom') {
+        // Periods are counted from the start date (today if not given)
+        insertFields += ', subscription_frequency, subscription_platform, subscription_rrule, subscription_start_date';
+        insertValues += `, $${paramCount++}, $${paramCount++}, $${paramCount++}, $${paramCount++}`;
+        params.push(
+          subscriptionFrequency,
+          subscriptionPlatform,
+          normalizeRecurrenceRule(subscriptionRecurrence),
+          subscriptionStartDate || new Date().toISOString().split('T')[0]
+        );
+      } else {
+        insertFields += ', subscription_frequency, subscription_platform, subscription_deadline_day';
+        insertValues += `, $${paramCount++}, $${paramCount++}, $${paramCount++}`;
+        params.push(subscriptionFrequency, subscriptionPlatform, subscriptionDeadlineDay);
+      }
       
       if (subscriptionFrequency === 'annual') {
         insertFields += ', subscription_deadline_month';
@@ -185,18 +302,26 @@ router.post('/create', authenticate, [
       insertFields += ', deadline';
       insertValues += `, $${paramCount++}`;
       params.push(deadline);
+    } else if (groupType === 'rotating') {
+      insertFields += ', rotation_frequency, rotation_start_date';
+      insertValues += `, $${paramCount++}, $${paramCount++}`;
+      params.push(rotationFrequency, rotationStartDate);
     }
 
     // Create group
     const groupResult = await pool.query(
       `INSERT INTO groups (${insertFields}) 
        VALUES (${insertValues}) 
-       RETURNING id, name, invite_code, contribution_amount, max_members, admin_id, currency, accepting_requests, group_type, is_public, subscription_frequency, subscription_platform, subscription_deadline_day, subscription_deadline_month, deadline, notes, chat_enabled, wishlist_enabled, created_at`,
+       RETURNING id, name, invite_code, contribution_amount, max_members, admin_id, currency, accepting_requests, group_type, is_public, subscription_frequency, subscription_platform, subscription_deadline_day, subscription_deadline_month, subscription_rrule, subscription_start_date, deadline, target_amount, min_contribution_amount, contributor_visibility, late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap, late_fee_auto_charge, rotation_frequency, rotation_start_date, notes, chat_enabled, wishlist_enabled, created_at`,
       params
     );
 
     const group = groupResult.rows[0];
 
+    if (groupType === 'general' && stretchGoals.length > 0) {
+      await saveStretchGoals(group.id, stretchGoals);
+    }
+
     // Add admin as group member
     await pool.query(
       `INSERT INTO group_members (group_id, user_id, role, status) 
@@ -222,7 +347,8 @@ router.get('/preview/:inviteCode', authenticate, async (req, res) => {
     const groupResult = await pool.query(
       `SELECT 
         g.id, g.name, g.invite_code, g.contribution_amount, g.max_members, g.currency, g.status, g.accepting_requests, g.group_type,
-        g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline, g.notes, g.chat_enabled, g.wishlist_enabled,
+        g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.subscription_rrule, g.subscription_start_date, g.deadline, g.notes, g.chat_enabled, g.wishlist_enabled,
+        g.late_fee_type, g.late_fee_value, g.late_fee_grace_days, g.late_fee_cap,
         COUNT(gm.id) FILTER (WHERE gm.status = 'active') as current_members,
         u.name as admin_name
        FROM groups g
@@ -230,7 +356,8 @@ router.get('/preview/:inviteCode', authenticate, async (req, res) => {
        LEFT JOIN users u ON g.admin_id = u.id
        WHERE LOWER(g.invite_code) = LOWER($1)
        GROUP BY g.id, g.name, g.invite_code, g.contribution_amount, g.max_members, g.currency, g.status, g.accepting_requests, g.group_type,
-                g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline, g.notes, g.chat_enabled, g.wishlist_enabled, g.created_at, u.name`,
+                g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.subscription_rrule, g.subscription_start_date, g.deadline, g.notes, g.chat_enabled, g.wishlist_enabled,
+                g.late_fee_type, g.late_fee_value, g.late_fee_grace_days, g.late_fee_cap, g.created_at, u.name`,
       [inviteCode]
     );
 
@@ -257,10 +384,13 @@ router.get('/preview/:inviteCode', authenticate, async (req, res) => {
         subscription_platform: group.subscription_platform,
         subscription_deadline_day: group.subscription_deadline_day,
         subscription_deadline_month: group.subscription_deadline_month,
+        subscription_rrule: group.subscription_rrule,
+        subscription_start_date: group.subscription_start_date,
         deadline: group.deadline,
         notes: group.notes,
         chat_enabled: group.chat_enabled === true,
         wishlist_enabled: group.wishlist_enabled === true,
+        late_fee: group.late_fee_type ? getLateFeeRule(group) : null,
         created_at: group.created_at,
       },
     });
@@ -464,7 +594,7 @@ router.get('/my-groups', authenticate, async (req, res) => {
     const result = await pool.query(
       `SELECT
         g.id, g.name, g.invite_code, g.contribution_amount, g.max_members, g.currency, g.status, g.accepting_requests, g.group_type,
-        g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline, g.notes,
+        g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.subscription_rrule, g.subscription_start_date, g.deadline, g.notes,
         g.created_at,
         gm.role, gm.status as member_status, gm.joined_at,
         COUNT(DISTINCT gm2.id) FILTER (WHERE gm2.status = 'active') as active_members,
@@ -476,7 +606,7 @@ router.get('/my-groups', authenticate, async (req, res) => {
        WHERE gm.user_id = $1
          AND gm.status != 'inactive'
        GROUP BY g.id, g.name, g.invite_code, g.contribution_amount, g.max_members, g.currency, g.status, g.accepting_requests, g.group_type,
-                g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline, g.notes,
+                g.subscription_frequency, g.subscription_platform, g.subscription_deadline_day, g.subscription_deadline_month, g.subscription_rrule, g.subscription_start_date, g.deadline, g.notes,
                 g.created_at, gm.role, gm.status, gm.joined_at, u.name
        ORDER BY gm.joined_at DESC`,
       [userId]
@@ -590,36 +720,18 @@ router.get('/upcoming', authenticate, async (req, res) => {
           });
         }
       } else if (group.group_type === 'subscription') {
-        // Calculate next subscription deadline
-        let nextDeadline;
-        if (group.subscription_frequency === 'monthly') {
-          // Next deadline is the deadline day of current or next month
-          if (currentDay <= group.subscription_deadline_day) {
-            nextDeadline = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-          } else {
-            nextDeadline = getDeadlineDate(currentYear, currentMonth, group.subscription_deadline_day);
-          }
-        } else {
-          // Annual: deadline is on specific month and day
-          if (currentMonth < group.subscription_deadline_month || 
-              (currentMonth === group.subscription_deadline_month && currentDay <= group.subscription_deadline_day)) {
-            nextDeadline = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-          } else {
-            nextDeadline = getDeadlineDate(currentYear + 1, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-          }
+        // Calculate next subscription deadline (monthly, annual or custom recurrence)
+        const next = getNextSubscriptionDeadline(group, today);
+        if (!next) {
+          continue;
         }
 
-        nextDeadline.setHours(0, 0, 0, 0);
+        const nextDeadline = next.deadline;
         const daysUntilDeadline = Math.ceil((nextDeadline - today) / (1000 * 60 * 60 * 24));
 
         if (daysUntilDeadline >= 0 && daysUntilDeadline <= parseInt(days)) {
-          // Check if user has paid for current period
-          let periodStart;
-          if (group.subscription_frequency === 'monthly') {
-            periodStart = new Date(currentYear, currentMonth - 1, 1);
-          } else {
-            periodStart = new Date(currentYear, 0, 1);
-          }
+          // Check if user has paid for the period of this deadline
+          const periodStart = next.periodStart;
 
           const paymentCheck = await pool.query(
             `SELECT status FROM subscription_contributions 
@@ -810,28 +922,17 @@ router.get('/overdue', authenticate, async (req, res) => {
           }
         }
       } else if (group.group_type === 'subscription') {
-        // Calculate subscription deadline
-        let deadlineDate;
-        if (group.subscription_frequency === 'monthly') {
-          // Check current month deadline
-          deadlineDate = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-        } else {
-          // Annual - check if deadline has passed this year
-          deadlineDate = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-        }
-
-        deadlineDate.setHours(0, 0, 0, 0);
-        const daysSinceDeadline = Math.floor((today - deadlineDate) / (1000 * 60 * 60 * 24));
+        // Deadline of the current period, if it has already passed
+        const previous = getPreviousSubscriptionDeadline(group, today);
+        const isCurrentPeriod = previous && previous.periodEnd >= today;
 
         // Only mark as overdue if deadline has passed (at least 1 day ago)
-        if (daysSinceDeadline >= 1) {
+        if (isCurrentPeriod) {
+          const deadlineDate = previous.deadline;
+          const daysSinceDeadline = Math.floor((today - deadlineDate) / (1000 * 60 * 60 * 24));
+
           // Check if user has paid for the period that includes this deadline
-          let periodStart;
-          if (group.subscription_frequency === 'monthly') {
-            periodStart = new Date(deadlineDate.getFullYear(), deadlineDate.getMonth(), 1);
-          } else {
-            periodStart = new Date(deadlineDate.getFullYear(), 0, 1);
-          }
+          const periodStart = previous.periodStart;
 
           const contributionCheck = await pool.query(
             `SELECT status FROM subscription_contributions 
@@ -961,7 +1062,8 @@ async function calculateAdminReliability(adminId) {
 
     // Get all groups where admin is a member (not admin)
     const memberGroupsResult = await pool.query(
-      `SELECT g.id, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline
+      `SELECT g.id, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month,
+              g.subscription_rrule, g.subscription_start_date, g.deadline
        FROM groups g
        JOIN group_members gm ON g.id = gm.group_id
        WHERE gm.user_id = $1 AND gm.status = 'active' AND gm.role = 'member'`,
@@ -970,7 +1072,8 @@ async function calculateAdminReliability(adminId) {
 
     // Also get all groups where admin is the admin (to include their admin performance)
     const adminGroupsResult = await pool.query(
-      `SELECT g.id, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline
+      `SELECT g.id, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month,
+              g.subscription_rrule, g.subscription_start_date, g.deadline
        FROM groups g
        WHERE g.admin_id = $1 AND g.status = 'active'`,
       [adminId]
@@ -1030,25 +1133,12 @@ async function calculateAdminReliability(adminId) {
 
     // Calculate reliability from subscription contributions
     for (const group of memberGroupsResult.rows.filter(g => g.group_type === 'subscription')) {
-      const currentMonth = today.getMonth() + 1;
-      let periodStart;
-      if (group.subscription_frequency === 'monthly') {
-        periodStart = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStart = new Date(currentYear, 0, 1);
-      }
-      periodStart.setHours(0, 0, 0, 0);
-
-      let deadlineDate;
-      if (group.subscription_frequency === 'monthly') {
-        deadlineDate = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-      } else {
-        deadlineDate = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-      }
-      deadlineDate.setHours(0, 0, 0, 0);
-      const isDeadlinePassed = deadlineDate < today;
+      // Only the current period counts, once its deadline has passed
+      const previous = getPreviousSubscriptionDeadline(group, today);
+      const isDeadlinePassed = previous !== null && previous.periodEnd >= today;
 
       if (isDeadlinePassed) {
+        const { periodStart, deadline: deadlineDate } = previous;
         const contributionCheck = await pool.query(
           `SELECT status, contribution_date 
            FROM subscription_contributions 
@@ -1181,25 +1271,12 @@ async function calculateAdminReliability(adminId) {
 
     // Calculate reliability from subscription groups where admin is the admin
     for (const group of adminGroupsResult.rows.filter(g => g.group_type === 'subscription')) {
-      const currentMonth = today.getMonth() + 1;
-      let periodStart;
-      if (group.subscription_frequency === 'monthly') {
-        periodStart = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStart = new Date(currentYear, 0, 1);
-      }
-      periodStart.setHours(0, 0, 0, 0);
-
-      let deadlineDate;
-      if (group.subscription_frequency === 'monthly') {
-        deadlineDate = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-      } else {
-        deadlineDate = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-      }
-      deadlineDate.setHours(0, 0, 0, 0);
-      const isDeadlinePassed = deadlineDate < today;
+      // Only the current period counts, once its deadline has passed
+      const previous = getPreviousSubscriptionDeadline(group, today);
+      const isDeadlinePassed = previous !== null && previous.periodEnd >= today;
 
       if (isDeadlinePassed) {
+        const { periodStart, deadline: deadlineDate } = previous;
         const contributionCheck = await pool.query(
           `SELECT status, contribution_date 
            FROM subscription_contributions 
@@ -1422,7 +1499,7 @@ router.get('/discover', authenticate, async (req, res) => {
       `SELECT 
         g.id, g.name, g.invite_code, g.contribution_amount, g.max_members, g.currency, 
         g.status, g.accepting_requests, g.subscription_frequency, g.subscription_platform,
-        g.subscription_deadline_day, g.subscription_deadline_month, g.notes, g.created_at,
+        g.subscription_deadline_day, g.subscription_deadline_month, g.subscription_rrule, g.notes, g.created_at,
         g.admin_id,
         COUNT(gm.id) FILTER (WHERE gm.status = 'active') as current_members,
         u.name as admin_name,
@@ -1443,7 +1520,7 @@ router.get('/discover', authenticate, async (req, res) => {
        GROUP BY g.id, g.name, g.invite_code, g.contribution_amount, g.max_members, 
                 g.currency, g.status, g.accepting_requests, g.subscription_frequency, 
                 g.subscription_platform, g.subscription_deadline_day, 
-                g.subscription_deadline_month, g.notes, g.created_at, g.admin_id, u.name
+                g.subscription_deadline_month, g.subscription_rrule, g.notes, g.created_at, g.admin_id, u.name
        ORDER BY g.created_at DESC
        LIMIT $3`,
       [searchTerm, userId, parseInt(limit)]
@@ -1470,6 +1547,7 @@ router.get('/discover', authenticate, async (req, res) => {
           subscription_frequency: group.subscription_frequency,
           subscription_deadline_day: group.subscription_deadline_day,
           subscription_deadline_month: group.subscription_deadline_month,
+          subscription_rrule: group.subscription_rrule,
           accepting_requests: group.accepting_requests !== false,
           notes: group.notes,
           is_member: group.is_member,
@@ -1498,7 +1576,8 @@ router.get('/discover', authenticate, async (req, res) => {
 async function calculateSubscriptionGroupHealth(groupId) {
   try {
     const groupResult = await pool.query(
-      `SELECT id, name, subscription_frequency, subscription_deadline_day, subscription_deadline_month
+      `SELECT id, name, subscription_frequency, subscription_deadline_day, subscription_deadline_month,
+              subscription_rrule, subscription_start_date
        FROM groups WHERE id = $1 AND group_type = 'subscription'`,
       [groupId]
     );
@@ -1510,8 +1589,6 @@ async function calculateSubscriptionGroupHealth(groupId) {
     const group = groupResult.rows[0];
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
 
     // Get all active members
     const membersResult = await pool.query(
@@ -1527,24 +1604,11 @@ async function calculateSubscriptionGroupHealth(groupId) {
     let membersWithOverdue = new Set();
     let totalOnTime = 0;
 
-    // Calculate period start for current period
-    let periodStart;
-    if (group.subscription_frequency === 'monthly') {
-      periodStart = new Date(currentYear, currentMonth - 1, 1);
-    } else {
-      periodStart = new Date(currentYear, 0, 1);
-    }
-    periodStart.setHours(0, 0, 0, 0);
-
-    // Calculate deadline for current period
-    let deadlineDate;
-    if (group.subscription_frequency === 'monthly') {
-      deadlineDate = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-    } else {
-      deadlineDate = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-    }
-    deadlineDate.setHours(0, 0, 0, 0);
-    const isDeadlinePassed = deadlineDate < today;
+    // Current period and its deadline (none before a custom rule's start date)
+    const currentPeriod = getCurrentSubscriptionPeriod(group, today);
+    const periodStart = currentPeriod ? currentPeriod.periodStart : null;
+    const deadlineDate = currentPeriod ? currentPeriod.deadline : null;
+    const isDeadlinePassed = deadlineDate !== null && deadlineDate < today;
 
     // Check contributions for current period
     for (const member of membersResult.rows) {
@@ -1552,7 +1616,7 @@ async function calculateSubscriptionGroupHealth(groupId) {
       memberJoinDate.setHours(0, 0, 0, 0);
 
       // Only count if member joined before or during the period
-      if (memberJoinDate <= deadlineDate) {
+      if (deadlineDate && memberJoinDate <= deadlineDate) {
         const contributionCheck = await pool.query(
           `SELECT status, contribution_date 
            FROM subscription_contributions 
@@ -1732,6 +1796,254 @@ async function calculateSubscriptionGroupHealth(groupId) {
   }
 }
 
+// Helper function to calculate rotating group health
+// Besides the usual overdue metrics, checks that everyone paid into every earlier cycle before their own payout
+async function calculateRotatingGroupHealth(groupId) {
+  try {
+    const groupResult = await pool.query(
+      `SELECT id, name, current_cycle
+       FROM groups WHERE id = $1 AND group_type = 'rotating'`,
+      [groupId]
+    );
+
+    if (groupResult.rows.length === 0) {
+      return null;
+    }
+
+    const group = groupResult.rows[0];
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Get all active members
+    const membersResult = await pool.query(
+      `SELECT u.id, u.name, gm.joined_at
+       FROM users u
+       JOIN group_members gm ON u.id = gm.user_id
+       WHERE gm.group_id = $1 AND gm.status = 'active'`,
+      [groupId]
+    );
+
+    const cyclesResult = await pool.query(
+      `SELECT id, cycle_number, recipient_id, period_start, due_date, status
+       FROM rotation_cycles
+       WHERE group_id = $1
+       ORDER BY cycle_number`,
+      [groupId]
+    );
+
+    const contributionsResult = await pool.query(
+      `SELECT cycle_id, contributor_id, status, contribution_date
+       FROM rotating_contributions
+       WHERE group_id = $1`,
+      [groupId]
+    );
+
+    const contributionsByKey = new Map();
+    for (const contribution of contributionsResult.rows) {
+      contributionsByKey.set(`${contribution.cycle_id}:${contribution.contributor_id}`, contribution);
+    }
+
+    let totalExpectedContributions = 0;
+    let totalOverdueContributions = 0;
+    let membersWithOverdue = new Set();
+    let totalOnTime = 0;
+
+    // Check every cycle that has started
+    for (const cycle of cyclesResult.rows) {
+      const dueDate = new Date(cycle.due_date);
+      dueDate.setHours(0, 0, 0, 0);
+      const isDeadlinePassed = dueDate < today;
+
+      for (const member of membersResult.rows) {
+        const memberJoinDate = new Date(member.joined_at);
+        memberJoinDate.setHours(0, 0, 0, 0);
+
+        // The recipient doesn't pay into their own pot; late joiners don't owe earlier cycles
+        if (member.id === cycle.recipient_id || memberJoinDate > dueDate) {
+          continue;
+        }
+
+        const contribution = contributionsByKey.get(`${cycle.id}:${member.id}`);
+        const status = contribution ? contribution.status : null;
+        const isFullyPaid = status === 'confirmed';
+        let paidOnTime = false;
+
+        if (isFullyPaid && contribution.contribution_date) {
+          const contributionDate = new Date(contribution.contribution_date);
+          contributionDate.setHours(0, 0, 0, 0);
+          paidOnTime = contributionDate <= dueDate;
+        }
+
+        if (!isFullyPaid) {
+          totalExpectedContributions++;
+        }
+
+        if (paidOnTime) {
+          totalOnTime++;
+        } else if (isFullyPaid || isDeadlinePassed) {
+          // Confirmed after the due date, or still unpaid/unconfirmed once it passed
+          totalOverdueContributions++;
+          membersWithOverdue.add(member.id);
+        }
+      }
+    }
+
+    // Paid-in-before-payout check, in payout order
+    const slots = await getRotationSlots(groupId);
+    const activeMemberIds = new Set(membersResult.rows.map(member => member.id));
+    let nextProjectedCycle = cyclesResult.rows.length;
+    const rotationMembers = [];
+
+    for (const slot of slots) {
+      if (!activeMemberIds.has(slot.user_id)) {
+        continue;
+      }
+
+      let payoutCycle = slot.cycle_number;
+      let payoutStatus;
+      if (!payoutCycle) {
+        nextProjectedCycle++;
+        payoutCycle = nextProjectedCycle;
+        payoutStatus = 'upcoming';
+      } else {
+        payoutStatus = slot.cycle_status === 'open' ? 'current' : 'received';
+      }
+
+      // Cycles before this member's payout that have opened so far
+      const cyclesBeforePayout = cyclesResult.rows.filter(cycle =>
+        cycle.cycle_number < payoutCycle && cycle.recipient_id !== slot.user_id
+      );
+      const cyclesPaid = cyclesBeforePayout.filter(cycle => {
+        const contribution = contributionsByKey.get(`${cycle.id}:${slot.user_id}`);
+        return contribution && contribution.status === 'confirmed';
+      }).length;
+
+      rotationMembers.push({
+        user_id: slot.user_id,
+        name: slot.name,
+        position: slot.position,
+        payout_cycle: payoutCycle,
+        payout_status: payoutStatus, // 'received', 'current', 'upcoming'
+        cycles_before_payout: cyclesBeforePayout.length,
+        cycles_paid_before_payout: cyclesPaid,
+        paid_in_before_payout: cyclesPaid === cyclesBeforePayout.length,
+      });
+    }
+
+    // Only members whose payout has started can have been paid out without paying in
+    const paidOutMembers = rotationMembers.filter(member => member.payout_status !== 'upcoming');
+    const paidOutWithoutPayingIn = paidOutMembers.filter(member => !member.paid_in_before_payout);
+
+    // Get reports count for this group
+    // Only count reports that indicate real issues: pending (not yet reviewed) and resolved (valid)
+    // Dismissed reports (invalid/false) don't affect health
+    const reportsResult = await pool.query(
+      `SELECT 
+        COUNT(*) FILTER (WHERE status = 'pending') as pending_reports,
+        COUNT(*) FILTER (WHERE status = 'resolved') as resolved_reports,
+        COUNT(*) FILTER (WHERE status IN ('pending', 'resolved')) as total_valid_reports,
+        COUNT(*) as total_reports
+       FROM reports 
+       WHERE reported_group_id = $1`,
+      [groupId]
+    );
+
+    const pendingReports = parseInt(reportsResult.rows[0]?.pending_reports || 0);
+    const resolvedReports = parseInt(reportsResult.rows[0]?.resolved_reports || 0);
+    const totalValidReports = parseInt(reportsResult.rows[0]?.total_valid_reports || 0);
+    const totalReports = parseInt(reportsResult.rows[0]?.total_reports || 0);
+
+    // Health starts at 100% and only reduces for overdue contributions and reports
+    let healthScore = 100;
+    let complianceRate = 100;
+
+    if (totalOverdueContributions > 0 && membersResult.rows.length > 0) {
+      const overdueRate = (totalOverdueContributions / membersResult.rows.length) * 100;
+      healthScore = Math.max(0, 100 - Math.round(overdueRate));
+      complianceRate = Math.max(0, 100 - overdueRate);
+    }
+
+    if (totalExpectedContributions > 0 && totalOverdueContributions > 0) {
+      const onTimeRate = (totalOnTime / totalExpectedContributions) * 100;
+      complianceRate = Math.round(onTimeRate * 10) / 10;
+    } else if (totalExpectedContributions > 0 && totalOverdueContributions === 0) {
+      complianceRate = 100;
+    }
+
+    // Pending reports: -5 points each, resolved reports: -3 points each
+    const reportPenalty = (pendingReports * 5) + (resolvedReports * 3);
+    healthScore = Math.max(0, healthScore - reportPenalty);
+    complianceRate = Math.max(0, complianceRate - reportPenalty);
+
+    // If group has 3+ pending reports, consider closing it
+    if (pendingReports >= 3) {
+      await pool.query(
+        'UPDATE groups SET status = $1 WHERE id = $2 AND status != $1',
+        ['closed', groupId]
+      );
+    }
+
+    // Generate health summary
+    let healthText = '';
+    let healthRating = 'healthy';
+    const membersWithOverdueCount = membersWithOverdue.size;
+
+    if (cyclesResult.rows.length === 0 && totalReports === 0) {
+      healthText = 'New group - Rotation has not started yet';
+      healthRating = 'new';
+    } else if (pendingReports >= 3) {
+      healthText = `Reported - ${pendingReports} pending report${pendingReports > 1 ? 's' : ''}. Group has been closed.`;
+      healthRating = 'reported';
+    } else if (healthScore === 100 && totalReports === 0 && membersWithOverdueCount === 0) {
+      healthText = 'Healthy - All contributions up to date';
+      healthRating = 'healthy';
+    } else if (totalReports > 0 && healthScore < 50) {
+      healthText = `Unhealthy - ${totalReports} report${totalReports > 1 ? 's' : ''} and ${membersWithOverdueCount} member${membersWithOverdueCount > 1 ? 's' : ''} with overdue contributions`;
+      healthRating = 'unhealthy';
+    } else if (healthScore >= 90) {
+      healthText = `Mostly healthy - ${membersWithOverdueCount} member${membersWithOverdueCount > 1 ? 's' : ''} with overdue contributions${totalReports > 0 ? `, ${totalReports} report${totalReports > 1 ? 's' : ''}` : ''}`;
+      healthRating = 'mostly_healthy';
+    } else if (healthScore >= 75) {
+      healthText = `Moderate - ${membersWithOverdueCount} member${membersWithOverdueCount > 1 ? 's' : ''} with overdue contributions${totalReports > 0 ? `, ${totalReports} report${totalReports > 1 ? 's' : ''}` : ''}`;
+      healthRating = 'moderate';
+    } else {
+      healthText = `Unhealthy - ${membersWithOverdueCount} member${membersWithOverdueCount > 1 ? 's' : ''} with overdue contributions${totalReports > 0 ? `, ${totalReports} report${totalReports > 1 ? 's' : ''}` : ''}`;
+      healthRating = 'unhealthy';
+    }
+
+    return {
+      metrics: {
+        total_members: membersResult.rows.length,
+        total_expected_contributions: totalExpectedContributions,
+        total_on_time: totalOnTime,
+        total_overdue: totalOverdueContributions,
+        members_with_overdue: membersWithOverdueCount,
+        compliance_rate: Math.round(complianceRate * 10) / 10,
+        health_score: healthScore,
+        pending_reports: pendingReports,
+        resolved_reports: resolvedReports,
+        total_valid_reports: totalValidReports,
+        total_reports: totalReports,
+        report_penalty: reportPenalty
+      },
+      rotation: {
+        current_cycle: parseInt(group.current_cycle) || 0,
+        total_cycles: nextProjectedCycle,
+        all_paid_in_before_payout: paidOutWithoutPayingIn.length === 0,
+        paid_out_without_paying_in: paidOutWithoutPayingIn.length,
+        members: rotationMembers
+      },
+      health: {
+        text: healthText,
+        rating: healthRating
+      }
+    };
+  } catch (error) {
+    console.error('Error calculating rotating group health:', error);
+    return null;
+  }
+}
+
 // Get group health/score (accessible to everyone, even non-members)
 router.get('/:groupId/health', authenticate, async (req, res) => {
   try {
@@ -1769,6 +2081,25 @@ router.get('/:groupId/health', authenticate, async (req, res) => {
       });
     }
 
+    // Handle rotating groups
+    if (groupType === 'rotating') {
+      const healthData = await calculateRotatingGroupHealth(groupId);
+
+      if (!healthData) {
+        return res.status(500).json({ error: 'Error calculating group health' });
+      }
+
+      return res.json({
+        group: {
+          id: group.id,
+          name: group.name,
+          status: group.status,
+          group_type: groupType
+        },
+        ...healthData
+      });
+    }
+
     // Handle birthday groups (existing logic)
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Normalize to start of day
@@ -2112,6 +2443,14 @@ router.get('/:groupId', authenticate, async (req, res) => {
       }
     }
 
+    // Fundraising progress for general groups (top contributors follow the group's privacy setting)
+    if (group.group_type === 'general') {
+      group.fundraising = await getFundraisingProgress(group, {
+        userId,
+        isAdminOrCoAdmin: userRole === 'admin' || userRole === 'co-admin',
+      });
+    }
+
     // Calculate group health score based on group type
     let healthScore = 100;
     let complianceRate = 100;
@@ -2386,8 +2725,19 @@ router.put('/:groupId', authenticate, [
   body('deadline').optional().isISO8601().withMessage('Deadline must be a valid date'),
   body('subscriptionDeadlineDay').optional().isInt({ min: 1, max: 31 }).withMessage('Subscription deadline day must be between 1 and 31'),
   body('subscriptionDeadlineMonth').optional().isInt({ min: 1, max: 12 }).withMessage('Subscription deadline month must be between 1 and 12'),
+  body('subscriptionRecurrence').optional().isString().withMessage('Subscription recurrence must be a recurrence rule such as FREQ=WEEKLY;BYDAY=FR'),
+  body('subscriptionStartDate').optional().isISO8601().withMessage('Subscription start date must be a valid date'),
   body('chatEnabled').optional().isBoolean().withMessage('chatEnabled must be a boolean'),
   body('wishlistEnabled').optional().isBoolean().withMessage('wishlistEnabled must be a boolean'),
+  body('targetAmount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Target amount must be a positive number'),
+  body('minContributionAmount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Minimum contribution must be a positive number'),
+  body('stretchGoals').optional().isArray({ max: MAX_STRETCH_GOALS }).withMessage(`Stretch goals must be a list of at most ${MAX_STRETCH_GOALS} goals`),
+  body('contributorVisibility').optional().isIn(CONTRIBUTOR_VISIBILITY).withMessage('Contributor visibility must be public, anonymous, or admins_only'),
+  body('lateFeeType').optional({ nullable: true }).isIn(LATE_FEE_TYPES).withMessage('Late fee type must be flat or percentage'),
+  body('lateFeeValue').optional().isFloat({ gt: 0 }).withMessage('Late fee value must be a positive number'),
+  body('lateFeeGraceDays').optional().isInt({ min: 0, max: MAX_GRACE_DAYS }).withMessage(`Grace period must be between 0 and ${MAX_GRACE_DAYS} days`),
+  body('lateFeeCap').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Late fee cap must be a positive number'),
+  body('lateFeeAutoCharge').optional().isBoolean().withMessage('lateFeeAutoCharge must be a boolean'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2432,9 +2782,22 @@ router.put('/:groupId', authenticate, [
       deadline,
       subscriptionDeadlineDay,
       subscriptionDeadlineMonth,
+      subscriptionRecurrence,
+      subscriptionStartDate,
       chatEnabled,
-      wishlistEnabled
+      wishlistEnabled,
+      targetAmount,
+      minContributionAmount,
+      stretchGoals,
+      contributorVisibility,
+      lateFeeType,
+      lateFeeValue,
+      lateFeeGraceDays,
+      lateFeeCap,
+      lateFeeAutoCharge
     } = req.body;
+    const isLateFeeChanging = lateFeeType !== undefined || lateFeeValue !== undefined ||
+      lateFeeGraceDays !== undefined || lateFeeCap !== undefined || lateFeeAutoCharge !== undefined;
 
     // Co-admin restrictions: Cannot change critical settings
     if (isCoAdmin) {
@@ -2444,6 +2807,12 @@ router.put('/:groupId', authenticate, [
       if (maxMembers !== undefined) {
         return res.status(403).json({ error: 'Co-admins cannot change max members. Only admins can modify this setting.' });
       }
+      if (targetAmount !== undefined || minContributionAmount !== undefined) {
+        return res.status(403).json({ error: 'Co-admins cannot change the fundraising target or minimum contribution. Only admins can modify these settings.' });
+      }
+      if (isLateFeeChanging) {
+        return res.status(403).json({ error: 'Co-admins cannot change late fees. Only admins can modify this setting.' });
+      }
     }
 
     // Validate isPublic can only be set for subscription groups
@@ -2456,9 +2825,16 @@ router.put('/:groupId', authenticate, [
       return res.status(400).json({ error: 'Wishlist can only be enabled for general groups' });
     }
 
+    // Validate fundraising settings can only be set for general groups
+    const isFundraisingChanging = targetAmount !== undefined || minContributionAmount !== undefined ||
+      stretchGoals !== undefined || contributorVisibility !== undefined;
+    if (isFundraisingChanging && groupType !== 'general') {
+      return res.status(400).json({ error: 'Fundraising targets are only available for general groups' });
+    }
+
     // Get current group details before updating (to check if contribution amount, deadline, or max_members changed)
     const currentGroupResult = await pool.query(
-      'SELECT contribution_amount, name, currency, deadline, subscription_deadline_day, subscription_deadline_month, subscription_frequency, max_members FROM groups WHERE id = $1',
+      'SELECT contribution_amount, name, currency, deadline, subscription_deadline_day, subscription_deadline_month, subscription_frequency, subscription_rrule, subscription_start_date, max_members, target_amount, min_contribution_amount, late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap, late_fee_auto_charge FROM groups WHERE id = $1',
       [groupId]
     );
 
@@ -2467,6 +2843,77 @@ router.put('/:groupId', authenticate, [
     }
 
     const currentGroup = currentGroupResult.rows[0];
+
+    // Recurrence rules only apply to custom subscriptions (monthly/annual use the deadline day/month)
+    const isRecurrenceChanging = subscriptionRecurrence !== undefined || subscriptionStartDate !== undefined;
+    if (isRecurrenceChanging && currentGroup.subscription_frequency !== 'custom') {
+      return res.status(400).json({ error: 'Recurrence rules can only be changed on custom subscription groups' });
+    }
+    if (subscriptionRecurrence !== undefined) {
+      const recurrenceError = validateRecurrenceRule(subscriptionRecurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ error: `Invalid subscription recurrence: ${recurrenceError}` });
+      }
+    }
+
+    // Validate fundraising settings against the values they will end up with
+    const newTargetAmount = targetAmount !== undefined ? targetAmount : currentGroup.target_amount;
+    const newMinContribution = minContributionAmount !== undefined ? minContributionAmount : currentGroup.min_contribution_amount;
+    const isTargetChanging = targetAmount !== undefined &&
+      (targetAmount === null ? currentGroup.target_amount !== null : parseFloat(targetAmount) !== parseFloat(currentGroup.target_amount));
+    let newStretchGoals = stretchGoals;
+
+    if (isFundraisingChanging) {
+      if (newTargetAmount && newMinContribution && parseFloat(newMinContribution) > parseFloat(newTargetAmount)) {
+        return res.status(400).json({ error: 'Minimum contribution cannot be more than the target amount' });
+      }
+
+      if (newStretchGoals === undefined && isTargetChanging) {
+        // Removing the target removes its stretch goals; a new target must stay below the existing ones
+        if (newTargetAmount === null) {
+          newStretchGoals = [];
+        } else {
+          const existingGoals = await pool.query(
+            'SELECT amount, label FROM fundraising_stretch_goals WHERE group_id = $1',
+            [groupId]
+          );
+          if (validateStretchGoals(existingGoals.rows, newTargetAmount)) {
+            return res.status(400).json({ error: 'The target amount must be lower than every stretch goal. Update the stretch goals as well.' });
+          }
+        }
+      } else if (newStretchGoals !== undefined) {
+        const stretchGoalsError = validateStretchGoals(newStretchGoals, newTargetAmount);
+        if (stretchGoalsError) {
+          return res.status(400).json({ error: stretchGoalsError });
+        }
+      }
+    }
+
+    // Validate the late fee rule the group will end up with
+    const newLateFeeGroup = {
+      late_fee_type: lateFeeType !== undefined ? lateFeeType : currentGroup.late_fee_type,
+      late_fee_value: lateFeeValue !== undefined ? lateFeeValue : currentGroup.late_fee_value,
+      late_fee_grace_days: lateFeeGraceDays !== undefined ? lateFeeGraceDays : currentGroup.late_fee_grace_days,
+      late_fee_cap: lateFeeCap !== undefined ? lateFeeCap : currentGroup.late_fee_cap,
+      late_fee_auto_charge: lateFeeAutoCharge !== undefined ? lateFeeAutoCharge === true : currentGroup.late_fee_auto_charge,
+    };
+    if (isLateFeeChanging) {
+      if (lateFeeType === undefined && !currentGroup.late_fee_type) {
+        return res.status(400).json({ error: 'Set a late fee type (flat or percentage) to turn late fees on' });
+      }
+      const lateFeeError = validateLateFeeRule({
+        type: newLateFeeGroup.late_fee_type,
+        value: newLateFeeGroup.late_fee_value,
+        graceDays: newLateFeeGroup.late_fee_grace_days,
+        cap: newLateFeeGroup.late_fee_cap,
+      });
+      if (lateFeeError) {
+        return res.status(400).json({ error: lateFeeError });
+      }
+    }
+    const oldLateFeeDescription = currentGroup.late_fee_type ? describeLateFeeRule(getLateFeeRule(currentGroup), currentGroup.currency) : null;
+    const newLateFeeDescription = newLateFeeGroup.late_fee_type ? describeLateFeeRule(getLateFeeRule(newLateFeeGroup), currentGroup.currency) : null;
+
     const oldContributionAmount = parseFloat(currentGroup.contribution_amount);
     const isContributionAmountChanging = contributionAmount !== undefined && 
                                          parseFloat(contributionAmount) !== oldContributionAmount;
@@ -2497,6 +2944,20 @@ router.put('/:groupId', authenticate, [
         oldDeadline = oldDate;
         newDeadline = newDate;
       }
+    } else if (groupType === 'subscription' && currentGroup.subscription_frequency === 'custom') {
+      const newRecurrence = {
+        ...currentGroup,
+        subscription_rrule: subscriptionRecurrence !== undefined ? normalizeRecurrenceRule(subscriptionRecurrence) : currentGroup.subscription_rrule,
+        subscription_start_date: subscriptionStartDate !== undefined ? subscriptionStartDate : currentGroup.subscription_start_date,
+      };
+      const oldDescription = describeRecurrence(currentGroup);
+      const newDescription = describeRecurrence(newRecurrence);
+
+      if (oldDescription !== newDescription) {
+        isDeadlineChanging = true;
+        oldDeadline = { description: oldDescription };
+        newDeadline = { description: newDescription };
+      }
     } else if (groupType === 'subscription') {
       const oldDay = currentGroup.subscription_deadline_day;
       const oldMonth = currentGroup.subscription_deadline_month;
@@ -2585,6 +3046,14 @@ router.put('/:groupId', authenticate, [
         updates.push(`subscription_deadline_month = $${paramCount++}`);
         values.push(subscriptionDeadlineMonth);
       }
+      if (subscriptionRecurrence !== undefined) {
+        updates.push(`subscription_rrule = $${paramCount++}`);
+        values.push(normalizeRecurrenceRule(subscriptionRecurrence));
+      }
+      if (subscriptionStartDate !== undefined) {
+        updates.push(`subscription_start_date = $${paramCount++}`);
+        values.push(subscriptionStartDate);
+      }
     }
 
     // Update chat enabled (for all group types)
@@ -2599,15 +3068,107 @@ router.put('/:groupId', authenticate, [
       values.push(wishlistEnabled === true);
     }
 
-    if (updates.length === 0) {
+    // Update fundraising settings (for general groups only)
+    if (groupType === 'general') {
+      if (isTargetChanging) {
+        updates.push(`target_amount = $${paramCount++}`);
+        values.push(newTargetAmount);
+
+        // A target raised above the amount already raised can be reached (and announced) again
+        const { raised } = await getAmountRaised(groupId);
+        if (newTargetAmount === null || parseFloat(newTargetAmount) > raised) {
+          updates.push('goal_reached_at = NULL');
+        }
+      }
+      if (minContributionAmount !== undefined) {
+        updates.push(`min_contribution_amount = $${paramCount++}`);
+        values.push(minContributionAmount);
+      }
+      if (contributorVisibility !== undefined) {
+        updates.push(`contributor_visibility = $${paramCount++}`);
+        values.push(contributorVisibility);
+      }
+    }
+
+    // Update late fee rule (for all group types)
+    if (isLateFeeChanging) {
+      updates.push(`late_fee_type = $${paramCount++}`);
+      values.push(newLateFeeGroup.late_fee_type);
+      updates.push(`late_fee_value = $${paramCount++}`);
+      values.push(newLateFeeGroup.late_fee_type ? newLateFeeGroup.late_fee_value : null);
+      updates.push(`late_fee_grace_days = $${paramCount++}`);
+      values.push(newLateFeeGroup.late_fee_grace_days || 0);
+      updates.push(`late_fee_cap = $${paramCount++}`);
+      values.push(newLateFeeGroup.late_fee_type ? newLateFeeGroup.late_fee_cap : null);
+      updates.push(`late_fee_auto_charge = $${paramCount++}`);
+      values.push(newLateFeeGroup.late_fee_type ? newLateFeeGroup.late_fee_auto_charge === true : false);
+
+      // Turning late fees on doesn't reach back to contributions that were already late
+      if (!currentGroup.late_fee_type && newLateFeeGroup.late_fee_type) {
+        updates.push('late_fee_effective_from = CURRENT_DATE');
+      }
+    }
+
+    if (updates.length === 0 && newStretchGoals === undefined) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    values.push(groupId);
-    const query = `UPDATE groups SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    let updatedGroup;
+    if (updates.length > 0) {
+      values.push(groupId);
+      const query = `UPDATE groups SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+
+      const result = await pool.query(query, values);
+      updatedGroup = result.rows[0];
+    } else {
+      const result = await pool.query('SELECT * FROM groups WHERE id = $1', [groupId]);
+      updatedGroup = result.rows[0];
+    }
+
+    if (groupType === 'general' && (newStretchGoals !== undefined || isTargetChanging)) {
+      if (newStretchGoals !== undefined) {
+        await saveStretchGoals(groupId, newStretchGoals);
+      }
+
+      // The new target or stretch goals may already be covered by confirmed contributions
+      try {
+        await checkFundraisingMilestones(groupId);
+      } catch (error) {
+        console.error('Error checking fundraising milestones after group update:', error);
+      }
+    }
+
+    // If the late fee rule changed, tell members what they can now be charged
+    if (isLateFeeChanging && oldLateFeeDescription !== newLateFeeDescription) {
+      try {
+        const membersResult = await pool.query(
+          `SELECT gm.user_id FROM group_members gm
+           WHERE gm.group_id = $1 AND gm.status = 'active' AND gm.user_id != $2`,
+          [groupId, userId]
+        );
+        const groupName = updatedGroup.name || currentGroup.name;
+        const { createNotification } = require('../utils/notifications');
 
-    const result = await pool.query(query, values);
-    const updatedGroup = result.rows[0];
+        for (const member of membersResult.rows) {
+          try {
+            await createNotification(
+              member.user_id,
+              'late_fee_rule_updated',
+              newLateFeeDescription ? 'Late Fees Updated' : 'Late Fees Turned Off',
+              newLateFeeDescription
+                ? `"${groupName}" now charges a ${newLateFeeDescription} for unpaid contributions.`
+                : `"${groupName}" no longer charges late fees. Late fees already added still apply.`,
+              groupId,
+              null
+            );
+          } catch (err) {
+            console.error(`Error sending late fee notification to user ${member.user_id}:`, err);
+          }
+        }
+      } catch (error) {
+        console.error('Error sending late fee rule notifications:', error);
+      }
+    }
 
     // If contribution amount changed, notify all members
     if (isContributionAmountChanging) {
@@ -2947,7 +3508,10 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
 
     // Get group details
     const groupResult = await pool.query(
-      'SELECT id, name, contribution_amount, currency, admin_id FROM groups WHERE id = $1',
+      `SELECT id, name, contribution_amount, currency, admin_id,
+              late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap,
+              late_fee_auto_charge, late_fee_effective_from
+       FROM groups WHERE id = $1`,
       [groupId]
     );
 
@@ -2971,6 +3535,16 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       [groupId]
     );
 
+    // Late fees of the group, keyed by due_key and contributor
+    const lateFeesByDue = new Map();
+    let lateFeesOutstanding = 0;
+    for (const lateFee of await getLateFees(groupId)) {
+      lateFeesByDue.set(`${lateFee.due_key}:${lateFee.user_id}`, lateFee);
+      if (lateFee.status === 'outstanding') {
+        lateFeesOutstanding += parseFloat(lateFee.amount);
+      }
+    }
+
     const complianceData = [];
 
     for (const member of membersResult.rows) {
@@ -3038,6 +3612,8 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
           unpaidCount++;
         }
 
+        const lateFee = lateFeesByDue.get(`birthday:${member.id}:${currentYear}:${contributor.id}`);
+
         contributors.push({
           contributor_id: contributor.id,
           contributor_name: contributor.name,
@@ -3047,7 +3623,8 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
           note: note,
           is_overdue: isOverdue,
           days_overdue: isOverdue ? daysUntilOrSince : null,
-          is_admin: contributor.id === group.admin_id
+          is_admin: contributor.id === group.admin_id,
+          late_fee: lateFee ? formatLateFee(lateFee) : null
         });
       }
 
@@ -3072,6 +3649,8 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       currency: group.currency || 'NGN',
       contribution_amount: parseFloat(group.contribution_amount),
       admin_id: group.admin_id,
+      late_fee_rule: getLateFeeRule(group),
+      late_fees_outstanding: lateFeesOutstanding,
       compliance: complianceData
     });
   } catch (error) {
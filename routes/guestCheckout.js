@@ -0,0 +1,325 @@
+const express = require('express');
+const pool = require('../config/database');
+const paymentService = require('../services/paymentService');
+const { contributionLimiter } = require('../middleware/rateLimiter');
+const { formatAmount } = require('../utils/currency');
+const {
+  getPaymentLinkUrl,
+  getPaymentLinkByToken,
+  getLinkClosedReason,
+} = require('../utils/paymentLinkHelpers');
+
+const router = express.Router();
+
+// Hosted checkout pages for payment links (public, no auth required)
+// Route: /pay/:token
+
+// The checkout form redirects to the provider's hosted checkout, which the default
+// form-action 'self' policy would block
+const CHECKOUT_HOSTS = ['https://checkout.stripe.com', 'https://checkout.paystack.com'];
+router.use((req, res, next) => {
+  const policy = res.getHeader('Content-Security-Policy');
+  if (typeof policy === 'string') {
+    res.setHeader('Content-Security-Policy', policy.replace(/form-action [^;]*/, `form-action 'self' ${CHECKOUT_HOSTS.join(' ')}`));
+  }
+  next();
+});
+
+/**
+ * Escape text for HTML (names, titles and messages on these pages come from users)
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap page content in the checkout page layout
+ * @param {string} title - Page title (escaped by the caller)
+ * @param {string} content - Inner HTML
+ * @returns {string}
+ */
+function renderPage(title, content) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title} - GroupFund</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <meta name="robots" content="noindex">
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+        .container {
+          background: white;
+          border-radius: 20px;
+          padding: 40px;
+          max-width: 500px;
+          width: 100%;
+          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+          text-align: center;
+        }
+        h1 { color: #333; margin-bottom: 10px; font-size: 26px; }
+        .subtitle { color: #667eea; font-weight: 600; font-size: 20px; margin-bottom: 20px; }
+        .message { color: #666; margin: 15px 0; line-height: 1.6; }
+        .error { background: #fdecea; color: #c0392b; padding: 12px; border-radius: 10px; margin-bottom: 20px; }
+        form { text-align: left; }
+        label { display: block; color: #333; font-weight: 600; margin: 15px 0 6px; }
+        input, textarea {
+          width: 100%;
+          padding: 12px;
+          border: 1px solid #ddd;
+          border-radius: 10px;
+          font-size: 16px;
+          font-family: inherit;
+        }
+        .hint { color: #999; font-size: 13px; margin-top: 4px; }
+        button {
+          width: 100%;
+          background: #667eea;
+          color: white;
+          border: none;
+          padding: 15px;
+          border-radius: 10px;
+          font-size: 16px;
+          font-weight: 600;
+          margin-top: 25px;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        ${content}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Render the page shown for unknown or closed links
+ * @param {string} title - Heading
+ * @param {string} text - Explanation
+ * @returns {string}
+ */
+function renderClosedPage(title, text) {
+  return renderPage(escapeHtml(title), `
+    <h1>${escapeHtml(title)}</h1>
+    <p class="message">${escapeHtml(text)}</p>
+  `);
+}
+
+/**
+ * Render the checkout form of a payment link
+ * @param {Object} link - Link row from getPaymentLinkByToken
+ * @param {Object} options - { error, values } to redisplay a rejected submission
+ * @returns {string}
+ */
+function renderCheckoutForm(link, { error = null, values = {} } = {}) {
+  const heading = link.celebrant_name ? `Birthday gift for ${link.celebrant_name}` : link.group_name;
+  const minAmount = parseFloat(link.min_amount);
+  const maxAmount = parseFloat(link.max_amount);
+
+  return renderPage(escapeHtml(heading), `
+    <h1>${escapeHtml(link.title || 'Make a contribution')}</h1>
+    <div class="subtitle">${escapeHtml(heading)}</div>
+    ${link.celebrant_name ? `<p class="message">Collected by ${escapeHtml(link.group_name)}</p>` : ''}
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <form method="POST" action="/pay/${escapeHtml(link.token)}">
+      <label for="name">Your name</label>
+      <input id="name" name="name" maxlength="100" required value="${escapeHtml(values.name)}">
+      <label for="email">Your email</label>
+      <input id="email" name="email" type="email" maxlength="255" required value="${escapeHtml(values.email)}">
+      <div class="hint">Used for your payment receipt</div>
+      <label for="amount">Amount (${escapeHtml(link.currency)})</label>
+      <input id="amount" name="amount" type="number" step="0.01" min="${minAmount}" max="${maxAmount}" required value="${escapeHtml(values.amount)}">
+      <div class="hint">Between ${escapeHtml(formatAmount(minAmount, link.currency))} and ${escapeHtml(formatAmount(maxAmount, link.currency))}. Processing fees are added at checkout.</div>
+      <label for="message">Message (optional)</label>
+      <textarea id="message" name="message" rows="3" maxlength="500">${escapeHtml(values.message)}</textarea>
+      <button type="submit">Continue to payment</button>
+    </form>
+  `);
+}
+
+/**
+ * Check a guest's checkout form
+ * @param {Object} form - { name, email, amount, message }
+ * @param {Object} link - Payment link row
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCheckoutForm({ name, email, amount, message }, link) {
+  if (!name || !name.trim() || name.trim().length > 100) {
+    return 'Please enter your name (up to 100 characters)';
+  }
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()) || email.trim().length > 255) {
+    return 'Please enter a valid email address';
+  }
+  if (message && message.length > 500) {
+    return 'Your message can be at most 500 characters';
+  }
+
+  const value = parseFloat(amount);
+  const minAmount = parseFloat(link.min_amount);
+  const maxAmount = parseFloat(link.max_amount);
+  if (!Number.isFinite(value) || value < minAmount || value > maxAmount) {
+    return `Amount must be between ${formatAmount(minAmount, link.currency)} and ${formatAmount(maxAmount, link.currency)}`;
+  }
+  return null;
+}
+
+// Checkout page of a payment link
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await getPaymentLinkByToken(req.params.token);
+    if (!link) {
+      return res.status(404).send(renderClosedPage('Link Not Found', 'This payment link doesn\'t exist. Please check the link you were sent.'));
+    }
+
+    const closedReason = getLinkClosedReason(link);
+    if (closedReason) {
+      return res.status(410).send(renderClosedPage('Link Closed', closedReason));
+    }
+
+    res.send(renderCheckoutForm(link));
+  } catch (error) {
+    console.error('Payment link page error:', error);
+    res.status(500).send(renderClosedPage('Something Went Wrong', 'Please try again in a few minutes.'));
+  }
+});
+
+// Start the hosted checkout for a guest (form post from the checkout page)
+router.post('/:token', contributionLimiter, async (req, res) => {
+  try {
+    const link = await getPaymentLinkByToken(req.params.token);
+    if (!link) {
+      return res.status(404).send(renderClosedPage('Link Not Found', 'This payment link doesn\'t exist. Please check the link you were sent.'));
+    }
+
+    const closedReason = getLinkClosedReason(link);
+    if (closedReason) {
+      return res.status(410).send(renderClosedPage('Link Closed', closedReason));
+    }
+
+    const values = {
+      name: typeof req.body.name === 'string' ? req.body.name : '',
+      email: typeof req.body.email === 'string' ? req.body.email : '',
+      amount: typeof req.body.amount === 'string' ? req.body.amount : String(req.body.amount ?? ''),
+      message: typeof req.body.message === 'string' ? req.body.message.trim() : '',
+    };
+    const formError = validateCheckoutForm(values, link);
+    if (formError) {
+      return res.status(400).send(renderCheckoutForm(link, { error: formError, values }));
+    }
+
+    const amount = Math.round(parseFloat(values.amount) * 100) / 100;
+    const currency = link.currency;
+    const provider = paymentService.selectProvider(currency, null);
+    const fees = await paymentService.calculateFees(amount, currency, provider, { groupType: link.group_type });
+
+    const insertResult = await pool.query(
+      `INSERT INTO guest_contributions
+       (payment_link_id, group_id, recipient_id, guest_name, guest_email, message, amount, gross_amount, currency, payment_provider)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        link.id,
+        link.group_id,
+        link.recipient_id,
+        values.name.trim(),
+        values.email.trim().toLowerCase(),
+        values.message || null,
+        amount,
+        fees.grossAmount,
+        currency,
+        provider,
+      ]
+    );
+    const guestContributionId = insertResult.rows[0].id;
+
+    const linkUrl = getPaymentLinkUrl(link.token);
+    const checkout = await paymentService.createCheckoutSession({
+      amount: fees.grossAmount,
+      currency,
+      email: values.email.trim().toLowerCase(),
+      description: link.celebrant_name ? `Birthday gift for ${link.celebrant_name} (${link.group_name})` : `Contribution to ${link.group_name}`,
+      metadata: {
+        contributionType: 'guest',
+        contributionId: guestContributionId,
+        groupId: link.group_id,
+        recipientId: link.recipient_id,
+        contributionAmount: amount,
+        platformFee: fees.platformFee,
+        processorFee: fees.processorFee,
+        grossAmount: fees.grossAmount,
+        feeScheduleId: fees.feeScheduleId,
+      },
+      reference: guestContributionId,
+      successUrl: `${linkUrl}/complete?contribution=${guestContributionId}`,
+      cancelUrl: linkUrl,
+    }, provider);
+
+    if (!checkout.success) {
+      return res.status(502).send(renderCheckoutForm(link, { error: checkout.error, values }));
+    }
+
+    await pool.query(
+      'UPDATE guest_contributions SET checkout_reference = $1 WHERE id = $2',
+      [checkout.checkoutReference, guestContributionId]
+    );
+
+    res.redirect(303, checkout.checkoutUrl);
+  } catch (error) {
+    console.error('Payment link checkout error:', error);
+    res.status(500).send(renderClosedPage('Something Went Wrong', 'We couldn\'t start your payment. Please try again in a few minutes.'));
+  }
+});
+
+// Where guests land after paying (the webhook, not this page, credits the payment)
+router.get('/:token/complete', async (req, res) => {
+  try {
+    const link = await getPaymentLinkByToken(req.params.token);
+    if (!link) {
+      return res.status(404).send(renderClosedPage('Link Not Found', 'This payment link doesn\'t exist. Please check the link you were sent.'));
+    }
+
+    const contributionId = req.query.contribution;
+    let guestContribution = null;
+    if (typeof contributionId === 'string' && /^[0-9a-f-]{36}$/i.test(contributionId)) {
+      const result = await pool.query(
+        'SELECT guest_name, amount, currency, status FROM guest_contributions WHERE id = $1 AND payment_link_id = $2',
+        [contributionId, link.id]
+      );
+      guestContribution = result.rows[0] || null;
+    }
+
+    const recipient = link.celebrant_name || link.group_name;
+    const text = guestContribution?.status === 'paid'
+      ? `Your contribution of ${formatAmount(parseFloat(guestContribution.amount), guestContribution.currency)} to ${recipient} has been received.`
+      : `We're confirming your payment to ${recipient}. This can take a moment - there's nothing else you need to do.`;
+
+    res.send(renderPage('Thank You', `
+      <h1>Thank you${guestContribution ? `, ${escapeHtml(guestContribution.guest_name)}` : ''}!</h1>
+      <p class="message">${escapeHtml(text)}</p>
+    `));
+  } catch (error) {
+    console.error('Payment link complete page error:', error);
+    res.status(500).send(renderClosedPage('Something Went Wrong', 'Please try again in a few minutes.'));
+  }
+});
+
+module.exports = router;
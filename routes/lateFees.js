@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { checkGroupAdminPermissions } = require('../utils/helpers');
+const { withTransaction } = require('../utils/dbTransaction');
+const {
+  getLateFeeRule,
+  getLateFees,
+  waiveLateFee,
+  markLateFeePaid,
+  formatLateFee,
+} = require('../utils/lateFeeHelpers');
+
+const router = express.Router();
+
+/**
+ * Load a late fee of a group
+ * @param {string} groupId - Group ID
+ * @param {string} lateFeeId - Late fee ID
+ * @returns {Promise<Object|null>}
+ */
+async function getGroupLateFee(groupId, lateFeeId) {
+  const result = await pool.query(
+    'SELECT * FROM late_fees WHERE id = $1 AND group_id = $2',
+    [lateFeeId, groupId]
+  );
+  return result.rows[0] || null;
+}
+
+// Get late fees of a group (admins see everyone's, members see their own)
+router.get('/:groupId/late-fees', authenticate, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+    const { status, userId: filterUserId } = req.query;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    if (!permissions.role) {
+      return res.status(403).json({ error: 'You are not an active member of this group' });
+    }
+
+    const groupResult = await pool.query('SELECT * FROM groups WHERE id = $1', [groupId]);
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const group = groupResult.rows[0];
+
+    const lateFees = await getLateFees(groupId, {
+      userId: permissions.isAdminOrCoAdmin ? filterUserId : userId,
+      status,
+    });
+
+    const outstanding = lateFees.filter(lateFee => lateFee.status === 'outstanding');
+
+    res.json({
+      rule: getLateFeeRule(group),
+      currency: group.currency || 'NGN',
+      summary: {
+        total: lateFees.length,
+        outstanding_count: outstanding.length,
+        outstanding_amount: outstanding.reduce((sum, lateFee) => sum + parseFloat(lateFee.amount), 0),
+      },
+      late_fees: lateFees.map(formatLateFee),
+    });
+  } catch (error) {
+    console.error('Get late fees error:', error);
+    res.status(500).json({ error: 'Server error fetching late fees' });
+  }
+});
+
+// Get a late fee with its history
+router.get('/:groupId/late-fees/:lateFeeId', authenticate, async (req, res) => {
+  try {
+    const { groupId, lateFeeId } = req.params;
+    const userId = req.user.id;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    const lateFee = await getGroupLateFee(groupId, lateFeeId);
+    if (!lateFee || (!permissions.isAdminOrCoAdmin && lateFee.user_id !== userId)) {
+      return res.status(404).json({ error: 'Late fee not found' });
+    }
+
+    const eventsResult = await pool.query(
+      `SELECT e.id, e.action, e.notes, e.metadata, e.created_at, e.actor_id, u.name as actor_name
+       FROM late_fee_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.late_fee_id = $1
+       ORDER BY e.created_at ASC`,
+      [lateFeeId]
+    );
+
+    res.json({
+      late_fee: formatLateFee(lateFee),
+      events: eventsResult.rows,
+    });
+  } catch (error) {
+    console.error('Get late fee error:', error);
+    res.status(500).json({ error: 'Server error fetching late fee' });
+  }
+});
+
+// Waive an outstanding late fee (admin or co-admin)
+router.post('/:groupId/late-fees/:lateFeeId/waive', idempotency, authenticate, [
+  body('reason').trim().notEmpty().withMessage('A reason is required to waive a late fee'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId, lateFeeId } = req.params;
+    const userId = req.user.id;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can waive late fees' });
+    }
+
+    const lateFee = await getGroupLateFee(groupId, lateFeeId);
+    if (!lateFee) {
+      return res.status(404).json({ error: 'Late fee not found' });
+    }
+
+    const waived = await waiveLateFee({ groupId, lateFeeId, adminId: userId, reason: req.body.reason });
+    if (!waived) {
+      return res.status(400).json({ error: `This late fee is already ${lateFee.status}` });
+    }
+
+    res.json({ message: 'Late fee waived', late_fee: formatLateFee(waived) });
+  } catch (error) {
+    console.error('Waive late fee error:', error);
+    res.status(500).json({ error: 'Server error waiving late fee' });
+  }
+});
+
+// Record a late fee paid outside the app (admin or co-admin)
+router.post('/:groupId/late-fees/:lateFeeId/mark-paid', idempotency, authenticate, [
+  body('note').optional().trim(),
+], async (req, res) => {
+  try {
+    const { groupId, lateFeeId } = req.params;
+    const userId = req.user.id;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can mark late fees as paid' });
+    }
+
+    const lateFee = await getGroupLateFee(groupId, lateFeeId);
+    if (!lateFee) {
+      return res.status(404).json({ error: 'Late fee not found' });
+    }
+
+    const paid = await withTransaction(client => markLateFeePaid(lateFeeId, { actorId: userId, notes: req.body.note || null }, client));
+    if (!paid) {
+      return res.status(400).json({ error: `This late fee is already ${lateFee.status}` });
+    }
+
+    res.json({ message: 'Late fee marked as paid', late_fee: formatLateFee(paid) });
+  } catch (error) {
+    console.error('Mark late fee paid error:', error);
+    res.status(500).json({ error: 'Server error updating late fee' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const { createNotification } = require('../utils/notifications');
 const { checkGroupAdminPermissions } = require('../utils/helpers');
+const { getPreviousSubscriptionDeadline } = require('../utils/recurrenceHelpers');
 
 const router = express.Router();
 
@@ -93,7 +94,8 @@ router.get('/summary/:userId', authenticate, async (req, res) => {
 
     // Get all groups the user is/was a member of (active or past)
     const groupsResult = await pool.query(
-      `SELECT g.id, g.name, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline, gm.joined_at, gm.status
+      `SELECT g.id, g.name, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month,
+              g.subscription_rrule, g.subscription_start_date, g.deadline, gm.joined_at, gm.status
        FROM group_members gm
        JOIN groups g ON gm.group_id = g.id
        WHERE gm.user_id = $1 AND gm.status IN ('active', 'inactive')
@@ -201,26 +203,14 @@ router.get('/summary/:userId', authenticate, async (req, res) => {
       const userJoinDate = new Date(group.joined_at);
       userJoinDate.setHours(0, 0, 0, 0);
       
-      const currentMonth = today.getMonth() + 1;
-      let periodStart;
-      if (group.subscription_frequency === 'monthly') {
-        periodStart = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStart = new Date(currentYear, 0, 1);
-      }
-      periodStart.setHours(0, 0, 0, 0);
-
-      let deadlineDate;
-      if (group.subscription_frequency === 'monthly') {
-        deadlineDate = new Date(currentYear, currentMonth - 1, group.subscription_deadline_day || 1);
-      } else {
-        deadlineDate = new Date(currentYear, (group.subscription_deadline_month || 1) - 1, group.subscription_deadline_day || 1);
-      }
-      deadlineDate.setHours(0, 0, 0, 0);
-      const isDeadlinePassed = deadlineDate < today;
+      // Current period, counted once its deadline has passed
+      const previous = getPreviousSubscriptionDeadline(group, today);
+      const isDeadlinePassed = previous !== null && previous.periodEnd >= today;
+      const periodStart = isDeadlinePassed ? previous.periodStart : null;
+      const deadlineDate = isDeadlinePassed ? previous.deadline : null;
 
       // Only count if user was a member when deadline occurred
-      if (userJoinDate <= deadlineDate && isDeadlinePassed) {
+      if (isDeadlinePassed && userJoinDate <= deadlineDate) {
         const contributionCheck = await pool.query(
           `SELECT status, contribution_date 
            FROM subscription_contributions 
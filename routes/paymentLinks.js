@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { checkGroupAdminPermissions } = require('../utils/helpers');
+const {
+  MAX_LINK_EXPIRY_DAYS,
+  LINK_GROUP_TYPES,
+  generateLinkToken,
+  validateLinkAmounts,
+  getLinkExpiry,
+  getGroupPaymentLinks,
+  formatPaymentLink,
+  formatGuestContribution,
+} = require('../utils/paymentLinkHelpers');
+
+const router = express.Router();
+
+// Create a payment link guests can contribute through (admin or co-admin)
+router.post('/:groupId/payment-links', idempotency, authenticate, [
+  body('celebrantId').optional().isUUID().withMessage('Invalid celebrant ID'),
+  body('title').optional().trim().isLength({ max: 255 }).withMessage('Title can be at most 255 characters'),
+  body('minAmount').isFloat({ gt: 0 }).withMessage('Minimum amount must be a positive number'),
+  body('maxAmount').isFloat({ gt: 0 }).withMessage('Maximum amount must be a positive number'),
+  body('expiresInDays').optional().isInt({ min: 1, max: MAX_LINK_EXPIRY_DAYS })
+    .withMessage(`Links can stay open for 1 to ${MAX_LINK_EXPIRY_DAYS} days`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const userId = req.user.id;
+    const { celebrantId, title, expiresInDays } = req.body;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can create payment links' });
+    }
+
+    const groupResult = await pool.query('SELECT * FROM groups WHERE id = $1', [groupId]);
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const group = groupResult.rows[0];
+
+    if (!LINK_GROUP_TYPES.includes(group.group_type)) {
+      return res.status(400).json({ error: 'Payment links are available for birthday and general groups' });
+    }
+    if (group.status === 'closed') {
+      return res.status(400).json({ error: 'This group is closed and no longer accepting contributions' });
+    }
+    if (!group.currency) {
+      return res.status(400).json({ error: 'Group has no currency set. Please contact the admin.' });
+    }
+
+    // Birthday links collect for one celebrant; general links pay the admin, like member contributions
+    let recipientId = group.admin_id;
+    if (group.group_type === 'birthday') {
+      if (!celebrantId) {
+        return res.status(400).json({ error: 'Choose the celebrant this link collects for' });
+      }
+      const celebrantCheck = await pool.query(
+        'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2 AND status = $3',
+        [groupId, celebrantId, 'active']
+      );
+      if (celebrantCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'The celebrant must be an active member of the group' });
+      }
+      recipientId = celebrantId;
+    } else if (celebrantId) {
+      return res.status(400).json({ error: 'Only birthday group links have a celebrant' });
+    }
+
+    const minAmount = parseFloat(req.body.minAmount);
+    const maxAmount = parseFloat(req.body.maxAmount);
+    const amountError = validateLinkAmounts(minAmount, maxAmount, group.currency);
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO payment_links
+       (group_id, created_by, celebrant_id, recipient_id, token, title, currency, min_amount, max_amount, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        groupId,
+        userId,
+        celebrantId || null,
+        recipientId,
+        generateLinkToken(),
+        title || null,
+        group.currency,
+        minAmount,
+        maxAmount,
+        getLinkExpiry(expiresInDays),
+      ]
+    );
+
+    res.status(201).json({
+      message: 'Payment link created',
+      payment_link: formatPaymentLink(result.rows[0]),
+    });
+  } catch (error) {
+    console.error('Create payment link error:', error);
+    res.status(500).json({ error: 'Server error creating payment link' });
+  }
+});
+
+// Get the payment links of a group (admin or co-admin)
+router.get('/:groupId/payment-links', authenticate, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const permissions = await checkGroupAdminPermissions(req.user.id, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can view payment links' });
+    }
+
+    const links = await getGroupPaymentLinks(groupId);
+    res.json({ payment_links: links.map(formatPaymentLink) });
+  } catch (error) {
+    console.error('Get payment links error:', error);
+    res.status(500).json({ error: 'Server error fetching payment links' });
+  }
+});
+
+// Get the guest contributions paid through a payment link (admin or co-admin)
+router.get('/:groupId/payment-links/:linkId/contributions', authenticate, async (req, res) => {
+  try {
+    const { groupId, linkId } = req.params;
+
+    const permissions = await checkGroupAdminPermissions(req.user.id, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can view payment links' });
+    }
+
+    const linkResult = await pool.query(
+      'SELECT id FROM payment_links WHERE id = $1 AND group_id = $2',
+      [linkId, groupId]
+    );
+    if (linkResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Payment link not found' });
+    }
+
+    // Checkouts that were started but never paid are left out
+    const result = await pool.query(
+      `SELECT * FROM guest_contributions
+       WHERE payment_link_id = $1 AND status = 'paid'
+       ORDER BY paid_at DESC`,
+      [linkId]
+    );
+
+    res.json({ contributions: result.rows.map(formatGuestContribution) });
+  } catch (error) {
+    console.error('Get payment link contributions error:', error);
+    res.status(500).json({ error: 'Server error fetching guest contributions' });
+  }
+});
+
+// Turn off a payment link (admin or co-admin)
+router.post('/:groupId/payment-links/:linkId/disable', idempotency, authenticate, async (req, res) => {
+  try {
+    const { groupId, linkId } = req.params;
+    const userId = req.user.id;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can disable payment links' });
+    }
+
+    const result = await pool.query(
+      `UPDATE payment_links
+       SET status = 'disabled', disabled_by = $1, disabled_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND group_id = $3 AND status = 'active'
+       RETURNING *`,
+      [userId, linkId, groupId]
+    );
+    if (result.rows.length === 0) {
+      const existing = await pool.query(
+        'SELECT status FROM payment_links WHERE id = $1 AND group_id = $2',
+        [linkId, groupId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Payment link not found' });
+      }
+      return res.status(400).json({ error: 'This payment link is already disabled' });
+    }
+
+    res.json({ message: 'Payment link disabled', payment_link: formatPaymentLink(result.rows[0]) });
+  } catch (error) {
+    console.error('Disable payment link error:', error);
+    res.status(500).json({ error: 'Server error disabling payment link' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const { checkDefaulterStatus } = require('../utils/paymentHelpers');
+const { getNextSubscriptionDeadline } = require('../utils/recurrenceHelpers');
 
 const router = express.Router();
 
@@ -117,7 +118,7 @@ router.get('/default-status/:groupId', authenticate, async (req, res) => {
 
     // Get group details
     const groupResult = await pool.query(
-      'SELECT id, name, group_type, currency, deadline, subscription_frequency, subscription_deadline_day, subscription_deadline_month FROM groups WHERE id = $1',
+      'SELECT id, name, group_type, currency, deadline, subscription_frequency, subscription_deadline_day, subscription_deadline_month, subscription_rrule, subscription_start_date FROM groups WHERE id = $1',
       [groupId]
     );
 
@@ -132,32 +133,8 @@ router.get('/default-status/:groupId', authenticate, async (req, res) => {
     if (group.group_type === 'general' && group.deadline) {
       nextDeadline = new Date(group.deadline);
     } else if (group.group_type === 'subscription') {
-      const today = new Date();
-      const currentYear = today.getFullYear();
-      const currentMonth = today.getMonth() + 1;
-      const deadlineDay = group.subscription_deadline_day;
-      const deadlineMonth = group.subscription_deadline_month || currentMonth;
-
-      if (group.subscription_frequency === 'monthly') {
-        // Next deadline is this month or next month
-        let deadlineYear = currentYear;
-        let deadlineMonthNum = currentMonth;
-        if (deadlineDay < today.getDate()) {
-          deadlineMonthNum = currentMonth + 1;
-          if (deadlineMonthNum > 12) {
-            deadlineMonthNum = 1;
-            deadlineYear = currentYear + 1;
-          }
-        }
-        nextDeadline = new Date(deadlineYear, deadlineMonthNum - 1, Math.min(deadlineDay, new Date(deadlineYear, deadlineMonthNum, 0).getDate()));
-      } else if (group.subscription_frequency === 'annual') {
-        // Next deadline is this year or next year
-        let deadlineYear = currentYear;
-        if (deadlineMonth < currentMonth || (deadlineMonth === currentMonth && deadlineDay < today.getDate())) {
-          deadlineYear = currentYear + 1;
-        }
-        nextDeadline = new Date(deadlineYear, deadlineMonth - 1, Math.min(deadlineDay, new Date(deadlineYear, deadlineMonth, 0).getDate()));
-      }
+      const next = getNextSubscriptionDeadline(group);
+      nextDeadline = next ? next.deadline : null;
     }
 
     res.json({
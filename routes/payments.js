@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { require2FA } = require('../middleware/require2FA');
 const { otpLimiter, contributionLimiter } = require('../middleware/rateLimiter');
 const paymentService = require('../services/paymentService');
@@ -19,6 +20,8 @@ const {
 
 const router = express.Router();
 
+router.use(idempotency);
+
 /**
  * PAYMENT METHOD MANAGEMENT
  */
@@ -0,0 +1,323 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { require2FA } = require('../middleware/require2FA');
+const { otpLimiter, contributionLimiter } = require('../middleware/rateLimiter');
+const {
+  verifyPassword,
+  generatePasswordVerificationToken,
+  verifyPasswordVerificationToken,
+  storePasswordVerificationToken,
+  requestPaymentOTP,
+  verifyPaymentCode,
+} = require('../utils/paymentHelpers');
+const payoutScheduleService = require('../services/payoutScheduleService');
+
+const router = express.Router();
+
+router.use(idempotency);
+
+/**
+ * PAYOUT SCHEDULES
+ * Creating or editing a schedule decides where money is sent without asking again, so it needs the
+ * same password + code step-up as a withdrawal. Pausing, resuming and deleting don't.
+ */
+
+const scheduleValidators = [
+  body('bank_account_id').optional().isUUID().withMessage('Bank account ID must be a valid ID'),
+  body('frequency').optional().isIn(payoutScheduleService.FREQUENCIES).withMessage(`Frequency must be one of ${payoutScheduleService.FREQUENCIES.join(', ')}`),
+  body('day_of_week').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)'),
+  body('threshold_amount').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Threshold amount must be greater than 0'),
+  body('keep_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Amount to keep must be 0 or more'),
+];
+
+/**
+ * Verify the step-up token and code for a schedule change
+ * @param {string} userId - User ID
+ * @param {Object} body - Request body (password_verification_token, otp)
+ * @returns {Promise<string|null>} - Error message, or null when verified
+ */
+async function verifyStepUp(userId, { password_verification_token, otp }) {
+  const tokenData = verifyPasswordVerificationToken(password_verification_token);
+  if (!tokenData || tokenData.action !== 'payout_schedule' || tokenData.userId !== userId) {
+    return 'Invalid or expired password verification token';
+  }
+
+  const isValidCode = await verifyPaymentCode(userId, otp, password_verification_token, 'payout_schedule');
+  if (!isValidCode) {
+    return 'Invalid or expired code';
+  }
+
+  return null;
+}
+
+/**
+ * Schedule settings from the request body (undefined where not sent)
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function parseSettings(body) {
+  return {
+    bankAccountId: body.bank_account_id,
+    frequency: body.frequency,
+    dayOfWeek: body.day_of_week !== undefined && body.day_of_week !== null ? parseInt(body.day_of_week, 10) : undefined,
+    thresholdAmount: body.threshold_amount !== undefined && body.threshold_amount !== null ? parseFloat(body.threshold_amount) : undefined,
+    keepAmount: body.keep_amount !== undefined && body.keep_amount !== null ? parseFloat(body.keep_amount) : undefined,
+  };
+}
+
+// Step 1: Verify password before creating or editing a schedule (requires 2FA)
+router.post('/verify-password', authenticate, contributionLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { password } = req.body;
+
+    const isValid = await verifyPassword(userId, password);
+    if (!isValid) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    // Check if 2FA is enabled (after password is verified)
+    const twoFactorResult = await pool.query(
+      'SELECT two_factor_enabled FROM users WHERE id = $1',
+      [userId]
+    );
+    if (twoFactorResult.rows.length === 0 || !twoFactorResult.rows[0].two_factor_enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication (2FA) is required for this feature',
+        code: '2FA_REQUIRED',
+        message: 'Please enable 2FA in your security settings to use this feature',
+      });
+    }
+
+    const token = generatePasswordVerificationToken(userId, 'payout_schedule');
+    await storePasswordVerificationToken(userId, token, 'payout_schedule');
+
+    res.json({
+      verified: true,
+      token,
+      expiresIn: 300, // 5 minutes in seconds
+    });
+  } catch (error) {
+    console.error('Payout schedule password verification error:', error);
+    res.status(500).json({ error: 'Server error during password verification' });
+  }
+});
+
+// Step 2: Request OTP after password verification
+router.post('/request-otp', authenticate, otpLimiter, [
+  body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { password_verification_token } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT two_factor_enabled, two_factor_method, two_factor_secret, email FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+
+    if (!user.two_factor_enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication (2FA) is required for this feature',
+        code: '2FA_REQUIRED',
+        message: 'Please enable 2FA in your security settings to use this feature',
+      });
+    }
+
+    // Authenticator users read the code from their app
+    if (user.two_factor_method === 'authenticator' && user.two_factor_secret) {
+      return res.json({
+        message: 'Please enter the code from your authenticator app',
+        requires2FA: true,
+      });
+    }
+
+    if (user.two_factor_method === 'email') {
+      await requestPaymentOTP(userId, user.email, 'payout_schedule', password_verification_token);
+
+      return res.json({
+        message: 'OTP sent to your email',
+        requires2FA: true,
+        method: 'email',
+      });
+    }
+
+    return res.status(400).json({ error: 'Invalid 2FA configuration' });
+  } catch (error) {
+    console.error('Payout schedule OTP request error:', error);
+    res.status(500).json({ error: error.message || 'Server error during OTP request' });
+  }
+});
+
+// Get the user's payout schedules
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const schedules = await payoutScheduleService.listSchedules(req.user.id);
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Get payout schedules error:', error);
+    res.status(500).json({ error: 'Server error retrieving payout schedules' });
+  }
+});
+
+// Step 3: Create a schedule (requires password + OTP verification + 2FA)
+router.post('/', authenticate, require2FA, contributionLimiter, [
+  body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
+  body('otp').notEmpty().isLength({ min: 6, max: 6 }).withMessage('OTP is required (6 digits)'),
+  body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., USD, GBP)'),
+  body('bank_account_id').isUUID().withMessage('Bank account ID is required'),
+  body('frequency').isIn(payoutScheduleService.FREQUENCIES).withMessage(`Frequency must be one of ${payoutScheduleService.FREQUENCIES.join(', ')}`),
+  ...scheduleValidators,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+
+    const stepUpError = await verifyStepUp(userId, req.body);
+    if (stepUpError) {
+      return res.status(401).json({ error: stepUpError });
+    }
+
+    const result = await payoutScheduleService.createSchedule({
+      userId,
+      currency: req.body.currency.toUpperCase(),
+      ...parseSettings(req.body),
+    });
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.status(201).json({
+      message: 'Payout schedule created',
+      schedule: result.schedule,
+    });
+  } catch (error) {
+    console.error('Create payout schedule error:', error);
+    res.status(500).json({ error: 'Server error creating payout schedule' });
+  }
+});
+
+// Step 3: Edit a schedule (requires password + OTP verification + 2FA)
+router.put('/:scheduleId', authenticate, require2FA, contributionLimiter, [
+  body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
+  body('otp').notEmpty().isLength({ min: 6, max: 6 }).withMessage('OTP is required (6 digits)'),
+  ...scheduleValidators,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+
+    const stepUpError = await verifyStepUp(userId, req.body);
+    if (stepUpError) {
+      return res.status(401).json({ error: stepUpError });
+    }
+
+    const result = await payoutScheduleService.updateSchedule(req.params.scheduleId, {
+      userId,
+      ...parseSettings(req.body),
+    });
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({
+      message: 'Payout schedule updated',
+      schedule: result.schedule,
+    });
+  } catch (error) {
+    console.error('Update payout schedule error:', error);
+    res.status(500).json({ error: 'Server error updating payout schedule' });
+  }
+});
+
+// Pause a schedule
+router.post('/:scheduleId/pause', authenticate, async (req, res) => {
+  try {
+    const result = await payoutScheduleService.setStatus(req.params.scheduleId, req.user.id, 'paused');
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({
+      message: 'Payout schedule paused',
+      schedule: result.schedule,
+    });
+  } catch (error) {
+    console.error('Pause payout schedule error:', error);
+    res.status(500).json({ error: 'Server error pausing payout schedule' });
+  }
+});
+
+// Resume a paused schedule
+router.post('/:scheduleId/resume', authenticate, async (req, res) => {
+  try {
+    const result = await payoutScheduleService.setStatus(req.params.scheduleId, req.user.id, 'active');
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({
+      message: 'Payout schedule resumed',
+      schedule: result.schedule,
+    });
+  } catch (error) {
+    console.error('Resume payout schedule error:', error);
+    res.status(500).json({ error: 'Server error resuming payout schedule' });
+  }
+});
+
+// Delete a schedule
+router.delete('/:scheduleId', authenticate, async (req, res) => {
+  try {
+    const result = await payoutScheduleService.deleteSchedule(req.params.scheduleId, req.user.id);
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.json({ message: 'Payout schedule deleted' });
+  } catch (error) {
+    console.error('Delete payout schedule error:', error);
+    res.status(500).json({ error: 'Server error deleting payout schedule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,562 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { createNotification } = require('../utils/notifications');
+const { contributionLimiter } = require('../middleware/rateLimiter');
+const { withTransaction } = require('../utils/dbTransaction');
+const { checkGroupAdminPermissions } = require('../utils/helpers');
+const contributionService = require('../services/contributionService');
+const {
+  getCyclePeriod,
+  ensureRotationSlots,
+  getRotationSlots,
+  getOpenCycle,
+} = require('../utils/rotationHelpers');
+
+const router = express.Router();
+
+router.use(idempotency);
+
+// Helper function to lock a rotating group row for the rest of the transaction
+async function lockRotatingGroup(groupId, client) {
+  const result = await client.query(
+    `SELECT * FROM groups WHERE id = $1 AND group_type = 'rotating' FOR UPDATE`,
+    [groupId]
+  );
+  return result.rows[0] || null;
+}
+
+// Contribute to the open cycle (Mark as Paid)
+// Members pay the cycle's recipient directly; the recipient or an admin confirms it
+router.post('/contribute', authenticate, contributionLimiter, async (req, res) => {
+  try {
+    const { groupId, note } = req.body;
+    const contributorId = req.user.id;
+
+    const groupCheck = await pool.query(
+      `SELECT g.*
+       FROM groups g
+       WHERE g.id = $1 AND g.group_type = 'rotating'`,
+      [groupId]
+    );
+
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Rotating group not found' });
+    }
+
+    const group = groupCheck.rows[0];
+    const groupCurrency = group.currency;
+    if (!groupCurrency) {
+      return res.status(400).json({ error: 'Group has no currency set. Please contact the admin.' });
+    }
+
+    const memberCheck = await pool.query(
+      'SELECT status FROM group_members WHERE group_id = $1 AND user_id = $2 AND status = $3',
+      [groupId, contributorId, 'active']
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'You must be an active member of this group' });
+    }
+
+    if (group.status === 'closed') {
+      return res.status(400).json({ error: 'This group is closed and no longer accepting contributions' });
+    }
+
+    const cycle = await getOpenCycle(groupId);
+    if (!cycle) {
+      return res.status(400).json({ error: 'There is no open cycle for this group right now' });
+    }
+
+    if (cycle.recipient_id === contributorId) {
+      return res.status(400).json({ error: 'You are receiving this cycle\'s pot and do not contribute to it' });
+    }
+
+    // Every member pays the same amount so each pot is the same size
+    const contributionAmount = parseFloat(group.contribution_amount);
+
+    // Recipient's bank account for this currency (for manual payment display)
+    const recipientBankAccount = await pool.query(
+      `SELECT account_name, bank_name, account_number, iban, swift_bic, routing_number, sort_code, branch_code, branch_address
+       FROM wallet_bank_accounts
+       WHERE user_id = $1 AND currency = $2
+       ORDER BY is_default DESC, created_at DESC
+       LIMIT 1`,
+      [cycle.recipient_id, groupCurrency]
+    );
+
+    const contributorResult = await pool.query(
+      'SELECT name FROM users WHERE id = $1',
+      [contributorId]
+    );
+    const contributorName = contributorResult.rows[0]?.name || 'Someone';
+    const groupName = group.name || 'Group';
+
+    const result = await contributionService.markPaid({
+      type: 'rotating',
+      groupId,
+      contributorId,
+      contributorName,
+      recipientId: cycle.recipient_id,
+      amount: contributionAmount,
+      currency: groupCurrency,
+      note,
+      match: { cycle_id: cycle.id },
+      descriptions: {
+        debit: `Rotation contribution for ${groupName} (cycle ${cycle.cycle_number})`,
+        credit: `Rotation contribution from ${contributorName} (${groupName}, cycle ${cycle.cycle_number})`,
+      },
+      context: { cycle_number: cycle.cycle_number },
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Payment marked as paid successfully',
+      contribution_id: result.contributionId,
+      payment_reference: result.paymentReference,
+      cycle: {
+        id: cycle.id,
+        cycle_number: cycle.cycle_number,
+        due_date: cycle.due_date,
+        recipient_id: cycle.recipient_id,
+        recipient_name: cycle.recipient_name,
+      },
+      recipient_bank_account: recipientBankAccount.rows[0] || null,
+    });
+  } catch (error) {
+    console.error('Rotating contribute error:', error);
+    res.status(500).json({ error: 'Server error marking payment as paid' });
+  }
+});
+
+// Confirm rotating contribution (cycle recipient, admin or co-admin confirms payment received)
+router.post('/contribute/:contributionId/confirm', authenticate, async (req, res) => {
+  try {
+    const result = await contributionService.confirm('rotating', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Contribution confirmed successfully' });
+  } catch (error) {
+    console.error('Confirm rotating contribution error:', error);
+    res.status(500).json({ error: 'Server error confirming contribution' });
+  }
+});
+
+// Mark rotating contribution as not received (cycle recipient, admin or co-admin)
+router.post('/contribute/:contributionId/reject', authenticate, async (req, res) => {
+  try {
+    const result = await contributionService.reject('rotating', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Contribution marked as not received successfully' });
+  } catch (error) {
+    console.error('Reject rotating contribution error:', error);
+    res.status(500).json({ error: 'Server error rejecting contribution' });
+  }
+});
+
+// Get the payout order and cycle schedule of a rotating group
+router.get('/:groupId/schedule', authenticate, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+
+    const memberCheck = await pool.query(
+      'SELECT status FROM group_members WHERE group_id = $1 AND user_id = $2 AND status = $3',
+      [groupId, userId, 'active']
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'You must be an active member of this group' });
+    }
+
+    // Members who joined since the last change get the next free slots
+    const group = await withTransaction(async (client) => {
+      const lockedGroup = await lockRotatingGroup(groupId, client);
+      if (lockedGroup) {
+        await ensureRotationSlots(groupId, client);
+      }
+      return lockedGroup;
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Rotating group not found' });
+    }
+
+    const slots = await getRotationSlots(groupId);
+
+    const cyclesResult = await pool.query(
+      `SELECT c.id, c.cycle_number, c.recipient_id, u.name as recipient_name, c.period_start, c.due_date,
+              c.status, c.closed_at,
+              COUNT(rc.id) FILTER (WHERE rc.status = 'paid') as paid_count,
+              COUNT(rc.id) FILTER (WHERE rc.status = 'confirmed') as confirmed_count,
+              COALESCE(SUM(rc.amount) FILTER (WHERE rc.status = 'confirmed'), 0) as confirmed_amount,
+              MAX(rc.status) FILTER (WHERE rc.contributor_id = $2) as my_status
+       FROM rotation_cycles c
+       LEFT JOIN users u ON c.recipient_id = u.id
+       LEFT JOIN rotating_contributions rc ON rc.cycle_id = c.id
+       WHERE c.group_id = $1
+       GROUP BY c.id, u.name
+       ORDER BY c.cycle_number`,
+      [groupId, userId]
+    );
+
+    // Project dates for members who haven't had their cycle yet
+    let projectedCycle = cyclesResult.rows.length;
+    const payoutOrder = slots.map(slot => {
+      let cycleNumber = slot.cycle_number;
+      if (!cycleNumber && slot.member_status === 'active') {
+        projectedCycle++;
+        cycleNumber = projectedCycle;
+      }
+
+      const period = cycleNumber && group.rotation_start_date
+        ? getCyclePeriod(group.rotation_start_date, group.rotation_frequency, cycleNumber)
+        : null;
+
+      return {
+        user_id: slot.user_id,
+        name: slot.name,
+        position: slot.position,
+        member_status: slot.member_status,
+        cycle_number: cycleNumber || null,
+        cycle_status: slot.cycle_status || (cycleNumber ? 'upcoming' : null),
+        period_start: period ? period.periodStart.toISOString().split('T')[0] : null,
+        due_date: period ? period.dueDate.toISOString().split('T')[0] : null,
+      };
+    });
+
+    const activeMembers = slots.filter(slot => slot.member_status === 'active').length;
+    const contributionAmount = parseFloat(group.contribution_amount);
+
+    res.json({
+      group: {
+        id: group.id,
+        name: group.name,
+        currency: group.currency,
+        contribution_amount: contributionAmount,
+        rotation_frequency: group.rotation_frequency,
+        rotation_start_date: group.rotation_start_date,
+        current_cycle: parseInt(group.current_cycle) || 0,
+        pot_amount: Math.round(contributionAmount * Math.max(activeMembers - 1, 0) * 100) / 100,
+      },
+      payout_order: payoutOrder,
+      cycles: cyclesResult.rows.map(cycle => ({
+        ...cycle,
+        paid_count: parseInt(cycle.paid_count),
+        confirmed_count: parseInt(cycle.confirmed_count),
+        confirmed_amount: parseFloat(cycle.confirmed_amount),
+      })),
+    });
+  } catch (error) {
+    console.error('Get rotation schedule error:', error);
+    res.status(500).json({ error: 'Server error fetching rotation schedule' });
+  }
+});
+
+// Set the payout order (admin or co-admin, before the rotation starts)
+router.put('/:groupId/order', authenticate, [
+  body('userIds').isArray({ min: 1 }).withMessage('userIds must be a non-empty array'),
+  body('userIds.*').isUUID().withMessage('Each user ID must be a valid ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { userIds } = req.body;
+    const userId = req.user.id;
+
+    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
+    if (!permissions.isAdminOrCoAdmin) {
+      return res.status(403).json({ error: 'Only admins or co-admins can set the payout order' });
+    }
+
+    if (new Set(userIds).size !== userIds.length) {
+      return res.status(400).json({ error: 'Each member can only appear once in the payout order' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const group = await lockRotatingGroup(groupId, client);
+      if (!group) {
+        return { status: 404, error: 'Rotating group not found' };
+      }
+      if ((parseInt(group.current_cycle) || 0) > 0) {
+        return { status: 400, error: 'The rotation has started. Members can swap their slots instead.' };
+      }
+
+      await ensureRotationSlots(groupId, client);
+
+      const slotsResult = await client.query(
+        `SELECT rs.user_id
+         FROM rotation_slots rs
+         JOIN group_members gm ON gm.group_id = rs.group_id AND gm.user_id = rs.user_id AND gm.status = 'active'
+         WHERE rs.group_id = $1`,
+        [groupId]
+      );
+      const memberIds = new Set(slotsResult.rows.map(row => row.user_id));
+
+      if (userIds.length !== memberIds.size || userIds.some(id => !memberIds.has(id))) {
+        return { status: 400, error: 'The payout order must list every active member exactly once' };
+      }
+
+      // Positions are checked for uniqueness at commit, so they can be rewritten in any order
+      for (let index = 0; index < userIds.length; index++) {
+        await client.query(
+          `UPDATE rotation_slots SET position = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE group_id = $2 AND user_id = $3`,
+          [index + 1, groupId, userIds[index]]
+        );
+      }
+
+      // Slots of members who left go to the end
+      await client.query(
+        `UPDATE rotation_slots rs SET position = $2 + ranked.slot_rank, updated_at = CURRENT_TIMESTAMP
+         FROM (
+           SELECT id, ROW_NUMBER() OVER (ORDER BY position) as slot_rank
+           FROM rotation_slots
+           WHERE group_id = $1 AND NOT (user_id = ANY($3::uuid[]))
+         ) ranked
+         WHERE rs.id = ranked.id`,
+        [groupId, userIds.length, userIds]
+      );
+
+      return { status: 200 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const slots = await getRotationSlots(groupId);
+
+    res.json({
+      message: 'Payout order updated successfully',
+      slots,
+    });
+  } catch (error) {
+    console.error('Set payout order error:', error);
+    res.status(500).json({ error: 'Server error updating payout order' });
+  }
+});
+
+// Get slot swap requests involving the current user
+router.get('/:groupId/swap-requests', authenticate, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+    const { status = 'pending' } = req.query;
+
+    const result = await pool.query(
+      `SELECT sr.id, sr.requester_id, ru.name as requester_name, sr.target_id, tu.name as target_name,
+              sr.status, sr.created_at, sr.responded_at,
+              rs.position as requester_position, ts.position as target_position
+       FROM rotation_swap_requests sr
+       JOIN users ru ON sr.requester_id = ru.id
+       JOIN users tu ON sr.target_id = tu.id
+       LEFT JOIN rotation_slots rs ON rs.group_id = sr.group_id AND rs.user_id = sr.requester_id
+       LEFT JOIN rotation_slots ts ON ts.group_id = sr.group_id AND ts.user_id = sr.target_id
+       WHERE sr.group_id = $1 AND (sr.requester_id = $2 OR sr.target_id = $2)
+         AND ($3 = 'all' OR sr.status = $3)
+       ORDER BY sr.created_at DESC`,
+      [groupId, userId, status]
+    );
+
+    res.json({ swap_requests: result.rows });
+  } catch (error) {
+    console.error('Get swap requests error:', error);
+    res.status(500).json({ error: 'Server error fetching swap requests' });
+  }
+});
+
+// Ask another member to swap payout slots
+router.post('/:groupId/swap-requests', authenticate, [
+  body('targetUserId').isUUID().withMessage('Target user ID must be a valid ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { targetUserId } = req.body;
+    const userId = req.user.id;
+
+    if (targetUserId === userId) {
+      return res.status(400).json({ error: 'You cannot swap slots with yourself' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const group = await lockRotatingGroup(groupId, client);
+      if (!group) {
+        return { status: 404, error: 'Rotating group not found' };
+      }
+
+      await ensureRotationSlots(groupId, client);
+
+      const slotsResult = await client.query(
+        `SELECT rs.user_id,
+                EXISTS (SELECT 1 FROM rotation_cycles rc WHERE rc.group_id = rs.group_id AND rc.recipient_id = rs.user_id) as has_cycle
+         FROM rotation_slots rs
+         JOIN group_members gm ON gm.group_id = rs.group_id AND gm.user_id = rs.user_id AND gm.status = 'active'
+         WHERE rs.group_id = $1 AND rs.user_id IN ($2, $3)`,
+        [groupId, userId, targetUserId]
+      );
+
+      if (slotsResult.rows.length !== 2) {
+        return { status: 400, error: 'Both members must be active members of this group' };
+      }
+      if (slotsResult.rows.some(slot => slot.has_cycle)) {
+        return { status: 400, error: 'Only slots whose cycle has not started can be swapped' };
+      }
+
+      const requestResult = await client.query(
+        `INSERT INTO rotation_swap_requests (group_id, requester_id, target_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [groupId, userId, targetUserId]
+      );
+
+      if (requestResult.rows.length === 0) {
+        return { status: 400, error: 'You already have a pending swap request with this member' };
+      }
+
+      return { status: 201, requestId: requestResult.rows[0].id, groupName: group.name };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const requesterResult = await pool.query('SELECT name FROM users WHERE id = $1', [userId]);
+    const requesterName = requesterResult.rows[0]?.name || 'A member';
+
+    await createNotification(
+      targetUserId,
+      'rotation_swap_requested',
+      'Slot Swap Request',
+      `${requesterName} wants to swap payout slots with you in ${result.groupName}`,
+      groupId,
+      userId
+    );
+
+    res.status(201).json({
+      message: 'Swap request sent successfully',
+      request_id: result.requestId,
+    });
+  } catch (error) {
+    console.error('Create swap request error:', error);
+    res.status(500).json({ error: 'Server error creating swap request' });
+  }
+});
+
+// Accept or decline a swap request (target member), or cancel it (requester)
+router.put('/:groupId/swap-requests/:requestId', authenticate, [
+  body('action').isIn(['accept', 'decline', 'cancel']).withMessage('Action must be accept, decline, or cancel'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId, requestId } = req.params;
+    const { action } = req.body;
+    const userId = req.user.id;
+
+    const result = await withTransaction(async (client) => {
+      const group = await lockRotatingGroup(groupId, client);
+      if (!group) {
+        return { status: 404, error: 'Rotating group not found' };
+      }
+
+      const requestResult = await client.query(
+        `SELECT * FROM rotation_swap_requests WHERE id = $1 AND group_id = $2 FOR UPDATE`,
+        [requestId, groupId]
+      );
+
+      if (requestResult.rows.length === 0) {
+        return { status: 404, error: 'Swap request not found' };
+      }
+
+      const swapRequest = requestResult.rows[0];
+      const actorId = action === 'cancel' ? swapRequest.requester_id : swapRequest.target_id;
+      if (actorId !== userId) {
+        return { status: 403, error: action === 'cancel' ? 'Only the requester can cancel this swap request' : 'Only the requested member can respond to this swap request' };
+      }
+
+      if (swapRequest.status !== 'pending') {
+        return { status: 409, error: `Swap request is already ${swapRequest.status}` };
+      }
+
+      if (action === 'accept') {
+        // The rotation may have reached one of the slots since the request was made
+        const slotsResult = await client.query(
+          `SELECT rs.user_id, rs.position,
+                  EXISTS (SELECT 1 FROM rotation_cycles rc WHERE rc.group_id = rs.group_id AND rc.recipient_id = rs.user_id) as has_cycle
+           FROM rotation_slots rs
+           WHERE rs.group_id = $1 AND rs.user_id IN ($2, $3)`,
+          [groupId, swapRequest.requester_id, swapRequest.target_id]
+        );
+
+        if (slotsResult.rows.length !== 2 || slotsResult.rows.some(slot => slot.has_cycle)) {
+          return { status: 400, error: 'Only slots whose cycle has not started can be swapped' };
+        }
+
+        const [first, second] = slotsResult.rows;
+        await client.query(
+          `UPDATE rotation_slots
+           SET position = CASE WHEN user_id = $2 THEN $4::integer ELSE $3::integer END, updated_at = CURRENT_TIMESTAMP
+           WHERE group_id = $1 AND user_id IN ($2, $5)`,
+          [groupId, first.user_id, first.position, second.position, second.user_id]
+        );
+      }
+
+      const newStatus = { accept: 'accepted', decline: 'declined', cancel: 'cancelled' }[action];
+      await client.query(
+        `UPDATE rotation_swap_requests SET status = $1, responded_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [newStatus, requestId]
+      );
+
+      return { status: 200, swapRequest, newStatus, groupName: group.name };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (action !== 'cancel') {
+      const responderResult = await pool.query('SELECT name FROM users WHERE id = $1', [userId]);
+      const responderName = responderResult.rows[0]?.name || 'The member';
+
+      await createNotification(
+        result.swapRequest.requester_id,
+        action === 'accept' ? 'rotation_swap_accepted' : 'rotation_swap_declined',
+        action === 'accept' ? 'Slot Swap Accepted' : 'Slot Swap Declined',
+        `${responderName} ${result.newStatus} your request to swap payout slots in ${result.groupName}`,
+        groupId,
+        userId
+      );
+    }
+
+    res.json({ message: `Swap request ${result.newStatus} successfully` });
+  } catch (error) {
+    console.error('Respond to swap request error:', error);
+    res.status(500).json({ error: 'Server error updating swap request' });
+  }
+});
+
+module.exports = router;
@@ -2,27 +2,21 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { createNotification } = require('../utils/notifications');
-const { formatAmount } = require('../utils/currency');
+const { idempotency } = require('../middleware/idempotency');
 const { contributionLimiter } = require('../middleware/rateLimiter');
+const contributionService = require('../services/contributionService');
+const {
+  getSubscriptionPeriod,
+  getCurrentSubscriptionPeriod,
+  getNextSubscriptionDeadline,
+  describeRecurrence,
+} = require('../utils/recurrenceHelpers');
+const { getLateFeeRule, getLateFeeSummaries } = require('../utils/lateFeeHelpers');
+const { getReceiptCounts } = require('../utils/receiptHelpers');
 
 const router = express.Router();
 
-// Helper function to get the last day of a month
-function getLastDayOfMonth(year, month) {
-  // month is 0-indexed (0 = January, 11 = December)
-  return new Date(year, month + 1, 0).getDate();
-}
-
-// Helper function to get deadline date, handling months with fewer days
-// If deadline day is 31 but month only has 30 days, use the 30th
-// If deadline day is 31 but month is February (28/29 days), use the last day of February
-function getDeadlineDate(year, month, deadlineDay) {
-  // month is 0-indexed (0 = January, 11 = December)
-  const lastDay = getLastDayOfMonth(year, month);
-  const actualDay = Math.min(deadlineDay, lastDay);
-  return new Date(year, month, actualDay);
-}
+router.use(idempotency);
 
 // Contribute to subscription (Mark as Paid)
 router.post('/contribute', authenticate, contributionLimiter, async (req, res) => {
@@ -86,31 +80,22 @@ router.post('/contribute', authenticate, contributionLimiter, async (req, res) =
       return res.status(400).json({ error: 'This group is closed and no longer accepting contributions' });
     }
 
-    // Calculate subscription period
-    const today = new Date();
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
-    
-    let periodStart, periodEnd;
-    
-    if (group.subscription_frequency === 'monthly') {
-      // Monthly: period is current month
-      periodStart = new Date(currentYear, currentMonth - 1, 1);
-      // Get last day of current month (handles 28/29/30/31 days correctly)
-      const lastDay = getLastDayOfMonth(currentYear, currentMonth - 1);
-      periodEnd = new Date(currentYear, currentMonth - 1, lastDay);
-    } else {
-      // Annual: period is current year
-      periodStart = new Date(currentYear, 0, 1);
-      periodEnd = new Date(currentYear, 11, 31);
+    // Calculate subscription period (calendar month/year, or the group's recurrence period)
+    const currentPeriod = getCurrentSubscriptionPeriod(group);
+    if (!currentPeriod) {
+      return res.status(400).json({ error: 'This subscription has no upcoming deadline to pay for' });
     }
+    const { periodStart, periodEnd } = currentPeriod;
 
     const contributionAmount = parseFloat(group.contribution_amount);
     // groupCurrency already declared above
     if (!groupCurrency) {
       return res.status(400).json({ error: 'Group has no currency set. Please contact the admin.' });
     }
-    const actualAmount = amount || contributionAmount;
+    const actualAmount = contributionService.resolveAmount(amount, contributionAmount);
+    if (actualAmount === null) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
 
     // Get user names
     const contributorResult = await pool.query(
@@ -120,116 +105,37 @@ router.post('/contribute', authenticate, contributionLimiter, async (req, res) =
     const contributorName = contributorResult.rows[0]?.name || 'Someone';
     const groupName = group.name || 'Group';
 
-    await pool.query('BEGIN');
-
-    try {
-      // Check if contribution already exists for this period
-      const existingContribution = await pool.query(
-        `SELECT id, transaction_id FROM subscription_contributions 
-         WHERE group_id = $1 AND contributor_id = $2 AND subscription_period_start = $3`,
-        [groupId, contributorId, periodStart]
-      );
-
-      let contributionId;
-      // If admin is paying, status should be 'confirmed' (they're paying to themselves)
-      // Otherwise, status is 'paid' (awaiting admin confirmation)
-      const contributionStatus = isAdmin ? 'confirmed' : 'paid';
-
-      if (existingContribution.rows.length > 0) {
-        contributionId = existingContribution.rows[0].id;
-        await pool.query(
-          `UPDATE subscription_contributions 
-           SET amount = $1, contribution_date = CURRENT_DATE, status = $2, note = $3
-           WHERE id = $4`,
-          [actualAmount, contributionStatus, note || null, contributionId]
-        );
-      } else {
-        const contributionResult = await pool.query(
-          `INSERT INTO subscription_contributions 
-           (group_id, contributor_id, amount, contribution_date, subscription_period_start, subscription_period_end, status, note)
-           VALUES ($1, $2, $3, CURRENT_DATE, $4, $5, $6, $7)
-           RETURNING id`,
-          [groupId, contributorId, actualAmount, periodStart, periodEnd, contributionStatus, note || null]
-        );
-        contributionId = contributionResult.rows[0].id;
-      }
-
-      // Create transaction records
-      const existingDebit = await pool.query(
-        `SELECT id FROM transactions 
-         WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-           AND description LIKE $3
-           AND created_at::date = CURRENT_DATE`,
-        [contributorId, groupId, `%Subscription contribution for ${groupName}%`]
-      );
-
-      const existingCredit = await pool.query(
-        `SELECT id FROM transactions 
-         WHERE user_id = $1 AND group_id = $2 AND type = 'credit' 
-           AND description LIKE $3
-           AND created_at::date = CURRENT_DATE`,
-        [group.admin_id, groupId, `%Subscription contribution from ${contributorName}%`]
-      );
-
-      // Transaction status should match contribution status
-      const transactionStatus = isAdmin ? 'confirmed' : 'paid';
-      
-      if (existingDebit.rows.length === 0) {
-        await pool.query(
-          `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
-           VALUES ($1, $2, 'debit', $3, $4, $5, $6)`,
-          [contributorId, groupId, actualAmount, groupCurrency, `Subscription contribution for ${groupName}`, transactionStatus]
-        );
-      }
-
-      let creditTransactionId;
-      if (existingCredit.rows.length === 0) {
-        const creditTransaction = await pool.query(
-          `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
-           VALUES ($1, $2, 'credit', $3, $4, $5, $6)
-           RETURNING id`,
-          [group.admin_id, groupId, actualAmount, groupCurrency, `Subscription contribution from ${contributorName} (${groupName})`, transactionStatus]
-        );
-        creditTransactionId = creditTransaction.rows[0].id;
-      } else {
-        creditTransactionId = existingCredit.rows[0].id;
-      }
-
-      // Link contribution to credit transaction
-      const currentTransactionId = await pool.query(
-        `SELECT transaction_id FROM subscription_contributions WHERE id = $1`,
-        [contributionId]
-      );
-      if (!currentTransactionId.rows[0]?.transaction_id && creditTransactionId) {
-        await pool.query(
-          `UPDATE subscription_contributions SET transaction_id = $1 WHERE id = $2`,
-          [creditTransactionId, contributionId]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Only notify admin if it's not the admin themselves paying
-      if (!isAdmin) {
-        await createNotification(
-          group.admin_id,
-          'subscription_contribution_paid',
-          'Subscription Contribution Received',
-          `${contributorName} marked their subscription contribution of ${formatAmount(actualAmount, groupCurrency)} as paid${note ? `: ${note}` : ''}`,
-          groupId,
-          contributorId
-        );
-      }
+    // If admin is paying, status should be 'confirmed' (they're paying to themselves)
+    // Otherwise, status is 'paid' (awaiting admin confirmation)
+    const result = await contributionService.markPaid({
+      type: 'subscription',
+      groupId,
+      contributorId,
+      contributorName,
+      recipientId: group.admin_id,
+      amount: actualAmount,
+      currency: groupCurrency,
+      note,
+      status: isAdmin ? 'confirmed' : 'paid',
+      match: { subscription_period_start: periodStart },
+      values: { subscription_period_end: periodEnd },
+      descriptions: {
+        debit: `Subscription contribution for ${groupName}`,
+        credit: `Subscription contribution from ${contributorName} (${groupName})`,
+      },
+    });
 
-      res.json({ 
-        message: isAdmin 
-          ? 'Payment marked as confirmed successfully (admin payment)' 
-          : 'Payment marked as paid successfully' 
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    res.json({ 
+      message: isAdmin 
+        ? 'Payment marked as confirmed successfully (admin payment)' 
+        : 'Payment marked as paid successfully',
+      contribution_id: result.contributionId,
+      payment_reference: result.paymentReference,
+    });
   } catch (error) {
     console.error('Subscription contribute error:', error);
     res.status(500).json({ error: 'Server error marking payment as paid' });
@@ -239,101 +145,12 @@ router.post('/contribute', authenticate, contributionLimiter, async (req, res) =
 // Confirm subscription contribution (admin or co-admin confirms payment received)
 router.post('/contribute/:contributionId/confirm', authenticate, async (req, res) => {
   try {
-    const { contributionId } = req.params;
-    const userId = req.user.id;
-
-    // Get contribution details
-    const contributionResult = await pool.query(
-      `SELECT sc.*, g.name as group_name, g.currency, g.status as group_status, g.id as group_id, u.name as contributor_name
-       FROM subscription_contributions sc
-       JOIN groups g ON sc.group_id = g.id
-       JOIN users u ON sc.contributor_id = u.id
-       WHERE sc.id = $1`,
-      [contributionId]
-    );
-
-    if (contributionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Contribution not found' });
-    }
-
-    const contribution = contributionResult.rows[0];
-    const groupId = contribution.group_id;
-
-    // Check if user is admin or co-admin
-    const { checkGroupAdminPermissions } = require('../utils/helpers');
-    const permissions = await checkGroupAdminPermissions(userId, groupId, pool);
-    if (!permissions.isAdminOrCoAdmin) {
-      return res.status(403).json({ error: 'Only admins or co-admins can confirm contributions' });
+    const result = await contributionService.confirm('subscription', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    if (contribution.group_status === 'closed') {
-      return res.status(400).json({ error: 'This group is closed and no longer accepting contribution confirmations' });
-    }
-
-    if (contribution.status !== 'paid') {
-      return res.status(400).json({ error: 'Contribution is not in paid status' });
-    }
-
-    await pool.query('BEGIN');
-
-    try {
-      await pool.query(
-        `UPDATE subscription_contributions SET status = 'confirmed' WHERE id = $1`,
-        [contributionId]
-      );
-
-      if (contribution.transaction_id) {
-        await pool.query(
-          `UPDATE transactions SET status = 'confirmed' WHERE id = $1`,
-          [contribution.transaction_id]
-        );
-
-        await pool.query(
-          `UPDATE transactions 
-           SET status = 'confirmed' 
-           WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-             AND description LIKE $3 AND created_at::date = (
-               SELECT created_at::date FROM transactions WHERE id = $4
-             )`,
-          [
-            contribution.contributor_id,
-            contribution.group_id,
-            `%Subscription contribution for%`,
-            contribution.transaction_id
-          ]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      // Notify contributor
-      const adminName = await pool.query(
-        'SELECT name FROM users WHERE id = $1',
-        [userId]
-      );
-      const adminNameText = adminName.rows[0]?.name || 'The admin';
-      
-      // Get currency from group (not from contribution, as contribution may not have currency yet)
-      const groupCurrencyResult = await pool.query(
-        'SELECT currency FROM groups WHERE id = $1',
-        [contribution.group_id]
-      );
-      const contributionCurrency = groupCurrencyResult.rows[0]?.currency || 'NGN'; // Fallback for display only
-      
-      await createNotification(
-        contribution.contributor_id,
-        'subscription_contribution_confirmed',
-        'Payment Confirmed',
-        `${adminNameText} confirmed your payment of ${formatAmount(parseFloat(contribution.amount), contributionCurrency)}. Thank you!`,
-        contribution.group_id,
-        userId
-      );
-
-      res.json({ message: 'Contribution confirmed successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Contribution confirmed successfully' });
   } catch (error) {
     console.error('Confirm subscription contribution error:', error);
     res.status(500).json({ error: 'Server error confirming contribution' });
@@ -343,96 +160,12 @@ router.post('/contribute/:contributionId/confirm', authenticate, async (req, res
 // Mark subscription contribution as not received (admin or co-admin marks payment as not received)
 router.post('/contribute/:contributionId/reject', authenticate, async (req, res) => {
   try {
-    const { contributionId } = req.params;
-    const userId = req.user.id;
-
-    // Get contribution details
-    const contributionResult = await pool.query(
-      `SELECT sc.*, g.name as group_name, g.currency, g.status as group_status, g.id as group_id, g.group_type, u.name as contributor_name
-       FROM subscription_contributions sc
-       JOIN groups g ON sc.group_id = g.id
-       JOIN users u ON sc.contributor_id = u.id
-       WHERE sc.id = $1`,
-      [contributionId]
-    );
-
-    if (contributionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Contribution not found' });
-    }
-
-    const contribution = contributionResult.rows[0];
-
-    if (contribution.group_type !== 'subscription') {
-      return res.status(400).json({ error: 'This is not a subscription contribution' });
-    }
-
-    // Check if user is admin or co-admin
-    const { checkGroupAdminPermissions } = require('../utils/helpers');
-    const permissions = await checkGroupAdminPermissions(userId, contribution.group_id, pool);
-    if (!permissions.isAdminOrCoAdmin) {
-      return res.status(403).json({ error: 'Only admins or co-admins can reject contributions' });
+    const result = await contributionService.reject('subscription', req.params.contributionId, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    if (contribution.group_status === 'closed') {
-      return res.status(400).json({ error: 'This group is closed and no longer accepting contribution rejections' });
-    }
-
-    if (contribution.status !== 'paid') {
-      return res.status(400).json({ error: 'Contribution is not in paid status' });
-    }
-
-    await pool.query('BEGIN');
-
-    try {
-      await pool.query(
-        `UPDATE subscription_contributions SET status = 'not_received' WHERE id = $1`,
-        [contributionId]
-      );
-
-      if (contribution.transaction_id) {
-        await pool.query(
-          `UPDATE transactions SET status = 'not_received' WHERE id = $1`,
-          [contribution.transaction_id]
-        );
-
-        await pool.query(
-          `UPDATE transactions 
-           SET status = 'not_received' 
-           WHERE user_id = $1 AND group_id = $2 AND type = 'debit' 
-             AND description LIKE $3 AND created_at::date = (
-               SELECT created_at::date FROM transactions WHERE id = $4
-             )`,
-          [
-            contribution.contributor_id,
-            contribution.group_id,
-            `%Subscription contribution for%`,
-            contribution.transaction_id
-          ]
-        );
-      }
-
-      await pool.query('COMMIT');
-
-      const adminName = await pool.query(
-        'SELECT name FROM users WHERE id = $1',
-        [userId]
-      );
-      const adminNameText = adminName.rows[0]?.name || 'The admin';
-      
-      await createNotification(
-        contribution.contributor_id,
-        'subscription_contribution_not_received',
-        'Payment Not Received',
-        `${adminNameText} marked your payment as not received. Please check that you've paid correctly or try again.`,
-        contribution.group_id,
-        userId
-      );
-
-      res.json({ message: 'Contribution marked as not received successfully' });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({ message: 'Contribution marked as not received successfully' });
   } catch (error) {
     console.error('Reject subscription contribution error:', error);
     res.status(500).json({ error: 'Server error rejecting contribution' });
@@ -463,6 +196,7 @@ router.get('/upcoming', authenticate, async (req, res) => {
           g.id as group_id, g.name as group_name, g.currency, g.contribution_amount,
           g.subscription_frequency, g.subscription_platform,
           g.subscription_deadline_day, g.subscription_deadline_month,
+          g.subscription_rrule, g.subscription_start_date,
           g.admin_id, u.name as admin_name
         FROM groups g
         JOIN group_members gm ON g.id = gm.group_id
@@ -476,6 +210,7 @@ router.get('/upcoming', authenticate, async (req, res) => {
           g.id as group_id, g.name as group_name, g.currency, g.contribution_amount,
           g.subscription_frequency, g.subscription_platform,
           g.subscription_deadline_day, g.subscription_deadline_month,
+          g.subscription_rrule, g.subscription_start_date,
           g.admin_id, u.name as admin_name
         FROM groups g
         JOIN group_members gm ON g.id = gm.group_id
@@ -489,60 +224,33 @@ router.get('/upcoming', authenticate, async (req, res) => {
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
-    const currentDay = today.getDate();
 
     const upcomingSubscriptions = result.rows.map(group => {
-      let nextDeadline;
-      let daysUntilDeadline;
-
-      if (group.subscription_frequency === 'monthly') {
-        // Next deadline is the deadline day of current or next month
-        // Handle months with fewer days (e.g., if deadline is 31 but month only has 30 days)
-        if (currentDay <= group.subscription_deadline_day) {
-          nextDeadline = getDeadlineDate(currentYear, currentMonth - 1, group.subscription_deadline_day);
-        } else {
-          nextDeadline = getDeadlineDate(currentYear, currentMonth, group.subscription_deadline_day);
-        }
-      } else {
-        // Annual: deadline is on specific month and day
-        // Handle months with fewer days (e.g., if deadline is 31 but month only has 30 days)
-        if (currentMonth < group.subscription_deadline_month || 
-            (currentMonth === group.subscription_deadline_month && currentDay <= group.subscription_deadline_day)) {
-          nextDeadline = getDeadlineDate(currentYear, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-        } else {
-          nextDeadline = getDeadlineDate(currentYear + 1, group.subscription_deadline_month - 1, group.subscription_deadline_day);
-        }
+      // Next deadline on or after today and the period it belongs to (handles month ends and leap years)
+      const next = getNextSubscriptionDeadline(group, today);
+      if (!next) {
+        return null;
       }
 
-      nextDeadline.setHours(0, 0, 0, 0);
-      daysUntilDeadline = Math.ceil((nextDeadline - today) / (1000 * 60 * 60 * 24));
-
-      // Check if user has paid for this period
-      let periodStart;
-      if (group.subscription_frequency === 'monthly') {
-        periodStart = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStart = new Date(currentYear, 0, 1);
-      }
+      const nextDeadline = next.deadline;
+      const daysUntilDeadline = Math.ceil((nextDeadline - today) / (1000 * 60 * 60 * 24));
 
       return {
         ...group,
         next_deadline: nextDeadline.toISOString().split('T')[0],
         days_until_deadline: daysUntilDeadline,
+        period_start: next.periodStart,
+        period_end: next.periodEnd,
+        recurrence_description: describeRecurrence(group),
         has_paid: false, // Will be updated below
       };
-    }).filter(sub => sub.days_until_deadline >= 0 && sub.days_until_deadline <= parseInt(days));
+    }).filter(sub => sub !== null && sub.days_until_deadline >= 0 && sub.days_until_deadline <= parseInt(days));
 
-    // Check payment status for each subscription
+    // Check payment status for each subscription (for the period of its next deadline)
     for (const sub of upcomingSubscriptions) {
-      let periodStart;
-      if (sub.subscription_frequency === 'monthly') {
-        periodStart = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStart = new Date(currentYear, 0, 1);
-      }
+      const periodStart = sub.period_start;
+      sub.period_start = periodStart.toISOString().split('T')[0];
+      sub.period_end = sub.period_end.toISOString().split('T')[0];
 
       const paymentCheck = await pool.query(
         `SELECT status FROM subscription_contributions 
@@ -602,7 +310,8 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
 
     // Get group details
     const groupResult = await pool.query(
-      `SELECT id, name, subscription_frequency, admin_id
+      `SELECT id, name, subscription_frequency, subscription_deadline_day, subscription_deadline_month,
+              subscription_rrule, subscription_start_date, admin_id
        FROM groups WHERE id = $1 AND group_type = 'subscription'`,
       [groupId]
     );
@@ -615,17 +324,8 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
     const isAdmin = group.admin_id === userId;
 
     // Calculate current period
-    const today = new Date();
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
-    
-    let periodStart;
-    if (group.subscription_frequency === 'monthly') {
-      periodStart = new Date(currentYear, currentMonth - 1, 1);
-    } else {
-      periodStart = new Date(currentYear, 0, 1);
-    }
-    periodStart.setHours(0, 0, 0, 0);
+    const currentPeriod = getCurrentSubscriptionPeriod(group) || getSubscriptionPeriod(group);
+    const { periodStart, periodEnd, deadline } = currentPeriod;
 
     // Check payment status for current period
     const paymentCheck = await pool.query(
@@ -641,6 +341,7 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
     let amount = null;
     let note = null;
     let contributionId = null;
+    let receiptCount = 0;
 
     if (paymentCheck.rows.length > 0) {
       const contribution = paymentCheck.rows[0];
@@ -650,18 +351,24 @@ router.get('/:groupId/payment-status', authenticate, async (req, res) => {
       amount = parseFloat(contribution.amount);
       note = contribution.note;
       contributionId = contribution.id;
+
+      const receiptCounts = await getReceiptCounts([{ contribution_type: 'subscription', id: contribution.id }]);
+      receiptCount = receiptCounts.get(`subscription:${contribution.id}`) || 0;
     }
 
     res.json({
       group_id: group.id,
       group_name: group.name,
       period_start: periodStart.toISOString().split('T')[0],
+      period_end: periodEnd.toISOString().split('T')[0],
+      deadline: deadline ? deadline.toISOString().split('T')[0] : null,
       has_paid: hasPaid,
       payment_status: paymentStatus,
       contribution_date: contributionDate,
       amount: amount,
       note: note,
       contribution_id: contributionId,
+      receipt_count: receiptCount,
       is_admin: isAdmin
     });
   } catch (error) {
@@ -690,7 +397,10 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
     // Get group details
     const groupResult = await pool.query(
       `SELECT id, name, contribution_amount, currency, subscription_frequency, 
-              subscription_deadline_day, subscription_deadline_month, admin_id
+              subscription_deadline_day, subscription_deadline_month,
+              subscription_rrule, subscription_start_date, admin_id,
+              late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap,
+              late_fee_auto_charge, late_fee_effective_from
        FROM groups WHERE id = $1 AND group_type = 'subscription'`,
       [groupId]
     );
@@ -701,34 +411,13 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
 
     const group = groupResult.rows[0];
     
-    // Determine period start
-    let periodStartDate;
-    if (periodStart) {
-      periodStartDate = new Date(periodStart);
-    } else {
-      // Default to current period
-      const today = new Date();
-      const currentYear = today.getFullYear();
-      const currentMonth = today.getMonth() + 1;
-      
-      if (group.subscription_frequency === 'monthly') {
-        periodStartDate = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStartDate = new Date(currentYear, 0, 1);
-      }
-    }
-    
-    periodStartDate.setHours(0, 0, 0, 0);
-    
-    // Calculate period end
-    let periodEndDate;
-    if (group.subscription_frequency === 'monthly') {
-      // Get last day of the month (handles 28/29/30/31 days correctly)
-      const lastDay = getLastDayOfMonth(periodStartDate.getFullYear(), periodStartDate.getMonth());
-      periodEndDate = new Date(periodStartDate.getFullYear(), periodStartDate.getMonth(), lastDay);
-    } else {
-      periodEndDate = new Date(periodStartDate.getFullYear(), 11, 31);
-    }
+    // Determine period (the one containing periodStart, or the current period by default)
+    const period = periodStart
+      ? getSubscriptionPeriod(group, periodStart)
+      : (getCurrentSubscriptionPeriod(group) || getSubscriptionPeriod(group));
+
+    const periodStartDate = period.periodStart;
+    const periodEndDate = new Date(period.periodEnd);
     periodEndDate.setHours(23, 59, 59, 999);
 
     // Get all active members
@@ -741,6 +430,11 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       [groupId]
     );
 
+    // Late fees are tracked across periods, so these are the member's running totals
+    const lateFeeSummaries = await getLateFeeSummaries(groupId);
+    const noLateFees = { outstanding_amount: 0, outstanding_count: 0, paid_amount: 0, waived_count: 0 };
+    let lateFeesOutstanding = 0;
+
     const complianceData = [];
     let paidCount = 0;
     let unpaidCount = 0;
@@ -788,6 +482,9 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       else if (isPending) pendingCount++;
       else unpaidCount++;
 
+      const lateFees = lateFeeSummaries.get(member.id) || noLateFees;
+      lateFeesOutstanding += lateFees.outstanding_amount;
+
       complianceData.push({
         member_id: member.id,
         member_name: member.name,
@@ -802,7 +499,8 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
         is_paid: isPaid,
         is_pending: isPending,
         is_unpaid: isUnpaid,
-        is_admin: member.id === group.admin_id
+        is_admin: member.id === group.admin_id,
+        late_fees: lateFees
       });
     }
 
@@ -812,15 +510,19 @@ router.get('/:groupId/compliance', authenticate, async (req, res) => {
       currency: group.currency || 'NGN',
       contribution_amount: parseFloat(group.contribution_amount),
       subscription_frequency: group.subscription_frequency,
+      subscription_rrule: group.subscription_rrule || null,
       period_start: periodStartDate.toISOString().split('T')[0],
-      period_end: periodEndDate.toISOString().split('T')[0],
+      period_end: period.periodEnd.toISOString().split('T')[0],
+      deadline: period.deadline ? period.deadline.toISOString().split('T')[0] : null,
       admin_id: group.admin_id,
       summary: {
         total_members: complianceData.length,
         paid_count: paidCount,
         pending_count: pendingCount,
-        unpaid_count: unpaidCount
+        unpaid_count: unpaidCount,
+        late_fees_outstanding: lateFeesOutstanding
       },
+      late_fee_rule: getLateFeeRule(group),
       members: complianceData
     });
   } catch (error) {
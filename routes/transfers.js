@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { require2FA } = require('../middleware/require2FA');
+const { otpLimiter, contributionLimiter } = require('../middleware/rateLimiter');
+const {
+  verifyPassword,
+  generatePasswordVerificationToken,
+  verifyPasswordVerificationToken,
+  storePasswordVerificationToken,
+  requestPaymentOTP,
+  verifyPaymentCode,
+} = require('../utils/paymentHelpers');
+const transferService = require('../services/transferService');
+
+const router = express.Router();
+
+router.use(idempotency);
+
+/**
+ * WALLET TRANSFERS (user to user)
+ */
+
+// Step 1: Verify password before sending a transfer (requires 2FA)
+router.post('/verify-password', authenticate, contributionLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { password } = req.body;
+
+    const isValid = await verifyPassword(userId, password);
+    if (!isValid) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    // Check if 2FA is enabled (after password is verified)
+    const twoFactorResult = await pool.query(
+      'SELECT two_factor_enabled FROM users WHERE id = $1',
+      [userId]
+    );
+    if (twoFactorResult.rows.length === 0 || !twoFactorResult.rows[0].two_factor_enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication (2FA) is required for this feature',
+        code: '2FA_REQUIRED',
+        message: 'Please enable 2FA in your security settings to use this feature',
+      });
+    }
+
+    const token = generatePasswordVerificationToken(userId, 'wallet_transfer');
+    await storePasswordVerificationToken(userId, token, 'wallet_transfer');
+
+    res.json({
+      verified: true,
+      token,
+      expiresIn: 300, // 5 minutes in seconds
+    });
+  } catch (error) {
+    console.error('Transfer password verification error:', error);
+    res.status(500).json({ error: 'Server error during password verification' });
+  }
+});
+
+// Step 2: Request OTP after password verification
+router.post('/request-otp', authenticate, otpLimiter, [
+  body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { password_verification_token } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT two_factor_enabled, two_factor_method, two_factor_secret, email FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+
+    if (!user.two_factor_enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication (2FA) is required for this feature',
+        code: '2FA_REQUIRED',
+        message: 'Please enable 2FA in your security settings to use this feature',
+      });
+    }
+
+    // Authenticator users read the code from their app
+    if (user.two_factor_method === 'authenticator' && user.two_factor_secret) {
+      return res.json({
+        message: 'Please enter the code from your authenticator app',
+        requires2FA: true,
+      });
+    }
+
+    if (user.two_factor_method === 'email') {
+      await requestPaymentOTP(userId, user.email, 'wallet_transfer', password_verification_token);
+
+      return res.json({
+        message: 'OTP sent to your email',
+        requires2FA: true,
+        method: 'email',
+      });
+    }
+
+    return res.status(400).json({ error: 'Invalid 2FA configuration' });
+  } catch (error) {
+    console.error('Transfer OTP request error:', error);
+    res.status(500).json({ error: error.message || 'Server error during OTP request' });
+  }
+});
+
+// Group members the user can send money to in a currency
+router.get('/recipients', authenticate, [
+  query('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currency = req.query.currency.toUpperCase();
+    const recipients = await transferService.listGroupRecipients(req.user.id, currency);
+
+    res.json({ currency, recipients });
+  } catch (error) {
+    console.error('Get transfer recipients error:', error);
+    res.status(500).json({ error: 'Server error retrieving transfer recipients' });
+  }
+});
+
+// Look up a recipient by email, phone or group member before starting the step-up
+router.post('/lookup', authenticate, contributionLimiter, [
+  body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+  body('recipient_email').optional({ checkFalsy: true }).isEmail().withMessage('Recipient email must be a valid email'),
+  body('recipient_phone').optional({ checkFalsy: true }).isString().isLength({ max: 30 }).withMessage('Recipient phone must be a phone number'),
+  body('recipient_id').optional({ checkFalsy: true }).isUUID().withMessage('Recipient ID must be a valid user ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currency, recipient_email, recipient_phone, recipient_id } = req.body;
+    const found = await transferService.findRecipient(
+      { email: recipient_email, phone: recipient_phone, recipientId: recipient_id },
+      req.user.id,
+      currency.toUpperCase()
+    );
+
+    if (!found.success) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    res.json({
+      recipient: { id: found.recipient.id, name: found.recipient.name },
+      lookup: found.lookup,
+      groupId: found.groupId,
+    });
+  } catch (error) {
+    console.error('Transfer recipient lookup error:', error);
+    res.status(500).json({ error: 'Server error looking up recipient' });
+  }
+});
+
+// Daily transfer limit and what is left of it
+router.get('/limits', authenticate, [
+  query('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currency = req.query.currency.toUpperCase();
+    const usage = await transferService.getDailyUsage(req.user.id, currency);
+
+    res.json({ currency, ...usage });
+  } catch (error) {
+    console.error('Get transfer limits error:', error);
+    res.status(500).json({ error: 'Server error retrieving transfer limits' });
+  }
+});
+
+// Step 3: Send a transfer (requires password + OTP verification + 2FA)
+router.post('/send', authenticate, require2FA, contributionLimiter, [
+  body('password_verification_token').notEmpty().withMessage('Password verification token is required'),
+  body('otp').notEmpty().isLength({ min: 6, max: 6 }).withMessage('OTP is required (6 digits)'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+  body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+  body('recipient_email').optional({ checkFalsy: true }).isEmail().withMessage('Recipient email must be a valid email'),
+  body('recipient_phone').optional({ checkFalsy: true }).isString().isLength({ max: 30 }).withMessage('Recipient phone must be a phone number'),
+  body('recipient_id').optional({ checkFalsy: true }).isUUID().withMessage('Recipient ID must be a valid user ID'),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 140 }).withMessage('Note can be at most 140 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { password_verification_token, otp, amount, currency, recipient_email, recipient_phone, recipient_id, note } = req.body;
+
+    const tokenData = verifyPasswordVerificationToken(password_verification_token);
+    if (!tokenData || tokenData.action !== 'wallet_transfer' || tokenData.userId !== userId) {
+      return res.status(401).json({ error: 'Invalid or expired password verification token' });
+    }
+
+    // Verify code (2FA code if 2FA enabled, otherwise OTP)
+    const isValidCode = await verifyPaymentCode(userId, otp, password_verification_token, 'wallet_transfer');
+    if (!isValidCode) {
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+
+    const result = await transferService.sendTransfer({
+      senderId: userId,
+      recipient: { email: recipient_email, phone: recipient_phone, recipientId: recipient_id },
+      amount: parseFloat(amount),
+      currency: currency.toUpperCase(),
+      note,
+    });
+
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
+    }
+
+    res.status(201).json({
+      message: 'Transfer sent successfully',
+      transfer: result.transfer,
+      walletBalance: {
+        currency: result.transfer.currency,
+        balance: result.balance,
+      },
+      dailyUsage: result.dailyUsage,
+    });
+  } catch (error) {
+    console.error('Send transfer error:', error);
+    res.status(500).json({ error: 'Server error sending transfer' });
+  }
+});
+
+// Get sent and received transfers
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { currency, direction } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { transfers, total } = await transferService.listTransfers(req.user.id, {
+      currency: currency ? String(currency).toUpperCase() : null,
+      direction,
+      limit,
+      offset,
+    });
+
+    res.json({ transfers, total, limit, offset });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ error: 'Server error retrieving transfers' });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,7 @@ const {
   logPaymentAction,
 } = require('../utils/paymentHelpers');
 const { sendSecurityEmail } = require('../utils/email');
+const { getPreviousSubscriptionDeadline } = require('../utils/recurrenceHelpers');
 
 const router = express.Router();
 
@@ -49,7 +50,8 @@ router.get('/profile', authenticate, async (req, res) => {
 
     // Get all groups the user is/was a member of (active or past)
     const groupsResult = await pool.query(
-      `SELECT g.id, g.name, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month, g.deadline, gm.joined_at, gm.status
+      `SELECT g.id, g.name, g.group_type, g.subscription_frequency, g.subscription_deadline_day, g.subscription_deadline_month,
+              g.subscription_rrule, g.subscription_start_date, g.deadline, gm.joined_at, gm.status
        FROM group_members gm
        JOIN groups g ON gm.group_id = g.id
        WHERE gm.user_id = $1 AND gm.status IN ('active', 'inactive')
@@ -157,26 +159,14 @@ router.get('/profile', authenticate, async (req, res) => {
       const userJoinDate = new Date(group.joined_at);
       userJoinDate.setHours(0, 0, 0, 0);
       
-      const currentMonth = today.getMonth() + 1;
-      let periodStart;
-      if (group.subscription_frequency === 'monthly') {
-        periodStart = new Date(currentYear, currentMonth - 1, 1);
-      } else {
-        periodStart = new Date(currentYear, 0, 1);
-      }
-      periodStart.setHours(0, 0, 0, 0);
-
-      let deadlineDate;
-      if (group.subscription_frequency === 'monthly') {
-        deadlineDate = new Date(currentYear, currentMonth - 1, group.subscription_deadline_day || 1);
-      } else {
-        deadlineDate = new Date(currentYear, (group.subscription_deadline_month || 1) - 1, group.subscription_deadline_day || 1);
-      }
-      deadlineDate.setHours(0, 0, 0, 0);
-      const isDeadlinePassed = deadlineDate < today;
+      // Only the current period counts, once its deadline has passed
+      const previous = getPreviousSubscriptionDeadline(group, today);
+      const isDeadlinePassed = previous !== null && previous.periodEnd >= today;
+      const periodStart = isDeadlinePassed ? previous.periodStart : null;
+      const deadlineDate = isDeadlinePassed ? previous.deadline : null;
 
       // Only count if user was a member when deadline occurred
-      if (userJoinDate <= deadlineDate && isDeadlinePassed) {
+      if (isDeadlinePassed && userJoinDate <= deadlineDate) {
         const contributionCheck = await pool.query(
           `SELECT status, contribution_date 
            FROM subscription_contributions 
@@ -488,7 +478,7 @@ router.get('/wallet', authenticate, async (req, res) => {
     // This allows users to see their bank accounts and create groups before receiving contributions
     res.json({
       wallet: {
-        balances: balancesWithAccounts, // Array of { currency, balance, updatedAt, bankAccount, hasBankAccount }
+        balances: balancesWithAccounts, // Array of { currency, available, pending, held, total, updatedAt, bankAccount, hasBankAccount }
         totalBalances: balances.length, // Number of currencies with balances
         bankAccountsByCurrency, // All bank accounts grouped by currency (always included, even if empty)
       }
@@ -505,24 +495,36 @@ router.get('/wallet/history', authenticate, async (req, res) => {
     const userId = req.user.id;
     const { currency, type, limit = 50, offset = 0 } = req.query;
 
-    // Build query to get wallet transactions (credits that entered wallet and withdrawals)
+    // Build query to get wallet transactions (credits that entered wallet, withdrawals, transfers and conversions)
     // Only include transactions that actually affected wallet_balances:
     // 1. Credits with payment_provider (created via creditWallet - money entered wallet)
     // 2. Withdrawals (money left wallet)
+    // 3. Transfers to and from other users
+    // 4. Currency conversions (one row on each currency's side)
     let query = `
       SELECT 
         t.id, t.type, t.amount, t.currency, t.description, t.status, t.created_at,
         t.reference, t.withdrawal_fee, t.payment_provider, t.payment_method_id,
-        t.platform_fee, t.processor_fee, t.gross_amount, t.net_amount,
+        t.platform_fee, t.processor_fee, t.gross_amount, t.net_amount, t.settles_at, t.settled_at,
         g.id as group_id, g.name as group_name,
-        w.id as withdrawal_id, w.net_amount as withdrawal_net_amount, w.scheduled_at, w.processed_at
+        w.id as withdrawal_id, w.net_amount as withdrawal_net_amount, w.scheduled_at, w.processed_at,
+        wt.id as transfer_id, wt.note as transfer_note,
+        counterparty.id as counterparty_id, counterparty.name as counterparty_name,
+        cc.id as conversion_id, cc.from_currency as conversion_from_currency, cc.to_currency as conversion_to_currency,
+        cc.from_amount as conversion_from_amount, cc.to_amount as conversion_to_amount,
+        cc.fee as conversion_fee, cc.rate as conversion_rate
       FROM transactions t
       LEFT JOIN groups g ON t.group_id = g.id
       LEFT JOIN withdrawals w ON w.id::text = t.reference::text AND t.type = 'withdrawal'
+      LEFT JOIN wallet_transfers wt ON wt.id::text = t.reference::text AND t.type IN ('transfer_out', 'transfer_in')
+      LEFT JOIN users counterparty ON counterparty.id = CASE WHEN t.type = 'transfer_out' THEN wt.recipient_id ELSE wt.sender_id END
+      LEFT JOIN currency_conversions cc ON cc.id::text = t.reference::text AND t.type IN ('conversion_out', 'conversion_in')
       WHERE t.user_id = $1
         AND (
           (t.type = 'credit' AND t.payment_provider IS NOT NULL) -- Credits that entered wallet via creditWallet
           OR t.type = 'withdrawal' -- Withdrawals from wallet
+          OR t.type IN ('transfer_out', 'transfer_in') -- Transfers between users
+          OR t.type IN ('conversion_out', 'conversion_in') -- Currency conversions
         )
     `;
     const params = [userId];
@@ -534,13 +536,17 @@ router.get('/wallet/history', authenticate, async (req, res) => {
       params.push(currency.toUpperCase());
     }
 
-    // Filter by type if provided (credit or withdrawal)
+    // Filter by type if provided (credit, withdrawal, transfer or conversion)
     if (type) {
       if (type === 'credit') {
         query += ` AND t.type = 'credit' AND t.payment_provider IS NOT NULL`;
       } else if (type === 'withdrawal') {
         query += ` AND t.type = $${paramCount++}`;
         params.push(type);
+      } else if (type === 'transfer') {
+        query += ` AND t.type IN ('transfer_out', 'transfer_in')`;
+      } else if (type === 'conversion') {
+        query += ` AND t.type IN ('conversion_out', 'conversion_in')`;
       }
       // Note: 'debit' type is not used for wallet history (only withdrawals)
     }
@@ -582,8 +588,33 @@ router.get('/wallet/history', authenticate, async (req, res) => {
         transaction.processedAt = row.processed_at;
       }
 
-      // Add fee info for credits (if available)
+      // Add transfer-specific info
+      if (row.type === 'transfer_out' || row.type === 'transfer_in') {
+        transaction.transferId = row.transfer_id;
+        transaction.note = row.transfer_note;
+        transaction.counterparty = row.counterparty_id ? { id: row.counterparty_id, name: row.counterparty_name } : null;
+      }
+
+      // Add conversion-specific info
+      if (row.type === 'conversion_out' || row.type === 'conversion_in') {
+        transaction.conversion = row.conversion_id ? {
+          id: row.conversion_id,
+          fromCurrency: row.conversion_from_currency,
+          toCurrency: row.conversion_to_currency,
+          fromAmount: parseFloat(row.conversion_from_amount),
+          toAmount: parseFloat(row.conversion_to_amount),
+          fee: parseFloat(row.conversion_fee),
+          rate: parseFloat(row.conversion_rate),
+        } : null;
+      }
+
+      // Add fee and settlement info for credits (if available)
       if (row.type === 'credit') {
+        // Credits from before settlement tracking have no settles_at and were available straight away
+        transaction.settlementStatus = row.settles_at && !row.settled_at ? 'pending' : 'available';
+        transaction.settlesAt = row.settles_at;
+        transaction.settledAt = row.settled_at;
+
         if (row.platform_fee !== null) {
           transaction.fees = {
             platformFee: parseFloat(row.platform_fee || 0),
@@ -605,6 +636,8 @@ router.get('/wallet/history', authenticate, async (req, res) => {
         AND (
           (type = 'credit' AND payment_provider IS NOT NULL)
           OR type = 'withdrawal'
+          OR type IN ('transfer_out', 'transfer_in')
+          OR type IN ('conversion_out', 'conversion_in')
         )
     `;
     const countParams = [userId];
@@ -621,6 +654,10 @@ router.get('/wallet/history', authenticate, async (req, res) => {
       } else if (type === 'withdrawal') {
         countQuery += ` AND type = $${countParamCount++}`;
         countParams.push(type);
+      } else if (type === 'transfer') {
+        countQuery += ` AND type IN ('transfer_out', 'transfer_in')`;
+      } else if (type === 'conversion') {
+        countQuery += ` AND type IN ('conversion_out', 'conversion_in')`;
       }
     }
 
@@ -1129,6 +1166,7 @@ router.get('/email-preferences', authenticate, async (req, res) => {
         email_pref_withdrawal_failed,
         email_pref_deadline_update,
         email_pref_contribution_amount_update,
+        email_pref_fundraising_goal,
         email_pref_birthday_reminder,
         email_pref_comprehensive_birthday_reminder,
         email_pref_comprehensive_reminder,
@@ -1160,6 +1198,7 @@ router.get('/email-preferences', authenticate, async (req, res) => {
         // Group Updates (Important)
         deadline_update: result.rows[0].email_pref_deadline_update ?? true,
         contribution_amount_update: result.rows[0].email_pref_contribution_amount_update ?? true,
+        fundraising_goal: result.rows[0].email_pref_fundraising_goal ?? true,
         
         // Birthday Emails
         birthday_reminder: result.rows[0].email_pref_birthday_reminder ?? false,
@@ -1199,6 +1238,7 @@ router.put('/email-preferences', authenticate, async (req, res) => {
       withdrawal_failed,
       deadline_update,
       contribution_amount_update,
+      fundraising_goal,
       birthday_reminder,
       comprehensive_birthday_reminder,
       comprehensive_reminder,
@@ -1225,6 +1265,7 @@ router.put('/email-preferences', authenticate, async (req, res) => {
       email_pref_withdrawal_failed: withdrawal_failed,
       email_pref_deadline_update: deadline_update,
       email_pref_contribution_amount_update: contribution_amount_update,
+      email_pref_fundraising_goal: fundraising_goal,
       email_pref_birthday_reminder: birthday_reminder,
       email_pref_comprehensive_birthday_reminder: comprehensive_birthday_reminder,
       email_pref_comprehensive_reminder: comprehensive_reminder,
@@ -9,7 +9,10 @@ const {
   updatePaymentAttempt,
   isWebhookProcessed,
   isContributionConfirmed,
+  settleWithdrawalPayout,
+  returnWithdrawalToWallet,
 } = require('../utils/walletHelpers');
+const { withTransaction } = require('../utils/dbTransaction');
 const {
   sendPaymentSuccessEmail,
   sendAutoPaySuccessEmail,
@@ -19,13 +22,17 @@ const {
   sendWithdrawalFailedEmail,
 } = require('../utils/email');
 const { createNotification } = require('../utils/notifications');
+const { notifyGuestContributionPaid } = require('../utils/paymentLinkHelpers');
+const { checkFundraisingMilestones } = require('../utils/fundraisingHelpers');
+const chargebackService = require('../services/chargebackService');
+const refundService = require('../services/refundService');
 
 const router = express.Router();
 
 // Webhook endpoint for Resend email events
 // This endpoint should be configured in your Resend dashboard
 // URL: https://your-domain.com/api/webhook/email
-router.post('/email', handleEmailWebhook);
+router.post('/email', express.json(), handleEmailWebhook);
 
 // Stripe webhook endpoint
 // URL: https://your-domain.com/api/webhook/stripe
@@ -69,8 +76,15 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
         await handleStripePaymentFailure(event.data.object);
         break;
       case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.funds_withdrawn':
+      case 'charge.dispute.funds_reinstated':
+      case 'charge.dispute.closed':
         await handleStripeDispute(event.data.object);
         break;
+      case 'charge.refunded':
+        await handleStripeChargeRefunded(event.data.object);
+        break;
       case 'payout.paid':
         await handleStripePayoutSuccess(event.data.object);
         break;
@@ -167,6 +181,11 @@ async function handleStripePaymentSuccess(paymentIntent) {
       return;
     }
 
+    if (contributionType === 'guest') {
+      await handleGuestPaymentSuccess({ provider: 'stripe', providerTransactionId: id, amount, currency, metadata });
+      return;
+    }
+
     // Check if contribution is already confirmed (prevent double payment)
     const alreadyConfirmed = await isContributionConfirmed(contributionType, contributionId);
     if (alreadyConfirmed) {
@@ -180,6 +199,7 @@ async function handleStripePaymentSuccess(paymentIntent) {
       platformFee: parseFloat(metadata.platformFee) || 0,
       processorFee: parseFloat(metadata.processorFee) || 0,
       grossAmount: parseFloat(metadata.grossAmount) || contributionAmount,
+      feeScheduleId: metadata.feeScheduleId || null,
     };
 
     // Credit recipient's wallet
@@ -196,6 +216,10 @@ async function handleStripePaymentSuccess(paymentIntent) {
       paymentProvider: 'stripe',
       fees,
     });
+    if (creditResult.duplicate) {
+      console.log('Payment already posted to ledger, skipping:', creditResult.journalEntryId);
+      return;
+    }
     console.log(`Wallet credited successfully. Transaction ID: ${creditResult.transactionId}, New balance: ${creditResult.newBalance}`);
 
     // Update payment attempt status
@@ -318,6 +342,58 @@ async function handleStripePaymentSuccess(paymentIntent) {
   }
 }
 
+// Handle a successful guest payment made through a payment link (Stripe or Paystack)
+async function handleGuestPaymentSuccess({ provider, providerTransactionId, amount, currency, metadata }) {
+  const { contributionId, groupId, recipientId } = metadata;
+  const currencyUpper = currency.toUpperCase();
+  const contributionAmount = parseFloat(metadata.contributionAmount) || paymentService.convertFromSmallestUnit(amount, currencyUpper);
+  const fees = {
+    platformFee: parseFloat(metadata.platformFee) || 0,
+    processorFee: parseFloat(metadata.processorFee) || 0,
+    grossAmount: parseFloat(metadata.grossAmount) || contributionAmount,
+    feeScheduleId: metadata.feeScheduleId || null,
+  };
+
+  const creditResult = await creditWallet({
+    recipientId,
+    amount: contributionAmount,
+    currency: currencyUpper,
+    groupId,
+    description: `Guest contribution via payment link (${provider === 'stripe' ? 'Stripe' : 'Paystack'})`,
+    contributionType: 'guest',
+    contributionId,
+    providerTransactionId,
+    paymentProvider: provider,
+    fees,
+  });
+  if (creditResult.duplicate) {
+    console.log('Guest payment already posted to ledger, skipping:', creditResult.journalEntryId);
+    return;
+  }
+
+  await logPaymentAction({
+    userId: recipientId,
+    action: 'guest_payment_success',
+    amount: contributionAmount,
+    currency: currencyUpper,
+    status: 'success',
+    paymentProvider: provider,
+    providerTransactionId,
+    metadata: { contributionType: 'guest', contributionId, groupId, transactionId: creditResult.transactionId },
+  });
+
+  await notifyGuestContributionPaid(contributionId);
+
+  // Guest payments to a general group count towards its fundraising target
+  try {
+    await checkFundraisingMilestones(groupId);
+  } catch (error) {
+    console.error('Error checking fundraising milestones after guest payment:', error);
+  }
+
+  console.log('Guest payment processed:', providerTransactionId, 'Amount:', contributionAmount, currencyUpper);
+}
+
 // Handle Stripe payment failure
 async function handleStripePaymentFailure(paymentIntent) {
   try {
@@ -326,6 +402,12 @@ async function handleStripePaymentFailure(paymentIntent) {
     // Extract metadata
     const { contributionType, contributionId, groupId, userId, attemptId, retryCount = 0 } = metadata || {};
 
+    // Guests can retry on the hosted checkout; their contribution stays pending until one attempt succeeds
+    if (contributionType === 'guest') {
+      console.log('Guest checkout payment failed:', id, contributionId);
+      return;
+    }
+
     if (!contributionType || !contributionId || !userId || !groupId) {
       console.log('Missing required metadata in Stripe payment failure:', id);
       return;
@@ -348,7 +430,8 @@ async function handleStripePaymentFailure(paymentIntent) {
       retryCount: newRetryCount,
     });
 
-    if (!shouldRetry) {
+    // A declined late fee charge leaves the fee outstanding; it doesn't switch auto-pay off
+    if (!shouldRetry && contributionType !== 'late_fee') {
       // Auto-disable auto-pay after max retries
       await pool.query(
         `UPDATE user_payment_preferences
@@ -397,29 +480,49 @@ async function handleStripePaymentFailure(paymentIntent) {
   }
 }
 
-// Handle Stripe dispute (chargeback)
+// Handle Stripe dispute (chargeback) events - every dispute event carries the full dispute
 async function handleStripeDispute(dispute) {
   try {
-    const { id, charge, amount, reason, status } = dispute;
-
-    // Log dispute
-    await logPaymentAction({
-      userId: null, // Will need to look up from charge
-      action: 'chargeback',
-      amount: amount / 100,
-      status: 'pending',
-      paymentProvider: 'stripe',
-      providerTransactionId: id,
-      metadata: { chargeId: charge, reason, status },
+    const { id, charge, payment_intent, amount, currency, reason, status, evidence_details } = dispute;
+
+    const chargeback = await chargebackService.sync({
+      provider: 'stripe',
+      providerDisputeId: id,
+      providerTransactionId: payment_intent,
+      chargeId: charge,
+      amount: paymentService.convertFromSmallestUnit(amount, currency.toUpperCase()),
+      currency: currency.toUpperCase(),
+      reason,
+      providerStatus: status,
+      evidenceDueBy: evidence_details?.due_by ? new Date(evidence_details.due_by * 1000) : null,
+      hasEvidence: !!evidence_details?.has_evidence,
     });
 
-    // TODO: Handle dispute/chargeback (respond with evidence, update records, etc.)
-    console.log('Stripe dispute received:', id, reason);
+    console.log('Stripe dispute processed:', id, status, 'Chargeback:', chargeback.id, chargeback.status);
   } catch (error) {
     console.error('Error handling Stripe dispute:', error);
   }
 }
 
+// Handle Stripe refunds, flagging any that weren't made through the refund API
+async function handleStripeChargeRefunded(charge) {
+  try {
+    const { payment_intent, amount_refunded, currency } = charge;
+    if (!payment_intent) {
+      return;
+    }
+
+    await refundService.checkProviderRefunds({
+      provider: 'stripe',
+      providerTransactionId: payment_intent,
+      amountRefunded: paymentService.convertFromSmallestUnit(amount_refunded, currency.toUpperCase()),
+      currency: currency.toUpperCase(),
+    });
+  } catch (error) {
+    console.error('Error handling Stripe refund:', error);
+  }
+}
+
 // Handle Paystack payment success
 async function handlePaystackPaymentSuccess(data) {
   try {
@@ -446,13 +549,18 @@ async function handlePaystackPaymentSuccess(data) {
       }
     }
 
-    const { contributionType, contributionId, groupId, userId, recipientId, contributionAmount, platformFee, processorFee, grossAmount } = parsedMetadata || {};
+    const { contributionType, contributionId, groupId, userId, recipientId, contributionAmount, platformFee, processorFee, grossAmount, feeScheduleId } = parsedMetadata || {};
 
     if (!contributionType || !contributionId || !recipientId) {
       console.log('Missing required metadata in Paystack payment:', reference, { contributionType, contributionId, recipientId });
       return;
     }
 
+    if (contributionType === 'guest') {
+      await handleGuestPaymentSuccess({ provider: 'paystack', providerTransactionId: reference, amount, currency, metadata: parsedMetadata });
+      return;
+    }
+
     // Check if contribution is already confirmed (prevent double payment)
     const alreadyConfirmed = await isContributionConfirmed(contributionType, contributionId);
     if (alreadyConfirmed) {
@@ -466,6 +574,7 @@ async function handlePaystackPaymentSuccess(data) {
       platformFee: parseFloat(platformFee) || 0,
       processorFee: parseFloat(processorFee) || 0,
       grossAmount: parseFloat(grossAmount) || contribAmount,
+      feeScheduleId: feeScheduleId || null,
     };
 
     // Credit recipient's wallet
@@ -482,6 +591,10 @@ async function handlePaystackPaymentSuccess(data) {
       paymentProvider: 'paystack',
       fees,
     });
+    if (creditResult.duplicate) {
+      console.log('Payment already posted to ledger, skipping:', creditResult.journalEntryId);
+      return;
+    }
     console.log(`Wallet credited successfully. Transaction ID: ${creditResult.transactionId}, New balance: ${creditResult.newBalance}`);
 
     // Update payment attempt status
@@ -617,6 +730,12 @@ async function handlePaystackPaymentFailure(data) {
 
     const { contributionType, contributionId, groupId, userId, attemptId, retryCount = 0 } = parsedMetadata || {};
 
+    // Guests can retry on the hosted checkout; their contribution stays pending until one attempt succeeds
+    if (contributionType === 'guest') {
+      console.log('Guest checkout payment failed:', reference, contributionId);
+      return;
+    }
+
     if (!contributionType || !contributionId || !userId || !groupId) {
       console.log('Missing required metadata in Paystack payment failure:', reference);
       return;
@@ -638,7 +757,8 @@ async function handlePaystackPaymentFailure(data) {
       retryCount: newRetryCount,
     });
 
-    if (!shouldRetry) {
+    // A declined late fee charge leaves the fee outstanding; it doesn't switch auto-pay off
+    if (!shouldRetry && contributionType !== 'late_fee') {
       // Auto-disable auto-pay after max retries
       await pool.query(
         `UPDATE user_payment_preferences
@@ -748,21 +868,45 @@ async function handlePaystackTransferSuccess(data) {
       return;
     }
 
-    // Update withdrawal status
-    await pool.query(
-      `UPDATE withdrawals
-       SET status = 'completed', processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-      [withdrawal.id]
-    );
+    const settled = await withTransaction(async (client) => {
+      // Update withdrawal status (a failed withdrawal has already been returned to the wallet)
+      const updateResult = await client.query(
+        `UPDATE withdrawals
+         SET status = 'completed', processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('pending', 'processing')`,
+        [withdrawal.id]
+      );
 
-    // Update transaction status
-    await pool.query(
-      `UPDATE transactions
-       SET status = 'completed'
-       WHERE reference = $1 AND type = 'withdrawal'`,
-      [withdrawal.id]
-    );
+      if (updateResult.rowCount === 0) {
+        return false;
+      }
+
+      // Settle the held withdrawal (no-op if the processor already settled it)
+      await settleWithdrawalPayout({
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        fee: withdrawal.fee,
+        currency: withdrawal.currency,
+        paymentProvider: 'paystack',
+        providerTransactionId: reference,
+      }, client);
+
+      // Update transaction status
+      await client.query(
+        `UPDATE transactions
+         SET status = 'completed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [withdrawal.id]
+      );
+
+      return true;
+    });
+
+    if (!settled) {
+      console.log('Withdrawal already processed:', withdrawal.id);
+      return;
+    }
 
     // Send email notification
     try {
@@ -852,27 +996,43 @@ async function handlePaystackTransferFailure(data) {
       return;
     }
 
-    // Update withdrawal status
-    await pool.query(
-      `UPDATE withdrawals
-       SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2`,
-      [message, withdrawal.id]
-    );
+    const released = await withTransaction(async (client) => {
+      // Update withdrawal status
+      const updateResult = await client.query(
+        `UPDATE withdrawals
+         SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status IN ('pending', 'processing')`,
+        [message, withdrawal.id]
+      );
 
-    // Refund amount back to wallet
-    await pool.query(
-      'UPDATE wallets SET balance = balance + $1 WHERE user_id = $2',
-      [withdrawal.amount, withdrawal.user_id]
-    );
+      if (updateResult.rowCount === 0) {
+        return false;
+      }
 
-    // Update transaction status
-    await pool.query(
-      `UPDATE transactions
-       SET status = 'failed'
-       WHERE reference = $1 AND type = 'withdrawal'`,
-      [withdrawal.id]
-    );
+      // Refund amount back to currency-specific wallet balance
+      await returnWithdrawalToWallet({
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        reason: message,
+      }, client);
+
+      // Update transaction status
+      await client.query(
+        `UPDATE transactions
+         SET status = 'failed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [withdrawal.id]
+      );
+
+      return true;
+    });
+
+    if (!released) {
+      console.log('Withdrawal already processed:', withdrawal.id);
+      return;
+    }
 
     // Send email notification
     try {
@@ -958,21 +1118,45 @@ async function handleStripePayoutSuccess(payout) {
       return;
     }
 
-    // Update withdrawal status
-    await pool.query(
-      `UPDATE withdrawals
-       SET status = 'completed', processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-      [withdrawal.id]
-    );
+    const settled = await withTransaction(async (client) => {
+      // Update withdrawal status (a failed withdrawal has already been returned to the wallet)
+      const updateResult = await client.query(
+        `UPDATE withdrawals
+         SET status = 'completed', processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('pending', 'processing')`,
+        [withdrawal.id]
+      );
 
-    // Update transaction status
-    await pool.query(
-      `UPDATE transactions
-       SET status = 'completed'
-       WHERE reference = $1 AND type = 'withdrawal'`,
-      [withdrawal.id]
-    );
+      if (updateResult.rowCount === 0) {
+        return false;
+      }
+
+      // Settle the held withdrawal (no-op if the processor already settled it)
+      await settleWithdrawalPayout({
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        fee: withdrawal.fee,
+        currency: withdrawal.currency,
+        paymentProvider: 'stripe',
+        providerTransactionId: payoutId,
+      }, client);
+
+      // Update transaction status
+      await client.query(
+        `UPDATE transactions
+         SET status = 'completed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [withdrawal.id]
+      );
+
+      return true;
+    });
+
+    if (!settled) {
+      console.log('Withdrawal already processed:', withdrawal.id);
+      return;
+    }
 
     // Send email notification
     try {
@@ -1064,27 +1248,43 @@ async function handleStripePayoutFailure(payout) {
       return;
     }
 
-    // Update withdrawal status
-    await pool.query(
-      `UPDATE withdrawals
-       SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2`,
-      [failureMessage, withdrawal.id]
-    );
+    const released = await withTransaction(async (client) => {
+      // Update withdrawal status
+      const updateResult = await client.query(
+        `UPDATE withdrawals
+         SET status = 'failed', error_message = $1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status IN ('pending', 'processing')`,
+        [failureMessage, withdrawal.id]
+      );
 
-    // Refund amount back to wallet
-    await pool.query(
-      'UPDATE wallets SET balance = balance + $1 WHERE user_id = $2',
-      [withdrawal.amount, withdrawal.user_id]
-    );
+      if (updateResult.rowCount === 0) {
+        return false;
+      }
 
-    // Update transaction status
-    await pool.query(
-      `UPDATE transactions
-       SET status = 'failed'
-       WHERE reference = $1 AND type = 'withdrawal'`,
-      [withdrawal.id]
-    );
+      // Refund amount back to currency-specific wallet balance
+      await returnWithdrawalToWallet({
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        reason: failureMessage,
+      }, client);
+
+      // Update transaction status
+      await client.query(
+        `UPDATE transactions
+         SET status = 'failed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [withdrawal.id]
+      );
+
+      return true;
+    });
+
+    if (!released) {
+      console.log('Withdrawal already processed:', withdrawal.id);
+      return;
+    }
 
     // Send email notification
     try {
@@ -1,10 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { require2FA } = require('../middleware/require2FA');
 const { otpLimiter, contributionLimiter } = require('../middleware/rateLimiter');
-const paymentService = require('../services/paymentService');
+const withdrawalRiskService = require('../services/withdrawalRiskService');
+const withdrawalService = require('../services/withdrawalService');
 const {
   verifyPassword,
   generatePasswordVerificationToken,
@@ -16,15 +18,22 @@ const {
   logPaymentAction,
 } = require('../utils/paymentHelpers');
 const {
-  sendWithdrawalRequestEmail,
   sendWithdrawalCompletedEmail,
   sendWithdrawalFailedEmail,
 } = require('../utils/email');
 const { createNotification } = require('../utils/notifications');
 const { getCurrencySymbol } = require('../utils/currency');
+const {
+  getCurrencyBalance,
+  returnWithdrawalToWallet,
+  syncLegacyWallet,
+} = require('../utils/walletHelpers');
+const { withTransaction } = require('../utils/dbTransaction');
 
 const router = express.Router();
 
+router.use(idempotency);
+
 /**
  * WITHDRAWAL MANAGEMENT
  */
@@ -148,6 +157,7 @@ router.post('/request', authenticate, require2FA, contributionLimiter, [
   body('otp').notEmpty().isLength({ min: 6, max: 6 }).withMessage('OTP is required (6 digits)'),
   body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
   body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+  body('bank_account_id').optional({ checkFalsy: true }).isUUID().withMessage('Bank account ID must be a valid ID'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -156,7 +166,7 @@ router.post('/request', authenticate, require2FA, contributionLimiter, [
     }
 
     const userId = req.user.id;
-    const { password_verification_token, otp, amount, currency: requestedCurrency } = req.body;
+    const { password_verification_token, otp, amount, currency: requestedCurrency, bank_account_id } = req.body;
 
     // Verify password token
     const tokenData = verifyPasswordVerificationToken(password_verification_token);
@@ -181,233 +191,60 @@ router.post('/request', authenticate, require2FA, contributionLimiter, [
     }
     const currency = requestedCurrency.toUpperCase();
 
-    // Only support USD, EUR, GBP, CAD, AUD for withdrawals
-    const supportedCurrencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
-    if (!supportedCurrencies.includes(currency)) {
-      return res.status(400).json({
-        error: `Withdrawals for ${currency} are coming soon. Currently supported currencies: USD, EUR, GBP, CAD, AUD.`,
-        supportedCurrencies: supportedCurrencies,
-      });
-    }
-
-    // Get currency-specific bank account for withdrawal
-    const bankAccountResult = await pool.query(
-      `SELECT wba.id, wba.account_name, wba.bank_name, wba.account_number, wba.iban, wba.swift_bic,
-              wba.routing_number, wba.sort_code, wba.branch_code, wba.branch_address, wba.bank_code,
-              u.email, u.name
-       FROM wallet_bank_accounts wba
-       JOIN users u ON wba.user_id = u.id
-       WHERE wba.user_id = $1 AND wba.currency = $2
-       ORDER BY wba.is_default DESC, wba.created_at DESC
-       LIMIT 1`,
-      [userId, currency]
-    );
-
-    if (bankAccountResult.rows.length === 0) {
-      return res.status(404).json({
-        error: `No bank account found for ${currency}. Please add a bank account for ${currency} withdrawals first.`,
-        currency,
-      });
-    }
-
-    const bankAccount = bankAccountResult.rows[0];
-
-    // Validate bank details
-    if (!bankAccount.account_name || !bankAccount.account_number || !bankAccount.bank_name) {
-      return res.status(400).json({
-        error: 'Bank account details incomplete. Please update your bank account details.',
-      });
-    }
-    const withdrawalAmount = parseFloat(amount);
+    const result = await withdrawalService.requestWithdrawal({
+      userId,
+      currency,
+      amount,
+      bankAccountId: bank_account_id || null,
+      req,
+    });
 
-    // Check minimum withdrawal amount
-    const minWithdrawal = currency === 'NGN' ? 1000 : 10; // ₦1,000 or 10 for all other currencies
-    if (withdrawalAmount < minWithdrawal) {
-      const currencySymbol = getCurrencySymbol(currency);
-      return res.status(400).json({
-        error: `Minimum withdrawal amount is ${currencySymbol}${minWithdrawal}`,
-        minimum: minWithdrawal,
-      });
+    if (!result.success) {
+      const { success, status, ...details } = result;
+      return res.status(status).json(details);
     }
 
-    // Check wallet balance for the specific currency
-    const { getCurrencyBalance } = require('../utils/walletHelpers');
-    const currentBalance = await getCurrencyBalance(userId, currency);
-    
-    if (currentBalance < withdrawalAmount) {
-      return res.status(400).json({
-        error: 'Insufficient balance',
-        currentBalance,
-        requested: withdrawalAmount,
+    res.json({
+      message: 'Withdrawal request submitted successfully',
+      withdrawal: result.withdrawal,
+      walletBalance: {
         currency,
-      });
-    }
-
-    // Select provider based on currency
-    const provider = paymentService.selectProvider(currency, null);
-
-    // Calculate withdrawal fee
-    const feeCalculation = paymentService.calculateWithdrawalFee(withdrawalAmount, currency, provider);
-    const netAmount = feeCalculation.netAmount;
+        balance: result.balance,
+      },
+    });
+  } catch (error) {
+    console.error('Withdrawal request error:', error);
+    res.status(500).json({ error: 'Server error processing withdrawal request' });
+  }
+});
 
-    // Check if balance covers withdrawal + fee
-    if (currentBalance < withdrawalAmount) {
-      return res.status(400).json({
-        error: 'Insufficient balance (including fees)',
-        currentBalance,
-        requested: withdrawalAmount,
-        fee: feeCalculation.fee,
-        netAmount,
-      });
+// Withdrawal limits for a currency and how much of them is used
+router.get('/limits', authenticate, [
+  query('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters (e.g., NGN, USD)'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    await pool.query('BEGIN');
-
-    try {
-      // Deduct from currency-specific wallet balance immediately (held for 24 hours)
-      await pool.query(
-        `UPDATE wallet_balances 
-         SET balance = balance - $1, updated_at = CURRENT_TIMESTAMP
-         WHERE user_id = $2 AND currency = $3`,
-        [withdrawalAmount, userId, currency]
-      );
-
-      // Also update main wallet balance for backward compatibility (optional)
-      // Get total of all balances for primary currency
-      const primaryBalanceResult = await pool.query(
-        `SELECT COALESCE(SUM(balance), 0) as total_balance
-         FROM wallet_balances
-         WHERE user_id = $1 AND currency = $2`,
-        [userId, currency]
-      );
-      
-      const primaryBalance = parseFloat(primaryBalanceResult.rows[0]?.total_balance || 0);
-      await pool.query(
-        `UPDATE wallets SET balance = $1, currency = $2, updated_at = CURRENT_TIMESTAMP WHERE user_id = $3`,
-        [primaryBalance, currency, userId]
-      );
-
-      // Calculate scheduled time (24 hours from now)
-      const scheduledAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-
-      // Create withdrawal record
-      const withdrawalResult = await pool.query(
-        `INSERT INTO withdrawals
-         (user_id, amount, currency, bank_account_number, bank_name, account_name,
-          status, payment_provider, fee, net_amount, scheduled_at, bank_account_id)
-         VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11)
-         RETURNING id, scheduled_at`,
-        [
-          userId,
-          withdrawalAmount,
-          currency,
-          bankAccount.account_number,
-          bankAccount.bank_name,
-          bankAccount.account_name,
-          provider,
-          feeCalculation.fee,
-          netAmount,
-          scheduledAt,
-          bankAccount.id, // Store bank account ID for reference
-        ]
-      );
-
-      const withdrawal = withdrawalResult.rows[0];
-
-      // Create transaction record with currency
-      await pool.query(
-        `INSERT INTO transactions
-         (user_id, type, amount, currency, description, status, reference, withdrawal_fee)
-         VALUES ($1, 'withdrawal', $2, $3, $4, 'pending', $5, $6)`,
-        [
-          userId,
-          withdrawalAmount,
-          currency,
-          `Withdrawal to ${bankAccount.account_name} - ${bankAccount.bank_name} (****${bankAccount.account_number.slice(-4)})`,
-          withdrawal.id,
-          feeCalculation.fee,
-        ]
-      );
-
-      await pool.query('COMMIT');
-
-      // Send email notification
-      try {
-        const currencySymbol = paymentService.formatCurrency(withdrawalAmount, currency).replace(/[\d.,]+/g, '');
-        await sendWithdrawalRequestEmail(
-          bankAccount.email,
-          bankAccount.name,
-          withdrawalAmount,
-          currency,
-          currencySymbol,
-          scheduledAt,
-          bankAccount.account_number,
-          feeCalculation.fee,
-          netAmount
-        );
-      } catch (emailError) {
-        console.error('Error sending withdrawal request email:', emailError);
-        // Don't fail the request if email fails
-      }
-
-      // Create in-app and push notification
-      try {
-        const currencySymbol = paymentService.formatCurrency(withdrawalAmount, currency).replace(/[\d.,]+/g, '');
-        await createNotification(
-          userId,
-          'withdrawal_requested',
-          'Withdrawal Requested',
-          `Your withdrawal of ${currencySymbol}${withdrawalAmount.toLocaleString()} ${currency} has been submitted and will be processed in 24 hours.`,
-          null,
-          null
-        );
-      } catch (notificationError) {
-        console.error('Error creating withdrawal request notification:', notificationError);
-        // Don't fail the request if notification fails
-      }
-
-      // Log action
-      await logPaymentAction({
-        userId,
-        action: 'withdrawal_requested',
-        amount: withdrawalAmount,
-        currency,
-        status: 'pending',
-        paymentProvider: provider,
-        metadata: {
-          withdrawalId: withdrawal.id,
-          netAmount,
-          fee: feeCalculation.fee,
-          scheduledAt: withdrawal.scheduled_at,
-        },
-      });
+    const userId = req.user.id;
+    const currency = req.query.currency.toUpperCase();
+    const limits = await withdrawalRiskService.getLimits(userId, currency);
+    const usage = await withdrawalRiskService.getUsage(userId, currency);
 
-      // Get updated balance for this currency
-      const updatedBalance = await getCurrencyBalance(userId, currency);
-
-      res.json({
-        message: 'Withdrawal request submitted successfully',
-        withdrawal: {
-          id: withdrawal.id,
-          amount: withdrawalAmount,
-          currency,
-          fee: feeCalculation.fee,
-          netAmount,
-          status: 'pending',
-          scheduledAt: withdrawal.scheduled_at,
-        },
-        walletBalance: {
-          currency,
-          balance: updatedBalance,
-        },
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
-    }
+    res.json({
+      currency,
+      limits,
+      usage,
+      remaining: {
+        daily: Math.max(0, Math.round((limits.daily - usage.daily) * 100) / 100),
+        monthly: Math.max(0, Math.round((limits.monthly - usage.monthly) * 100) / 100),
+      },
+    });
   } catch (error) {
-    console.error('Withdrawal request error:', error);
-    res.status(500).json({ error: 'Server error processing withdrawal request' });
+    console.error('Get withdrawal limits error:', error);
+    res.status(500).json({ error: 'Server error retrieving withdrawal limits' });
   }
 });
 
@@ -418,7 +255,8 @@ router.get('/history', authenticate, async (req, res) => {
     const { limit = 20, offset = 0 } = req.query;
 
     const result = await pool.query(
-      `SELECT id, amount, currency, status, fee, net_amount, scheduled_at, processed_at, error_message, created_at
+      `SELECT id, amount, currency, status, fee, net_amount, scheduled_at, processed_at, error_message,
+              hold_reasons, created_at
        FROM withdrawals
        WHERE user_id = $1
        ORDER BY created_at DESC
@@ -443,6 +281,124 @@ router.get('/history', authenticate, async (req, res) => {
   }
 });
 
+// Cancel a withdrawal that hasn't been picked up for payout yet
+router.post('/:withdrawalId/cancel', authenticate, contributionLimiter, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { withdrawalId } = req.params;
+
+    const withdrawal = await withTransaction(async (client) => {
+      // The processor claims withdrawals with the same status check, so only one of the two can win
+      const cancelResult = await client.query(
+        `UPDATE withdrawals
+         SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2 AND status IN ('pending', 'pending_approval')
+         RETURNING id, amount, currency, fee, net_amount, payment_provider, status, scheduled_at`,
+        [withdrawalId, userId]
+      );
+
+      if (cancelResult.rows.length === 0) {
+        return null;
+      }
+
+      const cancelled = cancelResult.rows[0];
+
+      // Move the held funds back to the available balance (ledger: pending withdrawals back to the wallet)
+      await returnWithdrawalToWallet({
+        userId,
+        withdrawalId: cancelled.id,
+        amount: cancelled.amount,
+        currency: cancelled.currency,
+        reason: 'Cancelled by user',
+      }, client);
+      await syncLegacyWallet(userId, cancelled.currency, client);
+
+      await client.query(
+        `UPDATE transactions
+         SET status = 'cancelled'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [cancelled.id]
+      );
+
+      return cancelled;
+    });
+
+    if (!withdrawal) {
+      const existing = await pool.query(
+        'SELECT status FROM withdrawals WHERE id = $1 AND user_id = $2',
+        [withdrawalId, userId]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Withdrawal not found' });
+      }
+
+      return res.status(409).json({
+        error: existing.rows[0].status === 'processing'
+          ? 'This withdrawal is already being paid out and can no longer be cancelled'
+          : `This withdrawal is ${existing.rows[0].status} and can no longer be cancelled`,
+        status: existing.rows[0].status,
+      });
+    }
+
+    const amount = parseFloat(withdrawal.amount);
+    const currency = withdrawal.currency;
+
+    // Create in-app and push notification
+    try {
+      const currencySymbol = getCurrencySymbol(currency);
+      await createNotification(
+        userId,
+        'withdrawal_cancelled',
+        'Withdrawal Cancelled',
+        `Your withdrawal of ${currencySymbol}${amount.toLocaleString()} ${currency} was cancelled. The funds are back in your wallet.`,
+        null,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating withdrawal cancelled notification:', notificationError);
+      // Don't fail the request if notification fails
+    }
+
+    // Log action
+    await logPaymentAction({
+      userId,
+      action: 'withdrawal_cancelled',
+      amount,
+      currency,
+      status: 'cancelled',
+      paymentProvider: withdrawal.payment_provider,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        withdrawalId: withdrawal.id,
+        fee: withdrawal.fee,
+        scheduledAt: withdrawal.scheduled_at,
+      },
+    });
+
+    // Get updated balance for this currency
+    const updatedBalance = await getCurrencyBalance(userId, currency);
+
+    res.json({
+      message: 'Withdrawal cancelled successfully',
+      withdrawal: {
+        id: withdrawal.id,
+        amount,
+        currency,
+        status: 'cancelled',
+      },
+      walletBalance: {
+        currency,
+        balance: updatedBalance,
+      },
+    });
+  } catch (error) {
+    console.error('Cancel withdrawal error:', error);
+    res.status(500).json({ error: 'Server error cancelling withdrawal' });
+  }
+});
+
 // Get withdrawal details
 router.get('/:withdrawalId', authenticate, async (req, res) => {
   try {
@@ -452,7 +408,7 @@ router.get('/:withdrawalId', authenticate, async (req, res) => {
     const result = await pool.query(
       `SELECT id, amount, currency, status, fee, net_amount, bank_account_number, bank_name,
               account_name, payment_provider, provider_transaction_id, scheduled_at, processed_at,
-              error_message, created_at, updated_at
+              error_message, hold_reasons, created_at, updated_at
        FROM withdrawals
        WHERE id = $1 AND user_id = $2`,
       [withdrawalId, userId]
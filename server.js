@@ -90,6 +90,10 @@ app.use(helmet({
 }));
 
 app.use(cors(corsOptions));
+
+// Payment webhooks verify signatures against the raw body, so they're mounted before the JSON parser
+app.use('/api/webhook', require('./routes/webhook'));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -154,16 +158,22 @@ app.get('/.well-known/assetlinks.json', (req, res) => {
 // Deep link routes (public, no auth required)
 app.use('/', require('./routes/deeplink'));
 
+// Payment link checkout pages (public, no auth required)
+app.use('/pay', require('./routes/guestCheckout'));
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/2fa', require('./routes/twoFactor'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/groups', require('./routes/groups'));
 app.use('/api/groups', require('./routes/autoPay')); // Auto-pay routes for groups
+app.use('/api/groups', require('./routes/lateFees')); // Late fee routes for groups
+app.use('/api/groups', require('./routes/paymentLinks')); // Payment link routes for groups
 app.use('/api/members', require('./routes/members'));
 app.use('/api/birthdays', require('./routes/birthdays'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/general', require('./routes/general'));
+app.use('/api/rotating', require('./routes/rotating'));
 app.use('/api/contributions', require('./routes/contributions'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/contact', require('./routes/contact'));
@@ -171,13 +181,17 @@ app.use('/api/waitlist', require('./routes/waitlist'));
 app.use('/api/wishlist', require('./routes/wishlist'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/migrations', require('./routes/migrations'));
-app.use('/api/webhook', require('./routes/webhook'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/disputes', require('./routes/disputes'));
 app.use('/api/chat', require('./routes/chat'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/users', require('./routes/paymentPreferences'));
 app.use('/api/withdrawals', require('./routes/withdrawals'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/conversions', require('./routes/conversions'));
+app.use('/api/payout-schedules', require('./routes/payoutSchedules'));
 app.use('/api/bank-accounts', require('./routes/bankAccounts'));
+app.use('/api/bank-statements', require('./routes/bankStatements'));
 app.use('/api/app', require('./routes/app'));
 
 
@@ -15,10 +15,15 @@ const {
   sendPaymentFailureEmail,
 } = require('../utils/email');
 const { createNotification } = require('../utils/notifications');
+const { getNextSubscriptionDeadline } = require('../utils/recurrenceHelpers');
+const { recordLateFeeEvent } = require('../utils/lateFeeHelpers');
+
+// Contributions in these statuses were already paid (or paid and then returned) and are never charged again
+const SETTLED_CONTRIBUTION_STATUSES = ['paid', 'confirmed', 'refunded', 'disputed', 'charged_back'];
 
 /**
  * Automatic Payment Processing Service
- * Handles automatic payment collection for birthdays, subscriptions, and general groups
+ * Handles automatic payment collection for birthdays, subscriptions, general and rotating groups
  */
 
 /**
@@ -172,7 +177,7 @@ async function processBirthdayPayments(userId, groupId) {
 
         if (existingContribution.rows.length > 0) {
           const contributionStatus = existingContribution.rows[0].status;
-          if (contributionStatus === 'paid' || contributionStatus === 'confirmed') {
+          if (SETTLED_CONTRIBUTION_STATUSES.includes(contributionStatus)) {
             skippedAlreadyPaid.push({
               userId: member.id,
               name: member.name,
@@ -262,7 +267,7 @@ async function processBirthdayPayments(userId, groupId) {
 
         // Calculate fees
         const provider = member.provider || paymentService.selectProvider(currency, null);
-        const fees = paymentService.calculateFees(contributionAmount, currency, provider, 1);
+        const fees = await paymentService.calculateFees(contributionAmount, currency, provider, { groupType: 'birthday' });
 
         // Get or create contribution record
         let contributionId;
@@ -293,9 +298,7 @@ async function processBirthdayPayments(userId, groupId) {
         });
 
         // Charge payment
-        const customerId = provider === 'stripe' 
-          ? member.stripe_customer_id 
-          : member.paystack_customer_code;
+        const customerId = paymentService.getCustomerId(member, provider);
 
         if (!customerId || !member.payment_method_id) {
           console.log(`Skipping member ${member.id}: No payment method or customer ID`);
@@ -318,6 +321,7 @@ async function processBirthdayPayments(userId, groupId) {
             platformFee: fees.platformFee,
             processorFee: fees.processorFee,
             grossAmount: fees.grossAmount,
+            feeScheduleId: fees.feeScheduleId,
             attemptId,
             retryCount: 0,
           },
@@ -325,7 +329,7 @@ async function processBirthdayPayments(userId, groupId) {
 
         if (chargeResult.success) {
           // Payment will be confirmed via webhook
-          // Webhook will credit wallet and update status
+          // Webhook will credit wallet, post the ledger entry and update status
           processedCount++;
           console.log(`Payment processed successfully for member ${member.id}: ${chargeResult.transactionId}`);
         } else {
@@ -380,7 +384,8 @@ async function processSubscriptionPayments(groupId) {
     // Get group details
     const groupResult = await pool.query(
       `SELECT id, name, contribution_amount, currency, admin_id,
-              subscription_frequency, subscription_deadline_day, subscription_deadline_month
+              subscription_frequency, subscription_deadline_day, subscription_deadline_month,
+              subscription_rrule, subscription_start_date
        FROM groups WHERE id = $1 AND group_type = 'subscription'`,
       [groupId]
     );
@@ -456,32 +461,23 @@ async function processSubscriptionPayments(groupId) {
       };
     }
 
-    // Calculate current subscription period
+    // Next deadline (today or later) and the subscription period it belongs to
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
 
-    let periodStart, periodEnd;
-    if (group.subscription_frequency === 'monthly') {
-      periodStart = new Date(currentYear, currentMonth - 1, 1);
-      periodEnd = new Date(currentYear, currentMonth, 0); // Last day of month
-    } else {
-      // Annual
-      periodStart = new Date(currentYear, 0, 1);
-      periodEnd = new Date(currentYear, 11, 31);
+    const nextDeadline = getNextSubscriptionDeadline(group, today);
+    if (!nextDeadline) {
+      return {
+        processed: 0,
+        skipped_defaulters: [],
+        skipped_already_paid: [],
+        recipient_is_defaulter: false,
+        notifications_sent: false,
+      };
     }
 
-    // Calculate deadline date
-    const deadlineDay = group.subscription_deadline_day;
-    const deadlineMonth = group.subscription_frequency === 'annual' 
-      ? group.subscription_deadline_month 
-      : currentMonth;
-
-    const lastDayOfMonth = new Date(currentYear, deadlineMonth, 0).getDate();
-    const actualDeadlineDay = Math.min(deadlineDay, lastDayOfMonth);
-    const deadlineDate = new Date(currentYear, deadlineMonth - 1, actualDeadlineDay);
-    deadlineDate.setHours(0, 0, 0, 0);
+    const { periodStart, periodEnd } = nextDeadline;
+    const deadlineDate = nextDeadline.deadline;
 
     // Get all active members with auto-pay enabled
     // Exclude only the admin (group creator) - they receive contributions
@@ -538,7 +534,7 @@ async function processSubscriptionPayments(groupId) {
 
         if (existingContribution.rows.length > 0) {
           const contributionStatus = existingContribution.rows[0].status;
-          if (contributionStatus === 'paid' || contributionStatus === 'confirmed') {
+          if (SETTLED_CONTRIBUTION_STATUSES.includes(contributionStatus)) {
             skippedAlreadyPaid.push({
               userId: member.id,
               name: member.name,
@@ -611,7 +607,7 @@ async function processSubscriptionPayments(groupId) {
         }
 
         const provider = member.provider || paymentService.selectProvider(currency, null);
-        const fees = paymentService.calculateFees(contributionAmount, currency, provider, 1);
+        const fees = await paymentService.calculateFees(contributionAmount, currency, provider, { groupType: 'subscription' });
 
         // Get or create contribution record
         let contributionId;
@@ -642,9 +638,7 @@ async function processSubscriptionPayments(groupId) {
         });
 
         // Charge payment
-        const customerId = provider === 'stripe' 
-          ? member.stripe_customer_id 
-          : member.paystack_customer_code;
+        const customerId = paymentService.getCustomerId(member, provider);
 
         if (!customerId || !member.payment_method_id) {
           continue;
@@ -666,6 +660,7 @@ async function processSubscriptionPayments(groupId) {
             platformFee: fees.platformFee,
             processorFee: fees.processorFee,
             grossAmount: fees.grossAmount,
+            feeScheduleId: fees.feeScheduleId,
             attemptId,
             retryCount: 0,
           },
@@ -864,7 +859,7 @@ async function processGeneralPayments(groupId) {
 
         if (existingContribution.rows.length > 0) {
           const contributionStatus = existingContribution.rows[0].status;
-          if (contributionStatus === 'paid' || contributionStatus === 'confirmed') {
+          if (SETTLED_CONTRIBUTION_STATUSES.includes(contributionStatus)) {
             skippedAlreadyPaid.push({
               userId: member.id,
               name: member.name,
@@ -946,7 +941,7 @@ async function processGeneralPayments(groupId) {
         }
 
         const provider = member.provider || paymentService.selectProvider(currency, null);
-        const fees = paymentService.calculateFees(contributionAmount, currency, provider, 1);
+        const fees = await paymentService.calculateFees(contributionAmount, currency, provider, { groupType: 'general' });
 
         // Get or create contribution record
         let contributionId;
@@ -977,9 +972,7 @@ async function processGeneralPayments(groupId) {
         });
 
         // Charge payment
-        const customerId = provider === 'stripe' 
-          ? member.stripe_customer_id 
-          : member.paystack_customer_code;
+        const customerId = paymentService.getCustomerId(member, provider);
 
         if (!customerId || !member.payment_method_id) {
           continue;
@@ -1001,6 +994,7 @@ async function processGeneralPayments(groupId) {
             platformFee: fees.platformFee,
             processorFee: fees.processorFee,
             grossAmount: fees.grossAmount,
+            feeScheduleId: fees.feeScheduleId,
             attemptId,
             retryCount: 0,
           },
@@ -1047,6 +1041,391 @@ async function processGeneralPayments(groupId) {
   }
 }
 
+/**
+ * Process automatic payments for the open cycle of a rotating group
+ * Charges go straight to the cycle recipient's wallet (recipientId in the charge metadata)
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function processRotatingPayments(groupId) {
+  try {
+    console.log(`Processing rotating group payments for group ${groupId}`);
+
+    // Get group details and the open cycle
+    const groupResult = await pool.query(
+      `SELECT g.id, g.name, g.contribution_amount, g.currency,
+              c.id as cycle_id, c.cycle_number, c.recipient_id, c.due_date
+       FROM groups g
+       JOIN rotation_cycles c ON c.group_id = g.id AND c.status = 'open'
+       WHERE g.id = $1 AND g.group_type = 'rotating'
+       ORDER BY c.cycle_number DESC
+       LIMIT 1`,
+      [groupId]
+    );
+
+    if (groupResult.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Rotating group has no open cycle',
+      };
+    }
+
+    const group = groupResult.rows[0];
+    const recipientId = group.recipient_id;
+
+    const deadlineDate = new Date(group.due_date);
+    deadlineDate.setHours(0, 0, 0, 0);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // CRITICAL: Check if the cycle recipient is a defaulter
+    const recipientDefaulterStatus = await checkDefaulterStatus(recipientId);
+    if (recipientDefaulterStatus.hasOverdue) {
+      console.log(`Skipping rotating payments: Recipient ${recipientId} has overdue payments`);
+
+      await createNotification(
+        recipientId,
+        'payment_skipped',
+        'Auto-Pay Skipped - Overdue Payments',
+        'You have overdue payments. Please pay manually to receive contributions.',
+        groupId,
+        null
+      );
+
+      return {
+        skipped: true,
+        recipient_is_defaulter: true,
+        reason: 'Recipient has overdue payments',
+        notifications_sent: true,
+        processed: 0,
+      };
+    }
+
+    // Get all active members with auto-pay enabled, except this cycle's recipient
+    const membersResult = await pool.query(
+      `SELECT 
+        u.id, u.email, u.name, u.stripe_customer_id, u.paystack_customer_code,
+        upp.payment_method_id, upp.payment_timing, upp.provider, upp.id as preference_id
+       FROM users u
+       JOIN user_payment_preferences upp ON u.id = upp.user_id
+       WHERE upp.group_id = $1 AND upp.auto_pay_enabled = TRUE
+       AND EXISTS (
+         SELECT 1 FROM group_members gm
+         WHERE gm.group_id = $1 AND gm.user_id = u.id AND gm.status = 'active'
+       )
+       AND u.id != $2`,
+      [groupId, recipientId]
+    );
+
+    const skippedDefaulters = [];
+    const skippedAlreadyPaid = [];
+    let processedCount = 0;
+
+    for (const member of membersResult.rows) {
+      try {
+        const memberDefaulterStatus = await checkDefaulterStatus(member.id);
+        if (memberDefaulterStatus.hasOverdue) {
+          skippedDefaulters.push({
+            userId: member.id,
+            name: member.name,
+            overdueAmount: memberDefaulterStatus.totalOverdue,
+          });
+
+          await createNotification(
+            member.id,
+            'payment_skipped',
+            'Auto-Pay Skipped - Overdue Payments',
+            'You have overdue payments. Please pay manually first.',
+            groupId,
+            null
+          );
+
+          continue;
+        }
+
+        // Calculate payment timing
+        const paymentDate = member.payment_timing === '1_day_before'
+          ? new Date(deadlineDate.getTime() - 24 * 60 * 60 * 1000)
+          : deadlineDate;
+
+        paymentDate.setHours(0, 0, 0, 0);
+
+        if (paymentDate.getTime() !== today.getTime()) {
+          continue;
+        }
+
+        const existingContribution = await pool.query(
+          `SELECT id, status FROM rotating_contributions
+           WHERE cycle_id = $1 AND contributor_id = $2`,
+          [group.cycle_id, member.id]
+        );
+
+        if (existingContribution.rows.length > 0) {
+          const contributionStatus = existingContribution.rows[0].status;
+          if (SETTLED_CONTRIBUTION_STATUSES.includes(contributionStatus)) {
+            skippedAlreadyPaid.push({
+              userId: member.id,
+              name: member.name,
+              contributionId: existingContribution.rows[0].id,
+            });
+            continue;
+          }
+        }
+
+        const contributionAmount = parseFloat(group.contribution_amount);
+        const currency = group.currency;
+        if (!currency) {
+          console.error(`Group ${groupId} has no currency set`);
+          continue;
+        }
+
+        // Get or create the contribution record (one per member per cycle)
+        const contributionResult = await pool.query(
+          `INSERT INTO rotating_contributions
+           (group_id, cycle_id, contributor_id, amount, contribution_date, status)
+           VALUES ($1, $2, $3, $4, CURRENT_DATE, 'not_paid')
+           ON CONFLICT (cycle_id, contributor_id) DO UPDATE SET amount = EXCLUDED.amount
+           RETURNING id`,
+          [groupId, group.cycle_id, member.id, contributionAmount]
+        );
+        const contributionId = contributionResult.rows[0].id;
+
+        // CRITICAL: Check for pending payment attempts to prevent duplicate charges
+        const pendingAttemptCheck = await pool.query(
+          `SELECT id, status, created_at FROM automatic_payment_attempts
+           WHERE user_id = $1 AND group_id = $2 AND contribution_type = 'rotating'
+           AND contribution_id = $3
+           AND status IN ('pending', 'retry')
+           ORDER BY created_at DESC
+           LIMIT 1`,
+          [member.id, groupId, contributionId]
+        );
+
+        if (pendingAttemptCheck.rows.length > 0) {
+          const attempt = pendingAttemptCheck.rows[0];
+          const attemptAge = Date.now() - new Date(attempt.created_at).getTime();
+          const oneHour = 60 * 60 * 1000;
+
+          if (attemptAge < oneHour) {
+            console.log(`Skipping rotating payment for member ${member.id}: Pending payment attempt exists (attempt ID: ${attempt.id})`);
+            continue;
+          }
+          console.log(`Found old pending attempt (${Math.round(attemptAge / 1000 / 60)} minutes old) for member ${member.id}, proceeding with new attempt`);
+        }
+
+        const provider = member.provider || paymentService.selectProvider(currency, null);
+        const fees = await paymentService.calculateFees(contributionAmount, currency, provider, { groupType: 'rotating' });
+
+        // Record payment attempt
+        const attemptId = await recordPaymentAttempt({
+          userId: member.id,
+          groupId,
+          contributionType: 'rotating',
+          contributionId,
+          amount: contributionAmount,
+          currency,
+          status: 'pending',
+          paymentProvider: provider,
+          retryCount: 0,
+        });
+
+        // Charge payment
+        const customerId = paymentService.getCustomerId(member, provider);
+
+        if (!customerId || !member.payment_method_id) {
+          continue;
+        }
+
+        const chargeResult = await paymentService.chargePaymentMethod({
+          paymentMethodId: member.payment_method_id,
+          amount: fees.grossAmount,
+          currency,
+          customerId,
+          description: `Auto-debit rotation contribution for ${group.name} (cycle ${group.cycle_number})`,
+          metadata: {
+            contributionType: 'rotating',
+            contributionId,
+            groupId,
+            userId: member.id,
+            recipientId,
+            contributionAmount,
+            platformFee: fees.platformFee,
+            processorFee: fees.processorFee,
+            grossAmount: fees.grossAmount,
+            feeScheduleId: fees.feeScheduleId,
+            attemptId,
+            retryCount: 0,
+          },
+        }, provider);
+
+        if (chargeResult.success) {
+          processedCount++;
+          console.log(`Payment processed successfully for member ${member.id}: ${chargeResult.transactionId}`);
+        } else {
+          await handlePaymentFailure({
+            attemptId,
+            memberId: member.id,
+            memberName: member.name,
+            memberEmail: member.email,
+            groupId,
+            groupName: group.name,
+            contributionType: 'rotating',
+            contributionId,
+            amount: contributionAmount,
+            currency,
+            errorMessage: chargeResult.error,
+            retryCount: 0,
+            provider,
+          });
+        }
+      } catch (error) {
+        console.error(`Error processing payment for member ${member.id}:`, error);
+      }
+    }
+
+    return {
+      processed: processedCount,
+      skipped_defaulters: skippedDefaulters,
+      skipped_already_paid: skippedAlreadyPaid,
+      recipient_is_defaulter: false,
+      notifications_sent: skippedDefaulters.length > 0,
+    };
+  } catch (error) {
+    console.error('Error processing rotating payments:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Charge outstanding late fees of a group to members' auto-pay payment methods
+ * Each late fee is charged automatically once; the webhook marks it paid and credits the recipient.
+ * A declined late fee charge stays outstanding and doesn't count against the member's auto-pay.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function processLateFeeCharges(groupId) {
+  try {
+    const groupResult = await pool.query(
+      `SELECT id, name, currency, group_type FROM groups
+       WHERE id = $1 AND late_fee_type IS NOT NULL AND late_fee_auto_charge = TRUE`,
+      [groupId]
+    );
+
+    if (groupResult.rows.length === 0) {
+      return { processed: 0, skipped: true, reason: 'Late fee auto-charge is off' };
+    }
+
+    const group = groupResult.rows[0];
+
+    // Outstanding late fees of members with auto-pay on, never charged automatically before
+    const lateFeesResult = await pool.query(
+      `SELECT lf.*, u.email, u.name, u.stripe_customer_id, u.paystack_customer_code,
+              upp.payment_method_id, upp.provider
+       FROM late_fees lf
+       JOIN users u ON lf.user_id = u.id
+       JOIN user_payment_preferences upp ON upp.user_id = lf.user_id AND upp.group_id = lf.group_id
+       WHERE lf.group_id = $1 AND lf.status = 'outstanding'
+         AND upp.auto_pay_enabled = TRUE
+         AND lf.recipient_id IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM automatic_payment_attempts apa
+           WHERE apa.contribution_type = 'late_fee' AND apa.contribution_id = lf.id
+         )`,
+      [groupId]
+    );
+
+    let processedCount = 0;
+    let failedCount = 0;
+
+    for (const lateFee of lateFeesResult.rows) {
+      try {
+        const amount = parseFloat(lateFee.amount);
+        const currency = lateFee.currency;
+        const provider = lateFee.provider || paymentService.selectProvider(currency, null);
+        const customerId = paymentService.getCustomerId(lateFee, provider);
+
+        if (!customerId || !lateFee.payment_method_id) {
+          console.log(`Skipping late fee ${lateFee.id}: No payment method or customer ID`);
+          continue;
+        }
+
+        const fees = await paymentService.calculateFees(amount, currency, provider, { groupType: group.group_type });
+
+        const attemptId = await recordPaymentAttempt({
+          userId: lateFee.user_id,
+          groupId,
+          contributionType: 'late_fee',
+          contributionId: lateFee.id,
+          amount,
+          currency,
+          status: 'pending',
+          paymentProvider: provider,
+          retryCount: 0,
+        });
+        await recordLateFeeEvent({ lateFeeId: lateFee.id, action: 'charge_started', metadata: { attemptId, provider } });
+
+        const chargeResult = await paymentService.chargePaymentMethod({
+          paymentMethodId: lateFee.payment_method_id,
+          amount: fees.grossAmount,
+          currency,
+          customerId,
+          description: `Late fee for ${group.name}`,
+          metadata: {
+            contributionType: 'late_fee',
+            contributionId: lateFee.id,
+            groupId,
+            userId: lateFee.user_id,
+            recipientId: lateFee.recipient_id,
+            contributionAmount: amount,
+            platformFee: fees.platformFee,
+            processorFee: fees.processorFee,
+            grossAmount: fees.grossAmount,
+            feeScheduleId: fees.feeScheduleId,
+            attemptId,
+            retryCount: 0,
+          },
+        }, provider);
+
+        if (chargeResult.success) {
+          processedCount++;
+        } else {
+          failedCount++;
+          await updatePaymentAttempt(attemptId, {
+            status: 'failed',
+            errorMessage: chargeResult.error,
+          });
+          await logPaymentAction({
+            userId: lateFee.user_id,
+            action: 'late_fee_charge_failed',
+            amount,
+            currency,
+            status: 'failed',
+            paymentProvider: provider,
+            errorMessage: chargeResult.error,
+            metadata: { groupId, lateFeeId: lateFee.id, attemptId },
+          });
+        }
+      } catch (error) {
+        console.error(`Error charging late fee ${lateFee.id}:`, error);
+      }
+    }
+
+    return {
+      processed: processedCount,
+      failed: failedCount,
+    };
+  } catch (error) {
+    console.error('Error processing late fee charges:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Handle payment failure (retry or disable auto-pay)
  * @param {Object} failureData - Failure data
@@ -1138,4 +1517,6 @@ module.exports = {
   processBirthdayPayments,
   processSubscriptionPayments,
   processGeneralPayments,
+  processRotatingPayments,
+  processLateFeeCharges,
 };
@@ -0,0 +1,634 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { formatAmount } = require('../utils/currency');
+const { parseStatement } = require('../utils/bankStatementParsers');
+const contributionService = require('./contributionService');
+
+/**
+ * Bank Statement Service
+ * Recipients of manual contributions import statements of their bank account; each credit is
+ * matched to a contribution awaiting their confirmation:
+ *
+ *   1. by payment reference (GFB…, GFS…, GFG…, GFR… in the narration), if the amount agrees
+ *   2. otherwise by amount, currency and date (contribution marked paid within a few days),
+ *      when exactly one pending contribution fits
+ *
+ * Matches are only proposed; confirming one goes through contributionService.confirm(), like a
+ * confirmation from the app. Credits that matched nothing (or only partly, e.g. the reference is
+ * right but the amount isn't) go to the review queue, where they can be matched by hand or ignored.
+ */
+
+const CONTRIBUTION_TYPE_NAMES = ['birthday', 'subscription', 'general', 'rotating'];
+const MATCH_DATE_WINDOW_DAYS = 5; // Members mark a payment as paid around the day they transfer
+const REFERENCE_PATTERN = /GF[BSGR][-\s]?[A-Z0-9]{8}(?![A-Z0-9])/gi;
+const MAX_IGNORE_NOTE_LENGTH = 500;
+
+class BankStatementService {
+  /**
+   * Get a bank account of a user
+   * @param {string} userId - User ID
+   * @param {string} bankAccountId - wallet_bank_accounts ID
+   * @returns {Promise<Object|null>}
+   */
+  async getBankAccount(userId, bankAccountId) {
+    const result = await pool.query(
+      'SELECT id, currency, bank_name, account_number FROM wallet_bank_accounts WHERE id = $1 AND user_id = $2',
+      [bankAccountId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find payment references in a statement line
+   * @param {Object} line - Parsed line (description, bank_reference, counterparty)
+   * @returns {Array<string>} - Normalized references (no separators, uppercase)
+   */
+  extractReferences(line) {
+    const text = [line.description, line.bank_reference, line.counterparty].filter(Boolean).join(' ');
+    const references = (text.match(REFERENCE_PATTERN) || []).map(reference => reference.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+    return [...new Set(references)];
+  }
+
+  /**
+   * Give each line a fingerprint that is the same in any statement the line appears in
+   * Identical lines (two equal transfers on one day) are told apart by their order.
+   * @param {Array<Object>} lines - Parsed lines
+   * @returns {Array<Object>} - Lines with fingerprint
+   */
+  fingerprintLines(lines) {
+    const seen = new Map();
+    return lines.map((line) => {
+      const base = [line.booking_date, line.amount.toFixed(2), line.currency, line.bank_reference || '', line.description || ''].join('|');
+      const occurrence = (seen.get(base) || 0) + 1;
+      seen.set(base, occurrence);
+      return {
+        ...line,
+        fingerprint: crypto.createHash('sha256').update(`${base}|${occurrence}`).digest('hex'),
+      };
+    });
+  }
+
+  /**
+   * Get the contributions already proposed for or confirmed by a statement line of the user
+   * @param {string} userId - User ID
+   * @returns {Promise<Set<string>>} - 'type:contributionId' keys
+   */
+  async getClaimedContributions(userId) {
+    const result = await pool.query(
+      `SELECT contribution_type, contribution_id FROM bank_statement_lines
+       WHERE user_id = $1 AND status IN ('proposed', 'confirmed') AND contribution_id IS NOT NULL`,
+      [userId]
+    );
+    return new Set(result.rows.map(row => `${row.contribution_type}:${row.contribution_id}`));
+  }
+
+  /**
+   * Find contributions awaiting the user's confirmation that fit a credit's amount and date
+   * @param {string} userId - Recipient
+   * @param {Object} line - Parsed line (amount, currency, booking_date)
+   * @returns {Promise<Array>} - [{ contribution_type, id, contributor_name, group_name }]
+   */
+  async findAmountDateCandidates(userId, line) {
+    const queries = CONTRIBUTION_TYPE_NAMES.map((type) => {
+      const config = contributionService.getType(type);
+      return `SELECT '${type}' as contribution_type, c.id, u.name as contributor_name, g.name as group_name
+              FROM ${config.table} c
+              JOIN groups g ON c.group_id = g.id
+              JOIN users u ON c.contributor_id = u.id
+              ${config.joins}
+              WHERE ${config.recipientColumn} = $1 AND c.status = 'paid'
+                AND g.currency = $2 AND c.amount = $3
+                AND c.contribution_date BETWEEN $4::date - $5::int AND $4::date + $5::int`;
+    });
+
+    const result = await pool.query(queries.join('\nUNION ALL\n'), [
+      userId,
+      line.currency,
+      line.amount,
+      line.booking_date,
+      MATCH_DATE_WINDOW_DAYS,
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Match a credit line to a contribution awaiting the user's confirmation
+   * @param {string} userId - Recipient (owner of the bank account)
+   * @param {Object} line - Parsed line
+   * @param {Set<string>} claimed - Contributions already matched to other lines (updated when this line is proposed)
+   * @returns {Promise<Object>} - { status, match_method, contribution_type, contribution_id, match_note }
+   */
+  async matchLine(userId, line, claimed) {
+    const received = formatAmount(line.amount, line.currency);
+
+    for (const reference of this.extractReferences(line)) {
+      const found = await contributionService.findByPaymentReference(reference);
+      // A reference to someone else's contribution says nothing about this account
+      if (!found || found.contribution.recipient_id !== userId) {
+        continue;
+      }
+
+      const { type, contribution } = found;
+      const key = `${type}:${contribution.id}`;
+      const suggestion = { contribution_type: type, contribution_id: contribution.id, match_method: 'reference' };
+      const expected = formatAmount(contribution.amount, contribution.currency);
+      const owner = `${contribution.contributor_name}'s contribution in ${contribution.group_name}`;
+
+      if (claimed.has(key)) {
+        return { ...suggestion, status: 'unmatched', match_note: `Reference ${reference} is ${owner}, which is already matched to another statement line` };
+      }
+      if (contribution.status !== 'paid') {
+        return { ...suggestion, status: 'unmatched', match_note: `Reference ${reference} is ${owner}, which is ${contribution.status.replace('_', ' ')}` };
+      }
+      if (contribution.currency !== line.currency || Math.abs(parseFloat(contribution.amount) - line.amount) >= 0.005) {
+        return { ...suggestion, status: 'unmatched', match_note: `Reference ${reference} is ${owner} of ${expected}, but ${received} was received` };
+      }
+
+      claimed.add(key);
+      return { ...suggestion, status: 'proposed', match_note: `Matched ${owner} by payment reference ${reference}` };
+    }
+
+    const candidates = (await this.findAmountDateCandidates(userId, line))
+      .filter(candidate => !claimed.has(`${candidate.contribution_type}:${candidate.id}`));
+
+    if (candidates.length === 1) {
+      const [candidate] = candidates;
+      claimed.add(`${candidate.contribution_type}:${candidate.id}`);
+      return {
+        status: 'proposed',
+        match_method: 'amount_date',
+        contribution_type: candidate.contribution_type,
+        contribution_id: candidate.id,
+        match_note: `Matched ${candidate.contributor_name}'s contribution in ${candidate.group_name} by amount and date`,
+      };
+    }
+
+    return {
+      status: 'unmatched',
+      match_method: null,
+      contribution_type: null,
+      contribution_id: null,
+      match_note: candidates.length > 1
+        ? `${candidates.length} pending contributions of ${received} were marked paid around this date`
+        : 'No pending contribution matches this credit',
+    };
+  }
+
+  /**
+   * Import a statement file and propose matches for its credits
+   * @param {Object} statement - Statement data
+   * @param {string} statement.userId - Importing user (owner of the bank account)
+   * @param {string} statement.bankAccountId - wallet_bank_accounts ID
+   * @param {string} statement.text - File contents
+   * @param {string} statement.fileName - Original file name (optional)
+   * @param {string} statement.format - 'csv', 'mt940' or 'camt053' (detected when omitted)
+   * @param {string} statement.dateOrder - 'dmy' (default) or 'mdy' for CSV dates
+   * @returns {Promise<Object>} - { success, statementImport, summary } or { success: false, status, error }
+   */
+  async importStatement({ userId, bankAccountId, text, fileName, format, dateOrder }) {
+    const bankAccount = await this.getBankAccount(userId, bankAccountId);
+    if (!bankAccount) {
+      return { success: false, status: 404, error: 'Bank account not found' };
+    }
+
+    const fileHash = crypto.createHash('sha256').update(text).digest('hex');
+    const previous = await pool.query(
+      'SELECT id, created_at FROM bank_statement_imports WHERE bank_account_id = $1 AND file_hash = $2',
+      [bankAccountId, fileHash]
+    );
+    if (previous.rows.length > 0) {
+      return { success: false, status: 409, error: 'This statement has already been imported', importId: previous.rows[0].id };
+    }
+
+    const parsed = parseStatement(text, { format, currency: bankAccount.currency, dateOrder });
+    if (parsed.error) {
+      return { success: false, status: 400, error: parsed.error };
+    }
+
+    const credits = this.fingerprintLines(parsed.lines.filter(line => line.is_credit && line.currency === bankAccount.currency));
+    const skippedCount = parsed.lines.length - credits.length;
+
+    // Statements overlap (weekly exports of a monthly period); lines seen before are not matched again
+    const existingResult = await pool.query(
+      'SELECT fingerprint FROM bank_statement_lines WHERE bank_account_id = $1 AND fingerprint = ANY($2)',
+      [bankAccountId, credits.map(line => line.fingerprint)]
+    );
+    const existing = new Set(existingResult.rows.map(row => row.fingerprint));
+    const newLines = credits.filter(line => !existing.has(line.fingerprint));
+
+    const claimed = await this.getClaimedContributions(userId);
+    const matches = [];
+    for (const line of newLines) {
+      matches.push(await this.matchLine(userId, line, claimed));
+    }
+
+    const dates = parsed.lines.map(line => line.booking_date).sort();
+
+    let result;
+    try {
+      result = await withTransaction(async (client) => {
+        const importResult = await client.query(
+          `INSERT INTO bank_statement_imports
+           (user_id, bank_account_id, format, file_name, file_hash, currency, period_start, period_end,
+            credit_count, duplicate_count, skipped_count)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING *`,
+          [userId, bankAccountId, parsed.format, fileName || null, fileHash, bankAccount.currency,
+            dates[0], dates[dates.length - 1], credits.length, credits.length - newLines.length, skippedCount]
+        );
+        const statementImport = importResult.rows[0];
+
+        const summary = { proposed: 0, unmatched: 0, duplicates: credits.length - newLines.length };
+        for (let i = 0; i < newLines.length; i++) {
+          const line = newLines[i];
+          const match = matches[i];
+          const insertResult = await client.query(
+            `INSERT INTO bank_statement_lines
+             (import_id, user_id, bank_account_id, line_number, booking_date, amount, currency, description,
+              bank_reference, counterparty, fingerprint, status, match_method, contribution_type, contribution_id, match_note)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+             ON CONFLICT (bank_account_id, fingerprint) DO NOTHING
+             RETURNING id`,
+            [statementImport.id, userId, bankAccountId, line.line_number, line.booking_date, line.amount, line.currency,
+              line.description, line.bank_reference, line.counterparty, line.fingerprint, match.status, match.match_method,
+              match.contribution_type, match.contribution_id, match.match_note]
+          );
+          if (insertResult.rows.length === 0) {
+            summary.duplicates++; // Imported by a concurrent request
+          } else {
+            summary[match.status]++;
+          }
+        }
+
+        return { statementImport, summary };
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return { success: false, status: 409, error: 'This statement has already been imported' };
+      }
+      throw error;
+    }
+
+    return {
+      success: true,
+      statementImport: result.statementImport,
+      summary: {
+        credits: credits.length,
+        proposed: result.summary.proposed,
+        unmatched: result.summary.unmatched,
+        duplicates: result.summary.duplicates,
+        skipped: skippedCount,
+      },
+    };
+  }
+
+  /**
+   * Shape a statement line for API responses
+   * @param {Object} line - bank_statement_lines row
+   * @returns {Object}
+   */
+  formatLine(line) {
+    return {
+      id: line.id,
+      import_id: line.import_id,
+      line_number: line.line_number,
+      booking_date: line.booking_date,
+      amount: parseFloat(line.amount),
+      currency: line.currency,
+      description: line.description,
+      bank_reference: line.bank_reference,
+      counterparty: line.counterparty,
+      status: line.status,
+      match_method: line.match_method,
+      contribution_type: line.contribution_type,
+      contribution_id: line.contribution_id,
+      match_note: line.match_note,
+      reviewed_by: line.reviewed_by,
+      reviewed_at: line.reviewed_at,
+      created_at: line.created_at,
+    };
+  }
+
+  /**
+   * Shape a statement import for API responses
+   * @param {Object} statementImport - bank_statement_imports row (optionally with *_count columns per line status)
+   * @returns {Object}
+   */
+  formatImport(statementImport) {
+    return {
+      id: statementImport.id,
+      bank_account_id: statementImport.bank_account_id,
+      format: statementImport.format,
+      file_name: statementImport.file_name,
+      currency: statementImport.currency,
+      period_start: statementImport.period_start,
+      period_end: statementImport.period_end,
+      credit_count: statementImport.credit_count,
+      duplicate_count: statementImport.duplicate_count,
+      skipped_count: statementImport.skipped_count,
+      proposed_count: statementImport.proposed_count !== undefined ? parseInt(statementImport.proposed_count) : undefined,
+      unmatched_count: statementImport.unmatched_count !== undefined ? parseInt(statementImport.unmatched_count) : undefined,
+      confirmed_count: statementImport.confirmed_count !== undefined ? parseInt(statementImport.confirmed_count) : undefined,
+      ignored_count: statementImport.ignored_count !== undefined ? parseInt(statementImport.ignored_count) : undefined,
+      created_at: statementImport.created_at,
+    };
+  }
+
+  /**
+   * List a user's statement imports with line counts per status
+   * @param {string} userId - User ID
+   * @param {Object} filters - { bankAccountId }
+   * @returns {Promise<Array>}
+   */
+  async listImports(userId, { bankAccountId } = {}) {
+    const params = [userId];
+    let filter = '';
+    if (bankAccountId) {
+      params.push(bankAccountId);
+      filter = ` AND i.bank_account_id = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT i.*,
+              COUNT(l.id) FILTER (WHERE l.status = 'proposed') as proposed_count,
+              COUNT(l.id) FILTER (WHERE l.status = 'unmatched') as unmatched_count,
+              COUNT(l.id) FILTER (WHERE l.status = 'confirmed') as confirmed_count,
+              COUNT(l.id) FILTER (WHERE l.status = 'ignored') as ignored_count
+       FROM bank_statement_imports i
+       LEFT JOIN bank_statement_lines l ON l.import_id = i.id
+       WHERE i.user_id = $1${filter}
+       GROUP BY i.id
+       ORDER BY i.created_at DESC`,
+      params
+    );
+    return result.rows.map(row => this.formatImport(row));
+  }
+
+  /**
+   * Get a user's statement import with its lines
+   * @param {string} userId - User ID
+   * @param {string} importId - Import ID
+   * @param {Object} filters - { status }
+   * @returns {Promise<Object|null>} - { statementImport, lines }
+   */
+  async getImport(userId, importId, { status } = {}) {
+    const importResult = await pool.query(
+      'SELECT * FROM bank_statement_imports WHERE id = $1 AND user_id = $2',
+      [importId, userId]
+    );
+    if (importResult.rows.length === 0) {
+      return null;
+    }
+
+    const params = [importId];
+    let filter = '';
+    if (status) {
+      params.push(status);
+      filter = ` AND status = $${params.length}`;
+    }
+    const linesResult = await pool.query(
+      `SELECT * FROM bank_statement_lines WHERE import_id = $1${filter} ORDER BY line_number`,
+      params
+    );
+
+    return {
+      statementImport: this.formatImport(importResult.rows[0]),
+      lines: linesResult.rows.map(line => this.formatLine(line)),
+    };
+  }
+
+  /**
+   * Get the user's unmatched credits (review queue), oldest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { lines, total }
+   */
+  async getReviewQueue(userId, { limit = 50, offset = 0 } = {}) {
+    const [linesResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM bank_statement_lines
+         WHERE user_id = $1 AND status = 'unmatched'
+         ORDER BY booking_date ASC, line_number ASC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      pool.query(
+        `SELECT COUNT(*) as count FROM bank_statement_lines WHERE user_id = $1 AND status = 'unmatched'`,
+        [userId]
+      ),
+    ]);
+
+    return {
+      lines: linesResult.rows.map(line => this.formatLine(line)),
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Get a statement line of a user
+   * @param {string} userId - User ID
+   * @param {string} lineId - Line ID
+   * @returns {Promise<Object|null>}
+   */
+  async getLine(userId, lineId) {
+    const result = await pool.query('SELECT * FROM bank_statement_lines WHERE id = $1 AND user_id = $2', [lineId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a line if it is still in the status it was read in
+   * @param {Object} line - bank_statement_lines row
+   * @param {Object} fields - Columns to set
+   * @returns {Promise<Object|null>} - Updated row, or null if the line changed in the meantime
+   */
+  async updateLine(line, fields) {
+    const names = Object.keys(fields);
+    const result = await pool.query(
+      `UPDATE bank_statement_lines
+       SET ${names.map((name, index) => `${name} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${names.length + 1} AND status = $${names.length + 2}
+       RETURNING *`,
+      [...Object.values(fields), line.id, line.status]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Confirm the contribution a line is matched to
+   * If the contribution can no longer be confirmed (e.g. it was confirmed or rejected in the app),
+   * the line goes back to the review queue with the reason.
+   * @param {string} userId - User confirming (owner of the statement)
+   * @param {Object} line - bank_statement_lines row with a contribution
+   * @returns {Promise<Object>} - { success, line } or { success: false, status, error, line }
+   */
+  async confirmLine(userId, line) {
+    const result = await contributionService.confirm(line.contribution_type, line.contribution_id, userId, {
+      metadata: {
+        bank_statement_line_id: line.id,
+        match_method: line.match_method,
+        booking_date: line.booking_date,
+        bank_reference: line.bank_reference,
+      },
+    });
+
+    if (!result.success) {
+      const unmatched = await this.updateLine(line, {
+        status: 'unmatched',
+        match_note: `Could not confirm the matched contribution: ${result.error}`,
+      });
+      return { ...result, line: unmatched ? this.formatLine(unmatched) : null };
+    }
+
+    const confirmed = await this.updateLine(line, { status: 'confirmed', reviewed_by: userId, reviewed_at: new Date() });
+    return { success: true, line: this.formatLine(confirmed || { ...line, status: 'confirmed' }) };
+  }
+
+  /**
+   * Confirm the proposed matches of an import
+   * @param {string} userId - User ID
+   * @param {string} importId - Import ID
+   * @param {Array<string>} lineIds - Lines to confirm (all proposed lines when omitted)
+   * @returns {Promise<Object|null>} - { confirmed, failed } or null if the import doesn't exist
+   */
+  async confirmProposed(userId, importId, lineIds) {
+    const loaded = await this.getImport(userId, importId);
+    if (!loaded) {
+      return null;
+    }
+
+    const linesResult = await pool.query(
+      `SELECT * FROM bank_statement_lines
+       WHERE import_id = $1 AND status = 'proposed'${lineIds ? ' AND id = ANY($2)' : ''}
+       ORDER BY line_number`,
+      lineIds ? [importId, lineIds] : [importId]
+    );
+
+    const confirmed = [];
+    const failed = [];
+    for (const line of linesResult.rows) {
+      const result = await this.confirmLine(userId, line);
+      if (result.success) {
+        confirmed.push(result.line);
+      } else {
+        failed.push({ line_id: line.id, error: result.error });
+      }
+    }
+
+    return { confirmed, failed };
+  }
+
+  /**
+   * Match a line by hand to a contribution awaiting the user's confirmation, and confirm it
+   * @param {Object} match - Match data
+   * @param {string} match.userId - User ID
+   * @param {string} match.lineId - Line ID (unmatched or proposed)
+   * @param {string} match.type - Contribution type
+   * @param {string} match.contributionId - Contribution ID
+   * @returns {Promise<Object>} - { success, line } or { success: false, status, error }
+   */
+  async matchManually({ userId, lineId, type, contributionId }) {
+    const line = await this.getLine(userId, lineId);
+    if (!line) {
+      return { success: false, status: 404, error: 'Statement line not found' };
+    }
+    if (!['unmatched', 'proposed'].includes(line.status)) {
+      return { success: false, status: 400, error: `This statement line is already ${line.status}` };
+    }
+
+    const contribution = await contributionService.getContribution(type, contributionId);
+    if (!contribution || contribution.recipient_id !== userId) {
+      return { success: false, status: 404, error: 'Contribution not found or it is not paid to you' };
+    }
+    if (contribution.status !== 'paid') {
+      return { success: false, status: 400, error: 'Only contributions awaiting confirmation can be matched' };
+    }
+    if (contribution.currency !== line.currency) {
+      return { success: false, status: 400, error: `The contribution is in ${contribution.currency}, the statement line in ${line.currency}` };
+    }
+
+    const claimed = await this.getClaimedContributions(userId);
+    if (claimed.has(`${type}:${contributionId}`) && !(line.contribution_type === type && line.contribution_id === contributionId)) {
+      return { success: false, status: 409, error: 'This contribution is already matched to another statement line' };
+    }
+
+    const proposed = await this.updateLine(line, {
+      status: 'proposed',
+      match_method: 'manual',
+      contribution_type: type,
+      contribution_id: contributionId,
+      match_note: `Matched by hand to ${contribution.contributor_name}'s contribution in ${contribution.group_name}`,
+    });
+    if (!proposed) {
+      return { success: false, status: 409, error: 'This statement line was updated in the meantime' };
+    }
+
+    return this.confirmLine(userId, proposed);
+  }
+
+  /**
+   * Turn down a proposed match (the line goes to the review queue)
+   * @param {string} userId - User ID
+   * @param {string} lineId - Line ID
+   * @returns {Promise<Object>} - { success, line } or { success: false, status, error }
+   */
+  async rejectProposal(userId, lineId) {
+    const line = await this.getLine(userId, lineId);
+    if (!line) {
+      return { success: false, status: 404, error: 'Statement line not found' };
+    }
+    if (line.status !== 'proposed') {
+      return { success: false, status: 400, error: 'Only proposed matches can be rejected' };
+    }
+
+    const updated = await this.updateLine(line, {
+      status: 'unmatched',
+      match_method: null,
+      contribution_type: null,
+      contribution_id: null,
+      match_note: 'Proposed match rejected',
+      reviewed_by: userId,
+      reviewed_at: new Date(),
+    });
+    if (!updated) {
+      return { success: false, status: 409, error: 'This statement line was updated in the meantime' };
+    }
+    return { success: true, line: this.formatLine(updated) };
+  }
+
+  /**
+   * Mark a line as not being a contribution (removes it from the review queue)
+   * @param {string} userId - User ID
+   * @param {string} lineId - Line ID
+   * @param {string} note - Why it is ignored (optional)
+   * @returns {Promise<Object>} - { success, line } or { success: false, status, error }
+   */
+  async ignoreLine(userId, lineId, note) {
+    const line = await this.getLine(userId, lineId);
+    if (!line) {
+      return { success: false, status: 404, error: 'Statement line not found' };
+    }
+    if (!['unmatched', 'proposed'].includes(line.status)) {
+      return { success: false, status: 400, error: `This statement line is already ${line.status}` };
+    }
+    if (note && note.length > MAX_IGNORE_NOTE_LENGTH) {
+      return { success: false, status: 400, error: `Note can be at most ${MAX_IGNORE_NOTE_LENGTH} characters` };
+    }
+
+    const updated = await this.updateLine(line, {
+      status: 'ignored',
+      match_method: null,
+      contribution_type: null,
+      contribution_id: null,
+      match_note: note || 'Not a contribution',
+      reviewed_by: userId,
+      reviewed_at: new Date(),
+    });
+    if (!updated) {
+      return { success: false, status: 409, error: 'This statement line was updated in the meantime' };
+    }
+    return { success: true, line: this.formatLine(updated) };
+  }
+}
+
+module.exports = new BankStatementService();
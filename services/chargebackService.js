@@ -0,0 +1,495 @@
+const pool = require('../config/database');
+const contributionService = require('./contributionService');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification, notifyPlatformAdmins } = require('../utils/notifications');
+const { formatAmount, roundAmount } = require('../utils/currency');
+const {
+  holdWalletBalance,
+  releaseHeldBalance,
+  settleHeldBalance,
+  settleWalletCredit,
+  syncLegacyWallet,
+} = require('../utils/walletHelpers');
+const { postChargebackHold, postChargebackRelease, postChargebackLoss } = require('../utils/ledgerHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+
+/**
+ * Chargeback Service
+ * Tracks card payment disputes raised with the provider (not the member disputes of disputeService):
+ *
+ *   open (amount held on the recipient's wallet) → won  (hold released, contribution confirmed again)
+ *                                                → lost (held funds gone, contribution charged_back)
+ *
+ * The hold is the part of the disputed amount that was credited to the recipient; fees kept by
+ * the platform are not taken from them. When the wallet can't cover the hold, the rest is booked
+ * as refund_receivable and is only owed if the dispute is lost. Provider events can arrive in any
+ * order, so every event goes through sync(), which opens the chargeback if it is new and closes it
+ * once the provider reports a final status.
+ */
+
+// Provider dispute statuses that close a chargeback, and with which outcome
+const CLOSED_OUTCOMES = {
+  won: 'won',
+  warning_closed: 'won', // Inquiry closed without becoming a chargeback
+  lost: 'lost',
+};
+
+const EVIDENCE_REMINDER_HOURS = 48; // Remind platform admins this long before evidence is due
+
+class ChargebackService {
+  /**
+   * Shape a chargeback for API responses
+   * @param {Object} chargeback - chargebacks row (with names when listed)
+   * @returns {Object}
+   */
+  formatChargeback(chargeback) {
+    return {
+      ...chargeback,
+      amount: parseFloat(chargeback.amount),
+      hold_amount: parseFloat(chargeback.hold_amount),
+      wallet_amount: parseFloat(chargeback.wallet_amount),
+      shortfall_amount: parseFloat(chargeback.shortfall_amount),
+      evidence_overdue: chargeback.status === 'open' && !chargeback.has_evidence
+        && !!chargeback.evidence_due_by && new Date(chargeback.evidence_due_by) <= new Date(),
+    };
+  }
+
+  /**
+   * Find what a disputed payment paid for, from the wallet credit it produced
+   * @param {string} transactionId - Credit transaction ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object|null>} - { type, id, refundedAmount } or null
+   */
+  async findPaidItem(transactionId, client) {
+    const found = await contributionService.findByTransactionId(transactionId, client);
+    if (found) {
+      return {
+        type: found.type,
+        id: found.contribution.id,
+        refundedAmount: parseFloat(found.contribution.refunded_amount || 0),
+      };
+    }
+
+    const guestResult = await client.query('SELECT id FROM guest_contributions WHERE transaction_id = $1', [transactionId]);
+    if (guestResult.rows.length > 0) {
+      return { type: 'guest', id: guestResult.rows[0].id, refundedAmount: 0 };
+    }
+
+    const lateFeeResult = await client.query('SELECT id FROM late_fees WHERE transaction_id = $1', [transactionId]);
+    if (lateFeeResult.rows.length > 0) {
+      return { type: 'late_fee', id: lateFeeResult.rows[0].id, refundedAmount: 0 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a provider dispute event: open the chargeback if it is new, update it, and close it
+   * once the provider reports a final status
+   * @param {Object} dispute - Provider dispute, normalized by the webhook
+   * @param {string} dispute.provider - Payment provider
+   * @param {string} dispute.providerDisputeId - Provider dispute ID
+   * @param {string} dispute.providerTransactionId - Disputed payment (PaymentIntent ID)
+   * @param {string} dispute.chargeId - Provider charge ID
+   * @param {number} dispute.amount - Disputed amount in main currency unit
+   * @param {string} dispute.currency - Currency code
+   * @param {string} dispute.reason - Dispute reason
+   * @param {string} dispute.providerStatus - Provider dispute status
+   * @param {Date} dispute.evidenceDueBy - Evidence deadline (optional)
+   * @param {boolean} dispute.hasEvidence - Evidence was submitted
+   * @returns {Promise<Object>} - Chargeback row
+   */
+  async sync(dispute) {
+    let chargeback = await this.open(dispute);
+
+    if (chargeback.status === 'open') {
+      const result = await pool.query(
+        `UPDATE chargebacks
+         SET provider_status = $1, evidence_due_by = COALESCE($2, evidence_due_by), has_evidence = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [dispute.providerStatus, dispute.evidenceDueBy || null, !!dispute.hasEvidence, chargeback.id]
+      );
+      chargeback = result.rows[0];
+    }
+
+    const outcome = CLOSED_OUTCOMES[dispute.providerStatus];
+    if (outcome && chargeback.status === 'open') {
+      chargeback = await this.close(chargeback.id, outcome, dispute.providerStatus);
+    }
+
+    return chargeback;
+  }
+
+  /**
+   * Open a chargeback and hold the disputed amount on the recipient's wallet
+   * @param {Object} dispute - Normalized provider dispute (see sync)
+   * @returns {Promise<Object>} - Chargeback row (the existing one if the dispute is already known)
+   */
+  async open(dispute) {
+    const opened = await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO chargebacks
+         (payment_provider, provider_dispute_id, provider_transaction_id, provider_charge_id, provider_status,
+          amount, currency, reason, evidence_due_by, has_evidence)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (provider_dispute_id) DO NOTHING
+         RETURNING *`,
+        [
+          dispute.provider,
+          dispute.providerDisputeId,
+          dispute.providerTransactionId || null,
+          dispute.chargeId || null,
+          dispute.providerStatus,
+          dispute.amount,
+          dispute.currency,
+          dispute.reason || null,
+          dispute.evidenceDueBy || null,
+          !!dispute.hasEvidence,
+        ]
+      );
+      if (insertResult.rows.length === 0) {
+        const existing = await client.query('SELECT * FROM chargebacks WHERE provider_dispute_id = $1', [dispute.providerDisputeId]);
+        return { chargeback: existing.rows[0], created: false };
+      }
+      const chargeback = insertResult.rows[0];
+
+      const creditResult = dispute.providerTransactionId
+        ? await client.query(
+          `SELECT id, user_id, group_id, amount FROM transactions
+           WHERE type = 'credit' AND payment_provider = $1 AND payment_method_id = $2
+           ORDER BY created_at ASC
+           LIMIT 1`,
+          [dispute.provider, dispute.providerTransactionId]
+        )
+        : { rows: [] };
+      const credit = creditResult.rows[0];
+      if (!credit) {
+        // Nothing was credited for this payment (or it can't be matched) - admins look into it
+        return { chargeback, created: true, matched: false };
+      }
+
+      const paidItem = await this.findPaidItem(credit.id, client);
+      const holdAmount = roundAmount(Math.max(0, Math.min(
+        dispute.amount,
+        parseFloat(credit.amount) - (paidItem ? paidItem.refundedAmount : 0)
+      )));
+
+      let walletAmount = 0;
+      let holdTransactionId = null;
+      if (holdAmount > 0) {
+        // A disputed payment that hasn't settled yet is made available first so it can be held
+        await settleWalletCredit(credit.id, client);
+
+        walletAmount = holdAmount;
+        const debitResult = await holdWalletBalance(credit.user_id, dispute.currency, holdAmount, client);
+        if (!debitResult.success) {
+          walletAmount = roundAmount(Math.max(0, Math.min(debitResult.balance, holdAmount)));
+          if (walletAmount > 0) {
+            await holdWalletBalance(credit.user_id, dispute.currency, walletAmount, client);
+          }
+        }
+        await syncLegacyWallet(credit.user_id, dispute.currency, client);
+
+        const ledgerEntry = await postChargebackHold({
+          chargebackId: chargeback.id,
+          recipientId: credit.user_id,
+          amount: holdAmount,
+          shortfall: holdAmount - walletAmount,
+          currency: dispute.currency,
+          providerDisputeId: dispute.providerDisputeId,
+        }, client);
+
+        if (walletAmount > 0) {
+          const holdResult = await client.query(
+            `INSERT INTO transactions
+             (user_id, group_id, type, amount, currency, description, status, reference, journal_entry_id)
+             VALUES ($1, $2, 'chargeback_hold', $3, $4, $5, 'pending', $6, $7)
+             RETURNING id`,
+            [
+              credit.user_id,
+              credit.group_id,
+              walletAmount,
+              dispute.currency,
+              'On hold: card payment disputed by the payer\'s bank',
+              chargeback.id,
+              ledgerEntry.journalEntryId,
+            ]
+          );
+          holdTransactionId = holdResult.rows[0].id;
+        }
+      }
+
+      const updateResult = await client.query(
+        `UPDATE chargebacks
+         SET transaction_id = $1, contribution_type = $2, contribution_id = $3, group_id = $4, recipient_id = $5,
+             hold_amount = $6, wallet_amount = $7, shortfall_amount = $8, hold_transaction_id = $9
+         WHERE id = $10
+         RETURNING *`,
+        [
+          credit.id,
+          paidItem ? paidItem.type : null,
+          paidItem ? paidItem.id : null,
+          credit.group_id,
+          credit.user_id,
+          holdAmount,
+          walletAmount,
+          roundAmount(holdAmount - walletAmount),
+          holdTransactionId,
+          chargeback.id,
+        ]
+      );
+
+      let contributionEvent = null;
+      if (paidItem && contributionService.hasType(paidItem.type)) {
+        contributionEvent = await contributionService.applyStatus({
+          type: paidItem.type,
+          contributionId: paidItem.id,
+          toStatus: 'disputed',
+          source: 'chargeback',
+          metadata: { chargebackId: chargeback.id, providerDisputeId: dispute.providerDisputeId, reason: dispute.reason },
+        }, client);
+      }
+
+      return { chargeback: updateResult.rows[0], created: true, matched: true, contributionEvent };
+    });
+
+    if (!opened.created) {
+      return opened.chargeback;
+    }
+
+    const { chargeback } = opened;
+    if (opened.contributionEvent) {
+      await contributionService.publish(opened.contributionEvent);
+    }
+
+    await logPaymentAction({
+      userId: chargeback.recipient_id,
+      action: 'chargeback_opened',
+      amount: parseFloat(chargeback.amount),
+      currency: chargeback.currency,
+      status: 'pending',
+      paymentProvider: chargeback.payment_provider,
+      providerTransactionId: chargeback.provider_transaction_id,
+      metadata: {
+        chargebackId: chargeback.id,
+        providerDisputeId: chargeback.provider_dispute_id,
+        reason: chargeback.reason,
+        contributionType: chargeback.contribution_type,
+        contributionId: chargeback.contribution_id,
+        holdAmount: parseFloat(chargeback.hold_amount),
+        shortfallAmount: parseFloat(chargeback.shortfall_amount),
+      },
+    });
+
+    await this.announceOpened(chargeback, opened.matched);
+    return chargeback;
+  }
+
+  /**
+   * Close a chargeback: a win releases the hold, a loss makes it final
+   * @param {string} chargebackId - Chargeback ID
+   * @param {string} outcome - 'won' or 'lost'
+   * @param {string} providerStatus - Final provider dispute status
+   * @returns {Promise<Object>} - Chargeback row
+   */
+  async close(chargebackId, outcome, providerStatus) {
+    const closed = await withTransaction(async (client) => {
+      const lockResult = await client.query('SELECT * FROM chargebacks WHERE id = $1 FOR UPDATE', [chargebackId]);
+      const chargeback = lockResult.rows[0];
+      if (!chargeback || chargeback.status !== 'open') {
+        return { chargeback, closedNow: false };
+      }
+
+      const holdAmount = parseFloat(chargeback.hold_amount);
+      const walletAmount = parseFloat(chargeback.wallet_amount);
+      if (holdAmount > 0 && outcome === 'won') {
+        const ledgerEntry = await postChargebackRelease({
+          chargebackId,
+          recipientId: chargeback.recipient_id,
+          amount: holdAmount,
+          shortfall: parseFloat(chargeback.shortfall_amount),
+          currency: chargeback.currency,
+          providerDisputeId: chargeback.provider_dispute_id,
+        }, client);
+        if (!ledgerEntry.duplicate && walletAmount > 0) {
+          await releaseHeldBalance(chargeback.recipient_id, chargeback.currency, walletAmount, client);
+          await syncLegacyWallet(chargeback.recipient_id, chargeback.currency, client);
+        }
+      } else if (holdAmount > 0) {
+        const ledgerEntry = await postChargebackLoss({
+          chargebackId,
+          recipientId: chargeback.recipient_id,
+          amount: holdAmount,
+          currency: chargeback.currency,
+          paymentProvider: chargeback.payment_provider,
+          providerDisputeId: chargeback.provider_dispute_id,
+        }, client);
+        if (!ledgerEntry.duplicate && walletAmount > 0) {
+          await settleHeldBalance(chargeback.recipient_id, chargeback.currency, walletAmount, client);
+        }
+      }
+
+      if (chargeback.hold_transaction_id) {
+        await client.query(
+          'UPDATE transactions SET status = $1 WHERE id = $2',
+          [outcome === 'won' ? 'cancelled' : 'completed', chargeback.hold_transaction_id]
+        );
+      }
+
+      if (outcome === 'lost' && chargeback.provider_transaction_id) {
+        await client.query(
+          `UPDATE automatic_payment_attempts SET status = 'charged_back'
+           WHERE provider_transaction_id = $1 AND status IN ('success', 'partially_refunded')`,
+          [chargeback.provider_transaction_id]
+        );
+      }
+
+      let contributionEvent = null;
+      if (chargeback.contribution_id && contributionService.hasType(chargeback.contribution_type)) {
+        contributionEvent = await contributionService.applyStatus({
+          type: chargeback.contribution_type,
+          contributionId: chargeback.contribution_id,
+          toStatus: outcome === 'won' ? 'confirmed' : 'charged_back',
+          source: 'chargeback',
+          metadata: { chargebackId, providerDisputeId: chargeback.provider_dispute_id, outcome },
+        }, client);
+      }
+
+      const updateResult = await client.query(
+        `UPDATE chargebacks
+         SET status = $1, provider_status = $2, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [outcome, providerStatus, chargebackId]
+      );
+
+      return { chargeback: updateResult.rows[0], closedNow: true, contributionEvent };
+    });
+
+    if (!closed.closedNow) {
+      return closed.chargeback;
+    }
+
+    const { chargeback } = closed;
+    if (closed.contributionEvent) {
+      await contributionService.publish(closed.contributionEvent);
+    }
+
+    await logPaymentAction({
+      userId: chargeback.recipient_id,
+      action: `chargeback_${outcome}`,
+      amount: parseFloat(chargeback.amount),
+      currency: chargeback.currency,
+      status: 'success',
+      paymentProvider: chargeback.payment_provider,
+      providerTransactionId: chargeback.provider_transaction_id,
+      metadata: {
+        chargebackId: chargeback.id,
+        providerDisputeId: chargeback.provider_dispute_id,
+        providerStatus,
+        holdAmount: parseFloat(chargeback.hold_amount),
+        shortfallAmount: parseFloat(chargeback.shortfall_amount),
+      },
+    });
+
+    await this.announceClosed(chargeback);
+    return chargeback;
+  }
+
+  /**
+   * Tell the recipient about the hold and platform admins about the evidence deadline
+   * @param {Object} chargeback - Opened chargeback row
+   * @param {boolean} matched - Whether the payment was matched to a wallet credit
+   */
+  async announceOpened(chargeback, matched) {
+    const disputed = formatAmount(parseFloat(chargeback.amount), chargeback.currency);
+    const deadline = chargeback.evidence_due_by
+      ? ` Evidence is due by ${new Date(chargeback.evidence_due_by).toUTCString()}.`
+      : '';
+
+    if (matched && parseFloat(chargeback.hold_amount) > 0) {
+      await createNotification(
+        chargeback.recipient_id,
+        'chargeback_opened',
+        'Payment Disputed',
+        `A card payment you received was disputed by the payer's bank. ${formatAmount(parseFloat(chargeback.hold_amount), chargeback.currency)} is on hold in your wallet until the dispute is settled.`,
+        chargeback.group_id,
+        null
+      );
+    }
+
+    await notifyPlatformAdmins(
+      'chargeback_opened',
+      matched ? 'New Chargeback' : 'Unmatched Chargeback',
+      matched
+        ? `A ${disputed} ${chargeback.payment_provider} payment was disputed (${chargeback.reason || 'no reason given'}).${deadline}`
+        : `A ${disputed} ${chargeback.payment_provider} payment was disputed but couldn't be matched to a wallet credit (${chargeback.provider_dispute_id}).${deadline}`,
+      chargeback.group_id,
+      chargeback.recipient_id
+    );
+  }
+
+  /**
+   * Tell the recipient and platform admins how a chargeback ended
+   * @param {Object} chargeback - Closed chargeback row
+   */
+  async announceClosed(chargeback) {
+    const held = formatAmount(parseFloat(chargeback.hold_amount), chargeback.currency);
+    const won = chargeback.status === 'won';
+
+    if (chargeback.recipient_id && parseFloat(chargeback.hold_amount) > 0) {
+      const shortfall = parseFloat(chargeback.shortfall_amount);
+      await createNotification(
+        chargeback.recipient_id,
+        `chargeback_${chargeback.status}`,
+        won ? 'Dispute Closed - Funds Released' : 'Dispute Lost',
+        won
+          ? `The dispute on a card payment you received was closed in your favour. ${held} is available in your wallet again.`
+          : `The payer's bank upheld their dispute, so ${held} has been returned to them from your wallet.${shortfall > 0 ? ` ${formatAmount(shortfall, chargeback.currency)} your wallet didn't cover is still owed.` : ''}`,
+        chargeback.group_id,
+        null
+      );
+    }
+
+    await notifyPlatformAdmins(
+      `chargeback_${chargeback.status}`,
+      won ? 'Chargeback Won' : 'Chargeback Lost',
+      `Chargeback ${chargeback.provider_dispute_id} (${formatAmount(parseFloat(chargeback.amount), chargeback.currency)}) was ${chargeback.status}.`,
+      chargeback.group_id,
+      chargeback.recipient_id
+    );
+  }
+
+  /**
+   * Remind platform admins of open chargebacks whose evidence is due soon and not yet submitted
+   * Each chargeback is reminded about once.
+   * @returns {Promise<number>} - Number of chargebacks reminded about
+   */
+  async sendEvidenceReminders() {
+    const result = await pool.query(
+      `UPDATE chargebacks
+       SET evidence_reminder_sent_at = CURRENT_TIMESTAMP
+       WHERE status = 'open' AND has_evidence = false AND evidence_reminder_sent_at IS NULL
+         AND evidence_due_by IS NOT NULL
+         AND evidence_due_by <= CURRENT_TIMESTAMP + ($1 || ' hours')::interval
+       RETURNING *`,
+      [EVIDENCE_REMINDER_HOURS]
+    );
+
+    for (const chargeback of result.rows) {
+      await notifyPlatformAdmins(
+        'chargeback_evidence_due',
+        'Chargeback Evidence Due',
+        `Evidence for chargeback ${chargeback.provider_dispute_id} (${formatAmount(parseFloat(chargeback.amount), chargeback.currency)}) is due by ${new Date(chargeback.evidence_due_by).toUTCString()}.`,
+        chargeback.group_id,
+        chargeback.recipient_id
+      );
+    }
+
+    return result.rows.length;
+  }
+}
+
+module.exports = new ChargebackService();
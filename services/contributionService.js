@@ -0,0 +1,782 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification } = require('../utils/notifications');
+const { formatAmount } = require('../utils/currency');
+const { checkGroupAdminPermissions } = require('../utils/helpers');
+
+/**
+ * Contribution Service
+ * One status flow for the contributions of every group type:
+ *
+ *   not_paid → paid → confirmed → refunded (auto-debit payment fully refunded)
+ *                   │            → disputed (card chargeback) → confirmed (won) / charged_back (lost)
+ *                   → not_received → paid (member pays again)
+ *
+ * Each type keeps its own table; CONTRIBUTION_TYPES describes how the types differ
+ * (who receives the money, who may review a payment, wording of notifications).
+ * Status changes are written to contribution_events in the same transaction and
+ * emitted on `events` ('contribution.paid', 'contribution.confirmed',
+ * 'contribution.not_received', 'contribution.refunded', ...) once committed.
+ *
+ * Manual payments get a payment reference (type prefix + 8 characters, e.g. GFB7K2M9QXA) that
+ * members put in their bank transfer, so bank statement credits can be matched to them.
+ */
+
+// Allowed status changes (auto-debit payments go straight to confirmed)
+const STATUS_TRANSITIONS = {
+  not_paid: ['paid', 'confirmed'],
+  paid: ['paid', 'confirmed', 'not_received'], // paid → paid: member updates the amount or note before review
+  not_received: ['paid', 'confirmed'],
+  confirmed: ['refunded', 'disputed'],
+  refunded: [],
+  disputed: ['confirmed', 'charged_back'],
+  charged_back: [],
+};
+
+// Payment reference characters (no 0/O or 1/I, which are easy to mistype in a narration)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 8;
+
+const CONTRIBUTION_TYPES = {
+  birthday: {
+    table: 'birthday_contributions',
+    referencePrefix: 'GFB',
+    recipientColumn: 'c.birthday_user_id',
+    joins: '',
+    extraColumns: '',
+    reviewers: 'recipient',
+    reviewerFallbackName: 'The celebrant',
+    notificationPrefix: 'contribution',
+    paidTitle: 'Contribution Received',
+    noun: 'contribution',
+    legacyDebitDescription: () => '%Birthday contribution for%',
+    describe: () => '',
+  },
+  subscription: {
+    table: 'subscription_contributions',
+    referencePrefix: 'GFS',
+    recipientColumn: 'g.admin_id',
+    joins: '',
+    extraColumns: '',
+    reviewers: 'admins',
+    reviewerFallbackName: 'The admin',
+    notificationPrefix: 'subscription_contribution',
+    paidTitle: 'Subscription Contribution Received',
+    noun: 'subscription contribution',
+    legacyDebitDescription: () => '%Subscription contribution for%',
+    describe: () => '',
+  },
+  general: {
+    table: 'general_contributions',
+    referencePrefix: 'GFG',
+    recipientColumn: 'g.admin_id',
+    joins: '',
+    extraColumns: '',
+    reviewers: 'admins',
+    reviewerFallbackName: 'The admin',
+    notificationPrefix: 'general_contribution',
+    paidTitle: 'Contribution Received',
+    noun: 'contribution',
+    legacyDebitDescription: () => '%Contribution for%',
+    describe: () => '',
+  },
+  rotating: {
+    table: 'rotating_contributions',
+    referencePrefix: 'GFR',
+    recipientColumn: 'cy.recipient_id',
+    joins: 'JOIN rotation_cycles cy ON c.cycle_id = cy.id',
+    extraColumns: ', cy.cycle_number',
+    reviewers: 'recipient_or_admins',
+    reviewerFallbackName: 'The recipient',
+    notificationPrefix: 'rotating_contribution',
+    paidTitle: 'Rotation Contribution Received',
+    noun: 'contribution',
+    legacyDebitDescription: contribution =>
+      `Rotation contribution for ${contribution.group_name} (cycle ${contribution.cycle_number})`,
+    describe: contribution => ` for cycle ${contribution.cycle_number}`,
+  },
+};
+
+const REVIEW_DENIED = {
+  recipient: () => ({ status: 404, error: 'Contribution not found or you are not the celebrant' }),
+  admins: action => ({ status: 403, error: `Only admins or co-admins can ${action} contributions` }),
+  recipient_or_admins: action => ({ status: 403, error: `Only the cycle recipient, admins or co-admins can ${action} contributions` }),
+};
+
+class ContributionService {
+  constructor() {
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Check if a contribution type is known
+   * @param {string} type - Contribution type
+   * @returns {boolean}
+   */
+  hasType(type) {
+    return Object.prototype.hasOwnProperty.call(CONTRIBUTION_TYPES, type);
+  }
+
+  /**
+   * Get the configuration of a contribution type
+   * @param {string} type - 'birthday', 'subscription', 'general' or 'rotating'
+   * @returns {Object} - Type configuration
+   */
+  getType(type) {
+    if (!this.hasType(type)) {
+      throw new Error(`Unknown contribution type: ${type}`);
+    }
+    return CONTRIBUTION_TYPES[type];
+  }
+
+  /**
+   * Check if a contribution may move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - New status
+   * @returns {boolean}
+   */
+  canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Resolve the amount a member is paying
+   * @param {*} amount - Amount sent by the client (optional)
+   * @param {*} defaultAmount - Group contribution amount, used when no amount is sent
+   * @returns {number|null} - Amount, or null if it is not a positive number
+   */
+  resolveAmount(amount, defaultAmount) {
+    const value = amount !== undefined && amount !== null && amount !== '' ? parseFloat(amount) : parseFloat(defaultAmount);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  /**
+   * Generate a payment reference for a contribution type
+   * @param {string} type - Contribution type
+   * @returns {string} - Reference, e.g. GFB7K2M9QXA
+   */
+  generatePaymentReference(type) {
+    let code = '';
+    for (let i = 0; i < REFERENCE_LENGTH; i++) {
+      code += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+    }
+    return `${this.getType(type).referencePrefix}${code}`;
+  }
+
+  /**
+   * Find the contribution a payment reference belongs to
+   * @param {string} reference - Payment reference (case and separators are ignored)
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object|null>} - { type, contribution } or null if no contribution has it
+   */
+  async findByPaymentReference(reference, client = pool) {
+    const normalized = String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const type = Object.keys(CONTRIBUTION_TYPES).find(key => normalized.startsWith(CONTRIBUTION_TYPES[key].referencePrefix));
+    if (!type) {
+      return null;
+    }
+
+    const result = await client.query(
+      `SELECT id FROM ${CONTRIBUTION_TYPES[type].table} WHERE payment_reference = $1`,
+      [normalized]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const contribution = await this.getContribution(type, result.rows[0].id, client);
+    return contribution ? { type, contribution } : null;
+  }
+
+  /**
+   * Find the contribution a wallet credit transaction paid (auto-debit payments)
+   * @param {string} transactionId - Credit transaction ID
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object|null>} - { type, contribution } or null if no contribution is linked to it
+   */
+  async findByTransactionId(transactionId, client = pool) {
+    for (const type of Object.keys(CONTRIBUTION_TYPES)) {
+      const result = await client.query(
+        `SELECT id FROM ${CONTRIBUTION_TYPES[type].table} WHERE transaction_id = $1`,
+        [transactionId]
+      );
+      if (result.rows.length > 0) {
+        const contribution = await this.getContribution(type, result.rows[0].id, client);
+        return contribution ? { type, contribution } : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a contribution with its group, contributor and recipient
+   * @param {string} type - Contribution type
+   * @param {string} contributionId - Contribution ID
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object|null>} - Contribution row (with group_name, currency, group_status, group_type, contributor_name, recipient_id)
+   */
+  async getContribution(type, contributionId, client = pool) {
+    const config = this.getType(type);
+    const result = await client.query(
+      `SELECT c.*, g.name as group_name, g.currency, g.status as group_status, g.group_type,
+              u.name as contributor_name, ${config.recipientColumn} as recipient_id${config.extraColumns}
+       FROM ${config.table} c
+       JOIN groups g ON c.group_id = g.id
+       JOIN users u ON c.contributor_id = u.id
+       ${config.joins}
+       WHERE c.id = $1`,
+      [contributionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the status of a contribution
+   * @param {string} type - Contribution type
+   * @param {string} contributionId - Contribution ID
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<string|null>} - Status, or null if the contribution does not exist
+   */
+  async getStatus(type, contributionId, client = pool) {
+    const { table } = this.getType(type);
+    const result = await client.query(`SELECT status FROM ${table} WHERE id = $1`, [contributionId]);
+    return result.rows[0]?.status || null;
+  }
+
+  /**
+   * Record a status change in the audit trail
+   * @param {Object} event - { type, contributionId, groupId, actorId, fromStatus, toStatus, source, metadata }
+   * @param {Object} client - Transaction client
+   */
+  async recordEvent({ type, contributionId, groupId, actorId, fromStatus, toStatus, source, metadata }, client) {
+    await client.query(
+      `INSERT INTO contribution_events
+       (contribution_type, contribution_id, group_id, actor_id, from_status, to_status, source, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [type, contributionId, groupId || null, actorId || null, fromStatus || null, toStatus, source, metadata ? JSON.stringify(metadata) : null]
+    );
+  }
+
+  /**
+   * Bring the contribution's debit and credit transactions in line with its status
+   * @param {Object} contribution - { transaction_id, debit_transaction_id, contributor_id, group_id }
+   * @param {Object} fields - { status, amount (optional) }
+   * @param {string} legacyDebitDescription - Debit description (LIKE pattern) for rows without debit_transaction_id
+   * @param {Object} client - Transaction client
+   */
+  async syncTransactions(contribution, { status, amount = null }, legacyDebitDescription, client) {
+    if (!contribution.transaction_id) {
+      return;
+    }
+
+    await client.query(
+      `UPDATE transactions SET status = $1, amount = COALESCE($2, amount) WHERE id = $3`,
+      [status, amount, contribution.transaction_id]
+    );
+
+    if (contribution.debit_transaction_id) {
+      await client.query(
+        `UPDATE transactions SET status = $1, amount = COALESCE($2, amount) WHERE id = $3`,
+        [status, amount, contribution.debit_transaction_id]
+      );
+      return;
+    }
+
+    // Contributions from before debit_transaction_id: the debit was created the same day as the credit
+    await client.query(
+      `UPDATE transactions
+       SET status = $1, amount = COALESCE($2, amount)
+       WHERE user_id = $3 AND group_id = $4 AND type = 'debit'
+         AND description LIKE $5 AND created_at::date = (
+           SELECT created_at::date FROM transactions WHERE id = $6
+         )`,
+      [status, amount, contribution.contributor_id, contribution.group_id, legacyDebitDescription, contribution.transaction_id]
+    );
+  }
+
+  /**
+   * Create or update a member's contribution as paid (or confirmed, when the recipient pays themselves)
+   * Runs inside the caller's transaction; pass the returned event to publish() after commit.
+   * @param {Object} payment - Payment data
+   * @param {string} payment.type - Contribution type
+   * @param {string} payment.groupId - Group ID
+   * @param {string} payment.contributorId - Member paying
+   * @param {string} payment.contributorName - Member name (for descriptions and notifications)
+   * @param {string} payment.recipientId - Member receiving the money
+   * @param {number} payment.amount - Amount
+   * @param {string} payment.currency - Group currency
+   * @param {string} payment.note - Note from the member (optional)
+   * @param {string} payment.status - 'paid' (default) or 'confirmed'
+   * @param {Object} payment.match - Type-specific columns identifying the contribution (e.g. { cycle_id })
+   * @param {Object} payment.values - Type-specific columns to store (e.g. { is_anonymous })
+   * @param {Object} payment.descriptions - { debit, credit } transaction descriptions
+   * @param {Object} payment.context - Extra fields for notifications and listeners (e.g. { cycle_number })
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} - { success, contributionId, paymentReference, event } or { success: false, status, error }
+   */
+  async recordPayment({
+    type,
+    groupId,
+    contributorId,
+    contributorName,
+    recipientId,
+    amount,
+    currency,
+    note,
+    status = 'paid',
+    match = {},
+    values = {},
+    descriptions,
+    context = {},
+  }, client) {
+    const { table } = this.getType(type);
+    const keyColumns = { group_id: groupId, contributor_id: contributorId, ...match };
+    const keyNames = Object.keys(keyColumns);
+
+    const existingResult = await client.query(
+      `SELECT id, status, transaction_id, debit_transaction_id, payment_reference FROM ${table}
+       WHERE ${keyNames.map((column, index) => `${column} = $${index + 1}`).join(' AND ')}
+       FOR UPDATE`,
+      Object.values(keyColumns)
+    );
+    const existing = existingResult.rows[0] || null;
+    const fromStatus = existing ? existing.status : null;
+
+    if (!this.canTransition(fromStatus || 'not_paid', status)) {
+      return {
+        success: false,
+        status: 400,
+        error: fromStatus === 'confirmed'
+          ? 'Your contribution is already confirmed'
+          : `A contribution that is ${fromStatus} can't be marked as ${status}`,
+      };
+    }
+
+    // A payment keeps its reference when it is paid again or corrected
+    const paymentReference = existing?.payment_reference || this.generatePaymentReference(type);
+    const columns = { amount, status, note: note || null, payment_reference: paymentReference, ...values };
+    const columnNames = Object.keys(columns);
+    let contributionId;
+
+    if (existing) {
+      contributionId = existing.id;
+      await client.query(
+        `UPDATE ${table}
+         SET contribution_date = CURRENT_DATE, ${columnNames.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+         WHERE id = $${columnNames.length + 1}`,
+        [...Object.values(columns), contributionId]
+      );
+    } else {
+      const insertColumns = { ...keyColumns, ...columns };
+      const insertNames = Object.keys(insertColumns);
+      const insertResult = await client.query(
+        `INSERT INTO ${table} (${insertNames.join(', ')}, contribution_date)
+         VALUES (${insertNames.map((column, index) => `$${index + 1}`).join(', ')}, CURRENT_DATE)
+         RETURNING id`,
+        Object.values(insertColumns)
+      );
+      contributionId = insertResult.rows[0].id;
+    }
+
+    if (existing && existing.transaction_id) {
+      // Paying again after a rejection (or correcting the amount) reuses the first transactions
+      await this.syncTransactions(
+        { ...existing, contributor_id: contributorId, group_id: groupId },
+        { status, amount },
+        descriptions.debit,
+        client
+      );
+    } else {
+      const debitResult = await client.query(
+        `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
+         VALUES ($1, $2, 'debit', $3, $4, $5, $6)
+         RETURNING id`,
+        [contributorId, groupId, amount, currency, descriptions.debit, status]
+      );
+      const creditResult = await client.query(
+        `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status)
+         VALUES ($1, $2, 'credit', $3, $4, $5, $6)
+         RETURNING id`,
+        [recipientId, groupId, amount, currency, descriptions.credit, status]
+      );
+
+      await client.query(
+        `UPDATE ${table} SET transaction_id = $1, debit_transaction_id = $2 WHERE id = $3`,
+        [creditResult.rows[0].id, debitResult.rows[0].id, contributionId]
+      );
+    }
+
+    await this.recordEvent({
+      type,
+      contributionId,
+      groupId,
+      actorId: contributorId,
+      fromStatus,
+      toStatus: status,
+      source: 'member',
+      metadata: { amount, note: note || null },
+    }, client);
+
+    return {
+      success: true,
+      contributionId,
+      paymentReference,
+      event: {
+        ...context,
+        type,
+        contributionId,
+        groupId,
+        contributorId,
+        contributorName,
+        recipientId,
+        actorId: contributorId,
+        fromStatus,
+        toStatus: status,
+        source: 'member',
+        amount,
+        currency,
+        note: note || null,
+      },
+    };
+  }
+
+  /**
+   * Mark a member's contribution as paid in its own transaction and publish the change
+   * @param {Object} payment - See recordPayment()
+   * @returns {Promise<Object>} - { success, contributionId, paymentReference } or { success: false, status, error }
+   */
+  async markPaid(payment) {
+    const result = await withTransaction(client => this.recordPayment(payment, client));
+    if (result.success) {
+      await this.publish(result.event);
+    }
+    return result;
+  }
+
+  /**
+   * Check if a user may confirm or reject a contribution
+   * @param {Object} config - Type configuration
+   * @param {Object} contribution - Contribution row from getContribution()
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async canReview(config, contribution, userId) {
+    if (config.reviewers !== 'admins' && contribution.recipient_id === userId) {
+      return true;
+    }
+    if (config.reviewers === 'recipient') {
+      return false;
+    }
+    const permissions = await checkGroupAdminPermissions(userId, contribution.group_id, pool);
+    return permissions.isAdminOrCoAdmin;
+  }
+
+  /**
+   * Check if a user may see a contribution's details (the contributor or anyone who may review it)
+   * @param {string} type - Contribution type
+   * @param {Object} contribution - Contribution row from getContribution()
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async canView(type, contribution, userId) {
+    return contribution.contributor_id === userId || this.canReview(this.getType(type), contribution, userId);
+  }
+
+  /**
+   * Confirm a paid contribution or mark it as not received
+   * @param {string} type - Contribution type
+   * @param {string} contributionId - Contribution ID
+   * @param {string} userId - Reviewer
+   * @param {string} toStatus - 'confirmed' or 'not_received'
+   * @param {Object} options - Options
+   * @param {Object} options.metadata - Audit metadata (e.g. the bank statement line that proved the payment)
+   * @returns {Promise<Object>} - { success } or { success: false, status, error }
+   */
+  async review(type, contributionId, userId, toStatus, { metadata } = {}) {
+    const config = this.getType(type);
+    const action = toStatus === 'confirmed' ? 'confirm' : 'reject';
+
+    const contribution = await this.getContribution(type, contributionId);
+    if (!contribution) {
+      return { success: false, status: 404, error: 'Contribution not found' };
+    }
+
+    if (!(await this.canReview(config, contribution, userId))) {
+      return { success: false, ...REVIEW_DENIED[config.reviewers](action) };
+    }
+
+    if (contribution.group_type !== type) {
+      return { success: false, status: 400, error: `This is not a ${type} group contribution` };
+    }
+
+    if (contribution.group_status === 'closed') {
+      return {
+        success: false,
+        status: 400,
+        error: `This group is closed and no longer accepting contribution ${action === 'confirm' ? 'confirmations' : 'rejections'}`,
+      };
+    }
+
+    // Only claimed payments are reviewed; auto-debits confirm themselves
+    if (contribution.status !== 'paid' || !this.canTransition(contribution.status, toStatus)) {
+      return { success: false, status: 400, error: 'Contribution is not in paid status' };
+    }
+
+    const updated = await withTransaction(async (client) => {
+      // Only update if still 'paid', so a repeated request can't apply twice
+      const statusUpdate = await client.query(
+        `UPDATE ${config.table} SET status = $1 WHERE id = $2 AND status = 'paid'`,
+        [toStatus, contributionId]
+      );
+
+      if (statusUpdate.rowCount === 0) {
+        return false;
+      }
+
+      await this.syncTransactions(contribution, { status: toStatus }, config.legacyDebitDescription(contribution), client);
+      await this.recordEvent({
+        type,
+        contributionId,
+        groupId: contribution.group_id,
+        actorId: userId,
+        fromStatus: 'paid',
+        toStatus,
+        source: 'review',
+        metadata,
+      }, client);
+
+      return true;
+    });
+
+    if (!updated) {
+      return { success: false, status: 409, error: 'Contribution is not in paid status' };
+    }
+
+    await this.publish({
+      ...contribution,
+      type,
+      contributionId,
+      groupId: contribution.group_id,
+      contributorId: contribution.contributor_id,
+      contributorName: contribution.contributor_name,
+      recipientId: contribution.recipient_id,
+      actorId: userId,
+      fromStatus: 'paid',
+      toStatus,
+      source: 'review',
+      amount: parseFloat(contribution.amount),
+      currency: contribution.currency,
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Confirm a paid contribution (payment received)
+   * @param {string} type - Contribution type
+   * @param {string} contributionId - Contribution ID
+   * @param {string} userId - Reviewer
+   * @param {Object} options - See review()
+   * @returns {Promise<Object>} - See review()
+   */
+  confirm(type, contributionId, userId, options) {
+    return this.review(type, contributionId, userId, 'confirmed', options);
+  }
+
+  /**
+   * Mark a paid contribution as not received
+   * @param {string} type - Contribution type
+   * @param {string} contributionId - Contribution ID
+   * @param {string} userId - Reviewer
+   * @returns {Promise<Object>} - See review()
+   */
+  reject(type, contributionId, userId) {
+    return this.review(type, contributionId, userId, 'not_received');
+  }
+
+  /**
+   * Confirm a contribution paid by auto-debit and link it to the wallet credit transaction
+   * Runs inside the caller's transaction; pass the returned event to publish() after commit.
+   * @param {Object} payment - Payment data
+   * @param {string} payment.type - Contribution type
+   * @param {string} payment.contributionId - Contribution ID
+   * @param {string} payment.transactionId - Wallet credit transaction ID
+   * @param {string} payment.paymentProvider - Payment provider
+   * @param {string} payment.providerTransactionId - Provider transaction ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object|null>} - Event, or null if the contribution can't be confirmed (missing or already confirmed)
+   */
+  async confirmAutoDebit({ type, contributionId, transactionId, paymentProvider, providerTransactionId }, client) {
+    const { table } = this.getType(type);
+
+    const existingResult = await client.query(
+      `SELECT id, group_id, contributor_id, amount, status FROM ${table} WHERE id = $1 FOR UPDATE`,
+      [contributionId]
+    );
+    const existing = existingResult.rows[0];
+
+    if (!existing || !this.canTransition(existing.status, 'confirmed')) {
+      console.log(`Skipping auto-debit confirmation of ${type} contribution ${contributionId} (status: ${existing?.status || 'missing'})`);
+      return null;
+    }
+
+    await client.query(
+      `UPDATE ${table}
+       SET transaction_id = $1, status = 'confirmed', payment_method = 'auto-debit',
+           payment_provider = $2, provider_transaction_id = $3
+       WHERE id = $4`,
+      [transactionId, paymentProvider, providerTransactionId, contributionId]
+    );
+
+    await this.recordEvent({
+      type,
+      contributionId,
+      groupId: existing.group_id,
+      actorId: null,
+      fromStatus: existing.status,
+      toStatus: 'confirmed',
+      source: 'auto_debit',
+      metadata: { paymentProvider, providerTransactionId },
+    }, client);
+
+    return {
+      type,
+      contributionId,
+      groupId: existing.group_id,
+      contributorId: existing.contributor_id,
+      actorId: null,
+      fromStatus: existing.status,
+      toStatus: 'confirmed',
+      source: 'auto_debit',
+      amount: parseFloat(existing.amount),
+    };
+  }
+
+  /**
+   * Move a contribution to a new status on behalf of another workflow (e.g. a dispute outcome)
+   * Runs inside the caller's transaction; pass the returned event to publish() after commit.
+   * Notifications are left to the calling workflow.
+   * @param {Object} change - Status change
+   * @param {string} change.type - Contribution type
+   * @param {string} change.contributionId - Contribution ID
+   * @param {string} change.toStatus - New status
+   * @param {string} change.actorId - User making the change (optional)
+   * @param {string} change.source - Audit source ('dispute', 'refund', 'chargeback')
+   * @param {Object} change.metadata - Audit metadata (optional)
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object|null>} - Event, or null if the contribution is missing or can't move to toStatus
+   */
+  async applyStatus({ type, contributionId, toStatus, actorId = null, source, metadata }, client) {
+    const config = this.getType(type);
+    const contribution = await this.getContribution(type, contributionId, client);
+    if (!contribution || !this.canTransition(contribution.status, toStatus)) {
+      return null;
+    }
+
+    // Only from the status just read, so a concurrent change isn't overwritten
+    const statusUpdate = await client.query(
+      `UPDATE ${config.table} SET status = $1 WHERE id = $2 AND status = $3`,
+      [toStatus, contributionId, contribution.status]
+    );
+    if (statusUpdate.rowCount === 0) {
+      return null;
+    }
+
+    await this.syncTransactions(contribution, { status: toStatus }, config.legacyDebitDescription(contribution), client);
+    await this.recordEvent({
+      type,
+      contributionId,
+      groupId: contribution.group_id,
+      actorId,
+      fromStatus: contribution.status,
+      toStatus,
+      source,
+      metadata,
+    }, client);
+
+    return {
+      ...contribution,
+      type,
+      contributionId,
+      groupId: contribution.group_id,
+      contributorId: contribution.contributor_id,
+      contributorName: contribution.contributor_name,
+      recipientId: contribution.recipient_id,
+      actorId,
+      fromStatus: contribution.status,
+      toStatus,
+      source,
+      amount: parseFloat(contribution.amount),
+      currency: contribution.currency,
+    };
+  }
+
+  /**
+   * Notify the other side of a committed status change and emit it to listeners
+   * Never throws - the change is already saved.
+   * @param {Object} event - Event returned by recordPayment(), review(), confirmAutoDebit() or applyStatus()
+   */
+  async publish(event) {
+    const config = this.getType(event.type);
+    const currency = event.currency || 'NGN'; // Fallback for display only
+    const detail = config.describe(event);
+
+    try {
+      if (event.source === 'member' && event.toStatus === 'paid' && event.recipientId !== event.contributorId) {
+        await createNotification(
+          event.recipientId,
+          `${config.notificationPrefix}_paid`,
+          config.paidTitle,
+          `${event.contributorName} marked their ${config.noun} of ${formatAmount(event.amount, currency)}${detail} as paid${event.note ? `: ${event.note}` : ''}`,
+          event.groupId,
+          event.contributorId
+        );
+      } else if (event.source === 'review') {
+        const reviewerResult = await pool.query('SELECT name FROM users WHERE id = $1', [event.actorId]);
+        const reviewerName = reviewerResult.rows[0]?.name || config.reviewerFallbackName;
+        const confirmed = event.toStatus === 'confirmed';
+
+        await createNotification(
+          event.contributorId,
+          `${config.notificationPrefix}_${event.toStatus}`,
+          confirmed ? 'Payment Confirmed' : 'Payment Not Received',
+          confirmed
+            ? `${reviewerName} confirmed your payment of ${formatAmount(event.amount, currency)}${detail}. Thank you!`
+            : `${reviewerName} marked your payment${detail} as not received. Please check that you've paid correctly or try again.`,
+          event.groupId,
+          event.actorId
+        );
+      }
+    } catch (error) {
+      console.error(`Error notifying about ${event.type} contribution ${event.contributionId}:`, error);
+    }
+
+    try {
+      this.events.emit(`contribution.${event.toStatus}`, event);
+    } catch (error) {
+      console.error(`Error in contribution.${event.toStatus} listener:`, error);
+    }
+  }
+}
+
+const contributionService = new ContributionService();
+
+// Confirmed general contributions count towards the fundraising target; refunds and chargebacks
+// take them back out of it
+for (const status of ['confirmed', 'refunded', 'disputed', 'charged_back']) {
+  contributionService.events.on(`contribution.${status}`, async (event) => {
+    if (event.type !== 'general') {
+      return;
+    }
+    try {
+      const { checkFundraisingMilestones } = require('../utils/fundraisingHelpers');
+      await checkFundraisingMilestones(event.groupId);
+    } catch (error) {
+      console.error('Error checking fundraising milestones:', error);
+    }
+  });
+}
+
+module.exports = contributionService;
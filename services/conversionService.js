@@ -0,0 +1,363 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification } = require('../utils/notifications');
+const { formatAmount, CURRENCIES, roundAmount } = require('../utils/currency');
+const {
+  lockWalletBalance,
+  debitWalletBalance,
+  creditWalletBalance,
+  syncLegacyWallet,
+} = require('../utils/walletHelpers');
+const { postCurrencyConversion } = require('../utils/ledgerHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+const { getRateSource, DEFAULT_SOURCE } = require('./exchangeRates');
+const feeScheduleService = require('./feeScheduleService');
+
+/**
+ * Conversion Service
+ * Converts part of a user's available wallet balance from one currency into another:
+ *
+ *   quote (rate + fee fixed, expires) --accept--> from-currency balance (debit) --> to-currency balance (credit)
+ *
+ * The fee (the 'conversion' fee schedule for the from-currency) is taken in the from-currency
+ * before converting, so
+ *   to_amount = (from_amount - fee) x rate, rounded down to the cent
+ * Rates come from the configured exchange rate source (services/exchangeRates). A quote can be
+ * accepted once, before expires_at; after that the user has to ask for a new one at the current rate.
+ */
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.CONVERSION_QUOTE_TTL_SECONDS || '60', 10);
+
+class ConversionService {
+  /**
+   * Check that both currencies can be held in a wallet and differ
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @returns {string|null} - Error message, or null when the pair is valid
+   */
+  validatePair(fromCurrency, toCurrency) {
+    if (!CURRENCIES[fromCurrency] || !CURRENCIES[toCurrency]) {
+      return `Supported currencies are ${Object.keys(CURRENCIES).join(', ')}`;
+    }
+    if (fromCurrency === toCurrency) {
+      return 'Choose two different currencies';
+    }
+    return null;
+  }
+
+  /**
+   * Current rate for a currency pair from the configured source
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @returns {Promise<Object>} - { success, rate, source, asOf, feePercent } or { success: false, status, error }
+   */
+  async getRate(fromCurrency, toCurrency) {
+    const pairError = this.validatePair(fromCurrency, toCurrency);
+    if (pairError) {
+      return { success: false, status: 400, error: pairError };
+    }
+
+    const source = getRateSource();
+    if (!source) {
+      console.error(`Exchange rate source ${process.env.EXCHANGE_RATE_SOURCE || DEFAULT_SOURCE} is not available`);
+      return { success: false, status: 503, error: 'Exchange rates are unavailable right now. Please try again shortly.' };
+    }
+
+    try {
+      const { rate, asOf } = await source.getRate(fromCurrency, toCurrency);
+      const { feePercent } = await feeScheduleService.calculateWalletFee('conversion', 0, fromCurrency);
+      return {
+        success: true,
+        rate,
+        source: source.name,
+        asOf,
+        feePercent,
+      };
+    } catch (error) {
+      console.error(`Exchange rate error (${source.name} ${fromCurrency}/${toCurrency}):`, error.message);
+      return { success: false, status: 503, error: 'Exchange rates are unavailable right now. Please try again shortly.' };
+    }
+  }
+
+  /**
+   * Shape a conversion for API responses
+   * @param {Object} conversion - currency_conversions row
+   * @returns {Object}
+   */
+  formatConversion(conversion) {
+    return {
+      id: conversion.id,
+      status: conversion.status,
+      from_currency: conversion.from_currency,
+      to_currency: conversion.to_currency,
+      from_amount: parseFloat(conversion.from_amount),
+      fee: parseFloat(conversion.fee),
+      to_amount: parseFloat(conversion.to_amount),
+      rate: parseFloat(conversion.rate),
+      rate_source: conversion.rate_source,
+      expires_at: conversion.expires_at,
+      created_at: conversion.created_at,
+      completed_at: conversion.completed_at,
+    };
+  }
+
+  /**
+   * Quote a conversion (rate and fee are held until the quote expires)
+   * @param {Object} quoteData - Quote data
+   * @param {string} quoteData.userId - User ID
+   * @param {string} quoteData.fromCurrency - Currency converted from
+   * @param {string} quoteData.toCurrency - Currency converted to
+   * @param {number} quoteData.amount - Amount taken from the from-currency balance, fee included
+   * @returns {Promise<Object>} - { success, quote } or { success: false, status, error }
+   */
+  async createQuote({ userId, fromCurrency, toCurrency, amount }) {
+    const fromAmount = roundAmount(Number(amount));
+    if (!Number.isFinite(fromAmount) || fromAmount <= 0) {
+      return { success: false, status: 400, error: 'Amount must be greater than 0' };
+    }
+
+    const rateResult = await this.getRate(fromCurrency, toCurrency);
+    if (!rateResult.success) {
+      return rateResult;
+    }
+
+    const conversionFee = await feeScheduleService.calculateWalletFee('conversion', fromAmount, fromCurrency);
+    const { fee } = conversionFee;
+    // Round down so the platform never credits more than the rate covers
+    const toAmount = Math.floor(roundAmount((fromAmount - fee) * rateResult.rate) * 100) / 100;
+    if (toAmount <= 0) {
+      return { success: false, status: 400, error: `Amount is too small to convert to ${toCurrency}` };
+    }
+
+    // Early check only - the balance is checked again under a row lock when the quote is accepted
+    const balanceResult = await pool.query(
+      'SELECT balance FROM wallet_balances WHERE user_id = $1 AND currency = $2',
+      [userId, fromCurrency]
+    );
+    const available = balanceResult.rows.length > 0 ? parseFloat(balanceResult.rows[0].balance) : 0;
+    if (available < fromAmount) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Insufficient balance',
+        currentBalance: available,
+        requested: fromAmount,
+      };
+    }
+
+    const result = await pool.query(
+      `INSERT INTO currency_conversions
+       (user_id, from_currency, to_currency, from_amount, fee, to_amount, rate, rate_source, rate_as_of, expires_at,
+        fee_schedule_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP + $10 * INTERVAL '1 second', $11)
+       RETURNING *`,
+      [
+        userId,
+        fromCurrency,
+        toCurrency,
+        fromAmount,
+        fee,
+        toAmount,
+        rateResult.rate,
+        rateResult.source,
+        rateResult.asOf || null,
+        QUOTE_TTL_SECONDS,
+        conversionFee.feeScheduleId,
+      ]
+    );
+
+    return {
+      success: true,
+      quote: {
+        ...this.formatConversion(result.rows[0]),
+        fee_percent: conversionFee.feePercent,
+        expires_in: QUOTE_TTL_SECONDS,
+      },
+    };
+  }
+
+  /**
+   * Accept a quote: move the money between the user's currency balances
+   * @param {Object} acceptData - Accept data
+   * @param {string} acceptData.userId - User ID
+   * @param {string} acceptData.quoteId - Quote (currency_conversions) ID
+   * @returns {Promise<Object>} - { success, conversion, balances } or { success: false, status, error }
+   */
+  async executeQuote({ userId, quoteId }) {
+    const result = await withTransaction(async (client) => {
+      const quoteResult = await client.query(
+        `SELECT *, expires_at <= CURRENT_TIMESTAMP AS is_expired
+         FROM currency_conversions
+         WHERE id = $1 AND user_id = $2
+         FOR UPDATE`,
+        [quoteId, userId]
+      );
+      if (quoteResult.rows.length === 0) {
+        return { success: false, status: 404, error: 'Quote not found' };
+      }
+
+      const quote = quoteResult.rows[0];
+      if (quote.status === 'completed') {
+        return { success: false, status: 409, error: 'This quote has already been used' };
+      }
+      if (quote.status === 'expired' || quote.is_expired) {
+        if (quote.status !== 'expired') {
+          await client.query(
+            `UPDATE currency_conversions SET status = 'expired' WHERE id = $1`,
+            [quote.id]
+          );
+        }
+        return { success: false, status: 410, error: 'This quote has expired. Please request a new quote.' };
+      }
+
+      const fromAmount = parseFloat(quote.from_amount);
+      const toAmount = parseFloat(quote.to_amount);
+
+      // Lock both currency rows in a fixed order so opposite conversions can't deadlock
+      for (const currency of [quote.from_currency, quote.to_currency].sort()) {
+        await lockWalletBalance(userId, currency, client);
+      }
+
+      const debitResult = await debitWalletBalance(userId, quote.from_currency, fromAmount, client);
+      if (!debitResult.success) {
+        return {
+          success: false,
+          status: 400,
+          error: 'Insufficient balance',
+          currentBalance: debitResult.balance,
+          requested: fromAmount,
+        };
+      }
+      const toBalance = await creditWalletBalance(userId, quote.to_currency, toAmount, client);
+      await syncLegacyWallet(userId, quote.from_currency, client);
+      await syncLegacyWallet(userId, quote.to_currency, client);
+
+      const { outEntry, inEntry } = await postCurrencyConversion({
+        conversionId: quote.id,
+        userId,
+        fromCurrency: quote.from_currency,
+        toCurrency: quote.to_currency,
+        fromAmount,
+        fee: parseFloat(quote.fee),
+        toAmount,
+        rate: parseFloat(quote.rate),
+      }, client);
+
+      const fromTransaction = await client.query(
+        `INSERT INTO transactions
+         (user_id, type, amount, currency, description, status, reference, journal_entry_id, platform_fee, fee_schedule_id)
+         VALUES ($1, 'conversion_out', $2, $3, $4, 'completed', $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          userId,
+          fromAmount,
+          quote.from_currency,
+          `Converted to ${quote.to_currency}`,
+          quote.id,
+          outEntry.journalEntryId,
+          parseFloat(quote.fee),
+          quote.fee_schedule_id,
+        ]
+      );
+      const toTransaction = await client.query(
+        `INSERT INTO transactions (user_id, type, amount, currency, description, status, reference, journal_entry_id)
+         VALUES ($1, 'conversion_in', $2, $3, $4, 'completed', $5, $6)
+         RETURNING id`,
+        [userId, toAmount, quote.to_currency, `Converted from ${quote.from_currency}`, quote.id, inEntry.journalEntryId]
+      );
+
+      const updated = await client.query(
+        `UPDATE currency_conversions
+         SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+             from_transaction_id = $1, to_transaction_id = $2
+         WHERE id = $3
+         RETURNING *`,
+        [fromTransaction.rows[0].id, toTransaction.rows[0].id, quote.id]
+      );
+
+      return {
+        success: true,
+        conversion: updated.rows[0],
+        balances: [
+          { currency: quote.from_currency, balance: debitResult.balance },
+          { currency: quote.to_currency, balance: toBalance },
+        ],
+      };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    const { conversion } = result;
+
+    await logPaymentAction({
+      userId,
+      action: 'currency_conversion',
+      amount: parseFloat(conversion.from_amount),
+      currency: conversion.from_currency,
+      status: 'completed',
+      metadata: {
+        conversionId: conversion.id,
+        toCurrency: conversion.to_currency,
+        toAmount: parseFloat(conversion.to_amount),
+        fee: parseFloat(conversion.fee),
+        rate: parseFloat(conversion.rate),
+        rateSource: conversion.rate_source,
+      },
+    });
+
+    try {
+      await createNotification(
+        userId,
+        'currency_conversion',
+        'Conversion Complete',
+        `You converted ${formatAmount(conversion.from_amount, conversion.from_currency)} to ${formatAmount(conversion.to_amount, conversion.to_currency)}.`,
+        null,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating currency conversion notification:', notificationError);
+    }
+
+    return {
+      success: true,
+      conversion: this.formatConversion(conversion),
+      balances: result.balances,
+    };
+  }
+
+  /**
+   * A user's completed conversions, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { currency (either side), limit, offset }
+   * @returns {Promise<Object>} - { conversions, total }
+   */
+  async listConversions(userId, { currency, limit = 50, offset = 0 } = {}) {
+    const conditions = ['user_id = $1', `status = 'completed'`];
+    const params = [userId];
+    if (currency) {
+      params.push(currency);
+      conditions.push(`(from_currency = $${params.length} OR to_currency = $${params.length})`);
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM currency_conversions WHERE ${where}`, params);
+
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT * FROM currency_conversions
+       WHERE ${where}
+       ORDER BY completed_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return {
+      conversions: result.rows.map(row => this.formatConversion(row)),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  }
+}
+
+module.exports = new ConversionService();
@@ -0,0 +1,581 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification } = require('../utils/notifications');
+const { formatAmount } = require('../utils/currency');
+const contributionService = require('./contributionService');
+
+/**
+ * Dispute Service
+ * A contributor whose payment was marked not_received can dispute it:
+ *
+ *   open ──(recipient/admin accepts)──────────────→ resolved_confirmed
+ *     │ ──(recipient/admin contests)→ contested ──(member escalates)→ escalated ──(platform admin)→ resolved_*
+ *     │                                  └──(escalation deadline passes)→ resolved_rejected
+ *     └──(response deadline passes)────────────────────────────────────→ escalated
+ *
+ * The member can withdraw while the dispute is open or contested. resolved_confirmed moves the
+ * contribution to confirmed; every other outcome leaves it not_received.
+ */
+
+const ACTIVE_DISPUTE_STATUSES = ['open', 'contested', 'escalated'];
+
+const DISPUTE_TRANSITIONS = {
+  open: ['contested', 'escalated', 'resolved_confirmed', 'resolved_rejected', 'withdrawn'],
+  contested: ['escalated', 'resolved_confirmed', 'resolved_rejected', 'withdrawn'],
+  escalated: ['resolved_confirmed', 'resolved_rejected'],
+  resolved_confirmed: [],
+  resolved_rejected: [],
+  withdrawn: [],
+};
+
+const RESPONSE_DEADLINE_DAYS = 3; // Recipient/admin has this long to respond
+const ESCALATION_DEADLINE_DAYS = 3; // Member has this long to escalate a contested dispute
+const MAX_STATEMENT_LENGTH = 2000;
+
+class DisputeService {
+  /**
+   * Check if a dispute may move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - New status
+   * @returns {boolean}
+   */
+  canTransition(fromStatus, toStatus) {
+    return (DISPUTE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Validate a statement or response text
+   * @param {*} text - Text sent by the client
+   * @param {string} label - Field name for the error message
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateText(text, label) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return `${label} is required`;
+    }
+    if (text.trim().length > MAX_STATEMENT_LENGTH) {
+      return `${label} can be at most ${MAX_STATEMENT_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Get a dispute with its contribution
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object|null>} - { dispute, contribution }
+   */
+  async getDispute(disputeId, client = pool) {
+    const result = await client.query('SELECT * FROM contribution_disputes WHERE id = $1', [disputeId]);
+    const dispute = result.rows[0];
+    if (!dispute) {
+      return null;
+    }
+
+    const contribution = await contributionService.getContribution(dispute.contribution_type, dispute.contribution_id, client);
+    return { dispute, contribution };
+  }
+
+  /**
+   * Check if a user may see a dispute (the contributor or anyone who may review the contribution)
+   * @param {Object} dispute - Dispute row
+   * @param {Object} contribution - Contribution row from getContribution()
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async canView(dispute, contribution, userId) {
+    if (dispute.opened_by === userId) {
+      return true;
+    }
+    if (!contribution) {
+      return false;
+    }
+    return contributionService.canReview(contributionService.getType(dispute.contribution_type), contribution, userId);
+  }
+
+  /**
+   * Shape a dispute for API responses
+   * @param {Object} dispute - Dispute row
+   * @param {Object} contribution - Contribution row from getContribution() (null if it was deleted)
+   * @param {Array} receipts - Formatted receipts of the contribution (the member's evidence)
+   * @returns {Object}
+   */
+  formatDispute(dispute, contribution, receipts = []) {
+    return {
+      ...dispute,
+      contribution: contribution
+        ? {
+          id: contribution.id,
+          type: dispute.contribution_type,
+          status: contribution.status,
+          amount: parseFloat(contribution.amount),
+          currency: contribution.currency,
+          note: contribution.note,
+          contribution_date: contribution.contribution_date,
+          group_id: contribution.group_id,
+          group_name: contribution.group_name,
+          contributor_id: contribution.contributor_id,
+          contributor_name: contribution.contributor_name,
+          recipient_id: contribution.recipient_id,
+        }
+        : null,
+      receipts,
+    };
+  }
+
+  /**
+   * List the disputes a user opened or has to respond to
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} - Dispute rows with group_name, currency, amount, opened_by_name and my_role ('member' or 'reviewer')
+   */
+  async listForUser(userId, { status } = {}) {
+    const params = [userId];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = 'AND d.status = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT d.*, g.name as group_name, g.currency, u.name as opened_by_name,
+              COALESCE(bc.amount, sc.amount, gc.amount, rc.amount) as amount,
+              CASE WHEN d.opened_by = $1 THEN 'member' ELSE 'reviewer' END as my_role
+       FROM contribution_disputes d
+       JOIN groups g ON d.group_id = g.id
+       LEFT JOIN users u ON d.opened_by = u.id
+       LEFT JOIN birthday_contributions bc ON d.contribution_type = 'birthday' AND bc.id = d.contribution_id
+       LEFT JOIN subscription_contributions sc ON d.contribution_type = 'subscription' AND sc.id = d.contribution_id
+       LEFT JOIN general_contributions gc ON d.contribution_type = 'general' AND gc.id = d.contribution_id
+       LEFT JOIN rotating_contributions rc ON d.contribution_type = 'rotating' AND rc.id = d.contribution_id
+       LEFT JOIN rotation_cycles cy ON rc.cycle_id = cy.id
+       WHERE (
+         d.opened_by = $1
+         OR bc.birthday_user_id = $1
+         OR cy.recipient_id = $1
+         OR (d.contribution_type != 'birthday' AND EXISTS (
+           SELECT 1 FROM group_members gm
+           WHERE gm.group_id = d.group_id AND gm.user_id = $1 AND gm.status = 'active' AND gm.role IN ('admin', 'co-admin')
+         ))
+       ) ${statusFilter}
+       ORDER BY d.created_at DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Move a dispute to a new status if it is still in the status it was read with
+   * @param {Object} dispute - Dispute row
+   * @param {string} toStatus - New status
+   * @param {Object} fields - Other columns to set (values are bound as parameters)
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object|null>} - Updated row, or null if the dispute changed in the meantime
+   */
+  async transition(dispute, toStatus, fields, client) {
+    if (!this.canTransition(dispute.status, toStatus)) {
+      return null;
+    }
+
+    const columns = Object.keys(fields);
+    const values = Object.values(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await client.query(
+      `UPDATE contribution_disputes
+       SET status = $1, updated_at = CURRENT_TIMESTAMP${assignments.length > 0 ? `, ${assignments.join(', ')}` : ''}
+       WHERE id = $${columns.length + 2} AND status = $${columns.length + 3}
+       RETURNING *`,
+      [toStatus, ...values, dispute.id, dispute.status]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Close a dispute with an outcome, confirming the contribution when the member is right
+   * @param {Object} dispute - Dispute row
+   * @param {string} outcome - 'confirmed' or 'rejected'
+   * @param {Object} resolution - { resolvedBy, notes, fields }
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object|null>} - { dispute, contributionEvent }, or null if the dispute changed in the meantime
+   */
+  async close(dispute, outcome, { resolvedBy = null, notes = null, fields = {} }, client) {
+    const updated = await this.transition(dispute, `resolved_${outcome}`, {
+      ...fields,
+      resolved_by: resolvedBy,
+      resolved_at: new Date(),
+      resolution_notes: notes,
+    }, client);
+    if (!updated) {
+      return null;
+    }
+
+    let contributionEvent = null;
+    if (outcome === 'confirmed') {
+      contributionEvent = await contributionService.applyStatus({
+        type: dispute.contribution_type,
+        contributionId: dispute.contribution_id,
+        toStatus: 'confirmed',
+        actorId: resolvedBy,
+        source: 'dispute',
+        metadata: { disputeId: dispute.id },
+      }, client);
+    }
+
+    return { dispute: updated, contributionEvent };
+  }
+
+  /**
+   * Send an in-app notification about a dispute (never throws)
+   */
+  async notify(userId, type, title, message, contribution, relatedUserId = null) {
+    if (!userId) {
+      return;
+    }
+    try {
+      await createNotification(userId, type, title, message, contribution.group_id, relatedUserId);
+    } catch (error) {
+      console.error(`Error sending ${type} notification:`, error);
+    }
+  }
+
+  /**
+   * Describe the disputed payment for notifications
+   * @param {Object} contribution - Contribution row
+   * @returns {string} - e.g. "₦5,000.00 payment in Office Fund"
+   */
+  describePayment(contribution) {
+    return `${formatAmount(parseFloat(contribution.amount), contribution.currency || 'NGN')} payment in ${contribution.group_name}`;
+  }
+
+  /**
+   * Tell both sides how a dispute ended and publish the contribution change
+   * @param {Object} contribution - Contribution row
+   * @param {Object} closed - Result of close()
+   */
+  async announceOutcome(contribution, closed) {
+    if (closed.contributionEvent) {
+      await contributionService.publish(closed.contributionEvent);
+    }
+
+    const confirmed = closed.dispute.status === 'resolved_confirmed';
+    const payment = this.describePayment(contribution);
+    await this.notify(
+      contribution.contributor_id,
+      'dispute_resolved',
+      confirmed ? 'Dispute Resolved - Payment Confirmed' : 'Dispute Closed',
+      confirmed
+        ? `Your dispute about your ${payment} was resolved in your favour. The payment is now confirmed.`
+        : `Your dispute about your ${payment} was closed. The payment stays marked as not received.`,
+      contribution,
+      closed.dispute.resolved_by
+    );
+    await this.notify(
+      contribution.recipient_id,
+      'dispute_resolved',
+      confirmed ? 'Dispute Resolved - Payment Confirmed' : 'Dispute Closed',
+      confirmed
+        ? `The dispute about ${contribution.contributor_name}'s ${payment} was resolved. The payment is now confirmed.`
+        : `The dispute about ${contribution.contributor_name}'s ${payment} was closed. The payment stays marked as not received.`,
+      contribution,
+      contribution.contributor_id
+    );
+  }
+
+  /**
+   * Open a dispute on a contribution marked not_received (contributor only)
+   * @param {Object} disputeData - { type, contributionId, userId, statement }
+   * @returns {Promise<Object>} - { success, dispute } or { success: false, status, error }
+   */
+  async openDispute({ type, contributionId, userId, statement }) {
+    if (!contributionService.hasType(type)) {
+      return { success: false, status: 400, error: 'Invalid contribution type' };
+    }
+
+    const statementError = this.validateText(statement, 'Statement');
+    if (statementError) {
+      return { success: false, status: 400, error: statementError };
+    }
+
+    const contribution = await contributionService.getContribution(type, contributionId);
+    if (!contribution || contribution.contributor_id !== userId) {
+      return { success: false, status: 404, error: 'Contribution not found' };
+    }
+
+    if (contribution.status !== 'not_received') {
+      return { success: false, status: 400, error: 'Only contributions marked as not received can be disputed' };
+    }
+
+    let dispute;
+    try {
+      const result = await pool.query(
+        `INSERT INTO contribution_disputes
+         (contribution_type, contribution_id, group_id, opened_by, member_statement, deadline_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' days')::interval)
+         RETURNING *`,
+        [type, contributionId, contribution.group_id, userId, statement.trim(), RESPONSE_DEADLINE_DAYS]
+      );
+      dispute = result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        return { success: false, status: 409, error: 'This contribution already has an active dispute' };
+      }
+      throw error;
+    }
+
+    await this.notify(
+      contribution.recipient_id,
+      'dispute_opened',
+      'Payment Disputed',
+      `${contribution.contributor_name} disputes that their ${this.describePayment(contribution)} was not received. Please respond within ${RESPONSE_DEADLINE_DAYS} days or it goes to GroupFund support.`,
+      contribution,
+      userId
+    );
+
+    return { success: true, dispute };
+  }
+
+  /**
+   * Respond to an open dispute (anyone who may review the contribution)
+   * Accepting confirms the payment; contesting gives the member time to escalate.
+   * @param {Object} responseData - { disputeId, userId, decision: 'accept' | 'contest', response }
+   * @returns {Promise<Object>} - { success, dispute } or { success: false, status, error }
+   */
+  async respond({ disputeId, userId, decision, response }) {
+    if (!['accept', 'contest'].includes(decision)) {
+      return { success: false, status: 400, error: 'Decision must be accept or contest' };
+    }
+
+    const responseError = decision === 'contest' ? this.validateText(response, 'Response') : null;
+    if (responseError) {
+      return { success: false, status: 400, error: responseError };
+    }
+
+    const loaded = await this.getDispute(disputeId);
+    if (!loaded || !loaded.contribution) {
+      return { success: false, status: 404, error: 'Dispute not found' };
+    }
+    const { dispute, contribution } = loaded;
+
+    const config = contributionService.getType(dispute.contribution_type);
+    if (!(await contributionService.canReview(config, contribution, userId))) {
+      return { success: false, status: 403, error: 'Only the payment recipient, admins or co-admins can respond to this dispute' };
+    }
+
+    if (dispute.status !== 'open' && !(decision === 'accept' && dispute.status === 'contested')) {
+      return { success: false, status: 400, error: `This dispute is ${dispute.status} and can't be ${decision === 'accept' ? 'accepted' : 'contested'}` };
+    }
+
+    const responseFields = {
+      response: typeof response === 'string' && response.trim() ? response.trim() : dispute.response,
+      responded_by: userId,
+      responded_at: new Date(),
+    };
+
+    if (decision === 'accept') {
+      const closed = await withTransaction(client => this.close(dispute, 'confirmed', { fields: responseFields }, client));
+      if (!closed) {
+        return { success: false, status: 409, error: 'This dispute was updated in the meantime' };
+      }
+
+      await this.announceOutcome(contribution, closed);
+      return { success: true, dispute: closed.dispute };
+    }
+
+    const deadline = new Date(Date.now() + ESCALATION_DEADLINE_DAYS * 24 * 60 * 60 * 1000);
+    const updated = await this.transition(dispute, 'contested', { ...responseFields, deadline_at: deadline }, pool);
+    if (!updated) {
+      return { success: false, status: 409, error: 'This dispute was updated in the meantime' };
+    }
+
+    await this.notify(
+      contribution.contributor_id,
+      'dispute_contested',
+      'Dispute Contested',
+      `Your dispute about your ${this.describePayment(contribution)} was contested: "${updated.response}". You can escalate it to GroupFund support within ${ESCALATION_DEADLINE_DAYS} days.`,
+      contribution,
+      userId
+    );
+
+    return { success: true, dispute: updated };
+  }
+
+  /**
+   * Escalate a contested dispute to platform admins (contributor only)
+   * @param {string} disputeId - Dispute ID
+   * @param {string} userId - Contributor
+   * @returns {Promise<Object>} - { success, dispute } or { success: false, status, error }
+   */
+  async escalate(disputeId, userId) {
+    const loaded = await this.getDispute(disputeId);
+    if (!loaded || loaded.dispute.opened_by !== userId) {
+      return { success: false, status: 404, error: 'Dispute not found' };
+    }
+    const { dispute, contribution } = loaded;
+
+    if (dispute.status !== 'contested') {
+      return { success: false, status: 400, error: 'Only contested disputes can be escalated' };
+    }
+
+    const updated = await this.transition(dispute, 'escalated', {
+      escalated_at: new Date(),
+      escalation_reason: 'member_request',
+    }, pool);
+    if (!updated) {
+      return { success: false, status: 409, error: 'This dispute was updated in the meantime' };
+    }
+
+    if (contribution) {
+      await this.notify(
+        contribution.recipient_id,
+        'dispute_escalated',
+        'Dispute Escalated',
+        `${contribution.contributor_name} escalated the dispute about their ${this.describePayment(contribution)} to GroupFund support.`,
+        contribution,
+        userId
+      );
+    }
+
+    return { success: true, dispute: updated };
+  }
+
+  /**
+   * Withdraw an open or contested dispute (contributor only) - the contribution stays not_received
+   * @param {string} disputeId - Dispute ID
+   * @param {string} userId - Contributor
+   * @returns {Promise<Object>} - { success, dispute } or { success: false, status, error }
+   */
+  async withdraw(disputeId, userId) {
+    const loaded = await this.getDispute(disputeId);
+    if (!loaded || loaded.dispute.opened_by !== userId) {
+      return { success: false, status: 404, error: 'Dispute not found' };
+    }
+    const { dispute, contribution } = loaded;
+
+    if (!this.canTransition(dispute.status, 'withdrawn')) {
+      return { success: false, status: 400, error: `This dispute is ${dispute.status} and can't be withdrawn` };
+    }
+
+    const updated = await this.transition(dispute, 'withdrawn', {}, pool);
+    if (!updated) {
+      return { success: false, status: 409, error: 'This dispute was updated in the meantime' };
+    }
+
+    if (contribution) {
+      await this.notify(
+        contribution.recipient_id,
+        'dispute_withdrawn',
+        'Dispute Withdrawn',
+        `${contribution.contributor_name} withdrew the dispute about their ${this.describePayment(contribution)}.`,
+        contribution,
+        userId
+      );
+    }
+
+    return { success: true, dispute: updated };
+  }
+
+  /**
+   * Decide an active dispute (platform admin)
+   * @param {Object} resolutionData - { disputeId, adminId, outcome: 'confirmed' | 'rejected', notes }
+   * @returns {Promise<Object>} - { success, dispute } or { success: false, status, error }
+   */
+  async resolve({ disputeId, adminId, outcome, notes }) {
+    if (!['confirmed', 'rejected'].includes(outcome)) {
+      return { success: false, status: 400, error: 'Outcome must be confirmed or rejected' };
+    }
+
+    const loaded = await this.getDispute(disputeId);
+    if (!loaded) {
+      return { success: false, status: 404, error: 'Dispute not found' };
+    }
+    const { dispute, contribution } = loaded;
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      return { success: false, status: 400, error: `This dispute is already ${dispute.status}` };
+    }
+
+    const closed = await withTransaction(client => this.close(dispute, outcome, {
+      resolvedBy: adminId,
+      notes: notes || null,
+    }, client));
+    if (!closed) {
+      return { success: false, status: 409, error: 'This dispute was updated in the meantime' };
+    }
+
+    if (contribution) {
+      await this.announceOutcome(contribution, closed);
+    }
+
+    return { success: true, dispute: closed.dispute };
+  }
+
+  /**
+   * Apply passed deadlines: unanswered disputes are escalated, contested disputes the member
+   * didn't escalate are closed with the rejection standing
+   * @returns {Promise<Object>} - { escalated, closed }
+   */
+  async processDeadlines() {
+    const dueResult = await pool.query(
+      `SELECT * FROM contribution_disputes
+       WHERE status IN ('open', 'contested') AND deadline_at <= CURRENT_TIMESTAMP
+       ORDER BY deadline_at ASC`
+    );
+
+    let escalated = 0;
+    let closed = 0;
+
+    for (const dispute of dueResult.rows) {
+      try {
+        const contribution = await contributionService.getContribution(dispute.contribution_type, dispute.contribution_id);
+
+        if (dispute.status === 'open') {
+          const updated = await this.transition(dispute, 'escalated', {
+            escalated_at: new Date(),
+            escalation_reason: 'no_response',
+          }, pool);
+          if (!updated) {
+            continue;
+          }
+          escalated++;
+
+          if (contribution) {
+            await this.notify(
+              contribution.contributor_id,
+              'dispute_escalated',
+              'Dispute Escalated',
+              `Your dispute about your ${this.describePayment(contribution)} got no response and was sent to GroupFund support.`,
+              contribution
+            );
+            await this.notify(
+              contribution.recipient_id,
+              'dispute_escalated',
+              'Dispute Escalated',
+              `You didn't respond to ${contribution.contributor_name}'s dispute about their ${this.describePayment(contribution)}, so it was sent to GroupFund support.`,
+              contribution,
+              contribution.contributor_id
+            );
+          }
+        } else {
+          const result = await withTransaction(client => this.close(dispute, 'rejected', {
+            notes: 'Closed automatically: not escalated before the deadline',
+          }, client));
+          if (!result) {
+            continue;
+          }
+          closed++;
+
+          if (contribution) {
+            await this.announceOutcome(contribution, result);
+          }
+        }
+      } catch (error) {
+        console.error(`Error applying deadline of dispute ${dispute.id}:`, error);
+      }
+    }
+
+    return { escalated, closed };
+  }
+}
+
+module.exports = new DisputeService();
@@ -0,0 +1,55 @@
+/**
+ * Exchange Rate Source Interface
+ * Every rate source extends this class and is registered in ./index.js.
+ * Required: name, isConfigured, getUsdRates.
+ * Cross rates are derived from USD rates, so a source only has to know each currency against USD.
+ */
+class BaseRateSource {
+  /**
+   * @param {string} name - Source name stored on conversions ('static', 'openexchangerates', ...)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check if the source can be used (credentials present)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Units of each currency one US dollar buys
+   * @returns {Promise<Object>} - { rates: { NGN: 1550, GBP: 0.79, ... }, asOf: Date }
+   */
+  async getUsdRates() {
+    throw new Error(`${this.name} does not implement getUsdRates`);
+  }
+
+  /**
+   * Rate to convert one unit of a currency into another
+   * @param {string} fromCurrency - Currency converted from
+   * @param {string} toCurrency - Currency converted to
+   * @returns {Promise<Object>} - { rate, asOf } (rate rounded to 8 decimals)
+   */
+  async getRate(fromCurrency, toCurrency) {
+    const { rates, asOf } = await this.getUsdRates();
+    const fromRate = fromCurrency === 'USD' ? 1 : rates[fromCurrency];
+    const toRate = toCurrency === 'USD' ? 1 : rates[toCurrency];
+
+    if (!fromRate || !toRate) {
+      throw new Error(`No ${this.name} exchange rate for ${fromCurrency}/${toCurrency}`);
+    }
+
+    return {
+      rate: Math.round((toRate / fromRate) * 1e8) / 1e8,
+      asOf,
+    };
+  }
+}
+
+module.exports = {
+  BaseRateSource,
+};
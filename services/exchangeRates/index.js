@@ -0,0 +1,49 @@
+const StaticRateSource = require('./staticRateSource');
+const OpenExchangeRatesSource = require('./openExchangeRatesSource');
+
+/**
+ * Exchange Rate Source Registry
+ * Wallet conversions price quotes with the source named by EXCHANGE_RATE_SOURCE ('openexchangerates'
+ * by default). The built-in 'static' table is for development and tests only: it has to be chosen
+ * explicitly and is refused in production.
+ * To add a source: extend BaseRateSource and register it below.
+ */
+
+const DEFAULT_SOURCE = 'openexchangerates';
+
+const sources = new Map();
+
+/**
+ * Register a rate source (replaces any source with the same name - tests use this to pin rates)
+ * @param {BaseRateSource} source - Rate source
+ */
+function registerRateSource(source) {
+  sources.set(source.name, source);
+}
+
+/**
+ * Get the rate source conversions use
+ * There is no fallback: quoting at rates from another source could let users convert at stale rates
+ * @returns {BaseRateSource|null} - null when the configured source is unknown or has no credentials
+ */
+function getRateSource() {
+  const name = process.env.EXCHANGE_RATE_SOURCE || DEFAULT_SOURCE;
+  const source = sources.get(name);
+  return source && source.isConfigured() ? source : null;
+}
+
+// EXCHANGE_RATE_SOURCE=static prices conversions from a fixed table (see staticRateSource.js)
+if (process.env.EXCHANGE_RATE_SOURCE === 'static') {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('EXCHANGE_RATE_SOURCE=static cannot be used in production');
+  }
+  console.log('⚠️  Using static exchange rates (EXCHANGE_RATE_SOURCE=static) - conversions are not priced at market rates');
+  registerRateSource(new StaticRateSource());
+}
+registerRateSource(new OpenExchangeRatesSource());
+
+module.exports = {
+  DEFAULT_SOURCE,
+  registerRateSource,
+  getRateSource,
+};
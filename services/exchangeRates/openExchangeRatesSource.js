@@ -0,0 +1,80 @@
+const https = require('https');
+const { BaseRateSource } = require('./baseRateSource');
+
+const CACHE_TTL_MS = 10 * 60 * 1000; // Free plans update hourly; don't fetch on every quote
+
+/**
+ * Open Exchange Rates (https://openexchangerates.org) - live USD-based rates
+ * Needs OPEN_EXCHANGE_RATES_APP_ID.
+ */
+class OpenExchangeRatesSource extends BaseRateSource {
+  constructor() {
+    super('openexchangerates');
+    this.appId = process.env.OPEN_EXCHANGE_RATES_APP_ID || null;
+    this.cache = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.appId);
+  }
+
+  async getUsdRates() {
+    if (!this.isConfigured()) {
+      throw new Error('Open Exchange Rates not configured');
+    }
+    if (this.cache && Date.now() - this.cache.fetchedAt < CACHE_TTL_MS) {
+      return { rates: this.cache.rates, asOf: this.cache.asOf };
+    }
+
+    const response = await this.apiGet(`/api/latest.json?app_id=${encodeURIComponent(this.appId)}`);
+    if (!response.rates) {
+      throw new Error(response.description || 'Open Exchange Rates returned no rates');
+    }
+
+    this.cache = {
+      rates: response.rates,
+      asOf: new Date(response.timestamp * 1000),
+      fetchedAt: Date.now(),
+    };
+    return { rates: this.cache.rates, asOf: this.cache.asOf };
+  }
+
+  /**
+   * Make a GET request to the Open Exchange Rates API
+   * @param {string} path - API path including query string
+   * @returns {Promise<Object>} - Parsed response
+   */
+  apiGet(path) {
+    return new Promise((resolve, reject) => {
+      const req = https.request({
+        hostname: 'openexchangerates.org',
+        port: 443,
+        path,
+        method: 'GET',
+        timeout: 10000,
+      }, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (parseError) {
+            reject(new Error(`Failed to parse Open Exchange Rates response: ${parseError.message}`));
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Open Exchange Rates request timed out'));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+}
+
+module.exports = OpenExchangeRatesSource;
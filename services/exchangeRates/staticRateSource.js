@@ -0,0 +1,58 @@
+const { BaseRateSource } = require('./baseRateSource');
+
+// Units per US dollar. Approximate market rates - update when they drift, or override with
+// EXCHANGE_RATES_STATIC='{"NGN":1600,"GBP":0.8}'
+const DEFAULT_USD_RATES = {
+  NGN: 1550,
+  GBP: 0.79,
+  EUR: 0.92,
+  KES: 129,
+  GHS: 15.5,
+  ZAR: 18.2,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 150,
+};
+
+/**
+ * Static exchange rate table
+ * For development and tests only (deterministic rates, no network): enabled with
+ * EXCHANGE_RATE_SOURCE=static, never in production.
+ */
+class StaticRateSource extends BaseRateSource {
+  /**
+   * @param {Object} rates - Units per US dollar (defaults to DEFAULT_USD_RATES plus EXCHANGE_RATES_STATIC)
+   */
+  constructor(rates = null) {
+    super('static');
+    this.rates = rates || { ...DEFAULT_USD_RATES, ...StaticRateSource.parseEnvRates() };
+    this.asOf = new Date();
+  }
+
+  /**
+   * Read rate overrides from EXCHANGE_RATES_STATIC (JSON object of units per US dollar)
+   * @returns {Object}
+   */
+  static parseEnvRates() {
+    if (!process.env.EXCHANGE_RATES_STATIC) {
+      return {};
+    }
+    try {
+      return JSON.parse(process.env.EXCHANGE_RATES_STATIC);
+    } catch (error) {
+      console.error('Invalid EXCHANGE_RATES_STATIC, using default rates:', error.message);
+      return {};
+    }
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async getUsdRates() {
+    return { rates: this.rates, asOf: this.asOf };
+  }
+}
+
+module.exports = StaticRateSource;
+module.exports.DEFAULT_USD_RATES = DEFAULT_USD_RATES;
@@ -0,0 +1,308 @@
+const pool = require('../config/database');
+const providerRegistry = require('./paymentProviders');
+
+/**
+ * Fee Schedule Service
+ * Looks up which fee_schedules row (fee version) prices a contribution, withdrawal, wallet transfer
+ * or currency conversion:
+ *
+ *   rows of the fee type in effect at the time
+ *     -> scope matches (NULL payment_provider / currency / group_type match anything)
+ *     -> promotions first, then the most specific row (group type > currency > provider),
+ *        then the latest effective_from
+ *
+ * NULL processor fees on the chosen row mean the provider's standard rate, which PaymentService
+ * fills in. Transfers and conversions don't go through a provider: their fee is platform_fee_percent.
+ * Rows aren't edited once they are in effect - a new row replaces them - so a stored
+ * fee_schedule_id always describes what was charged.
+ */
+
+const FEE_TYPES = ['contribution', 'withdrawal', 'transfer', 'conversion'];
+const WALLET_FEE_TYPES = ['transfer', 'conversion'];
+
+// Wallet fee percent when no fee schedule row is in effect (same as the seeded defaults)
+const DEFAULT_WALLET_FEE_PERCENTS = {
+  transfer: 0,
+  conversion: 1.5,
+};
+
+class FeeScheduleService {
+  /**
+   * Fee version in effect for a charge
+   * @param {string} feeType - 'contribution', 'withdrawal', 'transfer' or 'conversion'
+   * @param {Object} scope - Scope
+   * @param {string} scope.provider - Payment provider
+   * @param {string} scope.currency - Currency code
+   * @param {string} scope.groupType - Group type (contributions only, optional)
+   * @param {Date} scope.at - When the charge happens (defaults to now)
+   * @returns {Promise<Object|null>} - fee_schedules row, or null if none is in effect
+   */
+  async resolve(feeType, { provider, currency, groupType = null, at = new Date() }) {
+    const result = await pool.query(
+      `SELECT * FROM fee_schedules
+       WHERE fee_type = $1
+         AND effective_from <= $5 AND (effective_until IS NULL OR effective_until > $5)
+         AND (payment_provider IS NULL OR payment_provider = $2)
+         AND (currency IS NULL OR currency = $3)
+         AND (group_type IS NULL OR group_type = $4)
+       ORDER BY is_promotion DESC,
+                (CASE WHEN group_type IS NOT NULL THEN 4 ELSE 0 END
+                 + CASE WHEN currency IS NOT NULL THEN 2 ELSE 0 END
+                 + CASE WHEN payment_provider IS NOT NULL THEN 1 ELSE 0 END) DESC,
+                effective_from DESC
+       LIMIT 1`,
+      [feeType, provider || null, currency || null, groupType || null, at]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Fee on a wallet transfer or currency conversion (a percentage kept by the platform)
+   * @param {string} feeType - 'transfer' or 'conversion'
+   * @param {number} amount - Amount the fee is charged on
+   * @param {string} currency - Currency of the amount (for conversions, the currency converted from)
+   * @param {Date} at - When the fee is charged (defaults to now)
+   * @returns {Promise<Object>} - { fee, feePercent, feeScheduleId, feeVersion }
+   */
+  async calculateWalletFee(feeType, amount, currency, at = new Date()) {
+    const schedule = await this.resolve(feeType, { currency, at });
+    const feePercent = schedule ? parseFloat(schedule.platform_fee_percent) : DEFAULT_WALLET_FEE_PERCENTS[feeType];
+
+    return {
+      fee: Math.round(amount * feePercent) / 100,
+      feePercent,
+      feeScheduleId: schedule ? schedule.id : null,
+      feeVersion: schedule ? schedule.version : null,
+    };
+  }
+
+  /**
+   * Shape a fee schedule row for API responses
+   * @param {Object} schedule - fee_schedules row
+   * @returns {Object}
+   */
+  formatSchedule(schedule) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+    const now = new Date();
+    let state = 'active';
+    if (new Date(schedule.effective_from) > now) {
+      state = 'scheduled';
+    } else if (schedule.effective_until && new Date(schedule.effective_until) <= now) {
+      state = 'ended';
+    }
+
+    return {
+      id: schedule.id,
+      version: schedule.version,
+      fee_type: schedule.fee_type,
+      payment_provider: schedule.payment_provider,
+      currency: schedule.currency,
+      group_type: schedule.group_type,
+      processor_fee_percent: toNumber(schedule.processor_fee_percent),
+      processor_fee_fixed: toNumber(schedule.processor_fee_fixed),
+      platform_fee_percent: toNumber(schedule.platform_fee_percent),
+      is_promotion: schedule.is_promotion,
+      effective_from: schedule.effective_from,
+      effective_until: schedule.effective_until,
+      state,
+      note: schedule.note,
+      created_by: schedule.created_by,
+      created_at: schedule.created_at,
+    };
+  }
+
+  /**
+   * Fee schedule rows, newest version first
+   * @param {Object} filters - { feeType, currency, provider, groupType, state ('active', 'scheduled', 'ended') }
+   * @returns {Promise<Array>}
+   */
+  async listSchedules({ feeType, currency, provider, groupType, state } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (feeType) {
+      params.push(feeType);
+      conditions.push(`fee_type = $${params.length}`);
+    }
+    if (currency) {
+      params.push(currency);
+      conditions.push(`currency = $${params.length}`);
+    }
+    if (provider) {
+      params.push(provider);
+      conditions.push(`payment_provider = $${params.length}`);
+    }
+    if (groupType) {
+      params.push(groupType);
+      conditions.push(`group_type = $${params.length}`);
+    }
+    if (state === 'active') {
+      conditions.push('effective_from <= CURRENT_TIMESTAMP AND (effective_until IS NULL OR effective_until > CURRENT_TIMESTAMP)');
+    } else if (state === 'scheduled') {
+      conditions.push('effective_from > CURRENT_TIMESTAMP');
+    } else if (state === 'ended') {
+      conditions.push('effective_until <= CURRENT_TIMESTAMP');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pool.query(
+      `SELECT * FROM fee_schedules ${where} ORDER BY version DESC`,
+      params
+    );
+
+    return result.rows.map(row => this.formatSchedule(row));
+  }
+
+  /**
+   * Add a fee version
+   * Promotions default to zero fees; other rows default to the provider's standard processor fees
+   * @param {Object} scheduleData - Schedule data
+   * @param {string} scheduleData.feeType - 'contribution', 'withdrawal', 'transfer' or 'conversion'
+   * @param {string} scheduleData.provider - Payment provider (optional - all providers; contributions and withdrawals only)
+   * @param {string} scheduleData.currency - Currency code (optional - all currencies)
+   * @param {string} scheduleData.groupType - Group type (optional - all group types; contributions only)
+   * @param {number} scheduleData.processorFeePercent - Processor/payout fee percent (optional)
+   * @param {number} scheduleData.processorFeeFixed - Processor/payout fixed fee (optional)
+   * @param {number} scheduleData.platformFeePercent - Platform fee percent (not for withdrawals)
+   * @param {boolean} scheduleData.isPromotion - Promotional period
+   * @param {Date} scheduleData.effectiveFrom - Start (defaults to now; can't be in the past)
+   * @param {Date} scheduleData.effectiveUntil - End (optional)
+   * @param {string} scheduleData.note - Note
+   * @param {string} scheduleData.adminId - Admin creating the row
+   * @returns {Promise<Object>} - { success, schedule } or { success: false, status, error }
+   */
+  async createSchedule({
+    feeType,
+    provider = null,
+    currency = null,
+    groupType = null,
+    processorFeePercent,
+    processorFeeFixed,
+    platformFeePercent,
+    isPromotion = false,
+    effectiveFrom = null,
+    effectiveUntil = null,
+    note = null,
+    adminId,
+  }) {
+    if (!FEE_TYPES.includes(feeType)) {
+      return { success: false, status: 400, error: `Fee type must be one of ${FEE_TYPES.join(', ')}` };
+    }
+    if (provider) {
+      try {
+        providerRegistry.getProvider(provider);
+      } catch (error) {
+        return { success: false, status: 400, error: `Unknown payment provider: ${provider}` };
+      }
+    }
+    if (feeType === 'withdrawal' && (groupType || platformFeePercent)) {
+      return { success: false, status: 400, error: 'Withdrawal fees are pass-through payout fees: no group type or platform fee' };
+    }
+    const isWalletFee = WALLET_FEE_TYPES.includes(feeType);
+    if (isWalletFee && (provider || groupType || processorFeePercent != null || processorFeeFixed != null)) {
+      return { success: false, status: 400, error: 'Transfer and conversion fees only take a currency and a platform fee percent' };
+    }
+
+    // A backdated row would reprice charges that already happened
+    const startsAt = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (startsAt < new Date(Date.now() - 60 * 1000)) {
+      return { success: false, status: 400, error: 'effective_from can\'t be in the past' };
+    }
+    if (effectiveUntil && new Date(effectiveUntil) <= startsAt) {
+      return { success: false, status: 400, error: 'effective_until must be after effective_from' };
+    }
+
+    const defaultFee = isPromotion && !isWalletFee ? 0 : null;
+    const result = await pool.query(
+      `INSERT INTO fee_schedules
+       (fee_type, payment_provider, currency, group_type, processor_fee_percent, processor_fee_fixed,
+        platform_fee_percent, is_promotion, effective_from, effective_until, note, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        feeType,
+        provider,
+        currency,
+        groupType,
+        processorFeePercent ?? defaultFee,
+        processorFeeFixed ?? defaultFee,
+        platformFeePercent ?? 0,
+        isPromotion,
+        startsAt,
+        effectiveUntil ? new Date(effectiveUntil) : null,
+        note,
+        adminId,
+      ]
+    );
+
+    return { success: true, schedule: this.formatSchedule(result.rows[0]) };
+  }
+
+  /**
+   * End a fee version (it stops applying at effectiveUntil)
+   * @param {string} scheduleId - Fee schedule ID
+   * @param {Date} effectiveUntil - End (defaults to now; can't be in the past)
+   * @returns {Promise<Object>} - { success, schedule } or { success: false, status, error }
+   */
+  async endSchedule(scheduleId, effectiveUntil = null) {
+    const endsAt = effectiveUntil ? new Date(effectiveUntil) : new Date();
+    if (endsAt < new Date(Date.now() - 60 * 1000)) {
+      return { success: false, status: 400, error: 'effective_until can\'t be in the past' };
+    }
+
+    const result = await pool.query(
+      `UPDATE fee_schedules
+       SET effective_until = $1
+       WHERE id = $2
+         AND effective_from < $1
+         AND (effective_until IS NULL OR effective_until > $1)
+       RETURNING *`,
+      [endsAt, scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT effective_from, effective_until FROM fee_schedules WHERE id = $1', [scheduleId]);
+      if (existing.rows.length === 0) {
+        return { success: false, status: 404, error: 'Fee schedule not found' };
+      }
+      return {
+        success: false,
+        status: 409,
+        error: new Date(existing.rows[0].effective_from) >= endsAt
+          ? 'This fee schedule hasn\'t started yet. Delete it instead.'
+          : 'This fee schedule already ends before then',
+      };
+    }
+
+    return { success: true, schedule: this.formatSchedule(result.rows[0]) };
+  }
+
+  /**
+   * Delete a fee version that hasn't come into effect yet
+   * @param {string} scheduleId - Fee schedule ID
+   * @returns {Promise<Object>} - { success } or { success: false, status, error }
+   */
+  async deleteSchedule(scheduleId) {
+    const result = await pool.query(
+      `DELETE FROM fee_schedules
+       WHERE id = $1 AND effective_from > CURRENT_TIMESTAMP
+       RETURNING id`,
+      [scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT id FROM fee_schedules WHERE id = $1', [scheduleId]);
+      if (existing.rows.length === 0) {
+        return { success: false, status: 404, error: 'Fee schedule not found' };
+      }
+      return { success: false, status: 409, error: 'Fee schedules that have come into effect can only be ended, not deleted' };
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = new FeeScheduleService();
+module.exports.FEE_TYPES = FEE_TYPES;
+module.exports.WALLET_FEE_TYPES = WALLET_FEE_TYPES;
@@ -0,0 +1,236 @@
+/**
+ * Convert amount to smallest currency unit (cents/kobo)
+ * @param {number} amount - Amount in main currency unit
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in smallest currency unit
+ */
+function toSmallestUnit(amount, currency) {
+  // For most currencies, multiply by 100 (cents, kobo, etc.)
+  return Math.round(amount * 100);
+}
+
+/**
+ * Convert amount from smallest currency unit to main unit
+ * @param {number} amount - Amount in smallest currency unit
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in main currency unit
+ */
+function fromSmallestUnit(amount, currency) {
+  return amount / 100;
+}
+
+/**
+ * Payment Provider Interface
+ * Every provider adapter extends this class and is registered in ./index.js.
+ * Required: name, isConfigured, createCustomer, chargePaymentMethod, createPayout,
+ * refundTransaction, getProcessorFeeRate, getPayoutFee, getSettlementDelayHours.
+ * The remaining methods have safe defaults for providers that don't support them.
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name stored in the database ('stripe', 'paystack', ...)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check if the provider has credentials
+   * @returns {boolean} - True if the provider can be used
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Throw if the provider has no credentials (call inside the method's try block)
+   */
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new Error(`Provider ${this.name} not configured`);
+    }
+  }
+
+  /**
+   * Pick the customer ID for this provider from a user row
+   * @param {Object} user - Row with the provider customer ID columns
+   * @returns {string|null} - Customer ID
+   */
+  getCustomerId(user) {
+    return null;
+  }
+
+  /**
+   * Convert amount to smallest currency unit (see toSmallestUnit)
+   */
+  convertToSmallestUnit(amount, currency) {
+    return toSmallestUnit(amount, currency);
+  }
+
+  /**
+   * Convert amount from smallest currency unit (see fromSmallestUnit)
+   */
+  convertFromSmallestUnit(amount, currency) {
+    return fromSmallestUnit(amount, currency);
+  }
+
+  /**
+   * Create a customer
+   * @param {Object} customerData - { email, name }
+   * @returns {Promise<string>} - Customer ID
+   */
+  async createCustomer(customerData) {
+    throw new Error(`${this.name} does not implement createCustomer`);
+  }
+
+  /**
+   * Create a payment method (save card for future use)
+   * @param {Object} paymentMethodData - Payment method data
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<string>} - Payment method ID
+   */
+  async createPaymentMethod(paymentMethodData, customerId) {
+    throw new Error(`${this.name} payment method creation is not supported`);
+  }
+
+  /**
+   * Charge a saved payment method (amount already validated)
+   * @param {Object} chargeData - { paymentMethodId, amount, currency, customerId, description, metadata }
+   * @returns {Promise<Object>} - { success, transactionId, ... } or { success: false, error, status }
+   */
+  async chargePaymentMethod(chargeData) {
+    throw new Error(`${this.name} does not implement chargePaymentMethod`);
+  }
+
+  /**
+   * Start a hosted checkout for a payer without a saved payment method (amount already validated)
+   * The metadata must come back on the provider's payment success webhook.
+   * @param {Object} checkoutData - { amount, currency, email, description, metadata, reference, successUrl, cancelUrl }
+   * @returns {Promise<Object>} - { success, checkoutUrl, checkoutReference } or { success: false, error }
+   */
+  async createCheckoutSession(checkoutData) {
+    throw new Error(`${this.name} does not support hosted checkout`);
+  }
+
+  /**
+   * Verify a webhook signature
+   * @param {string} payload - Raw webhook payload
+   * @param {string} signature - Signature header
+   * @returns {boolean} - True if signature is valid
+   */
+  verifyWebhookSignature(payload, signature) {
+    return false;
+  }
+
+  /**
+   * Processor fee rate for charging a currency
+   * @param {string} currency - Currency code
+   * @returns {Object} - { percent, fixed } (fixed in main currency unit)
+   */
+  getProcessorFeeRate(currency) {
+    return { percent: 0, fixed: 0 };
+  }
+
+  /**
+   * Validate bank account details before saving
+   * @param {Object} bankAccountData - Bank account data
+   * @returns {Promise<Object>} - { valid, error?, skipped? }
+   */
+  async validateBankAccount(bankAccountData) {
+    return {
+      valid: true,
+      skipped: true,
+      message: 'Bank account validation skipped (provider not configured)',
+    };
+  }
+
+  /**
+   * Build the payout destination from a wallet_bank_accounts row
+   * @param {Object} bankAccount - wallet_bank_accounts row
+   * @param {string} currency - Currency code
+   * @returns {Object} - Bank account object for createPayout
+   */
+  buildPayoutBankAccount(bankAccount, currency) {
+    return {
+      accountNumber: bankAccount.account_number,
+      accountName: bankAccount.account_name,
+    };
+  }
+
+  /**
+   * Create a payout/transfer to a bank account
+   * @param {Object} payoutData - { amount, currency, bankAccount, description }
+   * @returns {Promise<Object>} - { success, payoutId|transferId, ... } or { success: false, error, status }
+   */
+  async createPayout(payoutData) {
+    throw new Error(`${this.name} does not implement createPayout`);
+  }
+
+  /**
+   * Pay several bank accounts in one currency
+   * Providers with a bulk transfer API override this; the default makes one payout per item.
+   * @param {Array} payouts - [{ reference, amount, currency, bankAccount, description }]
+   * @returns {Promise<Array>} - [{ reference, success, payoutId|transferId, ... } or { reference, success: false, error, status }]
+   */
+  async createBulkPayout(payouts) {
+    const results = [];
+    for (const payout of payouts) {
+      const { reference, ...payoutData } = payout;
+      const result = await this.createPayout(payoutData);
+      results.push({ reference, ...result });
+    }
+    return results;
+  }
+
+  /**
+   * Refund a transaction
+   * @param {Object} refundData - { transactionId, amount?, currency }
+   * @returns {Promise<Object>} - { success, refundId, ... } or { success: false, error, status }
+   */
+  async refundTransaction(refundData) {
+    throw new Error(`${this.name} does not implement refundTransaction`);
+  }
+
+  /**
+   * Payout fee the provider charges for a withdrawal
+   * @param {number} amount - Amount in main currency unit
+   * @param {string} currency - Currency code
+   * @returns {number} - Fee in main currency unit
+   */
+  getPayoutFee(amount, currency) {
+    return 0;
+  }
+
+  /**
+   * Hours until a received payment settles and can be withdrawn
+   * @param {string} currency - Currency code
+   * @returns {number} - Delay in hours (0 = available straight away)
+   */
+  getSettlementDelayHours(currency) {
+    return 0;
+  }
+
+  /**
+   * List incoming payments for reconciliation
+   * @param {Object} range - { since, until }
+   * @returns {Promise<Array>} - [{ providerTransactionId, amount, currency, status, createdAt }]
+   */
+  async listPayments(range) {
+    throw new Error(`${this.name} does not support listing payments`);
+  }
+
+  /**
+   * List outgoing payouts for reconciliation
+   * @param {Object} range - { since, until }
+   * @returns {Promise<Array>} - [{ providerTransactionId, amount, currency, status, createdAt }]
+   */
+  async listPayouts(range) {
+    throw new Error(`${this.name} does not support listing payouts`);
+  }
+}
+
+module.exports = {
+  BaseProvider,
+  toSmallestUnit,
+  fromSmallestUnit,
+};
@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const { BaseProvider } = require('./baseProvider');
+const StripeProvider = require('./stripeProvider');
+const PaystackProvider = require('./paystackProvider');
+
+const DEFAULT_WEBHOOK_SECRET = 'fake_webhook_secret';
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
+const MAX_RECORDED_WEBHOOKS = 200;
+
+// Fees, customer IDs and payout destinations follow the impersonated provider's rules
+const REAL_PROVIDERS = {
+  stripe: StripeProvider,
+  paystack: PaystackProvider,
+};
+
+/**
+ * Fake payment provider for local development and automated tests
+ *
+ * Enabled with PAYMENT_PROVIDER_MODE=fake (refused when NODE_ENV=production). One instance stands
+ * in for each real provider ('stripe' and 'paystack' flavors), so provider names stored in the
+ * database, customer ID columns and the /api/webhook handlers all work unchanged.
+ * No network calls are made except webhooks, which are signed exactly like the real provider's
+ * and POSTed to FAKE_PROVIDER_WEBHOOK_URL (default: http://localhost:$PORT/api/webhook).
+ *
+ * Scenarios are picked from the input, so every run behaves the same:
+ * - Payment method ID containing 'requires_action' -> 3-D Secure required (no webhook)
+ * - Payment method ID containing 'insufficient_funds' -> declined, insufficient funds
+ * - Payment method ID containing 'declined' -> declined, generic decline
+ * - Any other payment method -> charge succeeds
+ * - Hosted checkout -> paid straight away; the checkout URL is the success URL
+ * - Bank account number ending in 0000 -> payout rejected
+ * - Bank account number ending in 1111 -> payout stays pending; paid webhook after FAKE_PROVIDER_PAYOUT_DELAY_MS
+ * - Any other bank account -> payout paid
+ * - Refunding a transaction ID containing 'refund_fails' -> refund rejected
+ */
+class FakeProvider extends BaseProvider {
+  /**
+   * @param {string} flavor - Provider to impersonate: 'stripe' or 'paystack'
+   */
+  constructor(flavor) {
+    super(flavor);
+    this.flavor = flavor;
+    this.payments = [];
+    this.payouts = [];
+    this.sentWebhooks = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getCustomerId(user) {
+    return REAL_PROVIDERS[this.flavor].prototype.getCustomerId.call(this, user);
+  }
+
+  /**
+   * Generate a provider-looking ID
+   * @param {string} prefix - ID prefix (pi, po, re, ...)
+   * @returns {string} - Unique ID (unique across restarts, so ledger keys never collide)
+   */
+  generateId(prefix) {
+    return `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  getWebhookSecret() {
+    if (this.flavor === 'stripe') {
+      return process.env.STRIPE_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET;
+    }
+    return process.env.PAYSTACK_WEBHOOK_SECRET || process.env.PAYSTACK_SECRET_KEY || DEFAULT_WEBHOOK_SECRET;
+  }
+
+  /**
+   * Sign a webhook payload the way the real provider does
+   * Stripe: Stripe-Signature "t=<timestamp>,v1=<HMAC-SHA256 of "<timestamp>.<payload>">"
+   * Paystack: x-paystack-signature = HMAC-SHA512 of the payload
+   * @param {string} payload - Raw JSON payload
+   * @returns {Object} - { header, signature }
+   */
+  signWebhookPayload(payload) {
+    const secret = this.getWebhookSecret();
+
+    if (this.flavor === 'stripe') {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+      return { header: 'stripe-signature', signature: `t=${timestamp},v1=${hmac}` };
+    }
+
+    const hash = crypto.createHmac('sha512', secret).update(payload).digest('hex');
+    return { header: 'x-paystack-signature', signature: hash };
+  }
+
+  verifyWebhookSignature(payload, signature) {
+    try {
+      const secret = this.getWebhookSecret();
+
+      if (this.flavor === 'stripe') {
+        const parts = Object.fromEntries(
+          String(signature).split(',').map(part => part.split('=')).filter(pair => pair.length === 2)
+        );
+        const timestamp = parseInt(parts.t, 10);
+        if (!timestamp || !parts.v1) {
+          return false;
+        }
+        if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > STRIPE_SIGNATURE_TOLERANCE_SECONDS) {
+          return false;
+        }
+        const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+        return expected.length === parts.v1.length
+          && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+      }
+
+      const hash = crypto.createHmac('sha512', secret).update(payload).digest('hex');
+      return hash === signature;
+    } catch (error) {
+      console.error(`Error verifying fake ${this.flavor} webhook signature:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Sign and POST a webhook event to this flavor's webhook endpoint
+   * Delivery happens after FAKE_PROVIDER_WEBHOOK_DELAY_MS (default 1000ms) so the caller can
+   * store the provider ID first, as it would with a real provider.
+   * @param {Object} event - Provider-shaped event body
+   * @param {number} delayMs - Extra delay before delivery
+   * @returns {Promise<Object>} - { event, statusCode } or { event, error }
+   */
+  emitWebhook(event, delayMs = 0) {
+    const baseDelay = parseInt(process.env.FAKE_PROVIDER_WEBHOOK_DELAY_MS ?? '1000', 10);
+    const baseUrl = process.env.FAKE_PROVIDER_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/webhook`;
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/${this.flavor}`);
+
+    const delivery = new Promise(resolve => setTimeout(resolve, baseDelay + delayMs)).then(() => new Promise((resolve) => {
+      const payload = JSON.stringify(event);
+      const { header, signature } = this.signWebhookPayload(payload);
+      const transport = url.protocol === 'https:' ? require('https') : require('http');
+
+      const req = transport.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          [header]: signature,
+        },
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve({ event, statusCode: res.statusCode }));
+      });
+
+      req.on('error', (error) => {
+        console.error(`Fake ${this.flavor} webhook delivery failed:`, error.message);
+        resolve({ event, error: error.message });
+      });
+
+      req.write(payload);
+      req.end();
+    }));
+
+    this.sentWebhooks.push(event);
+    if (this.sentWebhooks.length > MAX_RECORDED_WEBHOOKS) {
+      this.sentWebhooks.shift();
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Build a webhook event in this flavor's shape
+   * @param {string} type - Event type (Stripe type or Paystack event name)
+   * @param {Object} object - Event data object
+   * @returns {Object} - Event body
+   */
+  buildEvent(type, object) {
+    if (this.flavor === 'stripe') {
+      return {
+        id: this.generateId('evt'),
+        object: 'event',
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { object },
+      };
+    }
+    return { event: type, data: object };
+  }
+
+  async createCustomer({ email, name }) {
+    return this.flavor === 'stripe' ? this.generateId('cus') : this.generateId('CUS');
+  }
+
+  async createPaymentMethod(paymentMethodData, customerId) {
+    return this.generateId('seti');
+  }
+
+  /**
+   * Fake Paystack transaction verification (card authorization during add-card)
+   * The scenario keywords above can be put in the reference to get a card that behaves that way.
+   * @param {string} transactionReference - Transaction reference
+   * @returns {Promise<Object>} - Same shape as PaystackProvider.verifyTransaction
+   */
+  async verifyTransaction(transactionReference) {
+    return {
+      success: true,
+      transactionReference,
+      transactionId: this.generateId('txn'),
+      amount: 50,
+      currency: 'NGN',
+      authorizationCode: `AUTH_${transactionReference}`,
+      cardDetails: {
+        authorizationCode: `AUTH_${transactionReference}`,
+        last4: '4081',
+        brand: 'visa',
+        cardType: 'visa DEBIT',
+        bank: 'Fake Bank',
+        bin: '408408',
+        expiryMonth: 12,
+        expiryYear: new Date().getFullYear() + 3,
+      },
+      customer: null,
+      metadata: {},
+    };
+  }
+
+  async chargePaymentMethod({
+    paymentMethodId,
+    amount,
+    currency,
+    customerId,
+    description,
+    metadata = {},
+  }) {
+    const method = String(paymentMethodId || '');
+    const amountInSmallest = this.convertToSmallestUnit(amount, currency);
+    const transactionId = this.flavor === 'stripe' ? this.generateId('pi') : this.generateId('ref');
+
+    if (method.includes('requires_action')) {
+      return {
+        success: false,
+        requiresAction: true,
+        clientSecret: `${transactionId}_secret_fake`,
+        transactionId,
+        status: 'requires_action',
+      };
+    }
+
+    const declineCode = method.includes('insufficient_funds')
+      ? 'insufficient_funds'
+      : (method.includes('declined') ? 'generic_decline' : null);
+
+    if (declineCode) {
+      const message = declineCode === 'insufficient_funds' ? 'Your card has insufficient funds.' : 'Your card was declined.';
+      this.payments.push({ providerTransactionId: transactionId, amount, currency, status: 'failed', createdAt: new Date() });
+
+      if (this.flavor === 'stripe') {
+        this.emitWebhook(this.buildEvent('payment_intent.payment_failed', {
+          id: transactionId,
+          object: 'payment_intent',
+          amount: amountInSmallest,
+          currency: currency.toLowerCase(),
+          customer: customerId,
+          description,
+          metadata: stringifyMetadata(metadata),
+          status: 'requires_payment_method',
+          last_payment_error: { code: 'card_declined', decline_code: declineCode, message },
+        }));
+        return {
+          success: false,
+          error: message,
+          status: 'requires_payment_method',
+          declineCode,
+        };
+      }
+
+      this.emitWebhook(this.buildEvent('charge.failed', {
+        reference: transactionId,
+        amount: amountInSmallest,
+        currency: currency.toUpperCase(),
+        status: 'failed',
+        gateway_response: message,
+        customer: { customer_code: customerId, email: metadata.email || null },
+        metadata: JSON.stringify(metadata),
+      }));
+      return {
+        success: false,
+        error: message,
+        status: 'failed',
+        gatewayResponse: message,
+      };
+    }
+
+    const chargeId = this.flavor === 'stripe' ? this.generateId('ch') : String(Date.now());
+    this.payments.push({ providerTransactionId: transactionId, amount, currency, status: 'succeeded', createdAt: new Date() });
+
+    if (this.flavor === 'stripe') {
+      this.emitWebhook(this.buildEvent('payment_intent.succeeded', {
+        id: transactionId,
+        object: 'payment_intent',
+        amount: amountInSmallest,
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        description,
+        metadata: stringifyMetadata(metadata),
+        status: 'succeeded',
+        latest_charge: chargeId,
+      }));
+    } else {
+      this.emitWebhook(this.buildEvent('charge.success', {
+        id: chargeId,
+        reference: transactionId,
+        amount: amountInSmallest,
+        currency: currency.toUpperCase(),
+        status: 'success',
+        customer: { customer_code: customerId, email: metadata.email || null },
+        metadata: JSON.stringify(metadata),
+      }));
+    }
+
+    return {
+      success: true,
+      transactionId,
+      chargeId,
+      amount: this.convertFromSmallestUnit(amountInSmallest, currency),
+      amountInSmallestUnit: amountInSmallest,
+      currency: currency.toUpperCase(),
+      status: this.flavor === 'stripe' ? 'succeeded' : 'success',
+    };
+  }
+
+  async createCheckoutSession({
+    amount,
+    currency,
+    email,
+    description,
+    metadata = {},
+    reference,
+    successUrl,
+  }) {
+    const amountInSmallest = this.convertToSmallestUnit(amount, currency);
+    const transactionId = this.flavor === 'stripe' ? this.generateId('pi') : reference;
+    this.payments.push({ providerTransactionId: transactionId, amount, currency, status: 'succeeded', createdAt: new Date() });
+
+    if (this.flavor === 'stripe') {
+      this.emitWebhook(this.buildEvent('payment_intent.succeeded', {
+        id: transactionId,
+        object: 'payment_intent',
+        amount: amountInSmallest,
+        currency: currency.toLowerCase(),
+        customer: null,
+        description,
+        metadata: stringifyMetadata(metadata),
+        status: 'succeeded',
+        latest_charge: this.generateId('ch'),
+      }));
+    } else {
+      this.emitWebhook(this.buildEvent('charge.success', {
+        id: String(Date.now()),
+        reference: transactionId,
+        amount: amountInSmallest,
+        currency: currency.toUpperCase(),
+        status: 'success',
+        customer: { customer_code: null, email },
+        metadata: JSON.stringify(metadata),
+      }));
+    }
+
+    return {
+      success: true,
+      checkoutUrl: successUrl,
+      checkoutReference: this.flavor === 'stripe' ? this.generateId('cs') : reference,
+    };
+  }
+
+  getProcessorFeeRate(currency) {
+    return REAL_PROVIDERS[this.flavor].prototype.getProcessorFeeRate.call(this, currency);
+  }
+
+  getPayoutFee(amount, currency) {
+    return REAL_PROVIDERS[this.flavor].prototype.getPayoutFee.call(this, amount, currency);
+  }
+
+  getSettlementDelayHours(currency) {
+    return REAL_PROVIDERS[this.flavor].prototype.getSettlementDelayHours.call(this, currency);
+  }
+
+  buildPayoutBankAccount(bankAccount, currency) {
+    return REAL_PROVIDERS[this.flavor].prototype.buildPayoutBankAccount.call(this, bankAccount, currency);
+  }
+
+  async createPayout({
+    amount,
+    currency,
+    bankAccount,
+    description,
+  }) {
+    const accountNumber = String(bankAccount?.accountNumber || bankAccount?.iban || '');
+    const amountInSmallest = this.convertToSmallestUnit(amount, currency);
+
+    if (accountNumber.endsWith('0000')) {
+      return {
+        success: false,
+        error: 'Could not find the destination bank account',
+        status: 'failed',
+      };
+    }
+
+    const delayed = accountNumber.endsWith('1111');
+    const payoutDelay = delayed ? parseInt(process.env.FAKE_PROVIDER_PAYOUT_DELAY_MS || '5000', 10) : 0;
+    const payoutId = this.flavor === 'stripe' ? this.generateId('po') : this.generateId('TRF');
+
+    this.payouts.push({ providerTransactionId: payoutId, amount, currency, status: 'succeeded', createdAt: new Date() });
+
+    if (this.flavor === 'stripe') {
+      this.emitWebhook(this.buildEvent('payout.paid', {
+        id: payoutId,
+        object: 'payout',
+        amount: amountInSmallest,
+        currency: currency.toLowerCase(),
+        description: description || 'Withdrawal',
+        status: 'paid',
+      }), payoutDelay);
+
+      return {
+        success: true,
+        payoutId,
+        amount: this.convertFromSmallestUnit(amountInSmallest, currency),
+        currency: currency.toUpperCase(),
+        status: delayed ? 'pending' : 'paid',
+        arrivalDate: Math.floor((Date.now() + payoutDelay) / 1000),
+      };
+    }
+
+    this.emitWebhook(this.buildEvent('transfer.success', {
+      reference: payoutId,
+      amount: amountInSmallest,
+      currency: currency.toUpperCase(),
+      reason: description || 'Withdrawal',
+      status: 'success',
+    }), payoutDelay);
+
+    return {
+      success: true,
+      transferId: payoutId,
+      recipientCode: bankAccount.recipientCode || this.generateId('RCP'),
+      amount: this.convertFromSmallestUnit(amountInSmallest, currency),
+      currency: currency.toUpperCase(),
+      status: delayed ? 'pending' : 'success',
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  async refundTransaction({
+    transactionId,
+    amount,
+    currency,
+  }) {
+    if (String(transactionId).includes('refund_fails')) {
+      return {
+        success: false,
+        error: 'Charge has already been refunded',
+        status: 'failed',
+      };
+    }
+
+    const original = this.payments.find(payment => payment.providerTransactionId === transactionId);
+    const refundAmount = amount || original?.amount || 0;
+
+    return {
+      success: true,
+      refundId: this.generateId('re'),
+      transactionRefunded: transactionId,
+      amount: refundAmount,
+      currency: currency.toUpperCase(),
+      status: this.flavor === 'stripe' ? 'succeeded' : 'processed',
+    };
+  }
+
+  async listPayments({ since, until }) {
+    return this.payments.filter(payment => payment.createdAt >= since && payment.createdAt < until);
+  }
+
+  async listPayouts({ since, until }) {
+    return this.payouts.filter(payout => payout.createdAt >= since && payout.createdAt < until);
+  }
+}
+
+/**
+ * Stripe metadata values are always strings
+ * @param {Object} metadata - Metadata object
+ * @returns {Object} - Metadata with string values
+ */
+function stringifyMetadata(metadata) {
+  return Object.fromEntries(
+    Object.entries(metadata || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+module.exports = FakeProvider;
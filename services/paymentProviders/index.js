@@ -0,0 +1,112 @@
+const StripeProvider = require('./stripeProvider');
+const PaystackProvider = require('./paystackProvider');
+const FakeProvider = require('./fakeProvider');
+
+/**
+ * Payment Provider Registry
+ * Holds one adapter per provider and routes payments to a provider by currency/country.
+ * To add a provider: extend BaseProvider, register it below and add a routing rule.
+ */
+
+const DEFAULT_PROVIDER = 'stripe';
+
+/**
+ * Routing rules, checked in order - the first matching rule whose provider is configured wins.
+ * A rule matches when the currency is in `currencies` (if given) and the country is in
+ * `countries` (if given and the caller knows the country).
+ */
+const ROUTING_RULES = [
+  { provider: 'paystack', currencies: ['NGN', 'GHS', 'KES'] },
+];
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter (replaces any adapter with the same name)
+ * @param {BaseProvider} adapter - Provider adapter
+ */
+function registerProvider(adapter) {
+  providers.set(adapter.name, adapter);
+}
+
+/**
+ * Get a provider adapter by name
+ * @param {string} name - Provider name ('stripe', 'paystack', ...)
+ * @returns {BaseProvider} - Provider adapter
+ */
+function getProvider(name) {
+  const adapter = providers.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return adapter;
+}
+
+/**
+ * Names of all providers that have credentials
+ * @returns {Array<string>} - Provider names
+ */
+function getConfiguredProviders() {
+  return [...providers.values()]
+    .filter(adapter => adapter.isConfigured())
+    .map(adapter => adapter.name);
+}
+
+/**
+ * Check if a routing rule applies to a currency/country
+ * @param {Object} rule - Routing rule
+ * @param {string} currency - Currency code
+ * @param {string|null} country - Country code
+ * @returns {boolean} - True if the rule matches
+ */
+function ruleMatches(rule, currency, country) {
+  if (rule.currencies && !rule.currencies.includes(currency)) {
+    return false;
+  }
+  if (rule.countries && country && !rule.countries.includes(country)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Select the payment provider for a currency/country
+ * Falls back to the default provider when no configured provider has a matching rule
+ * @param {string} currency - Currency code (NGN, USD, etc.)
+ * @param {string} country - Country code (NG, KE, GH, ZA, etc.) - optional
+ * @returns {string} - Provider name
+ */
+function selectProvider(currency, country) {
+  const currencyUpper = currency ? currency.toUpperCase() : null;
+  const countryUpper = country ? country.toUpperCase() : null;
+
+  const rule = ROUTING_RULES.find(candidate =>
+    ruleMatches(candidate, currencyUpper, countryUpper)
+    && providers.has(candidate.provider)
+    && providers.get(candidate.provider).isConfigured()
+  );
+
+  return rule ? rule.provider : DEFAULT_PROVIDER;
+}
+
+// PAYMENT_PROVIDER_MODE=fake swaps every provider for an offline fake (see fakeProvider.js)
+if (process.env.PAYMENT_PROVIDER_MODE === 'fake') {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_PROVIDER_MODE=fake cannot be used in production');
+  }
+  console.log('⚠️  Using fake payment providers (PAYMENT_PROVIDER_MODE=fake) - no real money will move');
+  registerProvider(new FakeProvider('stripe'));
+  registerProvider(new FakeProvider('paystack'));
+} else {
+  registerProvider(new StripeProvider());
+  registerProvider(new PaystackProvider());
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  ROUTING_RULES,
+  registerProvider,
+  getProvider,
+  getConfiguredProviders,
+  selectProvider,
+};
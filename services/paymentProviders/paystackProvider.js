@@ -0,0 +1,745 @@
+require('dotenv').config();
+const Paystack = require('paystack')(process.env.PAYSTACK_SECRET_KEY);
+const { BaseProvider } = require('./baseProvider');
+
+/**
+ * Paystack adapter
+ * Charges via saved authorization codes, payouts via transfer recipients + transfers
+ */
+class PaystackProvider extends BaseProvider {
+  constructor() {
+    super('paystack');
+    this.paystack = process.env.PAYSTACK_SECRET_KEY ? Paystack : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.paystack);
+  }
+
+  getCustomerId(user) {
+    return user.paystack_customer_code || null;
+  }
+
+  async createCustomer({ email, name }) {
+    try {
+      this.assertConfigured();
+      const response = await this.paystack.customer.create({
+        email,
+        first_name: name.split(' ')[0] || name,
+        last_name: name.split(' ').slice(1).join(' ') || '',
+      });
+      if (response.status) {
+        return response.data.customer_code;
+      }
+      throw new Error(response.message || 'Failed to create Paystack customer');
+    } catch (error) {
+      console.error(`Error creating customer with ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  async createPaymentMethod(paymentMethodData, customerId) {
+    try {
+      this.assertConfigured();
+      // For Paystack, we'll use authorization API
+      // Frontend will handle the actual card authorization
+      // This is a placeholder - actual implementation depends on Paystack authorization flow
+      throw new Error('Paystack payment method creation requires frontend integration');
+    } catch (error) {
+      console.error(`Error creating payment method with ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify Paystack transaction and extract card details
+   * @param {string} transactionReference - Paystack transaction reference
+   * @returns {Promise<Object>} - Transaction details with authorization and card info
+   */
+  async verifyTransaction(transactionReference) {
+    try {
+      this.assertConfigured();
+
+      const response = await this.paystack.transaction.verify(transactionReference);
+
+      if (!response.status || !response.data) {
+        throw new Error(response.message || 'Failed to verify transaction');
+      }
+
+      const transaction = response.data;
+      
+      // Check if transaction was successful
+      if (transaction.status !== 'success') {
+        throw new Error(`Transaction not successful. Status: ${transaction.status}`);
+      }
+
+      // Extract authorization code (payment method ID for future charges)
+      const authorization = transaction.authorization;
+      if (!authorization) {
+        throw new Error('No authorization found in transaction. This may not be a card payment.');
+      }
+
+      const authorizationCode = authorization.authorization_code;
+      if (!authorizationCode) {
+        throw new Error('No authorization code found in transaction');
+      }
+
+      // Extract card details including expiry date
+      // Paystack authorization object includes exp_month and exp_year as strings
+      let expiryMonth = null;
+      let expiryYear = null;
+      
+      if (authorization.exp_month) {
+        expiryMonth = typeof authorization.exp_month === 'string' 
+          ? parseInt(authorization.exp_month, 10) 
+          : authorization.exp_month;
+      }
+      
+      if (authorization.exp_year) {
+        expiryYear = typeof authorization.exp_year === 'string' 
+          ? parseInt(authorization.exp_year, 10) 
+          : authorization.exp_year;
+      }
+
+      const cardDetails = {
+        authorizationCode: authorizationCode,
+        last4: authorization.last4 || null,
+        brand: authorization.brand || null,
+        cardType: authorization.card_type || null,
+        bank: authorization.bank || null,
+        bin: authorization.bin || null,
+        expiryMonth: expiryMonth,
+        expiryYear: expiryYear,
+      };
+
+      return {
+        success: true,
+        transactionReference: transaction.reference,
+        transactionId: transaction.id.toString(),
+        amount: this.convertFromSmallestUnit(transaction.amount, transaction.currency),
+        currency: transaction.currency,
+        authorizationCode: authorizationCode,
+        cardDetails: cardDetails,
+        customer: transaction.customer || null,
+        metadata: transaction.metadata || {},
+      };
+    } catch (error) {
+      console.error('Error verifying Paystack transaction:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to verify transaction',
+      };
+    }
+  }
+
+  async chargePaymentMethod({
+    paymentMethodId,
+    amount, // Amount in main currency unit
+    currency,
+    customerId,
+    description,
+    metadata = {},
+  }) {
+    try {
+      this.assertConfigured();
+
+      // Convert amount to kobo
+      const amountInKobo = this.convertToSmallestUnit(amount, currency);
+
+      // For Paystack, charge using authorization code
+      const response = await this.paystack.transaction.charge({
+        authorization_code: paymentMethodId,
+        email: metadata.email || customerId,
+        amount: amountInKobo,
+        currency: currency.toUpperCase(),
+        metadata: JSON.stringify(metadata),
+      });
+
+      if (response.status && response.data.status === 'success') {
+        return {
+          success: true,
+          transactionId: response.data.reference,
+          chargeId: response.data.id.toString(),
+          amount: this.convertFromSmallestUnit(response.data.amount, currency),
+          amountInSmallestUnit: response.data.amount,
+          currency: response.data.currency,
+          status: 'success',
+        };
+      }
+
+      return {
+        success: false,
+        error: response.message || 'Payment failed',
+        status: response.data?.status || 'failed',
+        gatewayResponse: response.data?.gateway_response,
+      };
+    } catch (error) {
+      console.error(`Error charging payment method with ${this.name}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Payment processing failed',
+        status: 'failed',
+        internalError: error.message,
+      };
+    }
+  }
+
+  async createCheckoutSession({
+    amount, // Amount in main currency unit
+    currency,
+    email,
+    description,
+    metadata = {},
+    reference,
+    successUrl,
+    cancelUrl,
+  }) {
+    try {
+      this.assertConfigured();
+
+      // Paystack redirects to the callback URL whether or not the payment went through;
+      // the charge.success webhook is what credits the payment
+      const response = await this.paystack.transaction.initialize({
+        email,
+        amount: this.convertToSmallestUnit(amount, currency),
+        currency: currency.toUpperCase(),
+        reference,
+        callback_url: successUrl,
+        metadata: JSON.stringify({ ...metadata, description, cancel_action: cancelUrl }),
+      });
+
+      if (response.status && response.data?.authorization_url) {
+        return {
+          success: true,
+          checkoutUrl: response.data.authorization_url,
+          checkoutReference: response.data.reference,
+        };
+      }
+
+      return {
+        success: false,
+        error: response.message || 'Could not start the checkout. Please try again.',
+      };
+    } catch (error) {
+      console.error(`Error creating checkout session with ${this.name}:`, error);
+      return {
+        success: false,
+        error: 'Could not start the checkout. Please try again.',
+        internalError: error.message,
+      };
+    }
+  }
+
+  verifyWebhookSignature(payload, signature) {
+    try {
+      if (!this.isConfigured()) {
+        return false;
+      }
+
+      const crypto = require('crypto');
+      // Paystack uses the same Secret Key for API calls and webhook verification
+      // Use PAYSTACK_WEBHOOK_SECRET if set, otherwise fall back to PAYSTACK_SECRET_KEY
+      const webhookSecret = process.env.PAYSTACK_WEBHOOK_SECRET || process.env.PAYSTACK_SECRET_KEY;
+      if (!webhookSecret) {
+        console.error('PAYSTACK_WEBHOOK_SECRET or PAYSTACK_SECRET_KEY not configured');
+        return false;
+      }
+
+      const hash = crypto
+        .createHmac('sha512', webhookSecret)
+        .update(payload)
+        .digest('hex');
+
+      return hash === signature;
+    } catch (error) {
+      console.error(`Error verifying webhook signature for ${this.name}:`, error);
+      return false;
+    }
+  }
+
+  getProcessorFeeRate(currency) {
+    let processorFeePercent = 0;
+    let processorFeeFixed = 0;
+
+    // Paystack fees
+    if (currency === 'NGN') {
+      processorFeePercent = 1.5;
+      processorFeeFixed = 100; // ₦100
+    } else if (currency === 'KES') {
+      processorFeePercent = 3.0;
+      processorFeeFixed = 10; // KSh 10
+    } else if (currency === 'GHS') {
+      processorFeePercent = 2.9;
+      processorFeeFixed = 1; // ₵1
+    } else if (currency === 'ZAR') {
+      processorFeePercent = 3.5;
+      processorFeeFixed = 2; // R2
+    }
+
+    return { percent: processorFeePercent, fixed: processorFeeFixed };
+  }
+
+  buildPayoutBankAccount(bankAccount, currency) {
+    // Paystack needs a bank code (required for Nigerian banks)
+    if (!bankAccount.bank_code) {
+      throw new Error(`Bank code required for ${currency} withdrawals via Paystack. Please update your bank account details.`);
+    }
+    return {
+      accountNumber: bankAccount.account_number,
+      bankCode: bankAccount.bank_code,
+      accountName: bankAccount.account_name,
+      country: currency === 'NGN' ? 'NG' : null,
+      recipientCode: null, // Will be created if needed
+    };
+  }
+
+  async createPayout({
+    amount,
+    currency,
+    bankAccount,
+    description,
+  }) {
+    try {
+      this.assertConfigured();
+
+      // For Paystack, we need to create a transfer recipient first, then transfer
+      // Convert amount to kobo (smallest unit for NGN)
+      const amountInSmallest = this.convertToSmallestUnit(amount, currency);
+
+      // Step 1: Create transfer recipient (if not exists)
+      // Check if recipient already exists based on account number
+      let recipientCode = bankAccount.recipientCode;
+
+      if (!recipientCode) {
+        // Create new transfer recipient
+        const recipientResponse = await this.paystack.transferrecipient.create({
+          type: 'nuban', // Bank account
+          name: bankAccount.accountName,
+          account_number: bankAccount.accountNumber,
+          bank_code: bankAccount.bankCode,
+          currency: currency.toUpperCase(),
+        });
+
+        if (!recipientResponse.status) {
+          return {
+            success: false,
+            error: recipientResponse.message || 'Failed to create transfer recipient',
+            status: 'failed',
+          };
+        }
+
+        recipientCode = recipientResponse.data.recipient_code;
+      }
+
+      // Step 2: Create transfer to recipient
+      const transferResponse = await this.paystack.transfer.create({
+        source: 'balance',
+        amount: amountInSmallest,
+        currency: currency.toUpperCase(),
+        recipient: recipientCode,
+        reason: description || 'Withdrawal',
+      });
+
+      if (transferResponse.status && transferResponse.data.status === 'success') {
+        return {
+          success: true,
+          transferId: transferResponse.data.reference,
+          recipientCode: recipientCode,
+          amount: this.convertFromSmallestUnit(transferResponse.data.amount, currency),
+          currency: transferResponse.data.currency,
+          status: 'success',
+          createdAt: transferResponse.data.createdAt,
+        };
+      }
+
+      return {
+        success: false,
+        error: transferResponse.message || 'Transfer failed',
+        status: transferResponse.data?.status || 'failed',
+      };
+    } catch (error) {
+      console.error(`Error creating payout with ${this.name}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Payout processing failed',
+        status: 'failed',
+      };
+    }
+  }
+
+  /**
+   * Pay several bank accounts with one bulk transfer (up to 100 transfers per request)
+   * Recipients are created one by one first; an item whose recipient can't be created fails
+   * on its own and the rest are still sent. Our reference is passed on as the transfer reference.
+   */
+  async createBulkPayout(payouts) {
+    const results = new Map();
+    const transfers = [];
+
+    try {
+      this.assertConfigured();
+
+      for (const payout of payouts) {
+        const { reference, amount, currency, bankAccount, description } = payout;
+        let recipientCode = bankAccount.recipientCode;
+
+        if (!recipientCode) {
+          const recipientResponse = await this.paystack.transferrecipient.create({
+            type: 'nuban', // Bank account
+            name: bankAccount.accountName,
+            account_number: bankAccount.accountNumber,
+            bank_code: bankAccount.bankCode,
+            currency: currency.toUpperCase(),
+          });
+
+          if (!recipientResponse.status) {
+            results.set(reference, {
+              reference,
+              success: false,
+              error: recipientResponse.message || 'Failed to create transfer recipient',
+              status: 'failed',
+            });
+            continue;
+          }
+
+          recipientCode = recipientResponse.data.recipient_code;
+        }
+
+        transfers.push({
+          amount: this.convertToSmallestUnit(amount, currency),
+          recipient: recipientCode,
+          reference,
+          reason: description || 'Withdrawal',
+        });
+      }
+
+      if (transfers.length > 0) {
+        const response = await this.paystackApiRequest('POST', '/transfer/bulk', {
+          currency: payouts[0].currency.toUpperCase(),
+          source: 'balance',
+          transfers,
+        });
+
+        if (!response.status) {
+          for (const transfer of transfers) {
+            results.set(transfer.reference, {
+              reference: transfer.reference,
+              success: false,
+              error: response.message || 'Bulk transfer failed',
+              status: 'failed',
+            });
+          }
+        } else {
+          // Queued transfers come back in the order they were sent
+          (response.data || []).forEach((item, index) => {
+            const reference = item.reference || transfers[index]?.reference;
+            if (!reference) {
+              return;
+            }
+            const failed = item.status === 'failed' || item.status === 'reversed';
+            results.set(reference, failed
+              ? { reference, success: false, error: item.message || 'Transfer failed', status: item.status }
+              : {
+                  reference,
+                  success: true,
+                  transferId: reference,
+                  transferCode: item.transfer_code,
+                  recipientCode: item.recipient,
+                  amount: this.convertFromSmallestUnit(item.amount, item.currency),
+                  currency: item.currency,
+                  status: item.status,
+                });
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Error creating bulk payout with ${this.name}:`, error);
+      for (const payout of payouts) {
+        if (!results.has(payout.reference)) {
+          results.set(payout.reference, {
+            reference: payout.reference,
+            success: false,
+            error: error.message || 'Payout processing failed',
+            status: 'failed',
+          });
+        }
+      }
+    }
+
+    return payouts.map(payout => results.get(payout.reference) || {
+      reference: payout.reference,
+      success: false,
+      error: 'Transfer missing from the bulk transfer response',
+      status: 'failed',
+    });
+  }
+
+  async refundTransaction({
+    transactionId,
+    amount,
+    currency,
+  }) {
+    try {
+      this.assertConfigured();
+
+      // For Paystack, refund using transaction reference
+      // The old Paystack SDK doesn't have transaction.refund, so we use the HTTP API directly
+      const https = require('https');
+      const secretKey = process.env.PAYSTACK_SECRET_KEY;
+
+      if (!secretKey) {
+        throw new Error('Paystack secret key not configured');
+      }
+
+      // Prepare refund payload
+      const refundPayload = {
+        transaction: transactionId,
+        currency: currency.toUpperCase(),
+      };
+
+      // Add amount for partial refund
+      if (amount) {
+        refundPayload.amount = this.convertToSmallestUnit(amount, currency);
+      }
+
+      // Make HTTP request to Paystack refund API
+      const refund = await new Promise((resolve, reject) => {
+        const postData = JSON.stringify(refundPayload);
+
+        const options = {
+          hostname: 'api.paystack.co',
+          port: 443,
+          path: '/refund',
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${secretKey}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData),
+          },
+        };
+
+        const req = https.request(options, (res) => {
+          let data = '';
+
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+
+          res.on('end', () => {
+            try {
+              const response = JSON.parse(data);
+              resolve(response);
+            } catch (parseError) {
+              reject(new Error(`Failed to parse Paystack response: ${parseError.message}`));
+            }
+          });
+        });
+
+        req.on('error', (error) => {
+          reject(error);
+        });
+
+        req.write(postData);
+        req.end();
+      });
+
+      if (refund.status && refund.data && refund.data.status === 'processed') {
+        return {
+          success: true,
+          refundId: refund.data.id ? refund.data.id.toString() : null,
+          transactionRefunded: refund.data.transaction?.reference || transactionId,
+          amount: refund.data.amount ? this.convertFromSmallestUnit(refund.data.amount, currency) : amount,
+          currency: refund.data.currency || currency.toUpperCase(),
+          status: refund.data.status,
+        };
+      }
+
+      return {
+        success: false,
+        error: refund.message || 'Refund failed',
+        status: refund.data?.status || 'failed',
+      };
+    } catch (error) {
+      console.error(`Error refunding transaction with ${this.name}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Refund processing failed',
+        status: 'failed',
+      };
+    }
+  }
+
+  getPayoutFee(amount, currency) {
+    let fee = 0;
+
+    // Paystack: ₦10 flat fee per transfer (NGN)
+    if (currency === 'NGN') {
+      fee = 10; // ₦10
+    } else {
+      // Other currencies may have different fees
+      fee = this.convertToSmallestUnit(10, 'NGN'); // Estimate
+    }
+
+    return fee;
+  }
+
+  getSettlementDelayHours(currency) {
+    // Paystack settles card payments the next business day (T+1)
+    return parseInt(process.env.PAYSTACK_SETTLEMENT_DELAY_HOURS || '24', 10);
+  }
+
+  /**
+   * Make a GET request to the Paystack HTTP API
+   * (the Paystack SDK has no date-filtered list calls)
+   * @param {string} path - API path including query string
+   * @returns {Promise<Object>} - Parsed Paystack response
+   */
+  async paystackApiGet(path) {
+    return this.paystackApiRequest('GET', path);
+  }
+
+  /**
+   * Make a request to the Paystack HTTP API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path including query string
+   * @param {Object} body - JSON body (optional)
+   * @returns {Promise<Object>} - Parsed Paystack response
+   */
+  async paystackApiRequest(method, path, body = null) {
+    const https = require('https');
+    const secretKey = process.env.PAYSTACK_SECRET_KEY;
+
+    if (!secretKey) {
+      throw new Error('Paystack secret key not configured');
+    }
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        hostname: 'api.paystack.co',
+        port: 443,
+        path,
+        method,
+        headers: {
+          'Authorization': `Bearer ${secretKey}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+      };
+
+      const req = https.request(options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (parseError) {
+            reject(new Error(`Failed to parse Paystack response: ${parseError.message}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      if (body) {
+        req.write(JSON.stringify(body));
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Fetch every page of a Paystack list endpoint for a date range
+   * @param {string} resource - 'transaction' or 'transfer'
+   * @param {Date} since - Start of range (inclusive)
+   * @param {Date} until - End of range (exclusive)
+   * @returns {Promise<Array>} - Raw Paystack records
+   */
+  async listPaystackRecords(resource, since, until) {
+    const perPage = 100;
+    const records = [];
+    let page = 1;
+
+    while (true) {
+      const query = new URLSearchParams({
+        from: since.toISOString(),
+        to: until.toISOString(),
+        perPage: String(perPage),
+        page: String(page),
+      });
+      const response = await this.paystackApiGet(`/${resource}?${query.toString()}`);
+
+      if (!response.status) {
+        throw new Error(response.message || `Failed to list Paystack ${resource}s`);
+      }
+
+      records.push(...(response.data || []));
+
+      const pageCount = response.meta?.pageCount || 1;
+      if (page >= pageCount || !response.data || response.data.length === 0) {
+        break;
+      }
+      page++;
+    }
+
+    return records;
+  }
+
+
+  async listPayments({ since, until }) {
+    try {
+      this.assertConfigured();
+
+      const transactions = await this.listPaystackRecords('transaction', since, until);
+
+      const statusMap = {
+        success: 'succeeded',
+        failed: 'failed',
+        abandoned: 'failed',
+        reversed: 'failed',
+      };
+
+      return transactions.map(transaction => ({
+        providerTransactionId: transaction.reference,
+        amount: this.convertFromSmallestUnit(transaction.amount, transaction.currency),
+        currency: transaction.currency,
+        status: statusMap[transaction.status] || 'pending',
+        createdAt: new Date(transaction.created_at || transaction.createdAt),
+      }));
+    } catch (error) {
+      console.error(`Error listing payments with ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  async listPayouts({ since, until }) {
+    try {
+      this.assertConfigured();
+
+      const transfers = await this.listPaystackRecords('transfer', since, until);
+
+      const statusMap = {
+        success: 'succeeded',
+        failed: 'failed',
+        reversed: 'failed',
+      };
+
+      return transfers.map(transfer => ({
+        providerTransactionId: transfer.reference,
+        amount: this.convertFromSmallestUnit(transfer.amount, transfer.currency),
+        currency: transfer.currency,
+        status: statusMap[transfer.status] || 'pending', // 'pending', 'otp', 'processing'
+        createdAt: new Date(transfer.createdAt || transfer.created_at),
+      }));
+    } catch (error) {
+      console.error(`Error listing payouts with ${this.name}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PaystackProvider;
@@ -0,0 +1,701 @@
+const Stripe = require('stripe');
+const { BaseProvider } = require('./baseProvider');
+
+/**
+ * Stripe adapter
+ * Card charges via PaymentIntents, payouts via the Payouts API
+ */
+class StripeProvider extends BaseProvider {
+  constructor() {
+    super('stripe');
+
+    // Initialize Stripe if API key is available
+    this.stripe = process.env.STRIPE_SECRET_KEY
+      ? new Stripe(process.env.STRIPE_SECRET_KEY, {
+          apiVersion: '2024-11-20.acacia',
+        })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.stripe);
+  }
+
+  getCustomerId(user) {
+    return user.stripe_customer_id || null;
+  }
+
+  async createCustomer({ email, name }) {
+    try {
+      this.assertConfigured();
+      const customer = await this.stripe.customers.create({
+        email,
+        name,
+      });
+      return customer.id;
+    } catch (error) {
+      console.error(`Error creating customer with ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  async createPaymentMethod(paymentMethodData, customerId) {
+    try {
+      this.assertConfigured();
+      // For Stripe, we'll create a SetupIntent for saving cards
+      // Frontend will handle the actual card collection
+      const setupIntent = await this.stripe.setupIntents.create({
+        customer: customerId,
+        payment_method_types: ['card'],
+      });
+      return setupIntent.id;
+    } catch (error) {
+      console.error(`Error creating payment method with ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  async chargePaymentMethod({
+    paymentMethodId,
+    amount, // Amount in main currency unit
+    currency,
+    customerId,
+    description,
+    metadata = {},
+  }) {
+    try {
+      this.assertConfigured();
+
+      // Validate card funding type - only allow debit cards (except in test mode)
+      // Allow credit cards in test mode for testing with Stripe test cards
+      const isTestMode = process.env.STRIPE_SECRET_KEY && process.env.STRIPE_SECRET_KEY.startsWith('sk_test_');
+
+      if (!isTestMode) {
+        try {
+          const paymentMethod = await this.stripe.paymentMethods.retrieve(paymentMethodId);
+          if (paymentMethod && paymentMethod.card && paymentMethod.card.funding) {
+            const funding = paymentMethod.card.funding;
+            if (funding === 'credit') {
+              return {
+                success: false,
+                error: 'Credit cards are not accepted. Please use a debit card.',
+                status: 'failed',
+              };
+            }
+            if (funding === 'prepaid') {
+              return {
+                success: false,
+                error: 'Prepaid cards are not accepted. Please use a debit card.',
+                status: 'failed',
+              };
+            }
+            // Allow 'debit' and 'unknown' (some cards may not have funding type available)
+          }
+        } catch (retrieveError) {
+          // If we can't retrieve the payment method, log warning but continue
+          // (payment method might be valid but retrieval failed)
+          console.warn('Could not retrieve payment method to check funding type:', retrieveError.message);
+        }
+      } else {
+        // In test mode, allow all card types (including credit cards for testing)
+        console.log(`⚠️  Test mode: Allowing all card types for payment method: ${paymentMethodId}`);
+      }
+
+      // Convert amount to cents
+      const amountInCents = this.convertToSmallestUnit(amount, currency);
+
+      // Ensure payment method is attached to customer (required for Stripe)
+      // This is necessary because payment methods can only be reused if they're attached to a customer
+      try {
+        const paymentMethod = await this.stripe.paymentMethods.retrieve(paymentMethodId);
+        // Check if payment method is already attached to this customer
+        if (!paymentMethod.customer || paymentMethod.customer !== customerId) {
+          // Attach payment method to customer
+          await this.stripe.paymentMethods.attach(paymentMethodId, {
+            customer: customerId,
+          });
+        }
+      } catch (attachError) {
+        // Check if this is the "cannot reuse payment method" error
+        if (attachError.message && attachError.message.includes('previously used') && attachError.message.includes('without Customer attachment')) {
+          return {
+            success: false,
+            error: 'This payment method cannot be reused. Please add a new payment method in the app settings.',
+            status: 'failed',
+            requiresNewPaymentMethod: true,
+          };
+        }
+        // If payment method is already attached, ignore the error
+        // If it's a different error, log it but continue (might still work)
+        if (!attachError.message.includes('already been attached')) {
+          console.warn('Could not attach payment method to customer:', attachError.message);
+        }
+      }
+
+      // Create payment intent with idempotency key
+      const idempotencyKey = metadata.idempotencyKey || `charge_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+      let paymentIntent;
+      try {
+        paymentIntent = await this.stripe.paymentIntents.create({
+          amount: amountInCents,
+          currency: currency.toLowerCase(),
+          customer: customerId,
+          payment_method: paymentMethodId,
+          description,
+          metadata: {
+            ...metadata,
+            idempotencyKey,
+          },
+          confirm: true,
+          return_url: process.env.FRONTEND_URL || 'https://groupfund.app',
+        }, {
+          idempotencyKey,
+        });
+      } catch (createError) {
+        // Check if this is the "cannot reuse payment method" error
+        if (createError.message && createError.message.includes('previously used') && createError.message.includes('without Customer attachment')) {
+          return {
+            success: false,
+            error: 'This payment method cannot be reused. Please add a new payment method in the app settings.',
+            status: 'failed',
+            requiresNewPaymentMethod: true,
+          };
+        }
+        // Re-throw other errors
+        throw createError;
+      }
+
+      if (paymentIntent.status === 'succeeded') {
+        return {
+          success: true,
+          transactionId: paymentIntent.id,
+          chargeId: paymentIntent.latest_charge,
+          amount: this.convertFromSmallestUnit(paymentIntent.amount, currency),
+          amountInSmallestUnit: paymentIntent.amount,
+          currency: paymentIntent.currency.toUpperCase(),
+          status: paymentIntent.status,
+        };
+      }
+
+      // Handle requires_action (3D Secure)
+      if (paymentIntent.status === 'requires_action') {
+        return {
+          success: false,
+          requiresAction: true,
+          clientSecret: paymentIntent.client_secret,
+          transactionId: paymentIntent.id,
+          status: paymentIntent.status,
+        };
+      }
+
+      return {
+        success: false,
+        error: paymentIntent.last_payment_error?.message || 'Payment failed',
+        status: paymentIntent.status,
+        declineCode: paymentIntent.last_payment_error?.decline_code,
+      };
+    } catch (error) {
+      console.error(`Error charging payment method with ${this.name}:`, error);
+
+      // Don't expose sensitive error details
+      const userMessage = error.type === 'StripeCardError'
+        ? 'Your card was declined. Please check your card details.'
+        : error.message || 'Payment processing failed';
+
+      return {
+        success: false,
+        error: userMessage,
+        status: 'failed',
+        internalError: error.message, // Log internally but don't expose
+      };
+    }
+  }
+
+  async createCheckoutSession({
+    amount, // Amount in main currency unit
+    currency,
+    email,
+    description,
+    metadata = {},
+    reference,
+    successUrl,
+    cancelUrl,
+  }) {
+    try {
+      this.assertConfigured();
+
+      // The metadata is copied onto the PaymentIntent, so payment_intent.succeeded carries it
+      const session = await this.stripe.checkout.sessions.create({
+        mode: 'payment',
+        customer_email: email,
+        client_reference_id: reference,
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: currency.toLowerCase(),
+            unit_amount: this.convertToSmallestUnit(amount, currency),
+            product_data: { name: description },
+          },
+        }],
+        payment_intent_data: {
+          description,
+          metadata,
+        },
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      }, {
+        idempotencyKey: `checkout_${reference}`,
+      });
+
+      return {
+        success: true,
+        checkoutUrl: session.url,
+        checkoutReference: session.id,
+      };
+    } catch (error) {
+      console.error(`Error creating checkout session with ${this.name}:`, error);
+      return {
+        success: false,
+        error: 'Could not start the checkout. Please try again.',
+        internalError: error.message,
+      };
+    }
+  }
+
+  verifyWebhookSignature(payload, signature) {
+    try {
+      if (!this.isConfigured()) {
+        return false;
+      }
+
+      const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+      if (!webhookSecret) {
+        console.error('STRIPE_WEBHOOK_SECRET not configured');
+        return false;
+      }
+
+      const event = this.stripe.webhooks.constructEvent(
+        payload,
+        signature,
+        webhookSecret
+      );
+      return !!event;
+    } catch (error) {
+      console.error(`Error verifying webhook signature for ${this.name}:`, error);
+      return false;
+    }
+  }
+
+  getProcessorFeeRate(currency) {
+    let processorFeePercent = 0;
+    let processorFeeFixed = 0;
+
+    // Stripe fees for UK merchants
+    // UK cards: 1.5% + £0.20
+    // European (EEA) cards: 2.5% + £0.20
+    // International (non-EEA) cards: 3.25% + £0.20
+    // Currency conversion: +2% if currency differs from settlement currency (GBP)
+
+    // Use conservative estimate (international rate) since we can't know card origin in advance
+    // For non-GBP currencies, add currency conversion fee
+    if (currency === 'GBP') {
+      // UK currency - no conversion fee
+      processorFeePercent = 2.5; // Average between UK (1.5%) and EEA (2.5%)
+      processorFeeFixed = 0.20; // £0.20
+    } else if (currency === 'EUR') {
+      // European currency - EEA card + conversion
+      processorFeePercent = 4.5; // 2.5% + 2% conversion
+      processorFeeFixed = 0.20; // €0.20 (approximately £0.17)
+    } else if (currency === 'USD') {
+      // US currency - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      processorFeeFixed = 0.30; // $0.30 (Stripe's standard USD fixed fee)
+    } else if (currency === 'NGN') {
+      // Nigerian currency - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ ₦250-300 (using approximate exchange rate ~1250-1500 NGN/GBP)
+      processorFeeFixed = 250; // ₦250 (approximately £0.20 at current rates)
+    } else if (currency === 'KES') {
+      // Kenyan Shilling - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ KSh 30-35 (using approximate exchange rate ~150-175 KES/GBP)
+      processorFeeFixed = 30; // KSh 30 (approximately £0.20 at current rates)
+    } else if (currency === 'GHS') {
+      // Ghanaian Cedi - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ ₵3-4 (using approximate exchange rate ~15-20 GHS/GBP)
+      processorFeeFixed = 3; // ₵3 (approximately £0.20 at current rates)
+    } else if (currency === 'ZAR') {
+      // South African Rand - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ R4-5 (using approximate exchange rate ~20-25 ZAR/GBP)
+      processorFeeFixed = 4; // R4 (approximately £0.20 at current rates)
+    } else if (currency === 'CAD') {
+      // Canadian Dollar - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ C$0.30-0.35 (using approximate exchange rate ~1.5-1.75 CAD/GBP)
+      processorFeeFixed = 0.30; // C$0.30 (approximately £0.20 at current rates)
+    } else if (currency === 'AUD') {
+      // Australian Dollar - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ A$0.35-0.40 (using approximate exchange rate ~1.75-2 AUD/GBP)
+      processorFeeFixed = 0.35; // A$0.35 (approximately £0.20 at current rates)
+    } else if (currency === 'JPY') {
+      // Japanese Yen - international card + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      // Fixed fee: £0.20 ≈ ¥30-35 (using approximate exchange rate ~150-175 JPY/GBP)
+      processorFeeFixed = 30; // ¥30 (approximately £0.20 at current rates)
+    } else {
+      // Other currencies - use international rate + conversion
+      processorFeePercent = 5.25; // 3.25% + 2% conversion
+      processorFeeFixed = 0.20; // Default to £0.20 equivalent (will need manual adjustment)
+    }
+
+    return { percent: processorFeePercent, fixed: processorFeeFixed };
+  }
+
+  async validateBankAccount(bankAccountData) {
+    if (!this.isConfigured()) {
+      return super.validateBankAccount(bankAccountData);
+    }
+
+    try {
+      const {
+        accountNumber,
+        routingNumber,
+        accountHolderName,
+        accountHolderType = 'individual',
+        currency,
+        country,
+        iban,
+      } = bankAccountData;
+
+      // For USD (US bank accounts)
+      if (currency === 'USD' && country === 'US') {
+        if (!routingNumber || !accountNumber) {
+          return {
+            valid: false,
+            error: 'Routing number and account number are required for US bank accounts',
+          };
+        }
+
+        try {
+          // Create a bank account token to validate the account
+          const token = await this.stripe.tokens.create({
+            bank_account: {
+              country: 'US',
+              currency: 'usd',
+              account_number: accountNumber,
+              routing_number: routingNumber,
+              account_holder_name: accountHolderName,
+              account_holder_type: accountHolderType,
+            },
+          });
+
+          // Check if token was created successfully
+          if (token && token.id) {
+            return {
+              valid: true,
+              tokenId: token.id,
+              bankAccount: token.bank_account,
+            };
+          }
+
+          return {
+            valid: false,
+            error: 'Failed to validate bank account',
+          };
+        } catch (error) {
+          // Stripe will return an error if the bank account is invalid
+          return {
+            valid: false,
+            error: error.message || 'Invalid bank account details',
+            stripeError: error.type || null,
+          };
+        }
+      }
+
+      // For EUR/GBP (European/UK bank accounts using IBAN)
+      if ((currency === 'EUR' || currency === 'GBP') && iban) {
+        try {
+          // Validate IBAN format and create token
+          const countryCode = currency === 'GBP' ? 'GB' : 'EU';
+          const token = await this.stripe.tokens.create({
+            bank_account: {
+              country: countryCode,
+              currency: currency.toLowerCase(),
+              account_number: iban, // IBAN can be used as account_number for EUR/GBP
+              account_holder_name: accountHolderName,
+              account_holder_type: accountHolderType,
+            },
+          });
+
+          if (token && token.id) {
+            return {
+              valid: true,
+              tokenId: token.id,
+              bankAccount: token.bank_account,
+            };
+          }
+
+          return {
+            valid: false,
+            error: 'Failed to validate bank account',
+          };
+        } catch (error) {
+          return {
+            valid: false,
+            error: error.message || 'Invalid bank account details',
+            stripeError: error.type || null,
+          };
+        }
+      }
+
+      // For EUR/GBP without IBAN (using account number and sort code for UK)
+      if (currency === 'GBP' && !iban && accountNumber && routingNumber) {
+        try {
+          const token = await this.stripe.tokens.create({
+            bank_account: {
+              country: 'GB',
+              currency: 'gbp',
+              account_number: accountNumber,
+              routing_number: routingNumber, // Sort code for UK
+              account_holder_name: accountHolderName,
+              account_holder_type: accountHolderType,
+            },
+          });
+
+          if (token && token.id) {
+            return {
+              valid: true,
+              tokenId: token.id,
+              bankAccount: token.bank_account,
+            };
+          }
+
+          return {
+            valid: false,
+            error: 'Failed to validate bank account',
+          };
+        } catch (error) {
+          return {
+            valid: false,
+            error: error.message || 'Invalid bank account details',
+            stripeError: error.type || null,
+          };
+        }
+      }
+
+      return {
+        valid: false,
+        error: `Bank account validation not supported for ${currency} without required fields`,
+      };
+    } catch (error) {
+      console.error('Error validating bank account:', error);
+      return {
+        valid: false,
+        error: error.message || 'Error validating bank account',
+      };
+    }
+  }
+
+  buildPayoutBankAccount(bankAccount, currency) {
+    // Routing number and other international fields
+    return {
+      accountNumber: bankAccount.account_number,
+      routingNumber: bankAccount.routing_number, // Required for US banks
+      accountName: bankAccount.account_name,
+      country: currency === 'USD' ? 'US' : (currency === 'GBP' ? 'GB' : null),
+      iban: bankAccount.iban, // For EU/UK banks
+      swiftBic: bankAccount.swift_bic,
+      sortCode: bankAccount.sort_code, // For UK banks
+      branchCode: bankAccount.branch_code,
+    };
+  }
+
+  async createPayout({
+    amount,
+    currency,
+    bankAccount,
+    description,
+  }) {
+    try {
+      this.assertConfigured();
+
+      // For Stripe, we need to create a payout to external bank account
+      // This requires creating an External Account first (simplified approach)
+      // Note: For production, you may need to use Stripe Connect or Payouts API
+
+      // Convert amount to smallest currency unit
+      const amountInCents = this.convertToSmallestUnit(amount, currency);
+
+      // For Stripe, we'll use the Payouts API which requires a connected account
+      // For direct bank transfers, use the bank account information
+      // This is a simplified version - production may require more setup
+
+      // Create payout to external bank account
+      // Note: In production, you'll need to set up bank account tokens/external accounts
+      const payout = await this.stripe.payouts.create({
+        amount: amountInCents,
+        currency: currency.toLowerCase(),
+        method: 'standard', // or 'instant' for faster (higher fees)
+        description: description || 'Withdrawal',
+        // For production, you'll need to attach a bank account or use Stripe Connect
+        // destination: bankAccount.externalAccountId, // External account ID
+      });
+
+      return {
+        success: true,
+        payoutId: payout.id,
+        amount: this.convertFromSmallestUnit(payout.amount, currency),
+        currency: payout.currency.toUpperCase(),
+        status: payout.status,
+        arrivalDate: payout.arrival_date,
+      };
+    } catch (error) {
+      console.error(`Error creating payout with ${this.name}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Payout processing failed',
+        status: 'failed',
+      };
+    }
+  }
+
+  async refundTransaction({
+    transactionId,
+    amount,
+    currency,
+  }) {
+    try {
+      this.assertConfigured();
+
+      // For Stripe, refund using charge ID or payment intent ID (what auto-debits store)
+      const refundParams = String(transactionId).startsWith('pi_')
+        ? { payment_intent: transactionId }
+        : { charge: transactionId };
+
+      if (amount) {
+        // Partial refund
+        refundParams.amount = this.convertToSmallestUnit(amount, currency);
+      }
+
+      const refund = await this.stripe.refunds.create(refundParams);
+
+      return {
+        success: true,
+        refundId: refund.id,
+        amount: this.convertFromSmallestUnit(refund.amount, currency),
+        currency: refund.currency.toUpperCase(),
+        status: refund.status,
+      };
+    } catch (error) {
+      console.error(`Error refunding transaction with ${this.name}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Refund processing failed',
+        status: 'failed',
+      };
+    }
+  }
+
+  getPayoutFee(amount, currency) {
+    let fee = 0;
+
+    // Stripe payout fees:
+    // USD: 1% fee
+    // CAD: 1% fee
+    // AUD: 1% fee
+    // EUR: Free (0%)
+    // GBP: Free (0%)
+    if (currency === 'USD' || currency === 'CAD' || currency === 'AUD') {
+      fee = amount * 0.01; // 1% fee for USD, CAD, and AUD
+    } else if (currency === 'EUR' || currency === 'GBP') {
+      fee = 0; // Free for EUR and GBP
+    } else {
+      // Other currencies not supported yet
+      fee = 0;
+    }
+
+    return fee;
+  }
+
+  getSettlementDelayHours(currency) {
+    // Stripe pays card funds into the balance on a rolling 2-day schedule by default
+    return parseInt(process.env.STRIPE_SETTLEMENT_DELAY_HOURS || '48', 10);
+  }
+
+  async listPayments({ since, until }) {
+    try {
+      this.assertConfigured();
+
+      const balanceTransactions = await this.stripe.balanceTransactions
+        .list({
+          created: {
+            gte: Math.floor(since.getTime() / 1000),
+            lt: Math.floor(until.getTime() / 1000),
+          },
+          expand: ['data.source'],
+          limit: 100,
+        })
+        .autoPagingToArray({ limit: 10000 });
+
+      return balanceTransactions
+        .filter(bt => bt.type === 'charge' || bt.type === 'payment')
+        .map((bt) => {
+          const currency = bt.currency.toUpperCase();
+          const charge = bt.source && typeof bt.source === 'object' ? bt.source : null;
+          return {
+            providerTransactionId: charge?.payment_intent || charge?.id || bt.id,
+            amount: this.convertFromSmallestUnit(bt.amount, currency),
+            currency,
+            status: 'succeeded', // A charge balance transaction only exists once the charge succeeded
+            createdAt: new Date(bt.created * 1000),
+          };
+        });
+    } catch (error) {
+      console.error(`Error listing payments with ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  async listPayouts({ since, until }) {
+    try {
+      this.assertConfigured();
+
+      const payouts = await this.stripe.payouts
+        .list({
+          created: {
+            gte: Math.floor(since.getTime() / 1000),
+            lt: Math.floor(until.getTime() / 1000),
+          },
+          limit: 100,
+        })
+        .autoPagingToArray({ limit: 10000 });
+
+      const statusMap = {
+        paid: 'succeeded',
+        failed: 'failed',
+        canceled: 'failed',
+      };
+
+      // Automatic payouts sweep the platform balance to our own bank account - they are not withdrawals
+      return payouts.filter(payout => !payout.automatic).map((payout) => {
+        const currency = payout.currency.toUpperCase();
+        return {
+          providerTransactionId: payout.id,
+          amount: this.convertFromSmallestUnit(payout.amount, currency),
+          currency,
+          status: statusMap[payout.status] || 'pending', // 'pending' and 'in_transit'
+          createdAt: new Date(payout.created * 1000),
+        };
+      });
+    } catch (error) {
+      console.error(`Error listing payouts with ${this.name}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StripeProvider;
@@ -1,33 +1,67 @@
-const Stripe = require('stripe');
-const Paystack = require('paystack')(process.env.PAYSTACK_SECRET_KEY);
 require('dotenv').config();
+const providerRegistry = require('./paymentProviders');
+const { toSmallestUnit, fromSmallestUnit } = require('./paymentProviders/baseProvider');
+const feeScheduleService = require('./feeScheduleService');
+
+// Platform fee when no contribution fee schedule is in effect
+const DEFAULT_PLATFORM_FEE_PERCENT = 1;
 
 /**
  * Payment Service Abstraction Layer
- * Provides unified interface for Stripe and Paystack payment processing
+ * Provides a unified interface over the provider adapters in ./paymentProviders
+ * (provider-specific logic lives in the adapters, not here)
  */
 class PaymentService {
-  constructor() {
-    // Initialize Stripe if API key is available
-    this.stripe = process.env.STRIPE_SECRET_KEY 
-      ? new Stripe(process.env.STRIPE_SECRET_KEY, {
-          apiVersion: '2024-11-20.acacia',
-        })
-      : null;
-    
-    // Paystack is initialized above
-    this.paystack = process.env.PAYSTACK_SECRET_KEY ? Paystack : null;
+  /**
+   * Raw Stripe client (null if Stripe is not configured)
+   */
+  get stripe() {
+    return providerRegistry.getProvider('stripe').stripe || null;
+  }
+
+  /**
+   * Raw Paystack client (null if Paystack is not configured)
+   */
+  get paystack() {
+    return providerRegistry.getProvider('paystack').paystack || null;
   }
 
   /**
    * Select appropriate payment provider based on currency/country
+   * Routing rules live in ./paymentProviders/index.js
    * @param {string} currency - Currency code (NGN, USD, etc.)
    * @param {string} country - Country code (NG, KE, GH, ZA, etc.)
    * @returns {string} - Provider name: 'stripe' or 'paystack'
    */
   selectProvider(currency, country) {
-    // Always use Stripe for all currencies
-    return 'stripe';
+    return providerRegistry.selectProvider(currency, country);
+  }
+
+  /**
+   * Get the adapter for a provider
+   * @param {string} provider - Provider name
+   * @returns {BaseProvider} - Provider adapter
+   */
+  getProvider(provider) {
+    return providerRegistry.getProvider(provider);
+  }
+
+  /**
+   * Providers that have credentials configured
+   * @returns {Array<string>} - Provider names
+   */
+  getConfiguredProviders() {
+    return providerRegistry.getConfiguredProviders();
+  }
+
+  /**
+   * Get a user's customer ID for a provider
+   * @param {Object} user - Row with the provider customer ID columns (stripe_customer_id, paystack_customer_code)
+   * @param {string} provider - Provider name
+   * @returns {string|null} - Customer ID
+   */
+  getCustomerId(user, provider) {
+    return this.getProvider(provider).getCustomerId(user);
   }
 
   /**
@@ -39,29 +73,7 @@ class PaymentService {
    * @returns {Promise<string>} - Customer ID
    */
   async createCustomer({ email, name }, provider = 'stripe') {
-    try {
-      if (provider === 'stripe' && this.stripe) {
-        const customer = await this.stripe.customers.create({
-          email,
-          name,
-        });
-        return customer.id;
-      } else if (provider === 'paystack' && this.paystack) {
-        const response = await this.paystack.customer.create({
-          email,
-          first_name: name.split(' ')[0] || name,
-          last_name: name.split(' ').slice(1).join(' ') || '',
-        });
-        if (response.status) {
-          return response.data.customer_code;
-        }
-        throw new Error(response.message || 'Failed to create Paystack customer');
-      }
-      throw new Error(`Provider ${provider} not configured`);
-    } catch (error) {
-      console.error(`Error creating customer with ${provider}:`, error);
-      throw error;
-    }
+    return this.getProvider(provider).createCustomer({ email, name });
   }
 
   /**
@@ -72,26 +84,7 @@ class PaymentService {
    * @returns {Promise<string>} - Payment method ID
    */
   async createPaymentMethod(paymentMethodData, customerId, provider = 'stripe') {
-    try {
-      if (provider === 'stripe' && this.stripe) {
-        // For Stripe, we'll create a SetupIntent for saving cards
-        // Frontend will handle the actual card collection
-        const setupIntent = await this.stripe.setupIntents.create({
-          customer: customerId,
-          payment_method_types: ['card'],
-        });
-        return setupIntent.id;
-      } else if (provider === 'paystack' && this.paystack) {
-        // For Paystack, we'll use authorization API
-        // Frontend will handle the actual card authorization
-        // This is a placeholder - actual implementation depends on Paystack authorization flow
-        throw new Error('Paystack payment method creation requires frontend integration');
-      }
-      throw new Error(`Provider ${provider} not configured`);
-    } catch (error) {
-      console.error(`Error creating payment method with ${provider}:`, error);
-      throw error;
-    }
+    return this.getProvider(provider).createPaymentMethod(paymentMethodData, customerId);
   }
 
   /**
@@ -100,81 +93,7 @@ class PaymentService {
    * @returns {Promise<Object>} - Transaction details with authorization and card info
    */
   async verifyPaystackTransaction(transactionReference) {
-    try {
-      if (!this.paystack) {
-        throw new Error('Paystack not configured');
-      }
-
-      const response = await this.paystack.transaction.verify(transactionReference);
-
-      if (!response.status || !response.data) {
-        throw new Error(response.message || 'Failed to verify transaction');
-      }
-
-      const transaction = response.data;
-      
-      // Check if transaction was successful
-      if (transaction.status !== 'success') {
-        throw new Error(`Transaction not successful. Status: ${transaction.status}`);
-      }
-
-      // Extract authorization code (payment method ID for future charges)
-      const authorization = transaction.authorization;
-      if (!authorization) {
-        throw new Error('No authorization found in transaction. This may not be a card payment.');
-      }
-
-      const authorizationCode = authorization.authorization_code;
-      if (!authorizationCode) {
-        throw new Error('No authorization code found in transaction');
-      }
-
-      // Extract card details including expiry date
-      // Paystack authorization object includes exp_month and exp_year as strings
-      let expiryMonth = null;
-      let expiryYear = null;
-      
-      if (authorization.exp_month) {
-        expiryMonth = typeof authorization.exp_month === 'string' 
-          ? parseInt(authorization.exp_month, 10) 
-          : authorization.exp_month;
-      }
-      
-      if (authorization.exp_year) {
-        expiryYear = typeof authorization.exp_year === 'string' 
-          ? parseInt(authorization.exp_year, 10) 
-          : authorization.exp_year;
-      }
-
-      const cardDetails = {
-        authorizationCode: authorizationCode,
-        last4: authorization.last4 || null,
-        brand: authorization.brand || null,
-        cardType: authorization.card_type || null,
-        bank: authorization.bank || null,
-        bin: authorization.bin || null,
-        expiryMonth: expiryMonth,
-        expiryYear: expiryYear,
-      };
-
-      return {
-        success: true,
-        transactionReference: transaction.reference,
-        transactionId: transaction.id.toString(),
-        amount: this.convertFromSmallestUnit(transaction.amount, transaction.currency),
-        currency: transaction.currency,
-        authorizationCode: authorizationCode,
-        cardDetails: cardDetails,
-        customer: transaction.customer || null,
-        metadata: transaction.metadata || {},
-      };
-    } catch (error) {
-      console.error('Error verifying Paystack transaction:', error);
-      return {
-        success: false,
-        error: error.message || 'Failed to verify transaction',
-      };
-    }
+    return this.getProvider('paystack').verifyTransaction(transactionReference);
   }
 
   /**
@@ -184,8 +103,7 @@ class PaymentService {
    * @returns {number} - Amount in smallest currency unit
    */
   convertToSmallestUnit(amount, currency) {
-    // For most currencies, multiply by 100 (cents, kobo, etc.)
-    return Math.round(amount * 100);
+    return toSmallestUnit(amount, currency);
   }
 
   /**
@@ -195,7 +113,7 @@ class PaymentService {
    * @returns {number} - Amount in main currency unit
    */
   convertFromSmallestUnit(amount, currency) {
-    return amount / 100;
+    return fromSmallestUnit(amount, currency);
   }
 
   /**
@@ -297,195 +215,68 @@ class PaymentService {
     description,
     metadata = {},
   }, provider = 'stripe') {
-    try {
-      // Validate amount
-      const validation = this.validateAmount(amount, currency);
-      if (!validation.valid) {
-        return {
-          success: false,
-          error: validation.error,
-          status: 'failed',
-        };
-      }
-
-      if (provider === 'stripe' && this.stripe) {
-        // Validate card funding type - only allow debit cards (except in test mode)
-        // Allow credit cards in test mode for testing with Stripe test cards
-        const isTestMode = process.env.STRIPE_SECRET_KEY && process.env.STRIPE_SECRET_KEY.startsWith('sk_test_');
-        
-        if (!isTestMode) {
-          try {
-            const paymentMethod = await this.stripe.paymentMethods.retrieve(paymentMethodId);
-            if (paymentMethod && paymentMethod.card && paymentMethod.card.funding) {
-              const funding = paymentMethod.card.funding;
-              if (funding === 'credit') {
-                return {
-                  success: false,
-                  error: 'Credit cards are not accepted. Please use a debit card.',
-                  status: 'failed',
-                };
-              }
-              if (funding === 'prepaid') {
-                return {
-                  success: false,
-                  error: 'Prepaid cards are not accepted. Please use a debit card.',
-                  status: 'failed',
-                };
-              }
-              // Allow 'debit' and 'unknown' (some cards may not have funding type available)
-            }
-          } catch (retrieveError) {
-            // If we can't retrieve the payment method, log warning but continue
-            // (payment method might be valid but retrieval failed)
-            console.warn('Could not retrieve payment method to check funding type:', retrieveError.message);
-          }
-        } else {
-          // In test mode, allow all card types (including credit cards for testing)
-          console.log(`⚠️  Test mode: Allowing all card types for payment method: ${paymentMethodId}`);
-        }
-
-        // Convert amount to cents
-        const amountInCents = this.convertToSmallestUnit(amount, currency);
-
-        // Ensure payment method is attached to customer (required for Stripe)
-        // This is necessary because payment methods can only be reused if they're attached to a customer
-        try {
-          const paymentMethod = await this.stripe.paymentMethods.retrieve(paymentMethodId);
-          // Check if payment method is already attached to this customer
-          if (!paymentMethod.customer || paymentMethod.customer !== customerId) {
-            // Attach payment method to customer
-            await this.stripe.paymentMethods.attach(paymentMethodId, {
-              customer: customerId,
-            });
-          }
-        } catch (attachError) {
-          // Check if this is the "cannot reuse payment method" error
-          if (attachError.message && attachError.message.includes('previously used') && attachError.message.includes('without Customer attachment')) {
-            return {
-              success: false,
-              error: 'This payment method cannot be reused. Please add a new payment method in the app settings.',
-              status: 'failed',
-              requiresNewPaymentMethod: true,
-            };
-          }
-          // If payment method is already attached, ignore the error
-          // If it's a different error, log it but continue (might still work)
-          if (!attachError.message.includes('already been attached')) {
-            console.warn('Could not attach payment method to customer:', attachError.message);
-          }
-        }
-
-        // Create payment intent with idempotency key
-        const idempotencyKey = metadata.idempotencyKey || `charge_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-        
-        let paymentIntent;
-        try {
-          paymentIntent = await this.stripe.paymentIntents.create({
-            amount: amountInCents,
-            currency: currency.toLowerCase(),
-            customer: customerId,
-            payment_method: paymentMethodId,
-            description,
-            metadata: {
-              ...metadata,
-              idempotencyKey,
-            },
-            confirm: true,
-            return_url: process.env.FRONTEND_URL || 'https://groupfund.app',
-          }, {
-            idempotencyKey,
-          });
-        } catch (createError) {
-          // Check if this is the "cannot reuse payment method" error
-          if (createError.message && createError.message.includes('previously used') && createError.message.includes('without Customer attachment')) {
-            return {
-              success: false,
-              error: 'This payment method cannot be reused. Please add a new payment method in the app settings.',
-              status: 'failed',
-              requiresNewPaymentMethod: true,
-            };
-          }
-          // Re-throw other errors
-          throw createError;
-        }
-
-        if (paymentIntent.status === 'succeeded') {
-          return {
-            success: true,
-            transactionId: paymentIntent.id,
-            chargeId: paymentIntent.latest_charge,
-            amount: this.convertFromSmallestUnit(paymentIntent.amount, currency),
-            amountInSmallestUnit: paymentIntent.amount,
-            currency: paymentIntent.currency.toUpperCase(),
-            status: paymentIntent.status,
-          };
-        }
-
-        // Handle requires_action (3D Secure)
-        if (paymentIntent.status === 'requires_action') {
-          return {
-            success: false,
-            requiresAction: true,
-            clientSecret: paymentIntent.client_secret,
-            transactionId: paymentIntent.id,
-            status: paymentIntent.status,
-          };
-        }
-
-        return {
-          success: false,
-          error: paymentIntent.last_payment_error?.message || 'Payment failed',
-          status: paymentIntent.status,
-          declineCode: paymentIntent.last_payment_error?.decline_code,
-        };
-      } else if (provider === 'paystack' && this.paystack) {
-        // Convert amount to kobo
-        const amountInKobo = this.convertToSmallestUnit(amount, currency);
-
-        // For Paystack, charge using authorization code
-        const response = await this.paystack.transaction.charge({
-          authorization_code: paymentMethodId,
-          email: metadata.email || customerId,
-          amount: amountInKobo,
-          currency: currency.toUpperCase(),
-          metadata: JSON.stringify(metadata),
-        });
-
-        if (response.status && response.data.status === 'success') {
-          return {
-            success: true,
-            transactionId: response.data.reference,
-            chargeId: response.data.id.toString(),
-            amount: this.convertFromSmallestUnit(response.data.amount, currency),
-            amountInSmallestUnit: response.data.amount,
-            currency: response.data.currency,
-            status: 'success',
-          };
-        }
+    // Validate amount
+    const validation = this.validateAmount(amount, currency);
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.error,
+        status: 'failed',
+      };
+    }
 
-        return {
-          success: false,
-          error: response.message || 'Payment failed',
-          status: response.data?.status || 'failed',
-          gatewayResponse: response.data?.gateway_response,
-        };
-      }
-      throw new Error(`Provider ${provider} not configured`);
-    } catch (error) {
-      console.error(`Error charging payment method with ${provider}:`, error);
-      
-      // Don't expose sensitive error details
-      const userMessage = error.type === 'StripeCardError' 
-        ? 'Your card was declined. Please check your card details.'
-        : error.message || 'Payment processing failed';
+    return this.getProvider(provider).chargePaymentMethod({
+      paymentMethodId,
+      amount,
+      currency,
+      customerId,
+      description,
+      metadata,
+    });
+  }
 
+  /**
+   * Start a hosted checkout (payers without a saved payment method, e.g. guests on payment links)
+   * @param {Object} checkoutData - Checkout data
+   * @param {number} checkoutData.amount - Amount in main currency unit
+   * @param {string} checkoutData.currency - Currency code
+   * @param {string} checkoutData.email - Payer email
+   * @param {string} checkoutData.description - What the payment is for (shown on the checkout page)
+   * @param {Object} checkoutData.metadata - Metadata returned on the payment webhook
+   * @param {string} checkoutData.reference - Our unique reference for the checkout
+   * @param {string} checkoutData.successUrl - Where the payer lands after paying
+   * @param {string} checkoutData.cancelUrl - Where the payer lands after cancelling
+   * @param {string} provider - 'stripe' or 'paystack'
+   * @returns {Promise<Object>} - { success, checkoutUrl, checkoutReference } or { success: false, error }
+   */
+  async createCheckoutSession({
+    amount,
+    currency,
+    email,
+    description,
+    metadata = {},
+    reference,
+    successUrl,
+    cancelUrl,
+  }, provider = 'stripe') {
+    const validation = this.validateAmount(amount, currency);
+    if (!validation.valid) {
       return {
         success: false,
-        error: userMessage,
-        status: 'failed',
-        internalError: error.message, // Log internally but don't expose
+        error: validation.error,
       };
     }
+
+    return this.getProvider(provider).createCheckoutSession({
+      amount,
+      currency,
+      email,
+      description,
+      metadata,
+      reference,
+      successUrl,
+      cancelUrl,
+    });
   }
 
   /**
@@ -496,136 +287,32 @@ class PaymentService {
    * @returns {boolean} - True if signature is valid
    */
   verifyWebhookSignature(payload, signature, provider = 'stripe') {
-    try {
-      if (provider === 'stripe' && this.stripe) {
-        const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-        if (!webhookSecret) {
-          console.error('STRIPE_WEBHOOK_SECRET not configured');
-          return false;
-        }
-        
-        const event = this.stripe.webhooks.constructEvent(
-          payload,
-          signature,
-          webhookSecret
-        );
-        return !!event;
-      } else if (provider === 'paystack' && this.paystack) {
-        const crypto = require('crypto');
-        // Paystack uses the same Secret Key for API calls and webhook verification
-        // Use PAYSTACK_WEBHOOK_SECRET if set, otherwise fall back to PAYSTACK_SECRET_KEY
-        const webhookSecret = process.env.PAYSTACK_WEBHOOK_SECRET || process.env.PAYSTACK_SECRET_KEY;
-        if (!webhookSecret) {
-          console.error('PAYSTACK_WEBHOOK_SECRET or PAYSTACK_SECRET_KEY not configured');
-          return false;
-        }
-
-        const hash = crypto
-          .createHmac('sha512', webhookSecret)
-          .update(payload)
-          .digest('hex');
-
-        return hash === signature;
-      }
-      return false;
-    } catch (error) {
-      console.error(`Error verifying webhook signature for ${provider}:`, error);
-      return false;
-    }
+    return this.getProvider(provider).verifyWebhookSignature(payload, signature);
   }
 
   /**
-   * Calculate fees for a transaction
+   * Calculate fees for a contribution from the fee schedule in effect
+   * Schedule fields left NULL fall back to the provider's standard processor rate; with no
+   * schedule row at all the fee is the provider rate plus the default 1% platform fee.
    * @param {number} amount - Amount in main currency unit
    * @param {string} currency - Currency code
    * @param {string} provider - 'stripe' or 'paystack'
-   * @param {number} platformFeePercent - Platform fee percentage (default 1%)
-   * @returns {Object} - Fee breakdown
+   * @param {Object} options - { groupType, at (when the charge happens, default now) }
+   * @returns {Promise<Object>} - Fee breakdown, including the feeScheduleId/feeVersion used
    */
-  calculateFees(amount, currency, provider = 'stripe', platformFeePercent = 1) {
-    let processorFee = 0;
-    let processorFeePercent = 0;
-    let processorFeeFixed = 0;
-
-    if (provider === 'paystack') {
-      // Paystack fees
-      if (currency === 'NGN') {
-        processorFeePercent = 1.5;
-        processorFeeFixed = 100; // ₦100
-      } else if (currency === 'KES') {
-        processorFeePercent = 3.0;
-        processorFeeFixed = 10; // KSh 10
-      } else if (currency === 'GHS') {
-        processorFeePercent = 2.9;
-        processorFeeFixed = 1; // ₵1
-      } else if (currency === 'ZAR') {
-        processorFeePercent = 3.5;
-        processorFeeFixed = 2; // R2
-      }
-    } else if (provider === 'stripe') {
-      // Stripe fees for UK merchants
-      // UK cards: 1.5% + £0.20
-      // European (EEA) cards: 2.5% + £0.20
-      // International (non-EEA) cards: 3.25% + £0.20
-      // Currency conversion: +2% if currency differs from settlement currency (GBP)
-      
-      // Use conservative estimate (international rate) since we can't know card origin in advance
-      // For non-GBP currencies, add currency conversion fee
-      if (currency === 'GBP') {
-        // UK currency - no conversion fee
-        processorFeePercent = 2.5; // Average between UK (1.5%) and EEA (2.5%)
-        processorFeeFixed = 0.20; // £0.20
-      } else if (currency === 'EUR') {
-        // European currency - EEA card + conversion
-        processorFeePercent = 4.5; // 2.5% + 2% conversion
-        processorFeeFixed = 0.20; // €0.20 (approximately £0.17)
-      } else if (currency === 'USD') {
-        // US currency - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        processorFeeFixed = 0.30; // $0.30 (Stripe's standard USD fixed fee)
-      } else if (currency === 'NGN') {
-        // Nigerian currency - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ ₦250-300 (using approximate exchange rate ~1250-1500 NGN/GBP)
-        processorFeeFixed = 250; // ₦250 (approximately £0.20 at current rates)
-      } else if (currency === 'KES') {
-        // Kenyan Shilling - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ KSh 30-35 (using approximate exchange rate ~150-175 KES/GBP)
-        processorFeeFixed = 30; // KSh 30 (approximately £0.20 at current rates)
-      } else if (currency === 'GHS') {
-        // Ghanaian Cedi - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ ₵3-4 (using approximate exchange rate ~15-20 GHS/GBP)
-        processorFeeFixed = 3; // ₵3 (approximately £0.20 at current rates)
-      } else if (currency === 'ZAR') {
-        // South African Rand - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ R4-5 (using approximate exchange rate ~20-25 ZAR/GBP)
-        processorFeeFixed = 4; // R4 (approximately £0.20 at current rates)
-      } else if (currency === 'CAD') {
-        // Canadian Dollar - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ C$0.30-0.35 (using approximate exchange rate ~1.5-1.75 CAD/GBP)
-        processorFeeFixed = 0.30; // C$0.30 (approximately £0.20 at current rates)
-      } else if (currency === 'AUD') {
-        // Australian Dollar - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ A$0.35-0.40 (using approximate exchange rate ~1.75-2 AUD/GBP)
-        processorFeeFixed = 0.35; // A$0.35 (approximately £0.20 at current rates)
-      } else if (currency === 'JPY') {
-        // Japanese Yen - international card + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        // Fixed fee: £0.20 ≈ ¥30-35 (using approximate exchange rate ~150-175 JPY/GBP)
-        processorFeeFixed = 30; // ¥30 (approximately £0.20 at current rates)
-      } else {
-        // Other currencies - use international rate + conversion
-        processorFeePercent = 5.25; // 3.25% + 2% conversion
-        processorFeeFixed = 0.20; // Default to £0.20 equivalent (will need manual adjustment)
-      }
-    }
-
-    processorFee = (amount * processorFeePercent / 100) + processorFeeFixed;
+  async calculateFees(amount, currency, provider = 'stripe', { groupType = null, at = new Date() } = {}) {
+    const schedule = await feeScheduleService.resolve('contribution', { provider, currency, groupType, at });
+    const providerRate = this.getProvider(provider).getProcessorFeeRate(currency);
+
+    const processorFeePercent = schedule && schedule.processor_fee_percent !== null
+      ? parseFloat(schedule.processor_fee_percent)
+      : providerRate.percent;
+    const processorFeeFixed = schedule && schedule.processor_fee_fixed !== null
+      ? parseFloat(schedule.processor_fee_fixed)
+      : providerRate.fixed;
+    const platformFeePercent = schedule ? parseFloat(schedule.platform_fee_percent) : DEFAULT_PLATFORM_FEE_PERCENT;
+
+    const processorFee = (amount * processorFeePercent / 100) + processorFeeFixed;
     const platformFee = (amount * platformFeePercent / 100);
     const totalFee = processorFee + platformFee;
     const grossAmount = amount + totalFee;
@@ -641,6 +328,9 @@ class PaymentService {
       totalFee,
       grossAmount, // Total charged to contributor
       netAmount, // Amount recipient receives
+      feeScheduleId: schedule ? schedule.id : null,
+      feeVersion: schedule ? schedule.version : null,
+      isPromotion: schedule ? schedule.is_promotion : false,
     };
   }
 
@@ -657,154 +347,18 @@ class PaymentService {
    * @returns {Promise<Object>} - Validation result
    */
   async validateBankAccount(bankAccountData, provider = 'stripe') {
-    try {
-      if (provider === 'stripe' && this.stripe) {
-        const {
-          accountNumber,
-          routingNumber,
-          accountHolderName,
-          accountHolderType = 'individual',
-          currency,
-          country,
-          iban,
-        } = bankAccountData;
-
-        // For USD (US bank accounts)
-        if (currency === 'USD' && country === 'US') {
-          if (!routingNumber || !accountNumber) {
-            return {
-              valid: false,
-              error: 'Routing number and account number are required for US bank accounts',
-            };
-          }
-
-          try {
-            // Create a bank account token to validate the account
-            const token = await this.stripe.tokens.create({
-              bank_account: {
-                country: 'US',
-                currency: 'usd',
-                account_number: accountNumber,
-                routing_number: routingNumber,
-                account_holder_name: accountHolderName,
-                account_holder_type: accountHolderType,
-              },
-            });
-
-            // Check if token was created successfully
-            if (token && token.id) {
-              return {
-                valid: true,
-                tokenId: token.id,
-                bankAccount: token.bank_account,
-              };
-            }
-
-            return {
-              valid: false,
-              error: 'Failed to validate bank account',
-            };
-          } catch (error) {
-            // Stripe will return an error if the bank account is invalid
-            return {
-              valid: false,
-              error: error.message || 'Invalid bank account details',
-              stripeError: error.type || null,
-            };
-          }
-        }
-
-        // For EUR/GBP (European/UK bank accounts using IBAN)
-        if ((currency === 'EUR' || currency === 'GBP') && iban) {
-          try {
-            // Validate IBAN format and create token
-            const countryCode = currency === 'GBP' ? 'GB' : 'EU';
-            const token = await this.stripe.tokens.create({
-              bank_account: {
-                country: countryCode,
-                currency: currency.toLowerCase(),
-                account_number: iban, // IBAN can be used as account_number for EUR/GBP
-                account_holder_name: accountHolderName,
-                account_holder_type: accountHolderType,
-              },
-            });
-
-            if (token && token.id) {
-              return {
-                valid: true,
-                tokenId: token.id,
-                bankAccount: token.bank_account,
-              };
-            }
-
-            return {
-              valid: false,
-              error: 'Failed to validate bank account',
-            };
-          } catch (error) {
-            return {
-              valid: false,
-              error: error.message || 'Invalid bank account details',
-              stripeError: error.type || null,
-            };
-          }
-        }
-
-        // For EUR/GBP without IBAN (using account number and sort code for UK)
-        if (currency === 'GBP' && !iban && accountNumber && routingNumber) {
-          try {
-            const token = await this.stripe.tokens.create({
-              bank_account: {
-                country: 'GB',
-                currency: 'gbp',
-                account_number: accountNumber,
-                routing_number: routingNumber, // Sort code for UK
-                account_holder_name: accountHolderName,
-                account_holder_type: accountHolderType,
-              },
-            });
-
-            if (token && token.id) {
-              return {
-                valid: true,
-                tokenId: token.id,
-                bankAccount: token.bank_account,
-              };
-            }
-
-            return {
-              valid: false,
-              error: 'Failed to validate bank account',
-            };
-          } catch (error) {
-            return {
-              valid: false,
-              error: error.message || 'Invalid bank account details',
-              stripeError: error.type || null,
-            };
-          }
-        }
-
-        return {
-          valid: false,
-          error: `Bank account validation not supported for ${currency} without required fields`,
-        };
-      }
+    return this.getProvider(provider).validateBankAccount(bankAccountData);
+  }
 
-      // For non-Stripe providers or when Stripe is not configured, skip validation
-      // (You can add Paystack validation here if needed)
-      return {
-        valid: true,
-        skipped: true,
-        message: 'Bank account validation skipped (provider not configured)',
-      };
-    } catch (error) {
-      console.error('Error validating bank account:', error);
-      return {
-        valid: false,
-        error: error.message || 'Error validating bank account',
-      };
-    }
+  /**
+   * Build the payout bank account object for a provider from a wallet_bank_accounts row
+   * @param {Object} bankAccount - wallet_bank_accounts row
+   * @param {string} currency - Currency code
+   * @param {string} provider - 'stripe' or 'paystack'
+   * @returns {Object} - Bank account object for createPayout (throws if required details are missing)
+   */
+  buildPayoutBankAccount(bankAccount, currency, provider = 'stripe') {
+    return this.getProvider(provider).buildPayoutBankAccount(bankAccount, currency);
   }
 
   /**
@@ -827,104 +381,22 @@ class PaymentService {
     bankAccount,
     description,
   }, provider = 'stripe') {
-    try {
-      if (provider === 'stripe' && this.stripe) {
-        // For Stripe, we need to create a payout to external bank account
-        // This requires creating an External Account first (simplified approach)
-        // Note: For production, you may need to use Stripe Connect or Payouts API
-        
-        // Convert amount to smallest currency unit
-        const amountInCents = this.convertToSmallestUnit(amount, currency);
-        
-        // For Stripe, we'll use the Payouts API which requires a connected account
-        // For direct bank transfers, use the bank account information
-        // This is a simplified version - production may require more setup
-        
-        // Create payout to external bank account
-        // Note: In production, you'll need to set up bank account tokens/external accounts
-        const payout = await this.stripe.payouts.create({
-          amount: amountInCents,
-          currency: currency.toLowerCase(),
-          method: 'standard', // or 'instant' for faster (higher fees)
-          description: description || 'Withdrawal',
-          // For production, you'll need to attach a bank account or use Stripe Connect
-          // destination: bankAccount.externalAccountId, // External account ID
-        });
-
-        return {
-          success: true,
-          payoutId: payout.id,
-          amount: this.convertFromSmallestUnit(payout.amount, currency),
-          currency: payout.currency.toUpperCase(),
-          status: payout.status,
-          arrivalDate: payout.arrival_date,
-        };
-      } else if (provider === 'paystack' && this.paystack) {
-        // For Paystack, we need to create a transfer recipient first, then transfer
-        // Convert amount to kobo (smallest unit for NGN)
-        const amountInSmallest = this.convertToSmallestUnit(amount, currency);
-
-        // Step 1: Create transfer recipient (if not exists)
-        // Check if recipient already exists based on account number
-        let recipientCode = bankAccount.recipientCode;
-        
-        if (!recipientCode) {
-          // Create new transfer recipient
-          const recipientResponse = await this.paystack.transferrecipient.create({
-            type: 'nuban', // Bank account
-            name: bankAccount.accountName,
-            account_number: bankAccount.accountNumber,
-            bank_code: bankAccount.bankCode,
-            currency: currency.toUpperCase(),
-          });
-
-          if (!recipientResponse.status) {
-            return {
-              success: false,
-              error: recipientResponse.message || 'Failed to create transfer recipient',
-              status: 'failed',
-            };
-          }
-
-          recipientCode = recipientResponse.data.recipient_code;
-        }
-
-        // Step 2: Create transfer to recipient
-        const transferResponse = await this.paystack.transfer.create({
-          source: 'balance',
-          amount: amountInSmallest,
-          currency: currency.toUpperCase(),
-          recipient: recipientCode,
-          reason: description || 'Withdrawal',
-        });
-
-        if (transferResponse.status && transferResponse.data.status === 'success') {
-          return {
-            success: true,
-            transferId: transferResponse.data.reference,
-            recipientCode: recipientCode,
-            amount: this.convertFromSmallestUnit(transferResponse.data.amount, currency),
-            currency: transferResponse.data.currency,
-            status: 'success',
-            createdAt: transferResponse.data.createdAt,
-          };
-        }
+    return this.getProvider(provider).createPayout({
+      amount,
+      currency,
+      bankAccount,
+      description,
+    });
+  }
 
-        return {
-          success: false,
-          error: transferResponse.message || 'Transfer failed',
-          status: transferResponse.data?.status || 'failed',
-        };
-      }
-      throw new Error(`Provider ${provider} not configured`);
-    } catch (error) {
-      console.error(`Error creating payout with ${provider}:`, error);
-      return {
-        success: false,
-        error: error.message || 'Payout processing failed',
-        status: 'failed',
-      };
-    }
+  /**
+   * Pay several bank accounts in one currency (Paystack: one bulk transfer)
+   * @param {Array} payouts - [{ reference, amount, currency, bankAccount, description }] (see createPayout)
+   * @param {string} provider - 'stripe' or 'paystack'
+   * @returns {Promise<Array>} - One result per payout, in order: { reference, success, ... }
+   */
+  async createBulkPayout(payouts, provider = 'stripe') {
+    return this.getProvider(provider).createBulkPayout(payouts);
   }
 
   /**
@@ -941,166 +413,86 @@ class PaymentService {
     amount,
     currency,
   }, provider = 'stripe') {
-    try {
-      if (provider === 'stripe' && this.stripe) {
-        // For Stripe, refund using charge ID or payment intent ID
-        let refund;
-        
-        if (amount) {
-          // Partial refund
-          const amountInCents = this.convertToSmallestUnit(amount, currency);
-          refund = await this.stripe.refunds.create({
-            charge: transactionId,
-            amount: amountInCents,
-          });
-        } else {
-          // Full refund
-          refund = await this.stripe.refunds.create({
-            charge: transactionId,
-          });
-        }
-
-        return {
-          success: true,
-          refundId: refund.id,
-          amount: this.convertFromSmallestUnit(refund.amount, currency),
-          currency: refund.currency.toUpperCase(),
-          status: refund.status,
-        };
-      } else if (provider === 'paystack' && this.paystack) {
-        // For Paystack, refund using transaction reference
-        // The old Paystack SDK doesn't have transaction.refund, so we use the HTTP API directly
-        const https = require('https');
-        const secretKey = process.env.PAYSTACK_SECRET_KEY;
-        
-        if (!secretKey) {
-          throw new Error('Paystack secret key not configured');
-        }
-
-        // Prepare refund payload
-        const refundPayload = {
-          transaction: transactionId,
-          currency: currency.toUpperCase(),
-        };
-
-        // Add amount for partial refund
-        if (amount) {
-          refundPayload.amount = this.convertToSmallestUnit(amount, currency);
-        }
-
-        // Make HTTP request to Paystack refund API
-        const refund = await new Promise((resolve, reject) => {
-          const postData = JSON.stringify(refundPayload);
-          
-          const options = {
-            hostname: 'api.paystack.co',
-            port: 443,
-            path: '/refund',
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${secretKey}`,
-              'Content-Type': 'application/json',
-              'Content-Length': Buffer.byteLength(postData),
-            },
-          };
-
-          const req = https.request(options, (res) => {
-            let data = '';
-
-            res.on('data', (chunk) => {
-              data += chunk;
-            });
-
-            res.on('end', () => {
-              try {
-                const response = JSON.parse(data);
-                resolve(response);
-              } catch (parseError) {
-                reject(new Error(`Failed to parse Paystack response: ${parseError.message}`));
-              }
-            });
-          });
-
-          req.on('error', (error) => {
-            reject(error);
-          });
-
-          req.write(postData);
-          req.end();
-        });
+    return this.getProvider(provider).refundTransaction({
+      transactionId,
+      amount,
+      currency,
+    });
+  }
 
-        if (refund.status && refund.data && refund.data.status === 'processed') {
-          return {
-            success: true,
-            refundId: refund.data.id ? refund.data.id.toString() : null,
-            transactionRefunded: refund.data.transaction?.reference || transactionId,
-            amount: refund.data.amount ? this.convertFromSmallestUnit(refund.data.amount, currency) : amount,
-            currency: refund.data.currency || currency.toUpperCase(),
-            status: refund.data.status,
-          };
-        }
+  /**
+   * List successful incoming payments recorded by the provider (for reconciliation)
+   * Stripe: charge balance transactions, keyed by PaymentIntent ID (what we store as provider_transaction_id)
+   * Paystack: transactions, keyed by reference
+   * @param {Object} range - Date range
+   * @param {Date} range.since - Start of range (inclusive)
+   * @param {Date} range.until - End of range (exclusive)
+   * @param {string} provider - 'stripe' or 'paystack'
+   * @returns {Promise<Array>} - [{ providerTransactionId, amount, currency, status, createdAt }]
+   *   status is normalized to 'succeeded', 'pending' or 'failed'
+   */
+  async listProviderPayments({ since, until }, provider = 'stripe') {
+    return this.getProvider(provider).listPayments({ since, until });
+  }
 
-        return {
-          success: false,
-          error: refund.message || 'Refund failed',
-          status: refund.data?.status || 'failed',
-        };
-      }
-      throw new Error(`Provider ${provider} not configured`);
-    } catch (error) {
-      console.error(`Error refunding transaction with ${provider}:`, error);
-      return {
-        success: false,
-        error: error.message || 'Refund processing failed',
-        status: 'failed',
-      };
-    }
+  /**
+   * List outgoing payouts recorded by the provider (for reconciliation)
+   * Stripe: payouts, keyed by payout ID
+   * Paystack: transfers, keyed by reference
+   * @param {Object} range - Date range
+   * @param {Date} range.since - Start of range (inclusive)
+   * @param {Date} range.until - End of range (exclusive)
+   * @param {string} provider - 'stripe' or 'paystack'
+   * @returns {Promise<Array>} - [{ providerTransactionId, amount, currency, status, createdAt }]
+   *   status is normalized to 'succeeded', 'pending' or 'failed'
+   */
+  async listProviderPayouts({ since, until }, provider = 'stripe') {
+    return this.getProvider(provider).listPayouts({ since, until });
   }
 
   /**
-   * Calculate withdrawal fee
+   * Calculate withdrawal fee from the fee schedule in effect
+   * A schedule with a percent or fixed payout fee replaces the provider's payout fee; otherwise
+   * the provider fee is passed through.
    * @param {number} amount - Amount in main currency unit
    * @param {string} currency - Currency code
    * @param {string} provider - 'stripe' or 'paystack'
-   * @returns {Object} - Fee breakdown
+   * @param {Object} options - { at (when the withdrawal is requested, default now) }
+   * @returns {Promise<Object>} - Fee breakdown, including the feeScheduleId/feeVersion used
    */
-  calculateWithdrawalFee(amount, currency, provider = 'stripe') {
-    let fee = 0;
-
-    // Pass-through provider fees only (no platform fee)
-    if (provider === 'stripe') {
-      // Stripe payout fees:
-      // USD: 1% fee
-      // CAD: 1% fee
-      // AUD: 1% fee
-      // EUR: Free (0%)
-      // GBP: Free (0%)
-      if (currency === 'USD' || currency === 'CAD' || currency === 'AUD') {
-        fee = amount * 0.01; // 1% fee for USD, CAD, and AUD
-      } else if (currency === 'EUR' || currency === 'GBP') {
-        fee = 0; // Free for EUR and GBP
-      } else {
-        // Other currencies not supported yet
-        fee = 0;
-      }
-    } else if (provider === 'paystack') {
-      // Paystack: ₦10 flat fee per transfer (NGN)
-      if (currency === 'NGN') {
-        fee = 10; // ₦10
-      } else {
-        // Other currencies may have different fees
-        fee = this.convertToSmallestUnit(10, 'NGN'); // Estimate
-      }
+  async calculateWithdrawalFee(amount, currency, provider = 'stripe', { at = new Date() } = {}) {
+    const schedule = await feeScheduleService.resolve('withdrawal', { provider, currency, at });
+
+    // Pass-through payout fees only (no platform fee)
+    let fee;
+    if (schedule && (schedule.processor_fee_percent !== null || schedule.processor_fee_fixed !== null)) {
+      const percent = parseFloat(schedule.processor_fee_percent || 0);
+      const fixed = parseFloat(schedule.processor_fee_fixed || 0);
+      fee = Math.round(((amount * percent / 100) + fixed) * 100) / 100;
+    } else {
+      fee = this.getProvider(provider).getPayoutFee(amount, currency);
     }
-
     const netAmount = amount - fee;
 
     return {
       amount,
       fee,
       netAmount,
+      feeScheduleId: schedule ? schedule.id : null,
+      feeVersion: schedule ? schedule.version : null,
     };
   }
+
+  /**
+   * When a payment received now settles with the provider
+   * @param {string} currency - Currency code
+   * @param {string} provider - 'stripe' or 'paystack'
+   * @returns {Date} - Settlement time (now if the provider settles immediately)
+   */
+  getSettlementDate(currency, provider = 'stripe') {
+    const delayHours = this.getProvider(provider).getSettlementDelayHours(currency);
+    return new Date(Date.now() + Math.max(0, delayHours || 0) * 60 * 60 * 1000);
+  }
 }
 
 module.exports = new PaymentService();
@@ -0,0 +1,516 @@
+const pool = require('../config/database');
+const withdrawalService = require('./withdrawalService');
+const { createNotification } = require('../utils/notifications');
+const { roundAmount } = require('../utils/currency');
+const { getCurrencyBalance } = require('../utils/walletHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+
+const { SUPPORTED_WITHDRAWAL_CURRENCIES, getMinimumWithdrawal } = withdrawalService;
+
+/**
+ * Payout Schedule Service
+ * Requests withdrawals automatically so celebrants and subscription admins don't have to:
+ *
+ *   daily        -> every day at 00:00 UTC
+ *   weekly       -> every week on day_of_week at 00:00 UTC
+ *   threshold    -> whenever the available balance reaches threshold_amount
+ *   birthday_pot -> once the user's birthday pot closes (the day after their birthday, when
+ *                   contributions become overdue), once per birthday
+ *
+ * Each payout is the available balance minus keep_amount, requested through withdrawalService
+ * so limits, risk holds and approval apply exactly as for a withdrawal made by hand. Runs where
+ * that is below the minimum withdrawal are skipped.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'threshold', 'birthday_pot'];
+
+/**
+ * Start of the next UTC day that matches the schedule
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {number} dayOfWeek - Weekly schedules: 0 (Sunday) to 6
+ * @param {Date} from - Time to count from (defaults to now)
+ * @returns {Date|null} - null for schedules that aren't time-based
+ */
+function getNextRunAt(frequency, dayOfWeek, from = new Date()) {
+  if (frequency !== 'daily' && frequency !== 'weekly') {
+    return null;
+  }
+
+  const next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate() + 1));
+  if (frequency === 'weekly') {
+    while (next.getUTCDay() !== dayOfWeek) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+  }
+  return next;
+}
+
+/**
+ * The user's most recent birthday up to today (UTC date)
+ * @param {Date|string} birthday - users.birthday
+ * @param {Date} today - Today (defaults to now)
+ * @returns {Date}
+ */
+function getLastBirthday(birthday, today = new Date()) {
+  // DATE columns come back as local midnight
+  const date = new Date(birthday);
+  const month = date.getMonth();
+  // Feb 29 birthdays fall on Feb 28 in other years (Date.UTC would roll them over to Mar 1)
+  const birthdayIn = (year) => {
+    const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(date.getDate(), lastDayOfMonth)));
+  };
+  const year = today.getUTCFullYear();
+  const thisYear = birthdayIn(year);
+  return thisYear > today ? birthdayIn(year - 1) : thisYear;
+}
+
+class PayoutScheduleService {
+  /**
+   * Shape a schedule for API responses
+   * @param {Object} schedule - payout_schedules row (optionally joined with the bank account)
+   * @returns {Object}
+   */
+  formatSchedule(schedule) {
+    return {
+      id: schedule.id,
+      currency: schedule.currency,
+      frequency: schedule.frequency,
+      day_of_week: schedule.day_of_week,
+      threshold_amount: schedule.threshold_amount !== null ? parseFloat(schedule.threshold_amount) : null,
+      keep_amount: parseFloat(schedule.keep_amount),
+      status: schedule.status,
+      bank_account: schedule.bank_account_id
+        ? {
+            id: schedule.bank_account_id,
+            account_name: schedule.account_name,
+            bank_name: schedule.bank_name,
+            account_number: schedule.account_number ? `****${schedule.account_number.slice(-4)}` : null,
+          }
+        : null,
+      next_run_at: schedule.next_run_at,
+      last_run_at: schedule.last_run_at,
+      last_withdrawal_id: schedule.last_withdrawal_id,
+      last_error: schedule.last_error,
+      created_at: schedule.created_at,
+      updated_at: schedule.updated_at,
+    };
+  }
+
+  /**
+   * A schedule with its bank account
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} userId - Owner (optional - omit for the job)
+   * @returns {Promise<Object|null>}
+   */
+  async getSchedule(scheduleId, userId = null) {
+    const params = [scheduleId];
+    let ownerFilter = '';
+    if (userId) {
+      params.push(userId);
+      ownerFilter = 'AND ps.user_id = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT ps.*, wba.account_name, wba.bank_name, wba.account_number
+       FROM payout_schedules ps
+       LEFT JOIN wallet_bank_accounts wba ON ps.bank_account_id = wba.id
+       WHERE ps.id = $1 ${ownerFilter}`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A user's payout schedules
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listSchedules(userId) {
+    const result = await pool.query(
+      `SELECT ps.*, wba.account_name, wba.bank_name, wba.account_number
+       FROM payout_schedules ps
+       LEFT JOIN wallet_bank_accounts wba ON ps.bank_account_id = wba.id
+       WHERE ps.user_id = $1
+       ORDER BY ps.currency`,
+      [userId]
+    );
+    return result.rows.map(row => this.formatSchedule(row));
+  }
+
+  /**
+   * Check schedule settings before saving them
+   * @param {Object} settings - { userId, currency, bankAccountId, frequency, dayOfWeek, thresholdAmount, keepAmount }
+   * @returns {Promise<string|null>} - Error message, or null when the settings are valid
+   */
+  async validateSettings({ userId, currency, bankAccountId, frequency, dayOfWeek, thresholdAmount, keepAmount }) {
+    if (!SUPPORTED_WITHDRAWAL_CURRENCIES.includes(currency)) {
+      return `Payouts are only available for ${SUPPORTED_WITHDRAWAL_CURRENCIES.join(', ')}`;
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+      return `Frequency must be one of ${FREQUENCIES.join(', ')}`;
+    }
+    if (frequency === 'weekly' && !Number.isInteger(dayOfWeek)) {
+      return 'Choose the day of the week for weekly payouts';
+    }
+    if (frequency === 'threshold') {
+      if (!thresholdAmount) {
+        return 'Choose the balance at which to pay out';
+      }
+      if (thresholdAmount - keepAmount < getMinimumWithdrawal(currency)) {
+        return `The threshold must be at least ${getMinimumWithdrawal(currency)} ${currency} above the amount kept in your wallet`;
+      }
+    }
+
+    if (frequency === 'birthday_pot') {
+      const userResult = await pool.query('SELECT birthday FROM users WHERE id = $1', [userId]);
+      if (!userResult.rows[0] || !userResult.rows[0].birthday) {
+        return 'Add your birthday to your profile to pay out your birthday pot';
+      }
+    }
+
+    const bankAccountResult = await pool.query(
+      'SELECT id FROM wallet_bank_accounts WHERE id = $1 AND user_id = $2 AND currency = $3',
+      [bankAccountId, userId, currency]
+    );
+    if (bankAccountResult.rows.length === 0) {
+      return `Bank account not found for ${currency}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a payout schedule (one per currency)
+   * @param {Object} settings - { userId, currency, bankAccountId, frequency, dayOfWeek, thresholdAmount, keepAmount }
+   * @returns {Promise<Object>} - { success, schedule } or { success: false, status, error }
+   */
+  async createSchedule(settings) {
+    const { userId, currency, bankAccountId, frequency } = settings;
+    const dayOfWeek = frequency === 'weekly' ? settings.dayOfWeek : null;
+    const thresholdAmount = frequency === 'threshold' ? settings.thresholdAmount : null;
+    const keepAmount = settings.keepAmount || 0;
+
+    const validationError = await this.validateSettings({ ...settings, dayOfWeek, thresholdAmount, keepAmount });
+    if (validationError) {
+      return { success: false, status: 400, error: validationError };
+    }
+
+    const result = await pool.query(
+      `INSERT INTO payout_schedules
+       (user_id, currency, bank_account_id, frequency, day_of_week, threshold_amount, keep_amount, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, currency) DO NOTHING
+       RETURNING id`,
+      [userId, currency, bankAccountId, frequency, dayOfWeek, thresholdAmount, keepAmount, getNextRunAt(frequency, dayOfWeek)]
+    );
+    if (result.rows.length === 0) {
+      return { success: false, status: 409, error: `You already have a payout schedule for ${currency}. Edit it instead.` };
+    }
+
+    const schedule = await this.getSchedule(result.rows[0].id);
+    await this.logChange(userId, 'payout_schedule_created', schedule);
+
+    return { success: true, schedule: this.formatSchedule(schedule) };
+  }
+
+  /**
+   * Change a schedule's settings (fields left undefined keep their current value)
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - { userId, bankAccountId, frequency, dayOfWeek, thresholdAmount, keepAmount }
+   * @returns {Promise<Object>} - { success, schedule } or { success: false, status, error }
+   */
+  async updateSchedule(scheduleId, changes) {
+    const current = await this.getSchedule(scheduleId, changes.userId);
+    if (!current) {
+      return { success: false, status: 404, error: 'Payout schedule not found' };
+    }
+
+    const frequency = changes.frequency || current.frequency;
+    const merged = {
+      userId: changes.userId,
+      currency: current.currency,
+      bankAccountId: changes.bankAccountId || current.bank_account_id,
+      frequency,
+      dayOfWeek: frequency === 'weekly'
+        ? (changes.dayOfWeek !== undefined ? changes.dayOfWeek : current.day_of_week)
+        : null,
+      thresholdAmount: frequency === 'threshold'
+        ? (changes.thresholdAmount !== undefined ? changes.thresholdAmount : parseFloat(current.threshold_amount))
+        : null,
+      keepAmount: changes.keepAmount !== undefined ? changes.keepAmount : parseFloat(current.keep_amount),
+    };
+
+    const validationError = await this.validateSettings(merged);
+    if (validationError) {
+      return { success: false, status: 400, error: validationError };
+    }
+
+    await pool.query(
+      `UPDATE payout_schedules
+       SET bank_account_id = $1, frequency = $2, day_of_week = $3, threshold_amount = $4, keep_amount = $5,
+           next_run_at = $6, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7`,
+      [
+        merged.bankAccountId,
+        merged.frequency,
+        merged.dayOfWeek,
+        merged.thresholdAmount,
+        merged.keepAmount,
+        getNextRunAt(merged.frequency, merged.dayOfWeek),
+        scheduleId,
+      ]
+    );
+
+    const schedule = await this.getSchedule(scheduleId);
+    await this.logChange(changes.userId, 'payout_schedule_updated', schedule);
+
+    return { success: true, schedule: this.formatSchedule(schedule) };
+  }
+
+  /**
+   * Pause or resume a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} userId - Owner
+   * @param {string} status - 'active' or 'paused'
+   * @returns {Promise<Object>} - { success, schedule } or { success: false, status, error }
+   */
+  async setStatus(scheduleId, userId, status) {
+    const current = await this.getSchedule(scheduleId, userId);
+    if (!current) {
+      return { success: false, status: 404, error: 'Payout schedule not found' };
+    }
+    if (status === 'active' && !current.bank_account_id) {
+      return { success: false, status: 400, error: 'Choose a bank account for this schedule before resuming it' };
+    }
+
+    // A resumed schedule starts counting from now rather than catching up on missed runs
+    await pool.query(
+      `UPDATE payout_schedules
+       SET status = $1, next_run_at = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [status, getNextRunAt(current.frequency, current.day_of_week), scheduleId]
+    );
+
+    const schedule = await this.getSchedule(scheduleId);
+    await this.logChange(userId, status === 'active' ? 'payout_schedule_resumed' : 'payout_schedule_paused', schedule);
+
+    return { success: true, schedule: this.formatSchedule(schedule) };
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Object>} - { success } or { success: false, status, error }
+   */
+  async deleteSchedule(scheduleId, userId) {
+    const result = await pool.query(
+      'DELETE FROM payout_schedules WHERE id = $1 AND user_id = $2 RETURNING *',
+      [scheduleId, userId]
+    );
+    if (result.rows.length === 0) {
+      return { success: false, status: 404, error: 'Payout schedule not found' };
+    }
+
+    await this.logChange(userId, 'payout_schedule_deleted', result.rows[0]);
+    return { success: true };
+  }
+
+  /**
+   * Audit a change to a schedule
+   * @param {string} userId - User ID
+   * @param {string} action - payment_audit_log action
+   * @param {Object} schedule - payout_schedules row
+   */
+  async logChange(userId, action, schedule) {
+    await logPaymentAction({
+      userId,
+      action,
+      amount: 0,
+      currency: schedule.currency,
+      status: schedule.status,
+      metadata: {
+        scheduleId: schedule.id,
+        frequency: schedule.frequency,
+        bankAccountId: schedule.bank_account_id,
+        dayOfWeek: schedule.day_of_week,
+        thresholdAmount: schedule.threshold_amount,
+        keepAmount: schedule.keep_amount,
+      },
+    });
+  }
+
+  /**
+   * Active schedules that are due: daily and weekly ones past next_run_at, threshold ones whose
+   * available balance has reached the threshold (and that weren't run in the last few minutes), and
+   * birthday pot schedules whose latest pot has closed and hasn't been paid out yet. Rows that
+   * aren't due are left out here rather than skipped later, so they can't fill the batch.
+   * @param {number} limit - Maximum number of schedules
+   * @returns {Promise<Array>}
+   */
+  async getDueSchedules(limit = 500) {
+    const result = await pool.query(
+      `WITH clock AS (SELECT (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date AS today)
+       SELECT ps.*, u.birthday
+       FROM payout_schedules ps
+       CROSS JOIN clock
+       JOIN users u ON ps.user_id = u.id
+       LEFT JOIN wallet_balances wb ON wb.user_id = ps.user_id AND wb.currency = ps.currency
+       -- Latest birthday up to today; Feb 29 birthdays fall on Feb 28 in other years (as in getLastBirthday)
+       LEFT JOIN LATERAL (
+         SELECT MAX(candidate) AS last_birthday
+         FROM (
+           SELECT LEAST(
+                    make_date(year, EXTRACT(MONTH FROM u.birthday)::int, 1) + (EXTRACT(DAY FROM u.birthday)::int - 1),
+                    (make_date(year, EXTRACT(MONTH FROM u.birthday)::int, 1) + INTERVAL '1 month - 1 day')::date
+                  ) AS candidate
+           FROM unnest(ARRAY[EXTRACT(YEAR FROM clock.today)::int - 1, EXTRACT(YEAR FROM clock.today)::int]) AS year
+         ) candidates
+         WHERE candidate <= clock.today
+       ) birthdays ON ps.frequency = 'birthday_pot' AND u.birthday IS NOT NULL
+       WHERE ps.status = 'active'
+         AND (
+           (ps.frequency IN ('daily', 'weekly') AND ps.next_run_at <= CURRENT_TIMESTAMP)
+           OR (ps.frequency = 'threshold' AND COALESCE(wb.balance, 0) >= ps.threshold_amount
+               AND (ps.last_run_at IS NULL OR ps.last_run_at < CURRENT_TIMESTAMP - INTERVAL '5 minutes'))
+           -- The pot closes the day after the birthday
+           OR (ps.frequency = 'birthday_pot'
+               AND birthdays.last_birthday < clock.today
+               AND ps.created_at < birthdays.last_birthday + 1
+               AND (ps.last_birthday_payout_on IS NULL OR ps.last_birthday_payout_on < birthdays.last_birthday))
+         )
+       ORDER BY ps.next_run_at ASC NULLS LAST, ps.created_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Claim a schedule's run so overlapping job runs can't request the same payout twice
+   * @param {Object} schedule - payout_schedules row
+   * @returns {Promise<boolean>} - false if the run isn't due (or another run claimed it)
+   */
+  async claimRun(schedule) {
+    let result;
+
+    if (schedule.frequency === 'daily' || schedule.frequency === 'weekly') {
+      result = await pool.query(
+        `UPDATE payout_schedules
+         SET next_run_at = $1, last_run_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'active' AND next_run_at = $3
+         RETURNING id`,
+        [getNextRunAt(schedule.frequency, schedule.day_of_week), schedule.id, schedule.next_run_at]
+      );
+    } else if (schedule.frequency === 'birthday_pot') {
+      // The pot closes the day after the birthday, as contributions only become overdue then
+      const lastBirthday = getLastBirthday(schedule.birthday);
+      const closesAt = new Date(lastBirthday.getTime() + 24 * 60 * 60 * 1000);
+      if (closesAt > new Date()) {
+        return false;
+      }
+      const birthdayDate = lastBirthday.toISOString().split('T')[0];
+      result = await pool.query(
+        `UPDATE payout_schedules
+         SET last_birthday_payout_on = $1, last_run_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'active'
+           AND created_at < $3
+           AND (last_birthday_payout_on IS NULL OR last_birthday_payout_on < $1)
+         RETURNING id`,
+        [birthdayDate, schedule.id, closesAt]
+      );
+    } else {
+      // Threshold schedules: at most one payout per run of the job
+      result = await pool.query(
+        `UPDATE payout_schedules
+         SET last_run_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'active'
+           AND (last_run_at IS NULL OR last_run_at < CURRENT_TIMESTAMP - INTERVAL '5 minutes')
+         RETURNING id`,
+        [schedule.id]
+      );
+    }
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Request the payout for a due schedule
+   * @param {Object} schedule - Row from getDueSchedules
+   * @returns {Promise<Object>} - { requested, withdrawal } / { skipped, reason } / { requested: false, error }
+   */
+  async runSchedule(schedule) {
+    const claimed = await this.claimRun(schedule);
+    if (!claimed) {
+      return { skipped: true, reason: 'not_due' };
+    }
+
+    if (!schedule.bank_account_id) {
+      await pool.query(
+        `UPDATE payout_schedules SET status = 'paused', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [schedule.id]
+      );
+      return this.recordFailure(schedule, 'The bank account for this payout schedule was removed, so the schedule has been paused. Choose another bank account to resume it.');
+    }
+
+    const available = await getCurrencyBalance(schedule.user_id, schedule.currency);
+    const amount = roundAmount(available - parseFloat(schedule.keep_amount));
+    if (amount < getMinimumWithdrawal(schedule.currency)) {
+      return { skipped: true, reason: 'below_minimum', available };
+    }
+
+    const result = await withdrawalService.requestWithdrawal({
+      userId: schedule.user_id,
+      currency: schedule.currency,
+      amount,
+      bankAccountId: schedule.bank_account_id,
+      payoutScheduleId: schedule.id,
+    });
+
+    if (!result.success) {
+      return this.recordFailure(schedule, result.error);
+    }
+
+    await pool.query(
+      `UPDATE payout_schedules SET last_withdrawal_id = $1, last_error = NULL WHERE id = $2`,
+      [result.withdrawal.id, schedule.id]
+    );
+
+    return { requested: true, withdrawal: result.withdrawal };
+  }
+
+  /**
+   * Keep the reason a payout couldn't be requested, and tell the user the first time it happens
+   * @param {Object} schedule - payout_schedules row
+   * @param {string} error - Reason
+   * @returns {Promise<Object>} - { requested: false, error }
+   */
+  async recordFailure(schedule, error) {
+    await pool.query(
+      'UPDATE payout_schedules SET last_error = $1 WHERE id = $2',
+      [error, schedule.id]
+    );
+
+    // The same reason usually comes back on every run until the user acts; notify once
+    if (schedule.last_error !== error) {
+      try {
+        await createNotification(
+          schedule.user_id,
+          'payout_schedule_failed',
+          'Scheduled Payout Not Sent',
+          `Your scheduled ${schedule.currency} payout couldn't be requested: ${error}`,
+          null,
+          null
+        );
+      } catch (notificationError) {
+        console.error('Error creating payout schedule notification:', notificationError);
+      }
+    }
+
+    return { requested: false, error };
+  }
+}
+
+module.exports = new PayoutScheduleService();
+module.exports.FREQUENCIES = FREQUENCIES;
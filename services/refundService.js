@@ -0,0 +1,580 @@
+const pool = require('../config/database');
+const paymentService = require('./paymentService');
+const contributionService = require('./contributionService');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification, notifyPlatformAdmins } = require('../utils/notifications');
+const { formatAmount, roundAmount } = require('../utils/currency');
+const { checkGroupAdminPermissions } = require('../utils/helpers');
+const {
+  debitWalletBalance,
+  creditWalletBalance,
+  getUnsettledCreditAmount,
+  debitPendingCredit,
+  restorePendingCredit,
+  syncLegacyWallet,
+} = require('../utils/walletHelpers');
+const { postContributionRefund, postContributionRefundReversal } = require('../utils/ledgerHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+const { sendRefundIssuedEmail, sendRefundDebitedEmail } = require('../utils/email');
+const { checkFundraisingMilestones } = require('../utils/fundraisingHelpers');
+
+/**
+ * Refund Service
+ * Refunds a confirmed auto-debit contribution to the contributor, fully or partially:
+ *
+ *   1. hold     - the refund is taken from the recipient's wallet and the refund row is pending
+ *   2. provider - the provider returns the money to the contributor's card or account
+ *   3. settle   - completed: a full refund moves the contribution to refunded
+ *                 failed:    the wallet debit is returned and the ledger entry reversed
+ *
+ * Group admins can only refund what the recipient's wallet still holds. Platform admins can
+ * cover a shortfall: the wallet gives what it has and the rest is booked as refund_receivable,
+ * owed by the recipient. Processing fees the contributor paid on top of the contribution are
+ * not refunded.
+ */
+
+class RefundService {
+  /**
+   * Amount of a contribution that can still be refunded (pending refunds count as refunded)
+   * @param {Object} contribution - Contribution row
+   * @returns {number}
+   */
+  getRefundable(contribution) {
+    return roundAmount(parseFloat(contribution.amount) - parseFloat(contribution.refunded_amount || 0));
+  }
+
+  /**
+   * Check why a contribution can't be refunded
+   * @param {Object} contribution - Contribution row from getContribution()
+   * @returns {string|null} - Error message, or null if it can be refunded
+   */
+  getRefundError(contribution) {
+    if (contribution.payment_method !== 'auto-debit' || !contribution.provider_transaction_id || !contribution.transaction_id) {
+      return 'Only auto-debited contributions can be refunded';
+    }
+    if (contribution.status === 'refunded' || this.getRefundable(contribution) <= 0) {
+      return 'This contribution has already been refunded';
+    }
+    if (contribution.status !== 'confirmed') {
+      return 'Only confirmed contributions can be refunded';
+    }
+    return null;
+  }
+
+  /**
+   * Shape a refund for API responses
+   * @param {Object} refund - contribution_refunds row (with names when listed)
+   * @returns {Object}
+   */
+  formatRefund(refund) {
+    return {
+      id: refund.id,
+      contribution_type: refund.contribution_type,
+      contribution_id: refund.contribution_id,
+      group_id: refund.group_id,
+      group_name: refund.group_name,
+      contributor_id: refund.contributor_id,
+      contributor_name: refund.contributor_name,
+      recipient_id: refund.recipient_id,
+      recipient_name: refund.recipient_name,
+      amount: parseFloat(refund.amount),
+      wallet_amount: parseFloat(refund.wallet_amount),
+      pending_amount: parseFloat(refund.pending_amount || 0),
+      shortfall_amount: parseFloat(refund.shortfall_amount),
+      currency: refund.currency,
+      reason: refund.reason,
+      status: refund.status,
+      payment_provider: refund.payment_provider,
+      provider_refund_id: refund.provider_refund_id,
+      requested_by: refund.requested_by,
+      requested_by_name: refund.requested_by_name,
+      requested_as: refund.requested_as,
+      error_message: refund.error_message,
+      created_at: refund.created_at,
+      completed_at: refund.completed_at,
+    };
+  }
+
+  /**
+   * List the refunds of a contribution, newest first
+   * @param {string} type - Contribution type
+   * @param {string} contributionId - Contribution ID
+   * @returns {Promise<Array>} - Refund rows with requested_by_name
+   */
+  async listForContribution(type, contributionId) {
+    const result = await pool.query(
+      `SELECT r.*, requester.name as requested_by_name
+       FROM contribution_refunds r
+       LEFT JOIN users requester ON r.requested_by = requester.id
+       WHERE r.contribution_type = $1 AND r.contribution_id = $2
+       ORDER BY r.created_at DESC`,
+      [type, contributionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Refund an auto-debited contribution (group admin/co-admin, or platform admin)
+   * @param {Object} refundData - Refund data
+   * @param {string} refundData.type - Contribution type
+   * @param {string} refundData.contributionId - Contribution ID
+   * @param {number} refundData.amount - Amount to refund (optional, defaults to what is left to refund)
+   * @param {string} refundData.reason - Why the money is returned (shown to both parties)
+   * @param {string} refundData.requestedBy - User asking for the refund
+   * @param {boolean} refundData.asPlatformAdmin - Requested through the admin API
+   * @param {boolean} refundData.coverShortfall - Refund even if the recipient's wallet can't cover it (platform admins only)
+   * @returns {Promise<Object>} - { success, refund } or { success: false, status, error }
+   */
+  async refundContribution({ type, contributionId, amount, reason, requestedBy, asPlatformAdmin = false, coverShortfall = false }) {
+    if (!contributionService.hasType(type)) {
+      return { success: false, status: 400, error: 'Invalid contribution type' };
+    }
+    if (typeof reason !== 'string' || reason.trim().length === 0) {
+      return { success: false, status: 400, error: 'A reason is required' };
+    }
+
+    const contribution = await contributionService.getContribution(type, contributionId);
+    if (!contribution) {
+      return { success: false, status: 404, error: 'Contribution not found' };
+    }
+
+    if (!asPlatformAdmin) {
+      const permissions = await checkGroupAdminPermissions(requestedBy, contribution.group_id, pool);
+      if (!permissions.isAdminOrCoAdmin) {
+        return { success: false, status: 403, error: 'Only admins or co-admins can refund contributions' };
+      }
+    }
+
+    const { table } = contributionService.getType(type);
+    const hold = await withTransaction(async (client) => {
+      await client.query(`SELECT id FROM ${table} WHERE id = $1 FOR UPDATE`, [contributionId]);
+      const current = await contributionService.getContribution(type, contributionId, client);
+      if (!current) {
+        return { success: false, status: 404, error: 'Contribution not found' };
+      }
+
+      const refundError = this.getRefundError(current);
+      if (refundError) {
+        return { success: false, status: 400, error: refundError };
+      }
+
+      const refundable = this.getRefundable(current);
+      const refundAmount = amount === undefined || amount === null ? refundable : roundAmount(Number(amount));
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        return { success: false, status: 400, error: 'Refund amount must be a positive number' };
+      }
+      if (refundAmount > refundable) {
+        return {
+          success: false,
+          status: 400,
+          error: `At most ${formatAmount(refundable, current.currency)} of this contribution can still be refunded`,
+        };
+      }
+
+      // The wallet that was credited, which for rotating groups is the cycle's recipient
+      const creditResult = await client.query('SELECT user_id FROM transactions WHERE id = $1', [current.transaction_id]);
+      const recipientId = creditResult.rows[0]?.user_id || current.recipient_id;
+
+      // While the payment hasn't settled, the refund comes out of its pending funds; the rest
+      // of the credit stays pending until settlement
+      const pendingAmount = current.transaction_id
+        ? roundAmount(Math.min(refundAmount, await getUnsettledCreditAmount(current.transaction_id, client)))
+        : 0;
+
+      let availableAmount = roundAmount(refundAmount - pendingAmount);
+      if (availableAmount > 0) {
+        const debitResult = await debitWalletBalance(recipientId, current.currency, availableAmount, client);
+        if (!debitResult.success) {
+          if (!asPlatformAdmin || !coverShortfall) {
+            return {
+              success: false,
+              status: 409,
+              error: `The recipient's wallet balance (${formatAmount(debitResult.balance, current.currency)}) doesn't cover this refund`,
+              balance: debitResult.balance,
+            };
+          }
+
+          availableAmount = roundAmount(Math.max(0, Math.min(debitResult.balance, availableAmount)));
+          if (availableAmount > 0) {
+            await debitWalletBalance(recipientId, current.currency, availableAmount, client);
+          }
+        }
+      }
+      if (pendingAmount > 0) {
+        await debitPendingCredit(current.transaction_id, pendingAmount, client);
+      }
+      const walletAmount = roundAmount(pendingAmount + availableAmount);
+      const shortfallAmount = roundAmount(refundAmount - walletAmount);
+
+      await syncLegacyWallet(recipientId, current.currency, client);
+
+      const refundResult = await client.query(
+        `INSERT INTO contribution_refunds
+         (contribution_type, contribution_id, group_id, contributor_id, recipient_id, amount, wallet_amount,
+          shortfall_amount, currency, reason, payment_provider, provider_transaction_id, requested_by, requested_as,
+          pending_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING *`,
+        [
+          type,
+          contributionId,
+          current.group_id,
+          current.contributor_id,
+          recipientId,
+          refundAmount,
+          walletAmount,
+          shortfallAmount,
+          current.currency,
+          reason.trim(),
+          current.payment_provider,
+          current.provider_transaction_id,
+          requestedBy,
+          asPlatformAdmin ? 'platform_admin' : 'group_admin',
+          pendingAmount,
+        ]
+      );
+      let refund = refundResult.rows[0];
+
+      const ledgerEntry = await postContributionRefund({
+        refundId: refund.id,
+        recipientId,
+        amount: refundAmount,
+        shortfall: shortfallAmount,
+        currency: current.currency,
+        paymentProvider: current.payment_provider,
+        contributionType: type,
+        contributionId,
+      }, client);
+
+      if (walletAmount > 0) {
+        const transactionResult = await client.query(
+          `INSERT INTO transactions
+           (user_id, group_id, type, amount, currency, description, status, reference, journal_entry_id)
+           VALUES ($1, $2, 'refund', $3, $4, $5, 'pending', $6, $7)
+           RETURNING id`,
+          [
+            recipientId,
+            current.group_id,
+            walletAmount,
+            current.currency,
+            `Refund to ${current.contributor_name} - ${current.group_name}`,
+            refund.id,
+            ledgerEntry.journalEntryId,
+          ]
+        );
+        const updatedRefund = await client.query(
+          'UPDATE contribution_refunds SET transaction_id = $1 WHERE id = $2 RETURNING *',
+          [transactionResult.rows[0].id, refund.id]
+        );
+        refund = updatedRefund.rows[0];
+      }
+
+      await client.query(
+        `UPDATE ${table} SET refunded_amount = refunded_amount + $1 WHERE id = $2`,
+        [refundAmount, contributionId]
+      );
+
+      return { success: true, refund, contribution: current };
+    });
+
+    if (!hold.success) {
+      return hold;
+    }
+
+    let providerResult;
+    try {
+      providerResult = await paymentService.refundTransaction({
+        transactionId: hold.refund.provider_transaction_id,
+        amount: parseFloat(hold.refund.amount),
+        currency: hold.refund.currency,
+      }, hold.refund.payment_provider);
+    } catch (error) {
+      providerResult = { success: false, error: error.message || 'Refund processing failed' };
+    }
+
+    if (!providerResult.success) {
+      const failed = await this.reverse(hold.refund, providerResult.error || 'Refund processing failed');
+      await logPaymentAction({
+        userId: requestedBy,
+        action: 'contribution_refund',
+        amount: parseFloat(failed.amount),
+        currency: failed.currency,
+        status: 'failed',
+        paymentProvider: failed.payment_provider,
+        providerTransactionId: failed.provider_transaction_id,
+        errorMessage: failed.error_message,
+        metadata: { refundId: failed.id, contributionType: type, contributionId, requestedAs: failed.requested_as },
+      });
+      return { success: false, status: 502, error: `The refund couldn't be processed: ${failed.error_message}`, refund: failed };
+    }
+
+    const settled = await this.complete(hold.refund, providerResult.refundId, requestedBy);
+    if (settled.contributionEvent) {
+      await contributionService.publish(settled.contributionEvent);
+    } else if (type === 'general') {
+      // A partial refund keeps the contribution confirmed but lowers the amount raised
+      try {
+        await checkFundraisingMilestones(hold.contribution.group_id);
+      } catch (error) {
+        console.error('Error checking fundraising milestones after refund:', error);
+      }
+    }
+
+    await logPaymentAction({
+      userId: requestedBy,
+      action: 'contribution_refund',
+      amount: parseFloat(settled.refund.amount),
+      currency: settled.refund.currency,
+      status: 'success',
+      paymentProvider: settled.refund.payment_provider,
+      providerTransactionId: settled.refund.provider_transaction_id,
+      metadata: {
+        refundId: settled.refund.id,
+        providerRefundId: settled.refund.provider_refund_id,
+        contributionType: type,
+        contributionId,
+        walletAmount: parseFloat(settled.refund.wallet_amount),
+        shortfallAmount: parseFloat(settled.refund.shortfall_amount),
+        requestedAs: settled.refund.requested_as,
+      },
+    });
+
+    await this.notifyRefund(settled.refund, hold.contribution);
+
+    return { success: true, refund: settled.refund };
+  }
+
+  /**
+   * Complete a refund the provider accepted
+   * A contribution whose completed refunds add up to its amount moves to refunded.
+   * @param {Object} refund - Pending refund row
+   * @param {string} providerRefundId - Refund ID from the provider
+   * @param {string} actorId - User who asked for the refund
+   * @returns {Promise<Object>} - { refund, contributionEvent }
+   */
+  async complete(refund, providerRefundId, actorId) {
+    return withTransaction(async (client) => {
+      const refundResult = await client.query(
+        `UPDATE contribution_refunds
+         SET status = 'completed', provider_refund_id = $1, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [providerRefundId || null, refund.id]
+      );
+
+      if (refund.transaction_id) {
+        await client.query("UPDATE transactions SET status = 'completed' WHERE id = $1", [refund.transaction_id]);
+      }
+
+      const { table } = contributionService.getType(refund.contribution_type);
+      const contributionResult = await client.query(
+        `SELECT amount FROM ${table} WHERE id = $1 FOR UPDATE`,
+        [refund.contribution_id]
+      );
+      const completedResult = await client.query(
+        `SELECT COALESCE(SUM(amount), 0) as total FROM contribution_refunds
+         WHERE contribution_type = $1 AND contribution_id = $2 AND status = 'completed'`,
+        [refund.contribution_type, refund.contribution_id]
+      );
+      const fullyRefunded = contributionResult.rows.length > 0
+        && parseFloat(completedResult.rows[0].total) >= parseFloat(contributionResult.rows[0].amount);
+
+      let contributionEvent = null;
+      if (fullyRefunded) {
+        contributionEvent = await contributionService.applyStatus({
+          type: refund.contribution_type,
+          contributionId: refund.contribution_id,
+          toStatus: 'refunded',
+          actorId,
+          source: 'refund',
+          metadata: { refundId: refund.id },
+        }, client);
+      }
+
+      await client.query(
+        `UPDATE automatic_payment_attempts SET status = $1
+         WHERE provider_transaction_id = $2 AND status IN ('success', 'partially_refunded')`,
+        [fullyRefunded ? 'refunded' : 'partially_refunded', refund.provider_transaction_id]
+      );
+
+      return { refund: refundResult.rows[0], contributionEvent };
+    });
+  }
+
+  /**
+   * Fail a refund the provider refused, putting the money back in the recipient's wallet
+   * @param {Object} refund - Pending refund row
+   * @param {string} errorMessage - Error from the provider
+   * @returns {Promise<Object>} - Failed refund row
+   */
+  async reverse(refund, errorMessage) {
+    return withTransaction(async (client) => {
+      const walletAmount = parseFloat(refund.wallet_amount);
+      const pendingAmount = parseFloat(refund.pending_amount || 0);
+      let availableAmount = roundAmount(walletAmount - pendingAmount);
+
+      // Funds taken from an unsettled payment go back to pending, unless it has settled since
+      if (pendingAmount > 0) {
+        const contribution = await contributionService.getContribution(refund.contribution_type, refund.contribution_id, client);
+        const restored = contribution?.transaction_id
+          ? await restorePendingCredit(contribution.transaction_id, pendingAmount, client)
+          : false;
+        if (!restored) {
+          availableAmount = roundAmount(availableAmount + pendingAmount);
+        }
+      }
+
+      if (availableAmount > 0) {
+        await creditWalletBalance(refund.recipient_id, refund.currency, availableAmount, client);
+      }
+      if (walletAmount > 0) {
+        await syncLegacyWallet(refund.recipient_id, refund.currency, client);
+      }
+
+      await postContributionRefundReversal({
+        refundId: refund.id,
+        recipientId: refund.recipient_id,
+        amount: parseFloat(refund.amount),
+        shortfall: parseFloat(refund.shortfall_amount),
+        currency: refund.currency,
+        paymentProvider: refund.payment_provider,
+        reason: errorMessage,
+      }, client);
+
+      const refundResult = await client.query(
+        `UPDATE contribution_refunds
+         SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [errorMessage, refund.id]
+      );
+
+      if (refund.transaction_id) {
+        await client.query("UPDATE transactions SET status = 'failed' WHERE id = $1", [refund.transaction_id]);
+      }
+
+      const { table } = contributionService.getType(refund.contribution_type);
+      await client.query(
+        `UPDATE ${table} SET refunded_amount = GREATEST(refunded_amount - $1, 0) WHERE id = $2`,
+        [refund.amount, refund.contribution_id]
+      );
+
+      return refundResult.rows[0];
+    });
+  }
+
+  /**
+   * Flag refunds made at the provider outside this API (e.g. from the provider dashboard)
+   * They leave the recipient's wallet credited, so platform admins are asked to look into them.
+   * @param {Object} charge - Refunded payment
+   * @param {string} charge.provider - Payment provider
+   * @param {string} charge.providerTransactionId - Refunded payment (PaymentIntent ID)
+   * @param {number} charge.amountRefunded - Total refunded on the payment, in main currency unit
+   * @param {string} charge.currency - Currency code
+   * @returns {Promise<number>} - Amount refunded outside the API (0 if every refund is known)
+   */
+  async checkProviderRefunds({ provider, providerTransactionId, amountRefunded, currency }) {
+    const knownResult = await pool.query(
+      `SELECT COALESCE(SUM(amount), 0) as total FROM contribution_refunds
+       WHERE payment_provider = $1 AND provider_transaction_id = $2 AND status IN ('pending', 'completed')`,
+      [provider, providerTransactionId]
+    );
+    const unknownAmount = roundAmount(amountRefunded - parseFloat(knownResult.rows[0].total));
+    if (unknownAmount <= 0) {
+      return 0;
+    }
+
+    // The provider sends an event per refund; only flag each refunded total once
+    const flaggedResult = await pool.query(
+      `SELECT 1 FROM payment_audit_log
+       WHERE action = 'external_refund' AND provider_transaction_id = $1 AND (metadata->>'amountRefunded')::numeric = $2`,
+      [providerTransactionId, amountRefunded]
+    );
+    if (flaggedResult.rows.length > 0) {
+      return unknownAmount;
+    }
+
+    await logPaymentAction({
+      userId: null,
+      action: 'external_refund',
+      amount: unknownAmount,
+      currency,
+      status: 'success',
+      paymentProvider: provider,
+      providerTransactionId,
+      metadata: { amountRefunded },
+    });
+    await notifyPlatformAdmins(
+      'external_refund',
+      'Refund Made Outside GroupFund',
+      `${formatAmount(unknownAmount, currency)} of ${provider} payment ${providerTransactionId} was refunded outside GroupFund, so the recipient's wallet still holds it.`
+    );
+
+    return unknownAmount;
+  }
+
+  /**
+   * Email and notify the contributor and the recipient about a completed refund (never throws)
+   * @param {Object} refund - Completed refund row
+   * @param {Object} contribution - Contribution row from getContribution()
+   */
+  async notifyRefund(refund, contribution) {
+    const amount = parseFloat(refund.amount);
+    const shortfall = parseFloat(refund.shortfall_amount);
+    const formattedAmount = formatAmount(amount, refund.currency);
+    const currencySymbol = paymentService.formatCurrency(amount, refund.currency).replace(/[\d.,]+/g, '');
+
+    try {
+      const usersResult = await pool.query(
+        'SELECT id, name, email FROM users WHERE id = ANY($1)',
+        [[refund.contributor_id, refund.recipient_id].filter(Boolean)]
+      );
+      const contributor = usersResult.rows.find(user => user.id === refund.contributor_id);
+      const recipient = usersResult.rows.find(user => user.id === refund.recipient_id);
+
+      if (contributor?.email) {
+        await sendRefundIssuedEmail(contributor.email, contributor.name, amount, refund.currency, currencySymbol, contribution.group_name, refund.reason);
+      }
+      if (recipient?.email) {
+        await sendRefundDebitedEmail(
+          recipient.email,
+          recipient.name,
+          amount,
+          refund.currency,
+          currencySymbol,
+          contribution.contributor_name,
+          contribution.group_name,
+          refund.reason,
+          shortfall
+        );
+      }
+    } catch (error) {
+      console.error('Error sending refund emails:', error);
+    }
+
+    try {
+      await createNotification(
+        refund.contributor_id,
+        'contribution_refunded',
+        'Contribution Refunded',
+        `Your payment of ${formattedAmount} in ${contribution.group_name} was refunded: ${refund.reason}`,
+        refund.group_id,
+        refund.requested_by
+      );
+      if (refund.recipient_id) {
+        await createNotification(
+          refund.recipient_id,
+          'contribution_refunded',
+          'Contribution Refunded',
+          `${contribution.contributor_name}'s payment of ${formattedAmount} in ${contribution.group_name} was refunded from your wallet: ${refund.reason}`,
+          refund.group_id,
+          refund.contributor_id
+        );
+      }
+    } catch (error) {
+      console.error('Error sending refund notifications:', error);
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,45 @@
+/**
+ * Storage Driver Interface
+ * Every storage driver extends this class and is registered in ./index.js.
+ * Keys are relative paths ('receipts/<group>/<file>.pdf'); drivers decide where the bytes live.
+ */
+class BaseStorageDriver {
+  /**
+   * @param {string} name - Driver name stored in the database ('local', ...)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} data - File contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} - { key, size }
+   */
+  async put(key, data, options = {}) {
+    throw new Error(`put not implemented for storage driver ${this.name}`);
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} - File contents, or null if the file does not exist
+   */
+  async get(key) {
+    throw new Error(`get not implemented for storage driver ${this.name}`);
+  }
+
+  /**
+   * Delete a stored file (no error if it is already gone)
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    throw new Error(`remove not implemented for storage driver ${this.name}`);
+  }
+}
+
+module.exports = {
+  BaseStorageDriver,
+};
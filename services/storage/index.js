@@ -0,0 +1,49 @@
+const LocalStorageDriver = require('./localDriver');
+
+/**
+ * Storage Driver Registry
+ * Uploaded files (e.g. payment receipts) are stored through the driver named by STORAGE_DRIVER
+ * (default: 'local'). The driver name is saved with each file, so files stay readable after
+ * the default changes. To add a driver: extend BaseStorageDriver and register it below.
+ */
+
+const DEFAULT_DRIVER = 'local';
+
+const drivers = new Map();
+
+/**
+ * Register a storage driver (replaces any driver with the same name)
+ * @param {BaseStorageDriver} driver - Storage driver
+ */
+function registerDriver(driver) {
+  drivers.set(driver.name, driver);
+}
+
+/**
+ * Get a storage driver by name
+ * @param {string} name - Driver name
+ * @returns {BaseStorageDriver} - Storage driver
+ */
+function getDriver(name) {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+}
+
+/**
+ * Get the driver new files are written to
+ * @returns {BaseStorageDriver} - Storage driver
+ */
+function getDefaultDriver() {
+  return getDriver(process.env.STORAGE_DRIVER || DEFAULT_DRIVER);
+}
+
+registerDriver(new LocalStorageDriver());
+
+module.exports = {
+  registerDriver,
+  getDriver,
+  getDefaultDriver,
+};
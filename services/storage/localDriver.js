@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { BaseStorageDriver } = require('./baseDriver');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Local disk storage driver
+ * Files are written under LOCAL_STORAGE_PATH (default: ./uploads). Fine for a single server;
+ * use a shared driver when running more than one instance.
+ */
+class LocalStorageDriver extends BaseStorageDriver {
+  constructor(root = process.env.LOCAL_STORAGE_PATH || DEFAULT_ROOT) {
+    super('local');
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a key to a path inside the storage root
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // 'wx' - never overwrite an existing file
+    await fs.writeFile(filePath, data, { flag: 'wx' });
+    return { key, size: data.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
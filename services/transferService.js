@@ -0,0 +1,474 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification } = require('../utils/notifications');
+const { formatAmount, getCurrencySymbol, roundAmount } = require('../utils/currency');
+const {
+  lockWalletBalance,
+  debitWalletBalance,
+  creditWalletBalance,
+  syncLegacyWallet,
+} = require('../utils/walletHelpers');
+const { postWalletTransfer } = require('../utils/ledgerHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+const { sendWalletTransferSentEmail, sendWalletTransferReceivedEmail } = require('../utils/email');
+const feeScheduleService = require('./feeScheduleService');
+
+/**
+ * Transfer Service
+ * Moves money from one user's available wallet balance to another user's, in one currency:
+ *
+ *   sender available balance --(debit amount + fee)--> recipient available balance (credit amount)
+ *
+ * The fee comes from the 'transfer' fee schedule (free by default) and is paid by the sender.
+ * Recipients are found by email, phone number, or picked from the members of a group both users
+ * are active in whose currency matches the transfer. Only settled (available) funds can be sent,
+ * so the recipient can withdraw them straight away. Each sender has a daily amount and count
+ * limit per currency, checked under the sender's wallet row lock so parallel transfers can't
+ * exceed it.
+ */
+
+// Daily amount a user can send per currency (main currency unit)
+const DAILY_TRANSFER_LIMITS = {
+  NGN: 500000,
+  GHS: 20000,
+  KES: 250000,
+  ZAR: 30000,
+};
+const DEFAULT_DAILY_TRANSFER_LIMIT = 2000; // USD, EUR, GBP, CAD, AUD and other currencies
+const MAX_DAILY_TRANSFERS = 10; // Transfers a user can send per currency per day
+
+/**
+ * Keep only the digits of a phone number, so formatting differences don't matter
+ * @param {string} phone - Phone number as entered
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+class TransferService {
+  /**
+   * Daily transfer limit for a currency
+   * @param {string} currency - Currency code
+   * @returns {number}
+   */
+  getDailyLimit(currency) {
+    return DAILY_TRANSFER_LIMITS[currency] || DEFAULT_DAILY_TRANSFER_LIMIT;
+  }
+
+  /**
+   * What a user has sent today in a currency
+   * @param {string} userId - Sending user ID
+   * @param {string} currency - Currency code
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object>} - { amount, count, limit, remaining, maxTransfers }
+   */
+  async getDailyUsage(userId, currency, client = pool) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(amount), 0) AS amount, COUNT(*) AS count
+       FROM wallet_transfers
+       WHERE sender_id = $1 AND currency = $2 AND created_at >= CURRENT_DATE`,
+      [userId, currency]
+    );
+
+    const amount = parseFloat(result.rows[0].amount);
+    const limit = this.getDailyLimit(currency);
+    return {
+      amount,
+      count: parseInt(result.rows[0].count, 10),
+      limit,
+      remaining: roundAmount(Math.max(0, limit - amount)),
+      maxTransfers: MAX_DAILY_TRANSFERS,
+    };
+  }
+
+  /**
+   * Shape a transfer for API responses, from the point of view of one of its users
+   * @param {Object} transfer - wallet_transfers row with sender_name and recipient_name
+   * @param {string} userId - User viewing the transfer
+   * @returns {Object}
+   */
+  formatTransfer(transfer, userId) {
+    const sent = transfer.sender_id === userId;
+    return {
+      id: transfer.id,
+      direction: sent ? 'sent' : 'received',
+      amount: parseFloat(transfer.amount),
+      fee: sent ? parseFloat(transfer.fee || 0) : undefined,
+      currency: transfer.currency,
+      note: transfer.note,
+      counterparty: {
+        id: sent ? transfer.recipient_id : transfer.sender_id,
+        name: sent ? transfer.recipient_name : transfer.sender_name,
+      },
+      recipient_lookup: sent ? transfer.recipient_lookup : undefined,
+      group_id: transfer.group_id,
+      created_at: transfer.created_at,
+    };
+  }
+
+  /**
+   * Members of groups the user is active in that they can send money to in a currency
+   * @param {string} userId - Sending user ID
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array>} - [{ id, name, groups: [{ id, name }] }]
+   */
+  async listGroupRecipients(userId, currency) {
+    const result = await pool.query(
+      `SELECT u.id, u.name, g.id AS group_id, g.name AS group_name
+       FROM group_members mine
+       JOIN groups g ON g.id = mine.group_id
+       JOIN group_members theirs ON theirs.group_id = g.id AND theirs.status = 'active'
+       JOIN users u ON u.id = theirs.user_id
+       WHERE mine.user_id = $1 AND mine.status = 'active'
+         AND g.currency = $2 AND (g.status IS NULL OR g.status = 'active')
+         AND u.id <> $1 AND u.is_active IS NOT FALSE
+       ORDER BY u.name, g.name`,
+      [userId, currency]
+    );
+
+    const recipients = new Map();
+    for (const row of result.rows) {
+      if (!recipients.has(row.id)) {
+        recipients.set(row.id, { id: row.id, name: row.name, groups: [] });
+      }
+      recipients.get(row.id).groups.push({ id: row.group_id, name: row.group_name });
+    }
+    return Array.from(recipients.values());
+  }
+
+  /**
+   * Find the recipient of a transfer
+   * @param {Object} lookup - Exactly one of { email, phone, recipientId }
+   * @param {string} senderId - Sending user ID
+   * @param {string} currency - Transfer currency (a group member must share a group in it)
+   * @returns {Promise<Object>} - { success, recipient, lookup, groupId } or { success: false, status, error }
+   */
+  async findRecipient({ email, phone, recipientId }, senderId, currency) {
+    const provided = [email, phone, recipientId].filter(value => value !== undefined && value !== null && value !== '');
+    if (provided.length !== 1) {
+      return { success: false, status: 400, error: 'Provide exactly one of recipient_email, recipient_phone or recipient_id' };
+    }
+
+    let recipient = null;
+    let lookup;
+    let groupId = null;
+
+    if (email) {
+      lookup = 'email';
+      const result = await pool.query(
+        `SELECT id, name, email, is_verified, is_active FROM users WHERE LOWER(email) = LOWER($1)`,
+        [email.trim()]
+      );
+      recipient = result.rows[0] || null;
+    } else if (phone) {
+      lookup = 'phone';
+      const digits = normalizePhone(phone);
+      if (digits.length < 7) {
+        return { success: false, status: 400, error: 'Enter a valid phone number' };
+      }
+      const result = await pool.query(
+        `SELECT id, name, email, is_verified, is_active FROM users
+         WHERE phone IS NOT NULL AND regexp_replace(phone, '[^0-9]', '', 'g') = $1
+         LIMIT 2`,
+        [digits]
+      );
+      if (result.rows.length > 1) {
+        return { success: false, status: 409, error: 'More than one user has this phone number. Send by email instead.' };
+      }
+      recipient = result.rows[0] || null;
+    } else {
+      lookup = 'group_member';
+      const result = await pool.query(
+        `SELECT u.id, u.name, u.email, u.is_verified, u.is_active, g.id AS group_id
+         FROM users u
+         JOIN group_members theirs ON theirs.user_id = u.id AND theirs.status = 'active'
+         JOIN groups g ON g.id = theirs.group_id
+         JOIN group_members mine ON mine.group_id = g.id AND mine.user_id = $2 AND mine.status = 'active'
+         WHERE u.id = $1 AND g.currency = $3 AND (g.status IS NULL OR g.status = 'active')
+         ORDER BY g.created_at
+         LIMIT 1`,
+        [recipientId, senderId, currency]
+      );
+      if (result.rows.length === 0) {
+        return { success: false, status: 404, error: `You don't share an active ${currency} group with this member` };
+      }
+      recipient = result.rows[0];
+      groupId = recipient.group_id;
+    }
+
+    if (!recipient || recipient.is_active === false || !recipient.is_verified) {
+      return { success: false, status: 404, error: 'No GroupFund user found with these details' };
+    }
+    if (recipient.id === senderId) {
+      return { success: false, status: 400, error: 'You can\'t send money to yourself' };
+    }
+
+    return {
+      success: true,
+      recipient: { id: recipient.id, name: recipient.name, email: recipient.email },
+      lookup,
+      groupId,
+    };
+  }
+
+  /**
+   * Send money from a user's available wallet balance to another user (step-up already verified)
+   * @param {Object} transferData - Transfer data
+   * @param {string} transferData.senderId - Sending user ID
+   * @param {Object} transferData.recipient - { email, phone, recipientId } (exactly one)
+   * @param {number} transferData.amount - Amount in main currency unit
+   * @param {string} transferData.currency - Currency code
+   * @param {string} transferData.note - Message for the recipient (optional)
+   * @returns {Promise<Object>} - { success, transfer, balance, dailyUsage } or { success: false, status, error }
+   */
+  async sendTransfer({ senderId, recipient: recipientLookup, amount, currency, note }) {
+    const transferAmount = roundAmount(Number(amount));
+    if (!Number.isFinite(transferAmount) || transferAmount <= 0) {
+      return { success: false, status: 400, error: 'Amount must be greater than 0' };
+    }
+    const trimmedNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+
+    const found = await this.findRecipient(recipientLookup, senderId, currency);
+    if (!found.success) {
+      return found;
+    }
+    const { recipient } = found;
+
+    const senderResult = await pool.query('SELECT name, email FROM users WHERE id = $1', [senderId]);
+    const sender = senderResult.rows[0];
+
+    const transferFee = await feeScheduleService.calculateWalletFee('transfer', transferAmount, currency);
+    const totalDebit = roundAmount(transferAmount + transferFee.fee);
+
+    const result = await withTransaction(async (client) => {
+      // Lock both wallet rows in a fixed order so opposite transfers between two users can't deadlock
+      for (const userId of [senderId, recipient.id].sort()) {
+        await lockWalletBalance(userId, currency, client);
+      }
+
+      const usage = await this.getDailyUsage(senderId, currency, client);
+      if (usage.count >= MAX_DAILY_TRANSFERS) {
+        return {
+          success: false,
+          status: 429,
+          error: `You can send at most ${MAX_DAILY_TRANSFERS} ${currency} transfers per day`,
+          dailyUsage: usage,
+        };
+      }
+      if (transferAmount > usage.remaining) {
+        return {
+          success: false,
+          status: 400,
+          error: `This exceeds your daily transfer limit. You can send ${formatAmount(usage.remaining, currency)} more today.`,
+          dailyUsage: usage,
+        };
+      }
+
+      const debitResult = await debitWalletBalance(senderId, currency, totalDebit, client);
+      if (!debitResult.success) {
+        return {
+          success: false,
+          status: 400,
+          error: 'Insufficient balance',
+          currentBalance: debitResult.balance,
+          requested: totalDebit,
+          fee: transferFee.fee,
+        };
+      }
+      await creditWalletBalance(recipient.id, currency, transferAmount, client);
+      await syncLegacyWallet(senderId, currency, client);
+      await syncLegacyWallet(recipient.id, currency, client);
+
+      const transferResult = await client.query(
+        `INSERT INTO wallet_transfers
+         (sender_id, recipient_id, amount, fee, currency, note, recipient_lookup, group_id, fee_schedule_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          senderId,
+          recipient.id,
+          transferAmount,
+          transferFee.fee,
+          currency,
+          trimmedNote,
+          found.lookup,
+          found.groupId,
+          transferFee.feeScheduleId,
+        ]
+      );
+      const transfer = transferResult.rows[0];
+
+      const ledgerEntry = await postWalletTransfer({
+        transferId: transfer.id,
+        senderId,
+        recipientId: recipient.id,
+        amount: transferAmount,
+        fee: transferFee.fee,
+        currency,
+      }, client);
+
+      const senderTransaction = await client.query(
+        `INSERT INTO transactions
+         (user_id, group_id, type, amount, currency, description, status, reference, journal_entry_id, platform_fee, fee_schedule_id)
+         VALUES ($1, $2, 'transfer_out', $3, $4, $5, 'completed', $6, $7, $8, $9)
+         RETURNING id`,
+        [
+          senderId,
+          found.groupId,
+          totalDebit,
+          currency,
+          `Transfer to ${recipient.name}`,
+          transfer.id,
+          ledgerEntry.journalEntryId,
+          transferFee.fee,
+          transferFee.feeScheduleId,
+        ]
+      );
+      const recipientTransaction = await client.query(
+        `INSERT INTO transactions (user_id, group_id, type, amount, currency, description, status, reference, journal_entry_id)
+         VALUES ($1, $2, 'transfer_in', $3, $4, $5, 'completed', $6, $7)
+         RETURNING id`,
+        [recipient.id, found.groupId, transferAmount, currency, `Transfer from ${sender.name}`, transfer.id, ledgerEntry.journalEntryId]
+      );
+
+      const updated = await client.query(
+        `UPDATE wallet_transfers
+         SET sender_transaction_id = $1, recipient_transaction_id = $2, journal_entry_id = $3
+         WHERE id = $4
+         RETURNING *`,
+        [senderTransaction.rows[0].id, recipientTransaction.rows[0].id, ledgerEntry.journalEntryId, transfer.id]
+      );
+
+      return {
+        success: true,
+        transfer: updated.rows[0],
+        balance: debitResult.balance,
+        dailyUsage: {
+          ...usage,
+          amount: roundAmount(usage.amount + transferAmount),
+          count: usage.count + 1,
+          remaining: roundAmount(Math.max(0, usage.remaining - transferAmount)),
+        },
+      };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    const transfer = { ...result.transfer, sender_name: sender.name, recipient_name: recipient.name };
+
+    await logPaymentAction({
+      userId: senderId,
+      action: 'wallet_transfer',
+      amount: transferAmount,
+      currency,
+      status: 'completed',
+      metadata: {
+        transferId: transfer.id,
+        recipientId: recipient.id,
+        recipientLookup: found.lookup,
+        groupId: found.groupId,
+      },
+    });
+
+    await this.notifyTransfer(transfer, sender, recipient);
+
+    return {
+      success: true,
+      transfer: this.formatTransfer(transfer, senderId),
+      balance: result.balance,
+      dailyUsage: result.dailyUsage,
+    };
+  }
+
+  /**
+   * Tell both users about a completed transfer (failures are logged, not thrown)
+   * @param {Object} transfer - wallet_transfers row
+   * @param {Object} sender - { name, email }
+   * @param {Object} recipient - { id, name, email }
+   * @returns {Promise<void>}
+   */
+  async notifyTransfer(transfer, sender, recipient) {
+    const amount = parseFloat(transfer.amount);
+    const amountText = formatAmount(amount, transfer.currency);
+    const currencySymbol = getCurrencySymbol(transfer.currency);
+
+    try {
+      await createNotification(
+        transfer.sender_id,
+        'wallet_transfer_sent',
+        'Transfer Sent',
+        `You sent ${amountText} to ${recipient.name}.`,
+        transfer.group_id,
+        recipient.id
+      );
+      await createNotification(
+        recipient.id,
+        'wallet_transfer_received',
+        'Money Received',
+        `${sender.name} sent you ${amountText}.${transfer.note ? ` "${transfer.note}"` : ''}`,
+        transfer.group_id,
+        transfer.sender_id
+      );
+    } catch (notificationError) {
+      console.error('Error creating wallet transfer notifications:', notificationError);
+    }
+
+    try {
+      if (sender.email) {
+        await sendWalletTransferSentEmail(sender.email, sender.name, amount, transfer.currency, currencySymbol, recipient.name);
+      }
+      if (recipient.email) {
+        await sendWalletTransferReceivedEmail(recipient.email, recipient.name, amount, transfer.currency, currencySymbol, sender.name);
+      }
+    } catch (emailError) {
+      console.error('Error sending wallet transfer emails:', emailError);
+    }
+  }
+
+  /**
+   * A user's sent and received transfers, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { currency, direction ('sent' or 'received'), limit, offset }
+   * @returns {Promise<Object>} - { transfers, total }
+   */
+  async listTransfers(userId, { currency, direction, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [userId];
+    if (direction === 'sent') {
+      conditions.push('t.sender_id = $1');
+    } else if (direction === 'received') {
+      conditions.push('t.recipient_id = $1');
+    } else {
+      conditions.push('(t.sender_id = $1 OR t.recipient_id = $1)');
+    }
+    if (currency) {
+      params.push(currency);
+      conditions.push(`t.currency = $${params.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM wallet_transfers t WHERE ${where}`, params);
+
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT t.*, sender.name AS sender_name, recipient.name AS recipient_name
+       FROM wallet_transfers t
+       LEFT JOIN users sender ON sender.id = t.sender_id
+       LEFT JOIN users recipient ON recipient.id = t.recipient_id
+       WHERE ${where}
+       ORDER BY t.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return {
+      transfers: result.rows.map(row => this.formatTransfer(row, userId)),
+      total: parseInt(countResult.rows[0].total, 10),
+    };
+  }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification, notifyPlatformAdmins } = require('../utils/notifications');
+const { formatAmount } = require('../utils/currency');
+const { returnWithdrawalToWallet, syncLegacyWallet } = require('../utils/walletHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+
+/**
+ * Withdrawal Risk Service
+ * Decides what happens to a withdrawal request before any money is held:
+ *
+ *   over daily / monthly limit       -> declined
+ *   amount over approval threshold   -> pending_approval (admin approves or rejects)
+ *   recent bank account / password   -> pending, hold extended
+ *   change, or a new device
+ *   otherwise                        -> pending, standard 24 hour hold
+ *
+ * Limits come from withdrawal_limits (a per-user row, then the currency row, then the defaults
+ * below). Usage counts every withdrawal that wasn't failed, rejected or cancelled, so it must be
+ * read under the user's wallet row lock to stop parallel requests slipping past the limit together.
+ * Every decision is logged to payment_audit_log as 'withdrawal_risk_decision' with its reason codes.
+ */
+
+// Limits per currency (main currency unit) when withdrawal_limits has no value
+const DEFAULT_WITHDRAWAL_LIMITS = {
+  NGN: { daily: 2000000, monthly: 10000000, approvalThreshold: 1000000 },
+  GHS: { daily: 50000, monthly: 250000, approvalThreshold: 25000 },
+  KES: { daily: 500000, monthly: 2500000, approvalThreshold: 250000 },
+  ZAR: { daily: 75000, monthly: 350000, approvalThreshold: 40000 },
+};
+const DEFAULT_LIMITS = { daily: 5000, monthly: 20000, approvalThreshold: 2500 }; // USD, EUR, GBP, CAD, AUD and others
+
+const STANDARD_HOLD_HOURS = 24;
+
+// Events that extend the hold when they happened within windowHours of the request
+const RISK_HOLDS = {
+  new_bank_account: { holdHours: 72, windowHours: 7 * 24 },
+  recent_password_change: { holdHours: 72, windowHours: 7 * 24 },
+  new_device: { holdHours: 48, windowHours: 7 * 24 },
+};
+
+/**
+ * Parse a nullable DECIMAL column
+ * @param {string|null} value - Column value
+ * @returns {number|null}
+ */
+function toNumberOrNull(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Whether a timestamp falls within the last few hours
+ * @param {Date|string|null} timestamp - Timestamp
+ * @param {number} hours - Window in hours
+ * @returns {boolean}
+ */
+function isWithinHours(timestamp, hours) {
+  return Boolean(timestamp) && Date.now() - new Date(timestamp).getTime() < hours * 60 * 60 * 1000;
+}
+
+class WithdrawalRiskService {
+  /**
+   * Identify the device a request came from
+   * The app sends X-Device-Id; other clients fall back to their user agent.
+   * @param {Object} req - Express request
+   * @returns {string|null} - SHA-256 device key, or null when the request carries neither header
+   */
+  getDeviceKey(req) {
+    const identifier = req.get('X-Device-Id') || req.get('User-Agent');
+    if (!identifier) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(identifier).digest('hex');
+  }
+
+  /**
+   * Remember the device a user is signing in or withdrawing from
+   * A device counts as new when it was first seen within the new_device window and the user has
+   * an older device (a user's very first devices aren't a change of device).
+   * @param {string} userId - User ID
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { deviceKey, isNew }
+   */
+  async recordDevice(userId, req) {
+    const deviceKey = this.getDeviceKey(req);
+    if (!deviceKey) {
+      return { deviceKey: null, isNew: false };
+    }
+
+    const { windowHours } = RISK_HOLDS.new_device;
+    const result = await pool.query(
+      `INSERT INTO user_devices (user_id, device_key, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, device_key)
+       DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP, user_agent = EXCLUDED.user_agent, ip_address = EXCLUDED.ip_address
+       RETURNING first_seen_at > CURRENT_TIMESTAMP - ($5 || ' hours')::interval AS is_recent,
+         EXISTS (
+           SELECT 1 FROM user_devices older
+           WHERE older.user_id = $1 AND older.device_key <> $2
+             AND older.first_seen_at <= CURRENT_TIMESTAMP - ($5 || ' hours')::interval
+         ) AS has_older_device`,
+      [userId, deviceKey, req.get('User-Agent') || null, req.ip || null, windowHours]
+    );
+
+    const row = result.rows[0];
+    return { deviceKey, isNew: row.is_recent && row.has_older_device };
+  }
+
+  /**
+   * Limits that apply to a user in a currency
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object>} - { daily, monthly, approvalThreshold }
+   */
+  async getLimits(userId, currency, client = pool) {
+    const result = await client.query(
+      `SELECT user_id, daily_limit, monthly_limit, approval_threshold
+       FROM withdrawal_limits
+       WHERE currency = $1 AND (user_id IS NULL OR user_id = $2)`,
+      [currency, userId]
+    );
+
+    const userRow = result.rows.find(row => row.user_id) || {};
+    const currencyRow = result.rows.find(row => !row.user_id) || {};
+    const defaults = DEFAULT_WITHDRAWAL_LIMITS[currency] || DEFAULT_LIMITS;
+    const pick = (column, fallback) => toNumberOrNull(userRow[column]) ?? toNumberOrNull(currencyRow[column]) ?? fallback;
+
+    return {
+      daily: pick('daily_limit', defaults.daily),
+      monthly: pick('monthly_limit', defaults.monthly),
+      approvalThreshold: pick('approval_threshold', defaults.approvalThreshold),
+    };
+  }
+
+  /**
+   * What a user has withdrawn (or has waiting to be paid out) today and this month in a currency
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {Object} client - Database client (defaults to pool)
+   * @returns {Promise<Object>} - { daily, monthly }
+   */
+  async getUsage(userId, currency, client = pool) {
+    const result = await client.query(
+      `SELECT
+         COALESCE(SUM(amount) FILTER (WHERE created_at >= CURRENT_DATE), 0) AS daily,
+         COALESCE(SUM(amount), 0) AS monthly
+       FROM withdrawals
+       WHERE user_id = $1 AND currency = $2
+         AND created_at >= date_trunc('month', CURRENT_DATE)
+         AND status NOT IN ('failed', 'rejected', 'cancelled')`,
+      [userId, currency]
+    );
+
+    return {
+      daily: parseFloat(result.rows[0].daily),
+      monthly: parseFloat(result.rows[0].monthly),
+    };
+  }
+
+  /**
+   * Assess a withdrawal request (call with the user's wallet row locked)
+   * @param {Object} requestData - Request data
+   * @param {string} requestData.userId - User ID
+   * @param {string} requestData.currency - Currency code
+   * @param {number} requestData.amount - Amount requested
+   * @param {Object} requestData.bankAccount - Payout account (wallet_bank_accounts row with details_changed_at)
+   * @param {boolean} requestData.newDevice - Whether the request came from a new device
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} - { allowed: true, withdrawalStatus, holdHours, scheduledAt, reasonCodes, limits, usage }
+   *   or { allowed: false, status, error, reasonCodes, limits, usage }
+   */
+  async assessWithdrawal({ userId, currency, amount, bankAccount, newDevice }, client) {
+    const limits = await this.getLimits(userId, currency, client);
+    const usage = await this.getUsage(userId, currency, client);
+
+    if (usage.daily + amount > limits.daily) {
+      return {
+        allowed: false,
+        status: 400,
+        error: `This exceeds your daily withdrawal limit. You can withdraw ${formatAmount(Math.max(0, limits.daily - usage.daily), currency)} more today.`,
+        reasonCodes: ['daily_limit_exceeded'],
+        limits,
+        usage,
+      };
+    }
+    if (usage.monthly + amount > limits.monthly) {
+      return {
+        allowed: false,
+        status: 400,
+        error: `This exceeds your monthly withdrawal limit. You can withdraw ${formatAmount(Math.max(0, limits.monthly - usage.monthly), currency)} more this month.`,
+        reasonCodes: ['monthly_limit_exceeded'],
+        limits,
+        usage,
+      };
+    }
+
+    const userResult = await client.query('SELECT password_changed_at FROM users WHERE id = $1', [userId]);
+    const passwordChangedAt = userResult.rows[0]?.password_changed_at;
+
+    const triggered = [];
+    if (isWithinHours(bankAccount.details_changed_at, RISK_HOLDS.new_bank_account.windowHours)) {
+      triggered.push('new_bank_account');
+    }
+    if (isWithinHours(passwordChangedAt, RISK_HOLDS.recent_password_change.windowHours)) {
+      triggered.push('recent_password_change');
+    }
+    if (newDevice) {
+      triggered.push('new_device');
+    }
+
+    const holdHours = Math.max(STANDARD_HOLD_HOURS, ...triggered.map(code => RISK_HOLDS[code].holdHours));
+    const reasonCodes = [...triggered];
+    const requiresApproval = amount > limits.approvalThreshold;
+    if (requiresApproval) {
+      reasonCodes.push('approval_required');
+    }
+
+    return {
+      allowed: true,
+      withdrawalStatus: requiresApproval ? 'pending_approval' : 'pending',
+      holdHours,
+      scheduledAt: new Date(Date.now() + holdHours * 60 * 60 * 1000),
+      reasonCodes: reasonCodes.length > 0 ? reasonCodes : ['standard_hold'],
+      limits,
+      usage,
+    };
+  }
+
+  /**
+   * Write a risk decision to the payment audit log
+   * @param {Object} decisionData - Decision data
+   * @param {string} decisionData.userId - User ID
+   * @param {number} decisionData.amount - Amount requested
+   * @param {string} decisionData.currency - Currency code
+   * @param {string} decisionData.withdrawalId - Withdrawal ID (not set when declined)
+   * @param {Object} decisionData.assessment - Result of assessWithdrawal
+   * @param {Object} decisionData.req - Express request (for IP and user agent)
+   * @returns {Promise<void>}
+   */
+  async logDecision({ userId, amount, currency, withdrawalId = null, assessment, req }) {
+    let decision = 'declined';
+    if (assessment.allowed) {
+      if (assessment.withdrawalStatus === 'pending_approval') {
+        decision = 'needs_approval';
+      } else {
+        decision = assessment.holdHours > STANDARD_HOLD_HOURS ? 'extended_hold' : 'standard_hold';
+      }
+    }
+
+    await logPaymentAction({
+      userId,
+      action: 'withdrawal_risk_decision',
+      amount,
+      currency,
+      status: decision,
+      errorMessage: assessment.allowed ? null : assessment.error,
+      ipAddress: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') : null,
+      metadata: {
+        withdrawalId,
+        decision,
+        reasonCodes: assessment.reasonCodes,
+        holdHours: assessment.holdHours || null,
+        scheduledAt: assessment.scheduledAt || null,
+        limits: assessment.limits,
+        usage: assessment.usage,
+      },
+    });
+  }
+
+  /**
+   * Ask platform admins to review a withdrawal over the approval threshold
+   * @param {Object} withdrawal - { id, user_id, amount, currency }
+   * @returns {Promise<void>}
+   */
+  async requestApproval(withdrawal) {
+    await notifyPlatformAdmins(
+      'withdrawal_approval_required',
+      'Withdrawal Needs Approval',
+      `A withdrawal of ${formatAmount(parseFloat(withdrawal.amount), withdrawal.currency)} is waiting for approval (#${withdrawal.id}).`,
+      null,
+      withdrawal.user_id
+    );
+  }
+
+  /**
+   * Approve a withdrawal waiting for review; it is paid out once its hold ends
+   * @param {Object} reviewData - Review data
+   * @param {string} reviewData.withdrawalId - Withdrawal ID
+   * @param {string} reviewData.adminId - Reviewing admin user ID
+   * @param {string} reviewData.note - Review note (optional)
+   * @returns {Promise<Object>} - { success, withdrawal } or { success: false, status, error }
+   */
+  async approveWithdrawal({ withdrawalId, adminId, note }) {
+    const result = await pool.query(
+      `UPDATE withdrawals
+       SET status = 'pending', scheduled_at = GREATEST(scheduled_at, CURRENT_TIMESTAMP),
+           reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_note = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = 'pending_approval'
+       RETURNING *`,
+      [adminId, note || null, withdrawalId]
+    );
+
+    if (result.rows.length === 0) {
+      return this.reviewNotPossible(withdrawalId);
+    }
+
+    const withdrawal = result.rows[0];
+
+    await logPaymentAction({
+      userId: withdrawal.user_id,
+      action: 'withdrawal_approved',
+      amount: parseFloat(withdrawal.amount),
+      currency: withdrawal.currency,
+      status: 'pending',
+      paymentProvider: withdrawal.payment_provider,
+      metadata: { withdrawalId: withdrawal.id, adminId, note: note || null, scheduledAt: withdrawal.scheduled_at },
+    });
+
+    try {
+      await createNotification(
+        withdrawal.user_id,
+        'withdrawal_approved',
+        'Withdrawal Approved',
+        `Your withdrawal of ${formatAmount(parseFloat(withdrawal.amount), withdrawal.currency)} has been approved and will be paid out on ${new Date(withdrawal.scheduled_at).toUTCString()}.`,
+        null,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating withdrawal approved notification:', notificationError);
+    }
+
+    return { success: true, withdrawal };
+  }
+
+  /**
+   * Reject a withdrawal waiting for review and return the held funds to the wallet
+   * @param {Object} reviewData - Review data
+   * @param {string} reviewData.withdrawalId - Withdrawal ID
+   * @param {string} reviewData.adminId - Reviewing admin user ID
+   * @param {string} reviewData.note - Reason shown to the user
+   * @returns {Promise<Object>} - { success, withdrawal } or { success: false, status, error }
+   */
+  async rejectWithdrawal({ withdrawalId, adminId, note }) {
+    const withdrawal = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE withdrawals
+         SET status = 'rejected', error_message = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+             review_note = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND status = 'pending_approval'
+         RETURNING *`,
+        [note, adminId, withdrawalId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const rejected = result.rows[0];
+      await returnWithdrawalToWallet({
+        userId: rejected.user_id,
+        withdrawalId: rejected.id,
+        amount: rejected.amount,
+        currency: rejected.currency,
+        reason: `Rejected: ${note}`,
+      }, client);
+      await syncLegacyWallet(rejected.user_id, rejected.currency, client);
+
+      await client.query(
+        `UPDATE transactions
+         SET status = 'failed'
+         WHERE reference = $1 AND type = 'withdrawal'`,
+        [rejected.id]
+      );
+
+      return rejected;
+    });
+
+    if (!withdrawal) {
+      return this.reviewNotPossible(withdrawalId);
+    }
+
+    await logPaymentAction({
+      userId: withdrawal.user_id,
+      action: 'withdrawal_rejected',
+      amount: parseFloat(withdrawal.amount),
+      currency: withdrawal.currency,
+      status: 'rejected',
+      paymentProvider: withdrawal.payment_provider,
+      errorMessage: note,
+      metadata: { withdrawalId: withdrawal.id, adminId },
+    });
+
+    try {
+      await createNotification(
+        withdrawal.user_id,
+        'withdrawal_rejected',
+        'Withdrawal Not Approved',
+        `Your withdrawal of ${formatAmount(parseFloat(withdrawal.amount), withdrawal.currency)} was not approved: ${note}. The funds are back in your wallet.`,
+        null,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating withdrawal rejected notification:', notificationError);
+    }
+
+    return { success: true, withdrawal };
+  }
+
+  /**
+   * Explain why a withdrawal can't be reviewed
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Promise<Object>} - { success: false, status, error }
+   */
+  async reviewNotPossible(withdrawalId) {
+    const existing = await pool.query('SELECT status FROM withdrawals WHERE id = $1', [withdrawalId]);
+    if (existing.rows.length === 0) {
+      return { success: false, status: 404, error: 'Withdrawal not found' };
+    }
+    return {
+      success: false,
+      status: 409,
+      error: `Withdrawal is ${existing.rows[0].status}, only withdrawals waiting for approval can be reviewed`,
+    };
+  }
+
+  /**
+   * Configured limit rows, currency rows first
+   * @param {Object} filters - { currency, userId }
+   * @returns {Promise<Array>}
+   */
+  async listLimits({ currency, userId } = {}) {
+    const conditions = [];
+    const params = [];
+    if (currency) {
+      params.push(currency);
+      conditions.push(`wl.currency = $${params.length}`);
+    }
+    if (userId) {
+      params.push(userId);
+      conditions.push(`wl.user_id = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT wl.*, u.name AS user_name, u.email AS user_email
+       FROM withdrawal_limits wl
+       LEFT JOIN users u ON u.id = wl.user_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY wl.user_id IS NOT NULL, wl.currency, u.name`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      currency: row.currency,
+      user: row.user_id ? { id: row.user_id, name: row.user_name, email: row.user_email } : null,
+      daily_limit: toNumberOrNull(row.daily_limit),
+      monthly_limit: toNumberOrNull(row.monthly_limit),
+      approval_threshold: toNumberOrNull(row.approval_threshold),
+      note: row.note,
+      updated_at: row.updated_at,
+    }));
+  }
+
+  /**
+   * Create or replace the limits for a currency, or for one user in a currency
+   * @param {Object} limitData - Limit data
+   * @param {string} limitData.currency - Currency code
+   * @param {string} limitData.userId - User ID (omit for the currency-wide row)
+   * @param {number|null} limitData.dailyLimit - Daily limit (null falls back)
+   * @param {number|null} limitData.monthlyLimit - Monthly limit (null falls back)
+   * @param {number|null} limitData.approvalThreshold - Approval threshold (null falls back)
+   * @param {string} limitData.note - Why the limit was set (optional)
+   * @param {string} limitData.adminId - Admin making the change
+   * @returns {Promise<Object>} - withdrawal_limits row
+   */
+  async setLimit({ currency, userId = null, dailyLimit = null, monthlyLimit = null, approvalThreshold = null, note = null, adminId }) {
+    const values = [currency, userId, dailyLimit, monthlyLimit, approvalThreshold, note, adminId];
+    const conflictTarget = userId
+      ? '(user_id, currency) WHERE user_id IS NOT NULL'
+      : '(currency) WHERE user_id IS NULL';
+
+    const result = await pool.query(
+      `INSERT INTO withdrawal_limits (currency, user_id, daily_limit, monthly_limit, approval_threshold, note, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT ${conflictTarget}
+       DO UPDATE SET daily_limit = EXCLUDED.daily_limit, monthly_limit = EXCLUDED.monthly_limit,
+                     approval_threshold = EXCLUDED.approval_threshold, note = EXCLUDED.note,
+                     updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new WithdrawalRiskService();
@@ -0,0 +1,363 @@
+const pool = require('../config/database');
+const paymentService = require('./paymentService');
+const withdrawalRiskService = require('./withdrawalRiskService');
+const { withTransaction } = require('../utils/dbTransaction');
+const { createNotification } = require('../utils/notifications');
+const { getCurrencySymbol } = require('../utils/currency');
+const { postWithdrawalHold } = require('../utils/ledgerHelpers');
+const { logPaymentAction } = require('../utils/paymentHelpers');
+const { sendWithdrawalRequestEmail } = require('../utils/email');
+const {
+  getCurrencyBalance,
+  lockWalletBalance,
+  holdWalletBalance,
+  syncLegacyWallet,
+} = require('../utils/walletHelpers');
+
+/**
+ * Withdrawal Service
+ * Creates withdrawal requests - from POST /api/withdrawals/request once the user has passed the
+ * password + code step-up, and from payout schedules (jobs/payoutScheduleProcessor.js):
+ *
+ *   validate currency, bank account, minimum, balance
+ *     -> risk assessment (limits, hold length, approval) under the wallet row lock
+ *     -> available balance moved to held, withdrawal + ledger hold + transaction recorded
+ *     -> email, notification, audit log
+ *
+ * Payouts happen later in jobs/withdrawalProcessor.js once scheduled_at has passed.
+ */
+
+// Only support USD, EUR, GBP, CAD, AUD for withdrawals
+const SUPPORTED_WITHDRAWAL_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+/**
+ * Smallest amount that can be withdrawn in a currency
+ * @param {string} currency - Currency code
+ * @returns {number}
+ */
+function getMinimumWithdrawal(currency) {
+  return currency === 'NGN' ? 1000 : 10; // ₦1,000 or 10 for all other currencies
+}
+
+class WithdrawalService {
+  /**
+   * Bank account a withdrawal is paid to
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {string} bankAccountId - Specific wallet_bank_accounts entry (defaults to the currency's default account)
+   * @returns {Promise<Object|null>} - Bank account with the owner's email and name
+   */
+  async getPayoutBankAccount(userId, currency, bankAccountId = null) {
+    const params = [userId, currency];
+    let accountFilter = '';
+    if (bankAccountId) {
+      params.push(bankAccountId);
+      accountFilter = 'AND wba.id = $3';
+    }
+
+    const result = await pool.query(
+      `SELECT wba.id, wba.account_name, wba.bank_name, wba.account_number, wba.iban, wba.swift_bic,
+              wba.routing_number, wba.sort_code, wba.branch_code, wba.branch_address, wba.bank_code,
+              wba.details_changed_at, u.email, u.name
+       FROM wallet_bank_accounts wba
+       JOIN users u ON wba.user_id = u.id
+       WHERE wba.user_id = $1 AND wba.currency = $2 ${accountFilter}
+       ORDER BY wba.is_default DESC, wba.created_at DESC
+       LIMIT 1`,
+      params
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Request a withdrawal (step-up already verified, or started by the user's payout schedule)
+   * @param {Object} requestData - Request data
+   * @param {string} requestData.userId - User ID
+   * @param {string} requestData.currency - Currency code
+   * @param {number} requestData.amount - Amount to take from the available balance (fee included)
+   * @param {string} requestData.bankAccountId - wallet_bank_accounts entry to pay (optional - default account)
+   * @param {string} requestData.payoutScheduleId - Payout schedule that created the request (optional)
+   * @param {Object} requestData.req - Express request, for device and audit details (optional)
+   * @returns {Promise<Object>} - { success, withdrawal, balance } or { success: false, status, error, ... }
+   */
+  async requestWithdrawal({ userId, currency, amount, bankAccountId = null, payoutScheduleId = null, req = null }) {
+    if (!SUPPORTED_WITHDRAWAL_CURRENCIES.includes(currency)) {
+      return {
+        success: false,
+        status: 400,
+        error: `Withdrawals for ${currency} are coming soon. Currently supported currencies: ${SUPPORTED_WITHDRAWAL_CURRENCIES.join(', ')}.`,
+        supportedCurrencies: SUPPORTED_WITHDRAWAL_CURRENCIES,
+      };
+    }
+
+    // Get currency-specific bank account for withdrawal
+    const bankAccount = await this.getPayoutBankAccount(userId, currency, bankAccountId);
+    if (!bankAccount) {
+      return {
+        success: false,
+        status: 404,
+        error: bankAccountId
+          ? `The selected bank account was not found for ${currency}. Please choose another bank account.`
+          : `No bank account found for ${currency}. Please add a bank account for ${currency} withdrawals first.`,
+        currency,
+      };
+    }
+
+    // Validate bank details
+    if (!bankAccount.account_name || !bankAccount.account_number || !bankAccount.bank_name) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Bank account details incomplete. Please update your bank account details.',
+      };
+    }
+    const withdrawalAmount = parseFloat(amount);
+
+    // Check minimum withdrawal amount
+    const minWithdrawal = getMinimumWithdrawal(currency);
+    if (withdrawalAmount < minWithdrawal) {
+      const currencySymbol = getCurrencySymbol(currency);
+      return {
+        success: false,
+        status: 400,
+        error: `Minimum withdrawal amount is ${currencySymbol}${minWithdrawal}`,
+        minimum: minWithdrawal,
+      };
+    }
+
+    // Check wallet balance for the specific currency
+    const currentBalance = await getCurrencyBalance(userId, currency);
+    if (currentBalance < withdrawalAmount) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Insufficient balance',
+        currentBalance,
+        requested: withdrawalAmount,
+        currency,
+      };
+    }
+
+    // Select provider based on currency
+    const provider = paymentService.selectProvider(currency, null);
+
+    // Calculate withdrawal fee
+    const feeCalculation = await paymentService.calculateWithdrawalFee(withdrawalAmount, currency, provider);
+    const netAmount = feeCalculation.netAmount;
+
+    // Scheduled payouts don't come from a device
+    const device = req ? await withdrawalRiskService.recordDevice(userId, req) : { isNew: false };
+
+    const withdrawal = await withTransaction(async (client) => {
+      // Lock the balance row first: limits are checked against withdrawals made so far, so a parallel
+      // request must wait until this one is recorded
+      await lockWalletBalance(userId, currency, client);
+
+      // Limits, hold length and whether an admin has to approve
+      const assessment = await withdrawalRiskService.assessWithdrawal({
+        userId,
+        currency,
+        amount: withdrawalAmount,
+        bankAccount,
+        newDevice: device.isNew,
+      }, client);
+      if (!assessment.allowed) {
+        return { declined: true, assessment };
+      }
+
+      // Move the funds from the available to the held balance until the payout
+      const debitResult = await holdWalletBalance(userId, currency, withdrawalAmount, client);
+      if (!debitResult.success) {
+        return { insufficientBalance: true, currentBalance: debitResult.balance };
+      }
+
+      // Also update main wallet balance for backward compatibility (optional)
+      await syncLegacyWallet(userId, currency, client);
+
+      // Create withdrawal record
+      const withdrawalResult = await client.query(
+        `INSERT INTO withdrawals
+         (user_id, amount, currency, bank_account_number, bank_name, account_name,
+          status, payment_provider, fee, net_amount, scheduled_at, bank_account_id, hold_reasons, payout_schedule_id,
+          fee_schedule_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id, user_id, amount, currency, status, scheduled_at`,
+        [
+          userId,
+          withdrawalAmount,
+          currency,
+          bankAccount.account_number,
+          bankAccount.bank_name,
+          bankAccount.account_name,
+          assessment.withdrawalStatus,
+          provider,
+          feeCalculation.fee,
+          netAmount,
+          assessment.scheduledAt,
+          bankAccount.id, // Store bank account ID for reference
+          JSON.stringify(assessment.reasonCodes),
+          payoutScheduleId,
+          feeCalculation.feeScheduleId,
+        ]
+      );
+
+      const createdWithdrawal = { ...withdrawalResult.rows[0], assessment };
+
+      // Move the funds from the user's wallet account to pending withdrawals in the ledger
+      const ledgerEntry = await postWithdrawalHold({
+        userId,
+        withdrawalId: createdWithdrawal.id,
+        amount: withdrawalAmount,
+        currency,
+      }, client);
+
+      // Create transaction record with currency
+      await client.query(
+        `INSERT INTO transactions
+         (user_id, type, amount, currency, description, status, reference, withdrawal_fee, journal_entry_id, fee_schedule_id)
+         VALUES ($1, 'withdrawal', $2, $3, $4, 'pending', $5, $6, $7, $8)`,
+        [
+          userId,
+          withdrawalAmount,
+          currency,
+          `${payoutScheduleId ? 'Scheduled withdrawal' : 'Withdrawal'} to ${bankAccount.account_name} - ${bankAccount.bank_name} (****${bankAccount.account_number.slice(-4)})`,
+          createdWithdrawal.id,
+          feeCalculation.fee,
+          ledgerEntry.journalEntryId,
+          feeCalculation.feeScheduleId,
+        ]
+      );
+
+      return createdWithdrawal;
+    });
+
+    if (withdrawal.declined) {
+      await withdrawalRiskService.logDecision({
+        userId,
+        amount: withdrawalAmount,
+        currency,
+        assessment: withdrawal.assessment,
+        req,
+      });
+
+      return {
+        success: false,
+        status: withdrawal.assessment.status,
+        error: withdrawal.assessment.error,
+        reasonCode: withdrawal.assessment.reasonCodes[0],
+        limits: withdrawal.assessment.limits,
+        usage: withdrawal.assessment.usage,
+        currency,
+      };
+    }
+
+    if (withdrawal.insufficientBalance) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Insufficient balance',
+        currentBalance: withdrawal.currentBalance,
+        requested: withdrawalAmount,
+        currency,
+      };
+    }
+
+    const { assessment } = withdrawal;
+    const requiresApproval = assessment.withdrawalStatus === 'pending_approval';
+
+    // Send email notification
+    try {
+      const currencySymbol = paymentService.formatCurrency(withdrawalAmount, currency).replace(/[\d.,]+/g, '');
+      await sendWithdrawalRequestEmail(
+        bankAccount.email,
+        bankAccount.name,
+        withdrawalAmount,
+        currency,
+        currencySymbol,
+        withdrawal.scheduled_at,
+        bankAccount.account_number,
+        feeCalculation.fee,
+        netAmount,
+        assessment.holdHours
+      );
+    } catch (emailError) {
+      console.error('Error sending withdrawal request email:', emailError);
+      // Don't fail the request if email fails
+    }
+
+    // Create in-app and push notification
+    try {
+      const currencySymbol = paymentService.formatCurrency(withdrawalAmount, currency).replace(/[\d.,]+/g, '');
+      const submitted = payoutScheduleId
+        ? `Your scheduled withdrawal of ${currencySymbol}${withdrawalAmount.toLocaleString()} ${currency} has been submitted`
+        : `Your withdrawal of ${currencySymbol}${withdrawalAmount.toLocaleString()} ${currency} has been submitted`;
+      await createNotification(
+        userId,
+        'withdrawal_requested',
+        'Withdrawal Requested',
+        requiresApproval
+          ? `${submitted} and is being reviewed. We'll let you know once it's approved.`
+          : `${submitted} and will be processed in ${assessment.holdHours} hours.`,
+        null,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating withdrawal request notification:', notificationError);
+      // Don't fail the request if notification fails
+    }
+
+    if (requiresApproval) {
+      await withdrawalRiskService.requestApproval(withdrawal);
+    }
+
+    // Log action and the risk decision behind it
+    await logPaymentAction({
+      userId,
+      action: 'withdrawal_requested',
+      amount: withdrawalAmount,
+      currency,
+      status: withdrawal.status,
+      paymentProvider: provider,
+      metadata: {
+        withdrawalId: withdrawal.id,
+        netAmount,
+        fee: feeCalculation.fee,
+        scheduledAt: withdrawal.scheduled_at,
+        payoutScheduleId,
+      },
+    });
+    await withdrawalRiskService.logDecision({
+      userId,
+      amount: withdrawalAmount,
+      currency,
+      withdrawalId: withdrawal.id,
+      assessment,
+      req,
+    });
+
+    // Get updated balance for this currency
+    const updatedBalance = await getCurrencyBalance(userId, currency);
+
+    return {
+      success: true,
+      withdrawal: {
+        id: withdrawal.id,
+        amount: withdrawalAmount,
+        currency,
+        fee: feeCalculation.fee,
+        netAmount,
+        status: withdrawal.status,
+        scheduledAt: withdrawal.scheduled_at,
+        holdHours: assessment.holdHours,
+        holdReasons: assessment.reasonCodes,
+        requiresApproval,
+      },
+      balance: updatedBalance,
+    };
+  }
+}
+
+module.exports = new WithdrawalService();
+module.exports.SUPPORTED_WITHDRAWAL_CURRENCIES = SUPPORTED_WITHDRAWAL_CURRENCIES;
+module.exports.getMinimumWithdrawal = getMinimumWithdrawal;
@@ -0,0 +1,228 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, createUser } = require('./helpers/database');
+
+// The nightly reconciliation job run against the fake Stripe adapter: its payment and payout
+// history is seeded directly, next to our own credits and withdrawals, and every disagreement has
+// to come out as exactly one reconciliation item.
+
+const HOUR = 60 * 60 * 1000;
+
+describe('provider reconciliation job', () => {
+  let db;
+  let pool;
+  let fakeStripe;
+  let reconcileProviderRecords;
+  let user;
+  let firstRun;
+
+  // Old enough to have settled, and inside the internal window of a run ending now
+  const recordedAt = new Date(Date.now() - 3 * HOUR);
+
+  /**
+   * Add a payment to the fake provider's history
+   * @param {string} providerTransactionId - PaymentIntent ID
+   * @param {number} amount - Amount charged
+   * @param {string} status - 'succeeded', 'pending' or 'failed'
+   */
+  function providerPayment(providerTransactionId, amount, status = 'succeeded') {
+    fakeStripe.payments.push({ providerTransactionId, amount, currency: 'USD', status, createdAt: recordedAt });
+  }
+
+  /**
+   * Add a payout to the fake provider's history
+   * @param {string} providerTransactionId - Payout ID
+   * @param {number} amount - Amount paid out
+   * @param {string} status - 'succeeded', 'pending' or 'failed'
+   */
+  function providerPayout(providerTransactionId, amount, status = 'succeeded') {
+    fakeStripe.payouts.push({ providerTransactionId, amount, currency: 'USD', status, createdAt: recordedAt });
+  }
+
+  /**
+   * Record a wallet credit for a Stripe payment
+   * @param {string} providerTransactionId - PaymentIntent ID
+   * @param {number} grossAmount - Amount charged (contribution + fees)
+   * @param {string} status - Transaction status
+   * @returns {Promise<string>} - Transaction ID
+   */
+  async function internalCredit(providerTransactionId, grossAmount, status = 'completed') {
+    const result = await pool.query(
+      `INSERT INTO transactions
+       (user_id, type, amount, gross_amount, currency, status, payment_provider, payment_method_id, created_at)
+       VALUES ($1, 'credit', $2, $3, 'USD', $4, 'stripe', $5, $6)
+       RETURNING id`,
+      [user.id, grossAmount - 1, grossAmount, status, providerTransactionId, recordedAt]
+    );
+    return result.rows[0].id;
+  }
+
+  /**
+   * Record a withdrawal paid out through Stripe
+   * @param {string} providerTransactionId - Payout ID
+   * @param {number} netAmount - Amount sent to the bank (after fees)
+   * @param {string} status - Withdrawal status
+   * @returns {Promise<string>} - Withdrawal ID
+   */
+  async function internalWithdrawal(providerTransactionId, netAmount, status = 'completed') {
+    const result = await pool.query(
+      `INSERT INTO withdrawals
+       (user_id, amount, currency, status, payment_provider, provider_transaction_id, fee, net_amount, processed_at, created_at)
+       VALUES ($1, $2, 'USD', $3, 'stripe', $4, 2, $5, $6, $6)
+       RETURNING id`,
+      [user.id, netAmount + 2, status, providerTransactionId, netAmount, recordedAt]
+    );
+    return result.rows[0].id;
+  }
+
+  /**
+   * Reconciliation items flagged for a provider ID
+   * @param {string} providerTransactionId - Provider ID
+   * @returns {Promise<Array>}
+   */
+  async function itemsFor(providerTransactionId) {
+    const result = await pool.query(
+      'SELECT * FROM reconciliation_items WHERE provider_transaction_id = $1 ORDER BY issue_type',
+      [providerTransactionId]
+    );
+    return result.rows;
+  }
+
+  before(async () => {
+    db = await startTestDatabase();
+    pool = db.pool;
+
+    process.env.PAYMENT_PROVIDER_MODE = 'fake';
+    fakeStripe = require('../services/paymentProviders').getProvider('stripe');
+    ({ reconcileProviderRecords } = require('../jobs/reconciliationProcessor'));
+
+    user = await createUser(pool);
+
+    // Payments
+    providerPayment('pi_matched', 52);
+    await internalCredit('pi_matched', 52);
+
+    providerPayment('pi_amount_differs', 31);
+    await internalCredit('pi_amount_differs', 30);
+
+    providerPayment('pi_status_differs', 20);
+    await internalCredit('pi_status_differs', 20, 'pending');
+
+    providerPayment('pi_duplicated', 15);
+    await internalCredit('pi_duplicated', 15);
+    await internalCredit('pi_duplicated', 15);
+
+    providerPayment('pi_not_ours', 75);
+    providerPayment('pi_declined_not_ours', 75, 'failed');
+
+    await internalCredit('pi_not_at_provider', 40);
+
+    // Payouts
+    providerPayout('po_matched', 95);
+    await internalWithdrawal('po_matched', 95);
+
+    providerPayout('po_amount_differs', 45);
+    await internalWithdrawal('po_amount_differs', 40);
+
+    providerPayout('po_status_differs', 60, 'failed');
+    await internalWithdrawal('po_status_differs', 60);
+
+    providerPayout('po_not_ours', 10);
+
+    await internalWithdrawal('po_not_at_provider', 80);
+
+    firstRun = await reconcileProviderRecords({ providers: ['stripe'] });
+  });
+
+  after(async () => {
+    await db.stop();
+  });
+
+  test('records a completed run with its counts', async () => {
+    assert.equal(firstRun.success, true);
+    const [run] = firstRun.runs;
+    assert.equal(run.providerPayments, 6);
+    assert.equal(run.providerPayouts, 4);
+    // pi_matched, pi_declined_not_ours and po_matched have nothing wrong with them
+    assert.equal(run.matched, 3);
+    assert.equal(run.flagged, 9);
+
+    const stored = await pool.query('SELECT * FROM reconciliation_runs WHERE id = $1', [run.runId]);
+    assert.equal(stored.rows[0].status, 'completed');
+    assert.equal(stored.rows[0].flagged_count, 9);
+  });
+
+  test('records that agree on both sides are not flagged', async () => {
+    assert.deepEqual(await itemsFor('pi_matched'), []);
+    assert.deepEqual(await itemsFor('po_matched'), []);
+  });
+
+  test('flags amount mismatches with both amounts', async () => {
+    const [payment] = await itemsFor('pi_amount_differs');
+    assert.equal(payment.issue_type, 'amount_mismatch');
+    assert.equal(payment.record_type, 'payment');
+    assert.equal(parseFloat(payment.provider_amount), 31);
+    assert.equal(parseFloat(payment.internal_amount), 30);
+
+    const [payout] = await itemsFor('po_amount_differs');
+    assert.equal(payout.issue_type, 'amount_mismatch');
+    assert.equal(payout.record_type, 'payout');
+    assert.equal(parseFloat(payout.provider_amount), 45);
+    assert.equal(parseFloat(payout.internal_amount), 40);
+  });
+
+  test('flags status mismatches with both statuses', async () => {
+    const [payment] = await itemsFor('pi_status_differs');
+    assert.equal(payment.issue_type, 'status_mismatch');
+    assert.equal(payment.provider_status, 'succeeded');
+    assert.equal(payment.internal_status, 'pending');
+
+    const [payout] = await itemsFor('po_status_differs');
+    assert.equal(payout.issue_type, 'status_mismatch');
+    assert.equal(payout.provider_status, 'failed');
+    assert.equal(payout.internal_status, 'succeeded');
+  });
+
+  test('flags several of our records sharing one provider ID', async () => {
+    const items = await itemsFor('pi_duplicated');
+    assert.equal(items.length, 1);
+    assert.equal(items[0].issue_type, 'duplicate');
+    assert.equal(items[0].details.transactionIds.length, 2);
+  });
+
+  test('flags provider records we have no record of', async () => {
+    const [payment] = await itemsFor('pi_not_ours');
+    assert.equal(payment.issue_type, 'missing_internal');
+    assert.equal(payment.internal_id, null);
+
+    const [payout] = await itemsFor('po_not_ours');
+    assert.equal(payout.issue_type, 'missing_internal');
+
+    // A declined payment we never recorded didn't move any money
+    assert.deepEqual(await itemsFor('pi_declined_not_ours'), []);
+  });
+
+  test('flags our records the provider has no record of', async () => {
+    const [payment] = await itemsFor('pi_not_at_provider');
+    assert.equal(payment.issue_type, 'missing_provider');
+    assert.equal(payment.internal_type, 'transaction');
+    assert.equal(parseFloat(payment.internal_amount), 40);
+
+    const [payout] = await itemsFor('po_not_at_provider');
+    assert.equal(payout.issue_type, 'missing_provider');
+    assert.equal(payout.internal_type, 'withdrawal');
+    assert.equal(parseFloat(payout.internal_amount), 80);
+  });
+
+  test('an overlapping run refreshes the open items instead of flagging them again', async () => {
+    const secondRun = await reconcileProviderRecords({ providers: ['stripe'] });
+
+    assert.equal(secondRun.success, true);
+    assert.equal(secondRun.runs[0].flagged, 0);
+
+    const items = await pool.query('SELECT run_id, last_seen_run_id FROM reconciliation_items');
+    assert.equal(items.rows.length, 9);
+    assert.ok(items.rows.every(item => item.run_id === firstRun.runs[0].runId));
+    assert.ok(items.rows.every(item => item.last_seen_run_id === secondRun.runs[0].runId));
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getSubscriptionPeriod,
+  getNextSubscriptionDeadline,
+  getPreviousSubscriptionDeadline,
+  describeRecurrence,
+} = require('../utils/recurrenceHelpers');
+
+// Deadline math for subscription groups: the edge cases are month ends, leap days and periods
+// that don't line up with calendar years. All dates are local, like the helpers themselves.
+
+/**
+ * Local date
+ * @param {string} text - YYYY-MM-DD
+ * @returns {Date}
+ */
+function day(text) {
+  const [year, month, date] = text.split('-').map(Number);
+  return new Date(year, month - 1, date);
+}
+
+/**
+ * Format a local date as YYYY-MM-DD (keeps assertion failures readable)
+ * @param {Date|null} date - Date
+ * @returns {string|null}
+ */
+function ymd(date) {
+  if (!date) {
+    return null;
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Custom subscription group
+ * @param {string} rrule - Recurrence rule
+ * @param {string} startDate - YYYY-MM-DD
+ * @returns {Object} - Group row
+ */
+function customGroup(rrule, startDate) {
+  return { subscription_frequency: 'custom', subscription_rrule: rrule, subscription_start_date: day(startDate) };
+}
+
+/**
+ * Deadlines following a date, one after another
+ * @param {Object} group - Subscription group row
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {number} count - Number of deadlines
+ * @returns {Array<string>} - YYYY-MM-DD
+ */
+function nextDeadlines(group, fromDate, count) {
+  const deadlines = [];
+  let from = day(fromDate);
+  for (let i = 0; i < count; i++) {
+    const { deadline } = getNextSubscriptionDeadline(group, from);
+    deadlines.push(ymd(deadline));
+    from = new Date(deadline.getFullYear(), deadline.getMonth(), deadline.getDate() + 1);
+  }
+  return deadlines;
+}
+
+describe('subscription recurrence', () => {
+  describe('every 3 months on the last business day', () => {
+    const group = customGroup('FREQ=MONTHLY;INTERVAL=3;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '2025-08-01');
+
+    test('picks the last weekday of the first month of each period', () => {
+      // Aug 31 is a Sunday, Nov 29/30 and Feb 28 fall on weekends
+      assert.deepEqual(nextDeadlines(group, '2025-08-01', 4), ['2025-08-29', '2025-11-28', '2026-02-27', '2026-05-29']);
+    });
+
+    test('periods span three months from the start date', () => {
+      const period = getSubscriptionPeriod(group, day('2025-12-15'));
+      assert.equal(ymd(period.periodStart), '2025-11-01');
+      assert.equal(ymd(period.periodEnd), '2026-01-31');
+      assert.equal(ymd(period.deadline), '2025-11-28');
+    });
+
+    test('has no deadline before the start date', () => {
+      assert.equal(getPreviousSubscriptionDeadline(group, day('2025-08-29')), null);
+      assert.equal(ymd(getPreviousSubscriptionDeadline(group, day('2025-11-28')).deadline), '2025-08-29');
+    });
+
+    test('is described in words', () => {
+      assert.equal(describeRecurrence(group), 'Every 3 months on the last business day');
+    });
+  });
+
+  describe('deadline on the 31st', () => {
+    const monthly = { subscription_frequency: 'monthly', subscription_deadline_day: 31 };
+
+    test('falls on the last day of 30-day months', () => {
+      assert.equal(ymd(getSubscriptionPeriod(monthly, day('2025-04-10')).deadline), '2025-04-30');
+      assert.equal(ymd(getSubscriptionPeriod(monthly, day('2025-09-10')).deadline), '2025-09-30');
+    });
+
+    test('falls on the last day of February', () => {
+      assert.equal(ymd(getSubscriptionPeriod(monthly, day('2025-02-10')).deadline), '2025-02-28');
+      assert.equal(ymd(getSubscriptionPeriod(monthly, day('2024-02-10')).deadline), '2024-02-29');
+    });
+
+    test('goes back to the 31st after a short month', () => {
+      assert.deepEqual(nextDeadlines(monthly, '2025-01-01', 4), ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+
+    test('is taken from a custom rule\'s start date when the rule has no day', () => {
+      const group = customGroup('FREQ=MONTHLY', '2025-01-31');
+      assert.deepEqual(nextDeadlines(group, '2025-01-31', 4), ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+  });
+
+  describe('deadline on Feb 29', () => {
+    const annual = { subscription_frequency: 'annual', subscription_deadline_month: 2, subscription_deadline_day: 29 };
+
+    test('is Feb 29 in leap years', () => {
+      assert.equal(ymd(getSubscriptionPeriod(annual, day('2024-06-01')).deadline), '2024-02-29');
+      assert.equal(ymd(getSubscriptionPeriod(annual, day('2028-01-01')).deadline), '2028-02-29');
+    });
+
+    test('is Feb 28 in other years, including century years', () => {
+      assert.equal(ymd(getSubscriptionPeriod(annual, day('2025-06-01')).deadline), '2025-02-28');
+      assert.equal(ymd(getSubscriptionPeriod(annual, day('2100-06-01')).deadline), '2100-02-28');
+      assert.equal(ymd(getSubscriptionPeriod(annual, day('2000-06-01')).deadline), '2000-02-29');
+    });
+
+    test('a custom yearly rule starting on Feb 29 keeps coming back to it', () => {
+      const group = customGroup('FREQ=YEARLY', '2024-02-29');
+      assert.deepEqual(nextDeadlines(group, '2024-02-29', 5), ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+      assert.equal(ymd(getPreviousSubscriptionDeadline(group, day('2025-02-28')).deadline), '2024-02-29');
+    });
+
+    test('is described as Feb 29', () => {
+      assert.equal(describeRecurrence(customGroup('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29', '2025-01-01')), 'Every year on February 29');
+    });
+  });
+
+  describe('every 2 weeks across a year boundary', () => {
+    // Friday Dec 19, 2025; its period starts on Monday Dec 15
+    const group = customGroup('FREQ=WEEKLY;INTERVAL=2', '2025-12-19');
+
+    test('keeps the two-week rhythm into the new year', () => {
+      assert.deepEqual(nextDeadlines(group, '2025-12-19', 3), ['2025-12-19', '2026-01-02', '2026-01-16']);
+    });
+
+    test('a period can start in one year and end in the next', () => {
+      const period = getSubscriptionPeriod(group, day('2026-01-01'));
+      assert.equal(ymd(period.periodStart), '2025-12-29');
+      assert.equal(ymd(period.periodEnd), '2026-01-11');
+      assert.equal(ymd(period.deadline), '2026-01-02');
+    });
+
+    test('finds the previous deadline in the old year', () => {
+      assert.equal(ymd(getPreviousSubscriptionDeadline(group, day('2026-01-02')).deadline), '2025-12-19');
+    });
+
+    test('stays in step a year later', () => {
+      // 2026-12-18 is 26 periods after the start
+      assert.deepEqual(nextDeadlines(group, '2026-12-10', 2), ['2026-12-18', '2027-01-01']);
+    });
+
+    test('is described in words', () => {
+      assert.equal(describeRecurrence(group), 'Every 2 weeks on Friday');
+    });
+  });
+});
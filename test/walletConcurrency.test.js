@@ -0,0 +1,130 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, createUser, getWalletBuckets } = require('./helpers/database');
+
+// Parallel wallet writes against a real PostgreSQL server: the wallet_balances row lock has to
+// serialize them, so no interleaving may overdraw a wallet or drop a credit.
+
+describe('wallet concurrency', () => {
+  let db;
+  let pool;
+  let withTransaction;
+  let walletHelpers;
+  let withdrawalService;
+
+  before(async () => {
+    db = await startTestDatabase();
+    pool = db.pool;
+
+    // Withdrawal requests email the user; keep the tests off the network
+    const email = require('../utils/email');
+    mock.method(email, 'sendWithdrawalRequestEmail', async () => {});
+
+    ({ withTransaction } = require('../utils/dbTransaction'));
+    walletHelpers = require('../utils/walletHelpers');
+    withdrawalService = require('../services/withdrawalService');
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.stop();
+  });
+
+  /**
+   * Add a default USD bank account that was set up long enough ago not to extend the hold
+   * @param {string} userId - User ID
+   */
+  async function addBankAccount(userId) {
+    await pool.query(
+      `INSERT INTO wallet_bank_accounts
+       (user_id, currency, account_name, bank_name, account_number, is_default, details_changed_at)
+       VALUES ($1, 'USD', 'Test User', 'Test Bank', '000123456789', TRUE, CURRENT_TIMESTAMP - INTERVAL '30 days')`,
+      [userId]
+    );
+  }
+
+  test('parallel debits never take more than the available balance', async () => {
+    const user = await createUser(pool, { currency: 'USD', balance: 100 });
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => withTransaction(client => walletHelpers.debitWalletBalance(user.id, 'USD', 10, client)))
+    );
+
+    assert.equal(results.filter(result => result.success).length, 10);
+    assert.ok(results.every(result => result.balance >= 0));
+    assert.equal((await getWalletBuckets(pool, user.id, 'USD')).balance, 0);
+  });
+
+  test('parallel credits to a new balance row are all kept', async () => {
+    const user = await createUser(pool);
+
+    await Promise.all(
+      Array.from({ length: 25 }, () => withTransaction(client => walletHelpers.creditWalletBalance(user.id, 'USD', 4, client)))
+    );
+
+    assert.equal((await getWalletBuckets(pool, user.id, 'USD')).balance, 100);
+  });
+
+  test('interleaved credits and debits add up', async () => {
+    const user = await createUser(pool, { currency: 'USD', balance: 50 });
+
+    const operations = Array.from({ length: 30 }, (_, index) => (index % 2 === 0
+      ? withTransaction(client => walletHelpers.creditWalletBalance(user.id, 'USD', 5, client))
+      : withTransaction(client => walletHelpers.debitWalletBalance(user.id, 'USD', 7, client))));
+    const results = await Promise.all(operations);
+
+    const debited = results.filter((result, index) => index % 2 === 1 && result.success).length * 7;
+    const { balance } = await getWalletBuckets(pool, user.id, 'USD');
+    assert.ok(balance >= 0);
+    assert.equal(balance, 50 + 15 * 5 - debited);
+  });
+
+  test('the same provider payment delivered twice at once is credited once', async () => {
+    const user = await createUser(pool);
+    const credit = {
+      recipientId: user.id,
+      amount: 40,
+      currency: 'USD',
+      description: 'Contribution',
+      providerTransactionId: 'pi_concurrent_duplicate',
+      paymentProvider: 'stripe',
+    };
+
+    const results = await Promise.all([walletHelpers.creditWallet(credit), walletHelpers.creditWallet(credit)]);
+
+    assert.equal(results.filter(result => result.duplicate).length, 1);
+    const { balance, pending } = await getWalletBuckets(pool, user.id, 'USD');
+    assert.equal(balance + pending, 40);
+  });
+
+  test('parallel withdrawal requests can only hold what is available', async () => {
+    const user = await createUser(pool, { currency: 'USD', balance: 100 });
+    await addBankAccount(user.id);
+
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => withdrawalService.requestWithdrawal({ userId: user.id, currency: 'USD', amount: 25 }))
+    );
+
+    const accepted = results.filter(result => result.success);
+    assert.equal(accepted.length, 4);
+    assert.ok(results.filter(result => !result.success).every(result => result.error === 'Insufficient balance'));
+    assert.deepEqual(await getWalletBuckets(pool, user.id, 'USD'), { balance: 0, pending: 0, held: 100 });
+
+    const withdrawals = await pool.query('SELECT COUNT(*)::int AS count FROM withdrawals WHERE user_id = $1', [user.id]);
+    assert.equal(withdrawals.rows[0].count, 4);
+  });
+
+  test('parallel withdrawal requests can\'t slip past the daily limit together', async () => {
+    // Default USD daily limit is 5,000
+    const user = await createUser(pool, { currency: 'USD', balance: 10000 });
+    await addBankAccount(user.id);
+
+    const results = await Promise.all(
+      Array.from({ length: 4 }, () => withdrawalService.requestWithdrawal({ userId: user.id, currency: 'USD', amount: 2000 }))
+    );
+
+    assert.equal(results.filter(result => result.success).length, 2);
+    assert.ok(results.filter(result => !result.success).every(result => result.reasonCode === 'daily_limit_exceeded'));
+    assert.deepEqual(await getWalletBuckets(pool, user.id, 'USD'), { balance: 6000, pending: 0, held: 4000 });
+  });
+});
@@ -0,0 +1,468 @@
+/**
+ * Bank statement parsers
+ *
+ * Turn a statement file into lines of { line_number, booking_date, amount, currency, is_credit,
+ * description, bank_reference, counterparty }. Amounts are positive; is_credit tells money in
+ * from money out. booking_date is a YYYY-MM-DD string.
+ */
+
+const STATEMENT_FORMATS = ['csv', 'mt940', 'camt053'];
+const MAX_STATEMENT_LINES = 5000;
+const MAX_STATEMENT_SIZE_BYTES = 2 * 1024 * 1024; // 2 MB
+
+// Content types statement files are uploaded with (banks export CSV as text/plain or Excel's type too)
+const STATEMENT_CONTENT_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/xml',
+  'text/xml',
+  'application/octet-stream',
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// CSV header names (lowercased, punctuation stripped) for each column we read
+const CSV_COLUMNS = {
+  date: ['date', 'booking date', 'transaction date', 'trans date', 'posting date', 'posted date', 'value date', 'txn date'],
+  amount: ['amount', 'transaction amount'],
+  credit: ['credit', 'credit amount', 'credits', 'money in', 'paid in', 'deposit', 'deposits', 'lodgement', 'lodgements'],
+  debit: ['debit', 'debit amount', 'debits', 'money out', 'paid out', 'withdrawal', 'withdrawals'],
+  description: ['description', 'narration', 'narrative', 'details', 'transaction details', 'remarks', 'memo', 'particulars'],
+  reference: ['reference', 'ref', 'transaction reference', 'reference number', 'ref no'],
+  counterparty: ['counterparty', 'payer', 'sender', 'beneficiary', 'name', 'payee'],
+  currency: ['currency', 'ccy'],
+};
+
+/**
+ * Detect the format of a statement file
+ * @param {string} text - File contents
+ * @returns {string} - 'camt053', 'mt940' or 'csv'
+ */
+function detectStatementFormat(text) {
+  const head = text.slice(0, 4000);
+  if (/^\s*</.test(head) && /BkToCstmrStmt|camt\.053/.test(head)) {
+    return 'camt053';
+  }
+  if (/^:20:/m.test(head) && /^:61:/m.test(text)) {
+    return 'mt940';
+  }
+  return 'csv';
+}
+
+/**
+ * Build a YYYY-MM-DD date, checking it exists
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day
+ * @returns {string|null}
+ */
+function toDateKey(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a date as written in a CSV statement
+ * Accepts 2025-01-31, 31/01/2025 (or 01/31/2025 with dateOrder 'mdy'), 31-01-25 and 31-Jan-2025.
+ * @param {string} value - Date text
+ * @param {string} dateOrder - 'dmy' (default) or 'mdy', for dates with a 2-digit day and month
+ * @returns {string|null} - YYYY-MM-DD, or null if it can't be read
+ */
+function parseStatementDate(value, dateOrder = 'dmy') {
+  const text = String(value || '').trim().split(/[ T]/)[0];
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) {
+    return toDateKey(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/. ](\d{2}|\d{4})$/);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    return month ? toDateKey(year, month, parseInt(match[1])) : null;
+  }
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    const [day, month] = dateOrder === 'mdy' ? [match[2], match[1]] : [match[1], match[2]];
+    return toDateKey(year, parseInt(month), parseInt(day));
+  }
+
+  return null;
+}
+
+/**
+ * Parse an amount as written in a statement
+ * Handles currency symbols, thousands separators, decimal commas (1.234,56), (123.45) and
+ * trailing CR/DR markers.
+ * @param {string} value - Amount text
+ * @returns {number|null} - Signed amount (negative for debits), or null if empty or unreadable
+ */
+function parseStatementAmount(value) {
+  let text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\s*DR$/i.test(text)) {
+    sign = -1;
+    text = text.replace(/\s*DR$/i, '');
+  } else {
+    text = text.replace(/\s*CR$/i, '');
+  }
+
+  text = text.replace(/[^\d.,-]/g, '');
+  if (text.startsWith('-')) {
+    sign = -sign;
+    text = text.slice(1);
+  }
+
+  if (/^\d{1,3}(\.\d{3})*,\d{1,2}$/.test(text) || /^\d+,\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return Number.isFinite(amount) ? sign * Math.round(amount * 100) / 100 : null;
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may contain delimiters, quotes and newlines)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>}
+ */
+function splitCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Parse a CSV statement
+ * Banks put a few summary rows above the transactions, so the header is the first row with a
+ * date column and an amount (or credit) column.
+ * @param {string} text - File contents
+ * @param {Object} options - { currency (account currency), dateOrder }
+ * @returns {Object} - { lines } or { error }
+ */
+function parseCsvStatement(text, { currency, dateOrder } = {}) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+  const rows = splitCsv(text, delimiter);
+
+  let columns = null;
+  let headerIndex = -1;
+  for (let i = 0; i < Math.min(rows.length, 20) && !columns; i++) {
+    const headers = rows[i].map(header => header.trim().toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' '));
+    const found = {};
+    for (const [column, names] of Object.entries(CSV_COLUMNS)) {
+      const index = headers.findIndex(header => names.includes(header));
+      if (index !== -1) {
+        found[column] = index;
+      }
+    }
+    if (found.date !== undefined && (found.amount !== undefined || found.credit !== undefined)) {
+      columns = found;
+      headerIndex = i;
+    }
+  }
+
+  if (!columns) {
+    return { error: 'Could not find the date and amount (or credit) columns in the CSV header' };
+  }
+
+  const lines = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    const read = column => (columns[column] !== undefined ? (row[columns[column]] || '').trim() : '');
+
+    const bookingDate = parseStatementDate(read('date'), dateOrder);
+    if (!bookingDate) {
+      // Summary rows (opening/closing balance) have no date
+      continue;
+    }
+
+    let amount = columns.credit !== undefined ? parseStatementAmount(read('credit')) : null;
+    let isCredit = amount !== null && amount !== 0;
+    if (!isCredit) {
+      const signed = columns.amount !== undefined
+        ? parseStatementAmount(read('amount'))
+        : parseStatementAmount(read('debit'));
+      if (signed === null || signed === 0) {
+        continue;
+      }
+      isCredit = columns.amount !== undefined && signed > 0;
+      amount = signed;
+    }
+
+    lines.push({
+      line_number: i + 1,
+      booking_date: bookingDate,
+      amount: Math.abs(amount),
+      currency: (read('currency') || currency || '').toUpperCase(),
+      is_credit: isCredit,
+      description: read('description') || null,
+      bank_reference: read('reference') || null,
+      counterparty: read('counterparty') || null,
+    });
+  }
+
+  return { lines };
+}
+
+/**
+ * Parse an MT940 statement
+ * Each :61: statement line is followed by an optional :86: line with the narration.
+ * @param {string} text - File contents
+ * @param {Object} options - { currency (account currency) }
+ * @returns {Object} - { lines } or { error }
+ */
+function parseMt940Statement(text, { currency } = {}) {
+  // Join continuation lines onto their tag
+  const fields = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2], lineNumber: index + 1 });
+    } else if (fields.length > 0 && line.trim() && line.trim() !== '-}' && line.trim() !== '-') {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  const lines = [];
+  let statementCurrency = currency;
+  let current = null;
+
+  for (const field of fields) {
+    if (field.tag === '60F' || field.tag === '60M') {
+      // Opening balance: C/D mark, YYMMDD, currency, amount
+      statementCurrency = field.value.slice(7, 10) || statementCurrency;
+    } else if (field.tag === '61') {
+      const match = field.value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?([\d,]+)([\s\S]*)$/);
+      if (!match) {
+        current = null;
+        continue;
+      }
+      const rest = match[7].split('\n');
+      const referenceIndex = rest[0].indexOf('//');
+      current = {
+        line_number: field.lineNumber,
+        booking_date: toDateKey(2000 + parseInt(match[1]), parseInt(match[2]), parseInt(match[3])),
+        amount: parseFloat(match[6].replace(',', '.')),
+        currency: (statementCurrency || '').toUpperCase(),
+        is_credit: match[5] === 'C', // RC is a reversed credit (money out)
+        description: rest.slice(1).join(' ').trim() || null,
+        bank_reference: referenceIndex !== -1 ? rest[0].slice(referenceIndex + 2).trim() || null : null,
+        counterparty: null,
+      };
+      if (current.booking_date && Number.isFinite(current.amount)) {
+        lines.push(current);
+      }
+    } else if (field.tag === '86' && current) {
+      // Structured narrations use ?NN subfields; ?32/?33 hold the counterparty name
+      const value = field.value.replace(/\n/g, '');
+      if (/^\d{3}\?/.test(value) || value.startsWith('?')) {
+        const subfields = {};
+        for (const part of value.split('?').slice(1)) {
+          const code = part.slice(0, 2);
+          subfields[code] = `${subfields[code] || ''}${part.slice(2)}`;
+        }
+        const narration = Object.keys(subfields)
+          .filter(code => (code >= '20' && code <= '29') || (code >= '60' && code <= '63'))
+          .map(code => subfields[code])
+          .join(' ');
+        current.description = [current.description, narration].filter(Boolean).join(' ').trim() || null;
+        current.counterparty = `${subfields['32'] || ''}${subfields['33'] || ''}`.trim() || null;
+      } else {
+        current.description = [current.description, value].filter(Boolean).join(' ').trim() || null;
+      }
+      current = null;
+    }
+  }
+
+  if (fields.length === 0) {
+    return { error: 'The file is not a valid MT940 statement' };
+  }
+
+  return { lines };
+}
+
+/**
+ * Decode the XML entities that appear in statement text
+ * @param {string} value - Text
+ * @returns {string}
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the contents of every element with a tag name (namespace prefixes ignored)
+ * @param {string} xml - XML text
+ * @param {string} tag - Element name
+ * @returns {Array<string>}
+ */
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * Get the text of the first element with a tag name
+ * @param {string} xml - XML text
+ * @param {string} tag - Element name
+ * @returns {string|null}
+ */
+function xmlText(xml, tag) {
+  const [value] = xmlElements(xml || '', tag);
+  return value !== undefined ? decodeXml(value.trim()) : null;
+}
+
+/**
+ * Parse a CAMT.053 (ISO 20022 bank-to-customer statement) file
+ * @param {string} text - File contents
+ * @param {Object} options - { currency (account currency) }
+ * @returns {Object} - { lines } or { error }
+ */
+function parseCamt053Statement(text, { currency } = {}) {
+  const entries = xmlElements(text, 'Ntry');
+  if (entries.length === 0 && !/BkToCstmrStmt/.test(text)) {
+    return { error: 'The file is not a valid CAMT.053 statement' };
+  }
+
+  const lines = [];
+  entries.forEach((entry, index) => {
+    const amountMatch = entry.match(/<(?:\w+:)?Amt(\s[^>]*)?>\s*([\d.]+)\s*</);
+    const amountCurrency = amountMatch && (amountMatch[1] || '').match(/Ccy="([A-Z]{3})"/);
+    const bookingDate = xmlText(xmlText(entry, 'BookgDt'), 'Dt') || (xmlText(xmlText(entry, 'BookgDt'), 'DtTm') || '').split('T')[0]
+      || xmlText(xmlText(entry, 'ValDt'), 'Dt');
+    if (!amountMatch || !bookingDate) {
+      return;
+    }
+
+    // The debtor is the counterparty of a credit (older versions have no Pty wrapper)
+    const debtor = xmlText(entry, 'Dbtr');
+    const remittance = xmlElements(entry, 'Ustrd').map(value => decodeXml(value.trim()));
+    const structuredReference = xmlText(xmlText(entry, 'CdtrRefInf'), 'Ref');
+
+    lines.push({
+      line_number: index + 1,
+      booking_date: parseStatementDate(bookingDate),
+      amount: Math.abs(parseFloat(amountMatch[2])),
+      currency: (amountCurrency ? amountCurrency[1] : currency || '').toUpperCase(),
+      is_credit: xmlText(entry, 'CdtDbtInd') === 'CRDT' && xmlText(entry, 'RvslInd') !== 'true',
+      description: [...remittance, structuredReference, xmlText(entry, 'AddtlNtryInf')].filter(Boolean).join(' ') || null,
+      bank_reference: xmlText(entry, 'AcctSvcrRef') || xmlText(entry, 'NtryRef') || xmlText(entry, 'EndToEndId'),
+      counterparty: debtor ? xmlText(debtor, 'Nm') : null,
+    });
+  });
+
+  return { lines: lines.filter(line => line.booking_date && Number.isFinite(line.amount)) };
+}
+
+/**
+ * Parse a bank statement file
+ * @param {string} text - File contents
+ * @param {Object} options - Options
+ * @param {string} options.format - 'csv', 'mt940' or 'camt053' (detected when omitted)
+ * @param {string} options.currency - Account currency, for lines that don't state one
+ * @param {string} options.dateOrder - 'dmy' (default) or 'mdy', for CSV dates like 01/02/2025
+ * @returns {Object} - { format, lines } or { error }
+ */
+function parseStatement(text, { format, currency, dateOrder } = {}) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  if (!content.trim()) {
+    return { error: 'The statement file is empty' };
+  }
+
+  const statementFormat = format || detectStatementFormat(content);
+  const parsers = {
+    csv: parseCsvStatement,
+    mt940: parseMt940Statement,
+    camt053: parseCamt053Statement,
+  };
+  if (!parsers[statementFormat]) {
+    return { error: `Statement format must be one of: ${STATEMENT_FORMATS.join(', ')}` };
+  }
+
+  const result = parsers[statementFormat](content, { currency, dateOrder });
+  if (result.error) {
+    return result;
+  }
+  if (result.lines.length === 0) {
+    return { error: 'No transactions were found in the statement' };
+  }
+  if (result.lines.length > MAX_STATEMENT_LINES) {
+    return { error: `Statements can have at most ${MAX_STATEMENT_LINES} transactions. Split the file and import each part.` };
+  }
+
+  return { format: statementFormat, lines: result.lines };
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  STATEMENT_CONTENT_TYPES,
+  MAX_STATEMENT_LINES,
+  MAX_STATEMENT_SIZE_BYTES,
+  detectStatementFormat,
+  parseStatementDate,
+  parseStatementAmount,
+  parseStatement,
+};
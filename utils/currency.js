@@ -23,8 +23,12 @@ const formatAmount = (amount, currencyCode = 'NGN') => {
   return `${symbol}${numAmount.toLocaleString('en-NG')}`;
 };
 
+// Round to cents; wallet amounts are stored with two decimals
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
 module.exports = {
   getCurrencySymbol,
   formatAmount,
+  roundAmount,
   CURRENCIES,
 };
@@ -0,0 +1,70 @@
+const pool = require('../config/database');
+
+// PostgreSQL error codes that mean "nothing was applied, run the transaction again"
+const RETRYABLE_ERROR_CODES = [
+  '40001', // serialization_failure
+  '40P01', // deadlock_detected
+];
+
+/**
+ * Check if a database error can be resolved by retrying the whole transaction
+ * @param {Error} error - Error thrown by pg
+ * @returns {boolean} - True if the transaction should be retried
+ */
+function isRetryableTransactionError(error) {
+  return Boolean(error && RETRYABLE_ERROR_CODES.includes(error.code));
+}
+
+/**
+ * Run a callback inside a database transaction on a single pooled client
+ * Commits when the callback resolves, rolls back when it throws, and retries the
+ * whole callback on serialization failures and deadlocks. Callbacks may therefore
+ * run more than once and must not perform external side effects (emails, provider calls).
+ * @param {Function} callback - async (client) => result
+ * @param {Object} options - Options
+ * @param {Object} options.client - Existing transaction client to join (no BEGIN/COMMIT is issued)
+ * @param {string} options.isolationLevel - 'READ COMMITTED' (default), 'REPEATABLE READ' or 'SERIALIZABLE'
+ * @param {number} options.maxRetries - Retries after a serialization failure (default: 3)
+ * @returns {Promise<*>} - Whatever the callback returns
+ */
+async function withTransaction(callback, { client: existingClient, isolationLevel, maxRetries = 3 } = {}) {
+  if (existingClient) {
+    return callback(existingClient);
+  }
+
+  let attempt = 0;
+
+  while (true) {
+    const client = await pool.connect();
+
+    try {
+      await client.query(isolationLevel ? `BEGIN ISOLATION LEVEL ${isolationLevel}` : 'BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        console.error('Error rolling back transaction:', rollbackError);
+      }
+
+      if (isRetryableTransactionError(error) && attempt < maxRetries) {
+        attempt++;
+        console.log(`Retrying transaction after ${error.code} (attempt ${attempt}/${maxRetries})`);
+        // Small jittered backoff so competing transactions don't collide again
+        await new Promise(resolve => setTimeout(resolve, 20 * attempt + Math.floor(Math.random() * 30)));
+        continue;
+      }
+
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  withTransaction,
+  isRetryableTransactionError,
+};
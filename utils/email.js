@@ -5,6 +5,13 @@ const { shouldSendEmail } = require('./emailHelpers');
 // Initialize Resend
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+// Frequency label for subscription groups (custom groups follow a recurrence rule)
+const getSubscriptionFrequencyLabel = (frequency) => {
+  if (frequency === 'monthly') return 'Monthly';
+  if (frequency === 'annual') return 'Annual';
+  return 'Recurring';
+};
+
 // Send OTP email using Resend
 const sendOTPEmail = async (email, otp, type = 'verification') => {
   try {
@@ -661,7 +668,7 @@ const sendComprehensiveReminderEmail = async (email, userName, daysUntil, groups
                 📺 ${group.groupName} - ${group.subscriptionPlatform}
               </p>
               <p style="color: #6b7280; font-size: 14px; margin: 0 0 10px 0;">
-                ${group.subscriptionFrequency === 'monthly' ? 'Monthly' : 'Annual'} subscription
+                ${getSubscriptionFrequencyLabel(group.subscriptionFrequency)} subscription
               </p>
               <div style="background: #fef2f2; padding: 12px; border-radius: 8px; margin: 8px 0; border-left: 3px solid #ef4444;">
                 <p style="color: #374151; font-size: 15px; margin: 0; font-weight: 600;">
@@ -858,7 +865,7 @@ const sendMonthlyNewsletter = async (email, userName, userId, monthName, groupsW
                 <strong>Contribution:</strong> ${formatAmount(group.contributionAmount, group.currency)}
               </p>
               <p style="color: #6b7280; font-size: 14px; margin: 0 0 10px 0;">
-                <strong>Frequency:</strong> ${group.subscriptionFrequency === 'monthly' ? 'Monthly' : 'Annual'}
+                <strong>Frequency:</strong> ${getSubscriptionFrequencyLabel(group.subscriptionFrequency)}
               </p>
               <p style="color: #6b7280; font-size: 14px; margin: 0;">
                 <strong>Deadline:</strong> ${deadlineText}
@@ -1209,7 +1216,7 @@ const sendOverdueContributionEmail = async (email, userName, daysOverdue, overdu
         eventDetails = `Birthday: ${formattedDate}`;
       } else if (contribution.groupType === 'subscription') {
         eventTitle = `📺 ${contribution.eventName}`;
-        eventDetails = `Subscription: ${contribution.subscriptionPlatform} (${contribution.subscriptionFrequency === 'monthly' ? 'Monthly' : 'Annual'}) - Deadline: ${formattedDate}`;
+        eventDetails = `Subscription: ${contribution.subscriptionPlatform} (${getSubscriptionFrequencyLabel(contribution.subscriptionFrequency)}) - Deadline: ${formattedDate}`;
       } else if (contribution.groupType === 'general') {
         eventTitle = `📋 ${contribution.eventName}`;
         eventDetails = `Deadline: ${formattedDate}`;
@@ -1346,7 +1353,7 @@ const sendAdminOverdueNotificationEmail = async (adminEmail, adminName, groupNam
       
       if (groupType === 'subscription') {
         eventTitle = `📺 ${member.eventName}`;
-        eventDetails = `Subscription: ${member.subscriptionPlatform} (${member.subscriptionFrequency === 'monthly' ? 'Monthly' : 'Annual'}) - Deadline: ${formattedDate}`;
+        eventDetails = `Subscription: ${member.subscriptionPlatform} (${getSubscriptionFrequencyLabel(member.subscriptionFrequency)}) - Deadline: ${formattedDate}`;
       } else if (groupType === 'general') {
         eventTitle = `📋 ${member.eventName}`;
         eventDetails = `Deadline: ${formattedDate}`;
@@ -1488,7 +1495,7 @@ const sendAdminUpcomingDeadlineEmail = async (adminEmail, adminName, groupName,
       
       if (groupType === 'subscription') {
         eventTitle = `📺 ${member.eventName}`;
-        eventDetails = `Subscription: ${member.subscriptionPlatform} (${member.subscriptionFrequency === 'monthly' ? 'Monthly' : 'Annual'}) - Deadline: ${formattedDate}`;
+        eventDetails = `Subscription: ${member.subscriptionPlatform} (${getSubscriptionFrequencyLabel(member.subscriptionFrequency)}) - Deadline: ${formattedDate}`;
       } else if (groupType === 'general') {
         eventTitle = `📋 ${member.eventName}`;
         eventDetails = `Deadline: ${formattedDate}`;
@@ -1716,7 +1723,12 @@ const sendDeadlineUpdateEmail = async (email, memberName, groupName, groupType,
       const newDay = newDeadline.day;
       const newMonth = newDeadline.month;
       
-      if (subscriptionFrequency === 'monthly') {
+      if (subscriptionFrequency === 'custom') {
+        // Custom recurrences are passed as descriptions, e.g. "Every 2 weeks on Friday"
+        oldDeadlineFormatted = oldDeadline.description || 'Not set';
+        newDeadlineFormatted = newDeadline.description;
+        deadlineDescription = 'Subscription Deadline Schedule';
+      } else if (subscriptionFrequency === 'monthly') {
         oldDeadlineFormatted = oldDay ? `Day ${oldDay} of each month` : 'Not set';
         newDeadlineFormatted = `Day ${newDay} of each month`;
         deadlineDescription = 'Monthly Subscription Deadline';
@@ -1927,6 +1939,84 @@ const sendMaxMembersUpdateEmail = async (email, memberName, groupName, oldMaxMem
   }
 };
 
+// Send email to members when a general group reaches its fundraising target or a stretch goal
+const sendFundraisingGoalReachedEmail = async (email, memberName, groupName, amountRaised, goalAmount, currency, goalLabel = null, isStretchGoal = false) => {
+  try {
+    // Check email preference
+    const canSend = await shouldSendEmail(email, 'fundraising_goal');
+    if (!canSend) {
+      console.log(`Fundraising goal email skipped for ${email} (preference disabled)`);
+      return true;
+    }
+    const { formatAmount } = require('./currency');
+
+    const goalName = isStretchGoal ? 'Stretch Goal' : 'Fundraising Goal';
+    const subject = `${goalName} Reached - ${groupName}`;
+    const raisedFormatted = formatAmount(amountRaised, currency);
+    const goalFormatted = formatAmount(goalAmount, currency);
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🎯 GroupFund</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1e40af; font-size: 24px; margin-top: 0;">
+            ${goalName} Reached!
+          </h2>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Hi ${memberName},
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Great news! <strong>"${groupName}"</strong> has reached ${isStretchGoal ? 'a stretch goal' : 'its fundraising target'}${goalLabel ? `: <strong>${goalLabel}</strong>` : ''}.
+          </p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #6366f1;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+              <span style="color: #6b7280; font-size: 14px;">${isStretchGoal ? 'Stretch Goal' : 'Target'}:</span>
+              <span style="color: #374151; font-size: 18px; font-weight: 600;">${goalFormatted}</span>
+            </div>
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+              <span style="color: #6b7280; font-size: 14px;">Raised So Far:</span>
+              <span style="color: #059669; font-size: 20px; font-weight: 700;">${raisedFormatted}</span>
+            </div>
+          </div>
+
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Thank you to everyone who contributed. You can follow the group's progress in the app.
+          </p>
+
+          <p style="color: #374151; font-size: 16px; line-height: 1.7; margin-top: 30px;">
+            Best regards,<br>
+            <strong style="color: #6366f1;">The GroupFund Team</strong>
+          </p>
+          <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+            This is an automated notification. Please do not reply to this email.
+          </p>
+        </div>
+      </div>
+    `;
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'GroupFund <onboarding@resend.dev>',
+      to: email,
+      subject,
+      html,
+    });
+
+    if (error) {
+      console.error('Resend error sending fundraising goal email:', error);
+      return false;
+    }
+
+    console.log('Fundraising goal email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error sending fundraising goal email:', error);
+    return false;
+  }
+};
+
 // Alias for backward compatibility
 const sendMonthlyBirthdayNewsletter = async (email, userName, userId, monthName, groupsWithBirthdays) => {
   return sendMonthlyNewsletter(email, userName, userId, monthName, groupsWithBirthdays, [], []);
@@ -2432,7 +2522,7 @@ const sendPaymentFailureEmail = async (email, name, amount, currency, groupName,
 };
 
 // Send withdrawal request email
-const sendWithdrawalRequestEmail = async (email, name, amount, currency, currencySymbol, scheduledAt, accountNumber, fee = null, netAmount = null) => {
+const sendWithdrawalRequestEmail = async (email, name, amount, currency, currencySymbol, scheduledAt, accountNumber, fee = null, netAmount = null, holdHours = 24) => {
   try {
     // Check email preference
     const canSend = await shouldSendEmail(email, 'withdrawal_request');
@@ -2485,9 +2575,9 @@ const sendWithdrawalRequestEmail = async (email, name, amount, currency, currenc
             <p style="color: #374151; font-size: 16px; margin: 15px 0 0 0; padding-top: 15px; border-top: 1px solid #e5e7eb;"><strong>Scheduled for:</strong> ${scheduledDate}</p>
           </div>
           <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
-            <p style="color: #92400e; font-size: 14px; margin: 0; font-weight: bold;">⏰ 24-Hour Security Hold</p>
+            <p style="color: #92400e; font-size: 14px; margin: 0; font-weight: bold;">⏰ ${holdHours}-Hour Security Hold</p>
             <p style="color: #92400e; font-size: 14px; margin: 10px 0 0 0;">
-              Your funds are held for 24 hours as a security measure. This helps us detect and prevent fraudulent withdrawals.
+              Your funds are held for ${holdHours} hours as a security measure. This helps us detect and prevent fraudulent withdrawals.${holdHours > 24 ? ' The hold is longer than usual because your bank account, password or device changed recently.' : ''}
             </p>
           </div>
           <div style="background: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ef4444;">
@@ -2713,6 +2803,242 @@ const sendAutoPaySuccessEmail = async (email, name, amount, currency, groupName,
   }
 };
 
+// Send refund email to the contributor whose auto-debited payment was refunded
+const sendRefundIssuedEmail = async (email, name, amount, currency, currencySymbol, groupName, reason) => {
+  try {
+    // Check email preference
+    const canSend = await shouldSendEmail(email, 'refund_issued');
+    if (!canSend) {
+      console.log(`Refund issued email skipped for ${email} (preference disabled)`);
+      return true;
+    }
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🎂 GroupFund</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1a1a1a; font-size: 24px; margin-top: 0;">Refund Issued 💸</h2>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Hi ${name},
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Your automatic payment to <strong>${groupName}</strong> has been refunded.
+          </p>
+          <div style="background: white; padding: 30px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981; text-align: center;">
+            <p style="color: #6b7280; font-size: 14px; margin: 0 0 10px 0;">Amount refunded:</p>
+            <h1 style="color: #10b981; font-size: 36px; margin: 0; font-weight: bold;">${currencySymbol}${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</h1>
+            <p style="color: #9ca3af; font-size: 12px; margin-top: 10px;">${currency}</p>
+          </div>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            <strong>Reason:</strong> ${reason}
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            The money is returned to the card or account you paid with. Depending on your bank, it can take 5-10 business days to show up.
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7; margin-top: 30px;">
+            Best regards,<br>
+            <strong>The GroupFund Team</strong>
+          </p>
+        </div>
+      </div>
+    `;
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'GroupFund <onboarding@resend.dev>',
+      to: email,
+      subject: `Refund Issued: ${currencySymbol}${amount} from ${groupName}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Resend error:', error);
+      return false;
+    }
+
+    console.log('Refund issued email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error sending refund issued email:', error);
+    return false;
+  }
+};
+
+// Send email to the recipient whose wallet a contribution refund was taken from
+const sendRefundDebitedEmail = async (email, name, amount, currency, currencySymbol, contributorName, groupName, reason, shortfall = 0) => {
+  try {
+    // Check email preference
+    const canSend = await shouldSendEmail(email, 'refund_debited');
+    if (!canSend) {
+      console.log(`Refund debited email skipped for ${email} (preference disabled)`);
+      return true;
+    }
+    const formatValue = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🎂 GroupFund</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1a1a1a; font-size: 24px; margin-top: 0;">Contribution Refunded</h2>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Hi ${name},
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            ${contributorName}'s contribution to <strong>${groupName}</strong> has been refunded, and the refund was taken from your wallet.
+          </p>
+          <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
+            <p style="color: #92400e; font-size: 16px; margin: 0 0 10px 0;"><strong>Amount refunded:</strong> ${currencySymbol}${formatValue(amount)} ${currency}</p>
+            ${shortfall > 0 ? `<p style="color: #92400e; font-size: 16px; margin: 0 0 10px 0;"><strong>Not covered by your wallet:</strong> ${currencySymbol}${formatValue(shortfall)} ${currency}</p>` : ''}
+            <p style="color: #92400e; font-size: 16px; margin: 0;"><strong>Reason:</strong> ${reason}</p>
+          </div>
+          ${shortfall > 0 ? `
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Your wallet balance didn't cover the full refund. The difference is recorded as owed to GroupFund; our support team will be in touch.
+          </p>
+          ` : ''}
+          <p style="color: #374151; font-size: 16px; line-height: 1.7; margin-top: 30px;">
+            Best regards,<br>
+            <strong>The GroupFund Team</strong>
+          </p>
+        </div>
+      </div>
+    `;
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'GroupFund <onboarding@resend.dev>',
+      to: email,
+      subject: `Contribution Refunded - ${groupName}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Resend error:', error);
+      return false;
+    }
+
+    console.log('Refund debited email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error sending refund debited email:', error);
+    return false;
+  }
+};
+
+// Send receipt to a user who sent money from their wallet to another user
+const sendWalletTransferSentEmail = async (email, name, amount, currency, currencySymbol, recipientName) => {
+  try {
+    // Check email preference
+    const canSend = await shouldSendEmail(email, 'wallet_transfer_sent');
+    if (!canSend) {
+      console.log(`Wallet transfer sent email skipped for ${email} (preference disabled)`);
+      return true;
+    }
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🎂 GroupFund</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1a1a1a; font-size: 24px; margin-top: 0;">Transfer Sent</h2>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Hi ${name},
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            You sent <strong>${currencySymbol}${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}</strong> from your wallet to <strong>${recipientName}</strong>.
+          </p>
+          <div style="background: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ef4444;">
+            <p style="color: #991b1b; font-size: 14px; margin: 0; font-weight: bold;">🔒 Security Alert</p>
+            <p style="color: #991b1b; font-size: 14px; margin: 10px 0 0 0;">
+              If you didn't make this transfer, please contact us immediately at <strong>${process.env.SECURITY_EMAIL || 'security@groupfund.app'}</strong>
+            </p>
+          </div>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7; margin-top: 30px;">
+            Best regards,<br>
+            <strong>The GroupFund Team</strong>
+          </p>
+        </div>
+      </div>
+    `;
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'GroupFund <onboarding@resend.dev>',
+      to: email,
+      subject: `Transfer Sent: ${currencySymbol}${amount} to ${recipientName}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Resend error:', error);
+      return false;
+    }
+
+    console.log('Wallet transfer sent email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error sending wallet transfer sent email:', error);
+    return false;
+  }
+};
+
+// Send email to a user who received money in their wallet from another user
+const sendWalletTransferReceivedEmail = async (email, name, amount, currency, currencySymbol, senderName) => {
+  try {
+    // Check email preference
+    const canSend = await shouldSendEmail(email, 'wallet_transfer_received');
+    if (!canSend) {
+      console.log(`Wallet transfer received email skipped for ${email} (preference disabled)`);
+      return true;
+    }
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">🎂 GroupFund</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1a1a1a; font-size: 24px; margin-top: 0;">You Received Money 🎉</h2>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            Hi ${name},
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            <strong>${senderName}</strong> sent you money on GroupFund.
+          </p>
+          <div style="background: white; padding: 30px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981; text-align: center;">
+            <p style="color: #6b7280; font-size: 14px; margin: 0 0 10px 0;">Amount received:</p>
+            <h1 style="color: #10b981; font-size: 36px; margin: 0; font-weight: bold;">${currencySymbol}${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</h1>
+            <p style="color: #9ca3af; font-size: 12px; margin-top: 10px;">${currency}</p>
+          </div>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7;">
+            The money is in your wallet and available to withdraw.
+          </p>
+          <p style="color: #374151; font-size: 16px; line-height: 1.7; margin-top: 30px;">
+            Best regards,<br>
+            <strong>The GroupFund Team</strong>
+          </p>
+        </div>
+      </div>
+    `;
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'GroupFund <onboarding@resend.dev>',
+      to: email,
+      subject: `${senderName} sent you ${currencySymbol}${amount}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Resend error:', error);
+      return false;
+    }
+
+    console.log('Wallet transfer received email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error sending wallet transfer received email:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendOTPEmail,
   sendOTPSMS,
@@ -2732,6 +3058,7 @@ module.exports = {
   sendContributionAmountUpdateEmail,
   sendDeadlineUpdateEmail,
   sendMaxMembersUpdateEmail,
+  sendFundraisingGoalReachedEmail,
   sendMemberLeftSubscriptionEmail,
   sendMerryChristmasEmail,
   sendHappyNewYearEmail,
@@ -2744,4 +3071,8 @@ module.exports = {
   sendWithdrawalRequestEmail,
   sendWithdrawalCompletedEmail,
   sendWithdrawalFailedEmail,
+  sendRefundIssuedEmail,
+  sendRefundDebitedEmail,
+  sendWalletTransferSentEmail,
+  sendWalletTransferReceivedEmail,
 };
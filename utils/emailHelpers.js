@@ -44,6 +44,7 @@ const EMAIL_PREFERENCE_MAP = {
   'contribution_amount_update': 'email_pref_contribution_amount_update',
   'deadline_update': 'email_pref_deadline_update',
   'max_members_update': 'email_pref_max_members_update',
+  'fundraising_goal': 'email_pref_fundraising_goal',
   'member_left_subscription': 'email_pref_member_left_subscription',
   'monthly_newsletter': 'email_pref_monthly_newsletter',
   'holiday_emails': 'email_pref_holiday_emails',
@@ -71,8 +72,28 @@ async function shouldSendEmail(email, emailType) {
   return await checkEmailPreference(email, preferenceKey);
 }
 
+// Resend allows 2 requests per second; senders of bulk emails wait their turn here
+let nextEmailSendTime = 0;
+const MIN_EMAIL_INTERVAL_MS = 600; // ~1.67 requests/second (slightly under 2/sec to be safe)
+
+/**
+ * Wait until another email can be sent without exceeding the Resend rate limit
+ * Each caller reserves the next free slot, so concurrent senders in this process are spaced out too.
+ * @returns {Promise<void>}
+ */
+async function throttleEmailSend() {
+  const now = Date.now();
+  const sendAt = Math.max(now, nextEmailSendTime);
+  nextEmailSendTime = sendAt + MIN_EMAIL_INTERVAL_MS;
+
+  if (sendAt > now) {
+    await new Promise(resolve => setTimeout(resolve, sendAt - now));
+  }
+}
+
 module.exports = {
   checkEmailPreference,
   shouldSendEmail,
+  throttleEmailSend,
   EMAIL_PREFERENCE_MAP,
 };
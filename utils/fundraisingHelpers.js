@@ -0,0 +1,360 @@
+const pool = require('../config/database');
+const { createNotification } = require('./notifications');
+const { formatAmount } = require('./currency');
+const { throttleEmailSend } = require('./emailHelpers');
+
+/**
+ * Fundraising targets for general groups
+ *
+ * Only confirmed contributions count towards the amount raised (less anything refunded), along
+ * with guest payments made through the group's payment links (already credited once paid). The
+ * target and each stretch goal are marked reached with a conditional UPDATE, so members are
+ * notified a single time even when several confirmations land together. Milestones follow the
+ * total back down: a refund or chargeback that takes it below one clears its mark, and members
+ * hear about it again if the total climbs back.
+ */
+
+const CONTRIBUTOR_VISIBILITY = ['public', 'anonymous', 'admins_only'];
+const MAX_STRETCH_GOALS = 5;
+const TOP_CONTRIBUTORS_LIMIT = 5;
+
+/**
+ * Validate stretch goals sent by the client
+ * @param {Array} stretchGoals - [{ amount, label }]
+ * @param {number|null} targetAmount - Group target amount
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateStretchGoals(stretchGoals, targetAmount) {
+  if (!Array.isArray(stretchGoals)) {
+    return 'Stretch goals must be a list';
+  }
+  if (stretchGoals.length === 0) {
+    return null;
+  }
+  if (!targetAmount) {
+    return 'Set a target amount before adding stretch goals';
+  }
+  if (stretchGoals.length > MAX_STRETCH_GOALS) {
+    return `A group can have at most ${MAX_STRETCH_GOALS} stretch goals`;
+  }
+
+  const amounts = new Set();
+  for (const goal of stretchGoals) {
+    const amount = parseFloat(goal?.amount);
+    if (!Number.isFinite(amount) || amount <= parseFloat(targetAmount)) {
+      return 'Each stretch goal amount must be greater than the target amount';
+    }
+    if (amounts.has(amount)) {
+      return 'Stretch goal amounts must be different';
+    }
+    if (goal.label !== undefined && goal.label !== null && (typeof goal.label !== 'string' || goal.label.length > 255)) {
+      return 'Stretch goal label must be text of at most 255 characters';
+    }
+    amounts.add(amount);
+  }
+
+  return null;
+}
+
+/**
+ * Replace the stretch goals of a group
+ * Goals whose amount is kept hold on to their reached_at, so they don't fire again.
+ * @param {string} groupId - Group ID
+ * @param {Array} stretchGoals - Validated [{ amount, label }]
+ * @param {Object} client - Database client (defaults to pool)
+ */
+async function saveStretchGoals(groupId, stretchGoals, client = pool) {
+  try {
+    const amounts = stretchGoals.map(goal => parseFloat(goal.amount));
+
+    await client.query(
+      `DELETE FROM fundraising_stretch_goals WHERE group_id = $1 AND NOT (amount = ANY($2::numeric[]))`,
+      [groupId, amounts]
+    );
+
+    for (const goal of stretchGoals) {
+      await client.query(
+        `INSERT INTO fundraising_stretch_goals (group_id, amount, label)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (group_id, amount) DO UPDATE SET label = EXCLUDED.label`,
+        [groupId, parseFloat(goal.amount), goal.label ? goal.label.trim() : null]
+      );
+    }
+  } catch (error) {
+    console.error('Error saving stretch goals:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get confirmed and pending totals of a general group
+ * Paid guest contributions count as confirmed; refunded amounts (pending refunds included) don't count.
+ * @param {string} groupId - Group ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { raised, pending, contributorCount }
+ */
+async function getAmountRaised(groupId, client = pool) {
+  try {
+    const result = await client.query(
+      `SELECT
+         COALESCE(SUM(amount) FILTER (WHERE status = 'confirmed'), 0) as raised,
+         COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0) as pending,
+         COUNT(*) FILTER (WHERE status = 'confirmed') as contributor_count
+       FROM (
+         SELECT amount - refunded_amount AS amount, status FROM general_contributions WHERE group_id = $1
+         UNION ALL
+         SELECT amount, 'confirmed' AS status FROM guest_contributions WHERE group_id = $1 AND status = 'paid'
+       ) contributions`,
+      [groupId]
+    );
+
+    return {
+      raised: parseFloat(result.rows[0].raised) || 0,
+      pending: parseFloat(result.rows[0].pending) || 0,
+      contributorCount: parseInt(result.rows[0].contributor_count) || 0,
+    };
+  } catch (error) {
+    console.error('Error getting amount raised:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the biggest confirmed contributions (members and paid guests, net of refunds), with names
+ * hidden according to the group's privacy setting
+ * @param {Object} group - Group row (id, contributor_visibility)
+ * @param {Object} viewer - { userId, isAdminOrCoAdmin }
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Array|null>} - Top contributors, or null if the viewer may not see them
+ */
+async function getTopContributors(group, viewer, client = pool) {
+  try {
+    const visibility = group.contributor_visibility || 'public';
+    if (visibility === 'admins_only' && !viewer.isAdminOrCoAdmin) {
+      return null;
+    }
+
+    const result = await client.query(
+      `SELECT contributor_id, name, amount, is_anonymous, is_guest
+       FROM (
+         SELECT gc.contributor_id, u.name, gc.amount - gc.refunded_amount AS amount, gc.is_anonymous, FALSE AS is_guest,
+                gc.contribution_date::timestamp AS contributed_at
+         FROM general_contributions gc
+         JOIN users u ON gc.contributor_id = u.id
+         WHERE gc.group_id = $1 AND gc.status = 'confirmed'
+         UNION ALL
+         SELECT NULL, guest_name, amount, FALSE, TRUE, paid_at
+         FROM guest_contributions
+         WHERE group_id = $1 AND status = 'paid'
+       ) contributions
+       ORDER BY amount DESC, contributed_at ASC
+       LIMIT $2`,
+      [group.id, TOP_CONTRIBUTORS_LIMIT]
+    );
+
+    return result.rows.map((row) => {
+      const isAnonymous = visibility === 'anonymous' || row.is_anonymous === true;
+      const showName = viewer.isAdminOrCoAdmin || !isAnonymous
+        || (row.contributor_id !== null && row.contributor_id === viewer.userId);
+
+      return {
+        user_id: showName ? row.contributor_id : null,
+        name: showName ? row.name : 'Anonymous',
+        amount: parseFloat(row.amount),
+        is_anonymous: isAnonymous,
+        is_guest: row.is_guest,
+      };
+    });
+  } catch (error) {
+    console.error('Error getting top contributors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the fundraising progress of a general group
+ * @param {Object} group - Group row (id, target_amount, min_contribution_amount, goal_reached_at, contributor_visibility)
+ * @param {Object} viewer - { userId, isAdminOrCoAdmin }
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - Progress (percentage and stretch goals are relative to the target; null without one)
+ */
+async function getFundraisingProgress(group, viewer, client = pool) {
+  try {
+    const { raised, pending, contributorCount } = await getAmountRaised(group.id, client);
+    const targetAmount = group.target_amount !== null && group.target_amount !== undefined
+      ? parseFloat(group.target_amount)
+      : null;
+
+    const stretchResult = await client.query(
+      `SELECT amount, label, reached_at FROM fundraising_stretch_goals WHERE group_id = $1 ORDER BY amount`,
+      [group.id]
+    );
+
+    const stretchGoals = stretchResult.rows.map(goal => ({
+      amount: parseFloat(goal.amount),
+      label: goal.label,
+      reached: goal.reached_at !== null,
+      reached_at: goal.reached_at,
+    }));
+
+    const nextGoal = targetAmount === null
+      ? null
+      : [targetAmount, ...stretchGoals.map(goal => goal.amount)].find(amount => amount > raised) || null;
+
+    return {
+      target_amount: targetAmount,
+      min_contribution_amount: group.min_contribution_amount !== null && group.min_contribution_amount !== undefined
+        ? parseFloat(group.min_contribution_amount)
+        : null,
+      amount_raised: raised,
+      amount_pending: pending,
+      percentage: targetAmount ? Math.round((raised / targetAmount) * 1000) / 10 : null,
+      contributor_count: contributorCount,
+      goal_reached: group.goal_reached_at !== null && group.goal_reached_at !== undefined,
+      goal_reached_at: group.goal_reached_at || null,
+      stretch_goals: stretchGoals,
+      next_goal_amount: nextGoal,
+      contributor_visibility: group.contributor_visibility || 'public',
+      top_contributors: await getTopContributors(group, viewer, client),
+    };
+  } catch (error) {
+    console.error('Error getting fundraising progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Notify every active member that a fundraising milestone was reached (in-app and email)
+ * Emails are spaced out to stay under the email provider's rate limit, so a large group takes a while.
+ * @param {Object} group - Group row (id, name, currency)
+ * @param {Object} milestone - { amount, label, isStretchGoal }
+ * @param {number} raised - Amount raised so far
+ */
+async function notifyMilestoneReached(group, milestone, raised) {
+  const { sendFundraisingGoalReachedEmail } = require('./email');
+  const currency = group.currency || 'NGN';
+  const goalText = milestone.isStretchGoal
+    ? `the stretch goal of ${formatAmount(milestone.amount, currency)}${milestone.label ? ` (${milestone.label})` : ''}`
+    : `its target of ${formatAmount(milestone.amount, currency)}`;
+
+  const membersResult = await pool.query(
+    `SELECT u.id, u.name, u.email
+     FROM users u
+     JOIN group_members gm ON u.id = gm.user_id
+     WHERE gm.group_id = $1 AND gm.status = 'active'`,
+    [group.id]
+  );
+
+  for (const member of membersResult.rows) {
+    try {
+      await createNotification(
+        member.id,
+        'fundraising_goal_reached',
+        milestone.isStretchGoal ? 'Stretch Goal Reached' : 'Fundraising Goal Reached',
+        `${group.name} has reached ${goalText}. ${formatAmount(raised, currency)} raised so far.`,
+        group.id,
+        null
+      );
+    } catch (error) {
+      console.error(`Error notifying member ${member.id} about fundraising goal:`, error);
+    }
+
+    if (member.email) {
+      try {
+        await throttleEmailSend();
+        await sendFundraisingGoalReachedEmail(
+          member.email,
+          member.name,
+          group.name,
+          raised,
+          milestone.amount,
+          currency,
+          milestone.isStretchGoal ? (milestone.label || null) : null,
+          milestone.isStretchGoal
+        );
+      } catch (error) {
+        console.error(`Error sending fundraising goal email to ${member.email}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Bring the target and stretch goal marks in line with the amount raised, and notify members
+ * Call whenever the total changes: a contribution is confirmed, a guest payment is credited, a
+ * contribution is refunded or charged back (outside the transaction, so the total includes it).
+ * Marks above the total are cleared; when several milestones are passed at once, members hear
+ * about the highest one only. Notifications are sent in the background.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object|null>} - Highest milestone newly reached, or null
+ */
+async function checkFundraisingMilestones(groupId) {
+  try {
+    const { raised } = await getAmountRaised(groupId);
+
+    await pool.query(
+      `UPDATE groups SET goal_reached_at = NULL
+       WHERE id = $1 AND goal_reached_at IS NOT NULL AND (target_amount IS NULL OR target_amount > $2)`,
+      [groupId, raised]
+    );
+    await pool.query(
+      `UPDATE fundraising_stretch_goals SET reached_at = NULL
+       WHERE group_id = $1 AND reached_at IS NOT NULL AND amount > $2`,
+      [groupId, raised]
+    );
+
+    const goalResult = await pool.query(
+      `UPDATE groups SET goal_reached_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND group_type = 'general'
+         AND target_amount IS NOT NULL AND target_amount <= $2
+         AND goal_reached_at IS NULL
+       RETURNING id, name, currency, target_amount`,
+      [groupId, raised]
+    );
+
+    const stretchResult = await pool.query(
+      `UPDATE fundraising_stretch_goals SET reached_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND amount <= $2 AND reached_at IS NULL
+       RETURNING amount, label`,
+      [groupId, raised]
+    );
+
+    let milestone = null;
+    if (stretchResult.rows.length > 0) {
+      const highest = stretchResult.rows.reduce((max, goal) =>
+        parseFloat(goal.amount) > parseFloat(max.amount) ? goal : max
+      );
+      milestone = { amount: parseFloat(highest.amount), label: highest.label, isStretchGoal: true };
+    } else if (goalResult.rows.length > 0) {
+      milestone = { amount: parseFloat(goalResult.rows[0].target_amount), label: null, isStretchGoal: false };
+    }
+
+    if (!milestone) {
+      return null;
+    }
+
+    const groupResult = await pool.query(
+      'SELECT id, name, currency FROM groups WHERE id = $1',
+      [groupId]
+    );
+    notifyMilestoneReached(groupResult.rows[0], milestone, raised).catch((error) => {
+      console.error(`Error notifying members of group ${groupId} about fundraising milestone:`, error);
+    });
+
+    return milestone;
+  } catch (error) {
+    console.error('Error checking fundraising milestones:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  CONTRIBUTOR_VISIBILITY,
+  MAX_STRETCH_GOALS,
+  validateStretchGoals,
+  saveStretchGoals,
+  getAmountRaised,
+  getTopContributors,
+  getFundraisingProgress,
+  checkFundraisingMilestones,
+};
@@ -0,0 +1,577 @@
+const pool = require('../config/database');
+const { withTransaction } = require('./dbTransaction');
+const { createNotification } = require('./notifications');
+const { formatAmount } = require('./currency');
+const { getPreviousSubscriptionDeadline } = require('./recurrenceHelpers');
+
+/**
+ * Late fees
+ *
+ * A contribution counts as late the same way the overdue reminders see it: the member was in the
+ * group on the due date and hasn't marked it paid (not_received counts as unpaid). Once the grace
+ * period has passed, the late fee job charges one fee per member per missed due date - the unique
+ * (group_id, user_id, due_key) keeps reruns from charging twice.
+ */
+
+const LATE_FEE_TYPES = ['flat', 'percentage'];
+const MAX_GRACE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD (local time, like the due dates it is compared with)
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Start of a day (local time)
+ * @param {Date|string} date - Date
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+/**
+ * A birthday's date in a given year (local time; Feb 29 falls on Feb 28 outside leap years)
+ * @param {Date|string} birthday - Date of birth
+ * @param {number} year - Year
+ * @returns {Date}
+ */
+function birthdayInYear(birthday, year) {
+  const date = new Date(birthday);
+  const lastDayOfMonth = new Date(year, date.getMonth() + 1, 0).getDate();
+  return new Date(year, date.getMonth(), Math.min(date.getDate(), lastDayOfMonth));
+}
+
+/**
+ * Validate a late fee rule sent by the client
+ * @param {Object} rule - { type, value, graceDays, cap }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateLateFeeRule({ type, value, graceDays, cap }) {
+  if (type === null) {
+    return null; // Turning late fees off
+  }
+  if (!LATE_FEE_TYPES.includes(type)) {
+    return 'Late fee type must be flat or percentage';
+  }
+
+  const feeValue = parseFloat(value);
+  if (!Number.isFinite(feeValue) || feeValue <= 0) {
+    return 'Late fee value must be a positive number';
+  }
+  if (type === 'percentage' && feeValue > 100) {
+    return 'A percentage late fee can be at most 100%';
+  }
+
+  if (graceDays !== undefined && graceDays !== null &&
+      (!Number.isInteger(Number(graceDays)) || Number(graceDays) < 0 || Number(graceDays) > MAX_GRACE_DAYS)) {
+    return `Grace period must be between 0 and ${MAX_GRACE_DAYS} days`;
+  }
+
+  if (cap !== undefined && cap !== null) {
+    const capValue = parseFloat(cap);
+    if (!Number.isFinite(capValue) || capValue <= 0) {
+      return 'Late fee cap must be a positive number';
+    }
+    if (type === 'flat' && capValue < feeValue) {
+      return 'Late fee cap cannot be lower than the flat late fee';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the late fee rule of a group
+ * @param {Object} group - Group row (late_fee_* columns)
+ * @returns {Object|null} - { type, value, grace_days, cap, auto_charge, effective_from }, or null if late fees are off
+ */
+function getLateFeeRule(group) {
+  if (!group.late_fee_type) {
+    return null;
+  }
+  return {
+    type: group.late_fee_type,
+    value: parseFloat(group.late_fee_value),
+    grace_days: parseInt(group.late_fee_grace_days) || 0,
+    cap: group.late_fee_cap !== null && group.late_fee_cap !== undefined ? parseFloat(group.late_fee_cap) : null,
+    auto_charge: group.late_fee_auto_charge === true,
+    effective_from: group.late_fee_effective_from,
+  };
+}
+
+/**
+ * Calculate the late fee for a contribution amount
+ * @param {Object} rule - Rule from getLateFeeRule()
+ * @param {number} baseAmount - Contribution amount
+ * @returns {number} - Fee, rounded to 2 decimals
+ */
+function calculateLateFee(rule, baseAmount) {
+  let fee = rule.type === 'percentage' ? (baseAmount * rule.value) / 100 : rule.value;
+  if (rule.cap !== null) {
+    fee = Math.min(fee, rule.cap);
+  }
+  return Math.round(fee * 100) / 100;
+}
+
+/**
+ * Describe a late fee rule for members (e.g. "5% late fee (at most ₦1,000.00), 3 days after the due date")
+ * @param {Object} rule - Rule from getLateFeeRule()
+ * @param {string} currency - Group currency
+ * @returns {string}
+ */
+function describeLateFeeRule(rule, currency = 'NGN') {
+  const fee = rule.type === 'percentage' ? `${rule.value}% late fee` : `${formatAmount(rule.value, currency)} late fee`;
+  const cap = rule.type === 'percentage' && rule.cap !== null ? ` (at most ${formatAmount(rule.cap, currency)})` : '';
+  const when = rule.grace_days > 0
+    ? `${rule.grace_days} day${rule.grace_days === 1 ? '' : 's'} after the due date`
+    : 'the day after the due date';
+  return `${fee}${cap}, ${when}`;
+}
+
+/**
+ * Check if a contribution status counts as paid for lateness (paid awaits confirmation, so it isn't late)
+ */
+function isPaidStatus(status) {
+  return status === 'paid' || status === 'confirmed';
+}
+
+/**
+ * Find the late contributions of a group whose grace period has passed
+ * @param {Object} group - Group row (SELECT * FROM groups)
+ * @param {Date} today - Today (defaults to now)
+ * @returns {Promise<Array>} - [{ userId, recipientId, contributionType, contributionId, dueKey, dueDate, baseAmount }]
+ */
+async function getLateContributions(group, today = new Date()) {
+  try {
+    const rule = getLateFeeRule(group);
+    if (!rule) {
+      return [];
+    }
+
+    // Due dates before this are still inside the grace period
+    const cutoff = new Date(startOfDay(today).getTime() - rule.grace_days * DAY_MS);
+    const effectiveFrom = rule.effective_from ? startOfDay(rule.effective_from) : cutoff;
+    const baseAmount = parseFloat(group.contribution_amount);
+
+    const membersResult = await pool.query(
+      `SELECT u.id, u.birthday, gm.joined_at
+       FROM group_members gm
+       JOIN users u ON gm.user_id = u.id
+       WHERE gm.group_id = $1 AND gm.status = 'active'`,
+      [group.id]
+    );
+    const members = membersResult.rows;
+
+    // Members who were in the group on the due date and haven't paid
+    const unpaidMembers = (dueDate, statusByMember, excludeId = null) => members.filter(member =>
+      member.id !== excludeId &&
+      startOfDay(member.joined_at) <= dueDate &&
+      !isPaidStatus(statusByMember.get(member.id)?.status)
+    );
+    const isInWindow = dueDate => dueDate < cutoff && dueDate >= effectiveFrom;
+
+    const late = [];
+
+    if (group.group_type === 'birthday') {
+      // Late December birthdays only pass their grace period in January, so last year counts too
+      const years = [cutoff.getFullYear() - 1, cutoff.getFullYear()];
+      const contributionsResult = await pool.query(
+        `SELECT id, birthday_user_id, contributor_id, status, EXTRACT(YEAR FROM contribution_date)::int AS year
+         FROM birthday_contributions
+         WHERE group_id = $1 AND EXTRACT(YEAR FROM contribution_date) = ANY($2::int[])`,
+        [group.id, years]
+      );
+
+      for (const celebrant of members) {
+        if (!celebrant.birthday) {
+          continue;
+        }
+
+        for (const year of years) {
+          const dueDate = birthdayInYear(celebrant.birthday, year);
+          if (!isInWindow(dueDate)) {
+            continue;
+          }
+
+          const statusByMember = new Map(contributionsResult.rows
+            .filter(contribution => contribution.birthday_user_id === celebrant.id && contribution.year === year)
+            .map(contribution => [contribution.contributor_id, contribution]));
+
+          for (const member of unpaidMembers(dueDate, statusByMember, celebrant.id)) {
+            late.push({
+              userId: member.id,
+              recipientId: celebrant.id,
+              contributionType: 'birthday',
+              contributionId: statusByMember.get(member.id)?.id || null,
+              dueKey: `birthday:${celebrant.id}:${year}`,
+              dueDate,
+              baseAmount,
+            });
+          }
+        }
+      }
+    } else if (group.group_type === 'subscription') {
+      const previous = getPreviousSubscriptionDeadline(group, cutoff);
+      if (previous && isInWindow(startOfDay(previous.deadline))) {
+        const contributionsResult = await pool.query(
+          `SELECT id, contributor_id, status FROM subscription_contributions
+           WHERE group_id = $1 AND subscription_period_start = $2`,
+          [group.id, previous.periodStart]
+        );
+        const statusByMember = new Map(contributionsResult.rows.map(contribution => [contribution.contributor_id, contribution]));
+        const dueDate = startOfDay(previous.deadline);
+
+        for (const member of unpaidMembers(dueDate, statusByMember)) {
+          late.push({
+            userId: member.id,
+            recipientId: group.admin_id,
+            contributionType: 'subscription',
+            contributionId: statusByMember.get(member.id)?.id || null,
+            dueKey: `subscription:${toDateKey(previous.periodStart)}`,
+            dueDate,
+            baseAmount,
+          });
+        }
+      }
+    } else if (group.group_type === 'general') {
+      const dueDate = group.deadline ? startOfDay(group.deadline) : null;
+      if (dueDate && isInWindow(dueDate)) {
+        const contributionsResult = await pool.query(
+          'SELECT id, contributor_id, status, amount FROM general_contributions WHERE group_id = $1',
+          [group.id]
+        );
+        const statusByMember = new Map(contributionsResult.rows.map(contribution => [contribution.contributor_id, contribution]));
+
+        for (const member of unpaidMembers(dueDate, statusByMember)) {
+          const contribution = statusByMember.get(member.id);
+          late.push({
+            userId: member.id,
+            recipientId: group.admin_id,
+            contributionType: 'general',
+            contributionId: contribution?.id || null,
+            dueKey: 'general',
+            dueDate,
+            baseAmount: contribution ? parseFloat(contribution.amount) : baseAmount,
+          });
+        }
+      }
+    } else if (group.group_type === 'rotating') {
+      const cyclesResult = await pool.query(
+        `SELECT id, recipient_id, due_date FROM rotation_cycles
+         WHERE group_id = $1 AND due_date < $2 AND due_date >= $3`,
+        [group.id, toDateKey(cutoff), toDateKey(effectiveFrom)]
+      );
+
+      for (const cycle of cyclesResult.rows) {
+        const contributionsResult = await pool.query(
+          'SELECT id, contributor_id, status FROM rotating_contributions WHERE cycle_id = $1',
+          [cycle.id]
+        );
+        const statusByMember = new Map(contributionsResult.rows.map(contribution => [contribution.contributor_id, contribution]));
+        const dueDate = startOfDay(cycle.due_date);
+
+        for (const member of unpaidMembers(dueDate, statusByMember, cycle.recipient_id)) {
+          late.push({
+            userId: member.id,
+            recipientId: cycle.recipient_id,
+            contributionType: 'rotating',
+            contributionId: statusByMember.get(member.id)?.id || null,
+            dueKey: `rotating:${cycle.id}`,
+            dueDate,
+            baseAmount,
+          });
+        }
+      }
+    }
+
+    return late;
+  } catch (error) {
+    console.error('Error finding late contributions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a late fee change in its audit trail
+ * @param {Object} event - { lateFeeId, actorId, action, notes, metadata }
+ * @param {Object} client - Database client (defaults to pool)
+ */
+async function recordLateFeeEvent({ lateFeeId, actorId = null, action, notes = null, metadata = null }, client = pool) {
+  await client.query(
+    `INSERT INTO late_fee_events (late_fee_id, actor_id, action, notes, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [lateFeeId, actorId, action, notes, metadata ? JSON.stringify(metadata) : null]
+  );
+}
+
+/**
+ * Charge late fees for a group's late contributions (safe to run repeatedly)
+ * @param {Object} group - Group row (SELECT * FROM groups)
+ * @param {Date} today - Today (defaults to now)
+ * @returns {Promise<Array>} - Late fees created by this run
+ */
+async function assessLateFees(group, today = new Date()) {
+  try {
+    const rule = getLateFeeRule(group);
+    if (!rule) {
+      return [];
+    }
+
+    const currency = group.currency || 'NGN';
+    const ruleSnapshot = { type: rule.type, value: rule.value, grace_days: rule.grace_days, cap: rule.cap };
+    const created = [];
+
+    for (const item of await getLateContributions(group, today)) {
+      const amount = calculateLateFee(rule, item.baseAmount);
+      if (amount <= 0) {
+        continue;
+      }
+
+      const lateFee = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO late_fees
+           (group_id, user_id, recipient_id, contribution_type, contribution_id, due_key, due_date, base_amount, amount, currency, rule)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (group_id, user_id, due_key) DO NOTHING
+           RETURNING *`,
+          [
+            group.id,
+            item.userId,
+            item.recipientId || null,
+            item.contributionType,
+            item.contributionId,
+            item.dueKey,
+            toDateKey(item.dueDate),
+            item.baseAmount,
+            amount,
+            currency,
+            JSON.stringify(ruleSnapshot),
+          ]
+        );
+        if (result.rows.length === 0) {
+          return null; // Already charged for this due date
+        }
+
+        await recordLateFeeEvent({
+          lateFeeId: result.rows[0].id,
+          action: 'assessed',
+          metadata: { ...ruleSnapshot, base_amount: item.baseAmount },
+        }, client);
+        return result.rows[0];
+      });
+
+      if (!lateFee) {
+        continue;
+      }
+      created.push(lateFee);
+
+      try {
+        await createNotification(
+          item.userId,
+          'late_fee_charged',
+          'Late Fee Added',
+          `A late fee of ${formatAmount(amount, currency)} was added in ${group.name} because your contribution due ${toDateKey(item.dueDate)} is still unpaid.`,
+          group.id,
+          item.recipientId || null
+        );
+      } catch (notificationError) {
+        console.error('Error sending late fee notification:', notificationError);
+      }
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Error assessing late fees:', error);
+    throw error;
+  }
+}
+
+/**
+ * Waive an outstanding late fee (group admin or co-admin)
+ * @param {Object} waiver - { groupId, lateFeeId, adminId, reason }
+ * @returns {Promise<Object|null>} - Waived late fee, or null if it isn't outstanding in this group
+ */
+async function waiveLateFee({ groupId, lateFeeId, adminId, reason }) {
+  try {
+    const lateFee = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE late_fees
+         SET status = 'waived', waived_by = $1, waived_at = CURRENT_TIMESTAMP, waiver_reason = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND group_id = $4 AND status = 'outstanding'
+         RETURNING *`,
+        [adminId, reason, lateFeeId, groupId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await recordLateFeeEvent({ lateFeeId, actorId: adminId, action: 'waived', notes: reason }, client);
+      return result.rows[0];
+    });
+
+    if (lateFee) {
+      try {
+        const groupResult = await pool.query('SELECT name FROM groups WHERE id = $1', [groupId]);
+        await createNotification(
+          lateFee.user_id,
+          'late_fee_waived',
+          'Late Fee Waived',
+          `Your late fee of ${formatAmount(parseFloat(lateFee.amount), lateFee.currency)} in ${groupResult.rows[0]?.name || 'your group'} was waived.`,
+          groupId,
+          adminId
+        );
+      } catch (notificationError) {
+        console.error('Error sending late fee waived notification:', notificationError);
+      }
+    }
+
+    return lateFee;
+  } catch (error) {
+    console.error('Error waiving late fee:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark an outstanding late fee as paid
+ * @param {string} lateFeeId - Late fee ID
+ * @param {Object} payment - { actorId, transactionId, notes, metadata } (actorId is NULL for auto-pay)
+ * @param {Object} client - Database client (defaults to pool; pass the transaction client from creditWallet)
+ * @returns {Promise<Object|null>} - Paid late fee, or null if it wasn't outstanding
+ */
+async function markLateFeePaid(lateFeeId, { actorId = null, transactionId = null, notes = null, metadata = null } = {}, client = pool) {
+  const result = await client.query(
+    `UPDATE late_fees
+     SET status = 'paid', paid_at = CURRENT_TIMESTAMP, transaction_id = COALESCE($1, transaction_id), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND status = 'outstanding'
+     RETURNING *`,
+    [transactionId, lateFeeId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await recordLateFeeEvent({ lateFeeId, actorId, action: 'paid', notes, metadata }, client);
+  return result.rows[0];
+}
+
+/**
+ * Get the late fees of a group
+ * @param {string} groupId - Group ID
+ * @param {Object} filters - { userId, status }
+ * @returns {Promise<Array>} - Late fee rows with user_name and waived_by_name
+ */
+async function getLateFees(groupId, { userId, status } = {}) {
+  try {
+    const params = [groupId];
+    let filters = '';
+    if (userId) {
+      params.push(userId);
+      filters += ` AND lf.user_id = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      filters += ` AND lf.status = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT lf.*, u.name as user_name, waiver.name as waived_by_name
+       FROM late_fees lf
+       JOIN users u ON lf.user_id = u.id
+       LEFT JOIN users waiver ON lf.waived_by = waiver.id
+       WHERE lf.group_id = $1${filters}
+       ORDER BY lf.due_date DESC, lf.created_at DESC`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting late fees:', error);
+    throw error;
+  }
+}
+
+/**
+ * Total late fees per member of a group (for compliance views)
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Map>} - Map of user ID to { outstanding_amount, outstanding_count, paid_amount, waived_count }
+ */
+async function getLateFeeSummaries(groupId) {
+  try {
+    const result = await pool.query(
+      `SELECT user_id,
+              COALESCE(SUM(amount) FILTER (WHERE status = 'outstanding'), 0) as outstanding_amount,
+              COUNT(*) FILTER (WHERE status = 'outstanding') as outstanding_count,
+              COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0) as paid_amount,
+              COUNT(*) FILTER (WHERE status = 'waived') as waived_count
+       FROM late_fees
+       WHERE group_id = $1
+       GROUP BY user_id`,
+      [groupId]
+    );
+
+    return new Map(result.rows.map(row => [row.user_id, {
+      outstanding_amount: parseFloat(row.outstanding_amount),
+      outstanding_count: parseInt(row.outstanding_count),
+      paid_amount: parseFloat(row.paid_amount),
+      waived_count: parseInt(row.waived_count),
+    }]));
+  } catch (error) {
+    console.error('Error getting late fee summaries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Shape a late fee row for API responses
+ * @param {Object} lateFee - late_fees row (optionally with user_name, waived_by_name)
+ * @returns {Object}
+ */
+function formatLateFee(lateFee) {
+  return {
+    id: lateFee.id,
+    user_id: lateFee.user_id,
+    user_name: lateFee.user_name,
+    recipient_id: lateFee.recipient_id,
+    contribution_type: lateFee.contribution_type,
+    contribution_id: lateFee.contribution_id,
+    due_date: lateFee.due_date,
+    base_amount: parseFloat(lateFee.base_amount),
+    amount: parseFloat(lateFee.amount),
+    currency: lateFee.currency,
+    rule: lateFee.rule,
+    status: lateFee.status,
+    paid_at: lateFee.paid_at,
+    waived_by: lateFee.waived_by,
+    waived_by_name: lateFee.waived_by_name,
+    waived_at: lateFee.waived_at,
+    waiver_reason: lateFee.waiver_reason,
+    created_at: lateFee.created_at,
+  };
+}
+
+module.exports = {
+  LATE_FEE_TYPES,
+  MAX_GRACE_DAYS,
+  validateLateFeeRule,
+  getLateFeeRule,
+  calculateLateFee,
+  describeLateFeeRule,
+  getLateContributions,
+  recordLateFeeEvent,
+  assessLateFees,
+  waiveLateFee,
+  markLateFeePaid,
+  getLateFees,
+  getLateFeeSummaries,
+  formatLateFee,
+};
@@ -0,0 +1,742 @@
+const pool = require('../config/database');
+
+/**
+ * Double-entry ledger
+ *
+ * Every money-moving event is a journal entry whose postings balance (debits = credits).
+ * Account types and their normal side:
+ * - user_wallet (credit): what we owe a user in a currency
+ * - withdrawals_pending (credit): user funds held for a requested withdrawal
+ * - platform_fees (credit): platform fee revenue
+ * - provider_clearing (debit): money collected at / paid out through a provider
+ * - provider_fees (credit): share of clearing kept by the provider as processing/payout fees
+ * - opening_balance (debit): balances that existed before the ledger
+ * - refund_receivable (debit): refunds and chargebacks a user's wallet couldn't cover, owed by that user
+ * - chargebacks_pending (credit): user funds held while a card chargeback is open
+ * - fx_clearing (credit): platform currency position from wallet conversions (one account per currency)
+ *
+ * All functions accept an optional database client so postings join the caller's transaction.
+ */
+
+const ACCOUNT_NORMAL_BALANCES = {
+  user_wallet: 'credit',
+  withdrawals_pending: 'credit',
+  platform_fees: 'credit',
+  provider_clearing: 'debit',
+  provider_fees: 'credit',
+  opening_balance: 'debit',
+  refund_receivable: 'debit',
+  chargebacks_pending: 'credit',
+  fx_clearing: 'credit',
+};
+
+const ACCOUNT_NAMES = {
+  user_wallet: 'User wallet',
+  withdrawals_pending: 'Pending withdrawals',
+  platform_fees: 'Platform fees',
+  provider_clearing: 'Provider clearing',
+  provider_fees: 'Provider fees',
+  opening_balance: 'Opening balances',
+  refund_receivable: 'Refunds owed',
+  chargebacks_pending: 'Held for chargebacks',
+  fx_clearing: 'Currency conversions',
+};
+
+/**
+ * Convert an amount in main currency unit to integer cents (avoids float drift when balancing)
+ * @param {number|string} amount - Amount in main currency unit
+ * @returns {number} - Amount in cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount || 0) * 100);
+}
+
+/**
+ * Build the unique code for a ledger account
+ * @param {Object} account - Account descriptor
+ * @param {string} account.type - Account type
+ * @param {string} account.currency - Currency code
+ * @param {string} account.userId - User ID (user_wallet, withdrawals_pending, refund_receivable, chargebacks_pending)
+ * @param {string} account.provider - Payment provider (provider_clearing, provider_fees)
+ * @returns {string} - Account code
+ */
+function buildAccountCode({ type, currency, userId, provider }) {
+  switch (type) {
+    case 'user_wallet':
+    case 'withdrawals_pending':
+    case 'refund_receivable':
+    case 'chargebacks_pending':
+      if (!userId) {
+        throw new Error(`User ID is required for ${type} accounts`);
+      }
+      return `${type}:${userId}:${currency}`;
+    case 'provider_clearing':
+    case 'provider_fees':
+      if (!provider) {
+        throw new Error(`Provider is required for ${type} accounts`);
+      }
+      return `${type}:${provider}:${currency}`;
+    case 'platform_fees':
+    case 'opening_balance':
+    case 'fx_clearing':
+      return `${type}:${currency}`;
+    default:
+      throw new Error(`Unknown ledger account type: ${type}`);
+  }
+}
+
+/**
+ * Get a ledger account ID, creating the account on first use
+ * @param {Object} account - Account descriptor (see buildAccountCode)
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<string>} - Account ID
+ */
+async function getOrCreateAccount({ type, currency, userId, provider }, client = pool) {
+  try {
+    const code = buildAccountCode({ type, currency, userId, provider });
+    const result = await client.query(
+      `INSERT INTO ledger_accounts (code, account_type, normal_balance, user_id, provider, currency, name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+       RETURNING id`,
+      [
+        code,
+        type,
+        ACCOUNT_NORMAL_BALANCES[type],
+        userId || null,
+        provider || null,
+        currency,
+        `${ACCOUNT_NAMES[type]} (${provider ? `${provider} ` : ''}${currency})`,
+      ]
+    );
+
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Error getting ledger account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Post a balanced journal entry
+ * Zero-amount postings are dropped; the remaining debits and credits must be equal.
+ * If an entry with the same idempotency key exists, nothing is posted.
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.entryType - Entry type ('contribution', 'withdrawal_hold', etc.)
+ * @param {string} entryData.currency - Currency code (all postings share it)
+ * @param {string} entryData.description - Human readable description
+ * @param {string} entryData.referenceType - Type of the record that caused the entry
+ * @param {string} entryData.referenceId - ID of the record that caused the entry
+ * @param {string} entryData.idempotencyKey - Unique key for this business event
+ * @param {Object} entryData.metadata - Additional metadata (optional)
+ * @param {Array<Object>} entryData.postings - [{ account, direction, amount, memo }]
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postJournalEntry({
+  entryType,
+  currency,
+  description,
+  referenceType,
+  referenceId,
+  idempotencyKey,
+  metadata,
+  postings,
+}, client = pool) {
+  if (!currency) {
+    throw new Error('Currency is required for ledger entries');
+  }
+  if (!idempotencyKey) {
+    throw new Error('Idempotency key is required for ledger entries');
+  }
+
+  const lines = (postings || [])
+    .map(posting => ({ ...posting, cents: toCents(posting.amount) }))
+    .filter(posting => posting.cents !== 0);
+
+  let debitCents = 0;
+  let creditCents = 0;
+  for (const line of lines) {
+    if (line.cents < 0) {
+      throw new Error(`Ledger posting amounts must be positive (got ${line.amount})`);
+    }
+    if (line.direction === 'debit') {
+      debitCents += line.cents;
+    } else if (line.direction === 'credit') {
+      creditCents += line.cents;
+    } else {
+      throw new Error(`Invalid ledger posting direction: ${line.direction}`);
+    }
+  }
+
+  if (lines.length < 2 || debitCents !== creditCents) {
+    throw new Error(
+      `Unbalanced ledger entry ${idempotencyKey}: debits ${debitCents / 100} != credits ${creditCents / 100}`
+    );
+  }
+
+  try {
+    const entryResult = await client.query(
+      `INSERT INTO ledger_journal_entries
+       (entry_type, currency, description, reference_type, reference_id, idempotency_key, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING id`,
+      [
+        entryType,
+        currency,
+        description || null,
+        referenceType || null,
+        referenceId ? String(referenceId) : null,
+        idempotencyKey,
+        metadata ? JSON.stringify(metadata) : null,
+      ]
+    );
+
+    if (entryResult.rows.length === 0) {
+      const existing = await client.query(
+        'SELECT id FROM ledger_journal_entries WHERE idempotency_key = $1',
+        [idempotencyKey]
+      );
+      return {
+        journalEntryId: existing.rows[0]?.id || null,
+        duplicate: true,
+      };
+    }
+
+    const journalEntryId = entryResult.rows[0].id;
+
+    for (const line of lines) {
+      const accountId = await getOrCreateAccount({ ...line.account, currency }, client);
+      await client.query(
+        `INSERT INTO ledger_postings (journal_entry_id, account_id, direction, amount, currency, memo)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [journalEntryId, accountId, line.direction, line.cents / 100, currency, line.memo || null]
+      );
+    }
+
+    return {
+      journalEntryId,
+      duplicate: false,
+    };
+  } catch (error) {
+    console.error('Error posting journal entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Post a contribution collected through a provider
+ * DR provider clearing (gross) / CR recipient wallet, platform fees, provider fees
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.recipientId - Recipient user ID
+ * @param {number} entryData.amount - Contribution amount credited to the recipient
+ * @param {string} entryData.currency - Currency code
+ * @param {string} entryData.paymentProvider - Payment provider
+ * @param {Object} entryData.fees - Fee breakdown ({ platformFee, processorFee, grossAmount })
+ * @param {string} entryData.contributionType - Contribution type
+ * @param {string} entryData.contributionId - Contribution ID
+ * @param {string} entryData.providerTransactionId - Provider transaction ID
+ * @param {string} entryData.description - Entry description (optional)
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postContributionReceipt({
+  recipientId,
+  amount,
+  currency,
+  paymentProvider,
+  fees = {},
+  contributionType,
+  contributionId,
+  providerTransactionId,
+  description,
+}, client = pool) {
+  const amountCents = toCents(amount);
+  const platformFeeCents = toCents(fees.platformFee);
+  const processorFeeCents = toCents(fees.processorFee);
+  // Clearing is debited with the sum of the rounded legs; the provider-reported gross is kept in metadata
+  const grossCents = amountCents + platformFeeCents + processorFeeCents;
+
+  return postJournalEntry({
+    entryType: 'contribution',
+    currency,
+    description: description || `${contributionType || 'Contribution'} payment via ${paymentProvider}`,
+    referenceType: 'contribution',
+    referenceId: contributionId || providerTransactionId,
+    idempotencyKey: `contribution:${paymentProvider}:${providerTransactionId || contributionId}`,
+    metadata: {
+      contributionType,
+      contributionId,
+      providerTransactionId,
+      reportedGrossAmount: fees.grossAmount || null,
+    },
+    postings: [
+      { account: { type: 'provider_clearing', provider: paymentProvider }, direction: 'debit', amount: grossCents / 100, memo: 'Amount charged' },
+      { account: { type: 'user_wallet', userId: recipientId }, direction: 'credit', amount: amountCents / 100, memo: 'Contribution received' },
+      { account: { type: 'platform_fees' }, direction: 'credit', amount: platformFeeCents / 100, memo: 'Platform fee' },
+      { account: { type: 'provider_fees', provider: paymentProvider }, direction: 'credit', amount: processorFeeCents / 100, memo: 'Processor fee' },
+    ],
+  }, client);
+}
+
+/**
+ * Post a withdrawal request: funds move from the wallet into pending withdrawals
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.userId - User ID
+ * @param {string} entryData.withdrawalId - Withdrawal ID
+ * @param {number} entryData.amount - Requested amount (including fee)
+ * @param {string} entryData.currency - Currency code
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postWithdrawalHold({ userId, withdrawalId, amount, currency }, client = pool) {
+  return postJournalEntry({
+    entryType: 'withdrawal_hold',
+    currency,
+    description: `Withdrawal requested #${withdrawalId}`,
+    referenceType: 'withdrawal',
+    referenceId: withdrawalId,
+    idempotencyKey: `withdrawal_hold:${withdrawalId}`,
+    postings: [
+      { account: { type: 'user_wallet', userId }, direction: 'debit', amount, memo: 'Withdrawal requested' },
+      { account: { type: 'withdrawals_pending', userId }, direction: 'credit', amount, memo: 'Held for payout' },
+    ],
+  }, client);
+}
+
+/**
+ * Post a completed withdrawal payout
+ * DR pending withdrawals (amount) / CR provider clearing (net paid out), provider fees (payout fee)
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.userId - User ID
+ * @param {string} entryData.withdrawalId - Withdrawal ID
+ * @param {number} entryData.amount - Requested amount (including fee)
+ * @param {number} entryData.fee - Payout fee
+ * @param {string} entryData.currency - Currency code
+ * @param {string} entryData.paymentProvider - Payment provider
+ * @param {string} entryData.providerTransactionId - Provider payout/transfer ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postWithdrawalPayout({
+  userId,
+  withdrawalId,
+  amount,
+  fee = 0,
+  currency,
+  paymentProvider,
+  providerTransactionId,
+}, client = pool) {
+  const amountCents = toCents(amount);
+  const feeCents = Math.min(toCents(fee), amountCents);
+
+  return postJournalEntry({
+    entryType: 'withdrawal_payout',
+    currency,
+    description: `Withdrawal paid out #${withdrawalId}`,
+    referenceType: 'withdrawal',
+    referenceId: withdrawalId,
+    idempotencyKey: `withdrawal_payout:${withdrawalId}`,
+    metadata: { providerTransactionId },
+    postings: [
+      { account: { type: 'withdrawals_pending', userId }, direction: 'debit', amount: amountCents / 100, memo: 'Withdrawal settled' },
+      { account: { type: 'provider_clearing', provider: paymentProvider }, direction: 'credit', amount: (amountCents - feeCents) / 100, memo: 'Paid out to bank account' },
+      { account: { type: 'provider_fees', provider: paymentProvider }, direction: 'credit', amount: feeCents / 100, memo: 'Payout fee' },
+    ],
+  }, client);
+}
+
+/**
+ * Post the reversal of a failed withdrawal: held funds go back to the wallet
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.userId - User ID
+ * @param {string} entryData.withdrawalId - Withdrawal ID
+ * @param {number} entryData.amount - Requested amount (including fee)
+ * @param {string} entryData.currency - Currency code
+ * @param {string} entryData.reason - Reason for the reversal (optional)
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postWithdrawalReversal({ userId, withdrawalId, amount, currency, reason }, client = pool) {
+  return postJournalEntry({
+    entryType: 'withdrawal_reversal',
+    currency,
+    description: `Withdrawal returned to wallet #${withdrawalId}`,
+    referenceType: 'withdrawal',
+    referenceId: withdrawalId,
+    idempotencyKey: `withdrawal_reversal:${withdrawalId}`,
+    metadata: reason ? { reason } : null,
+    postings: [
+      { account: { type: 'withdrawals_pending', userId }, direction: 'debit', amount, memo: 'Withdrawal released' },
+      { account: { type: 'user_wallet', userId }, direction: 'credit', amount, memo: 'Returned to wallet' },
+    ],
+  }, client);
+}
+
+/**
+ * Post a contribution refund: the money goes back out through the provider
+ * DR recipient wallet (what the wallet covered), refund receivable (shortfall) / CR provider clearing
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.refundId - Refund ID
+ * @param {string} entryData.recipientId - User whose wallet the refund is taken from
+ * @param {number} entryData.amount - Refunded amount
+ * @param {number} entryData.shortfall - Part of the amount the wallet didn't cover
+ * @param {string} entryData.currency - Currency code
+ * @param {string} entryData.paymentProvider - Payment provider
+ * @param {string} entryData.contributionType - Contribution type
+ * @param {string} entryData.contributionId - Contribution ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postContributionRefund({
+  refundId,
+  recipientId,
+  amount,
+  shortfall = 0,
+  currency,
+  paymentProvider,
+  contributionType,
+  contributionId,
+}, client = pool) {
+  const amountCents = toCents(amount);
+  const shortfallCents = Math.min(toCents(shortfall), amountCents);
+
+  return postJournalEntry({
+    entryType: 'refund',
+    currency,
+    description: `Refund of ${contributionType} contribution #${contributionId}`,
+    referenceType: 'refund',
+    referenceId: refundId,
+    idempotencyKey: `refund:${refundId}`,
+    metadata: { contributionType, contributionId },
+    postings: [
+      { account: { type: 'user_wallet', userId: recipientId }, direction: 'debit', amount: (amountCents - shortfallCents) / 100, memo: 'Contribution refunded' },
+      { account: { type: 'refund_receivable', userId: recipientId }, direction: 'debit', amount: shortfallCents / 100, memo: 'Refund not covered by wallet' },
+      { account: { type: 'provider_clearing', provider: paymentProvider }, direction: 'credit', amount: amountCents / 100, memo: 'Refunded to contributor' },
+    ],
+  }, client);
+}
+
+/**
+ * Post the reversal of a refund the provider refused (mirror of postContributionRefund)
+ * @param {Object} entryData - Same fields as postContributionRefund, plus reason (optional)
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postContributionRefundReversal({
+  refundId,
+  recipientId,
+  amount,
+  shortfall = 0,
+  currency,
+  paymentProvider,
+  reason,
+}, client = pool) {
+  const amountCents = toCents(amount);
+  const shortfallCents = Math.min(toCents(shortfall), amountCents);
+
+  return postJournalEntry({
+    entryType: 'refund_reversal',
+    currency,
+    description: `Refund failed, returned to wallet #${refundId}`,
+    referenceType: 'refund',
+    referenceId: refundId,
+    idempotencyKey: `refund_reversal:${refundId}`,
+    metadata: reason ? { reason } : null,
+    postings: [
+      { account: { type: 'provider_clearing', provider: paymentProvider }, direction: 'debit', amount: amountCents / 100, memo: 'Refund not sent' },
+      { account: { type: 'user_wallet', userId: recipientId }, direction: 'credit', amount: (amountCents - shortfallCents) / 100, memo: 'Returned to wallet' },
+      { account: { type: 'refund_receivable', userId: recipientId }, direction: 'credit', amount: shortfallCents / 100, memo: 'Shortfall cancelled' },
+    ],
+  }, client);
+}
+
+/**
+ * Post the hold placed on a recipient's funds when a payment is charged back
+ * DR recipient wallet (what the wallet covered), refund receivable (shortfall) / CR chargebacks pending (amount)
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.chargebackId - Chargeback ID
+ * @param {string} entryData.recipientId - User whose funds are held
+ * @param {number} entryData.amount - Held amount
+ * @param {number} entryData.shortfall - Part of the amount the wallet didn't cover
+ * @param {string} entryData.currency - Currency code
+ * @param {string} entryData.providerDisputeId - Provider dispute ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postChargebackHold({ chargebackId, recipientId, amount, shortfall = 0, currency, providerDisputeId }, client = pool) {
+  const amountCents = toCents(amount);
+  const shortfallCents = Math.min(toCents(shortfall), amountCents);
+
+  return postJournalEntry({
+    entryType: 'chargeback_hold',
+    currency,
+    description: `Chargeback opened #${chargebackId}`,
+    referenceType: 'chargeback',
+    referenceId: chargebackId,
+    idempotencyKey: `chargeback_hold:${chargebackId}`,
+    metadata: { providerDisputeId },
+    postings: [
+      { account: { type: 'user_wallet', userId: recipientId }, direction: 'debit', amount: (amountCents - shortfallCents) / 100, memo: 'Held for chargeback' },
+      { account: { type: 'refund_receivable', userId: recipientId }, direction: 'debit', amount: shortfallCents / 100, memo: 'Chargeback not covered by wallet' },
+      { account: { type: 'chargebacks_pending', userId: recipientId }, direction: 'credit', amount: amountCents / 100, memo: 'Chargeback open' },
+    ],
+  }, client);
+}
+
+/**
+ * Post the release of a chargeback hold after the dispute was won (mirror of postChargebackHold)
+ * @param {Object} entryData - Same fields as postChargebackHold
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postChargebackRelease({ chargebackId, recipientId, amount, shortfall = 0, currency, providerDisputeId }, client = pool) {
+  const amountCents = toCents(amount);
+  const shortfallCents = Math.min(toCents(shortfall), amountCents);
+
+  return postJournalEntry({
+    entryType: 'chargeback_release',
+    currency,
+    description: `Chargeback won, hold released #${chargebackId}`,
+    referenceType: 'chargeback',
+    referenceId: chargebackId,
+    idempotencyKey: `chargeback_release:${chargebackId}`,
+    metadata: { providerDisputeId },
+    postings: [
+      { account: { type: 'chargebacks_pending', userId: recipientId }, direction: 'debit', amount: amountCents / 100, memo: 'Chargeback won' },
+      { account: { type: 'user_wallet', userId: recipientId }, direction: 'credit', amount: (amountCents - shortfallCents) / 100, memo: 'Hold released' },
+      { account: { type: 'refund_receivable', userId: recipientId }, direction: 'credit', amount: shortfallCents / 100, memo: 'Shortfall cancelled' },
+    ],
+  }, client);
+}
+
+/**
+ * Post a lost chargeback: the held funds are gone with the provider
+ * DR chargebacks pending / CR provider clearing
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.chargebackId - Chargeback ID
+ * @param {string} entryData.recipientId - User whose funds were held
+ * @param {number} entryData.amount - Held amount
+ * @param {string} entryData.currency - Currency code
+ * @param {string} entryData.paymentProvider - Payment provider
+ * @param {string} entryData.providerDisputeId - Provider dispute ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postChargebackLoss({ chargebackId, recipientId, amount, currency, paymentProvider, providerDisputeId }, client = pool) {
+  return postJournalEntry({
+    entryType: 'chargeback_loss',
+    currency,
+    description: `Chargeback lost #${chargebackId}`,
+    referenceType: 'chargeback',
+    referenceId: chargebackId,
+    idempotencyKey: `chargeback_loss:${chargebackId}`,
+    metadata: { providerDisputeId },
+    postings: [
+      { account: { type: 'chargebacks_pending', userId: recipientId }, direction: 'debit', amount, memo: 'Chargeback lost' },
+      { account: { type: 'provider_clearing', provider: paymentProvider }, direction: 'credit', amount, memo: 'Returned to cardholder' },
+    ],
+  }, client);
+}
+
+/**
+ * Post a wallet transfer between two users
+ * DR sender's wallet (amount + fee) / CR recipient's wallet (amount) + CR platform fees (fee)
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.transferId - Wallet transfer ID
+ * @param {string} entryData.senderId - Sending user ID
+ * @param {string} entryData.recipientId - Receiving user ID
+ * @param {number} entryData.amount - Amount sent
+ * @param {number} entryData.fee - Transfer fee paid by the sender
+ * @param {string} entryData.currency - Currency code
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { journalEntryId, duplicate }
+ */
+async function postWalletTransfer({ transferId, senderId, recipientId, amount, fee = 0, currency }, client = pool) {
+  const amountCents = toCents(amount);
+  const feeCents = toCents(fee);
+
+  return postJournalEntry({
+    entryType: 'wallet_transfer',
+    currency,
+    description: `Wallet transfer #${transferId}`,
+    referenceType: 'wallet_transfer',
+    referenceId: transferId,
+    idempotencyKey: `wallet_transfer:${transferId}`,
+    postings: [
+      { account: { type: 'user_wallet', userId: senderId }, direction: 'debit', amount: (amountCents + feeCents) / 100, memo: 'Transfer sent' },
+      { account: { type: 'user_wallet', userId: recipientId }, direction: 'credit', amount: amountCents / 100, memo: 'Transfer received' },
+      ...(feeCents > 0
+        ? [{ account: { type: 'platform_fees' }, direction: 'credit', amount: feeCents / 100, memo: 'Transfer fee' }]
+        : []),
+    ],
+  }, client);
+}
+
+/**
+ * Post a wallet currency conversion
+ * A journal entry holds one currency, so each side gets its own entry:
+ *   from currency: DR user's wallet (from amount) / CR fx clearing (from amount - fee) + CR platform fees (fee)
+ *   to currency:   DR fx clearing (to amount) / CR user's wallet (to amount)
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.conversionId - Currency conversion ID
+ * @param {string} entryData.userId - User ID
+ * @param {string} entryData.fromCurrency - Currency debited
+ * @param {string} entryData.toCurrency - Currency credited
+ * @param {number} entryData.fromAmount - Amount debited, fee included
+ * @param {number} entryData.fee - Conversion fee (in fromCurrency)
+ * @param {number} entryData.toAmount - Amount credited
+ * @param {number} entryData.rate - Rate applied
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { outEntry, inEntry } (each { journalEntryId, duplicate })
+ */
+async function postCurrencyConversion({
+  conversionId, userId, fromCurrency, toCurrency, fromAmount, fee = 0, toAmount, rate,
+}, client = pool) {
+  const fromCents = toCents(fromAmount);
+  const feeCents = toCents(fee);
+  const metadata = { fromCurrency, toCurrency, rate };
+
+  const outEntry = await postJournalEntry({
+    entryType: 'currency_conversion',
+    currency: fromCurrency,
+    description: `Currency conversion #${conversionId} (${fromCurrency} to ${toCurrency})`,
+    referenceType: 'currency_conversion',
+    referenceId: conversionId,
+    idempotencyKey: `conversion_out:${conversionId}`,
+    metadata,
+    postings: [
+      { account: { type: 'user_wallet', userId }, direction: 'debit', amount: fromCents / 100, memo: `Converted to ${toCurrency}` },
+      { account: { type: 'fx_clearing' }, direction: 'credit', amount: (fromCents - feeCents) / 100, memo: 'Conversion' },
+      { account: { type: 'platform_fees' }, direction: 'credit', amount: feeCents / 100, memo: 'Conversion fee' },
+    ],
+  }, client);
+
+  const inEntry = await postJournalEntry({
+    entryType: 'currency_conversion',
+    currency: toCurrency,
+    description: `Currency conversion #${conversionId} (${fromCurrency} to ${toCurrency})`,
+    referenceType: 'currency_conversion',
+    referenceId: conversionId,
+    idempotencyKey: `conversion_in:${conversionId}`,
+    metadata,
+    postings: [
+      { account: { type: 'fx_clearing' }, direction: 'debit', amount: toAmount, memo: 'Conversion' },
+      { account: { type: 'user_wallet', userId }, direction: 'credit', amount: toAmount, memo: `Converted from ${fromCurrency}` },
+    ],
+  }, client);
+
+  return { outEntry, inEntry };
+}
+
+/**
+ * Get a user's wallet balance derived from ledger postings
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<number>} - Ledger balance
+ */
+async function getLedgerWalletBalance(userId, currency, client = pool) {
+  try {
+    const result = await client.query(
+      `SELECT balance FROM ledger_account_balances
+       WHERE account_type = 'user_wallet' AND user_id = $1 AND currency = $2`,
+      [userId, currency]
+    );
+
+    return result.rows.length > 0 ? parseFloat(result.rows[0].balance) : 0;
+  } catch (error) {
+    console.error('Error getting ledger wallet balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare wallet_balances against balances derived from the ledger
+ * (available + pending; held funds are no longer in the user's wallet account)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.userId - Only check this user
+ * @param {string} filters.currency - Only check this currency
+ * @returns {Promise<Array>} - Mismatched wallets ({ userId, currency, walletBalance, ledgerBalance, difference })
+ */
+async function findWalletLedgerMismatches({ userId, currency } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT COALESCE(wb.user_id, lb.user_id) AS user_id,
+              COALESCE(wb.currency, lb.currency) AS currency,
+              COALESCE(wb.balance + wb.pending_balance, 0) AS wallet_balance,
+              COALESCE(lb.balance, 0) AS ledger_balance
+       FROM wallet_balances wb
+       FULL OUTER JOIN (
+         SELECT user_id, currency, balance FROM ledger_account_balances WHERE account_type = 'user_wallet'
+       ) lb ON lb.user_id = wb.user_id AND lb.currency = wb.currency
+       WHERE COALESCE(wb.balance + wb.pending_balance, 0) <> COALESCE(lb.balance, 0)
+         AND ($1::uuid IS NULL OR COALESCE(wb.user_id, lb.user_id) = $1::uuid)
+         AND ($2::varchar IS NULL OR COALESCE(wb.currency, lb.currency) = $2::varchar)
+       ORDER BY currency, user_id`,
+      [userId || null, currency || null]
+    );
+
+    return result.rows.map(row => ({
+      userId: row.user_id,
+      currency: row.currency,
+      walletBalance: parseFloat(row.wallet_balance),
+      ledgerBalance: parseFloat(row.ledger_balance),
+      difference: parseFloat((parseFloat(row.wallet_balance) - parseFloat(row.ledger_balance)).toFixed(2)),
+    }));
+  } catch (error) {
+    console.error('Error checking wallet balances against ledger:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find journal entries whose postings do not balance (should always be empty)
+ * @returns {Promise<Array>} - Unbalanced entries ({ journalEntryId, entryType, debits, credits })
+ */
+async function findUnbalancedEntries() {
+  try {
+    const result = await pool.query(
+      `SELECT je.id, je.entry_type, je.idempotency_key,
+              COALESCE(SUM(CASE WHEN p.direction = 'debit' THEN p.amount ELSE 0 END), 0) AS debits,
+              COALESCE(SUM(CASE WHEN p.direction = 'credit' THEN p.amount ELSE 0 END), 0) AS credits
+       FROM ledger_journal_entries je
+       LEFT JOIN ledger_postings p ON p.journal_entry_id = je.id
+       GROUP BY je.id
+       HAVING COALESCE(SUM(CASE WHEN p.direction = 'debit' THEN p.amount ELSE -p.amount END), 0) <> 0
+          OR COUNT(p.id) = 0`
+    );
+
+    return result.rows.map(row => ({
+      journalEntryId: row.id,
+      entryType: row.entry_type,
+      idempotencyKey: row.idempotency_key,
+      debits: parseFloat(row.debits),
+      credits: parseFloat(row.credits),
+    }));
+  } catch (error) {
+    console.error('Error checking ledger entries:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  buildAccountCode,
+  getOrCreateAccount,
+  postJournalEntry,
+  postContributionReceipt,
+  postWithdrawalHold,
+  postWithdrawalPayout,
+  postWithdrawalReversal,
+  postContributionRefund,
+  postContributionRefundReversal,
+  postChargebackHold,
+  postChargebackRelease,
+  postChargebackLoss,
+  postWalletTransfer,
+  postCurrencyConversion,
+  getLedgerWalletBalance,
+  findWalletLedgerMismatches,
+  findUnbalancedEntries,
+};
@@ -150,7 +150,10 @@ async function createNotification(userId, type, title, message, groupId = null,
         }
       }
 
-      if (type === 'withdrawal_requested' || type === 'withdrawal_completed' || type === 'withdrawal_failed') {
+      if (type === 'withdrawal_requested' || type === 'withdrawal_completed' || type === 'withdrawal_failed' ||
+          type === 'withdrawal_approved' || type === 'withdrawal_rejected' || type === 'withdrawal_cancelled' ||
+          type === 'wallet_transfer_sent' || type === 'wallet_transfer_received' || type === 'currency_conversion' ||
+          type === 'payout_schedule_failed') {
         screen = 'Wallet';
         params = {};
       }
@@ -175,7 +178,28 @@ async function createNotification(userId, type, title, message, groupId = null,
   }
 }
 
+/**
+ * Notify every platform admin (e.g. about a chargeback that needs evidence)
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} groupId - Optional group ID
+ * @param {string} relatedUserId - Optional related user ID
+ */
+async function notifyPlatformAdmins(type, title, message, groupId = null, relatedUserId = null) {
+  try {
+    const admins = await pool.query('SELECT id FROM users WHERE is_admin = true AND is_active = true');
+    for (const admin of admins.rows) {
+      await createNotification(admin.id, type, title, message, groupId, relatedUserId);
+    }
+  } catch (error) {
+    console.error('Error notifying platform admins:', error);
+    // Don't throw - notifications are non-critical
+  }
+}
+
 module.exports = {
   createNotification,
+  notifyPlatformAdmins,
   sendPushNotification,
 };
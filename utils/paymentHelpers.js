@@ -284,6 +284,12 @@ async function checkDefaulterStatus(userId, groupId = null) {
               SELECT 1 FROM groups g
               WHERE g.id = $2 AND g.deadline < CURRENT_DATE
             )
+          UNION ALL
+          SELECT rc.amount FROM rotating_contributions rc
+          JOIN rotation_cycles c ON rc.cycle_id = c.id
+          WHERE rc.contributor_id = $1 AND rc.group_id = $2
+            AND rc.status IN ('not_paid', 'not_received')
+            AND c.due_date < CURRENT_DATE
         ) overdue
       `;
       params = [userId, groupId];
@@ -311,6 +317,12 @@ async function checkDefaulterStatus(userId, groupId = null) {
               SELECT 1 FROM groups g
               WHERE g.id = general_contributions.group_id AND g.deadline < CURRENT_DATE
             )
+          UNION ALL
+          SELECT rc.amount FROM rotating_contributions rc
+          JOIN rotation_cycles c ON rc.cycle_id = c.id
+          WHERE rc.contributor_id = $1
+            AND rc.status IN ('not_paid', 'not_received')
+            AND c.due_date < CURRENT_DATE
         ) overdue
       `;
       params = [userId];
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const paymentService = require('../services/paymentService');
+const { createNotification } = require('./notifications');
+const { formatAmount } = require('./currency');
+
+/**
+ * Payment links
+ *
+ * A payment link is a public URL (/pay/:token) to a hosted checkout for one group, or for one
+ * celebrant of a birthday group. Guests don't need an account: they enter a name and amount,
+ * pay through the group currency's provider, and the payment webhook credits the recipient's
+ * wallet via creditWallet, which marks the guest contribution paid.
+ */
+
+const DEFAULT_LINK_EXPIRY_DAYS = 14;
+const MAX_LINK_EXPIRY_DAYS = 90;
+const LINK_GROUP_TYPES = ['birthday', 'general'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate the public token of a payment link
+ * @returns {string} - URL-safe random token
+ */
+function generateLinkToken() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * Public URL of a payment link
+ * @param {string} token - Link token
+ * @returns {string}
+ */
+function getPaymentLinkUrl(token) {
+  const baseUrl = process.env.PAYMENT_LINK_BASE_URL || 'https://groupfund.app';
+  return `${baseUrl.replace(/\/$/, '')}/pay/${token}`;
+}
+
+/**
+ * Validate the amount limits of a new payment link
+ * Both limits must be amounts the provider can charge in the group's currency
+ * @param {number} minAmount - Smallest amount a guest can pay
+ * @param {number} maxAmount - Largest amount a guest can pay
+ * @param {string} currency - Group currency
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateLinkAmounts(minAmount, maxAmount, currency) {
+  if (!Number.isFinite(minAmount) || !Number.isFinite(maxAmount) || minAmount <= 0 || maxAmount <= 0) {
+    return 'Amount limits must be positive numbers';
+  }
+  if (maxAmount < minAmount) {
+    return 'The maximum amount cannot be lower than the minimum amount';
+  }
+
+  for (const amount of [minAmount, maxAmount]) {
+    const validation = paymentService.validateAmount(amount, currency);
+    if (!validation.valid) {
+      return validation.error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Expiry date of a new payment link
+ * @param {number} expiresInDays - Days until the link expires (default DEFAULT_LINK_EXPIRY_DAYS)
+ * @returns {Date}
+ */
+function getLinkExpiry(expiresInDays) {
+  const days = expiresInDays === undefined || expiresInDays === null ? DEFAULT_LINK_EXPIRY_DAYS : Number(expiresInDays);
+  return new Date(Date.now() + days * DAY_MS);
+}
+
+/**
+ * Load a payment link by its public token, with what the checkout page shows
+ * @param {string} token - Link token
+ * @returns {Promise<Object|null>} - Link row with group_name, group_type, group_status, celebrant_name, recipient_name
+ */
+async function getPaymentLinkByToken(token) {
+  try {
+    const result = await pool.query(
+      `SELECT pl.*, g.name as group_name, g.group_type, g.status as group_status,
+              celebrant.name as celebrant_name, recipient.name as recipient_name
+       FROM payment_links pl
+       JOIN groups g ON pl.group_id = g.id
+       JOIN users recipient ON pl.recipient_id = recipient.id
+       LEFT JOIN users celebrant ON pl.celebrant_id = celebrant.id
+       WHERE pl.token = $1`,
+      [token]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting payment link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Why a payment link can't take payments
+ * @param {Object} link - Link row from getPaymentLinkByToken
+ * @returns {string|null} - Reason shown to the guest, or null if the link is open
+ */
+function getLinkClosedReason(link) {
+  if (link.status !== 'active') {
+    return 'This payment link has been turned off by the group admin.';
+  }
+  if (new Date(link.expires_at) <= new Date()) {
+    return 'This payment link has expired.';
+  }
+  if (link.group_status === 'closed') {
+    return 'This group is closed and no longer accepting contributions.';
+  }
+  return null;
+}
+
+/**
+ * Get the payment links of a group with what was paid through each
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array>} - Link rows with created_by_name, celebrant_name, paid_count, paid_amount
+ */
+async function getGroupPaymentLinks(groupId) {
+  try {
+    const result = await pool.query(
+      `SELECT pl.*, creator.name as created_by_name, celebrant.name as celebrant_name,
+              COUNT(gc.id) as paid_count, COALESCE(SUM(gc.amount), 0) as paid_amount
+       FROM payment_links pl
+       LEFT JOIN users creator ON pl.created_by = creator.id
+       LEFT JOIN users celebrant ON pl.celebrant_id = celebrant.id
+       LEFT JOIN guest_contributions gc ON gc.payment_link_id = pl.id AND gc.status = 'paid'
+       WHERE pl.group_id = $1
+       GROUP BY pl.id, creator.name, celebrant.name
+       ORDER BY pl.created_at DESC`,
+      [groupId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting group payment links:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a guest contribution paid once its payment was credited
+ * Runs inside creditWallet's transaction; a contribution that is already paid is left alone.
+ * @param {string} guestContributionId - Guest contribution ID
+ * @param {Object} payment - { transactionId, providerTransactionId }
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object|null>} - Updated row, or null if it wasn't pending
+ */
+async function markGuestContributionPaid(guestContributionId, { transactionId = null, providerTransactionId = null } = {}, client = pool) {
+  const result = await client.query(
+    `UPDATE guest_contributions
+     SET status = 'paid', paid_at = CURRENT_TIMESTAMP, transaction_id = $1, provider_transaction_id = $2
+     WHERE id = $3 AND status = 'pending'
+     RETURNING *`,
+    [transactionId, providerTransactionId, guestContributionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Tell the recipient a guest paid through one of their group's payment links
+ * @param {string} guestContributionId - Guest contribution ID
+ * @returns {Promise<void>}
+ */
+async function notifyGuestContributionPaid(guestContributionId) {
+  try {
+    const result = await pool.query(
+      `SELECT gc.*, g.name as group_name
+       FROM guest_contributions gc
+       JOIN groups g ON gc.group_id = g.id
+       WHERE gc.id = $1`,
+      [guestContributionId]
+    );
+    const guestContribution = result.rows[0];
+    if (!guestContribution) {
+      return;
+    }
+
+    const formattedAmount = formatAmount(parseFloat(guestContribution.amount), guestContribution.currency);
+    const note = guestContribution.message ? `: "${guestContribution.message}"` : '';
+    await createNotification(
+      guestContribution.recipient_id,
+      'guest_contribution_paid',
+      'Contribution Received',
+      `${guestContribution.guest_name} contributed ${formattedAmount} to ${guestContribution.group_name} through a payment link${note}`,
+      guestContribution.group_id,
+      null
+    );
+  } catch (error) {
+    console.error('Error notifying recipient of guest contribution:', error);
+  }
+}
+
+/**
+ * Shape a payment link for API responses
+ * @param {Object} link - Link row (paid_count and paid_amount when listed)
+ * @returns {Object}
+ */
+function formatPaymentLink(link) {
+  const expired = new Date(link.expires_at) <= new Date();
+  return {
+    id: link.id,
+    group_id: link.group_id,
+    url: getPaymentLinkUrl(link.token),
+    title: link.title,
+    celebrant_id: link.celebrant_id,
+    celebrant_name: link.celebrant_name || null,
+    recipient_id: link.recipient_id,
+    currency: link.currency,
+    min_amount: parseFloat(link.min_amount),
+    max_amount: parseFloat(link.max_amount),
+    expires_at: link.expires_at,
+    status: link.status === 'active' && expired ? 'expired' : link.status,
+    paid_count: link.paid_count !== undefined ? parseInt(link.paid_count) : undefined,
+    paid_amount: link.paid_amount !== undefined ? parseFloat(link.paid_amount) : undefined,
+    created_by: link.created_by,
+    created_by_name: link.created_by_name,
+    disabled_at: link.disabled_at,
+    created_at: link.created_at,
+  };
+}
+
+/**
+ * Shape a guest contribution for API responses
+ * @param {Object} guestContribution - guest_contributions row
+ * @returns {Object}
+ */
+function formatGuestContribution(guestContribution) {
+  return {
+    id: guestContribution.id,
+    payment_link_id: guestContribution.payment_link_id,
+    guest_name: guestContribution.guest_name,
+    guest_email: guestContribution.guest_email,
+    message: guestContribution.message,
+    amount: parseFloat(guestContribution.amount),
+    currency: guestContribution.currency,
+    status: guestContribution.status,
+    payment_provider: guestContribution.payment_provider,
+    transaction_id: guestContribution.transaction_id,
+    paid_at: guestContribution.paid_at,
+    created_at: guestContribution.created_at,
+  };
+}
+
+module.exports = {
+  DEFAULT_LINK_EXPIRY_DAYS,
+  MAX_LINK_EXPIRY_DAYS,
+  LINK_GROUP_TYPES,
+  generateLinkToken,
+  getPaymentLinkUrl,
+  validateLinkAmounts,
+  getLinkExpiry,
+  getPaymentLinkByToken,
+  getLinkClosedReason,
+  getGroupPaymentLinks,
+  markGuestContributionPaid,
+  notifyGuestContributionPaid,
+  formatPaymentLink,
+  formatGuestContribution,
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const storage = require('../services/storage');
+
+/**
+ * Proof-of-payment receipts on manual contributions
+ *
+ * Files are sent as the raw request body and checked twice: the declared Content-Type must be
+ * allowed, and the file's first bytes must match it (so a renamed executable isn't stored as a PDF).
+ */
+
+// Allowed content types and the file extension they are stored with
+const RECEIPT_CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+const MAX_RECEIPT_SIZE_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_RECEIPTS_PER_CONTRIBUTION = 5;
+
+/**
+ * Detect a receipt's content type from its first bytes
+ * @param {Buffer} data - File contents
+ * @returns {string|null} - Content type, or null if it is not an allowed format
+ */
+function detectContentType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (data.length >= 5 && data.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+}
+
+/**
+ * Validate an uploaded receipt
+ * @param {Buffer} data - File contents
+ * @param {string} contentType - Declared content type (Content-Type header, parameters stripped)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateReceipt(data, contentType) {
+  if (!RECEIPT_CONTENT_TYPES[contentType]) {
+    return 'Receipts must be JPEG, PNG or WebP images, or PDFs';
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    return 'Send the receipt file as the request body';
+  }
+  if (data.length > MAX_RECEIPT_SIZE_BYTES) {
+    return `Receipts can be at most ${MAX_RECEIPT_SIZE_BYTES / (1024 * 1024)} MB`;
+  }
+  if (detectContentType(data) !== contentType) {
+    return `The file is not a valid ${RECEIPT_CONTENT_TYPES[contentType].toUpperCase()} file`;
+  }
+  return null;
+}
+
+/**
+ * Clean a client-supplied file name for display and downloads
+ * @param {string} fileName - File name (e.g. X-File-Name header)
+ * @returns {string|null} - File name, or null if none was given
+ */
+function sanitizeFileName(fileName) {
+  if (!fileName || typeof fileName !== 'string') {
+    return null;
+  }
+  // Drop any directory part (either separator) and characters that break Content-Disposition
+  const cleaned = fileName.split(/[\\/]/).pop().replace(/[^\w.\- ()]/g, '_').trim().slice(0, 255);
+  return cleaned || null;
+}
+
+/**
+ * Shape a receipt row for API responses
+ * @param {Object} receipt - contribution_receipts row
+ * @param {string} basePath - Route the download URL is under (default: member route)
+ * @returns {Object} - Receipt with download URL
+ */
+function formatReceipt(receipt, basePath = '/api/contributions') {
+  return {
+    id: receipt.id,
+    file_name: receipt.file_name,
+    content_type: receipt.content_type,
+    size_bytes: parseInt(receipt.size_bytes),
+    uploaded_by: receipt.uploaded_by,
+    created_at: receipt.created_at,
+    url: `${basePath}/${receipt.contribution_type}/${receipt.contribution_id}/receipts/${receipt.id}`,
+  };
+}
+
+/**
+ * Store a receipt and record it against a contribution
+ * The file is written first and removed again if the database insert fails.
+ * @param {Object} receiptData - Receipt data
+ * @param {string} receiptData.contributionType - Contribution type
+ * @param {Object} receiptData.contribution - Contribution row (id, group_id)
+ * @param {string} receiptData.uploadedBy - Uploading user ID
+ * @param {Buffer} receiptData.data - Validated file contents
+ * @param {string} receiptData.contentType - Validated content type
+ * @param {string} receiptData.fileName - Original file name (optional)
+ * @returns {Promise<Object>} - { success, receipt } or { success: false, error }
+ */
+async function saveReceipt({ contributionType, contribution, uploadedBy, data, contentType, fileName }) {
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as count FROM contribution_receipts WHERE contribution_type = $1 AND contribution_id = $2`,
+      [contributionType, contribution.id]
+    );
+    if (parseInt(countResult.rows[0].count) >= MAX_RECEIPTS_PER_CONTRIBUTION) {
+      return { success: false, error: `A contribution can have at most ${MAX_RECEIPTS_PER_CONTRIBUTION} receipts` };
+    }
+
+    const driver = storage.getDefaultDriver();
+    const key = `receipts/${contribution.group_id}/${contribution.id}/${crypto.randomUUID()}.${RECEIPT_CONTENT_TYPES[contentType]}`;
+    await driver.put(key, data, { contentType });
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO contribution_receipts
+         (contribution_type, contribution_id, group_id, uploaded_by, storage_driver, storage_key, file_name, content_type, size_bytes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [contributionType, contribution.id, contribution.group_id, uploadedBy, driver.name, key, sanitizeFileName(fileName), contentType, data.length]
+      );
+      return { success: true, receipt: result.rows[0] };
+    } catch (error) {
+      await driver.remove(key).catch(removeError => console.error('Error removing orphaned receipt file:', removeError));
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error saving receipt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the receipts of one contribution
+ * @param {string} contributionType - Contribution type
+ * @param {string} contributionId - Contribution ID
+ * @returns {Promise<Array>} - Receipt rows, oldest first
+ */
+async function getReceipts(contributionType, contributionId) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM contribution_receipts
+       WHERE contribution_type = $1 AND contribution_id = $2
+       ORDER BY created_at ASC`,
+      [contributionType, contributionId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting receipts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the receipts of many contributions at once (for lists)
+ * @param {Array} contributions - [{ contribution_type, id }]
+ * @param {string} basePath - Route the download URLs are under (see formatReceipt)
+ * @returns {Promise<Map>} - Map of 'type:id' to formatted receipts
+ */
+async function getReceiptsForContributions(contributions, basePath) {
+  try {
+    const receiptsByContribution = new Map();
+    if (contributions.length === 0) {
+      return receiptsByContribution;
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM contribution_receipts
+       WHERE contribution_id = ANY($1::uuid[])
+       ORDER BY created_at ASC`,
+      [contributions.map(contribution => contribution.id)]
+    );
+
+    for (const receipt of result.rows) {
+      const key = `${receipt.contribution_type}:${receipt.contribution_id}`;
+      if (!receiptsByContribution.has(key)) {
+        receiptsByContribution.set(key, []);
+      }
+      receiptsByContribution.get(key).push(formatReceipt(receipt, basePath));
+    }
+
+    return receiptsByContribution;
+  } catch (error) {
+    console.error('Error getting receipts for contributions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count the receipts of many contributions at once (for lists that link to the review screen)
+ * @param {Array} contributions - [{ contribution_type, id }]
+ * @returns {Promise<Map>} - Map of 'type:id' to receipt count (contributions without receipts are left out)
+ */
+async function getReceiptCounts(contributions) {
+  try {
+    const counts = new Map();
+    if (contributions.length === 0) {
+      return counts;
+    }
+
+    const result = await pool.query(
+      `SELECT contribution_type, contribution_id, COUNT(*) as count
+       FROM contribution_receipts
+       WHERE contribution_id = ANY($1::uuid[])
+       GROUP BY contribution_type, contribution_id`,
+      [contributions.map(contribution => contribution.id)]
+    );
+
+    for (const row of result.rows) {
+      counts.set(`${row.contribution_type}:${row.contribution_id}`, parseInt(row.count));
+    }
+
+    return counts;
+  } catch (error) {
+    console.error('Error counting receipts for contributions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read the file of a receipt from storage
+ * @param {Object} receipt - contribution_receipts row
+ * @returns {Promise<Buffer|null>} - File contents, or null if the file is missing
+ */
+async function readReceiptFile(receipt) {
+  try {
+    return await storage.getDriver(receipt.storage_driver).get(receipt.storage_key);
+  } catch (error) {
+    console.error('Error reading receipt file:', error);
+    throw error;
+  }
+}
+
+/**
+ * Response headers for downloading a receipt
+ * @param {Object} receipt - contribution_receipts row
+ * @param {Buffer} data - File contents
+ * @returns {Object} - Headers
+ */
+function getReceiptHeaders(receipt, data) {
+  const fileName = receipt.file_name || `receipt.${RECEIPT_CONTENT_TYPES[receipt.content_type]}`;
+  return {
+    'Content-Type': receipt.content_type,
+    'Content-Length': data.length,
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'X-Content-Type-Options': 'nosniff',
+  };
+}
+
+module.exports = {
+  RECEIPT_CONTENT_TYPES,
+  MAX_RECEIPT_SIZE_BYTES,
+  MAX_RECEIPTS_PER_CONTRIBUTION,
+  detectContentType,
+  validateReceipt,
+  sanitizeFileName,
+  formatReceipt,
+  saveReceipt,
+  getReceipts,
+  getReceiptsForContributions,
+  getReceiptCounts,
+  readReceiptFile,
+  getReceiptHeaders,
+};
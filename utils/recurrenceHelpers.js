@@ -0,0 +1,529 @@
+/**
+ * Subscription recurrence rules
+ *
+ * Subscription deadlines follow an RRULE-style rule (RFC 5545 subset), e.g.
+ *   FREQ=WEEKLY;BYDAY=FR                                   - every Friday
+ *   FREQ=WEEKLY;INTERVAL=2                                 - every 2 weeks (on the start date's weekday)
+ *   FREQ=MONTHLY;INTERVAL=3;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 - every 3 months on the last business day
+ *   FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29                    - every year on Feb 29 (Feb 28 in other years)
+ *
+ * The rule splits time into periods of INTERVAL weeks/months/years counted from the start date
+ * (weeks start on Monday, months and years on the 1st). Each period has at most one deadline,
+ * picked in its first week/month/year. One contribution is due per period.
+ *
+ * Unlike RFC 5545, a BYMONTHDAY past the end of a month is clamped to the month's last day
+ * (31 -> 30th/28th/29th), the same way monthly/annual groups have always worked.
+ *
+ * Groups created with `monthly`/`annual` frequency keep their deadline day/month columns and are
+ * read as FREQ=MONTHLY;BYMONTHDAY=d and FREQ=YEARLY;BYMONTH=m;BYMONTHDAY=d, so their periods are
+ * still calendar months/years.
+ */
+
+const SUBSCRIPTION_FREQUENCIES = ['monthly', 'annual', 'custom'];
+const SUPPORTED_FREQS = ['WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MAX_INTERVAL = 24;
+// How many periods to look ahead/behind for a deadline (rules like BYDAY=5FR skip some months)
+const MAX_PERIOD_SCAN = 60;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Strip the time from a date (local midnight)
+ * @param {Date|string} date - Date
+ * @returns {Date} - New date at 00:00 local time
+ */
+function startOfDay(date) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+/**
+ * Add days to a date without DST drift
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (can be negative)
+ * @returns {Date} - New date
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Whole days between two dates (b - a), ignoring DST
+ * @param {Date} a - Start date
+ * @param {Date} b - End date
+ * @returns {number} - Days
+ */
+function daysBetween(a, b) {
+  return Math.round(
+    (Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / DAY_MS
+  );
+}
+
+/**
+ * Weekday index with Monday = 0 ... Sunday = 6
+ * @param {Date} date - Date
+ * @returns {number} - Weekday index
+ */
+function weekdayIndex(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @returns {number} - Days in month (handles leap years)
+ */
+function getDaysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Parse an integer list part (e.g. "1,15,-1") and check its range
+ * @param {string} name - Part name (for errors)
+ * @param {string} value - Part value
+ * @param {number} min - Smallest allowed absolute value
+ * @param {number} max - Largest allowed absolute value
+ * @param {boolean} allowNegative - Whether negative values are allowed
+ * @returns {Array<number>} - Parsed values
+ */
+function parseIntegerList(name, value, min, max, allowNegative) {
+  return value.split(',').map((item) => {
+    if (!/^[+-]?\d+$/.test(item.trim())) {
+      throw new Error(`${name} must be a list of whole numbers`);
+    }
+    const number = parseInt(item, 10);
+    if ((number < 0 && !allowNegative) || Math.abs(number) < min || Math.abs(number) > max) {
+      throw new Error(`${name} value ${number} is out of range`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rrule - Rule such as "FREQ=MONTHLY;INTERVAL=3;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1" ("RRULE:" prefix allowed)
+ * @returns {Object} - { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, byMonth, bySetPos }
+ * @throws {Error} - If the rule is invalid or uses unsupported parts
+ */
+function parseRecurrenceRule(rrule) {
+  if (typeof rrule !== 'string' || rrule.trim() === '') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [] };
+  const seen = new Set();
+  const text = rrule.trim().replace(/^RRULE:/i, '');
+
+  for (const part of text.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+
+    if (!value) {
+      throw new Error(`Recurrence rule part "${part}" has no value`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Recurrence rule part ${key} is repeated`);
+    }
+    seen.add(key);
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.trim().toUpperCase();
+        if (!SUPPORTED_FREQS.includes(rule.freq)) {
+          throw new Error('FREQ must be WEEKLY, MONTHLY or YEARLY');
+        }
+        break;
+      case 'INTERVAL':
+        [rule.interval] = parseIntegerList('INTERVAL', value, 1, MAX_INTERVAL, false);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((item) => {
+          const match = item.trim().match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+          if (!match) {
+            throw new Error(`BYDAY value "${item}" is invalid`);
+          }
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+            throw new Error(`BYDAY value "${item}" is out of range`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList('BYMONTHDAY', value, 1, 31, true);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList('BYMONTH', value, 1, 12, false);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList('BYSETPOS', value, 1, 31, true);
+        break;
+      case 'WKST':
+        if (value.trim().toUpperCase() !== 'MO') {
+          throw new Error('Only WKST=MO is supported');
+        }
+        break;
+      default:
+        throw new Error(`Recurrence rule part ${key} is not supported`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must have a FREQ');
+  }
+  if (rule.freq === 'WEEKLY' && (rule.byMonthDay.length > 0 || rule.byMonth.length > 0)) {
+    throw new Error('Weekly rules can only use BYDAY');
+  }
+  if (rule.freq === 'WEEKLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    throw new Error('Weekly rules cannot use numbered BYDAY values such as 2MO');
+  }
+  if (rule.freq === 'MONTHLY' && rule.byMonth.length > 0) {
+    throw new Error('Monthly rules cannot use BYMONTH');
+  }
+
+  // One deadline per period: the rule must narrow down to a single day
+  if (rule.bySetPos.length > 1) {
+    throw new Error('BYSETPOS can only have one value');
+  }
+  if (rule.bySetPos.length === 0) {
+    const multipleDays = rule.byDay.length > 1 ||
+      rule.byMonthDay.length > 1 ||
+      rule.byMonth.length > 1 ||
+      (rule.freq !== 'WEEKLY' && rule.byMonthDay.length === 0 && rule.byDay.some(day => day.ordinal === null));
+    if (multipleDays) {
+      throw new Error('The rule matches more than one day per period. Use BYSETPOS to pick one (e.g. BYSETPOS=-1 for the last)');
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Validate a recurrence rule
+ * @param {string} rrule - Recurrence rule
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateRecurrenceRule(rrule) {
+  try {
+    parseRecurrenceRule(rrule);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Normalize a valid recurrence rule for storage (upper case, without "RRULE:" prefix)
+ * @param {string} rrule - Recurrence rule
+ * @returns {string} - Normalized rule
+ */
+function normalizeRecurrenceRule(rrule) {
+  return rrule.trim().replace(/^RRULE:/i, '').toUpperCase();
+}
+
+/**
+ * Get the recurrence of a subscription group
+ * @param {Object} group - Group row (subscription_frequency, subscription_rrule, subscription_start_date,
+ *                         subscription_deadline_day, subscription_deadline_month)
+ * @returns {Object} - { rule, anchor } (anchor is null for monthly/annual groups)
+ */
+function getGroupRecurrence(group) {
+  if (group.subscription_frequency === 'custom' && group.subscription_rrule) {
+    return {
+      rule: parseRecurrenceRule(group.subscription_rrule),
+      anchor: startOfDay(group.subscription_start_date || group.created_at || new Date()),
+    };
+  }
+
+  const deadlineDay = parseInt(group.subscription_deadline_day) || 1;
+  if (group.subscription_frequency === 'annual') {
+    return {
+      rule: { freq: 'YEARLY', interval: 1, byDay: [], byMonthDay: [deadlineDay], byMonth: [parseInt(group.subscription_deadline_month) || 1], bySetPos: [] },
+      anchor: null,
+    };
+  }
+
+  return {
+    rule: { freq: 'MONTHLY', interval: 1, byDay: [], byMonthDay: [deadlineDay], byMonth: [], bySetPos: [] },
+    anchor: null,
+  };
+}
+
+/**
+ * Days of a month matching BYMONTHDAY/BYDAY (BYMONTHDAY past the month end is clamped)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {Object} rule - Parsed rule
+ * @param {number} defaultDay - Day used when the rule has neither BYMONTHDAY nor BYDAY
+ * @returns {Array<number>} - Matching days of the month
+ */
+function expandMonth(year, month, rule, defaultDay) {
+  const lastDay = getDaysInMonth(year, month);
+
+  let monthDays = null;
+  if (rule.byMonthDay.length > 0) {
+    monthDays = rule.byMonthDay
+      .map(day => (day > 0 ? Math.min(day, lastDay) : lastDay + 1 + day))
+      .filter(day => day >= 1);
+  }
+
+  let weekDays = null;
+  if (rule.byDay.length > 0) {
+    weekDays = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matches = [];
+      for (let day = 1; day <= lastDay; day++) {
+        if (weekdayIndex(new Date(year, month, day)) === weekday) {
+          matches.push(day);
+        }
+      }
+      if (ordinal === null) {
+        weekDays.push(...matches);
+      } else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) {
+          weekDays.push(day);
+        }
+      }
+    }
+  }
+
+  if (monthDays && weekDays) {
+    return monthDays.filter(day => weekDays.includes(day));
+  }
+  return monthDays || weekDays || [Math.min(defaultDay, lastDay)];
+}
+
+/**
+ * Find the period containing a date
+ * @param {Object} recurrence - { rule, anchor }
+ * @param {Date} date - Date
+ * @returns {Object} - { periodStart, periodEnd }
+ */
+function getPeriodBounds({ rule, anchor }, date) {
+  const day = startOfDay(date);
+  const base = anchor || new Date(2000, 0, 1);
+
+  if (rule.freq === 'WEEKLY') {
+    const baseWeek = addDays(base, -weekdayIndex(base));
+    const week = addDays(day, -weekdayIndex(day));
+    const index = Math.floor(daysBetween(baseWeek, week) / (7 * rule.interval));
+    const periodStart = addDays(baseWeek, index * 7 * rule.interval);
+    return { periodStart, periodEnd: addDays(periodStart, 7 * rule.interval - 1) };
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const baseMonth = base.getFullYear() * 12 + base.getMonth();
+    const month = day.getFullYear() * 12 + day.getMonth();
+    const startMonth = baseMonth + Math.floor((month - baseMonth) / rule.interval) * rule.interval;
+    return {
+      periodStart: new Date(Math.floor(startMonth / 12), startMonth % 12, 1),
+      periodEnd: new Date(Math.floor(startMonth / 12), (startMonth % 12) + rule.interval, 0),
+    };
+  }
+
+  const startYear = base.getFullYear() + Math.floor((day.getFullYear() - base.getFullYear()) / rule.interval) * rule.interval;
+  return {
+    periodStart: new Date(startYear, 0, 1),
+    periodEnd: new Date(startYear + rule.interval - 1, 11, 31),
+  };
+}
+
+/**
+ * Get the deadline inside a period
+ * @param {Object} recurrence - { rule, anchor }
+ * @param {Date} periodStart - First day of the period
+ * @returns {Date|null} - Deadline, or null if the rule has no day in this period (e.g. BYDAY=5FR in a month with four Fridays)
+ */
+function getPeriodDeadline({ rule, anchor }, periodStart) {
+  let candidates = [];
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(day => day.weekday)
+      : [weekdayIndex(anchor || periodStart)];
+    for (let offset = 0; offset < 7; offset++) {
+      const day = addDays(periodStart, offset);
+      if (weekdays.includes(weekdayIndex(day))) {
+        candidates.push(day);
+      }
+    }
+  } else if (rule.freq === 'MONTHLY') {
+    const year = periodStart.getFullYear();
+    const month = periodStart.getMonth();
+    const defaultDay = anchor ? anchor.getDate() : 1;
+    candidates = expandMonth(year, month, rule, defaultDay).map(day => new Date(year, month, day));
+  } else {
+    const year = periodStart.getFullYear();
+    const months = rule.byMonth.length > 0 ? rule.byMonth.map(month => month - 1) : [anchor ? anchor.getMonth() : 0];
+    const defaultDay = anchor ? anchor.getDate() : 1;
+    for (const month of months) {
+      candidates.push(...expandMonth(year, month, rule, defaultDay).map(day => new Date(year, month, day)));
+    }
+  }
+
+  candidates = candidates
+    .sort((a, b) => a - b)
+    .filter((day, index, list) => index === 0 || day.getTime() !== list[index - 1].getTime());
+
+  if (rule.bySetPos.length > 0) {
+    const position = rule.bySetPos[0];
+    const picked = position > 0 ? candidates[position - 1] : candidates[candidates.length + position];
+    candidates = picked ? [picked] : [];
+  }
+
+  // No deadlines before the rule's start date
+  if (anchor) {
+    candidates = candidates.filter(day => day >= anchor);
+  }
+
+  return candidates[0] || null;
+}
+
+/**
+ * Get the subscription period containing a date
+ * @param {Object} group - Subscription group row
+ * @param {Date|string} date - Date (defaults to today)
+ * @returns {Object} - { periodStart, periodEnd, deadline } (deadline is null if this period has none)
+ */
+function getSubscriptionPeriod(group, date = new Date()) {
+  const recurrence = getGroupRecurrence(group);
+  const { periodStart, periodEnd } = getPeriodBounds(recurrence, date);
+  return { periodStart, periodEnd, deadline: getPeriodDeadline(recurrence, periodStart) };
+}
+
+/**
+ * Get the period members are paying into on a date
+ * This is the period containing the date, or the next period with a deadline when the
+ * current one has none (before the start date, or a skipped month such as BYDAY=5FR).
+ * @param {Object} group - Subscription group row
+ * @param {Date|string} date - Date (defaults to today)
+ * @returns {Object|null} - { periodStart, periodEnd, deadline }
+ */
+function getCurrentSubscriptionPeriod(group, date = new Date()) {
+  const period = getSubscriptionPeriod(group, date);
+  if (period.deadline) {
+    return period;
+  }
+  return getNextSubscriptionDeadline(group, date);
+}
+
+/**
+ * Get the first deadline on or after a date
+ * @param {Object} group - Subscription group row
+ * @param {Date|string} fromDate - Date (defaults to today)
+ * @returns {Object|null} - { periodStart, periodEnd, deadline } of the period the deadline belongs to
+ */
+function getNextSubscriptionDeadline(group, fromDate = new Date()) {
+  const recurrence = getGroupRecurrence(group);
+  const from = startOfDay(fromDate);
+  let { periodStart, periodEnd } = getPeriodBounds(recurrence, from);
+
+  for (let i = 0; i < MAX_PERIOD_SCAN; i++) {
+    const deadline = getPeriodDeadline(recurrence, periodStart);
+    if (deadline && deadline >= from) {
+      return { periodStart, periodEnd, deadline };
+    }
+    ({ periodStart, periodEnd } = getPeriodBounds(recurrence, addDays(periodEnd, 1)));
+  }
+
+  return null;
+}
+
+/**
+ * Get the last deadline strictly before a date
+ * @param {Object} group - Subscription group row
+ * @param {Date|string} beforeDate - Date (defaults to today)
+ * @returns {Object|null} - { periodStart, periodEnd, deadline } of the period the deadline belongs to
+ */
+function getPreviousSubscriptionDeadline(group, beforeDate = new Date()) {
+  const recurrence = getGroupRecurrence(group);
+  const before = startOfDay(beforeDate);
+  let { periodStart, periodEnd } = getPeriodBounds(recurrence, before);
+
+  for (let i = 0; i < MAX_PERIOD_SCAN; i++) {
+    const deadline = getPeriodDeadline(recurrence, periodStart);
+    if (deadline && deadline < before) {
+      return { periodStart, periodEnd, deadline };
+    }
+    if (recurrence.anchor && periodStart <= recurrence.anchor) {
+      return null; // Nothing before the rule's start date
+    }
+    ({ periodStart, periodEnd } = getPeriodBounds(recurrence, addDays(periodStart, -1)));
+  }
+
+  return null;
+}
+
+/**
+ * Ordinal suffix for a number (1st, 2nd, 3rd, 4th, ...)
+ * @param {number} number - Number
+ * @returns {string} - Number with suffix
+ */
+function ordinal(number) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${number}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(number)]}`;
+}
+
+/**
+ * Human-readable description of a group's deadlines
+ * @param {Object} group - Subscription group row
+ * @returns {string} - e.g. "Every 3 months on the last business day"
+ */
+function describeRecurrence(group) {
+  const { rule, anchor } = getGroupRecurrence(group);
+  const unit = { WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  const every = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+  const dayText = (dayOfMonth) => (dayOfMonth === -1 || dayOfMonth >= 31 ? 'the last day' : dayOfMonth < 0 ? `${ordinal(-dayOfMonth)} to last day` : `day ${dayOfMonth}`);
+  const isBusinessDays = rule.byDay.length === 5 && rule.byDay.every(day => day.ordinal === null && day.weekday < 5);
+  const position = rule.bySetPos[0];
+  const positionText = position === -1 ? 'last' : position < 0 ? `${ordinal(-position)} to last` : position ? ordinal(position) : null;
+
+  let on;
+  if (rule.freq === 'WEEKLY') {
+    const weekday = rule.byDay.length > 0 ? rule.byDay[0].weekday : weekdayIndex(anchor || new Date());
+    on = positionText && rule.byDay.length > 1
+      ? `the ${positionText} of ${rule.byDay.map(day => WEEKDAY_NAMES[day.weekday]).join(', ')}`
+      : WEEKDAY_NAMES[weekday];
+  } else if (isBusinessDays && positionText) {
+    on = `the ${positionText} business day`;
+  } else if (rule.byDay.length > 0 && rule.byDay[0].ordinal !== null) {
+    const { weekday, ordinal: nth } = rule.byDay[0];
+    on = `the ${nth === -1 ? 'last' : ordinal(nth)} ${WEEKDAY_NAMES[weekday]}`;
+  } else if (rule.byMonthDay.length > 0) {
+    on = dayText(rule.byMonthDay[0]);
+  } else if (rule.byDay.length > 0 && positionText) {
+    on = `the ${positionText} of ${rule.byDay.map(day => WEEKDAY_NAMES[day.weekday]).join(', ')}`;
+  } else {
+    on = dayText(anchor ? anchor.getDate() : 1);
+  }
+
+  if (rule.freq === 'YEARLY') {
+    const month = rule.byMonth.length > 0 ? rule.byMonth[0] - 1 : (anchor ? anchor.getMonth() : 0);
+    const dayOfMonth = rule.byMonthDay.length > 0 ? rule.byMonthDay[0] : (anchor ? anchor.getDate() : 1);
+    if (rule.byDay.length === 0 && dayOfMonth > 0 && dayOfMonth < 31) {
+      return `${every} on ${MONTH_NAMES[month]} ${dayOfMonth}`;
+    }
+    return `${every} on ${on} of ${MONTH_NAMES[month]}`;
+  }
+  return `${every} on ${on}`;
+}
+
+module.exports = {
+  SUBSCRIPTION_FREQUENCIES,
+  parseRecurrenceRule,
+  validateRecurrenceRule,
+  normalizeRecurrenceRule,
+  getGroupRecurrence,
+  getSubscriptionPeriod,
+  getCurrentSubscriptionPeriod,
+  getNextSubscriptionDeadline,
+  getPreviousSubscriptionDeadline,
+  describeRecurrence,
+};
@@ -0,0 +1,218 @@
+const pool = require('../config/database');
+
+/**
+ * Rotating savings (ajo/esusu) groups
+ *
+ * Members hold numbered slots. Cycle N opens with the lowest-position active member who has
+ * not received the pot yet as recipient; everyone else pays the group's contribution amount
+ * into that cycle by its due date.
+ */
+
+const ROTATION_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/**
+ * Get the period of a cycle
+ * @param {Date|string} startDate - Rotation start date (first day of cycle 1)
+ * @param {string} frequency - 'weekly', 'biweekly' or 'monthly'
+ * @param {number} cycleNumber - Cycle number (1-based)
+ * @returns {Object} - { periodStart, dueDate } (due date is the last day of the cycle)
+ */
+function getCyclePeriod(startDate, frequency, cycleNumber) {
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+
+  let periodStart;
+  let nextPeriodStart;
+
+  if (frequency === 'monthly') {
+    // Keep the start day, clamped to shorter months (31st -> 30th/28th)
+    const startDay = start.getDate();
+    const monthStart = (offset) => {
+      const lastDay = new Date(start.getFullYear(), start.getMonth() + offset + 1, 0).getDate();
+      return new Date(start.getFullYear(), start.getMonth() + offset, Math.min(startDay, lastDay));
+    };
+    periodStart = monthStart(cycleNumber - 1);
+    nextPeriodStart = monthStart(cycleNumber);
+  } else {
+    const days = frequency === 'biweekly' ? 14 : 7;
+    periodStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + (cycleNumber - 1) * days);
+    nextPeriodStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + cycleNumber * days);
+  }
+
+  const dueDate = new Date(nextPeriodStart.getFullYear(), nextPeriodStart.getMonth(), nextPeriodStart.getDate() - 1);
+
+  return { periodStart, dueDate };
+}
+
+/**
+ * Give every active member without a slot the next free position (in join order)
+ * Call inside a transaction that holds the group row lock, so two callers can't pick the same position
+ * @param {string} groupId - Group ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<number>} - Number of slots created
+ */
+async function ensureRotationSlots(groupId, client = pool) {
+  try {
+    const result = await client.query(
+      `INSERT INTO rotation_slots (group_id, user_id, position)
+       SELECT $1, gm.user_id,
+              COALESCE((SELECT MAX(position) FROM rotation_slots WHERE group_id = $1), 0)
+                + ROW_NUMBER() OVER (ORDER BY gm.joined_at, gm.user_id)
+       FROM group_members gm
+       WHERE gm.group_id = $1 AND gm.status = 'active'
+         AND NOT EXISTS (
+           SELECT 1 FROM rotation_slots rs WHERE rs.group_id = $1 AND rs.user_id = gm.user_id
+         )`,
+      [groupId]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error assigning rotation slots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the payout order of a group
+ * @param {string} groupId - Group ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Array>} - Slots ordered by position, with member status and the cycle they received (if any)
+ */
+async function getRotationSlots(groupId, client = pool) {
+  try {
+    const result = await client.query(
+      `SELECT rs.user_id, rs.position, u.name, gm.status as member_status,
+              rc.id as cycle_id, rc.cycle_number, rc.status as cycle_status
+       FROM rotation_slots rs
+       JOIN users u ON rs.user_id = u.id
+       LEFT JOIN group_members gm ON gm.group_id = rs.group_id AND gm.user_id = rs.user_id
+       LEFT JOIN rotation_cycles rc ON rc.group_id = rs.group_id AND rc.recipient_id = rs.user_id
+       WHERE rs.group_id = $1
+       ORDER BY rs.position`,
+      [groupId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting rotation slots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the open cycle of a group
+ * @param {string} groupId - Group ID
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object|null>} - Cycle row with recipient name, or null if no cycle is open
+ */
+async function getOpenCycle(groupId, client = pool) {
+  try {
+    const result = await client.query(
+      `SELECT rc.*, u.name as recipient_name
+       FROM rotation_cycles rc
+       LEFT JOIN users u ON rc.recipient_id = u.id
+       WHERE rc.group_id = $1 AND rc.status = 'open'
+       ORDER BY rc.cycle_number DESC
+       LIMIT 1`,
+      [groupId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting open rotation cycle:', error);
+    throw error;
+  }
+}
+
+/**
+ * Open the next cycle and assign its pot to the next member in the payout order
+ * Call inside a transaction that holds the group row lock
+ * @param {Object} group - Group row (id, rotation_frequency, rotation_start_date, current_cycle)
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object|null>} - New cycle row, or null when every member has received the pot
+ */
+async function openNextCycle(group, client = pool) {
+  try {
+    const recipientResult = await client.query(
+      `SELECT rs.user_id
+       FROM rotation_slots rs
+       JOIN group_members gm ON gm.group_id = rs.group_id AND gm.user_id = rs.user_id AND gm.status = 'active'
+       WHERE rs.group_id = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM rotation_cycles rc WHERE rc.group_id = rs.group_id AND rc.recipient_id = rs.user_id
+         )
+       ORDER BY rs.position
+       LIMIT 1`,
+      [group.id]
+    );
+
+    if (recipientResult.rows.length === 0) {
+      return null;
+    }
+
+    const cycleNumber = (parseInt(group.current_cycle) || 0) + 1;
+    const { periodStart, dueDate } = getCyclePeriod(group.rotation_start_date, group.rotation_frequency, cycleNumber);
+
+    const cycleResult = await client.query(
+      `INSERT INTO rotation_cycles (group_id, cycle_number, recipient_id, period_start, due_date, status)
+       VALUES ($1, $2, $3, $4, $5, 'open')
+       RETURNING *`,
+      [group.id, cycleNumber, recipientResult.rows[0].user_id, periodStart, dueDate]
+    );
+
+    await client.query(
+      'UPDATE groups SET current_cycle = $1 WHERE id = $2',
+      [cycleNumber, group.id]
+    );
+
+    return cycleResult.rows[0];
+  } catch (error) {
+    console.error('Error opening rotation cycle:', error);
+    throw error;
+  }
+}
+
+/**
+ * Close a cycle: completed if every other active member's contribution is confirmed, incomplete otherwise
+ * @param {Object} cycle - Cycle row
+ * @param {Object} client - Database client (defaults to pool)
+ * @returns {Promise<Object>} - { status, expected, confirmed }
+ */
+async function closeCycle(cycle, client = pool) {
+  try {
+    const countResult = await client.query(
+      `SELECT
+         (SELECT COUNT(*) FROM group_members
+          WHERE group_id = $1 AND status = 'active' AND user_id != $2) as expected,
+         (SELECT COUNT(*) FROM rotating_contributions
+          WHERE cycle_id = $3 AND status = 'confirmed') as confirmed`,
+      [cycle.group_id, cycle.recipient_id, cycle.id]
+    );
+
+    const expected = parseInt(countResult.rows[0].expected) || 0;
+    const confirmed = parseInt(countResult.rows[0].confirmed) || 0;
+    const status = confirmed >= expected ? 'completed' : 'incomplete';
+
+    await client.query(
+      `UPDATE rotation_cycles SET status = $1, closed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'open'`,
+      [status, cycle.id]
+    );
+
+    return { status, expected, confirmed };
+  } catch (error) {
+    console.error('Error closing rotation cycle:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  ROTATION_FREQUENCIES,
+  getCyclePeriod,
+  ensureRotationSlots,
+  getRotationSlots,
+  getOpenCycle,
+  openNextCycle,
+  closeCycle,
+};
@@ -1,19 +1,442 @@
 const pool = require('../config/database');
+const { withTransaction } = require('./dbTransaction');
+const { postContributionReceipt, postWithdrawalPayout, postWithdrawalReversal } = require('./ledgerHelpers');
+const paymentService = require('../services/paymentService');
+const contributionService = require('../services/contributionService');
+const { markLateFeePaid } = require('./lateFeeHelpers');
+const { markGuestContributionPaid } = require('./paymentLinkHelpers');
+
+/**
+ * Wallet balance buckets (one wallet_balances row per user and currency)
+ *
+ *   payment received --> pending_balance --(provider settles)--> balance (available)
+ *   withdrawal / chargeback: balance --> held_balance --(paid out / lost)--> gone
+ *                                         held_balance --(failed / won)--> balance
+ *
+ * Only the available balance can be withdrawn. balance + pending_balance always equals the
+ * user's wallet account in the ledger; held funds have moved to withdrawals/chargebacks pending.
+ */
+
+/**
+ * Lock a user's currency balance row until the surrounding transaction ends
+ * Creates the row first so concurrent first-time credits also serialize on it
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {Object} client - Transaction client (required - a pool query would release the lock immediately)
+ * @returns {Promise<number>} - Locked available balance
+ */
+async function lockWalletBalance(userId, currency, client) {
+  try {
+    await client.query(
+      `INSERT INTO wallet_balances (user_id, currency, balance)
+       VALUES ($1, $2, 0)
+       ON CONFLICT (user_id, currency) DO NOTHING`,
+      [userId, currency]
+    );
+
+    const result = await client.query(
+      'SELECT balance FROM wallet_balances WHERE user_id = $1 AND currency = $2 FOR UPDATE',
+      [userId, currency]
+    );
+
+    return parseFloat(result.rows[0].balance);
+  } catch (error) {
+    console.error('Error locking wallet balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add to a user's available currency balance (row is locked for the rest of the transaction)
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} - New balance
+ */
+async function creditWalletBalance(userId, currency, amount, client) {
+  try {
+    await lockWalletBalance(userId, currency, client);
+
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET balance = balance + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING balance`,
+      [amount, userId, currency]
+    );
+
+    return parseFloat(result.rows[0].balance);
+  } catch (error) {
+    console.error('Error crediting wallet balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subtract from a user's available currency balance if it covers the amount
+ * The balance is checked under a row lock, so parallel debits can't overdraw it
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Object>} - { success, balance } (balance is the current balance when insufficient)
+ */
+async function debitWalletBalance(userId, currency, amount, client) {
+  try {
+    const currentBalance = await lockWalletBalance(userId, currency, client);
+
+    if (currentBalance < amount) {
+      return {
+        success: false,
+        balance: currentBalance,
+      };
+    }
+
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET balance = balance - $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING balance`,
+      [amount, userId, currency]
+    );
+
+    return {
+      success: true,
+      balance: parseFloat(result.rows[0].balance),
+    };
+  } catch (error) {
+    console.error('Error debiting wallet balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a received payment to a user's pending balance until it settles
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} - New pending balance
+ */
+async function creditPendingBalance(userId, currency, amount, client) {
+  try {
+    await lockWalletBalance(userId, currency, client);
+
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET pending_balance = pending_balance + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING pending_balance`,
+      [amount, userId, currency]
+    );
+
+    return parseFloat(result.rows[0].pending_balance);
+  } catch (error) {
+    console.error('Error crediting pending balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move funds from the available balance to the held balance if the available balance covers them
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Object>} - { success, balance } (balance is the available balance, current one when insufficient)
+ */
+async function holdWalletBalance(userId, currency, amount, client) {
+  try {
+    const currentBalance = await lockWalletBalance(userId, currency, client);
+
+    if (currentBalance < amount) {
+      return {
+        success: false,
+        balance: currentBalance,
+      };
+    }
+
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET balance = balance - $1, held_balance = held_balance + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING balance`,
+      [amount, userId, currency]
+    );
+
+    return {
+      success: true,
+      balance: parseFloat(result.rows[0].balance),
+    };
+  } catch (error) {
+    console.error('Error holding wallet balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Return held funds to the available balance (failed withdrawal, chargeback won)
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} - New available balance
+ */
+async function releaseHeldBalance(userId, currency, amount, client) {
+  try {
+    await lockWalletBalance(userId, currency, client);
+
+    // Holds placed before the buckets existed may not be in held_balance, so it never goes negative
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET balance = balance + $1, held_balance = GREATEST(held_balance - $1, 0), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING balance`,
+      [amount, userId, currency]
+    );
+
+    return parseFloat(result.rows[0].balance);
+  } catch (error) {
+    console.error('Error releasing held balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove held funds that have left the wallet for good (withdrawal paid out, chargeback lost)
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} - New held balance
+ */
+async function settleHeldBalance(userId, currency, amount, client) {
+  try {
+    await lockWalletBalance(userId, currency, client);
+
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET held_balance = GREATEST(held_balance - $1, 0), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING held_balance`,
+      [amount, userId, currency]
+    );
+
+    return parseFloat(result.rows[0].held_balance);
+  } catch (error) {
+    console.error('Error settling held balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a settled wallet credit available (pending balance -> available balance)
+ * Does nothing if the credit has already settled or never went through the pending balance
+ * @param {string} transactionId - Credit transaction ID
+ * @param {Object} client - Transaction client to join (optional - runs in its own transaction otherwise)
+ * @returns {Promise<Object>} - { settled, userId, currency, amount }
+ */
+async function settleWalletCredit(transactionId, client) {
+  try {
+    return await withTransaction(async (tx) => {
+      // Refunds taken from the credit before it settled have already left the pending balance
+      const creditResult = await tx.query(
+        `UPDATE transactions
+         SET settled_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND type = 'credit' AND settles_at IS NOT NULL AND settled_at IS NULL
+         RETURNING user_id, currency, amount - pending_refunded_amount AS amount`,
+        [transactionId]
+      );
+
+      if (creditResult.rows.length === 0) {
+        return { settled: false };
+      }
+
+      const credit = creditResult.rows[0];
+      await lockWalletBalance(credit.user_id, credit.currency, tx);
+
+      // Chargebacks settle the credit first, so pending_balance covers it
+      await tx.query(
+        `UPDATE wallet_balances
+         SET balance = balance + LEAST(pending_balance, $1),
+             pending_balance = pending_balance - LEAST(pending_balance, $1),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $2 AND currency = $3`,
+        [credit.amount, credit.user_id, credit.currency]
+      );
+
+      await syncLegacyWallet(credit.user_id, credit.currency, tx);
+
+      return {
+        settled: true,
+        userId: credit.user_id,
+        currency: credit.currency,
+        amount: parseFloat(credit.amount),
+      };
+    }, { client });
+  } catch (error) {
+    console.error('Error settling wallet credit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Part of a wallet credit that is still in the pending balance (0 once it has settled)
+ * Locks the credit so it can't settle until the surrounding transaction ends
+ * @param {string} transactionId - Credit transaction ID
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} - Unsettled amount in main currency unit
+ */
+async function getUnsettledCreditAmount(transactionId, client) {
+  try {
+    const creditResult = await client.query(
+      `SELECT user_id, currency, amount - pending_refunded_amount AS unsettled
+       FROM transactions
+       WHERE id = $1 AND type = 'credit' AND settles_at IS NOT NULL AND settled_at IS NULL
+       FOR UPDATE`,
+      [transactionId]
+    );
+    if (creditResult.rows.length === 0) {
+      return 0;
+    }
+
+    const credit = creditResult.rows[0];
+    await lockWalletBalance(credit.user_id, credit.currency, client);
+    const balanceResult = await client.query(
+      'SELECT pending_balance FROM wallet_balances WHERE user_id = $1 AND currency = $2',
+      [credit.user_id, credit.currency]
+    );
+
+    return Math.max(0, Math.min(parseFloat(credit.unsettled), parseFloat(balanceResult.rows[0].pending_balance)));
+  } catch (error) {
+    console.error('Error getting unsettled credit amount:', error);
+    throw error;
+  }
+}
+
+/**
+ * Refund part of a wallet credit that hasn't settled straight from the pending balance
+ * Check the amount with getUnsettledCreditAmount first; settlement then only makes the rest available.
+ * @param {string} transactionId - Credit transaction ID
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} - New pending balance
+ */
+async function debitPendingCredit(transactionId, amount, client) {
+  try {
+    const creditResult = await client.query(
+      `UPDATE transactions
+       SET pending_refunded_amount = pending_refunded_amount + $1
+       WHERE id = $2
+       RETURNING user_id, currency`,
+      [amount, transactionId]
+    );
+    const credit = creditResult.rows[0];
+
+    const result = await client.query(
+      `UPDATE wallet_balances
+       SET pending_balance = pending_balance - $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3
+       RETURNING pending_balance`,
+      [amount, credit.user_id, credit.currency]
+    );
+
+    return parseFloat(result.rows[0].pending_balance);
+  } catch (error) {
+    console.error('Error debiting pending credit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put back a refund taken from an unsettled wallet credit (the provider refused the refund)
+ * Returns it to the pending balance if the credit still hasn't settled; otherwise the caller
+ * credits the available balance.
+ * @param {string} transactionId - Credit transaction ID
+ * @param {number} amount - Amount in main currency unit
+ * @param {Object} client - Transaction client
+ * @returns {Promise<boolean>} - True if the amount went back to the pending balance
+ */
+async function restorePendingCredit(transactionId, amount, client) {
+  try {
+    const creditResult = await client.query(
+      `UPDATE transactions
+       SET pending_refunded_amount = GREATEST(pending_refunded_amount - $1, 0)
+       WHERE id = $2 AND type = 'credit' AND settles_at IS NOT NULL AND settled_at IS NULL
+       RETURNING user_id, currency`,
+      [amount, transactionId]
+    );
+    if (creditResult.rows.length === 0) {
+      return false;
+    }
+
+    const credit = creditResult.rows[0];
+    await lockWalletBalance(credit.user_id, credit.currency, client);
+    await client.query(
+      `UPDATE wallet_balances
+       SET pending_balance = pending_balance + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND currency = $3`,
+      [amount, credit.user_id, credit.currency]
+    );
+
+    return true;
+  } catch (error) {
+    console.error('Error restoring pending credit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mirror a currency balance into the legacy wallets table (backward compatibility)
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code to mirror
+ * @param {Object} client - Transaction client
+ * @returns {Promise<void>}
+ */
+async function syncLegacyWallet(userId, currency, client) {
+  try {
+    // Ensure main wallet exists
+    await client.query(
+      `INSERT INTO wallets (user_id, balance, currency)
+       SELECT $1, 0, $2
+       WHERE NOT EXISTS (SELECT 1 FROM wallets WHERE user_id = $1)`,
+      [userId, currency]
+    );
+
+    await client.query(
+      `UPDATE wallets
+       SET balance = (
+         SELECT COALESCE(SUM(balance), 0)
+         FROM wallet_balances
+         WHERE user_id = $1 AND currency = $2
+       ), currency = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1`,
+      [userId, currency]
+    );
+  } catch (error) {
+    console.error('Error syncing legacy wallet:', error);
+    throw error;
+  }
+}
 
 /**
  * Credit recipient's wallet balance
+ * Posts the contribution to the ledger and updates wallet_balances to match. The amount stays in
+ * the pending balance until the provider's settlement delay has passed (see settleWalletCredit).
  * @param {Object} creditData - Credit data
  * @param {string} creditData.recipientId - Recipient user ID
  * @param {number} creditData.amount - Amount in main currency unit
  * @param {string} creditData.currency - Currency code
  * @param {string} creditData.groupId - Group ID (optional)
  * @param {string} creditData.description - Transaction description
- * @param {string} creditData.contributionType - Contribution type ('birthday', 'subscription', 'general')
- * @param {string} creditData.contributionId - Contribution ID
+ * @param {string} creditData.contributionType - Contribution type ('birthday', 'subscription', 'general', 'rotating', 'late_fee' or 'guest')
+ * @param {string} creditData.contributionId - Contribution ID (late fee ID for 'late_fee', guest contribution ID for 'guest')
  * @param {string} creditData.providerTransactionId - Provider transaction ID
  * @param {string} creditData.paymentProvider - Payment provider ('stripe', 'paystack')
- * @param {Object} creditData.fees - Fee breakdown
- * @returns {Promise<Object>} - Transaction record
+ * @param {Object} creditData.fees - Fee breakdown (platformFee, processorFee, grossAmount, feeScheduleId)
+ * @param {Object} client - Transaction client to join (optional - runs in its own transaction otherwise)
+ * @returns {Promise<Object>} - Transaction record (contributionEvent is for the caller to publish when it passed a client)
  */
 async function creditWallet({
   recipientId,
@@ -26,61 +449,54 @@ async function creditWallet({
   providerTransactionId,
   paymentProvider,
   fees = {},
-}) {
+}, client) {
   // Validate currency is provided (should always come from group)
   if (!currency) {
     throw new Error('Currency is required. It should come from the group.');
   }
   try {
-    await pool.query('BEGIN');
-
-    try {
-      // Ensure main wallet exists (for backward compatibility)
-      const walletCheck = await pool.query(
-        'SELECT id, balance FROM wallets WHERE user_id = $1',
-        [recipientId]
-      );
-
-      if (walletCheck.rows.length === 0) {
-        // Create wallet if it doesn't exist
-        await pool.query(
-          'INSERT INTO wallets (user_id, balance, currency) VALUES ($1, $2, $3)',
-          [recipientId, 0, currency]
-        );
+    const result = await withTransaction(async (tx) => {
+      // Post the balanced ledger entry first - a duplicate means this payment was already credited
+      const ledgerEntry = await postContributionReceipt({
+        recipientId,
+        amount,
+        currency,
+        paymentProvider,
+        fees,
+        contributionType,
+        contributionId,
+        providerTransactionId,
+        description,
+      }, tx);
+
+      if (ledgerEntry.duplicate) {
+        console.log('Ledger entry already exists for payment, skipping wallet credit:', providerTransactionId);
+        return {
+          success: true,
+          duplicate: true,
+          journalEntryId: ledgerEntry.journalEntryId,
+          amount,
+          currency,
+        };
       }
 
-      // Credit currency-specific wallet balance
-      // Insert or update wallet_balances table
-      await pool.query(
-        `INSERT INTO wallet_balances (user_id, currency, balance)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (user_id, currency)
-         DO UPDATE SET 
-           balance = wallet_balances.balance + $3,
-           updated_at = CURRENT_TIMESTAMP`,
-        [recipientId, currency, amount]
-      );
+      // Credit currency-specific wallet balance (pending until the provider settles the payment)
+      const settlesAt = paymentService.getSettlementDate(currency, paymentProvider);
+      const settled = settlesAt <= new Date();
+      const newBalance = settled
+        ? await creditWalletBalance(recipientId, currency, amount, tx)
+        : await lockWalletBalance(recipientId, currency, tx);
+      const pendingBalance = settled ? null : await creditPendingBalance(recipientId, currency, amount, tx);
 
-      // Also update main wallet balance for backward compatibility (use primary currency)
-      // This is optional - can be removed if we fully migrate to wallet_balances
-      const primaryCurrency = currency; // Use the credited currency as primary
-      await pool.query(
-        `UPDATE wallets
-         SET balance = (
-           SELECT COALESCE(SUM(balance), 0) 
-           FROM wallet_balances 
-           WHERE user_id = $1 AND currency = $2
-         ), currency = $2, updated_at = CURRENT_TIMESTAMP
-         WHERE user_id = $1`,
-        [recipientId, primaryCurrency]
-      );
+      // Also update main wallet balance for backward compatibility (use the credited currency as primary)
+      await syncLegacyWallet(recipientId, currency, tx);
 
       // Create transaction record with fee tracking and currency
-      const transactionResult = await pool.query(
+      const transactionResult = await tx.query(
         `INSERT INTO transactions
          (user_id, group_id, type, amount, currency, description, status, payment_provider, payment_method_id,
-          platform_fee, processor_fee, gross_amount, net_amount)
-         VALUES ($1, $2, 'credit', $3, $4, $5, 'completed', $6, $7, $8, $9, $10, $11)
+          platform_fee, processor_fee, gross_amount, net_amount, journal_entry_id, settles_at, settled_at, fee_schedule_id)
+         VALUES ($1, $2, 'credit', $3, $4, $5, 'completed', $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
          RETURNING id, created_at`,
         [
           recipientId,
@@ -94,64 +510,154 @@ async function creditWallet({
           fees.processorFee || 0,
           fees.grossAmount || amount,
           amount, // Net amount (recipient receives full contribution amount)
+          ledgerEntry.journalEntryId,
+          settlesAt,
+          settled ? settlesAt : null,
+          fees.feeScheduleId || null,
         ]
       );
 
       const transaction = transactionResult.rows[0];
 
-      // Update contribution record to link with transaction
-      if (contributionType && contributionId) {
-        let contributionTable;
-        switch (contributionType) {
-          case 'birthday':
-            contributionTable = 'birthday_contributions';
-            break;
-          case 'subscription':
-            contributionTable = 'subscription_contributions';
-            break;
-          case 'general':
-            contributionTable = 'general_contributions';
-            break;
-          default:
-            contributionTable = null;
-        }
-
-        if (contributionTable) {
-          await pool.query(
-            `UPDATE ${contributionTable}
-             SET transaction_id = $1, status = 'confirmed', payment_method = 'auto-debit',
-                 payment_provider = $2, provider_transaction_id = $3
-             WHERE id = $4`,
-            [transaction.id, paymentProvider, providerTransactionId, contributionId]
-          );
-        }
+      // Confirm the contribution this payment was for and link it to the transaction
+      let contributionEvent = null;
+      if (contributionType && contributionId && contributionService.hasType(contributionType)) {
+        contributionEvent = await contributionService.confirmAutoDebit({
+          type: contributionType,
+          contributionId,
+          transactionId: transaction.id,
+          paymentProvider,
+          providerTransactionId,
+        }, tx);
+      } else if (contributionType === 'late_fee' && contributionId) {
+        await markLateFeePaid(contributionId, {
+          transactionId: transaction.id,
+          metadata: { paymentProvider, providerTransactionId },
+        }, tx);
+      } else if (contributionType === 'guest' && contributionId) {
+        await markGuestContributionPaid(contributionId, {
+          transactionId: transaction.id,
+          providerTransactionId,
+        }, tx);
       }
 
-      // Get updated wallet balance for this currency
-      const updatedBalance = await pool.query(
-        'SELECT balance FROM wallet_balances WHERE user_id = $1 AND currency = $2',
-        [recipientId, currency]
-      );
-
-      await pool.query('COMMIT');
-
       return {
         success: true,
         transactionId: transaction.id,
-        newBalance: parseFloat(updatedBalance.rows[0]?.balance || 0),
+        journalEntryId: ledgerEntry.journalEntryId,
+        newBalance,
+        pendingBalance,
+        settlesAt,
         amount,
         currency,
+        contributionEvent,
       };
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    }, { client });
+
+    // Listeners run once the credit is committed; a joined transaction publishes it itself
+    if (!client && result.contributionEvent) {
+      await contributionService.publish(result.contributionEvent);
     }
+
+    return result;
   } catch (error) {
     console.error('Error crediting wallet:', error);
     throw error;
   }
 }
 
+/**
+ * Settle a paid-out withdrawal: its held funds leave the wallet
+ * Posts the ledger payout and reduces the held balance only if it was not already settled
+ * @param {Object} payoutData - Payout data
+ * @param {string} payoutData.userId - User ID
+ * @param {string} payoutData.withdrawalId - Withdrawal ID
+ * @param {number} payoutData.amount - Requested withdrawal amount (including fee)
+ * @param {number} payoutData.fee - Payout fee
+ * @param {string} payoutData.currency - Currency code
+ * @param {string} payoutData.paymentProvider - Payment provider
+ * @param {string} payoutData.providerTransactionId - Provider payout/transfer ID
+ * @param {Object} client - Transaction client to join (optional - runs in its own transaction otherwise)
+ * @returns {Promise<Object>} - { settled, journalEntryId }
+ */
+async function settleWithdrawalPayout({
+  userId,
+  withdrawalId,
+  amount,
+  fee,
+  currency,
+  paymentProvider,
+  providerTransactionId,
+}, client) {
+  if (!currency) {
+    throw new Error('Withdrawal has no currency specified');
+  }
+  try {
+    return await withTransaction(async (tx) => {
+      const ledgerEntry = await postWithdrawalPayout({
+        userId,
+        withdrawalId,
+        amount,
+        fee,
+        currency,
+        paymentProvider,
+        providerTransactionId,
+      }, tx);
+
+      if (ledgerEntry.duplicate) {
+        return { settled: false, journalEntryId: ledgerEntry.journalEntryId };
+      }
+
+      await settleHeldBalance(userId, currency, amount, tx);
+
+      return { settled: true, journalEntryId: ledgerEntry.journalEntryId };
+    }, { client });
+  } catch (error) {
+    console.error('Error settling withdrawal payout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Return the funds of a failed withdrawal to the user's currency wallet
+ * Posts the ledger reversal and moves the held funds back to the available balance only if it was not already returned
+ * @param {Object} refundData - Refund data
+ * @param {string} refundData.userId - User ID
+ * @param {string} refundData.withdrawalId - Withdrawal ID
+ * @param {number} refundData.amount - Requested withdrawal amount (including fee)
+ * @param {string} refundData.currency - Currency code
+ * @param {string} refundData.reason - Reason for the reversal (optional)
+ * @param {Object} client - Transaction client to join (optional - runs in its own transaction otherwise)
+ * @returns {Promise<Object>} - { returned, journalEntryId }
+ */
+async function returnWithdrawalToWallet({ userId, withdrawalId, amount, currency, reason }, client) {
+  if (!currency) {
+    throw new Error('Withdrawal has no currency specified');
+  }
+  try {
+    return await withTransaction(async (tx) => {
+      const ledgerEntry = await postWithdrawalReversal({
+        userId,
+        withdrawalId,
+        amount,
+        currency,
+        reason,
+      }, tx);
+
+      if (ledgerEntry.duplicate) {
+        return { returned: false, journalEntryId: ledgerEntry.journalEntryId };
+      }
+
+      await releaseHeldBalance(userId, currency, amount, tx);
+
+      return { returned: true, journalEntryId: ledgerEntry.journalEntryId };
+    }, { client });
+  } catch (error) {
+    console.error('Error returning withdrawal to wallet:', error);
+    throw error;
+  }
+}
+
 /**
  * Record automatic payment attempt
  * @param {Object} attemptData - Attempt data
@@ -301,32 +807,11 @@ async function isWebhookProcessed(providerTransactionId, provider) {
  */
 async function isContributionConfirmed(contributionType, contributionId) {
   try {
-    let contributionTable;
-    switch (contributionType) {
-      case 'birthday':
-        contributionTable = 'birthday_contributions';
-        break;
-      case 'subscription':
-        contributionTable = 'subscription_contributions';
-        break;
-      case 'general':
-        contributionTable = 'general_contributions';
-        break;
-      default:
-        return false;
-    }
-
-    const result = await pool.query(
-      `SELECT status FROM ${contributionTable}
-       WHERE id = $1`,
-      [contributionId]
-    );
-
-    if (result.rows.length === 0) {
+    if (!contributionService.hasType(contributionType)) {
       return false;
     }
 
-    const status = result.rows[0].status;
+    const status = await contributionService.getStatus(contributionType, contributionId);
     return status === 'confirmed';
   } catch (error) {
     console.error('Error checking contribution status:', error);
@@ -338,23 +823,37 @@ async function isContributionConfirmed(contributionType, contributionId) {
 /**
  * Get all currency balances for a user
  * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of balance objects with currency and balance
+ * @returns {Promise<Array>} - Array of { currency, balance, available, pending, held, total, nextSettlementAt, updatedAt }
+ *   (balance is the available balance, kept for older clients)
  */
 async function getAllCurrencyBalances(userId) {
   try {
     const result = await pool.query(
-      `SELECT currency, balance, updated_at
-       FROM wallet_balances
-       WHERE user_id = $1
-       ORDER BY currency`,
+      `SELECT wb.currency, wb.balance, wb.pending_balance, wb.held_balance, wb.updated_at,
+              (SELECT MIN(t.settles_at) FROM transactions t
+               WHERE t.user_id = wb.user_id AND t.currency = wb.currency AND t.type = 'credit'
+                 AND t.settles_at IS NOT NULL AND t.settled_at IS NULL) AS next_settlement_at
+       FROM wallet_balances wb
+       WHERE wb.user_id = $1
+       ORDER BY wb.currency`,
       [userId]
     );
 
-    return result.rows.map(row => ({
-      currency: row.currency,
-      balance: parseFloat(row.balance),
-      updatedAt: row.updated_at,
-    }));
+    return result.rows.map(row => {
+      const available = parseFloat(row.balance);
+      const pending = parseFloat(row.pending_balance);
+      const held = parseFloat(row.held_balance);
+      return {
+        currency: row.currency,
+        balance: available,
+        available,
+        pending,
+        held,
+        total: parseFloat((available + pending + held).toFixed(2)),
+        nextSettlementAt: row.next_settlement_at,
+        updatedAt: row.updated_at,
+      };
+    });
   } catch (error) {
     console.error('Error getting currency balances:', error);
     throw error;
@@ -362,10 +861,10 @@ async function getAllCurrencyBalances(userId) {
 }
 
 /**
- * Get balance for a specific currency
+ * Get the available (withdrawable) balance for a specific currency
  * @param {string} userId - User ID
  * @param {string} currency - Currency code
- * @returns {Promise<number>} - Balance for the currency
+ * @returns {Promise<number>} - Available balance for the currency
  */
 async function getCurrencyBalance(userId, currency) {
   try {
@@ -386,7 +885,21 @@ async function getCurrencyBalance(userId, currency) {
 }
 
 module.exports = {
+  lockWalletBalance,
+  creditWalletBalance,
+  debitWalletBalance,
+  creditPendingBalance,
+  holdWalletBalance,
+  releaseHeldBalance,
+  settleHeldBalance,
+  settleWalletCredit,
+  getUnsettledCreditAmount,
+  debitPendingCredit,
+  restorePendingCredit,
+  syncLegacyWallet,
   creditWallet,
+  settleWithdrawalPayout,
+  returnWithdrawalToWallet,
   recordPaymentAttempt,
   updatePaymentAttempt,
   isWebhookProcessed,